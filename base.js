@@ -8,9 +8,21 @@ import dotenv from 'dotenv';
 dotenv.config({ quiet: true });
 const { NODE_ENV = "unknown", LOG_LEVEL = "" } = process.env;
 
-import { GoogleGenAI, HarmCategory, HarmBlockThreshold } from '@google/genai';
+import { GoogleGenAI, Chats, HarmCategory, HarmBlockThreshold } from '@google/genai';
+import { randomUUID } from 'node:crypto';
+import { EventEmitter } from 'node:events';
+import { AsyncLocalStorage } from 'node:async_hooks';
 import log from './logger.js';
 import { isJSON } from './json-helpers.js';
+import { Redactor, redactionMiddleware, redactRequest, rehydrateResponse, redactedResponse } from './redaction.js';
+import { BudgetTracker, resolveBudget, budgetMiddleware } from './budget.js';
+import { UsageLedger, usageLedgerMiddleware } from './usage-ledger.js';
+import { Telemetry, telemetryMiddleware } from './telemetry.js';
+import { RateLimiter, rateLimiterMiddleware } from './rate-limiter.js';
+import { GeminiError, RateLimitError, AuthError, ToolExecutionError, AbortError, TimeoutError, NetworkError, SafetyBlockedError, classifyError, safetyBlockError } from './errors.js';
+import { resolveRetryPolicy, isRetryable, backoffDelay, retryAfterMs, RETRIES } from './retry.js';
+import CassetteClient, { RECORD_MODES } from './cassette.js';
+import { MemoryResponseCache, responseCacheKey, toCacheEntry, fromCacheEntry, FROM_RESPONSE_CACHE } from './response-cache.js';
 
 // ── Constants ────────────────────────────────────────────────────────────────
 
@@ -25,6 +37,66 @@ const DEFAULT_THINKING_CONFIG = {
 
 const DEFAULT_MAX_OUTPUT_TOKENS = 50_000;
 
+/** Context strategies for `contextStrategy`; see `_manageContext()`. */
+const CONTEXT_STRATEGIES = ['truncate-oldest', 'summarize', 'sliding-window'];
+
+/** Default input budget — the ≤200k tier boundary where Pro pricing steps up. */
+const DEFAULT_MAX_CONTEXT_TOKENS = 200_000;
+
+/** History items kept verbatim by 'sliding-window' and 'summarize'. */
+const DEFAULT_CONTEXT_WINDOW_SIZE = 10;
+
+/**
+ * Model calls routed through middleware (see use())
+ * @type {Array<import('./types').ModelCallMethod>}
+ */
+const MIDDLEWARE_METHODS = ['generateContent', 'generateContentStream', 'countTokens', 'embedContent'];
+
+/**
+ * Failures that move a call on to the next of `fallbackModels`: error classes
+ * (instanceof) and HTTP statuses. Overloaded preview models answer 503.
+ * @type {Array<(new (...args: any[]) => Error)|number>}
+ */
+const DEFAULT_FALLBACK_ON = [RateLimitError, NetworkError, TimeoutError, SafetyBlockedError, 500, 502, 503, 504];
+
+/**
+ * Model each failed model call was sent to, so _withRetry() only falls back
+ * on failures of the instance's current model (not on a files or caches call).
+ * @type {WeakMap<object, string>}
+ */
+const failedModels = new WeakMap();
+
+/**
+ * `{ model }` a single call has moved on to without moving the instance (a
+ * safety block is about one prompt; see _fallBackOn()).
+ * @type {AsyncLocalStorage<{ model: string }>}
+ */
+const callModelScope = new AsyncLocalStorage();
+
+/** Symbol on an API result answered by the model its call alone moved on to */
+const SERVED_BY = Symbol('ak-gemini.servedBy');
+
+/**
+ * `{ signal }` of the public call in progress (see _withCallOptions()). Async
+ * context rather than a parameter, so it reaches every model call, backoff
+ * sleep and tool run made on that call's behalf — including other instances'.
+ * @type {AsyncLocalStorage<{ signal: AbortSignal }>}
+ */
+const callScope = new AsyncLocalStorage();
+
+/**
+ * One signal that aborts when any of `signals` does.
+ * @param {Array<AbortSignal|null|undefined>} signals
+ * @returns {AbortSignal|null}
+ */
+function anySignal(signals) {
+	const live = /** @type {AbortSignal[]} */ ([...new Set(signals.filter(Boolean))]);
+	if (live.length === 0) return null;
+	return live.length === 1 ? live[0] : AbortSignal.any(live);
+}
+
+const SUMMARY_INSTRUCTION = 'You compress conversation transcripts. Summarize the transcript you are given so the conversation can continue without it: keep facts, decisions, names, numbers, open questions and tool results that later turns may rely on. Be concise. Respond with the summary only.';
+
 /** Models that support thinking features. Image / live / tts variants intentionally excluded. */
 const THINKING_SUPPORTED_MODELS = [
 	/^gemini-3(\.\d+)?-pro(-preview)?$/,
@@ -37,40 +109,55 @@ const THINKING_SUPPORTED_MODELS = [
 ];
 
 /**
- * Model pricing per million tokens (Paid Tier Standard, base rate, as of July 2026).
+ * Model pricing per million tokens (Paid Tier Standard, as of July 2026).
  * Source: https://ai.google.dev/gemini-api/docs/pricing
  *
+ * `input` / `output` are the text rates. Optional per-component rates:
+ * - `cachedInput` — `cachedContentTokenCount` tokens (default: CACHED_INPUT_DISCOUNT × input)
+ * - `audioInput` / `videoInput` — prompt tokens of that modality (default: input)
+ * - `imageOutput` — image tokens in the response, e.g. Nano Banana models (default: output)
+ * - `longContext: { threshold, ...rates }` — rates for the whole request once the
+ *   prompt exceeds `threshold` tokens (Pro models: >200k)
+ * - `batch: { input, output }` — Batch API / FLEX rates when they aren't a flat
+ *   BATCH_DISCOUNT; other components are still discounted by BATCH_DISCOUNT
+ *
  * NOTES:
- * - Pro models use tiered pricing (≤200k vs >200k context). Listed rate is ≤200k base tier.
  * - Gemma models (e.g. Gemma 4) are intentionally excluded — they are open models with
  *   no paid per-token tier on the Gemini API (Vertex deployments bill by compute).
- * - Image-output tokens on Nano Banana models bill at $60/M (1.5 Flash Image) or $120/M (3 Pro Image).
- *   Only text-input/text-output rates are modelled here; image-output cost is NOT included in estimateCost().
- * - Audio input is more expensive on most models — listed rate covers text/image/video input.
+ * - PRIORITY service tier surcharges are not modelled; those calls are priced at the standard rate.
+ * - Context-cache storage (per hour) isn't per-call and isn't included.
+ *
+ * @type {Record<string, import('./types').ModelPricing>}
  */
 const MODEL_PRICING = {
 	// Gemini 3.x stable
 	'gemini-3.5-flash': { input: 1.50, output: 9.00 },
 	'gemini-3.1-flash-lite': { input: 0.25, output: 1.50 },
 	// Gemini 3.x preview
-	'gemini-3.1-pro-preview': { input: 2.00, output: 12.00 }, // ≤200k tier
-	'gemini-3-pro-preview': { input: 2.00, output: 12.00 },   // ≤200k tier; launch rate (superseded by 3.1, off the pricing page)
-	'gemini-3-flash-preview': { input: 0.50, output: 3.00 },
+	'gemini-3.1-pro-preview': { input: 2.00, output: 12.00, cachedInput: 0.20, longContext: { threshold: 200_000, input: 4.00, output: 18.00, cachedInput: 0.40 } },
+	'gemini-3-pro-preview': { input: 2.00, output: 12.00, cachedInput: 0.20, longContext: { threshold: 200_000, input: 4.00, output: 18.00, cachedInput: 0.40 } }, // launch rate (superseded by 3.1, off the pricing page)
+	'gemini-3-flash-preview': { input: 0.50, output: 3.00, audioInput: 1.00, cachedInput: 0.05 },
 	'gemini-3.1-flash-lite-preview': { input: 0.25, output: 1.50 },
-	'gemini-3.1-flash-image-preview': { input: 0.50, output: 3.00 }, // text-only; image-output is $60/M
-	'gemini-3-pro-image-preview': { input: 2.00, output: 12.00 },   // text-only; image-output is $120/M
+	'gemini-3.1-flash-image-preview': { input: 0.50, output: 3.00, imageOutput: 60.00 },
+	'gemini-3-pro-image-preview': { input: 2.00, output: 12.00, imageOutput: 120.00 },
 	// Gemini 2.5 stable
-	'gemini-2.5-flash': { input: 0.30, output: 2.50 },
-	'gemini-2.5-flash-lite': { input: 0.10, output: 0.40 },
-	'gemini-2.5-pro': { input: 1.25, output: 10.00 }, // ≤200k tier
-	'gemini-2.5-flash-image': { input: 0.30, output: 0 }, // image-output is ~$0.039/image (1290 tokens)
+	'gemini-2.5-flash': { input: 0.30, output: 2.50, audioInput: 1.00, cachedInput: 0.03 },
+	'gemini-2.5-flash-lite': { input: 0.10, output: 0.40, audioInput: 0.30, cachedInput: 0.01 },
+	'gemini-2.5-pro': { input: 1.25, output: 10.00, cachedInput: 0.125, longContext: { threshold: 200_000, input: 2.50, output: 15.00, cachedInput: 0.25 } },
+	'gemini-2.5-flash-image': { input: 0.30, output: 0, imageOutput: 30.00 }, // ~$0.039/image (1290 tokens)
 	// Deprecated but kept for back-compat (shut down June 2026)
-	'gemini-2.0-flash': { input: 0.10, output: 0.40 },
+	'gemini-2.0-flash': { input: 0.10, output: 0.40, audioInput: 0.70, cachedInput: 0.025 },
 	'gemini-2.0-flash-lite': { input: 0.02, output: 0.10 },
 	// Embeddings
 	'gemini-embedding-001': { input: 0.15, output: 0 }
 };
 
+/** Batch API (and FLEX service tier) price as a fraction of the standard rate (50% off). */
+const BATCH_DISCOUNT = 0.5;
+
+/** Cached-input price as a fraction of the input rate, for entries without `cachedInput` (90% off). */
+const CACHED_INPUT_DISCOUNT = 0.1;
+
 /**
  * Alias → canonical model id map for pricing resolution.
  * Google publishes floating `-latest` aliases that resolve server-side to a
@@ -87,7 +174,7 @@ const MODEL_ALIASES = {
 /**
  * Resolves pricing for a model id, following `-latest` aliases.
  * @param {string|null|undefined} modelId
- * @returns {{ input: number, output: number }|null} Pricing, or null if unknown.
+ * @returns {import('./types').ModelPricing|null} Pricing, or null if unknown.
  */
 function resolvePricing(modelId) {
 	if (!modelId) return null;
@@ -113,23 +200,148 @@ function resolvePricing(modelId) {
 	return null;
 }
 
+/**
+ * Splits a response's usageMetadata into the token counts that bill at
+ * different rates. Audio/video counts exclude tokens served from the cache.
+ * @param {any} usageMetadata - GenerateContentResponse.usageMetadata
+ * @returns {BillableTokens}
+ */
+function billableTokens(usageMetadata) {
+	const usage = usageMetadata || {};
+	const byModality = (/** @type {any[]|undefined} */ details, /** @type {string} */ modality) => (details || [])
+		.filter(d => d.modality === modality)
+		.reduce((n, d) => n + (d.tokenCount || 0), 0);
+	const uncached = (/** @type {string} */ modality) => Math.max(0, byModality(usage.promptTokensDetails, modality) - byModality(usage.cacheTokensDetails, modality));
+	return {
+		promptTokens: usage.promptTokenCount || 0,
+		responseTokens: usage.candidatesTokenCount || 0,
+		thoughtsTokens: usage.thoughtsTokenCount || 0,
+		cachedTokens: usage.cachedContentTokenCount || 0,
+		toolUsePromptTokens: usage.toolUsePromptTokenCount || 0,
+		audioInputTokens: uncached('AUDIO'),
+		videoInputTokens: uncached('VIDEO'),
+		imageOutputTokens: byModality(usage.candidatesTokensDetails, 'IMAGE')
+	};
+}
+
+/**
+ * Estimated USD cost of one request, split by billing component.
+ *
+ * The prompt is billed as cached input (`cachedTokens`), audio and video input,
+ * and text/image input (the rest, plus tool-use prompt tokens). The response is
+ * billed as image output and text output, and thinking tokens at the output
+ * rate. A prompt over the model's `longContext.threshold` moves every component
+ * to the long-context rates. `batch: true` or `serviceTier: 'FLEX'` applies
+ * batch pricing.
+ *
+ * @param {string|null|undefined} modelId
+ * @param {Partial<BillableTokens>} tokens - Counts, e.g. from billableTokens()
+ * @param {{ batch?: boolean, serviceTier?: string|null }} [opts={}]
+ * @returns {CostBreakdown|null} null when pricing is unknown
+ */
+function computeCostBreakdown(modelId, tokens, opts = {}) {
+	const pricing = resolvePricing(modelId);
+	if (!pricing) return null;
+
+	const promptTokens = tokens.promptTokens || 0;
+	const longContext = !!pricing.longContext && promptTokens > pricing.longContext.threshold;
+	/** @type {Record<string, any>} */
+	const rates = longContext ? { ...pricing, ...pricing.longContext } : { ...pricing };
+	const discounted = !!opts.batch || opts.serviceTier === 'FLEX';
+	/** @type {Record<string, number|undefined>} */
+	const batchRates = pricing.batch || {};
+	const rate = (/** @type {string} */ key) => {
+		if (discounted && batchRates[key] != null) return /** @type {number} */ (batchRates[key]);
+		const r = rates[key];
+		return r == null ? null : r * (discounted ? BATCH_DISCOUNT : 1);
+	};
+	const inputRate = rate('input') || 0;
+	const outputRate = rate('output') || 0;
+
+	const cached = Math.min(tokens.cachedTokens || 0, promptTokens);
+	const audio = Math.min(tokens.audioInputTokens || 0, promptTokens - cached);
+	const video = Math.min(tokens.videoInputTokens || 0, promptTokens - cached - audio);
+	const text = promptTokens - cached - audio - video + (tokens.toolUsePromptTokens || 0);
+	const responseTokens = tokens.responseTokens || 0;
+	const image = Math.min(tokens.imageOutputTokens || 0, responseTokens);
+
+	const usd = (/** @type {number} */ n, /** @type {number} */ perMillion) => (n / 1_000_000) * perMillion;
+	const breakdown = {
+		input: usd(text, inputRate),
+		cachedInput: usd(cached, rate('cachedInput') ?? inputRate * CACHED_INPUT_DISCOUNT),
+		audioInput: usd(audio, rate('audioInput') ?? inputRate),
+		videoInput: usd(video, rate('videoInput') ?? inputRate),
+		output: usd(responseTokens - image, outputRate),
+		imageOutput: usd(image, rate('imageOutput') ?? outputRate),
+		thinking: usd(tokens.thoughtsTokens || 0, outputRate)
+	};
+	return {
+		...breakdown,
+		total: Object.values(breakdown).reduce((n, c) => n + c, 0),
+		longContext,
+		serviceTier: opts.batch ? 'BATCH' : (opts.serviceTier || 'STANDARD')
+	};
+}
+
 /**
  * Computes estimated USD cost from token counts using MODEL_PRICING.
- * Thinking ("thoughts") tokens are billed at the output rate.
+ * Thinking ("thoughts") tokens are billed at the output rate. See
+ * computeCostBreakdown() for how the optional counts in `opts` are priced.
  * @param {string|null|undefined} modelId
  * @param {number} promptTokens
  * @param {number} responseTokens
  * @param {number} [thoughtsTokens=0] - Thinking tokens (billed at output rate)
+ * @param {{ batch?: boolean, serviceTier?: string|null } & Partial<BillableTokens>} [opts={}] - `batch: true` prices at the Batch API rate; cached/audio/video/image counts
  * @returns {number|null} Cost in USD, or null when pricing is unknown.
  */
-function computeCost(modelId, promptTokens, responseTokens, thoughtsTokens = 0) {
-	const pricing = resolvePricing(modelId);
-	if (!pricing) return null;
-	return (promptTokens / 1_000_000) * pricing.input
-		+ ((responseTokens + thoughtsTokens) / 1_000_000) * pricing.output;
+function computeCost(modelId, promptTokens, responseTokens, thoughtsTokens = 0, opts = {}) {
+	return computeCostBreakdown(modelId, { ...opts, promptTokens, responseTokens, thoughtsTokens }, opts)?.total ?? null;
 }
 
-export { DEFAULT_SAFETY_SETTINGS, DEFAULT_THINKING_CONFIG, THINKING_SUPPORTED_MODELS, MODEL_PRICING, MODEL_ALIASES, DEFAULT_MAX_OUTPUT_TOKENS, resolvePricing, computeCost };
+/**
+ * Adds up cost breakdowns (e.g. one per retry or batch item).
+ * @param {Array<CostBreakdown|null|undefined>} breakdowns
+ * @returns {CostBreakdown|null} null when none are priced
+ */
+function sumCostBreakdowns(breakdowns) {
+	const priced = /** @type {CostBreakdown[]} */ (breakdowns.filter(Boolean));
+	if (priced.length === 0) return null;
+	const keys = /** @type {const} */ (['input', 'cachedInput', 'audioInput', 'videoInput', 'output', 'imageOutput', 'thinking', 'total']);
+	/** @type {any} */
+	const sum = { longContext: priced.some(b => b.longContext), serviceTier: priced[priced.length - 1].serviceTier };
+	for (const key of keys) sum[key] = priced.reduce((n, b) => n + b[key], 0);
+	return sum;
+}
+
+/**
+ * Execute async task factories with a concurrency limit.
+ * @param {Array<() => Promise<any>>} tasks
+ * @param {number} concurrency - Infinity for unlimited, 1 for sequential
+ * @returns {Promise<any[]>} Results in same order as tasks
+ */
+async function runWithConcurrency(tasks, concurrency) {
+	if (!(Number.isInteger(concurrency) && concurrency > 0) && concurrency !== Infinity) {
+		throw new Error(`Concurrency must be a positive integer or Infinity, got ${concurrency}.`);
+	}
+	if (concurrency === Infinity) return Promise.all(tasks.map(t => t()));
+	if (concurrency === 1) {
+		const results = [];
+		for (const t of tasks) results.push(await t());
+		return results;
+	}
+	const results = new Array(tasks.length);
+	let next = 0;
+	async function worker() {
+		while (next < tasks.length) {
+			const i = next++;
+			results[i] = await tasks[i]();
+		}
+	}
+	await Promise.all(Array.from({ length: Math.min(concurrency, tasks.length) }, () => worker()));
+	return results;
+}
+
+export { DEFAULT_SAFETY_SETTINGS, DEFAULT_THINKING_CONFIG, THINKING_SUPPORTED_MODELS, MODEL_PRICING, MODEL_ALIASES, BATCH_DISCOUNT, CACHED_INPUT_DISCOUNT, DEFAULT_MAX_OUTPUT_TOKENS, CONTEXT_STRATEGIES, resolvePricing, billableTokens, computeCostBreakdown, computeCost, sumCostBreakdowns, runWithConcurrency };
 
 // ── BaseGemini Class ─────────────────────────────────────────────────────────
 
@@ -137,6 +349,11 @@ export { DEFAULT_SAFETY_SETTINGS, DEFAULT_THINKING_CONFIG, THINKING_SUPPORTED_MO
  * @typedef {import('./types').BaseGeminiOptions} BaseGeminiOptions
  * @typedef {import('./types').UsageData} UsageData
  * @typedef {import('./types').TransformationExample} TransformationExample
+ * @typedef {import('./types').Middleware} Middleware
+ * @typedef {import('./types').ModelCallContext} ModelCallContext
+ * @typedef {import('./types').GeminiClient} GeminiClient
+ * @typedef {import('./types').BillableTokens} BillableTokens
+ * @typedef {import('./types').CostBreakdown} CostBreakdown
  */
 
 /**
@@ -144,16 +361,31 @@ export { DEFAULT_SAFETY_SETTINGS, DEFAULT_THINKING_CONFIG, THINKING_SUPPORTED_MO
  * Provides shared initialization, authentication, chat session management,
  * token estimation, cost tracking, and usage reporting.
  *
+ * Every instance is an EventEmitter with the same lifecycle events (see
+ * GeminiEvents in types.d.ts): `request`, `response`, `error`, `retry`,
+ * `rateLimited`, `validationFailed`, `toolCall`, `toolResult`, `cacheHit`,
+ * `budgetWarning`, `throttled` and `fallback`.
+ *
  * Not typically instantiated directly — use Transformer, Chat, Message, ToolAgent, or CodeAgent.
  */
-class BaseGemini {
+class BaseGemini extends EventEmitter {
 	/**
 	 * @param {BaseGeminiOptions} [options={}]
 	 */
 	constructor(options = {}) {
+		super();
+
 		// ── Model ──
 		this.modelName = options.modelName || 'gemini-3-flash-preview';
 
+		// ── Model Fallback ──
+		// Once the current model fails with a `fallbackOn` error (after its retries)
+		// or reports modelStatus DEPRECATED, the instance moves to the next of
+		// `fallbackModels` and stays there. A safety block moves only that call.
+		this.primaryModel = this.modelName;
+		this.fallbackModels = options.fallbackModels || [];
+		this.fallbackOn = options.fallbackOn || DEFAULT_FALLBACK_ON;
+
 		// ── System Prompt ──
 		// Subclasses set their own default if options.systemPrompt is undefined
 		if (options.systemPrompt !== undefined) {
@@ -169,20 +401,59 @@ class BaseGemini {
 		this.googleAuthOptions = options.googleAuthOptions || null;
 		this.apiKey = options.apiKey !== undefined && options.apiKey !== null ? options.apiKey : process.env.GEMINI_API_KEY;
 
-		if (!this.vertexai && !this.apiKey) {
-			throw new Error("Missing Gemini API key. Provide via options.apiKey or GEMINI_API_KEY env var. For Vertex AI, set vertexai: true with project and location.");
+		// ── Record / Replay ──
+		// Replay serves saved responses, so it needs no credentials.
+		this.recordMode = options.recordMode || 'passthrough';
+		this.cassetteDir = options.cassetteDir || null;
+		if (!RECORD_MODES.includes(this.recordMode)) {
+			throw new Error(`Unknown recordMode "${this.recordMode}". Use one of: ${RECORD_MODES.join(', ')}.`);
 		}
-		if (this.vertexai && !this.project) {
+		if (this.recordMode !== 'passthrough' && !this.cassetteDir) {
+			throw new Error(`recordMode "${this.recordMode}" requires a cassetteDir.`);
+		}
+
+		// A supplied client/transport handles its own auth
+		const customClient = !!(options.client || options.transport || this.recordMode === 'replay');
+		if (!customClient && !this.vertexai && !this.apiKey) {
+			throw new AuthError("Missing Gemini API key. Provide via options.apiKey or GEMINI_API_KEY env var. For Vertex AI, set vertexai: true with project and location.");
+		}
+		if (!customClient && this.vertexai && !this.project) {
 			throw new Error("Vertex AI requires a project ID. Provide via options.project or GOOGLE_CLOUD_PROJECT env var.");
 		}
 
-		// ── Rate Limit Retry ──
+		// ── Retry ──
 		this.resourceExhaustedRetries = options.resourceExhaustedRetries ?? 5;
 		this.resourceExhaustedDelay = options.resourceExhaustedDelay ?? 1000;
+		this.retryPolicy = resolveRetryPolicy(options.retryPolicy, {
+			maxRetries: this.resourceExhaustedRetries,
+			initialDelayMs: this.resourceExhaustedDelay
+		});
+		// Retries behind successful calls since the last _captureMetadata()
+		this._pendingRetries = 0;
+
+		// ── Timeout ──
+		// Default for the `timeoutMs` per-call option; null = no limit
+		this.timeoutMs = options.timeoutMs ?? null;
 
 		// ── Health Check ──
 		this.healthCheck = options.healthCheck ?? false;
 
+		// ── Context Window Management ──
+		// Opt-in: costs one countTokens() call before each send.
+		this.contextStrategy = options.contextStrategy || null;
+		this.maxContextTokens = options.maxContextTokens ?? DEFAULT_MAX_CONTEXT_TOKENS;
+		this.contextWindowSize = options.contextWindowSize ?? DEFAULT_CONTEXT_WINDOW_SIZE;
+		if (this.contextStrategy && !CONTEXT_STRATEGIES.includes(this.contextStrategy)) {
+			throw new Error(`Unknown contextStrategy "${this.contextStrategy}". Use one of: ${CONTEXT_STRATEGIES.join(', ')}.`);
+		}
+
+		// ── Session Persistence ──
+		// History is restored from the store in init() and saved after every turn.
+		// A missing sessionId gets a fresh UUID; read it back to resume later.
+		this.sessionStore = options.sessionStore || null;
+		this.sessionId = options.sessionId || (this.sessionStore ? randomUUID() : null);
+		this._sessionRestored = false;
+
 		// ── Logging ──
 		this._configureLogLevel(options.logLevel);
 
@@ -254,6 +525,10 @@ class BaseGemini {
 		this._configureThinking(options.thinkingConfig);
 
 		// ── GenAI Client ──
+		// `client` swaps in anything with the GeminiClient shape (MockGeminiClient,
+		// a recorder, a proxy); `transport` builds one from the options that would
+		// otherwise go to GoogleGenAI. `httpOptions` (baseUrl, headers) reaches both.
+		/** @type {import('./types').GeminiClientOptions} */
 		const clientOptions = this.vertexai
 			? {
 				vertexai: true,
@@ -262,8 +537,82 @@ class BaseGemini {
 				...(this.googleAuthOptions && { googleAuthOptions: this.googleAuthOptions })
 			}
 			: { apiKey: this.apiKey };
+		if (options.httpOptions) clientOptions.httpOptions = options.httpOptions;
+
+		/** @type {GeminiClient} */
+		this.genAIClient = options.client
+			|| (options.transport ? options.transport(clientOptions) : null)
+			|| (this.recordMode === 'replay' ? null : new GoogleGenAI(clientOptions));
+		if (this.recordMode !== 'passthrough') {
+			this.genAIClient = new CassetteClient({ mode: this.recordMode, dir: this.cassetteDir, client: this.genAIClient });
+		}
+		if (!this.genAIClient?.models) {
+			throw new Error(`${this.constructor.name}: client must implement at least client.models (see GeminiClient in types.d.ts).`);
+		}
 
-		this.genAIClient = new GoogleGenAI(clientOptions);
+		// ── Middleware ──
+		// Every model call (including the SDK chat session's) goes through
+		// this._models, which runs the hooks registered with use().
+		/** @type {Middleware[]} */
+		this._middleware = [];
+		this._models = this._createModelsFacade();
+
+		// ── PII Redaction ──
+		// Registered first so its before runs first and its after runs last:
+		// other middleware only ever sees placeholders.
+		/** @type {Redactor|null} */
+		this.redactor = null;
+		this._rehydrateResponses = false;
+		if (options.redaction) {
+			const redactionOptions = options.redaction === true ? {} : options.redaction;
+			this.redactor = new Redactor(redactionOptions);
+			this._rehydrateResponses = redactionOptions.rehydrate ?? true;
+			this.use(redactionMiddleware(this.redactor, redactionOptions));
+		}
+
+		for (const mw of options.middleware || []) this.use(mw);
+
+		// ── Budget ──
+		// After constructor middleware, so the preflight sees the request as it will be sent.
+		/** @type {BudgetTracker|null} */
+		this.budget = null;
+		if (options.budget) {
+			const budget = resolveBudget(options.budget);
+			this.budget = budget.tracker;
+			this.use(budgetMiddleware(budget));
+		}
+
+		// ── Rate Limiter ──
+		// After the budget, so a call the budget refuses never takes a slot.
+		/** @type {RateLimiter|null} */
+		this.rateLimiter = null;
+		/** @type {import('./types').RateLimitPriority} */
+		this.rateLimitPriority = options.rateLimitPriority ?? 'default';
+		if (options.rateLimiter) {
+			this.rateLimiter = options.rateLimiter instanceof RateLimiter ? options.rateLimiter : new RateLimiter(options.rateLimiter);
+			this.use(rateLimiterMiddleware(this.rateLimiter, this.rateLimitPriority));
+		}
+
+		// ── Usage Ledger ──
+		/** @type {UsageLedger|null} */
+		this.usageLedger = options.usageLedger || null;
+		if (this.usageLedger) this.use(usageLedgerMiddleware(this.usageLedger));
+
+		// ── Telemetry ──
+		// Registered last so its span and duration cover the API call itself.
+		/** @type {Telemetry|null} */
+		this.telemetry = null;
+		if (options.telemetry) {
+			this.telemetry = options.telemetry instanceof Telemetry
+				? options.telemetry
+				: new Telemetry(options.telemetry === true ? {} : options.telemetry);
+			this.use(telemetryMiddleware(this.telemetry));
+		}
+
+		// ── Response Cache ──
+		// Opt-in, stateless calls only (Message.send, Transformer stateless sends/batches).
+		/** @type {import('./types').ResponseCache|null} */
+		this.responseCache = options.responseCache === true ? new MemoryResponseCache() : (options.responseCache || null);
 
 		// ── State ──
 		this.chatSession = null;
@@ -292,8 +641,8 @@ class BaseGemini {
 
 		log.debug(`Initializing ${this.constructor.name} chat session with model: ${this.modelName}...`);
 
-		const chatOptions = this._getChatCreateOptions();
-		this.chatSession = this.genAIClient.chats.create(chatOptions);
+		this.chatSession = this._createChatSession();
+		await this._restoreSession();
 
 		await this._healthCheckPing();
 
@@ -313,7 +662,9 @@ class BaseGemini {
 			await this.genAIClient.models.list();
 			log.debug(`${this.constructor.name}: API connection successful.`);
 		} catch (e) {
-			throw new Error(`${this.constructor.name} initialization failed: ${e.message}`);
+			const message = `${this.constructor.name} initialization failed: ${e.message}`;
+			const typed = classifyError(e, { message });
+			throw typed instanceof GeminiError ? typed : new Error(message);
 		}
 	}
 
@@ -356,7 +707,54 @@ class BaseGemini {
 	_createChatSession(history = []) {
 		const opts = this._getChatCreateOptions();
 		opts.history = history;
-		return this.genAIClient.chats.create(opts);
+		// Clients without chats.create (e.g. a bare models proxy) get the SDK's chat over our models facade
+		const chats = this.genAIClient.chats || new Chats(/** @type {any} */ (this._models), /** @type {any} */ (null));
+		const session = chats.create(opts);
+		// The SDK chat sends through its models module; point it at ours so middleware sees chat turns
+		/** @type {any} */ (session).modelsModule = this._models;
+		return session;
+	}
+
+	/**
+	 * Replaces the chat session with the history saved under `sessionId`, if any.
+	 * The saved `exampleCount` comes along so seeded examples stay separate from
+	 * the conversation (Transformer's clearHistory() keeps exactly that prefix).
+	 * @returns {Promise<boolean>} Whether a saved session was restored
+	 * @protected
+	 */
+	async _restoreSession() {
+		this._sessionRestored = false;
+		if (!this.sessionStore) return false;
+
+		const record = await this.sessionStore.load(this.sessionId);
+		if (!record?.history?.length) return false;
+
+		this.chatSession = this._createChatSession(record.history);
+		this.exampleCount = record.meta?.exampleCount || 0;
+		this._sessionRestored = true;
+		log.debug(`${this.constructor.name}: Restored session "${this.sessionId}" (${record.history.length} history items, ${this.exampleCount} examples).`);
+		return true;
+	}
+
+	/**
+	 * Saves the current history to the session store. A failed save is logged, not
+	 * thrown — the turn already happened (and was billed), and the next save
+	 * writes the full history again.
+	 * @returns {Promise<void>}
+	 * @protected
+	 */
+	async _saveSession() {
+		if (!this.sessionStore || !this.chatSession) return;
+		try {
+			await this.sessionStore.save(this.sessionId, this.chatSession.getHistory(), {
+				exampleCount: this.exampleCount,
+				modelName: this.modelName,
+				className: this.constructor.name,
+				updatedAt: Date.now()
+			});
+		} catch (e) {
+			log.error(`${this.constructor.name}: Could not save session "${this.sessionId}": ${e.message}`);
+		}
 	}
 
 	/**
@@ -385,6 +783,7 @@ class BaseGemini {
 		this.chatSession = this._createChatSession([]);
 		this.lastResponseMetadata = null;
 		this._cumulativeUsage = { promptTokens: 0, responseTokens: 0, totalTokens: 0, attempts: 0 };
+		await this._saveSession();
 		log.debug(`${this.constructor.name}: Conversation history cleared.`);
 	}
 
@@ -464,11 +863,22 @@ class BaseGemini {
 		}
 
 		const currentHistory = this.chatSession?.getHistory() || [];
-		log.debug(`Adding ${historyToAdd.length} items to chat history (${currentHistory.length} existing)...`);
 
-		this.chatSession = this._createChatSession([...currentHistory, ...historyToAdd]);
+		if (this._sessionRestored) {
+			// A restored session already carries the examples it was seeded with;
+			// swap that prefix for these examples and keep the conversation after it.
+			const conversation = currentHistory.slice(this.exampleCount);
+			log.debug(`Replacing ${this.exampleCount} restored example items with ${historyToAdd.length}; keeping ${conversation.length} conversation items...`);
+			this.chatSession = this._createChatSession([...historyToAdd, ...conversation]);
+			this.exampleCount = historyToAdd.length;
+			this._sessionRestored = false;
+		} else {
+			log.debug(`Adding ${historyToAdd.length} items to chat history (${currentHistory.length} existing)...`);
+			this.chatSession = this._createChatSession([...currentHistory, ...historyToAdd]);
+			this.exampleCount = currentHistory.length + historyToAdd.length;
+		}
 
-		this.exampleCount = currentHistory.length + historyToAdd.length;
+		await this._saveSession();
 
 		const newHistory = this.chatSession.getHistory();
 		log.debug(`Chat session now has ${newHistory.length} history items.`);
@@ -484,12 +894,15 @@ class BaseGemini {
 	 */
 	_captureMetadata(response) {
 		const modelStatus = response?.modelStatus || null;
+		const retries = this._pendingRetries;
+		this._pendingRetries = 0;
 		const promptTokens = response.usageMetadata?.promptTokenCount || 0;
 		const responseTokens = response.usageMetadata?.candidatesTokenCount || 0;
 		const thoughtsTokens = response.usageMetadata?.thoughtsTokenCount || 0;
 		this.lastResponseMetadata = {
 			modelVersion: response.modelVersion || null,
-			requestedModel: this.modelName,
+			requestedModel: response[SERVED_BY] ?? this.modelName,
+			fallbackUsed: (response[SERVED_BY] ?? this.modelName) !== this.primaryModel,
 			promptTokens,
 			responseTokens,
 			thoughtsTokens,
@@ -497,9 +910,12 @@ class BaseGemini {
 			totalTokens: response.usageMetadata?.totalTokenCount || (promptTokens + responseTokens + thoughtsTokens),
 			timestamp: Date.now(),
 			groundingMetadata: response.candidates?.[0]?.groundingMetadata || null,
-			modelStatus
+			modelStatus,
+			retries,
+			costBreakdown: response[FROM_RESPONSE_CACHE] ? null : this._costBreakdown(response),
+			...(response[FROM_RESPONSE_CACHE] && { cached: true })
 		};
-		if (modelStatus === 'DEPRECATED' && !this._deprecationWarned) {
+		if (modelStatus === 'DEPRECATED' && !this._fallBack('deprecated') && !this._deprecationWarned) {
 			log.warn(`Model "${this.modelName}" is marked DEPRECATED by Google. Plan migration.`);
 			this._deprecationWarned = true;
 		}
@@ -521,6 +937,11 @@ class BaseGemini {
 		const responseTokens = useCumulative ? cumulative.responseTokens : meta.responseTokens;
 		const thoughtsTokens = useCumulative ? (cumulative.thoughtsTokens || 0) : (meta.thoughtsTokens || 0);
 		const totalTokens = useCumulative ? cumulative.totalTokens : meta.totalTokens;
+		// Several attempts are priced per attempt (each has its own context tier),
+		// so they need the summed breakdown; a single attempt is the last response's.
+		const costBreakdown = useCumulative && cumulative.attempts > 1
+			? (cumulative.costBreakdown ?? null)
+			: (meta.costBreakdown ?? null);
 
 		return {
 			promptTokens,
@@ -528,12 +949,16 @@ class BaseGemini {
 			thoughtsTokens,
 			totalTokens,
 			attempts: useCumulative ? cumulative.attempts : 1,
+			retries: useCumulative && cumulative.retries !== undefined ? cumulative.retries : (meta.retries || 0),
 			modelVersion: meta.modelVersion,
 			requestedModel: meta.requestedModel,
+			fallbackUsed: meta.fallbackUsed || false,
 			timestamp: meta.timestamp,
 			groundingMetadata: meta.groundingMetadata || null,
 			modelStatus: meta.modelStatus || null,
-			estimatedCost: this._estimatedCost(meta.modelVersion, promptTokens, responseTokens, thoughtsTokens)
+			estimatedCost: costBreakdown ? costBreakdown.total : this._estimatedCost(meta.modelVersion, promptTokens, responseTokens, thoughtsTokens),
+			costBreakdown,
+			...(meta.cached && { cached: true, estimatedCost: 0 })
 		};
 	}
 
@@ -544,12 +969,30 @@ class BaseGemini {
 	 * @param {number} promptTokens
 	 * @param {number} responseTokens
 	 * @param {number} [thoughtsTokens=0]
+	 * @param {{ batch?: boolean }} [opts={}] - Passed to computeCost() (with this instance's serviceTier)
 	 * @returns {number|null}
 	 * @protected
 	 */
-	_estimatedCost(modelVersion, promptTokens, responseTokens, thoughtsTokens = 0) {
-		return computeCost(modelVersion, promptTokens, responseTokens, thoughtsTokens)
-			?? computeCost(this.modelName, promptTokens, responseTokens, thoughtsTokens);
+	_estimatedCost(modelVersion, promptTokens, responseTokens, thoughtsTokens = 0, opts = {}) {
+		const costOpts = { serviceTier: this.serviceTier, ...opts };
+		return computeCost(modelVersion, promptTokens, responseTokens, thoughtsTokens, costOpts)
+			?? computeCost(this.modelName, promptTokens, responseTokens, thoughtsTokens, costOpts);
+	}
+
+	/**
+	 * Per-component cost of one response, from its full usageMetadata (cached,
+	 * audio/video and image-output tokens, context tier) at this instance's
+	 * serviceTier. Prefers `modelVersion` like _estimatedCost().
+	 * @param {Object} response - A single generateContent() response
+	 * @param {{ batch?: boolean }} [opts={}]
+	 * @returns {CostBreakdown|null}
+	 * @protected
+	 */
+	_costBreakdown(response, opts = {}) {
+		const tokens = billableTokens(response?.usageMetadata);
+		const costOpts = { serviceTier: this.serviceTier, ...opts };
+		return computeCostBreakdown(response?.modelVersion, tokens, costOpts)
+			?? computeCostBreakdown(this.modelName, tokens, costOpts);
 	}
 
 	/**
@@ -569,18 +1012,23 @@ class BaseGemini {
 		const thoughtsTokens = response?.usageMetadata?.thoughtsTokenCount || 0;
 		const totalTokens = response?.usageMetadata?.totalTokenCount || (promptTokens + responseTokens + thoughtsTokens);
 		const modelVersion = response?.modelVersion || null;
+		const costBreakdown = this._costBreakdown(response);
 		return {
 			promptTokens,
 			responseTokens,
 			thoughtsTokens,
 			totalTokens,
 			attempts,
+			retries: response?.[RETRIES] || 0,
 			modelVersion,
-			requestedModel: this.modelName,
+			requestedModel: response?.[SERVED_BY] ?? this.modelName,
+			fallbackUsed: (response?.[SERVED_BY] ?? this.modelName) !== this.primaryModel,
 			timestamp: Date.now(),
 			groundingMetadata: response?.candidates?.[0]?.groundingMetadata || null,
 			modelStatus: response?.modelStatus || null,
-			estimatedCost: this._estimatedCost(modelVersion, promptTokens, responseTokens, thoughtsTokens)
+			estimatedCost: costBreakdown?.total ?? null,
+			costBreakdown,
+			...(response?.[FROM_RESPONSE_CACHE] && { cached: true, estimatedCost: 0, costBreakdown: null })
 		};
 	}
 
@@ -612,7 +1060,7 @@ class BaseGemini {
 
 		contents.push({ parts: [{ text: nextMessage }] });
 
-		const resp = await this._withRetry(() => this.genAIClient.models.countTokens({
+		const resp = await this._withRetry(() => this._models.countTokens({
 			model: this.modelName,
 			contents,
 		}));
@@ -633,13 +1081,453 @@ class BaseGemini {
 			inputTokens: tokenInfo.inputTokens,
 			model: this.modelName,
 			pricing: pricing,
-			estimatedInputCost: pricing ? (tokenInfo.inputTokens / 1_000_000) * pricing.input : null,
+			estimatedInputCost: computeCost(this.modelName, tokenInfo.inputTokens, 0, 0, { serviceTier: this.serviceTier }),
 			note: pricing
 				? 'Cost is for input tokens only; output cost depends on response length'
 				: `No pricing known for model "${this.modelName}"; estimatedInputCost is null`
 		};
 	}
 
+	// ── Context Window Management ────────────────────────────────────────────
+
+	/**
+	 * Compacts the chat history when the next send would exceed `maxContextTokens`.
+	 * No-op unless `contextStrategy` is set. Seeded examples (the first
+	 * `exampleCount` items) are always kept; only the conversation after them is
+	 * compacted, and only at user-turn boundaries so tool call/response pairs
+	 * stay together.
+	 *
+	 * - `truncate-oldest` — drop the oldest turns until the estimate fits
+	 * - `sliding-window` — keep the last `contextWindowSize` items (then truncate if still over)
+	 * - `summarize` — replace everything before the window with a model-written summary
+	 *
+	 * @param {Object|string} nextPayload - The message about to be sent
+	 * @returns {Promise<void>}
+	 * @protected
+	 */
+	async _manageContext(nextPayload) {
+		if (!this.contextStrategy || !this.chatSession) return;
+
+		const { inputTokens } = await this.estimate(nextPayload);
+		if (inputTokens <= this.maxContextTokens) return;
+
+		const history = this.chatSession.getHistory();
+		const examples = history.slice(0, this.exampleCount);
+		let conversation = history.slice(this.exampleCount);
+
+		// Per-item token shares, scaled from one countTokens() call by serialized size
+		const nextText = typeof nextPayload === 'string' ? nextPayload : JSON.stringify(nextPayload, null, 2);
+		const sizes = conversation.map(item => JSON.stringify(item).length);
+		const totalChars = sizes.reduce((n, c) => n + c, 0)
+			+ JSON.stringify(examples).length + String(this.systemPrompt || '').length + nextText.length;
+		const tokensPerChar = inputTokens / Math.max(totalChars, 1);
+		const itemTokens = sizes.map(c => c * tokensPerChar);
+		let keptTokens = itemTokens.reduce((n, t) => n + t, 0);
+		const fixedTokens = inputTokens - keptTokens;
+
+		const boundaries = this._turnBoundaries(conversation);
+		let cut = 0;
+		const cutTo = (index) => {
+			for (let i = cut; i < index; i++) keptTokens -= itemTokens[i];
+			cut = index;
+		};
+
+		if (this.contextStrategy !== 'truncate-oldest') {
+			const windowStart = boundaries.find(b => conversation.length - b <= this.contextWindowSize);
+			if (windowStart !== undefined) cutTo(windowStart);
+		}
+
+		let summaryTurns = [];
+		if (this.contextStrategy === 'summarize' && cut > 0) {
+			const summary = await this._summarizeTurns(conversation.slice(0, cut));
+			summaryTurns = [
+				{ role: 'user', parts: [{ text: `Summary of our earlier conversation:
+${summary}` }] },
+				{ role: 'model', parts: [{ text: 'Understood. I will continue with that context in mind.' }] }
+			];
+			keptTokens += summary.length * tokensPerChar;
+		}
+
+		// Still over (or truncate-oldest): drop whole turns from the front
+		for (const b of boundaries) {
+			if (fixedTokens + keptTokens <= this.maxContextTokens) break;
+			if (b > cut) cutTo(b);
+		}
+		if (fixedTokens + keptTokens > this.maxContextTokens) {
+			log.warn(`${this.constructor.name}: context still over budget after compaction (~${Math.round(fixedTokens + keptTokens)} > ${this.maxContextTokens} tokens); seeded examples and the latest turn are never dropped.`);
+		}
+
+		if (cut === 0) return;
+
+		conversation = conversation.slice(cut);
+		this.chatSession = this._createChatSession([...examples, ...summaryTurns, ...conversation]);
+		log.info(`${this.constructor.name}: context over budget (${inputTokens} > ${this.maxContextTokens} tokens); ${this.contextStrategy} compacted ${cut} history items.`);
+	}
+
+	/**
+	 * Indices (after 0) where a new user turn starts — the only safe places to cut
+	 * history. A user turn carrying functionResponse parts belongs to the model's
+	 * preceding functionCall and is not a boundary.
+	 * @param {Array<Object>} conversation
+	 * @returns {number[]}
+	 * @private
+	 */
+	_turnBoundaries(conversation) {
+		const boundaries = [];
+		for (let i = 1; i < conversation.length; i++) {
+			const item = conversation[i];
+			if (item.role === 'user' && !(item.parts || []).some(p => p.functionResponse)) boundaries.push(i);
+		}
+		return boundaries;
+	}
+
+	/**
+	 * Asks the model for a summary of history items, sent as a plain-text
+	 * transcript (tool calls rendered inline) so no tool declarations are needed.
+	 * @param {Array<Object>} turns
+	 * @returns {Promise<string>}
+	 * @private
+	 */
+	async _summarizeTurns(turns) {
+		const transcript = turns.map(item => {
+			const text = (item.parts || []).map(p => {
+				if (p.text) return p.text;
+				if (p.functionCall) return `[called tool ${p.functionCall.name} with ${JSON.stringify(p.functionCall.args)}]`;
+				if (p.functionResponse) return `[tool ${p.functionResponse.name} returned ${JSON.stringify(p.functionResponse.response)}]`;
+				return '[non-text content]';
+			}).join('\n');
+			return `${item.role.toUpperCase()}: ${text}`;
+		}).join('\n\n');
+
+		const result = await this._withRetry(() => this._models.generateContent({
+			model: this.modelName,
+			contents: [{ role: 'user', parts: [{ text: transcript }] }],
+			config: {
+				systemInstruction: SUMMARY_INSTRUCTION,
+				...(this.vertexai && Object.keys(this.labels).length > 0 && { labels: this.labels })
+			}
+		}));
+
+		log.debug(`${this.constructor.name}: summarized ${turns.length} history items (${result.usageMetadata?.totalTokenCount ?? '?'} tokens).`);
+		return result.text || '';
+	}
+
+	// ── Events ──────────────────────────────────────────────────────────────
+
+	/**
+	 * Emits a lifecycle event. Unlike a plain EventEmitter, a listener that
+	 * throws is logged rather than failing the call that emitted, and an
+	 * `error` event with no listener is dropped instead of thrown.
+	 * @param {string|symbol} event
+	 * @param {...any} args
+	 * @returns {boolean} Whether the event had listeners
+	 */
+	emit(event, ...args) {
+		if (this.listenerCount(event) === 0) return false;
+		try {
+			return super.emit(event, ...args);
+		} catch (e) {
+			log.warn(`${this.constructor.name}: "${String(event)}" listener error: ${e.message}`);
+			return true;
+		}
+	}
+
+	/**
+	 * Emits `response` for a completed model call.
+	 * @param {ModelCallContext} ctx
+	 * @private
+	 */
+	_emitResponse(ctx) {
+		if (ctx.method === 'countTokens' || this.listenerCount('response') === 0) return;
+		const usage = ctx.response?.usageMetadata;
+		const tokens = billableTokens(usage);
+		const costOpts = { serviceTier: ctx.config?.serviceTier };
+		const cost = usage
+			? (computeCostBreakdown(ctx.response.modelVersion, tokens, costOpts) ?? computeCostBreakdown(ctx.model, tokens, costOpts))
+			: null;
+		this.emit('response', {
+			className: ctx.className,
+			method: ctx.method,
+			callId: ctx.callId,
+			model: ctx.model,
+			modelVersion: ctx.response?.modelVersion || null,
+			durationMs: Date.now() - ctx.startedAt,
+			usage: usage ? {
+				promptTokens: tokens.promptTokens,
+				responseTokens: tokens.responseTokens,
+				thoughtsTokens: tokens.thoughtsTokens,
+				totalTokens: usage.totalTokenCount || (tokens.promptTokens + tokens.responseTokens + tokens.thoughtsTokens)
+			} : null,
+			estimatedCost: cost?.total ?? null
+		});
+	}
+
+	// ── Telemetry ───────────────────────────────────────────────────────────
+
+	/**
+	 * Runs one tool execution: emits `toolCall` and `toolResult`, inside an
+	 * `execute_tool` span when `telemetry` is on. `fn` gets the call's signal
+	 * (or undefined); if it aborts, the tool's result is abandoned and the
+	 * AbortError / TimeoutError is thrown. Any other failure is rethrown as a
+	 * ToolExecutionError (same message, original error as `cause`).
+	 * @template T
+	 * @param {string} toolName
+	 * @param {Record<string, any>} args
+	 * @param {(signal: AbortSignal|undefined) => Promise<T>} fn
+	 * @returns {Promise<T>}
+	 * @protected
+	 */
+	async _runTool(toolName, args, fn) {
+		const className = this.constructor.name;
+		const startedAt = Date.now();
+		const signal = this._abortSignal() ?? undefined;
+		const run = () => this._untilAborted(fn(signal));
+		this.emit('toolCall', { className, toolName, args });
+		try {
+			this._throwIfAborted();
+			const result = await (this.telemetry ? this.telemetry.tool(className, toolName, run) : run());
+			this.emit('toolResult', { className, toolName, args, result, error: null, durationMs: Date.now() - startedAt });
+			return result;
+		} catch (err) {
+			const error = signal?.aborted
+				? this._classifyError(err)
+				: err instanceof ToolExecutionError ? err : new ToolExecutionError(err?.message ?? String(err), { cause: err, toolName, args });
+			this.emit('toolResult', { className, toolName, args, result: null, error, durationMs: Date.now() - startedAt });
+			throw error;
+		}
+	}
+
+	// ── Middleware ──────────────────────────────────────────────────────────
+
+	/**
+	 * Registers middleware around every model call this instance makes —
+	 * chat turns, stateless sends, streams, token counts and embeddings.
+	 *
+	 * `before(ctx)` hooks run in registration order before the request goes out
+	 * and may change `ctx.model`, `ctx.contents`, `ctx.config` or `ctx.labels`.
+	 * `after(ctx)` hooks run in reverse order once `ctx.response` is set and may
+	 * replace it. For streams, `onChunk(chunk, ctx)` may return a replacement for
+	 * each chunk and `after` runs when the stream ends (`ctx.response` is the last
+	 * chunk, `ctx.chunks` all of them). `onError(ctx)` runs (reverse order) when
+	 * the call throws; the error is rethrown afterwards.
+	 *
+	 * @param {Middleware} middleware
+	 * @returns {this}
+	 *
+	 * @example
+	 * ```javascript
+	 * chat.use({
+	 *   name: 'audit',
+	 *   before: (ctx) => { ctx.state.start = Date.now(); },
+	 *   after: (ctx) => audit.write({ model: ctx.model, ms: Date.now() - ctx.state.start })
+	 * });
+	 * ```
+	 */
+	use(middleware) {
+		const hooks = ['before', 'after', 'onChunk', 'onError'];
+		if (!middleware || !hooks.some(h => typeof middleware[h] === 'function')) {
+			throw new Error(`Middleware must have at least one of: ${hooks.join(', ')}.`);
+		}
+		this._middleware.push(middleware);
+		log.debug(`${this.constructor.name}: middleware registered${middleware.name ? ` (${middleware.name})` : ''}.`);
+		return this;
+	}
+
+	/**
+	 * Stand-in for `genAIClient.models` that runs middleware. Methods look up
+	 * `genAIClient.models` at call time, so a swapped or stubbed client still works.
+	 * @returns {Record<string, (params: Object) => Promise<any>>}
+	 * @private
+	 */
+	_createModelsFacade() {
+		/** @type {Record<string, (params: Object) => Promise<any>>} */
+		const facade = {};
+		for (const method of MIDDLEWARE_METHODS) {
+			facade[method] = (params) => this._callModel(method, params);
+		}
+		return facade;
+	}
+
+	/**
+	 * Runs one SDK models call through the middleware pipeline. Failures come
+	 * out typed (classifyError), and a generateContent call whose prompt or
+	 * answer was blocked throws SafetyBlockedError once the after hooks have run.
+	 * @param {import('./types').ModelCallMethod} method
+	 * @param {Object} params - SDK request ({ model, contents, config })
+	 * @returns {Promise<any>}
+	 * @private
+	 */
+	async _callModel(method, params) {
+		const client = this.genAIClient.models;
+		// Requests built before a fallback (e.g. a Message's params) go to the current model
+		const current = callModelScope.getStore()?.model ?? this.modelName;
+		const chain = this._modelChain();
+		const position = chain.indexOf(params.model);
+		const model = position !== -1 && position < chain.indexOf(current) ? current : params.model;
+
+		/** @type {ModelCallContext} */
+		const ctx = {
+			method,
+			className: this.constructor.name,
+			instance: this,
+			callId: randomUUID(),
+			startedAt: Date.now(),
+			model,
+			contents: params.contents,
+			config: params.config || {},
+			labels: params.config?.labels || null,
+			signal: anySignal([params.config?.abortSignal, this._abortSignal()]),
+			response: undefined,
+			state: {}
+		};
+		const reversed = [...this._middleware].reverse();
+
+		try {
+			for (const mw of this._middleware) {
+				if (mw.before) await mw.before(ctx);
+			}
+
+			const request = {
+				...params,
+				model: ctx.model,
+				contents: ctx.contents,
+				config: {
+					...ctx.config,
+					...(ctx.labels && { labels: ctx.labels }),
+					...(ctx.signal && { abortSignal: ctx.signal })
+				}
+			};
+			if (method !== 'countTokens') {
+				this.emit('request', { className: ctx.className, method, callId: ctx.callId, model: ctx.model, labels: ctx.labels });
+			}
+
+			if (method !== 'generateContentStream') {
+				ctx.response = await client[method](request);
+				for (const mw of reversed) {
+					if (mw.after) await mw.after(ctx);
+				}
+				// After the hooks, so a blocked response's tokens are still recorded
+				const blocked = method === 'generateContent' ? safetyBlockError(ctx.response) : null;
+				if (blocked) throw blocked;
+				this._emitResponse(ctx);
+				return ctx.response;
+			}
+
+			const stream = await client[method](request);
+			return this._streamThroughMiddleware(stream, ctx, reversed);
+		} catch (err) {
+			const error = this._classifyError(err);
+			if (error && typeof error === 'object') failedModels.set(error, ctx.model);
+			await this._middlewareError(ctx, error, reversed);
+			throw error;
+		}
+	}
+
+	/**
+	 * Wraps a response stream so onChunk hooks see every chunk and after hooks
+	 * run once it ends.
+	 * @param {AsyncIterable<any>} stream
+	 * @param {ModelCallContext} ctx
+	 * @param {Middleware[]} reversed
+	 * @returns {AsyncGenerator<any>}
+	 * @private
+	 */
+	async *_streamThroughMiddleware(stream, ctx, reversed) {
+		ctx.chunks = [];
+		try {
+			for await (let chunk of stream) {
+				for (const mw of reversed) {
+					if (mw.onChunk) chunk = (await mw.onChunk(chunk, ctx)) ?? chunk;
+				}
+				ctx.chunks.push(chunk);
+				yield chunk;
+			}
+			ctx.response = ctx.chunks[ctx.chunks.length - 1] ?? null;
+			for (const mw of reversed) {
+				if (mw.after) await mw.after(ctx);
+			}
+			const blocked = safetyBlockError(ctx.response, ctx.chunks.some(c => c?.candidates?.[0]?.content?.parts?.length));
+			if (blocked) throw blocked;
+			this._emitResponse(ctx);
+		} catch (err) {
+			const error = this._classifyError(err);
+			await this._middlewareError(ctx, error, reversed);
+			throw error;
+		}
+	}
+
+	/**
+	 * Runs onError hooks, then emits `error`. A hook that throws is logged, not
+	 * allowed to mask the original error.
+	 * @param {ModelCallContext} ctx
+	 * @param {Error} err
+	 * @param {Middleware[]} reversed
+	 * @returns {Promise<void>}
+	 * @private
+	 */
+	async _middlewareError(ctx, err, reversed) {
+		if (ctx.error) return; // already reported (error thrown by an after hook mid-stream)
+		ctx.error = err;
+		for (const mw of reversed) {
+			if (!mw.onError) continue;
+			try {
+				await mw.onError(ctx);
+			} catch (hookErr) {
+				log.error(`${this.constructor.name}: middleware onError hook failed: ${hookErr.message}`);
+			}
+		}
+		if (ctx.method !== 'countTokens') {
+			this.emit('error', { className: ctx.className, method: ctx.method, callId: ctx.callId, model: ctx.model, durationMs: Date.now() - ctx.startedAt, error: err });
+		}
+	}
+
+	/**
+	 * Puts redacted values back into text or parsed data. No-op without
+	 * `redaction` (or with `rehydrate: false`).
+	 * @template T
+	 * @param {T} value
+	 * @returns {T}
+	 * @protected
+	 */
+	_rehydrate(value) {
+		if (!this._rehydrateResponses) return value;
+		return this.redactor.rehydrateDeep(value);
+	}
+
+	// ── Response Cache ──────────────────────────────────────────────────────
+
+	/**
+	 * Stateless generateContent() that consults `responseCache` first. A hit
+	 * skips the API (and middleware, since no model call is made); a miss calls
+	 * the model and stores finished responses that have content. Under
+	 * `redaction` entries hold placeholders and hits are rehydrated here.
+	 * @param {{ model: string, contents: any[], config?: Object }} params
+	 * @returns {Promise<any>}
+	 * @protected
+	 */
+	async _generateCached(params) {
+		if (!this.responseCache) return this._withRetry(() => this._models.generateContent(params));
+
+		// With redaction the request is keyed, and the response stored, as the model
+		// saw them: placeholders only, never the values they stand for
+		const key = responseCacheKey(this.redactor ? { ...params, ...redactRequest(this.redactor, params) } : params);
+		const entry = await this.responseCache.get(key);
+		if (entry) {
+			log.debug(`${this.constructor.name}: response cache hit (${key.slice(0, 12)}).`);
+			this.emit('cacheHit', { className: this.constructor.name, model: params.model, key });
+			const cached = fromCacheEntry(entry);
+			return this._rehydrateResponses ? rehydrateResponse(this.redactor, cached) : cached;
+		}
+
+		const response = await this._withRetry(() => this._models.generateContent(params));
+		// Only complete answers: a MAX_TOKENS cut-off would be replayed forever
+		const candidate = response?.candidates?.[0];
+		if (candidate?.finishReason === 'STOP' && candidate.content?.parts?.length) {
+			await this.responseCache.set(key, toCacheEntry(redactedResponse(response)));
+		}
+		return response;
+	}
+
 	// ── Context Caching ─────────────────────────────────────────────────────
 
 	/**
@@ -746,44 +1634,315 @@ class BaseGemini {
 		log.debug(`Using cache: ${cacheName}`);
 	}
 
-	// ── Rate Limit Retry ────────────────────────────────────────────────────
+	// ── Retry ────────────────────────────────────────────────────────────────
 
 	/**
-	 * Detects whether an error is a 429 / RESOURCE_EXHAUSTED rate-limit error.
-	 * @param {Error} error
-	 * @returns {boolean}
+	 * Runs an API call under `retryPolicy` (see retry.js): retryable failures
+	 * (429, 5xx, network errors, timeouts by default) are retried after the
+	 * server's Retry-After / RetryInfo delay or a jittered backoff; anything else
+	 * is rethrown immediately. Errors come out classified (see errors.js) with
+	 * `attempts` set. Each 429 emits `rateLimited`; each failure that will be
+	 * retried emits `retry` and calls `retryPolicy.onRetry`. A result that took
+	 * retries records how many, for UsageData.retries. Nothing is retried once
+	 * the call's signal has aborted, and the backoff sleep ends with it. A model
+	 * call that still fails is run again on the next of `fallbackModels` when
+	 * its error matches `fallbackOn` (see _fallBackOn()), with a fresh retry budget.
+	 * @param {() => Promise<T>} fn - The async function to execute
+	 * @returns {Promise<T>}
+	 * @template T
+	 * @protected
+	 */
+	async _withRetry(fn) {
+		const policy = this.retryPolicy;
+		let started = Date.now();
+		let delay = 0;
+		/** @type {string|null} Model this call alone has moved on to */
+		let callModel = null;
+		for (let attempt = 0; ; attempt++) {
+			try {
+				const result = await (callModel ? callModelScope.run({ model: callModel }, fn) : fn());
+				if (attempt > 0) {
+					this._pendingRetries += attempt;
+					if (result && typeof result === 'object') Object.defineProperty(result, RETRIES, { value: attempt, configurable: true });
+				}
+				if (callModel && result && typeof result === 'object') Object.defineProperty(result, SERVED_BY, { value: callModel, configurable: true });
+				return result;
+			} catch (err) {
+				const error = this._classifyError(err);
+				if (error instanceof GeminiError) error.attempts = attempt + 1;
+				if (this._abortSignal()?.aborted) throw error;
+
+				if (isRetryable(error, policy)) {
+					const serverDelay = policy.respectRetryAfter ? retryAfterMs(error) : null;
+					delay = serverDelay ?? backoffDelay(policy, attempt + 1, delay);
+					const elapsedMs = Date.now() - started;
+					const willRetry = attempt < policy.maxRetries && (policy.maxElapsedMs == null || elapsedMs + delay <= policy.maxElapsedMs);
+					const rateLimited = error instanceof RateLimitError;
+					const event = { className: this.constructor.name, attempt: attempt + 1, maxRetries: policy.maxRetries, delayMs: willRetry ? delay : null, error };
+					if (rateLimited) this.emit('rateLimited', { ...event, willRetry });
+
+					if (willRetry) {
+						this.emit('retry', { ...event, reason: rateLimited ? 'rateLimit' : 'transient' });
+						log.warn(`${rateLimited ? 'Rate limited (429)' : `Transient error (${error.status ?? error.name})`}. Retrying in ${Math.round(delay)}ms (attempt ${attempt + 1}/${policy.maxRetries})...`);
+						if (policy.onRetry) await policy.onRetry({ ...event, delayMs: delay, elapsedMs, retryAfterMs: serverDelay });
+						await this._sleep(delay);
+						continue;
+					}
+				}
+
+				// Out of retries on this model: start over on the next fallback model, if any
+				const next = this._fallBackOn(error, callModel);
+				if (!next) throw error;
+				if (next.callOnly) callModel = next.model;
+				attempt = -1;
+				started = Date.now();
+				delay = 0;
+			}
+		}
+	}
+
+	// ── Model Fallback ───────────────────────────────────────────────────────
+
+	/**
+	 * Where a call that failed with `error` runs next, when the error is a
+	 * model call's failure matching `fallbackOn` (an error class it is an
+	 * instance of, or its HTTP status). A safety block is about the prompt, not
+	 * the model, so it moves only this call on (`callOnly`) and later calls
+	 * stay on the instance's model; so does any failure after that. Anything
+	 * else moves the instance (see _fallBack()).
+	 * @param {any} error - A classified error from _withRetry()
+	 * @param {string|null} callModel - Model this call alone has moved on to
+	 * @returns {{ model: string, callOnly: boolean }|null} null when there's no model left to try
 	 * @private
 	 */
-	_is429Error(error) {
-		const /** @type {any} */ e = error;
-		if (e.status === 429 || e.code === 429 || e.httpStatusCode === 429) return true;
-		const msg = e.message || '';
-		return msg.includes('429') || msg.includes('RESOURCE_EXHAUSTED');
+	_fallBackOn(error, callModel) {
+		const failedOn = error && typeof error === 'object' ? failedModels.get(error) : undefined;
+		if (!failedOn || !this.fallbackOn.some(entry => typeof entry === 'number' ? error.status === entry : error instanceof entry)) return null;
+		const chain = this._modelChain();
+
+		if (callModel || error instanceof SafetyBlockedError) {
+			const position = chain.indexOf(failedOn);
+			if (position === -1 || position === chain.length - 1) return null;
+			const model = chain[position + 1];
+			log.warn(`${this.constructor.name}: retrying one call on "${model}" after "${failedOn}" failed (${error.message || error.name}).`);
+			this.emit('fallback', { className: this.constructor.name, from: failedOn, to: model, reason: 'error', callOnly: true, error });
+			return { model, callOnly: true };
+		}
+		if (failedOn === this.modelName) return this._fallBack('error', error) ? { model: this.modelName, callOnly: false } : null;
+		// A concurrent call has already moved past the model this one failed on
+		const behind = chain.includes(failedOn) && chain.indexOf(failedOn) < chain.indexOf(this.modelName);
+		return behind ? { model: this.modelName, callOnly: false } : null;
 	}
 
 	/**
-	 * Wraps an async function with automatic retry on 429 (RESOURCE_EXHAUSTED) errors.
-	 * Uses exponential backoff with jitter. Non-429 errors are rethrown immediately.
-	 * @param {() => Promise<T>} fn - The async function to execute
+	 * `[primaryModel, ...fallbackModels]`, in the order they are tried.
+	 * @returns {string[]}
+	 * @private
+	 */
+	_modelChain() {
+		return [this.primaryModel, ...this.fallbackModels];
+	}
+
+	/**
+	 * Moves the instance to the model after the current one in
+	 * `[primaryModel, ...fallbackModels]`, rebuilding the chat session (if
+	 * there is one) on it with the same history, and emits `fallback`.
+	 * @param {'error'|'deprecated'} reason
+	 * @param {Error|null} [error=null]
+	 * @returns {boolean} false when there's no model left to try
+	 * @protected
+	 */
+	_fallBack(reason, error = null) {
+		const chain = this._modelChain();
+		const position = chain.indexOf(this.modelName);
+		if (position === -1 || position === chain.length - 1) return false;
+
+		const from = this.modelName;
+		this.modelName = chain[position + 1];
+		if (this.chatSession) this.chatSession = this._createChatSession(this.chatSession.getHistory());
+		log.warn(`${this.constructor.name}: falling back from "${from}" to "${this.modelName}" (${reason === 'deprecated' ? 'model is DEPRECATED' : error?.message || error?.name}).`);
+		this.emit('fallback', { className: this.constructor.name, from, to: this.modelName, reason, callOnly: false, error });
+		return true;
+	}
+
+	// ── Cancellation ─────────────────────────────────────────────────────────
+
+	/**
+	 * Runs one public call with its `signal` and `timeoutMs` (default: the
+	 * instance's `timeoutMs`) in scope. Every model call made under it is sent
+	 * with the combined signal as `config.abortSignal`, and retry backoff,
+	 * RagAgent file polling and tool runs stop when it aborts. The timeout
+	 * covers the whole call, retries included. Calls made under another call's
+	 * scope (a RagAgent's embeddings, Transformer.transformBatch's sends) also
+	 * abort with it. An aborted call throws AbortError; a timed-out one throws
+	 * TimeoutError with `timeoutMs` set.
+	 * @template T
+	 * @param {{ signal?: AbortSignal, timeoutMs?: number|null }} opts
+	 * @param {() => Promise<T>} fn
 	 * @returns {Promise<T>}
+	 * @protected
+	 */
+	async _withCallOptions(opts, fn) {
+		const { scope, done } = this._openCallScope(opts);
+		if (!scope) return fn();
+		try {
+			return await callScope.run(scope, async () => {
+				this._throwIfAborted();
+				try {
+					return await fn();
+				} catch (err) {
+					throw this._classifyError(err);
+				}
+			});
+		} finally {
+			done();
+		}
+	}
+
+	/**
+	 * _withCallOptions() for async generators: each step of `makeStream()`'s
+	 * generator runs in the call's scope.
 	 * @template T
+	 * @param {{ signal?: AbortSignal, timeoutMs?: number|null }} opts
+	 * @param {() => AsyncGenerator<T>} makeStream
+	 * @returns {AsyncGenerator<T>}
 	 * @protected
 	 */
-	async _withRetry(fn) {
-		const maxAttempts = this.resourceExhaustedRetries;
-		for (let attempt = 0; attempt <= maxAttempts; attempt++) {
+	async *_streamWithCallOptions(opts, makeStream) {
+		const { scope, done } = this._openCallScope(opts);
+		if (!scope) {
+			yield* makeStream();
+			return;
+		}
+		const inScope = (/** @type {() => Promise<any>} */ step) => callScope.run(scope, async () => {
+			this._throwIfAborted();
 			try {
-				return await fn();
-			} catch (error) {
-				if (!this._is429Error(error) || attempt >= maxAttempts) throw error;
-				const jitter = Math.random() * 500;
-				const delay = this.resourceExhaustedDelay * Math.pow(2, attempt) + jitter;
-				log.warn(`Rate limited (429). Retrying in ${Math.round(delay)}ms (attempt ${attempt + 1}/${maxAttempts})...`);
-				await new Promise(r => setTimeout(r, delay));
+				return await step();
+			} catch (err) {
+				throw this._classifyError(err);
 			}
+		});
+		const stream = callScope.run(scope, makeStream);
+		try {
+			while (true) {
+				const { value, done: finished } = await inScope(() => stream.next());
+				if (finished) return;
+				yield value;
+			}
+		} finally {
+			// Stopped early (break / abort): let the inner generator run its cleanup
+			await callScope.run(scope, () => stream.return(undefined)).catch(() => {});
+			done();
 		}
 	}
 
+	/**
+	 * The scope for a call's options, combined with any enclosing call's signal.
+	 * `done()` clears the timeout timer.
+	 * @param {{ signal?: AbortSignal, timeoutMs?: number|null }} [opts={}]
+	 * @returns {{ scope: { signal: AbortSignal }|null, done: () => void }}
+	 * @private
+	 */
+	_openCallScope(opts = {}) {
+		const outer = callScope.getStore() || null;
+		const timeoutMs = opts.timeoutMs ?? this.timeoutMs;
+		/** @type {ReturnType<typeof setTimeout>|null} */
+		let timer = null;
+		/** @type {AbortSignal|null} */
+		let timeoutSignal = null;
+		if (timeoutMs != null && timeoutMs > 0) {
+			const controller = new AbortController();
+			const reason = new TimeoutError(`${this.constructor.name} call timed out after ${timeoutMs}ms.`, { timeoutMs });
+			timer = setTimeout(() => controller.abort(reason), timeoutMs);
+			timer.unref?.();
+			timeoutSignal = controller.signal;
+		}
+		const signal = anySignal([outer?.signal, opts.signal, timeoutSignal]);
+		const done = () => { if (timer) clearTimeout(timer); };
+		if (!signal) return { scope: null, done };
+		return { scope: signal === outer?.signal ? outer : { signal }, done };
+	}
+
+	/**
+	 * The signal of the call in progress, if it has one.
+	 * @returns {AbortSignal|null}
+	 * @protected
+	 */
+	_abortSignal() {
+		return callScope.getStore()?.signal ?? null;
+	}
+
+	/**
+	 * Throws the call's AbortError / TimeoutError if its signal has aborted.
+	 * @protected
+	 */
+	_throwIfAborted() {
+		const signal = this._abortSignal();
+		if (signal?.aborted) throw this._classifyError(signal.reason);
+	}
+
+	/**
+	 * classifyError(), except that any failure after the call's signal aborted
+	 * becomes the abort itself: the TimeoutError of a `timeoutMs` that ran out,
+	 * or an AbortError carrying the signal's reason as `cause`.
+	 * @param {any} err
+	 * @returns {any}
+	 * @protected
+	 */
+	_classifyError(err) {
+		const signal = this._abortSignal();
+		if (!signal?.aborted) return classifyError(err);
+		const reason = signal.reason;
+		if (reason instanceof GeminiError) return reason;
+		if (err instanceof AbortError || err instanceof TimeoutError) return err;
+		if (reason?.name === 'TimeoutError') return new TimeoutError(`${this.constructor.name} call timed out.`, { cause: reason });
+		return new AbortError(`${this.constructor.name} call was aborted.`, { cause: reason ?? err });
+	}
+
+	/**
+	 * Waits `ms`, rejecting early if the call's signal aborts.
+	 * @param {number} ms
+	 * @returns {Promise<void>}
+	 * @protected
+	 */
+	_sleep(ms) {
+		const signal = this._abortSignal();
+		return new Promise((resolve, reject) => {
+			if (signal?.aborted) return reject(signal.reason);
+			const onAbort = () => {
+				clearTimeout(timer);
+				reject(signal?.reason);
+			};
+			const timer = setTimeout(() => {
+				signal?.removeEventListener('abort', onAbort);
+				resolve();
+			}, ms);
+			signal?.addEventListener('abort', onAbort, { once: true });
+		});
+	}
+
+	/**
+	 * Settles with `promise`, or rejects as soon as the call's signal aborts
+	 * (the work itself keeps running unless it watches the signal).
+	 * @template T
+	 * @param {Promise<T>} promise
+	 * @returns {Promise<T>}
+	 * @protected
+	 */
+	_untilAborted(promise) {
+		const signal = this._abortSignal();
+		if (!signal) return promise;
+		promise.catch(() => {}); // abandoned on abort; its later failure isn't anyone's to handle
+		/** @type {() => void} */
+		let onAbort = () => {};
+		const aborted = new Promise((_, reject) => {
+			onAbort = () => reject(signal.reason);
+			if (signal.aborted) onAbort();
+			else signal.addEventListener('abort', onAbort, { once: true });
+		});
+		return /** @type {Promise<T>} */ (Promise.race([promise, aborted])).finally(() => signal.removeEventListener('abort', onAbort));
+	}
+
 	// ── Private Helpers ──────────────────────────────────────────────────────
 
 	/**
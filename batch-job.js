@@ -0,0 +1,304 @@
+/**
+ * @fileoverview BatchJob class — asynchronous, discounted jobs on the Gemini Batch API.
+ * Extends Message: same stateless request shape and structured-output options,
+ * but requests are submitted together and answered later at batch pricing.
+ */
+
+import { GenerateContentResponse } from '@google/genai';
+import Message from './message.js';
+import { sumCostBreakdowns } from './base.js';
+import { extractJSON } from './json-helpers.js';
+import { TimeoutError } from './errors.js';
+import log from './logger.js';
+
+/**
+ * @typedef {import('./types').BatchJobOptions} BatchJobOptions
+ * @typedef {import('./types').BatchJobWaitOptions} BatchJobWaitOptions
+ * @typedef {import('./types').BatchJobInfo} BatchJobInfo
+ * @typedef {import('./types').BatchJobResult} BatchJobResult
+ * @typedef {import('./types').BatchJobItemResult} BatchJobItemResult
+ */
+
+const DEFAULT_POLL_INTERVAL = 30_000;
+
+/** States a job never leaves */
+const TERMINAL_STATES = new Set([
+	'JOB_STATE_SUCCEEDED',
+	'JOB_STATE_PARTIALLY_SUCCEEDED',
+	'JOB_STATE_FAILED',
+	'JOB_STATE_CANCELLED',
+	'JOB_STATE_EXPIRED'
+]);
+
+/** Terminal states that carry responses */
+const RESULT_STATES = new Set(['JOB_STATE_SUCCEEDED', 'JOB_STATE_PARTIALLY_SUCCEEDED']);
+
+/**
+ * Submits many stateless requests as one Gemini Batch API job, polls it, and
+ * maps the responses back to the inputs in order. Batch jobs trade latency
+ * (minutes to hours) for a lower price; costs are estimated at batch rates
+ * (see BATCH_DISCOUNT / MODEL_PRICING).
+ *
+ * Requests are sent inline, which the Gemini API supports and Vertex AI does not.
+ * Batch calls go to the client's `batches` module, so middleware and
+ * `responseCache` don't apply to them. `redaction` does: payloads and the system
+ * prompt are redacted before submit(), and results are rehydrated by the same
+ * instance (one reattached by `jobName` in another process gets placeholders).
+ * A `budget` can't be enforced per request, so submit() refuses to run with one.
+ *
+ * @example
+ * ```javascript
+ * import { BatchJob } from 'ak-gemini';
+ *
+ * const job = new BatchJob({
+ *   systemPrompt: 'Classify the sentiment of each review.',
+ *   responseSchema: { type: 'object', properties: { sentiment: { type: 'string' } } }
+ * });
+ *
+ * const { results, summary } = await job.run(reviews, { onPoll: (info) => console.log(info.state) });
+ * results[0].data;        // { sentiment: 'positive' }
+ * summary.estimatedCost;  // USD at batch pricing
+ *
+ * // Later, from another process:
+ * const again = new BatchJob({ jobName: 'batches/abc123' });
+ * await again.wait();
+ * ```
+ */
+class BatchJob extends Message {
+	/**
+	 * @param {BatchJobOptions} [options={}]
+	 */
+	constructor(options = {}) {
+		super(options);
+
+		this.pollInterval = options.pollInterval ?? DEFAULT_POLL_INTERVAL;
+		this.displayName = options.displayName || null;
+		/** @type {string|null} Resource name of the submitted job (e.g. 'batches/abc123') */
+		this.jobName = options.jobName || null;
+		/** @type {BatchJobInfo|null} Job state from the last submit() / status() call */
+		this.info = null;
+
+		log.debug(`BatchJob created${this.jobName ? ` for ${this.jobName}` : ''}`);
+	}
+
+	/**
+	 * Packages payloads as inline requests and submits them as one batch job.
+	 * Payloads are sent like Message.send(): strings as-is, objects as JSON.
+	 * @param {Array<Object|string>} payloads
+	 * @returns {Promise<BatchJobInfo>}
+	 */
+	async submit(payloads) {
+		if (!this._initialized) await this.init();
+		if (!Array.isArray(payloads) || payloads.length === 0) {
+			throw new Error("submit() expects a non-empty array of payloads.");
+		}
+		if (this.vertexai) {
+			throw new Error("BatchJob sends requests inline, which only the Gemini API supports. Vertex AI batch prediction needs a GCS or BigQuery source.");
+		}
+		if (this.budget) {
+			throw new Error("BatchJob can't enforce a budget: batch requests skip the per-call budget checks. Drop the budget option; the result's summary.estimatedCost reports what the job cost.");
+		}
+
+		// Batch requests skip middleware, so redaction is applied here
+		const redact = (/** @type {string} */ text) => this.redactor ? this.redactor.redact(text) : text;
+		const config = { ...this.chatConfig };
+		if (typeof config.systemInstruction === 'string') config.systemInstruction = redact(config.systemInstruction);
+		const inlinedRequests = payloads.map(payload => ({
+			contents: [{ role: 'user', parts: [{ text: redact(typeof payload === 'string' ? payload : JSON.stringify(payload, null, 2)) }] }],
+			config
+		}));
+
+		const job = await this._batches().create({
+			model: this.modelName,
+			src: { inlinedRequests },
+			config: { ...(this.displayName && { displayName: this.displayName }) }
+		});
+
+		this.jobName = job.name;
+		this._updateInfo(job);
+		log.info(`BatchJob: submitted ${payloads.length} requests as ${job.name}.`);
+		return /** @type {BatchJobInfo} */ (this.info);
+	}
+
+	/**
+	 * Fetches the job's current state.
+	 * @returns {Promise<BatchJobInfo>}
+	 */
+	async status() {
+		const name = this._requireJobName();
+		const job = await this._withRetry(() => this._batches().get({ name }));
+		this._updateInfo(job);
+		return /** @type {BatchJobInfo} */ (this.info);
+	}
+
+	/**
+	 * Polls until the job finishes, then returns its results. Each poll is
+	 * retried under `retryPolicy`, so a transient error doesn't end the wait.
+	 * `signal` stops waiting at once; like `timeoutMs`, it leaves the job running.
+	 * @param {BatchJobWaitOptions} [opts={}]
+	 * @returns {Promise<BatchJobResult>}
+	 */
+	async wait(opts = {}) {
+		// timeoutMs is handled below (stop before a poll that would overrun it),
+		// not as the instance's per-call time limit
+		return this._withCallOptions({ signal: opts.signal, timeoutMs: 0 }, async () => {
+			const pollInterval = opts.pollInterval ?? this.pollInterval;
+			const started = Date.now();
+
+			let info = await this.status();
+			while (!info.done) {
+				if (opts.onPoll) {
+					try { opts.onPoll(info); }
+					catch (e) { log.warn(`onPoll callback error: ${e.message}`); }
+				}
+				if (opts.timeoutMs && Date.now() - started + pollInterval > opts.timeoutMs) {
+					throw new TimeoutError(`Batch job ${info.name} is still ${info.state} after ${opts.timeoutMs}ms. Call wait() again later (the job keeps running).`, { timeoutMs: opts.timeoutMs });
+				}
+				await this._sleep(pollInterval);
+				info = await this.status();
+			}
+			log.debug(`BatchJob: ${info.name} finished in ${info.state}.`);
+			return this.results();
+		});
+	}
+
+	/**
+	 * submit() then wait().
+	 * @param {Array<Object|string>} payloads
+	 * @param {BatchJobWaitOptions} [opts={}]
+	 * @returns {Promise<BatchJobResult>}
+	 */
+	async run(payloads, opts = {}) {
+		await this.submit(payloads);
+		return this.wait(opts);
+	}
+
+	/**
+	 * Responses of a finished job, in input order. A request the API couldn't
+	 * answer is `{ ok: false, error }`; it never rejects the whole result.
+	 * @returns {Promise<BatchJobResult>}
+	 */
+	async results() {
+		const name = this._requireJobName();
+		const job = await this._withRetry(() => this._batches().get({ name }));
+		this._updateInfo(job);
+		const info = /** @type {BatchJobInfo} */ (this.info);
+
+		if (!info.done) {
+			throw new Error(`Batch job ${info.name} is still ${info.state}. Use wait() to poll until it finishes.`);
+		}
+		if (!RESULT_STATES.has(info.state)) {
+			throw new Error(`Batch job ${info.name} ended in ${info.state}${job.error?.message ? `: ${job.error.message}` : ''}.`);
+		}
+		const inlined = job.dest?.inlinedResponses;
+		if (!inlined) {
+			throw new Error(`Batch job ${info.name} wrote its results to ${job.dest?.fileName || 'a file'} instead of returning them inline; download that file to read them.`);
+		}
+
+		/** @type {BatchJobItemResult[]} */
+		const results = inlined.map((/** @type {any} */ entry, /** @type {number} */ index) => this._toItemResult(entry, index));
+
+		const used = results.map(r => r.usage).filter(Boolean);
+		const promptTokens = used.reduce((n, u) => n + u.promptTokens, 0);
+		const responseTokens = used.reduce((n, u) => n + u.responseTokens, 0);
+		const thoughtsTokens = used.reduce((n, u) => n + (u.thoughtsTokens || 0), 0);
+		const costs = used.map(u => u.estimatedCost).filter(c => c != null);
+		const succeeded = results.filter(r => r.ok).length;
+
+		return {
+			name: info.name,
+			state: info.state,
+			results,
+			summary: {
+				total: results.length,
+				succeeded,
+				failed: results.length - succeeded,
+				promptTokens,
+				responseTokens,
+				thoughtsTokens,
+				totalTokens: used.reduce((n, u) => n + u.totalTokens, 0),
+				estimatedCost: costs.length > 0 ? costs.reduce((n, c) => n + c, 0) : null,
+				costBreakdown: sumCostBreakdowns(used.map(u => u.costBreakdown))
+			}
+		};
+	}
+
+	/**
+	 * Asks the API to cancel the job. Requests already answered are still billed.
+	 * @returns {Promise<BatchJobInfo>}
+	 */
+	async cancel() {
+		const name = this._requireJobName();
+		await this._withRetry(() => this._batches().cancel({ name }));
+		return this.status();
+	}
+
+	// ── Private Helpers ──────────────────────────────────────────────────────
+
+	/**
+	 * @param {any} entry - InlinedResponse (`{ response }` or `{ error }`)
+	 * @param {number} index
+	 * @returns {BatchJobItemResult}
+	 * @private
+	 */
+	_toItemResult(entry, index) {
+		if (!entry?.response) {
+			return { index, ok: false, text: null, error: entry?.error?.message || 'No response returned for this request.', usage: null };
+		}
+		const response = entry.response instanceof GenerateContentResponse
+			? entry.response
+			: Object.assign(new GenerateContentResponse(), entry.response);
+		const usage = this._usageFromResponse(response);
+		usage.costBreakdown = this._costBreakdown(response, { batch: true });
+		usage.estimatedCost = usage.costBreakdown?.total ?? null;
+
+		/** @type {BatchJobItemResult} */
+		const result = { index, ok: true, text: this._rehydrate(response.text || ''), error: null, usage };
+		if (this._isStructured) {
+			try {
+				result.data = extractJSON(result.text);
+			} catch (e) {
+				log.warn(`Could not parse structured response for batch item ${index}: ${e.message}`);
+				result.data = null;
+			}
+		}
+		return result;
+	}
+
+	/**
+	 * @param {any} job - SDK BatchJob resource
+	 * @private
+	 */
+	_updateInfo(job) {
+		this.info = {
+			name: job.name,
+			state: job.state || 'JOB_STATE_UNSPECIFIED',
+			done: TERMINAL_STATES.has(job.state),
+			createTime: job.createTime || null,
+			updateTime: job.updateTime || null,
+			endTime: job.endTime || null,
+			error: job.error?.message || null
+		};
+	}
+
+	/**
+	 * @returns {any} The client's batches module
+	 * @private
+	 */
+	_batches() {
+		const batches = /** @type {any} */ (this.genAIClient).batches;
+		if (!batches) throw new Error("This client has no batches module; BatchJob needs one (GoogleGenAI and MockGeminiClient both provide it).");
+		return batches;
+	}
+
+	/**
+	 * @returns {string}
+	 * @private
+	 */
+	_requireJobName() {
+		if (!this.jobName) throw new Error("No batch job yet. Call submit() first, or pass jobName to reattach to an existing job.");
+		return this.jobName;
+	}
+}
+
+export default BatchJob;
@@ -0,0 +1,273 @@
+/**
+ * @fileoverview Spend and token caps for model calls.
+ *
+ * A BudgetTracker accumulates the estimated USD cost and tokens of every call
+ * made against it. BaseGemini installs budgetMiddleware when constructed with
+ * `budget`: before each call it estimates the request's input tokens and cost
+ * and throws BudgetExceededError if that would cross a cap; after the call it
+ * records what the response actually used (computeCostBreakdown on usageMetadata).
+ *
+ * - `budget: { maxUSD, maxTokens }` — a tracker for this instance alone
+ * - `budget: { maxUSD, maxTokens, scope: 'process' }` — caps checked against
+ *   everything every process-scoped instance has spent (BudgetTracker.process)
+ * - `budget: tracker` — several instances drawing from one shared BudgetTracker
+ *
+ * Output cost can't be known before a call, so a cap is only checked against
+ * input; the call that crosses it completes, and the next one throws.
+ *
+ * The call that takes spend past `warnAt` (default 0.8) of a cap emits a
+ * `budgetWarning` event on the instance that made it.
+ *
+ * @example
+ * ```javascript
+ * import { ToolAgent, Transformer, BudgetTracker } from 'ak-gemini';
+ *
+ * const nightly = new BudgetTracker({ maxUSD: 5 });
+ * const agent = new ToolAgent({ budget: nightly, tools, toolExecutor });
+ * const t = new Transformer({ budget: nightly });
+ * nightly.spentUSD; // both instances' spend
+ * ```
+ */
+
+import { computeCost, computeCostBreakdown, billableTokens } from './base.js';
+import { GeminiError } from './errors.js';
+import log from './logger.js';
+
+/**
+ * @typedef {import('./types').BudgetOptions} BudgetOptions
+ * @typedef {import('./types').BudgetLimits} BudgetLimits
+ * @typedef {import('./types').Middleware} Middleware
+ */
+
+/**
+ * Thrown before a model call that would cross a budget cap.
+ */
+export class BudgetExceededError extends GeminiError {
+	/**
+	 * @param {Object} details
+	 * @param {'maxUSD'|'maxTokens'} details.limit - Which cap
+	 * @param {number} details.max - The cap
+	 * @param {number} details.spent - Spent before this call
+	 * @param {number} details.estimated - This call's estimated input
+	 * @param {string} details.scope - 'instance', 'process' or the tracker's name
+	 */
+	constructor({ limit, max, spent, estimated, scope }) {
+		const fmt = limit === 'maxUSD' ? (/** @type {number} */ n) => `$${n.toFixed(4)}` : (/** @type {number} */ n) => `${n} tokens`;
+		super(`Budget exceeded (${scope}): ${limit} ${fmt(max)} would be crossed — spent ${fmt(spent)}, this call needs ~${fmt(estimated)}.`, { retryable: false });
+		this.name = 'BudgetExceededError';
+		this.limit = limit;
+		this.max = max;
+		this.spent = spent;
+		this.estimated = estimated;
+		this.scope = scope;
+	}
+}
+
+/** Default fraction of a cap at which `budgetWarning` is emitted */
+const DEFAULT_WARN_AT = 0.8;
+
+/** @type {BudgetTracker|null} */
+let processTracker = null;
+
+/**
+ * Running totals of cost and tokens, with optional caps.
+ */
+export class BudgetTracker {
+	/**
+	 * @param {Object} [options={}]
+	 * @param {number|null} [options.maxUSD=null] - Spend cap in USD (estimated)
+	 * @param {number|null} [options.maxTokens=null] - Cap on total tokens (input + output + thinking)
+	 * @param {number|null} [options.warnAt=0.8] - Fraction of a cap that emits `budgetWarning` (null = never)
+	 * @param {string} [options.name='shared'] - Shown in BudgetExceededError
+	 */
+	constructor(options = {}) {
+		this.maxUSD = options.maxUSD ?? null;
+		this.maxTokens = options.maxTokens ?? null;
+		this.warnAt = options.warnAt === undefined ? DEFAULT_WARN_AT : options.warnAt;
+		this.name = options.name || 'shared';
+		this.spentUSD = 0;
+		this.spentTokens = 0;
+		this.calls = 0;
+	}
+
+	/**
+	 * The tracker every `scope: 'process'` instance records into. It has no
+	 * caps of its own; each instance checks its caps against its totals.
+	 * @returns {BudgetTracker}
+	 */
+	static get process() {
+		if (!processTracker) processTracker = new BudgetTracker({ name: 'process' });
+		return processTracker;
+	}
+
+	/**
+	 * What's left under each cap (null = uncapped).
+	 * @param {BudgetLimits} [limits] - Caps to measure against (default: this tracker's)
+	 * @returns {{ usd: number|null, tokens: number|null }}
+	 */
+	remaining(limits = this) {
+		return {
+			usd: limits.maxUSD == null ? null : Math.max(0, limits.maxUSD - this.spentUSD),
+			tokens: limits.maxTokens == null ? null : Math.max(0, limits.maxTokens - this.spentTokens)
+		};
+	}
+
+	/**
+	 * Throws BudgetExceededError if spending `estimate` on top of what's spent
+	 * would cross a cap (or a cap is already reached).
+	 * @param {{ usd?: number|null, tokens?: number }} estimate
+	 * @param {BudgetLimits} [limits] - Caps to check (default: this tracker's)
+	 * @param {string} [scope] - Label for the error (default: the tracker's name)
+	 */
+	check(estimate, limits = this, scope = this.name) {
+		const usd = estimate.usd || 0;
+		const tokens = estimate.tokens || 0;
+		if (limits.maxUSD != null && (this.spentUSD >= limits.maxUSD || this.spentUSD + usd > limits.maxUSD)) {
+			throw new BudgetExceededError({ limit: 'maxUSD', max: limits.maxUSD, spent: this.spentUSD, estimated: usd, scope });
+		}
+		if (limits.maxTokens != null && (this.spentTokens >= limits.maxTokens || this.spentTokens + tokens > limits.maxTokens)) {
+			throw new BudgetExceededError({ limit: 'maxTokens', max: limits.maxTokens, spent: this.spentTokens, estimated: tokens, scope });
+		}
+	}
+
+	/**
+	 * Adds one call's spend.
+	 * @param {{ usd?: number|null, tokens?: number }} spend
+	 */
+	record(spend) {
+		this.spentUSD += spend.usd || 0;
+		this.spentTokens += spend.tokens || 0;
+		this.calls++;
+	}
+
+	/** Zeroes the totals (caps are kept). */
+	reset() {
+		this.spentUSD = 0;
+		this.spentTokens = 0;
+		this.calls = 0;
+	}
+}
+
+/**
+ * Resolves the `budget` constructor option to a tracker, the caps to check
+ * against it, and a scope label.
+ * @param {BudgetOptions|BudgetTracker} budget
+ * @returns {{ tracker: BudgetTracker, limits: BudgetLimits, scope: string, preflight: BudgetOptions['preflight'] }}
+ */
+export function resolveBudget(budget) {
+	if (budget instanceof BudgetTracker) {
+		return { tracker: budget, limits: budget, scope: budget.name, preflight: 'approximate' };
+	}
+	const scope = budget.scope || 'instance';
+	if (scope !== 'instance' && scope !== 'process') {
+		throw new Error(`Unknown budget scope "${scope}". Use 'instance' or 'process'.`);
+	}
+	if (budget.maxUSD == null && budget.maxTokens == null) {
+		throw new Error("budget needs maxUSD and/or maxTokens (or pass a BudgetTracker).");
+	}
+	const limits = {
+		maxUSD: budget.maxUSD ?? null,
+		maxTokens: budget.maxTokens ?? null,
+		warnAt: budget.warnAt === undefined ? DEFAULT_WARN_AT : budget.warnAt
+	};
+	const tracker = scope === 'process' ? BudgetTracker.process : new BudgetTracker({ ...limits, name: 'instance' });
+	return { tracker, limits, scope, preflight: budget.preflight ?? 'approximate' };
+}
+
+/**
+ * Rough token count (~4 characters per token) of request contents.
+ * @param {any} contents
+ * @returns {number}
+ */
+function approxTokens(contents) {
+	return Math.ceil(JSON.stringify(contents ?? '').length / 4);
+}
+
+/**
+ * Input tokens of a model call (system instruction included), sized with
+ * countTokens or a ~4 chars/token guess. A failed countTokens falls back to
+ * the guess. Also used by rateLimiterMiddleware.
+ * @param {import('./types').ModelCallContext} ctx
+ * @param {'countTokens'|'approximate'} method
+ * @returns {Promise<number>}
+ */
+export async function preflightTokens(ctx, method) {
+	const system = typeof ctx.config?.systemInstruction === 'string'
+		? [{ role: 'user', parts: [{ text: ctx.config.systemInstruction }] }]
+		: [];
+	const contents = [...system, ...[].concat(ctx.contents ?? [])];
+	if (method !== 'countTokens') return approxTokens(contents);
+	try {
+		const counted = await ctx.instance.genAIClient.models.countTokens({ model: ctx.model, contents });
+		return counted?.totalTokens ?? approxTokens(contents);
+	} catch (e) {
+		log.debug(`${ctx.className}: preflight countTokens failed (${e.message}); approximating.`);
+		return approxTokens(contents);
+	}
+}
+
+/**
+ * Emits `budgetWarning` for each cap whose warning threshold the last
+ * recorded call crossed.
+ * @param {import('./types').ModelCallContext} ctx
+ * @param {BudgetTracker} tracker
+ * @param {{ usd: number, tokens: number }} before - Spend before the call
+ * @param {BudgetLimits} limits
+ * @param {string} scope
+ */
+function warnIfCrossed(ctx, tracker, before, limits, scope) {
+	if (limits.warnAt == null) return;
+	const caps = /** @type {const} */ ([['maxUSD', before.usd, tracker.spentUSD], ['maxTokens', before.tokens, tracker.spentTokens]]);
+	for (const [limit, spentBefore, spent] of caps) {
+		const max = limits[limit];
+		if (max == null) continue;
+		const threshold = max * limits.warnAt;
+		if (spentBefore < threshold && spent >= threshold) {
+			ctx.instance.emit('budgetWarning', { className: ctx.className, limit, max, spent, fraction: spent / max, warnAt: limits.warnAt, scope });
+		}
+	}
+}
+
+/**
+ * Middleware that enforces a budget around every model call. countTokens is
+ * free and never checked.
+ *
+ * Before the call the input is sized with a ~4 chars/token guess (`preflight:
+ * 'approximate'`, the default), with countTokens (`'countTokens'`, the count
+ * estimateCost() uses, at the price of one more unretried request per call),
+ * or not at all (`false`, caps are then only checked against what's already
+ * spent).
+ *
+ * @param {{ tracker: BudgetTracker, limits: BudgetLimits, scope: string, preflight?: BudgetOptions['preflight'] }} budget
+ * @returns {Middleware}
+ */
+export function budgetMiddleware({ tracker, limits, scope, preflight = 'approximate' }) {
+	return {
+		name: 'budget',
+		before: async (ctx) => {
+			if (ctx.method === 'countTokens') return;
+			const tokens = preflight ? await preflightTokens(ctx, preflight) : 0;
+			ctx.state.budgetTokens = tokens;
+			tracker.check({ usd: computeCost(ctx.model, tokens, 0, 0, { serviceTier: ctx.config?.serviceTier }) ?? 0, tokens }, limits, scope);
+		},
+		after: (ctx) => {
+			if (ctx.method === 'countTokens') return;
+			const before = { usd: tracker.spentUSD, tokens: tracker.spentTokens };
+			const usage = ctx.response?.usageMetadata;
+			if (!usage) {
+				// embedContent reports no usage; bill the preflight input estimate
+				const tokens = ctx.state.budgetTokens || 0;
+				tracker.record({ usd: computeCost(ctx.model, tokens, 0, 0, { serviceTier: ctx.config?.serviceTier }), tokens });
+			} else {
+				const tokens = billableTokens(usage);
+				const costOpts = { serviceTier: ctx.config?.serviceTier };
+				const cost = computeCostBreakdown(ctx.response.modelVersion, tokens, costOpts) ?? computeCostBreakdown(ctx.model, tokens, costOpts);
+				tracker.record({
+					usd: cost?.total ?? null,
+					tokens: usage.totalTokenCount || (tokens.promptTokens + tokens.responseTokens + tokens.thoughtsTokens)
+				});
+			}
+			warnIfCrossed(ctx, tracker, before, limits, scope);
+		}
+	};
+}
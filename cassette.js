@@ -0,0 +1,264 @@
+/**
+ * @fileoverview Record-and-replay ("cassette") client for deterministic tests.
+ *
+ * BaseGemini wraps its client in a CassetteClient when constructed with
+ * `recordMode: 'record' | 'replay'` and a `cassetteDir`:
+ *
+ * - **record** — every model call goes to the real API and the request/response
+ *   pair is written to `cassetteDir` as one JSON file.
+ * - **replay** — calls are answered from those files; nothing touches the network
+ *   and no credentials are needed. A request with no saved pair throws.
+ *
+ * Files are keyed by a hash of the normalized request: method, model, config and
+ * contents with object keys sorted and volatile fields (labels, abort signals,
+ * HTTP options) dropped. Identical requests made more than once in a run get
+ * numbered files, so a test that asks the same question twice replays both
+ * answers in order.
+ *
+ * Middleware runs before the cassette, so with `redaction` on, cassettes hold
+ * placeholders rather than the original values.
+ *
+ * @example
+ * ```javascript
+ * const chat = new Chat({
+ *   recordMode: process.env.RECORD ? 'record' : 'replay',
+ *   cassetteDir: './tests/cassettes/chat'
+ * });
+ * ```
+ */
+
+import { GenerateContentResponse } from '@google/genai';
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, writeFile, rename } from 'node:fs/promises';
+import { join } from 'node:path';
+import log from './logger.js';
+
+/**
+ * @typedef {import('./types').GeminiClient} GeminiClient
+ * @typedef {import('./types').RecordMode} RecordMode
+ * @typedef {import('./types').ModelCallMethod} ModelCallMethod
+ */
+
+const RECORD_MODES = ['record', 'replay', 'passthrough'];
+const CASSETTE_VERSION = 1;
+
+/** Request config keys that don't change the answer (or can't be serialized) */
+const VOLATILE_CONFIG_KEYS = new Set(['labels', 'abortSignal', 'httpOptions']);
+
+/**
+ * Copy of `value` with object keys sorted and undefined/function values dropped,
+ * so logically equal requests serialize identically.
+ * @param {any} value
+ * @returns {any}
+ */
+function normalize(value) {
+	if (Array.isArray(value)) return value.map(normalize);
+	if (value && typeof value === 'object') {
+		/** @type {Record<string, any>} */
+		const out = {};
+		for (const key of Object.keys(value).sort()) {
+			const v = value[key];
+			if (v === undefined || typeof v === 'function') continue;
+			out[key] = normalize(v);
+		}
+		return out;
+	}
+	return value;
+}
+
+/**
+ * The parts of a request that identify it, normalized for hashing. Shared with
+ * the response cache.
+ * @param {ModelCallMethod} method
+ * @param {any} params
+ * @returns {Object}
+ */
+export function normalizeRequest(method, params) {
+	const config = Object.fromEntries(Object.entries(params.config || {}).filter(([k]) => !VOLATILE_CONFIG_KEYS.has(k)));
+	return normalize({ method, model: params.model, config, contents: params.contents });
+}
+
+/**
+ * JSON-safe copy of an SDK response (drops the raw HTTP response wrapper).
+ * @param {any} response
+ * @returns {any}
+ */
+export function serializeResponse(response) {
+	const { sdkHttpResponse, ...rest } = response || {};
+	return JSON.parse(JSON.stringify(rest));
+}
+
+/**
+ * Rebuilds an SDK response so getters like `.text` and `.functionCalls` work.
+ * @param {ModelCallMethod} method
+ * @param {any} data
+ * @returns {any}
+ */
+function reviveResponse(method, data) {
+	return method === 'generateContent' || method === 'generateContentStream'
+		? Object.assign(new GenerateContentResponse(), data)
+		: data;
+}
+
+export default class CassetteClient {
+	/**
+	 * @param {Object} options
+	 * @param {RecordMode} options.mode
+	 * @param {string} options.dir - Directory holding the cassette files
+	 * @param {GeminiClient|null} [options.client] - Real client (required to record)
+	 */
+	constructor({ mode, dir, client = null }) {
+		if (!RECORD_MODES.includes(mode)) {
+			throw new Error(`Unknown recordMode "${mode}". Use one of: ${RECORD_MODES.join(', ')}.`);
+		}
+		if (!dir) throw new Error(`recordMode "${mode}" requires a cassetteDir.`);
+		if (mode !== 'replay' && !client) throw new Error(`recordMode "${mode}" needs a real client to forward requests to.`);
+
+		this.mode = mode;
+		this.dir = dir;
+		this.client = client;
+		/** @type {Map<string, number>} hash → times seen this run (numbers repeated requests) */
+		this._seen = new Map();
+
+		this.models = {
+			generateContent: (/** @type {any} */ params) => this._call('generateContent', params),
+			generateContentStream: (/** @type {any} */ params) => this._callStream(params),
+			countTokens: (/** @type {any} */ params) => this._call('countTokens', params),
+			embedContent: (/** @type {any} */ params) => this._call('embedContent', params),
+			list: async (/** @type {any} */ params) => this.client?.models.list ? this.client.models.list(params) : []
+		};
+
+		// Files, caches and batch jobs are never recorded: forward them, or fail clearly in replay
+		this.files = this._forward('files');
+		this.caches = this._forward('caches');
+		this.batches = this._forward('batches');
+	}
+
+	/**
+	 * Cassette file for a request. The nth identical request in a run gets `-n`.
+	 * @param {ModelCallMethod} method
+	 * @param {any} params
+	 * @returns {{ hash: string, file: string, request: Object }}
+	 */
+	locate(method, params) {
+		const request = normalizeRequest(method, params);
+		const hash = createHash('sha256').update(JSON.stringify(request)).digest('hex').slice(0, 16);
+		const n = (this._seen.get(hash) || 0) + 1;
+		this._seen.set(hash, n);
+		const name = `${method}-${hash}${n > 1 ? `-${n}` : ''}.json`;
+		return { hash, file: join(this.dir, name), request };
+	}
+
+	/**
+	 * @param {ModelCallMethod} method
+	 * @param {any} params
+	 * @returns {Promise<any>}
+	 * @private
+	 */
+	async _call(method, params) {
+		const { file, request } = this.locate(method, params);
+		if (this.mode === 'replay') {
+			const cassette = await this._load(file, method, request);
+			return reviveResponse(method, cassette.response);
+		}
+
+		const response = await /** @type {any} */ (this.client.models)[method](params);
+		if (this.mode === 'record') await this._save(file, { method, request, response: serializeResponse(response) });
+		return response;
+	}
+
+	/**
+	 * Streams replay the recorded chunks; recording saves them once the stream ends.
+	 * @param {any} params
+	 * @returns {Promise<AsyncIterable<any>>}
+	 * @private
+	 */
+	async _callStream(params) {
+		const method = 'generateContentStream';
+		const { file, request } = this.locate(method, params);
+
+		if (this.mode === 'replay') {
+			const cassette = await this._load(file, method, request);
+			return (async function* () {
+				for (const chunk of cassette.chunks) yield reviveResponse(method, chunk);
+			})();
+		}
+
+		const stream = await this.client.models.generateContentStream(params);
+		if (this.mode !== 'record') return stream;
+
+		const save = (/** @type {any[]} */ chunks) => this._save(file, { method, request, chunks });
+		return (async function* () {
+			const chunks = [];
+			for await (const chunk of stream) {
+				chunks.push(serializeResponse(chunk));
+				yield chunk;
+			}
+			await save(chunks);
+		})();
+	}
+
+	/**
+	 * @param {string} file
+	 * @param {ModelCallMethod} method
+	 * @param {Object} request
+	 * @returns {Promise<any>}
+	 * @private
+	 */
+	async _load(file, method, request) {
+		let raw;
+		try {
+			raw = await readFile(file, 'utf8');
+		} catch (e) {
+			if (e.code !== 'ENOENT') throw e;
+			const contents = /** @type {any} */ (request).contents;
+			const last = JSON.stringify([].concat(contents ?? []).slice(-1)).slice(0, 200);
+			throw new Error(
+				`Cassette miss (recordMode: 'replay'): no recording for ${method} at ${file}.\n` +
+				`Last content: ${last}\n` +
+				`The request changed since it was recorded, or was never recorded. Re-run with recordMode: 'record' to capture it.`
+			);
+		}
+		const cassette = JSON.parse(raw);
+		if (cassette.version !== CASSETTE_VERSION) {
+			throw new Error(`Unsupported cassette version ${cassette.version} in ${file} (expected ${CASSETTE_VERSION}).`);
+		}
+		log.debug(`Cassette hit: ${file}`);
+		return cassette;
+	}
+
+	/**
+	 * Atomic write (tmp + rename), so an interrupted run never leaves half a cassette.
+	 * @param {string} file
+	 * @param {Object} entry
+	 * @private
+	 */
+	async _save(file, entry) {
+		await mkdir(this.dir, { recursive: true });
+		const tmp = `${file}.${process.pid}.tmp`;
+		await writeFile(tmp, JSON.stringify({ version: CASSETTE_VERSION, recordedAt: new Date().toISOString(), ...entry }, null, 2));
+		await rename(tmp, file);
+		log.debug(`Cassette recorded: ${file}`);
+	}
+
+	/**
+	 * Proxy for a client namespace (files, caches, batches) that forwards to the real client.
+	 * @param {'files'|'caches'|'batches'} namespace
+	 * @returns {any}
+	 * @private
+	 */
+	_forward(namespace) {
+		return new Proxy({}, {
+			get: (_target, prop) => {
+				const target = this.client?.[namespace];
+				if (!target) {
+					return () => Promise.reject(new Error(`${namespace}.${String(prop)}() is not available in recordMode '${this.mode}' (only model calls are recorded).`));
+				}
+				const value = target[prop];
+				return typeof value === 'function' ? value.bind(target) : value;
+			}
+		});
+	}
+}
+
+export { RECORD_MODES };
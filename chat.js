@@ -42,6 +42,11 @@ class Chat extends BaseGemini {
 			options = { ...options, systemPrompt: 'You are a helpful AI assistant.' };
 		}
 
+		// A person is usually waiting on a chat turn
+		if (options.rateLimitPriority === undefined) {
+			options = { ...options, rateLimitPriority: 'interactive' };
+		}
+
 		super(options);
 
 		log.debug(`Chat created with model: ${this.modelName}`);
@@ -66,35 +71,42 @@ class Chat extends BaseGemini {
 	 * @param {string} message - The user's message
 	 * @param {Object} [opts={}] - Per-message options
 	 * @param {Record<string, string>} [opts.labels] - Per-message billing labels
+	 * @param {AbortSignal} [opts.signal] - Cancels the call (throws AbortError)
+	 * @param {number} [opts.timeoutMs] - Time limit for the whole call, retries included (throws TimeoutError)
 	 * @returns {Promise<ChatResponse>} Response with text and usage data
 	 */
 	async send(message, opts = {}) {
-		if (!this.chatSession) await this.init();
+		return this._withCallOptions(opts, async () => {
+			if (!this.chatSession) await this.init();
+			await this._manageContext(message);
 
-		const mergedLabels = { ...this.labels, ...(opts.labels || {}) };
-		const hasLabels = this.vertexai && Object.keys(mergedLabels).length > 0;
+			const mergedLabels = { ...this.labels, ...(opts.labels || {}) };
+			const hasLabels = this.vertexai && Object.keys(mergedLabels).length > 0;
 
-		const sendParams = { message };
-		if (hasLabels) {
-			sendParams.config = { labels: mergedLabels };
-		}
+			const sendParams = { message };
+			if (hasLabels) {
+				sendParams.config = { labels: mergedLabels };
+			}
 
-		const result = await this._withRetry(() => this.chatSession.sendMessage(sendParams));
+			const result = await this._withRetry(() => this.chatSession.sendMessage(sendParams));
 
-		this._captureMetadata(result);
+			this._captureMetadata(result);
 
-		// Set cumulative usage (single attempt for Chat)
-		this._cumulativeUsage = {
-			promptTokens: this.lastResponseMetadata.promptTokens,
-			responseTokens: this.lastResponseMetadata.responseTokens,
-			totalTokens: this.lastResponseMetadata.totalTokens,
-			attempts: 1
-		};
+			// Set cumulative usage (single attempt for Chat)
+			this._cumulativeUsage = {
+				promptTokens: this.lastResponseMetadata.promptTokens,
+				responseTokens: this.lastResponseMetadata.responseTokens,
+				totalTokens: this.lastResponseMetadata.totalTokens,
+				attempts: 1
+			};
 
-		return {
-			text: result.text || '',
-			usage: this.getLastUsage()
-		};
+			await this._saveSession();
+
+			return {
+				text: result.text || '',
+				usage: this.getLastUsage()
+			};
+		});
 	}
 
 	/**
@@ -102,10 +114,24 @@ class Chat extends BaseGemini {
 	 *
 	 * @param {string} message - The user's message
 	 * @param {Object} [opts={}] - Per-message options
+	 * @param {AbortSignal} [opts.signal] - Cancels the call (throws AbortError)
+	 * @param {number} [opts.timeoutMs] - Time limit for the whole call, retries included (throws TimeoutError)
 	 * @yields {ChatStreamEvent}
 	 */
 	async *stream(message, opts = {}) {
+		yield* this._streamWithCallOptions(opts, () => this._stream(message, opts));
+	}
+
+	/**
+	 * stream(), run in the call's scope (see _streamWithCallOptions()).
+	 * @param {string} message
+	 * @param {Object} opts
+	 * @yields {ChatStreamEvent}
+	 * @private
+	 */
+	async *_stream(message, opts) {
 		if (!this.chatSession) await this.init();
+		await this._manageContext(message);
 
 		let fullText = '';
 		const streamResponse = await this._withRetry(() => this.chatSession.sendMessageStream({ message }));
@@ -118,6 +144,8 @@ class Chat extends BaseGemini {
 			}
 		}
 
+		await this._saveSession();
+
 		yield {
 			type: 'done',
 			fullText,
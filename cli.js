@@ -1,48 +1,656 @@
 #!/usr/bin/env node
 /**
- * CLI for ak-gemini — streams a Gemini response to stdout.
- * Usage: node ak-gemini/cli.js "your prompt here"
- *        MODEL=gemini-2.5-pro node ak-gemini/cli.js "prompt"
+ * @fileoverview `ak-gemini` command-line interface.
+ *
+ * One subcommand per class:
+ *
+ *   ak-gemini ask "prompt"                          Message, streamed (default command)
+ *   ak-gemini chat [--session id]                   Chat REPL with history
+ *   ak-gemini transform -e examples.json -i in.jsonl [-o out.jsonl]
+ *   ak-gemini embed "text" ... | -i texts.txt        JSONL of { text, values }
+ *   ak-gemini image "prompt" -o cat.png
+ *   ak-gemini rag -f README.md -f data.json "question"
+ *   ak-gemini code "task" [--dir .] [--yes]
+ *
+ * Piped stdin works everywhere a prompt or input file does. Token usage and
+ * estimated cost go to stderr after each command (--quiet to hide).
+ *
+ * MODEL in the environment picks the model when -m/--model isn't given.
+ *
+ * Auth comes from the environment like the library: GEMINI_API_KEY, or Vertex AI
+ * with --vertex / GOOGLE_GENAI_USE_VERTEXAI=true / GOOGLE_CLOUD_PROJECT (no key).
  */
 
-import { Message } from './index.js';
+import { parseArgs } from 'node:util';
+import { createInterface } from 'node:readline';
+import { readFile, writeFile } from 'node:fs/promises';
+import { realpathSync } from 'node:fs';
+import { homedir } from 'node:os';
+import { join, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { Message, Chat, Transformer, Embedding, ImageGenerator, RagAgent, CodeAgent, FileSessionStore } from './index.js';
 
-// Silence SDK console.debug noise (e.g., "project/location will take precedence" warning)
-console.debug = () => {};
+/**
+ * @typedef {Object} CliIO
+ * @property {NodeJS.ReadableStream & { isTTY?: boolean }} [stdin]
+ * @property {NodeJS.WritableStream} [stdout]
+ * @property {NodeJS.WritableStream & { isTTY?: boolean }} [stderr]
+ * @property {(Class: any, options: Object) => any} [create] - Instantiates a class (tests stub the model here)
+ */
+
+/**
+ * @typedef {Object} UsageTally
+ * @property {number} calls
+ * @property {number} promptTokens
+ * @property {number} responseTokens
+ * @property {number} thoughtsTokens
+ * @property {number} totalTokens
+ * @property {number|null} estimatedCost - null once any call had unknown pricing
+ */
+
+const DEFAULT_CLI_MODEL = 'gemini-3.1-flash-lite-preview';
+const PLAIN_TEXT_PROMPT = 'Respond in plain text only. Do not use markdown formatting (no bold, italic, headers, bullet points, code fences, etc.).';
+
+/** Flags every subcommand accepts */
+const COMMON_OPTIONS = {
+	model: { type: 'string', short: 'm' },
+	system: { type: 'string', short: 's' },
+	vertex: { type: 'boolean' },
+	project: { type: 'string' },
+	location: { type: 'string' },
+	'log-level': { type: 'string' },
+	quiet: { type: 'boolean', short: 'q' },
+	help: { type: 'boolean', short: 'h' }
+};
+
+/** Per-command flags and help text */
+const COMMANDS = {
+	ask: {
+		summary: 'One-off prompt, streamed (Message). Default when no command is given.',
+		usage: 'ak-gemini [ask] "prompt"   |   echo "prompt" | ak-gemini ask',
+		options: { 'no-search': { type: 'boolean' }, json: { type: 'boolean' } },
+		flags: ['--no-search      Disable Google Search grounding', '--json           Ask for JSON and print the parsed result']
+	},
+	chat: {
+		summary: 'Interactive multi-turn chat (Chat). Piped stdin: one turn per line.',
+		usage: 'ak-gemini chat [--session id]',
+		options: { session: { type: 'string' }, 'session-dir': { type: 'string' } },
+		flags: ['--session <id>   Persist history under this id and resume it next time', '--session-dir    Where sessions are stored (default ~/.ak-gemini/sessions)', 'In the REPL: /clear resets history, /usage prints totals, /exit quits']
+	},
+	transform: {
+		summary: 'JSON → JSON with few-shot examples (Transformer). Writes JSONL, one line per input.',
+		usage: 'ak-gemini transform -e examples.json [-i input.jsonl] [-o output.jsonl]',
+		options: {
+			examples: { type: 'string', short: 'e' },
+			input: { type: 'string', short: 'i' },
+			output: { type: 'string', short: 'o' },
+			concurrency: { type: 'string', short: 'c' }
+		},
+		flags: ['-e, --examples   JSON array (or JSONL) of { PROMPT, ANSWER } examples (required)', '-i, --input      JSON array or JSONL of payloads (default: stdin)', '-o, --output     Output JSONL file (default: stdout); failed items are written as null', '-c, --concurrency  Parallel requests (default 5)']
+	},
+	embed: {
+		summary: 'Embed text (Embedding). Writes JSONL of { text, values }.',
+		usage: 'ak-gemini embed "text" ...   |   ak-gemini embed -i lines.txt',
+		options: {
+			input: { type: 'string', short: 'i' },
+			output: { type: 'string', short: 'o' },
+			'task-type': { type: 'string' },
+			dimensions: { type: 'string' }
+		},
+		flags: ['-i, --input      File with one text per line (default: positional args, then stdin)', '-o, --output     Output JSONL file (default: stdout)', '--task-type      e.g. RETRIEVAL_DOCUMENT, SEMANTIC_SIMILARITY', '--dimensions     Output dimensionality']
+	},
+	image: {
+		summary: 'Generate an image (ImageGenerator) and save it.',
+		usage: 'ak-gemini image "prompt" -o out.png',
+		options: {
+			output: { type: 'string', short: 'o' },
+			'aspect-ratio': { type: 'string' },
+			size: { type: 'string' }
+		},
+		flags: ['-o, --output     File to write (default image.png; several images get _N suffixes)', '--aspect-ratio   e.g. 16:9', '--size           1K | 2K | 4K']
+	},
+	rag: {
+		summary: 'Ask questions about files and data (RagAgent). No question opens a REPL.',
+		usage: 'ak-gemini rag -f notes.md -f data.json ["question"]',
+		options: {
+			file: { type: 'string', short: 'f', multiple: true },
+			remote: { type: 'string', short: 'r', multiple: true },
+			vector: { type: 'boolean' },
+			'top-k': { type: 'string' }
+		},
+		flags: ['-f, --file       Local file read as text (repeatable)', '-r, --remote     File uploaded via the Files API, e.g. a PDF (repeatable)', '--vector         Embed the files and send only the closest chunks', '--top-k          Chunks per question in --vector mode (default 5)']
+	},
+	code: {
+		summary: 'Let an agent write and run code in a directory (CodeAgent).',
+		usage: 'ak-gemini code "task" [--dir path] [--yes]',
+		options: {
+			dir: { type: 'string', short: 'd' },
+			language: { type: 'string' },
+			yes: { type: 'boolean', short: 'y' },
+			'max-rounds': { type: 'string' }
+		},
+		flags: ['-d, --dir        Working directory (default: cwd)', '--language       javascript | python', '-y, --yes        Run code without asking (required when stdin is not a terminal)', '--max-rounds     Tool-use rounds before stopping (default 10)']
+	}
+};
+
+// ── Argument parsing ─────────────────────────────────────────────────────────
+
+/**
+ * Splits argv into a command, its flags, and positionals. An unknown first word
+ * is a prompt for `ask`, so `ak-gemini "hello"` keeps working.
+ * @param {string[]} argv - process.argv.slice(2)
+ * @returns {{ command: string, values: Record<string, any>, positionals: string[] }}
+ */
+export function parseCommandLine(argv) {
+	const command = Object.hasOwn(COMMANDS, argv[0]) ? argv[0] : 'ask';
+	const args = command === argv[0] ? argv.slice(1) : argv;
+	const { values, positionals } = parseArgs({
+		args,
+		options: { ...COMMON_OPTIONS, ...COMMANDS[command].options },
+		allowPositionals: true,
+		strict: true
+	});
+	return { command, values, positionals };
+}
+
+/**
+ * @param {string} [command] - Help for one command, or the overview
+ * @returns {string}
+ */
+export function usageText(command) {
+	if (command && COMMANDS[command]) {
+		const c = COMMANDS[command];
+		return [
+			`${c.summary}`,
+			'',
+			`Usage: ${c.usage}`,
+			'',
+			...c.flags.map(f => `  ${f}`),
+			'',
+			'Common: -m/--model, -s/--system, --vertex, --project, --location, --log-level, -q/--quiet'
+		].join('\n');
+	}
+	return [
+		'Usage: ak-gemini <command> [options]',
+		'',
+		...Object.entries(COMMANDS).map(([name, c]) => `  ${name.padEnd(10)} ${c.summary}`),
+		'',
+		'Common options:',
+		'  -m, --model      Model name (default: the MODEL environment variable)',
+		'  -s, --system     System prompt',
+		'  --vertex         Use Vertex AI (also via GOOGLE_GENAI_USE_VERTEXAI=true)',
+		'  --project        GCP project (default GOOGLE_CLOUD_PROJECT)',
+		'  --location       GCP region',
+		'  --log-level      trace | debug | info | warn | error | none (default none)',
+		'  -q, --quiet      Skip the usage/cost summary',
+		'',
+		'Run `ak-gemini <command> --help` for command options.'
+	].join('\n');
+}
+
+/**
+ * Constructor options shared by every command, from flags and environment.
+ * Vertex AI is used when asked for, or when there's a project but no API key.
+ * @param {Record<string, any>} values
+ * @returns {Object}
+ */
+export function baseOptions(values) {
+	const vertexai = !!(values.vertex
+		|| /^(true|1)$/i.test(process.env.GOOGLE_GENAI_USE_VERTEXAI || '')
+		|| (!process.env.GEMINI_API_KEY && (values.project || process.env.GOOGLE_CLOUD_PROJECT)));
+	const model = values.model || process.env.MODEL;
+	return {
+		...(model && { modelName: model }),
+		...(values.system !== undefined && { systemPrompt: values.system }),
+		...(vertexai && { vertexai: true }),
+		...(values.project && { project: values.project }),
+		...(values.location && { location: values.location }),
+		logLevel: values['log-level'] || 'none'
+	};
+}
+
+/**
+ * Parses a JSON array, a single JSON value, or JSONL.
+ * @param {string} text
+ * @param {string} [label='input'] - Used in error messages
+ * @returns {any[]}
+ */
+export function parseRecords(text, label = 'input') {
+	const trimmed = text.trim();
+	if (!trimmed) return [];
+	try {
+		const parsed = JSON.parse(trimmed);
+		return Array.isArray(parsed) ? parsed : [parsed];
+	} catch {
+		// not one JSON document — fall through to JSONL
+	}
+	return trimmed.split(/\r?\n/).flatMap((line, i) => {
+		if (!line.trim()) return [];
+		try {
+			return [JSON.parse(line)];
+		} catch (e) {
+			throw new Error(`${label}: line ${i + 1} is not valid JSON (${e.message})`);
+		}
+	});
+}
+
+/**
+ * @param {string|number|undefined} value
+ * @param {string} flag
+ * @returns {number|undefined}
+ */
+function toInt(value, flag) {
+	if (value === undefined) return undefined;
+	const n = Number(value);
+	if (!Number.isInteger(n) || n < 1) throw new Error(`${flag} must be a positive integer, got "${value}".`);
+	return n;
+}
+
+// ── Usage summaries ──────────────────────────────────────────────────────────
+
+/** @returns {UsageTally} */
+function createTally() {
+	return { calls: 0, promptTokens: 0, responseTokens: 0, thoughtsTokens: 0, totalTokens: 0, estimatedCost: 0 };
+}
+
+/**
+ * @param {UsageTally} tally
+ * @param {import('./types').UsageData|null|undefined} usage
+ */
+function addUsage(tally, usage) {
+	if (!usage) return;
+	tally.calls++;
+	tally.promptTokens += usage.promptTokens || 0;
+	tally.responseTokens += usage.responseTokens || 0;
+	tally.thoughtsTokens += usage.thoughtsTokens || 0;
+	tally.totalTokens += usage.totalTokens || 0;
+	tally.estimatedCost = tally.estimatedCost === null || usage.estimatedCost == null
+		? null
+		: tally.estimatedCost + usage.estimatedCost;
+}
+
+/**
+ * One-line usage summary, e.g. `gemini-2.5-flash · 1,204 in / 311 out tokens · ~$0.0011`
+ * @param {UsageTally} tally
+ * @param {string} model
+ * @returns {string}
+ */
+export function formatUsage(tally, model) {
+	const n = (/** @type {number} */ x) => x.toLocaleString('en-US');
+	const thoughts = tally.thoughtsTokens ? ` + ${n(tally.thoughtsTokens)} thinking` : '';
+	const cost = tally.estimatedCost === null ? 'cost unknown' : `~$${tally.estimatedCost.toFixed(4)}`;
+	const calls = tally.calls > 1 ? ` · ${tally.calls} calls` : '';
+	return `${model} · ${n(tally.promptTokens)} in / ${n(tally.responseTokens)} out${thoughts} tokens${calls} · ${cost}`;
+}
+
+// ── Commands ─────────────────────────────────────────────────────────────────
+
+/**
+ * Per-run helpers handed to every command.
+ * @param {Record<string, any>} values
+ * @param {Required<CliIO>} io
+ */
+function createContext(values, io) {
+	const tally = createTally();
+	return {
+		values,
+		io,
+		tally,
+		/** @param {string} text */
+		out: (text) => { io.stdout.write(text); },
+		/** @param {string} text */
+		err: (text) => { io.stderr.write(`${text}\n`); },
+		/**
+		 * @param {any} Class
+		 * @param {Object} [extra={}]
+		 */
+		create: (Class, extra = {}) => io.create(Class, { ...baseOptions(values), ...extra }),
+		/** @param {string} model */
+		summarize: (model) => {
+			if (!values.quiet && tally.calls > 0) io.stderr.write(`${formatUsage(tally, model)}\n`);
+		}
+	};
+}
+
+/** @typedef {ReturnType<typeof createContext>} CommandContext */
+
+/**
+ * Reads all of stdin, or returns '' when stdin is a terminal.
+ * @param {CliIO['stdin']} stdin
+ * @returns {Promise<string>}
+ */
+async function readStdin(stdin) {
+	if (!stdin || stdin.isTTY) return '';
+	let text = '';
+	for await (const chunk of stdin) text += chunk;
+	return text;
+}
+
+/**
+ * Positional args joined, or piped stdin.
+ * @param {CommandContext} ctx
+ * @param {string[]} positionals
+ * @returns {Promise<string>}
+ */
+async function promptFrom(ctx, positionals) {
+	const prompt = positionals.length ? positionals.join(' ') : (await readStdin(ctx.io.stdin)).trim();
+	if (!prompt) throw new UsageError('A prompt is required (as arguments or on stdin).');
+	return prompt;
+}
+
+/**
+ * Runs `onLine` for each line of stdin, with a prompt when it's a terminal.
+ * @param {CommandContext} ctx
+ * @param {string} label - Prompt shown in the terminal
+ * @param {(line: string) => Promise<boolean|void>} onLine - Return false to stop
+ */
+async function repl(ctx, label, onLine) {
+	const interactive = !!ctx.io.stdin.isTTY;
+	const rl = createInterface({ input: ctx.io.stdin, output: interactive ? ctx.io.stdout : undefined, terminal: interactive });
+	rl.setPrompt(`${label}> `);
+	if (interactive) rl.prompt();
+	try {
+		for await (const raw of rl) {
+			const line = raw.trim();
+			if (line && (await onLine(line)) === false) break;
+			if (interactive) rl.prompt();
+		}
+	} finally {
+		rl.close();
+	}
+}
+
+/** Bad flags or missing input: print the command's usage, exit 2. */
+class UsageError extends Error {}
+
+/** @param {CommandContext} ctx @param {string[]} positionals */
+async function runAsk(ctx, positionals) {
+	const prompt = await promptFrom(ctx, positionals);
+	const { values } = ctx;
+	const msg = ctx.create(Message, {
+		modelName: values.model || process.env.MODEL || DEFAULT_CLI_MODEL,
+		systemPrompt: values.system ?? (values.json ? null : PLAIN_TEXT_PROMPT),
+		...(values.json && { responseMimeType: 'application/json' }),
+		...(!values.json && !values['no-search'] && { chatConfig: { tools: [{ googleSearch: {} }] } })
+	});
+
+	if (values.json) {
+		const result = await msg.send(prompt);
+		addUsage(ctx.tally, result.usage);
+		ctx.out(`${JSON.stringify(result.data ?? result.text, null, 2)}\n`);
+		return ctx.summarize(msg.modelName);
+	}
+
+	for await (const event of msg.stream(prompt)) {
+		if (event.type === 'text') ctx.out(event.text);
+		if (event.type === 'done') addUsage(ctx.tally, event.usage);
+	}
+	ctx.out('\n');
+	ctx.summarize(msg.modelName);
+}
+
+/** @param {CommandContext} ctx @param {string[]} positionals */
+async function runChat(ctx, positionals) {
+	const { values } = ctx;
+	const chat = ctx.create(Chat, {
+		...(values.session && {
+			sessionId: values.session,
+			sessionStore: new FileSessionStore({ dir: values['session-dir'] || join(homedir(), '.ak-gemini', 'sessions') })
+		})
+	});
+	await chat.init();
+	const resumed = chat.getHistory().length;
+	if (resumed && ctx.io.stdin.isTTY) ctx.err(`(resumed session "${values.session}" with ${resumed} messages)`);
+
+	/** @param {string} message */
+	const turn = async (message) => {
+		for await (const event of chat.stream(message)) {
+			if (event.type === 'text') ctx.out(event.text);
+			if (event.type === 'done') addUsage(ctx.tally, event.usage);
+		}
+		ctx.out('\n');
+	};
+
+	if (positionals.length) {
+		await turn(positionals.join(' '));
+	} else {
+		await repl(ctx, 'you', async (line) => {
+			if (line === '/exit' || line === '/quit') return false;
+			if (line === '/clear') return void await chat.clearHistory();
+			if (line === '/usage') return void ctx.err(formatUsage(ctx.tally, chat.modelName));
+			await turn(line);
+		});
+	}
+	ctx.summarize(chat.modelName);
+}
+
+/** @param {CommandContext} ctx */
+async function runTransform(ctx) {
+	const { values } = ctx;
+	if (!values.examples) throw new UsageError('--examples is required.');
+
+	const examples = parseRecords(await readFile(values.examples, 'utf8'), values.examples);
+	const items = parseRecords(values.input ? await readFile(values.input, 'utf8') : await readStdin(ctx.io.stdin), values.input || 'stdin');
+	if (!items.length) throw new UsageError('No input payloads (pass --input or pipe JSON/JSONL to stdin).');
+
+	const t = ctx.create(Transformer, {});
+	await t.init();
+	await t.seed(examples);
+
+	const quiet = values.quiet;
+	const { results, summary } = await t.transformBatch(items, {
+		concurrency: toInt(values.concurrency, '--concurrency'),
+		onProgress: ({ completed, total }) => {
+			if (!quiet && ctx.io.stderr.isTTY) ctx.io.stderr.write(`\r${completed}/${total}`);
+		}
+	});
+	if (!quiet && ctx.io.stderr.isTTY) ctx.io.stderr.write('\r');
+
+	results.forEach((r, i) => { if (!r.ok) ctx.err(`item ${i}: ${r.error}`); });
+	const jsonl = results.map(r => JSON.stringify(r.ok ? r.data : null)).join('\n') + '\n';
+	if (values.output) await writeFile(values.output, jsonl);
+	else ctx.out(jsonl);
+
+	for (const r of results) addUsage(ctx.tally, r.usage);
+	if (!quiet) ctx.err(`${summary.succeeded}/${summary.total} transformed${summary.failed ? `, ${summary.failed} failed` : ''}${values.output ? ` → ${values.output}` : ''}`);
+	ctx.summarize(t.modelName);
+	return summary.failed ? 1 : 0;
+}
+
+/** @param {CommandContext} ctx @param {string[]} positionals */
+async function runEmbed(ctx, positionals) {
+	const { values } = ctx;
+	const source = values.input ? await readFile(values.input, 'utf8') : positionals.length ? null : await readStdin(ctx.io.stdin);
+	const texts = source === null ? positionals : source.split(/\r?\n/).filter(line => line.trim());
+	if (!texts.length) throw new UsageError('Nothing to embed (pass text, --input, or pipe lines to stdin).');
+
+	const embedder = ctx.create(Embedding, {
+		...(values['task-type'] && { taskType: values['task-type'] }),
+		...(values.dimensions && { outputDimensionality: toInt(values.dimensions, '--dimensions') })
+	});
+
+	/** @type {import('./types').EmbeddingResult[]} */
+	const vectors = [];
+	for (let i = 0; i < texts.length; i += 100) {
+		vectors.push(...await embedder.embedBatch(texts.slice(i, i + 100)));
+	}
 
-const prompt = process.argv.slice(2).join(' ');
+	const jsonl = texts.map((text, i) => JSON.stringify({ text, values: vectors[i]?.values || null })).join('\n') + '\n';
+	if (values.output) await writeFile(values.output, jsonl);
+	else ctx.out(jsonl);
 
-if (!prompt || prompt === '-h' || prompt === '--help') {
-	console.log('Usage: node ak-gemini/cli.js "your prompt"');
-	console.log('  MODEL env var overrides default model (gemini-3.1-flash-lite-preview)');
-	console.log('  Google Search grounding is enabled by default');
-	process.exit(prompt ? 0 : 1);
+	if (!values.quiet) ctx.err(`${embedder.modelName} · ${texts.length} text(s) · ${vectors[0]?.values?.length ?? 0} dimensions${values.output ? ` → ${values.output}` : ''}`);
 }
 
-try {
-	const msg = new Message({
-		modelName: process.env.MODEL || 'gemini-3.1-flash-lite-preview',
-		vertexai: true,
-		project: process.env.GOOGLE_CLOUD_PROJECT || 'mixpanel-gtm-training',
-		systemPrompt: 'Respond in plain text only. Do not use markdown formatting (no bold, italic, headers, bullet points, code fences, etc.).',
-		logLevel: 'none'
+/** @param {CommandContext} ctx @param {string[]} positionals */
+async function runImage(ctx, positionals) {
+	const prompt = await promptFrom(ctx, positionals);
+	const { values } = ctx;
+	const gen = ctx.create(ImageGenerator, {
+		...(values['aspect-ratio'] && { aspectRatio: values['aspect-ratio'] }),
+		...(values.size && { imageSize: values.size })
 	});
-	await msg.init();
 
-	const stream = await msg.genAIClient.models.generateContentStream({
-		model: msg.modelName,
-		contents: [{ role: 'user', parts: [{ text: prompt }] }],
-		config: {
-			...msg.chatConfig,
-			tools: [{ googleSearch: {} }]
+	const result = await gen.generate(prompt);
+	addUsage(ctx.tally, result.usage);
+	const paths = gen.save(result, values.output || 'image.png');
+	for (const p of paths) ctx.out(`${p}\n`);
+	if (result.text && !values.quiet) ctx.err(result.text);
+	ctx.summarize(gen.modelName);
+	return paths.length ? 0 : 1;
+}
+
+/** @param {CommandContext} ctx @param {string[]} positionals */
+async function runRag(ctx, positionals) {
+	const { values } = ctx;
+	if (!values.file?.length && !values.remote?.length) throw new UsageError('Pass at least one --file or --remote.');
+
+	const rag = ctx.create(RagAgent, {
+		localFiles: (values.file || []).map((/** @type {string} */ f) => resolve(f)),
+		remoteFiles: (values.remote || []).map((/** @type {string} */ f) => resolve(f)),
+		...(values.vector && { retrieval: 'vector' }),
+		...(values['top-k'] && { topK: toInt(values['top-k'], '--top-k') })
+	});
+	await rag.init();
+
+	/** @param {string} question */
+	const ask = async (question) => {
+		for await (const event of rag.stream(question)) {
+			if (event.type === 'text') ctx.out(event.text);
+			if (event.type === 'done') {
+				addUsage(ctx.tally, event.usage);
+				const cited = [...new Set((event.citations || []).map((/** @type {any} */ c) => c.source))];
+				ctx.out(cited.length ? `\n\nSources: ${cited.join(', ')}\n` : '\n');
+			}
+		}
+	};
+
+	const piped = positionals.length || ctx.io.stdin.isTTY ? '' : (await readStdin(ctx.io.stdin)).trim();
+	if (positionals.length || piped) {
+		await ask(positionals.length ? positionals.join(' ') : piped);
+	} else {
+		await repl(ctx, 'ask', async (line) => {
+			if (line === '/exit' || line === '/quit') return false;
+			await ask(line);
+		});
+	}
+	ctx.summarize(rag.modelName);
+}
+
+/** @param {CommandContext} ctx @param {string[]} positionals */
+async function runCode(ctx, positionals) {
+	const task = await promptFrom(ctx, positionals);
+	const { values, io } = ctx;
+
+	/** @param {string} content @param {string} toolName */
+	const confirm = async (content, toolName) => {
+		if (values.yes) return true;
+		if (!io.stdin.isTTY) {
+			ctx.err(`Skipped ${toolName}: pass --yes to run code non-interactively.`);
+			return false;
 		}
+		ctx.err(`\n── ${toolName} ──\n${content}\n`);
+		const rl = createInterface({ input: io.stdin, output: io.stderr });
+		const answer = await new Promise(res => rl.question('Run it? [y/N] ', res));
+		rl.close();
+		return /^y(es)?$/i.test(String(answer).trim());
+	};
+
+	const agent = ctx.create(CodeAgent, {
+		workingDirectory: resolve(values.dir || '.'),
+		...(values.language && { language: values.language }),
+		...(values['max-rounds'] && { maxRounds: toInt(values['max-rounds'], '--max-rounds') }),
+		onBeforeExecution: confirm
 	});
 
-	for await (const chunk of stream) {
-		process.stdout.write(chunk.text || '');
+	let exitCode = 0;
+	for await (const event of agent.stream(task)) {
+		if (event.type === 'text') ctx.out(event.text);
+		else if (event.type === 'output') {
+			if (event.stdout) ctx.out(`\n${event.stdout}${event.stdout.endsWith('\n') ? '' : '\n'}`);
+			if (event.stderr) ctx.err(event.stderr.trimEnd());
+		} else if (event.type === 'done') {
+			ctx.out('\n');
+			addUsage(ctx.tally, event.usage);
+			if (event.warning) {
+				ctx.err(event.warning);
+				exitCode = 1;
+			}
+		}
+	}
+	ctx.summarize(agent.modelName);
+	return exitCode;
+}
+
+const RUNNERS = {
+	ask: runAsk,
+	chat: runChat,
+	transform: runTransform,
+	embed: runEmbed,
+	image: runImage,
+	rag: runRag,
+	code: runCode
+};
+
+// ── Entry point ──────────────────────────────────────────────────────────────
+
+/**
+ * Runs the CLI. Never calls process.exit — returns the exit code instead.
+ * @param {string[]} argv - Arguments after the executable (process.argv.slice(2))
+ * @param {CliIO} [io={}]
+ * @returns {Promise<number>} Exit code: 0 ok, 1 failure, 2 usage error
+ */
+export async function main(argv, io = {}) {
+	/** @type {Required<CliIO>} */
+	const streams = {
+		stdin: io.stdin || process.stdin,
+		stdout: io.stdout || process.stdout,
+		stderr: io.stderr || process.stderr,
+		create: io.create || ((Class, options) => new Class(options))
+	};
+
+	if (argv.length === 0 && streams.stdin.isTTY) {
+		streams.stderr.write(`${usageText()}\n`);
+		return 2;
+	}
+
+	let parsed;
+	try {
+		parsed = parseCommandLine(argv);
+	} catch (e) {
+		streams.stderr.write(`${e.message}\n\n${usageText(Object.hasOwn(COMMANDS, argv[0]) ? argv[0] : undefined)}\n`);
+		return 2;
+	}
+
+	const { command, values, positionals } = parsed;
+	if (values.help) {
+		streams.stdout.write(`${command === 'ask' && argv[0] !== 'ask' ? usageText() : usageText(command)}\n`);
+		return 0;
+	}
+
+	const ctx = createContext(values, streams);
+	try {
+		return (await RUNNERS[command](ctx, positionals)) ?? 0;
+	} catch (e) {
+		if (e instanceof UsageError) {
+			streams.stderr.write(`${e.message}\n\n${usageText(command)}\n`);
+			return 2;
+		}
+		streams.stderr.write(`❌ ${e.message}\n`);
+		return 1;
 	}
-	process.stdout.write('\n');
-} catch (err) {
-	console.error(`❌ ${err.message}`);
-	process.exit(1);
+}
+
+const isEntryPoint = (() => {
+	try {
+		return !!process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url);
+	} catch {
+		return false;
+	}
+})();
+
+if (isEntryPoint) {
+	// Silence SDK console.debug noise (e.g., "project/location will take precedence" warning)
+	console.debug = () => {};
+	process.exitCode = await main(process.argv.slice(2));
 }
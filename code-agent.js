@@ -80,6 +80,11 @@ class CodeAgent extends BaseGemini {
 			options = { ...options, systemPrompt: '' };
 		}
 
+		// A person is usually waiting on an agent turn
+		if (options.rateLimitPriority === undefined) {
+			options = { ...options, rateLimitPriority: 'interactive' };
+		}
+
 		super(options);
 
 		// ── Agent config ──
@@ -608,6 +613,7 @@ ${lang.codeRules}
 				const child = execFile(binary, [tempFile], {
 					cwd: this.workingDirectory,
 					timeout: this.timeout,
+					signal: this._abortSignal() ?? undefined,
 					env: execEnv,
 					maxBuffer: 10 * 1024 * 1024
 				}, (err, stdout, stderr) => {
@@ -684,6 +690,7 @@ ${lang.codeRules}
 			const child = execFile('bash', ['-c', command], {
 				cwd: this.workingDirectory,
 				timeout: this.timeout,
+				signal: this._abortSignal() ?? undefined,
 				env: execEnv,
 				maxBuffer: 10 * 1024 * 1024
 			}, (err, stdout, stderr) => {
@@ -821,7 +828,7 @@ ${lang.codeRules}
 			default: {
 				if (this.toolExecutor) {
 					try {
-						const result = await this.toolExecutor(name, input);
+						const result = await this.toolExecutor(name, input, { signal: this._abortSignal() ?? undefined });
 						const resultStr = typeof result === 'string' ? result : JSON.stringify(result);
 						return {
 							output: resultStr,
@@ -854,95 +861,103 @@ ${lang.codeRules}
 	 * @param {string} message - The user's message
 	 * @param {Object} [opts={}] - Per-message options
 	 * @param {Record<string, string>} [opts.labels] - Per-message billing labels
+	 * @param {AbortSignal} [opts.signal] - Cancels the call (throws AbortError)
+	 * @param {number} [opts.timeoutMs] - Time limit for the whole call, retries included (throws TimeoutError)
 	 * @returns {Promise<CodeAgentResponse>}
 	 */
 	async chat(message, opts = {}) {
-		if (!this.chatSession) await this.init();
-		this._stopped = false;
-
-		const toolCalls = [];
-		let consecutiveFailures = 0;
-
-		let response = await this._withRetry(() => this.chatSession.sendMessage({ message }));
+		return this._withCallOptions(opts, async () => {
+			if (!this.chatSession) await this.init();
+			await this._manageContext(message);
+			this._stopped = false;
 
-		for (let round = 0; round < this.maxRounds; round++) {
-			if (this._stopped) break;
+			const toolCalls = [];
+			let consecutiveFailures = 0;
 
-			const functionCalls = response.functionCalls;
-			if (!functionCalls || functionCalls.length === 0) break;
+			let response = await this._withRetry(() => this.chatSession.sendMessage({ message }));
 
-			const results = [];
-			for (const call of functionCalls) {
+			for (let round = 0; round < this.maxRounds; round++) {
 				if (this._stopped) break;
 
-				const { output, type, data } = await this._handleToolCall(call.name, call.args || {});
+				const functionCalls = response.functionCalls;
+				if (!functionCalls || functionCalls.length === 0) break;
 
-				toolCalls.push(data);
-
-				// Track consecutive failures for executing tools
-				const isExecutingTool = EXECUTING_TOOLS.has(call.name) || (call.name === 'fix_code' && call.args?.execute);
-				if (isExecutingTool) {
-					if (data.exitCode !== 0 && !data.denied) {
-						consecutiveFailures++;
-					} else {
-						consecutiveFailures = 0;
-					}
-				}
+				const results = [];
+				for (const call of functionCalls) {
+					if (this._stopped) break;
 
-				let toolOutput = output;
-				if (consecutiveFailures >= this.maxRetries) {
-					toolOutput += `\n\n[RETRY LIMIT REACHED] You have failed ${this.maxRetries} consecutive attempts. STOP trying to execute code. Instead, respond with: 1) What you were trying to do, 2) The errors you encountered, 3) Questions for the user about how to resolve it.`;
-				}
+					const args = call.args || {};
+					const { output, type, data } = await this._runTool(call.name, args, () => this._handleToolCall(call.name, args));
 
-				results.push({
-					id: call.id,
-					name: call.name,
-					result: toolOutput
-				});
-			}
+					toolCalls.push(data);
 
-			if (this._stopped) break;
-
-			// Send function responses back to the model
-			response = await this._withRetry(() => this.chatSession.sendMessage({
-				message: results.map(r => ({
-					functionResponse: {
-						id: r.id,
-						name: r.name,
-						response: { output: r.result }
+					// Track consecutive failures for executing tools
+					const isExecutingTool = EXECUTING_TOOLS.has(call.name) || (call.name === 'fix_code' && call.args?.execute);
+					if (isExecutingTool) {
+						if (data.exitCode !== 0 && !data.denied) {
+							consecutiveFailures++;
+						} else {
+							consecutiveFailures = 0;
+						}
 					}
-				}))
-			}));
 
-			if (consecutiveFailures >= this.maxRetries) break;
-		}
+					let toolOutput = output;
+					if (consecutiveFailures >= this.maxRetries) {
+						toolOutput += `\n\n[RETRY LIMIT REACHED] You have failed ${this.maxRetries} consecutive attempts. STOP trying to execute code. Instead, respond with: 1) What you were trying to do, 2) The errors you encountered, 3) Questions for the user about how to resolve it.`;
+					}
 
-		this._captureMetadata(response);
+					results.push({
+						id: call.id,
+						name: call.name,
+						result: toolOutput
+					});
+				}
 
-		this._cumulativeUsage = {
-			promptTokens: this.lastResponseMetadata.promptTokens,
-			responseTokens: this.lastResponseMetadata.responseTokens,
-			totalTokens: this.lastResponseMetadata.totalTokens,
-			attempts: 1
-		};
+				if (this._stopped) break;
 
-		// Build backward-compat codeExecutions (only execute_code + write_and_run_code + fix_code with execute)
-		const codeExecutions = toolCalls
-			.filter(tc => tc.tool === 'execute_code' || tc.tool === 'write_and_run_code' || (tc.tool === 'fix_code' && tc.executed))
-			.map(tc => ({
-				code: tc.code || tc.fixedCode,
-				purpose: this._slugify(tc.purpose),
-				output: tc.stdout || '',
-				stderr: tc.stderr || '',
-				exitCode: tc.exitCode ?? 0
-			}));
+				// Send function responses back to the model
+				response = await this._withRetry(() => this.chatSession.sendMessage({
+					message: results.map(r => ({
+						functionResponse: {
+							id: r.id,
+							name: r.name,
+							response: { output: r.result }
+						}
+					}))
+				}));
+
+				if (consecutiveFailures >= this.maxRetries) break;
+			}
 
-		return {
-			text: response.text || '',
-			codeExecutions,
-			toolCalls,
-			usage: this.getLastUsage()
-		};
+			this._captureMetadata(response);
+
+			this._cumulativeUsage = {
+				promptTokens: this.lastResponseMetadata.promptTokens,
+				responseTokens: this.lastResponseMetadata.responseTokens,
+				totalTokens: this.lastResponseMetadata.totalTokens,
+				attempts: 1
+			};
+
+			await this._saveSession();
+
+			// Build backward-compat codeExecutions (only execute_code + write_and_run_code + fix_code with execute)
+			const codeExecutions = toolCalls
+				.filter(tc => tc.tool === 'execute_code' || tc.tool === 'write_and_run_code' || (tc.tool === 'fix_code' && tc.executed))
+				.map(tc => ({
+					code: tc.code || tc.fixedCode,
+					purpose: this._slugify(tc.purpose),
+					output: tc.stdout || '',
+					stderr: tc.stderr || '',
+					exitCode: tc.exitCode ?? 0
+				}));
+
+			return {
+				text: response.text || '',
+				codeExecutions,
+				toolCalls,
+				usage: this.getLastUsage()
+			};
+		});
 	}
 
 	// ── Streaming ────────────────────────────────────────────────────────────
@@ -962,10 +977,24 @@ ${lang.codeRules}
 	 *
 	 * @param {string} message - The user's message
 	 * @param {Object} [opts={}]
+	 * @param {AbortSignal} [opts.signal] - Cancels the call (throws AbortError)
+	 * @param {number} [opts.timeoutMs] - Time limit for the whole call, retries included (throws TimeoutError)
 	 * @yields {CodeAgentStreamEvent}
 	 */
 	async *stream(message, opts = {}) {
+		yield* this._streamWithCallOptions(opts, () => this._stream(message, opts));
+	}
+
+	/**
+	 * stream(), run in the call's scope (see _streamWithCallOptions()).
+	 * @param {string} message
+	 * @param {Object} opts
+	 * @yields {CodeAgentStreamEvent}
+	 * @private
+	 */
+	async *_stream(message, opts) {
 		if (!this.chatSession) await this.init();
+		await this._manageContext(message);
 		this._stopped = false;
 
 		const toolCalls = [];
@@ -1001,6 +1030,7 @@ ${lang.codeRules}
 						stderr: tc.stderr || '',
 						exitCode: tc.exitCode ?? 0
 					}));
+				await this._saveSession();
 				yield { type: 'done', fullText, codeExecutions, toolCalls, usage: this.getLastUsage() };
 				return;
 			}
@@ -1024,7 +1054,7 @@ ${lang.codeRules}
 					yield { type: 'code', code: toolInput.code };
 				}
 
-				const { output, type, data } = await this._handleToolCall(toolName, toolInput);
+				const { output, type, data } = await this._runTool(toolName, toolInput, () => this._handleToolCall(toolName, toolInput));
 
 				toolCalls.push(data);
 
@@ -1102,6 +1132,7 @@ ${lang.codeRules}
 				exitCode: tc.exitCode ?? 0
 			}));
 
+		await this._saveSession();
 		yield { type: 'done', fullText, codeExecutions, toolCalls, usage: this.getLastUsage(), warning };
 	}
 
@@ -17,6 +17,23 @@
 import BaseGemini from './base.js';
 import log from './logger.js';
 
+/**
+ * Cosine similarity of two equal-length vectors; 0 when either has zero magnitude.
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number} Between -1 and 1
+ */
+export function cosineSimilarity(a, b) {
+	let dot = 0, magA = 0, magB = 0;
+	for (let i = 0; i < a.length; i++) {
+		dot += a[i] * b[i];
+		magA += a[i] * a[i];
+		magB += b[i] * b[i];
+	}
+	const magnitude = Math.sqrt(magA) * Math.sqrt(magB);
+	return magnitude === 0 ? 0 : dot / magnitude;
+}
+
 export default class Embedding extends BaseGemini {
 
 	/**
@@ -89,19 +106,23 @@ export default class Embedding extends BaseGemini {
 	 * @param {string} [config.taskType] - Override task type
 	 * @param {string} [config.title] - Override title
 	 * @param {number} [config.outputDimensionality] - Override dimensions
+	 * @param {AbortSignal} [config.signal] - Cancels the call (throws AbortError)
+	 * @param {number} [config.timeoutMs] - Time limit for the whole call, retries included (throws TimeoutError)
 
 	 * @returns {Promise<import('./types.d.ts').EmbeddingResult>} The embedding result
 	 */
 	async embed(text, config = {}) {
-		if (!this._initialized) await this.init();
+		return this._withCallOptions(config, async () => {
+			if (!this._initialized) await this.init();
 
-		const result = await this._withRetry(() => this.genAIClient.models.embedContent({
-			model: this.modelName,
-			contents: text,
-			config: this._buildConfig(config)
-		}));
+			const result = await this._withRetry(() => this._models.embedContent({
+				model: this.modelName,
+				contents: text,
+				config: this._buildConfig(config)
+			}));
 
-		return result.embeddings[0];
+			return result.embeddings[0];
+		});
 	}
 
 	/**
@@ -111,19 +132,23 @@ export default class Embedding extends BaseGemini {
 	 * @param {string} [config.taskType] - Override task type
 	 * @param {string} [config.title] - Override title
 	 * @param {number} [config.outputDimensionality] - Override dimensions
+	 * @param {AbortSignal} [config.signal] - Cancels the call (throws AbortError)
+	 * @param {number} [config.timeoutMs] - Time limit for the whole call, retries included (throws TimeoutError)
 
 	 * @returns {Promise<import('./types.d.ts').EmbeddingResult[]>} Array of embedding results
 	 */
 	async embedBatch(texts, config = {}) {
-		if (!this._initialized) await this.init();
+		return this._withCallOptions(config, async () => {
+			if (!this._initialized) await this.init();
 
-		const result = await this._withRetry(() => this.genAIClient.models.embedContent({
-			model: this.modelName,
-			contents: texts,
-			config: this._buildConfig(config)
-		}));
+			const result = await this._withRetry(() => this._models.embedContent({
+				model: this.modelName,
+				contents: texts,
+				config: this._buildConfig(config)
+			}));
 
-		return result.embeddings;
+			return result.embeddings;
+		});
 	}
 
 	/**
@@ -137,21 +162,7 @@ export default class Embedding extends BaseGemini {
 		if (!a || !b || a.length !== b.length) {
 			throw new Error('Vectors must be non-null and have the same length');
 		}
-
-		let dot = 0;
-		let magA = 0;
-		let magB = 0;
-
-		for (let i = 0; i < a.length; i++) {
-			dot += a[i] * b[i];
-			magA += a[i] * a[i];
-			magB += b[i] * b[i];
-		}
-
-		const magnitude = Math.sqrt(magA) * Math.sqrt(magB);
-		if (magnitude === 0) return 0;
-
-		return dot / magnitude;
+		return cosineSimilarity(a, b);
 	}
 
 	// ── No-ops (embeddings don't use chat sessions) ──
@@ -0,0 +1,292 @@
+/**
+ * @fileoverview Typed errors thrown by every ak-gemini class.
+ *
+ * API failures are classified once, as they come back from the model call, so
+ * callers can branch on the class instead of matching messages:
+ *
+ * - `RateLimitError` — 429 / RESOURCE_EXHAUSTED (retried by `_withRetry` first)
+ * - `AuthError` — 401 / 403, or a missing API key
+ * - `ContextLengthError` — the input is over the model's token limit
+ * - `TimeoutError` — 408 / 504 / DEADLINE_EXCEEDED, a `timeoutMs` that ran out, or a wait that ran out
+ * - `AbortError` — the caller's `signal` aborted the call
+ * - `NetworkError` — the connection failed (ECONNRESET, ENOTFOUND, `fetch failed`, ...)
+ * - `SafetyBlockedError` — the prompt or the whole response was blocked
+ * - `InvalidJSONError` — Transformer couldn't parse the model's JSON
+ * - `ValidationError` — a Transformer validator rejected the payload
+ * - `ToolExecutionError` — a ToolAgent / CodeAgent tool threw
+ *
+ * Any other API error (one with an HTTP status) becomes a plain GeminiError.
+ * Everything else, such as a bad option or a bug in your callback, is thrown
+ * unchanged. Each GeminiError keeps the original error as `cause`, the HTTP
+ * `status`, the `attempts` used, the `usage` spent before the failure (when
+ * the class tracks it) and whether retrying the same request might succeed
+ * (`retryable`).
+ *
+ * @example
+ * ```javascript
+ * import { Transformer, RateLimitError, ValidationError } from 'ak-gemini';
+ *
+ * try {
+ *   await t.send(payload);
+ * } catch (err) {
+ *   if (err instanceof ValidationError) console.log(err.attempts, err.data, err.usage.estimatedCost);
+ *   else if (err instanceof RateLimitError) queue.later(payload);
+ *   else throw err;
+ * }
+ * ```
+ */
+
+/**
+ * @typedef {import('./types').UsageData} UsageData
+ * @typedef {import('./types').GeminiErrorDetails} GeminiErrorDetails
+ */
+
+/** Candidate finish reasons that mean the response was withheld */
+const BLOCKED_FINISH_REASONS = new Set(['SAFETY', 'PROHIBITED_CONTENT', 'BLOCKLIST', 'SPII', 'IMAGE_SAFETY', 'RECITATION']);
+
+/** Node / undici error codes of a failed connection */
+const NETWORK_ERROR_CODES = new Set([
+	'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'ENOTFOUND', 'EAI_AGAIN',
+	'ENETUNREACH', 'EHOSTUNREACH', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT'
+]);
+
+/** Messages of 400s caused by an over-long input */
+const CONTEXT_LENGTH_PATTERN = /exceeds the maximum number of tokens|input token count|context (length|window)|prompt is too long/i;
+
+/**
+ * Base class of every ak-gemini error.
+ */
+export class GeminiError extends Error {
+	/**
+	 * @param {string} message
+	 * @param {GeminiErrorDetails} [details={}]
+	 */
+	constructor(message, details = {}) {
+		super(message, details.cause !== undefined ? { cause: details.cause } : undefined);
+		this.name = 'GeminiError';
+		/** @type {number|null} */
+		this.status = details.status ?? statusOf(details.cause);
+		this.attempts = details.attempts ?? 1;
+		/** @type {UsageData|null} */
+		this.usage = details.usage ?? null;
+		this.retryable = details.retryable ?? (this.status != null && this.status >= 500);
+	}
+}
+
+/** 429 / RESOURCE_EXHAUSTED. */
+export class RateLimitError extends GeminiError {
+	/**
+	 * @param {string} message
+	 * @param {GeminiErrorDetails} [details={}]
+	 */
+	constructor(message, details = {}) {
+		super(message, { status: 429, retryable: true, ...details });
+		this.name = 'RateLimitError';
+	}
+}
+
+/** The prompt was blocked, or every candidate was withheld (safety, recitation, ...). */
+export class SafetyBlockedError extends GeminiError {
+	/**
+	 * @param {string} message
+	 * @param {GeminiErrorDetails & { reason?: string, safetyRatings?: any[] }} [details={}]
+	 */
+	constructor(message, details = {}) {
+		super(message, { retryable: false, ...details });
+		this.name = 'SafetyBlockedError';
+		/** blockReason or finishReason, e.g. 'SAFETY' */
+		this.reason = details.reason ?? null;
+		this.safetyRatings = details.safetyRatings ?? [];
+	}
+}
+
+/** The model's response couldn't be parsed as JSON. */
+export class InvalidJSONError extends GeminiError {
+	/**
+	 * @param {string} message
+	 * @param {GeminiErrorDetails & { text?: string|null }} [details={}]
+	 */
+	constructor(message, details = {}) {
+		super(message, { retryable: true, ...details });
+		this.name = 'InvalidJSONError';
+		/** The unparseable response text */
+		this.text = details.text ?? null;
+	}
+}
+
+/** A validator rejected the transformed payload. */
+export class ValidationError extends GeminiError {
+	/**
+	 * @param {string} message
+	 * @param {GeminiErrorDetails & { data?: any }} [details={}]
+	 */
+	constructor(message, details = {}) {
+		super(message, { retryable: true, ...details });
+		this.name = 'ValidationError';
+		/** The rejected payload */
+		this.data = details.data;
+	}
+}
+
+/** 401 / 403, or no credentials. */
+export class AuthError extends GeminiError {
+	/**
+	 * @param {string} message
+	 * @param {GeminiErrorDetails} [details={}]
+	 */
+	constructor(message, details = {}) {
+		super(message, { retryable: false, ...details });
+		this.name = 'AuthError';
+	}
+}
+
+/** The input is over the model's context window. */
+export class ContextLengthError extends GeminiError {
+	/**
+	 * @param {string} message
+	 * @param {GeminiErrorDetails} [details={}]
+	 */
+	constructor(message, details = {}) {
+		super(message, { retryable: false, ...details });
+		this.name = 'ContextLengthError';
+	}
+}
+
+/** A tool executor threw. */
+export class ToolExecutionError extends GeminiError {
+	/**
+	 * @param {string} message
+	 * @param {GeminiErrorDetails & { toolName?: string, args?: Record<string, any> }} [details={}]
+	 */
+	constructor(message, details = {}) {
+		super(message, { retryable: false, ...details });
+		this.name = 'ToolExecutionError';
+		this.toolName = details.toolName ?? null;
+		this.args = details.args ?? {};
+	}
+}
+
+/** The caller's AbortSignal cancelled the call. */
+export class AbortError extends GeminiError {
+	/**
+	 * @param {string} message
+	 * @param {GeminiErrorDetails} [details={}]
+	 */
+	constructor(message, details = {}) {
+		super(message, { retryable: false, ...details });
+		this.name = 'AbortError';
+	}
+}
+
+/** A request, or a wait for a long-running job, took too long. */
+export class TimeoutError extends GeminiError {
+	/**
+	 * @param {string} message
+	 * @param {GeminiErrorDetails & { timeoutMs?: number|null }} [details={}]
+	 */
+	constructor(message, details = {}) {
+		super(message, { retryable: true, ...details });
+		this.name = 'TimeoutError';
+		this.timeoutMs = details.timeoutMs ?? null;
+	}
+}
+
+/** The request never got a response: the connection was refused, reset or timed out. */
+export class NetworkError extends GeminiError {
+	/**
+	 * @param {string} message
+	 * @param {GeminiErrorDetails & { code?: string|null }} [details={}]
+	 */
+	constructor(message, details = {}) {
+		super(message, { retryable: true, ...details });
+		this.name = 'NetworkError';
+		/** e.g. 'ECONNRESET' */
+		this.code = details.code ?? null;
+	}
+}
+
+/**
+ * HTTP status of an SDK / HTTP error, if it has one.
+ * @param {any} err
+ * @returns {number|null}
+ */
+function statusOf(err) {
+	const status = err?.status ?? err?.code ?? err?.httpStatusCode;
+	return typeof status === 'number' ? status : null;
+}
+
+/**
+ * Maps an error from a model or API call onto the typed classes. Typed errors
+ * are returned as they are; errors that aren't API failures (no HTTP status,
+ * no recognizable message) are returned unchanged.
+ * @param {any} err
+ * @param {{ message?: string }} [opts={}] - Replacement message for a newly classified error
+ * @returns {any}
+ */
+export function classifyError(err, opts = {}) {
+	if (!err || err instanceof GeminiError) return err;
+	const status = statusOf(err);
+	const text = err.message || '';
+	const message = opts.message ?? text;
+	/** @type {GeminiErrorDetails} */
+	const details = { cause: err, ...(status != null && { status }) };
+
+	if (status === 429 || text.includes('429') || text.includes('RESOURCE_EXHAUSTED')) return new RateLimitError(message, details);
+	if (status === 401 || status === 403 || /UNAUTHENTICATED|PERMISSION_DENIED|API key not valid/.test(text)) return new AuthError(message, details);
+	if (status === 400 && CONTEXT_LENGTH_PATTERN.test(text)) return new ContextLengthError(message, details);
+	if (status === 408 || status === 504 || text.includes('DEADLINE_EXCEEDED') || err.name === 'TimeoutError') {
+		return new TimeoutError(message, details);
+	}
+	if (err.name === 'AbortError') return new AbortError(message, details);
+	const code = [err.code, err.cause?.code].find(c => NETWORK_ERROR_CODES.has(c));
+	if (code || (err.name === 'TypeError' && text === 'fetch failed')) return new NetworkError(message, { ...details, code: code ?? null });
+	if (status != null && status >= 400) return new GeminiError(message, details);
+	return err;
+}
+
+/**
+ * A copy of `err` (same class and fields) with a new message and details,
+ * keeping `err` as the cause. Errors that aren't GeminiErrors are wrapped in one.
+ * @param {any} err
+ * @param {string} message
+ * @param {GeminiErrorDetails} details
+ * @returns {GeminiError}
+ */
+export function withContext(err, message, details) {
+	if (!(err instanceof GeminiError)) {
+		return new GeminiError(message, { status: statusOf(err), ...details, cause: err });
+	}
+	const Ctor = /** @type {typeof GeminiError} */ (err.constructor);
+	const copy = new Ctor(message);
+	for (const [key, value] of Object.entries(err)) {
+		if (key !== 'name' && key !== 'cause') /** @type {any} */ (copy)[key] = value;
+	}
+	return Object.assign(copy, details, { cause: err });
+}
+
+/**
+ * The SafetyBlockedError for a response that was withheld, or null. A response
+ * counts as blocked when the prompt was rejected, or its first candidate ended
+ * for a safety reason without any content.
+ * @param {any} response - generateContent() response (or a stream's last chunk)
+ * @param {boolean} [hasContent] - Overrides the content check (streams: whether any chunk had parts)
+ * @returns {SafetyBlockedError|null}
+ */
+export function safetyBlockError(response, hasContent) {
+	const blockReason = response?.promptFeedback?.blockReason;
+	if (blockReason) {
+		return new SafetyBlockedError(`Prompt blocked by Gemini (${blockReason})${response.promptFeedback.blockReasonMessage ? `: ${response.promptFeedback.blockReasonMessage}` : ''}.`, {
+			reason: blockReason,
+			safetyRatings: response.promptFeedback.safetyRatings
+		});
+	}
+	const candidate = response?.candidates?.[0];
+	const answered = hasContent ?? Boolean(candidate?.content?.parts?.length);
+	if (candidate && BLOCKED_FINISH_REASONS.has(candidate.finishReason) && !answered) {
+		return new SafetyBlockedError(`Response blocked by Gemini (finishReason ${candidate.finishReason}).`, {
+			reason: candidate.finishReason,
+			safetyRatings: candidate.safetyRatings
+		});
+	}
+	return null;
+}
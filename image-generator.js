@@ -90,53 +90,55 @@ export default class ImageGenerator extends BaseGemini {
 	 * @returns {Promise<import('./types.d.ts').ImageGenerationResult>}
 	 */
 	async generate(prompt, opts = {}) {
-		if (!this._initialized) await this.init();
-
-		/** @type {any[]} */
-		const parts = [{ text: prompt }];
-		if (Array.isArray(opts.inputImages)) {
-			for (const img of opts.inputImages) {
-				parts.push({ inlineData: { data: img.data, mimeType: img.mimeType } });
+		return this._withCallOptions(opts, async () => {
+			if (!this._initialized) await this.init();
+
+			/** @type {any[]} */
+			const parts = [{ text: prompt }];
+			if (Array.isArray(opts.inputImages)) {
+				for (const img of opts.inputImages) {
+					parts.push({ inlineData: { data: img.data, mimeType: img.mimeType } });
+				}
 			}
-		}
 
-		const result = await this._withRetry(() => this.genAIClient.models.generateContent({
-			model: this.modelName,
-			contents: [{ role: 'user', parts }],
-			config: this._buildConfig(opts)
-		}));
-
-		// Per-call usage computed synchronously from THIS response (concurrency-safe).
-		const usage = this._usageFromResponse(result);
-
-		this._captureMetadata(result);
-		this._cumulativeUsage = {
-			promptTokens: this.lastResponseMetadata.promptTokens,
-			responseTokens: this.lastResponseMetadata.responseTokens,
-			thoughtsTokens: this.lastResponseMetadata.thoughtsTokens,
-			totalTokens: this.lastResponseMetadata.totalTokens,
-			attempts: 1
-		};
-
-		const images = [];
-		let text = '';
-		const responseParts = result.candidates?.[0]?.content?.parts || [];
-		for (const part of responseParts) {
-			if (part.inlineData?.data) {
-				images.push({
-					data: part.inlineData.data,
-					mimeType: part.inlineData.mimeType || 'image/png'
-				});
-			} else if (part.text) {
-				text += part.text;
+			const result = await this._withRetry(() => this._models.generateContent({
+				model: this.modelName,
+				contents: [{ role: 'user', parts }],
+				config: this._buildConfig(opts)
+			}));
+
+			// Per-call usage computed synchronously from THIS response (concurrency-safe).
+			const usage = this._usageFromResponse(result);
+
+			this._captureMetadata(result);
+			this._cumulativeUsage = {
+				promptTokens: this.lastResponseMetadata.promptTokens,
+				responseTokens: this.lastResponseMetadata.responseTokens,
+				thoughtsTokens: this.lastResponseMetadata.thoughtsTokens,
+				totalTokens: this.lastResponseMetadata.totalTokens,
+				attempts: 1
+			};
+
+			const images = [];
+			let text = '';
+			const responseParts = result.candidates?.[0]?.content?.parts || [];
+			for (const part of responseParts) {
+				if (part.inlineData?.data) {
+					images.push({
+						data: part.inlineData.data,
+						mimeType: part.inlineData.mimeType || 'image/png'
+					});
+				} else if (part.text) {
+					text += part.text;
+				}
 			}
-		}
 
-		if (images.length === 0) {
-			log.warn('ImageGenerator: no images returned. Check prompt or safety filters.');
-		}
+			if (images.length === 0) {
+				log.warn('ImageGenerator: no images returned. Check prompt or safety filters.');
+			}
 
-		return { images, text: text || null, usage };
+			return { images, text: text || null, usage };
+		});
 	}
 
 	/**
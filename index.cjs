@@ -29,33 +29,71 @@ var __toCommonJS = (mod) => __copyProps(__defProp({}, "__esModule", { value: tru
 // index.js
 var index_exports = {};
 __export(index_exports, {
+  AbortError: () => AbortError,
+  AuthError: () => AuthError,
+  BATCH_DISCOUNT: () => BATCH_DISCOUNT,
+  BUILTIN_DETECTORS: () => BUILTIN_DETECTORS,
   BaseGemini: () => base_default,
+  BatchJob: () => batch_job_default,
+  BudgetExceededError: () => BudgetExceededError,
+  BudgetTracker: () => BudgetTracker,
+  CACHED_INPUT_DISCOUNT: () => CACHED_INPUT_DISCOUNT,
+  CassetteClient: () => CassetteClient,
   Chat: () => chat_default,
   CodeAgent: () => code_agent_default,
+  ContextLengthError: () => ContextLengthError,
+  DEFAULT_RETRY_POLICY: () => DEFAULT_RETRY_POLICY,
   Embedding: () => Embedding,
-  HarmBlockThreshold: () => import_genai2.HarmBlockThreshold,
-  HarmCategory: () => import_genai2.HarmCategory,
+  FileResponseCache: () => FileResponseCache,
+  FileSessionStore: () => FileSessionStore,
+  GeminiError: () => GeminiError,
+  HarmBlockThreshold: () => import_genai6.HarmBlockThreshold,
+  HarmCategory: () => import_genai6.HarmCategory,
   ImageGenerator: () => ImageGenerator,
+  InvalidJSONError: () => InvalidJSONError,
   MODEL_ALIASES: () => MODEL_ALIASES,
   MODEL_PRICING: () => MODEL_PRICING,
+  MemoryResponseCache: () => MemoryResponseCache,
+  MemorySessionStore: () => MemorySessionStore,
   Message: () => message_default,
+  MockGeminiClient: () => MockGeminiClient,
+  NetworkError: () => NetworkError,
+  RATE_LIMIT_PRIORITIES: () => RATE_LIMIT_PRIORITIES,
   RagAgent: () => rag_agent_default,
-  ThinkingLevel: () => import_genai2.ThinkingLevel,
+  RateLimitError: () => RateLimitError,
+  RateLimiter: () => RateLimiter,
+  Redactor: () => Redactor,
+  SafetyBlockedError: () => SafetyBlockedError,
+  Telemetry: () => Telemetry,
+  ThinkingLevel: () => import_genai6.ThinkingLevel,
+  TimeoutError: () => TimeoutError,
   ToolAgent: () => tool_agent_default,
+  ToolExecutionError: () => ToolExecutionError,
   Transformer: () => transformer_default,
+  UsageLedger: () => UsageLedger,
+  ValidationError: () => ValidationError,
+  VectorIndex: () => VectorIndex,
   attemptJSONRecovery: () => attemptJSONRecovery,
+  billableTokens: () => billableTokens,
+  classifyError: () => classifyError,
   computeCost: () => computeCost,
+  computeCostBreakdown: () => computeCostBreakdown,
   default: () => index_default,
   extractJSON: () => extractJSON,
   log: () => logger_default,
+  redactionMiddleware: () => redactionMiddleware,
   resolvePricing: () => resolvePricing,
+  sumCostBreakdowns: () => sumCostBreakdowns,
   validateSchema: () => validateSchema
 });
 module.exports = __toCommonJS(index_exports);
 
 // base.js
 var import_dotenv = __toESM(require("dotenv"), 1);
-var import_genai = require("@google/genai");
+var import_genai3 = require("@google/genai");
+var import_node_crypto4 = require("node:crypto");
+var import_node_events = require("node:events");
+var import_node_async_hooks = require("node:async_hooks");
 
 // logger.js
 var import_pino = __toESM(require("pino"), 1);
@@ -98,7 +136,7 @@ function isJSONStr(string) {
     return false;
   }
 }
-function attemptJSONRecovery(text, maxAttempts = 100) {
+function attemptJSONRecovery(text, maxAttempts = 100, quiet = false) {
   if (!text || typeof text !== "string") return null;
   try {
     return JSON.parse(text);
@@ -145,7 +183,7 @@ function attemptJSONRecovery(text, maxAttempts = 100) {
     }
     try {
       const result = JSON.parse(fixedText);
-      if (logger_default.level !== "silent") {
+      if (!quiet && logger_default.level !== "silent") {
         logger_default.warn(`JSON response appears truncated (possibly hit maxOutputTokens limit). Recovered by adding closing characters.`);
       }
       return result;
@@ -182,7 +220,7 @@ function attemptJSONRecovery(text, maxAttempts = 100) {
     if (braces2 === 0 && brackets2 === 0 && !inString2) {
       try {
         const result = JSON.parse(workingText);
-        if (logger_default.level !== "silent") {
+        if (!quiet && logger_default.level !== "silent") {
           logger_default.warn(`JSON response appears truncated (possibly hit maxOutputTokens limit). Recovered by removing ${i + 1} characters from the end.`);
         }
         return result;
@@ -204,7 +242,7 @@ function attemptJSONRecovery(text, maxAttempts = 100) {
       }
       try {
         const result = JSON.parse(fixedText);
-        if (logger_default.level !== "silent") {
+        if (!quiet && logger_default.level !== "silent") {
           logger_default.warn(`JSON response appears truncated (possibly hit maxOutputTokens limit). Recovered by adding closing characters.`);
         }
         return result;
@@ -389,276 +427,2101 @@ function extractJSON(text) {
   throw new Error(`Could not extract valid JSON from model response. Response preview: ${text.substring(0, 200)}...`);
 }
 
-// base.js
-import_dotenv.default.config({ quiet: true });
-var { NODE_ENV = "unknown", LOG_LEVEL = "" } = process.env;
-var DEFAULT_SAFETY_SETTINGS = [
-  { category: import_genai.HarmCategory.HARM_CATEGORY_HARASSMENT, threshold: import_genai.HarmBlockThreshold.BLOCK_NONE },
-  { category: import_genai.HarmCategory.HARM_CATEGORY_DANGEROUS_CONTENT, threshold: import_genai.HarmBlockThreshold.BLOCK_NONE }
-];
-var DEFAULT_THINKING_CONFIG = {
-  thinkingBudget: 0
-};
-var DEFAULT_MAX_OUTPUT_TOKENS = 5e4;
-var THINKING_SUPPORTED_MODELS = [
-  /^gemini-3(\.\d+)?-pro(-preview)?$/,
-  /^gemini-3(\.\d+)?-flash(-preview)?$/,
-  /^gemini-3(\.\d+)?-flash-lite(-preview)?$/,
-  /^gemini-2\.5-pro/,
-  /^gemini-2\.5-flash(-preview)?$/,
-  /^gemini-2\.5-flash-lite(-preview)?$/,
-  /^gemini-2\.0-flash$/
-];
-var MODEL_PRICING = {
-  // Gemini 3.x stable
-  "gemini-3.5-flash": { input: 1.5, output: 9 },
-  "gemini-3.1-flash-lite": { input: 0.25, output: 1.5 },
-  // Gemini 3.x preview
-  "gemini-3.1-pro-preview": { input: 2, output: 12 },
-  // ≤200k tier
-  "gemini-3-pro-preview": { input: 2, output: 12 },
-  // ≤200k tier; launch rate (superseded by 3.1, off the pricing page)
-  "gemini-3-flash-preview": { input: 0.5, output: 3 },
-  "gemini-3.1-flash-lite-preview": { input: 0.25, output: 1.5 },
-  "gemini-3.1-flash-image-preview": { input: 0.5, output: 3 },
-  // text-only; image-output is $60/M
-  "gemini-3-pro-image-preview": { input: 2, output: 12 },
-  // text-only; image-output is $120/M
-  // Gemini 2.5 stable
-  "gemini-2.5-flash": { input: 0.3, output: 2.5 },
-  "gemini-2.5-flash-lite": { input: 0.1, output: 0.4 },
-  "gemini-2.5-pro": { input: 1.25, output: 10 },
-  // ≤200k tier
-  "gemini-2.5-flash-image": { input: 0.3, output: 0 },
-  // image-output is ~$0.039/image (1290 tokens)
-  // Deprecated but kept for back-compat (shut down June 2026)
-  "gemini-2.0-flash": { input: 0.1, output: 0.4 },
-  "gemini-2.0-flash-lite": { input: 0.02, output: 0.1 },
-  // Embeddings
-  "gemini-embedding-001": { input: 0.15, output: 0 }
-};
-var MODEL_ALIASES = {
-  "gemini-flash-latest": "gemini-3.5-flash",
-  "gemini-pro-latest": "gemini-3.1-pro-preview",
-  "gemini-flash-lite-latest": "gemini-3.1-flash-lite"
-};
-function resolvePricing(modelId) {
-  if (!modelId) return null;
-  const tryKey = (id) => {
-    if (MODEL_PRICING[id]) return MODEL_PRICING[id];
-    const alias = MODEL_ALIASES[id];
-    if (alias && MODEL_PRICING[alias]) return MODEL_PRICING[alias];
-    return null;
-  };
-  let hit = tryKey(modelId);
-  if (hit) return hit;
-  let stripped = modelId;
-  while (true) {
-    const next = stripped.replace(/-\d{2,}$/, "");
-    if (next === stripped) break;
-    stripped = next;
-    hit = tryKey(stripped);
-    if (hit) return hit;
+// redaction.js
+var import_node_util = require("node:util");
+function luhn(value) {
+  const digits = value.replace(/\D/g, "");
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
   }
-  return null;
+  return sum % 10 === 0;
 }
-function computeCost(modelId, promptTokens, responseTokens, thoughtsTokens = 0) {
-  const pricing = resolvePricing(modelId);
-  if (!pricing) return null;
-  return promptTokens / 1e6 * pricing.input + (responseTokens + thoughtsTokens) / 1e6 * pricing.output;
+var BUILTIN_DETECTORS = [
+  { name: "email", pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g },
+  { name: "uuid", pattern: /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi },
+  { name: "creditCard", pattern: /\b(?:\d[ -]?){12,18}\d\b/g, validate: luhn },
+  { name: "ssn", pattern: /\b\d{3}-\d{2}-\d{4}\b/g },
+  { name: "ipAddress", pattern: /\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b/g },
+  // Formatted numbers only: a leading +, an (area) code, or the same separator
+  // between groups. A bare run of 10 digits is usually a timestamp or an ID.
+  { name: "phone", pattern: /(?<![\w+])(?:\+\d{1,3}[\s.-]?(?:\(\d{3}\)|\d{3})[\s.-]?\d{3}[\s.-]?\d{4}|(?:\d{1,3}[\s.-])?(?:\(\d{3}\)\s?\d{3}[\s.-]?|\d{3}([\s.-])\d{3}\1)\d{4})(?!\w)/g }
+];
+var PLACEHOLDER = /\[([A-Z][A-Z0-9_]*_\d+)\]/g;
+var BEFORE_REHYDRATION = /* @__PURE__ */ Symbol("ak-gemini.beforeRehydration");
+var SKIP_KEYS = /* @__PURE__ */ new Set(["inlineData", "fileData", "thoughtSignature"]);
+function labelFor(name) {
+  return name.replace(/([a-z0-9])([A-Z])/g, "$1_$2").replace(/[^A-Za-z0-9]+/g, "_").toUpperCase();
+}
+function isJsonNumber(match, text, offset) {
+  if (!/^\d+$/.test(match)) return false;
+  const before = text.slice(0, offset).trimEnd().slice(-1);
+  const after = text.slice(offset + match.length).trimStart().charAt(0);
+  return (before === "" || "[:,".includes(before)) && (after === "" || "],}".includes(after));
+}
+function isPlainObject(value) {
+  if (!value || typeof value !== "object") return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === null || Object.getPrototypeOf(proto) === null;
+}
+function mapStrings(value, fn) {
+  if (typeof value === "string") return fn(value);
+  if (Array.isArray(value)) return value.map((v) => mapStrings(v, fn));
+  if (isPlainObject(value)) {
+    const out = {};
+    for (const [key, v] of Object.entries(value)) out[key] = SKIP_KEYS.has(key) ? v : mapStrings(v, fn);
+    return out;
+  }
+  return value;
 }
-var BaseGemini = class {
+var Redactor = class {
+  // Private fields: the mapping can't leak through JSON.stringify, util.inspect or a logger
+  /** @type {Map<string, string>} value → placeholder */
+  #toPlaceholder = /* @__PURE__ */ new Map();
+  /** @type {Map<string, string>} placeholder → value */
+  #toValue = /* @__PURE__ */ new Map();
+  /** @type {Map<string, number>} label → last number issued */
+  #counters = /* @__PURE__ */ new Map();
   /**
-   * @param {BaseGeminiOptions} [options={}]
+   * @param {RedactionOptions} [options={}]
    */
   constructor(options = {}) {
-    this.modelName = options.modelName || "gemini-3-flash-preview";
-    if (options.systemPrompt !== void 0) {
-      this.systemPrompt = options.systemPrompt;
-    } else {
-      this.systemPrompt = null;
-    }
-    this.vertexai = options.vertexai || false;
-    this.project = options.project || process.env.GOOGLE_CLOUD_PROJECT || null;
-    this.location = options.location || process.env.GOOGLE_CLOUD_LOCATION || void 0;
-    this.googleAuthOptions = options.googleAuthOptions || null;
-    this.apiKey = options.apiKey !== void 0 && options.apiKey !== null ? options.apiKey : process.env.GEMINI_API_KEY;
-    if (!this.vertexai && !this.apiKey) {
-      throw new Error("Missing Gemini API key. Provide via options.apiKey or GEMINI_API_KEY env var. For Vertex AI, set vertexai: true with project and location.");
-    }
-    if (this.vertexai && !this.project) {
-      throw new Error("Vertex AI requires a project ID. Provide via options.project or GOOGLE_CLOUD_PROJECT env var.");
-    }
-    this.resourceExhaustedRetries = options.resourceExhaustedRetries ?? 5;
-    this.resourceExhaustedDelay = options.resourceExhaustedDelay ?? 1e3;
-    this.healthCheck = options.healthCheck ?? false;
-    this._configureLogLevel(options.logLevel);
-    this.labels = options.labels || {};
-    this.enableGrounding = options.enableGrounding || false;
-    this.groundingConfig = options.groundingConfig || {};
-    this.cachedContent = options.cachedContent || null;
-    this.serviceTier = options.serviceTier || null;
-    this.includeServerSideToolInvocations = options.includeServerSideToolInvocations ?? false;
-    this.chatConfig = {
-      temperature: 0.7,
-      topP: 0.95,
-      topK: 64,
-      safetySettings: DEFAULT_SAFETY_SETTINGS,
-      ...options.chatConfig
-    };
-    if (this.serviceTier) this.chatConfig["serviceTier"] = this.serviceTier;
-    if (this.includeServerSideToolInvocations) this.chatConfig["includeServerSideToolInvocations"] = true;
-    for (const key of ["temperature", "topP", "topK"]) {
-      if (options[key] !== void 0) this.chatConfig[key] = options[key];
-    }
-    if (this.systemPrompt) {
-      this.chatConfig.systemInstruction = this.systemPrompt;
-    } else if (this.systemPrompt === null && options.systemPrompt === void 0) {
-    } else if (options.systemPrompt === null || options.systemPrompt === false) {
-      delete this.chatConfig.systemInstruction;
+    const builtins = options.detectors ?? BUILTIN_DETECTORS.map((d) => d.name);
+    const unknown = builtins.filter((name) => !BUILTIN_DETECTORS.some((d) => d.name === name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown redaction detector(s): ${unknown.join(", ")}. Built-in: ${BUILTIN_DETECTORS.map((d) => d.name).join(", ")}.`);
+    }
+    for (const d of options.custom || []) {
+      if (!d?.name || !(d.pattern instanceof RegExp) && typeof d.detect !== "function") {
+        throw new Error("Custom redaction detectors need a name and a pattern (RegExp) or detect(text) function.");
+      }
     }
-    if (options.maxOutputTokens !== void 0) {
-      if (options.maxOutputTokens === null) {
-        delete this.chatConfig.maxOutputTokens;
+    this.detectors = [
+      ...options.custom || [],
+      ...BUILTIN_DETECTORS.filter((d) => builtins.includes(d.name))
+    ];
+  }
+  /** Number of distinct values redacted so far. */
+  get size() {
+    return this.#toValue.size;
+  }
+  /**
+   * Replaces every detected value in `text` with its placeholder.
+   * @param {string} text
+   * @returns {string}
+   */
+  redact(text) {
+    if (!text) return text;
+    let out = text;
+    for (const detector of this.detectors) {
+      if (detector.pattern) {
+        const pattern = new RegExp(detector.pattern.source, detector.pattern.flags.includes("g") ? detector.pattern.flags : `${detector.pattern.flags}g`);
+        out = out.replace(pattern, (match, ...args) => {
+          const named = typeof args[args.length - 1] === "object";
+          const offset = args[args.length - (named ? 3 : 2)];
+          const source = args[args.length - (named ? 2 : 1)];
+          if (isJsonNumber(match, source, offset)) return match;
+          if (detector.validate && !detector.validate(match)) return match;
+          return this._placeholderFor(detector.name, match);
+        });
       } else {
-        this.chatConfig.maxOutputTokens = options.maxOutputTokens;
-      }
-    } else if (options.chatConfig?.maxOutputTokens !== void 0) {
-      if (options.chatConfig.maxOutputTokens === null) {
-        delete this.chatConfig.maxOutputTokens;
+        for (const match of new Set(detector.detect(out) || [])) {
+          if (match) out = out.split(match).join(this._placeholderFor(detector.name, match));
+        }
       }
-    } else {
-      this.chatConfig.maxOutputTokens = DEFAULT_MAX_OUTPUT_TOKENS;
     }
-    this._configureThinking(options.thinkingConfig);
-    const clientOptions = this.vertexai ? {
-      vertexai: true,
-      project: this.project,
-      ...this.location && { location: this.location },
-      ...this.googleAuthOptions && { googleAuthOptions: this.googleAuthOptions }
-    } : { apiKey: this.apiKey };
-    this.genAIClient = new import_genai.GoogleGenAI(clientOptions);
-    this.chatSession = null;
-    this.lastResponseMetadata = null;
-    this.exampleCount = 0;
-    this._cumulativeUsage = {
-      promptTokens: 0,
-      responseTokens: 0,
-      totalTokens: 0,
-      attempts: 0
-    };
-    logger_default.debug(`${this.constructor.name} created with model: ${this.modelName}`);
+    return out;
   }
-  // ── Initialization ───────────────────────────────────────────────────────
   /**
-   * Initializes the chat session. Idempotent unless force=true.
-   * Subclasses can override `_getChatCreateOptions()` to customize.
-   * @param {boolean} [force=false]
-   * @returns {Promise<void>}
+   * Replaces known placeholders in `text` with the original values. Unknown
+   * placeholders (e.g. ones the model invented) are left alone.
+   * @param {string} text
+   * @returns {string}
    */
-  async init(force = false) {
-    if (this.chatSession && !force) return;
-    logger_default.debug(`Initializing ${this.constructor.name} chat session with model: ${this.modelName}...`);
-    const chatOptions = this._getChatCreateOptions();
-    this.chatSession = this.genAIClient.chats.create(chatOptions);
-    await this._healthCheckPing();
-    logger_default.debug(`${this.constructor.name}: Chat session initialized.`);
+  rehydrate(text) {
+    if (!text || this.#toValue.size === 0) return text;
+    return text.replace(PLACEHOLDER, (match) => this.#toValue.get(match) ?? match);
   }
   /**
-   * Opt-in connectivity check via `models.list()` — runs only when
-   * `healthCheck: true`. Fails fast (no exponential backoff): a readiness probe
-   * should surface a bad config immediately, not after ~30s of 429 retries.
-   * @returns {Promise<void>}
-   * @protected
+   * redact() applied to every string in a value (contents, tool args, ...).
+   * Binary parts (inlineData, fileData) are left untouched. Returns a copy.
+   * @template T
+   * @param {T} value
+   * @returns {T}
    */
-  async _healthCheckPing() {
-    if (!this.healthCheck) return;
-    try {
-      await this.genAIClient.models.list();
-      logger_default.debug(`${this.constructor.name}: API connection successful.`);
-    } catch (e) {
-      throw new Error(`${this.constructor.name} initialization failed: ${e.message}`);
-    }
+  redactDeep(value) {
+    return mapStrings(value, (s) => this.redact(s));
   }
   /**
-   * Builds the options object for `genAIClient.chats.create()`.
-   * Override in subclasses to add tools, grounding, etc.
-   * @returns {Object}
-   * @protected
+   * rehydrate() applied to every string in a value. Returns a copy.
+   * @template T
+   * @param {T} value
+   * @returns {T}
    */
-  _getChatCreateOptions() {
-    const opts = {
-      model: this.modelName,
-      config: {
-        ...this.chatConfig,
-        ...this.vertexai && Object.keys(this.labels).length > 0 && { labels: this.labels },
-        ...this.cachedContent && { cachedContent: this.cachedContent }
+  rehydrateDeep(value) {
+    if (this.#toValue.size === 0) return value;
+    return mapStrings(value, (s) => this.rehydrate(s));
+  }
+  /** Forgets every mapping; placeholders issued so far can no longer be rehydrated. */
+  clear() {
+    this.#toPlaceholder.clear();
+    this.#toValue.clear();
+    this.#counters.clear();
+  }
+  /** @returns {{ detectors: string[], size: number }} Never includes the mapping */
+  toJSON() {
+    return { detectors: this.detectors.map((d) => d.name), size: this.size };
+  }
+  [import_node_util.inspect.custom]() {
+    return `Redactor ${JSON.stringify(this.toJSON())}`;
+  }
+  /**
+   * @param {string} name - Detector name
+   * @param {string} value
+   * @returns {string}
+   * @private
+   */
+  _placeholderFor(name, value) {
+    const existing = this.#toPlaceholder.get(value);
+    if (existing) return existing;
+    const label = labelFor(name);
+    const n = (this.#counters.get(label) || 0) + 1;
+    this.#counters.set(label, n);
+    const placeholder = `[${label}_${n}]`;
+    this.#toPlaceholder.set(value, placeholder);
+    this.#toValue.set(placeholder, value);
+    return placeholder;
+  }
+};
+function redactRequest(redactor, { contents, config }) {
+  return {
+    contents: redactor.redactDeep(contents),
+    config: typeof config?.systemInstruction === "string" ? { ...config, systemInstruction: redactor.redact(config.systemInstruction) } : config
+  };
+}
+function rehydrateResponse(redactor, response) {
+  if (!response || typeof response !== "object" || redactor.size === 0) return response;
+  const original = {};
+  if (Array.isArray(response.candidates)) original.candidates = response.candidates.map((c) => c?.content);
+  for (const key of ["text", "functionCalls"]) {
+    if (Object.prototype.hasOwnProperty.call(response, key)) original[key] = response[key];
+  }
+  Object.defineProperty(response, BEFORE_REHYDRATION, { value: original, configurable: true });
+  if (Array.isArray(response.candidates)) {
+    for (const candidate of response.candidates) {
+      if (candidate?.content) candidate.content = redactor.rehydrateDeep(candidate.content);
+    }
+  }
+  for (const key of ["text", "functionCalls"]) {
+    if (Object.prototype.hasOwnProperty.call(response, key) && response[key] !== void 0) {
+      response[key] = redactor.rehydrateDeep(response[key]);
+    }
+  }
+  return response;
+}
+function redactedResponse(response) {
+  const original = response?.[BEFORE_REHYDRATION];
+  if (!original) return response;
+  const copy = Object.assign(Object.create(Object.getPrototypeOf(response)), response);
+  if (original.candidates) {
+    copy.candidates = response.candidates.map((c, i) => ({ ...c, content: original.candidates[i] }));
+  }
+  for (const key of ["text", "functionCalls"]) {
+    if (key in original) copy[key] = original[key];
+  }
+  return copy;
+}
+function redactionMiddleware(redactor, options = {}) {
+  const rehydrate = options.rehydrate ?? true;
+  return {
+    name: "redaction",
+    before: (ctx) => {
+      const before = redactor.size;
+      const redacted = redactRequest(redactor, ctx);
+      ctx.contents = redacted.contents;
+      ctx.config = redacted.config;
+      if (redactor.size > before) logger_default.debug(`${ctx.className}: redacted ${redactor.size - before} new value(s).`);
+    },
+    ...rehydrate && {
+      after: (ctx) => {
+        if (ctx.method === "generateContent") ctx.response = rehydrateResponse(redactor, ctx.response);
       },
-      history: []
-    };
-    if (this.enableGrounding) {
-      const existingTools = opts.config.tools || [];
-      opts.config.tools = [...existingTools, { googleSearch: this.groundingConfig }];
-      logger_default.debug("Search grounding ENABLED (WARNING: costs $35/1k queries)");
+      onChunk: (chunk) => rehydrateResponse(redactor, chunk)
     }
-    return opts;
+  };
+}
+
+// errors.js
+var BLOCKED_FINISH_REASONS = /* @__PURE__ */ new Set(["SAFETY", "PROHIBITED_CONTENT", "BLOCKLIST", "SPII", "IMAGE_SAFETY", "RECITATION"]);
+var NETWORK_ERROR_CODES = /* @__PURE__ */ new Set([
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ECONNABORTED",
+  "ETIMEDOUT",
+  "EPIPE",
+  "ENOTFOUND",
+  "EAI_AGAIN",
+  "ENETUNREACH",
+  "EHOSTUNREACH",
+  "UND_ERR_SOCKET",
+  "UND_ERR_CONNECT_TIMEOUT",
+  "UND_ERR_HEADERS_TIMEOUT"
+]);
+var CONTEXT_LENGTH_PATTERN = /exceeds the maximum number of tokens|input token count|context (length|window)|prompt is too long/i;
+var GeminiError = class extends Error {
+  /**
+   * @param {string} message
+   * @param {GeminiErrorDetails} [details={}]
+   */
+  constructor(message, details = {}) {
+    super(message, details.cause !== void 0 ? { cause: details.cause } : void 0);
+    this.name = "GeminiError";
+    this.status = details.status ?? statusOf(details.cause);
+    this.attempts = details.attempts ?? 1;
+    this.usage = details.usage ?? null;
+    this.retryable = details.retryable ?? (this.status != null && this.status >= 500);
   }
-  // ── Chat Session Management ──────────────────────────────────────────────
+};
+var RateLimitError = class extends GeminiError {
   /**
-   * Creates a new chat session with the given history.
-   * Internal helper used by init, seed, clearHistory, reset.
-   * @param {Array} [history=[]]
-   * @returns {Object} The new chat session
-   * @protected
+   * @param {string} message
+   * @param {GeminiErrorDetails} [details={}]
    */
-  _createChatSession(history = []) {
-    const opts = this._getChatCreateOptions();
-    opts.history = history;
-    return this.genAIClient.chats.create(opts);
+  constructor(message, details = {}) {
+    super(message, { status: 429, retryable: true, ...details });
+    this.name = "RateLimitError";
   }
+};
+var SafetyBlockedError = class extends GeminiError {
   /**
-   * Retrieves the current conversation history.
-   * @param {boolean} [curated=false]
-   * @returns {Array<Object>}
+   * @param {string} message
+   * @param {GeminiErrorDetails & { reason?: string, safetyRatings?: any[] }} [details={}]
    */
-  getHistory(curated = false) {
-    if (!this.chatSession) {
-      logger_default.warn("Chat session not initialized. No history available.");
-      return [];
-    }
-    return this.chatSession.getHistory(curated);
+  constructor(message, details = {}) {
+    super(message, { retryable: false, ...details });
+    this.name = "SafetyBlockedError";
+    this.reason = details.reason ?? null;
+    this.safetyRatings = details.safetyRatings ?? [];
   }
+};
+var InvalidJSONError = class extends GeminiError {
   /**
-   * Clears conversation history. Recreates chat session with empty history.
-   * Subclasses may override to preserve seeded examples.
-   * @returns {Promise<void>}
+   * @param {string} message
+   * @param {GeminiErrorDetails & { text?: string|null }} [details={}]
    */
-  async clearHistory() {
-    if (!this.chatSession) {
-      logger_default.warn(`Cannot clear history: chat not initialized.`);
-      return;
-    }
-    this.chatSession = this._createChatSession([]);
-    this.lastResponseMetadata = null;
-    this._cumulativeUsage = { promptTokens: 0, responseTokens: 0, totalTokens: 0, attempts: 0 };
-    logger_default.debug(`${this.constructor.name}: Conversation history cleared.`);
+  constructor(message, details = {}) {
+    super(message, { retryable: true, ...details });
+    this.name = "InvalidJSONError";
+    this.text = details.text ?? null;
   }
-  // ── Few-Shot Seeding ─────────────────────────────────────────────────────
+};
+var ValidationError = class extends GeminiError {
   /**
-   * Seeds the chat session with example input/output pairs for few-shot learning.
-   * @param {TransformationExample[]} examples - Array of example objects
-   * @param {Object} [opts={}] - Key configuration
-   * @param {string} [opts.promptKey='PROMPT'] - Key for input data in examples
-   * @param {string} [opts.answerKey='ANSWER'] - Key for output data in examples
-   * @param {string} [opts.contextKey='CONTEXT'] - Key for optional context
-   * @param {string} [opts.explanationKey='EXPLANATION'] - Key for optional explanations
-   * @param {string} [opts.systemPromptKey='SYSTEM'] - Key for system prompt overrides in examples
-   * @param {'json'|'text'} [opts.format='json'] - Model-turn format: 'json' wraps answers in a {data} envelope (Transformer protocol); 'text' stores ANSWER verbatim (prose agents like Chat)
-   * @returns {Promise<Array>} The updated chat history
+   * @param {string} message
+   * @param {GeminiErrorDetails & { data?: any }} [details={}]
    */
-  async seed(examples, opts = {}) {
-    await this.init();
-    if (!examples || !Array.isArray(examples) || examples.length === 0) {
+  constructor(message, details = {}) {
+    super(message, { retryable: true, ...details });
+    this.name = "ValidationError";
+    this.data = details.data;
+  }
+};
+var AuthError = class extends GeminiError {
+  /**
+   * @param {string} message
+   * @param {GeminiErrorDetails} [details={}]
+   */
+  constructor(message, details = {}) {
+    super(message, { retryable: false, ...details });
+    this.name = "AuthError";
+  }
+};
+var ContextLengthError = class extends GeminiError {
+  /**
+   * @param {string} message
+   * @param {GeminiErrorDetails} [details={}]
+   */
+  constructor(message, details = {}) {
+    super(message, { retryable: false, ...details });
+    this.name = "ContextLengthError";
+  }
+};
+var ToolExecutionError = class extends GeminiError {
+  /**
+   * @param {string} message
+   * @param {GeminiErrorDetails & { toolName?: string, args?: Record<string, any> }} [details={}]
+   */
+  constructor(message, details = {}) {
+    super(message, { retryable: false, ...details });
+    this.name = "ToolExecutionError";
+    this.toolName = details.toolName ?? null;
+    this.args = details.args ?? {};
+  }
+};
+var AbortError = class extends GeminiError {
+  /**
+   * @param {string} message
+   * @param {GeminiErrorDetails} [details={}]
+   */
+  constructor(message, details = {}) {
+    super(message, { retryable: false, ...details });
+    this.name = "AbortError";
+  }
+};
+var TimeoutError = class extends GeminiError {
+  /**
+   * @param {string} message
+   * @param {GeminiErrorDetails & { timeoutMs?: number|null }} [details={}]
+   */
+  constructor(message, details = {}) {
+    super(message, { retryable: true, ...details });
+    this.name = "TimeoutError";
+    this.timeoutMs = details.timeoutMs ?? null;
+  }
+};
+var NetworkError = class extends GeminiError {
+  /**
+   * @param {string} message
+   * @param {GeminiErrorDetails & { code?: string|null }} [details={}]
+   */
+  constructor(message, details = {}) {
+    super(message, { retryable: true, ...details });
+    this.name = "NetworkError";
+    this.code = details.code ?? null;
+  }
+};
+function statusOf(err) {
+  const status = err?.status ?? err?.code ?? err?.httpStatusCode;
+  return typeof status === "number" ? status : null;
+}
+function classifyError(err, opts = {}) {
+  if (!err || err instanceof GeminiError) return err;
+  const status = statusOf(err);
+  const text = err.message || "";
+  const message = opts.message ?? text;
+  const details = { cause: err, ...status != null && { status } };
+  if (status === 429 || text.includes("429") || text.includes("RESOURCE_EXHAUSTED")) return new RateLimitError(message, details);
+  if (status === 401 || status === 403 || /UNAUTHENTICATED|PERMISSION_DENIED|API key not valid/.test(text)) return new AuthError(message, details);
+  if (status === 400 && CONTEXT_LENGTH_PATTERN.test(text)) return new ContextLengthError(message, details);
+  if (status === 408 || status === 504 || text.includes("DEADLINE_EXCEEDED") || err.name === "TimeoutError") {
+    return new TimeoutError(message, details);
+  }
+  if (err.name === "AbortError") return new AbortError(message, details);
+  const code = [err.code, err.cause?.code].find((c) => NETWORK_ERROR_CODES.has(c));
+  if (code || err.name === "TypeError" && text === "fetch failed") return new NetworkError(message, { ...details, code: code ?? null });
+  if (status != null && status >= 400) return new GeminiError(message, details);
+  return err;
+}
+function withContext(err, message, details) {
+  if (!(err instanceof GeminiError)) {
+    return new GeminiError(message, { status: statusOf(err), ...details, cause: err });
+  }
+  const Ctor = (
+    /** @type {typeof GeminiError} */
+    err.constructor
+  );
+  const copy = new Ctor(message);
+  for (const [key, value] of Object.entries(err)) {
+    if (key !== "name" && key !== "cause") copy[key] = value;
+  }
+  return Object.assign(copy, details, { cause: err });
+}
+function safetyBlockError(response, hasContent) {
+  const blockReason = response?.promptFeedback?.blockReason;
+  if (blockReason) {
+    return new SafetyBlockedError(`Prompt blocked by Gemini (${blockReason})${response.promptFeedback.blockReasonMessage ? `: ${response.promptFeedback.blockReasonMessage}` : ""}.`, {
+      reason: blockReason,
+      safetyRatings: response.promptFeedback.safetyRatings
+    });
+  }
+  const candidate = response?.candidates?.[0];
+  const answered = hasContent ?? Boolean(candidate?.content?.parts?.length);
+  if (candidate && BLOCKED_FINISH_REASONS.has(candidate.finishReason) && !answered) {
+    return new SafetyBlockedError(`Response blocked by Gemini (finishReason ${candidate.finishReason}).`, {
+      reason: candidate.finishReason,
+      safetyRatings: candidate.safetyRatings
+    });
+  }
+  return null;
+}
+
+// budget.js
+var BudgetExceededError = class extends GeminiError {
+  /**
+   * @param {Object} details
+   * @param {'maxUSD'|'maxTokens'} details.limit - Which cap
+   * @param {number} details.max - The cap
+   * @param {number} details.spent - Spent before this call
+   * @param {number} details.estimated - This call's estimated input
+   * @param {string} details.scope - 'instance', 'process' or the tracker's name
+   */
+  constructor({ limit, max, spent, estimated, scope }) {
+    const fmt = limit === "maxUSD" ? (n) => `$${n.toFixed(4)}` : (n) => `${n} tokens`;
+    super(`Budget exceeded (${scope}): ${limit} ${fmt(max)} would be crossed \u2014 spent ${fmt(spent)}, this call needs ~${fmt(estimated)}.`, { retryable: false });
+    this.name = "BudgetExceededError";
+    this.limit = limit;
+    this.max = max;
+    this.spent = spent;
+    this.estimated = estimated;
+    this.scope = scope;
+  }
+};
+var DEFAULT_WARN_AT = 0.8;
+var processTracker = null;
+var BudgetTracker = class _BudgetTracker {
+  /**
+   * @param {Object} [options={}]
+   * @param {number|null} [options.maxUSD=null] - Spend cap in USD (estimated)
+   * @param {number|null} [options.maxTokens=null] - Cap on total tokens (input + output + thinking)
+   * @param {number|null} [options.warnAt=0.8] - Fraction of a cap that emits `budgetWarning` (null = never)
+   * @param {string} [options.name='shared'] - Shown in BudgetExceededError
+   */
+  constructor(options = {}) {
+    this.maxUSD = options.maxUSD ?? null;
+    this.maxTokens = options.maxTokens ?? null;
+    this.warnAt = options.warnAt === void 0 ? DEFAULT_WARN_AT : options.warnAt;
+    this.name = options.name || "shared";
+    this.spentUSD = 0;
+    this.spentTokens = 0;
+    this.calls = 0;
+  }
+  /**
+   * The tracker every `scope: 'process'` instance records into. It has no
+   * caps of its own; each instance checks its caps against its totals.
+   * @returns {BudgetTracker}
+   */
+  static get process() {
+    if (!processTracker) processTracker = new _BudgetTracker({ name: "process" });
+    return processTracker;
+  }
+  /**
+   * What's left under each cap (null = uncapped).
+   * @param {BudgetLimits} [limits] - Caps to measure against (default: this tracker's)
+   * @returns {{ usd: number|null, tokens: number|null }}
+   */
+  remaining(limits = this) {
+    return {
+      usd: limits.maxUSD == null ? null : Math.max(0, limits.maxUSD - this.spentUSD),
+      tokens: limits.maxTokens == null ? null : Math.max(0, limits.maxTokens - this.spentTokens)
+    };
+  }
+  /**
+   * Throws BudgetExceededError if spending `estimate` on top of what's spent
+   * would cross a cap (or a cap is already reached).
+   * @param {{ usd?: number|null, tokens?: number }} estimate
+   * @param {BudgetLimits} [limits] - Caps to check (default: this tracker's)
+   * @param {string} [scope] - Label for the error (default: the tracker's name)
+   */
+  check(estimate, limits = this, scope = this.name) {
+    const usd = estimate.usd || 0;
+    const tokens = estimate.tokens || 0;
+    if (limits.maxUSD != null && (this.spentUSD >= limits.maxUSD || this.spentUSD + usd > limits.maxUSD)) {
+      throw new BudgetExceededError({ limit: "maxUSD", max: limits.maxUSD, spent: this.spentUSD, estimated: usd, scope });
+    }
+    if (limits.maxTokens != null && (this.spentTokens >= limits.maxTokens || this.spentTokens + tokens > limits.maxTokens)) {
+      throw new BudgetExceededError({ limit: "maxTokens", max: limits.maxTokens, spent: this.spentTokens, estimated: tokens, scope });
+    }
+  }
+  /**
+   * Adds one call's spend.
+   * @param {{ usd?: number|null, tokens?: number }} spend
+   */
+  record(spend) {
+    this.spentUSD += spend.usd || 0;
+    this.spentTokens += spend.tokens || 0;
+    this.calls++;
+  }
+  /** Zeroes the totals (caps are kept). */
+  reset() {
+    this.spentUSD = 0;
+    this.spentTokens = 0;
+    this.calls = 0;
+  }
+};
+function resolveBudget(budget) {
+  if (budget instanceof BudgetTracker) {
+    return { tracker: budget, limits: budget, scope: budget.name, preflight: "approximate" };
+  }
+  const scope = budget.scope || "instance";
+  if (scope !== "instance" && scope !== "process") {
+    throw new Error(`Unknown budget scope "${scope}". Use 'instance' or 'process'.`);
+  }
+  if (budget.maxUSD == null && budget.maxTokens == null) {
+    throw new Error("budget needs maxUSD and/or maxTokens (or pass a BudgetTracker).");
+  }
+  const limits = {
+    maxUSD: budget.maxUSD ?? null,
+    maxTokens: budget.maxTokens ?? null,
+    warnAt: budget.warnAt === void 0 ? DEFAULT_WARN_AT : budget.warnAt
+  };
+  const tracker = scope === "process" ? BudgetTracker.process : new BudgetTracker({ ...limits, name: "instance" });
+  return { tracker, limits, scope, preflight: budget.preflight ?? "approximate" };
+}
+function approxTokens(contents) {
+  return Math.ceil(JSON.stringify(contents ?? "").length / 4);
+}
+async function preflightTokens(ctx, method) {
+  const system = typeof ctx.config?.systemInstruction === "string" ? [{ role: "user", parts: [{ text: ctx.config.systemInstruction }] }] : [];
+  const contents = [...system, ...[].concat(ctx.contents ?? [])];
+  if (method !== "countTokens") return approxTokens(contents);
+  try {
+    const counted = await ctx.instance.genAIClient.models.countTokens({ model: ctx.model, contents });
+    return counted?.totalTokens ?? approxTokens(contents);
+  } catch (e) {
+    logger_default.debug(`${ctx.className}: preflight countTokens failed (${e.message}); approximating.`);
+    return approxTokens(contents);
+  }
+}
+function warnIfCrossed(ctx, tracker, before, limits, scope) {
+  if (limits.warnAt == null) return;
+  const caps = (
+    /** @type {const} */
+    [["maxUSD", before.usd, tracker.spentUSD], ["maxTokens", before.tokens, tracker.spentTokens]]
+  );
+  for (const [limit, spentBefore, spent] of caps) {
+    const max = limits[limit];
+    if (max == null) continue;
+    const threshold = max * limits.warnAt;
+    if (spentBefore < threshold && spent >= threshold) {
+      ctx.instance.emit("budgetWarning", { className: ctx.className, limit, max, spent, fraction: spent / max, warnAt: limits.warnAt, scope });
+    }
+  }
+}
+function budgetMiddleware({ tracker, limits, scope, preflight = "approximate" }) {
+  return {
+    name: "budget",
+    before: async (ctx) => {
+      if (ctx.method === "countTokens") return;
+      const tokens = preflight ? await preflightTokens(ctx, preflight) : 0;
+      ctx.state.budgetTokens = tokens;
+      tracker.check({ usd: computeCost(ctx.model, tokens, 0, 0, { serviceTier: ctx.config?.serviceTier }) ?? 0, tokens }, limits, scope);
+    },
+    after: (ctx) => {
+      if (ctx.method === "countTokens") return;
+      const before = { usd: tracker.spentUSD, tokens: tracker.spentTokens };
+      const usage = ctx.response?.usageMetadata;
+      if (!usage) {
+        const tokens = ctx.state.budgetTokens || 0;
+        tracker.record({ usd: computeCost(ctx.model, tokens, 0, 0, { serviceTier: ctx.config?.serviceTier }), tokens });
+      } else {
+        const tokens = billableTokens(usage);
+        const costOpts = { serviceTier: ctx.config?.serviceTier };
+        const cost = computeCostBreakdown(ctx.response.modelVersion, tokens, costOpts) ?? computeCostBreakdown(ctx.model, tokens, costOpts);
+        tracker.record({
+          usd: cost?.total ?? null,
+          tokens: usage.totalTokenCount || tokens.promptTokens + tokens.responseTokens + tokens.thoughtsTokens
+        });
+      }
+      warnIfCrossed(ctx, tracker, before, limits, scope);
+    }
+  };
+}
+
+// usage-ledger.js
+var import_promises = require("node:fs/promises");
+var import_node_path = require("node:path");
+var import_node_crypto = require("node:crypto");
+var TOTAL_FIELDS = (
+  /** @type {const} */
+  ["promptTokens", "responseTokens", "thoughtsTokens", "totalTokens"]
+);
+var ENTRY_COLUMNS = ["timestamp", "className", "method", "model", "requestedModel", ...TOTAL_FIELDS, "estimatedCost"];
+var UsageLedger = class _UsageLedger {
+  /**
+   * @param {Object} [options={}]
+   * @param {(entry: UsageLedgerEntry) => void} [options.onRecord] - Called with each new entry (e.g. to append it to a log)
+   */
+  constructor(options = {}) {
+    this.entries = [];
+    this.onRecord = options.onRecord || null;
+  }
+  /**
+   * Adds an entry. Instances call this through their middleware; call it
+   * directly to record usage from elsewhere (e.g. a BatchJob summary).
+   * @param {Partial<UsageLedgerEntry> & { model: string }} entry
+   * @returns {UsageLedgerEntry}
+   */
+  record(entry) {
+    const promptTokens = entry.promptTokens || 0;
+    const responseTokens = entry.responseTokens || 0;
+    const thoughtsTokens = entry.thoughtsTokens || 0;
+    const full = {
+      timestamp: entry.timestamp || (/* @__PURE__ */ new Date()).toISOString(),
+      className: entry.className || "unknown",
+      method: entry.method || "generateContent",
+      model: entry.model,
+      requestedModel: entry.requestedModel || entry.model,
+      labels: { ...entry.labels || {} },
+      promptTokens,
+      responseTokens,
+      thoughtsTokens,
+      totalTokens: entry.totalTokens || promptTokens + responseTokens + thoughtsTokens,
+      estimatedCost: entry.estimatedCost !== void 0 ? entry.estimatedCost : computeCost(entry.model, promptTokens, responseTokens, thoughtsTokens)
+    };
+    this.entries.push(full);
+    if (this.onRecord) {
+      try {
+        this.onRecord(full);
+      } catch (e) {
+        logger_default.warn(`UsageLedger onRecord callback error: ${e.message}`);
+      }
+    }
+    return full;
+  }
+  /**
+   * Totals per group. Without `groupBy`, one row totalling every entry.
+   *
+   * Group keys: `'model'` (the model the API reported), `'requestedModel'`,
+   * `'className'`, `'method'`, `'day'` (UTC, YYYY-MM-DD), `'month'` (YYYY-MM),
+   * or `'label.<name>'` (null for entries without that label). Rows are
+   * sorted by estimated cost, highest first.
+   *
+   * @param {UsageLedgerSummaryOptions} [opts={}]
+   * @returns {UsageLedgerSummaryRow[]}
+   */
+  summary(opts = {}) {
+    const groupBy = [].concat(opts.groupBy || []);
+    const groups = /* @__PURE__ */ new Map();
+    for (const entry of selectEntries(this.entries, opts)) {
+      const key = {};
+      for (const field of groupBy) key[field] = groupValue(entry, field);
+      const id = JSON.stringify(groupBy.map((f) => key[f]));
+      let row = groups.get(id);
+      if (!row) {
+        row = { ...key, calls: 0, promptTokens: 0, responseTokens: 0, thoughtsTokens: 0, totalTokens: 0, estimatedCost: 0, unpricedCalls: 0 };
+        groups.set(id, row);
+      }
+      row.calls++;
+      for (const field of TOTAL_FIELDS) row[field] += entry[field];
+      if (entry.estimatedCost == null) row.unpricedCalls++;
+      else row.estimatedCost += entry.estimatedCost;
+    }
+    return [...groups.values()].sort((a, b) => b.estimatedCost - a.estimatedCost);
+  }
+  /**
+   * CSV text: one row per call, or summary() rows when `groupBy` is given.
+   * Per-call rows get a `label.<name>` column for every label seen.
+   * @param {UsageLedgerSummaryOptions} [opts={}]
+   * @returns {string}
+   */
+  toCSV(opts = {}) {
+    if (opts.groupBy) {
+      const rows = this.summary(opts);
+      const columns2 = [...[].concat(opts.groupBy), "calls", ...TOTAL_FIELDS, "estimatedCost", "unpricedCalls"];
+      return toCSVText(columns2, rows.map((row) => columns2.map((c) => (
+        /** @type {any} */
+        row[c]
+      ))));
+    }
+    const entries = selectEntries(this.entries, opts);
+    const labelNames = [...new Set(entries.flatMap((e) => Object.keys(e.labels)))].sort();
+    const columns = [...ENTRY_COLUMNS, ...labelNames.map((n) => `label.${n}`)];
+    return toCSVText(columns, entries.map((e) => [
+      ...ENTRY_COLUMNS.map((c) => (
+        /** @type {any} */
+        e[c]
+      )),
+      ...labelNames.map((n) => e.labels[n])
+    ]));
+  }
+  /**
+   * The entries, for JSON.stringify() and UsageLedger.fromJSON().
+   * @returns {{ entries: UsageLedgerEntry[] }}
+   */
+  toJSON() {
+    return { entries: this.entries };
+  }
+  /**
+   * Rebuilds a ledger from toJSON() output (or its JSON text).
+   * @param {string|{ entries: UsageLedgerEntry[] }} data
+   * @returns {UsageLedger}
+   */
+  static fromJSON(data) {
+    const parsed = typeof data === "string" ? JSON.parse(data) : data;
+    const ledger = new _UsageLedger();
+    ledger.entries = [...parsed?.entries || []];
+    return ledger;
+  }
+  /**
+   * Writes the ledger to a file: CSV for a `.csv` path, JSON otherwise. With
+   * `groupBy` the file holds summary() rows instead of one record per call.
+   * The write goes to a temp file that is renamed into place.
+   * @param {string} filePath
+   * @param {UsageLedgerSummaryOptions} [opts={}] - groupBy, since, until
+   * @returns {Promise<string>} The path written
+   */
+  async save(filePath, opts = {}) {
+    let body;
+    if ((0, import_node_path.extname)(filePath).toLowerCase() === ".csv") body = this.toCSV(opts);
+    else body = JSON.stringify(opts.groupBy ? this.summary(opts) : { entries: selectEntries(this.entries, opts) }, null, 2);
+    await (0, import_promises.mkdir)((0, import_node_path.dirname)(filePath), { recursive: true });
+    const tmp = `${filePath}.${(0, import_node_crypto.randomUUID)()}.tmp`;
+    await (0, import_promises.writeFile)(tmp, body, "utf-8");
+    await (0, import_promises.rename)(tmp, filePath);
+    return filePath;
+  }
+  /** Removes every entry. */
+  clear() {
+    this.entries = [];
+  }
+};
+function selectEntries(entries, opts) {
+  const since = opts.since != null ? new Date(opts.since).getTime() : -Infinity;
+  const until = opts.until != null ? new Date(opts.until).getTime() : Infinity;
+  if (since === -Infinity && until === Infinity) return entries;
+  return entries.filter((e) => {
+    const t = Date.parse(e.timestamp);
+    return t >= since && t < until;
+  });
+}
+function groupValue(entry, field) {
+  if (field.startsWith("label.")) return entry.labels[field.slice(6)] ?? null;
+  switch (field) {
+    case "day":
+      return entry.timestamp.slice(0, 10);
+    case "month":
+      return entry.timestamp.slice(0, 7);
+    case "model":
+    case "requestedModel":
+    case "className":
+    case "method":
+      return entry[field];
+    default:
+      throw new Error(`Unknown groupBy key "${field}". Use model, requestedModel, className, method, day, month or label.<name>.`);
+  }
+}
+function toCSVText(columns, rows) {
+  const cell = (value) => {
+    if (value == null) return "";
+    const s = String(value);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return [columns, ...rows].map((row) => row.map(cell).join(",")).join("\n") + "\n";
+}
+function usageLedgerMiddleware(ledger) {
+  return {
+    name: "usageLedger",
+    after: (ctx) => {
+      if (ctx.method === "countTokens") return;
+      const usage = ctx.response?.usageMetadata || {};
+      const tokens = billableTokens(usage);
+      const { promptTokens, responseTokens, thoughtsTokens } = tokens;
+      const model = ctx.response?.modelVersion || ctx.model;
+      const costOpts = { serviceTier: ctx.config?.serviceTier };
+      ledger.record({
+        className: ctx.className,
+        method: ctx.method,
+        model,
+        requestedModel: ctx.model,
+        labels: ctx.labels || ctx.instance.labels,
+        promptTokens,
+        responseTokens,
+        thoughtsTokens,
+        totalTokens: usage.totalTokenCount || promptTokens + responseTokens + thoughtsTokens,
+        estimatedCost: (computeCostBreakdown(model, tokens, costOpts) ?? computeCostBreakdown(ctx.model, tokens, costOpts))?.total ?? null
+      });
+    }
+  };
+}
+
+// telemetry.js
+var SCOPE = "ak-gemini";
+var SPAN_KIND_INTERNAL = 0;
+var SPAN_KIND_CLIENT = 2;
+var SPAN_STATUS_ERROR = 2;
+var OPERATION_NAMES = {
+  generateContent: "generate_content",
+  generateContentStream: "generate_content",
+  embedContent: "embeddings"
+};
+var apiPromise = null;
+function loadApi() {
+  if (!apiPromise) {
+    const specifier = "@opentelemetry/api";
+    apiPromise = import(specifier).catch((e) => {
+      logger_default.warn(`telemetry: could not load @opentelemetry/api (${e.message}); install it or pass { tracer, meter }. Spans and metrics are off.`);
+      return null;
+    });
+  }
+  return apiPromise;
+}
+var Telemetry = class {
+  /**
+   * @param {TelemetryOptions} [options={}]
+   */
+  constructor(options = {}) {
+    this.tracer = options.tracer || null;
+    this.meter = options.meter || null;
+    this._ready = null;
+    this._instruments = null;
+  }
+  /**
+   * Resolves the tracer and meter (from @opentelemetry/api when not given)
+   * and creates the instruments. Safe to call repeatedly.
+   * @returns {Promise<void>}
+   */
+  ready() {
+    if (!this._ready) {
+      this._ready = (async () => {
+        if (!this.tracer || !this.meter) {
+          const api = await loadApi();
+          if (api) {
+            this.tracer = this.tracer || api.trace.getTracer(SCOPE);
+            this.meter = this.meter || api.metrics.getMeter(SCOPE);
+          }
+        }
+        if (this.meter) {
+          this._instruments = {
+            duration: this.meter.createHistogram("gen_ai.client.operation.duration", { unit: "s", description: "GenAI operation duration" }),
+            tokenUsage: this.meter.createHistogram("gen_ai.client.token.usage", { unit: "{token}", description: "Tokens used per model call" }),
+            tokens: this.meter.createCounter("ak_gemini.client.tokens", { unit: "{token}", description: "Total tokens used" }),
+            cost: this.meter.createCounter("ak_gemini.client.cost", { unit: "USD", description: "Estimated spend from MODEL_PRICING" }),
+            toolDuration: this.meter.createHistogram("ak_gemini.tool.duration", { unit: "s", description: "Tool execution duration" })
+          };
+        }
+      })();
+    }
+    return this._ready;
+  }
+  /**
+   * Runs `fn` inside an active INTERNAL span, so spans started within it are
+   * its children. Errors are recorded on the span and rethrown.
+   * @template T
+   * @param {string} name
+   * @param {Record<string, any>} attributes
+   * @param {(span: any) => Promise<T>} fn
+   * @returns {Promise<T>}
+   */
+  async span(name, attributes, fn) {
+    await this.ready();
+    if (!this.tracer) return fn(null);
+    return this.tracer.startActiveSpan(name, { kind: SPAN_KIND_INTERNAL, attributes }, async (span) => {
+      try {
+        return await fn(span);
+      } catch (err) {
+        recordError(span, err);
+        throw err;
+      } finally {
+        span.end();
+      }
+    });
+  }
+  /**
+   * Traces and times one tool execution.
+   * @template T
+   * @param {string} className - Agent class running the tool
+   * @param {string} toolName
+   * @param {() => Promise<T>} fn
+   * @returns {Promise<T>}
+   */
+  async tool(className, toolName, fn) {
+    const attributes = { "gen_ai.operation.name": "execute_tool", "gen_ai.tool.name": toolName, "ak_gemini.class": className };
+    const started = performance.now();
+    let errorType = null;
+    try {
+      return await this.span(`execute_tool ${toolName}`, attributes, fn);
+    } catch (err) {
+      errorType = errorTypeOf(err);
+      throw err;
+    } finally {
+      this._instruments?.toolDuration.record((performance.now() - started) / 1e3, {
+        "gen_ai.tool.name": toolName,
+        ...errorType && { "error.type": errorType }
+      });
+    }
+  }
+};
+function recordError(span, err) {
+  if (!span) return;
+  span.recordException(err);
+  span.setStatus({ code: SPAN_STATUS_ERROR, message: err?.message });
+  span.setAttribute("error.type", errorTypeOf(err));
+}
+function errorTypeOf(err) {
+  return String(err?.status ?? err?.name ?? "Error");
+}
+function requestAttributes(ctx) {
+  const config = ctx.config || {};
+  const attributes = {
+    "gen_ai.operation.name": OPERATION_NAMES[
+      /** @type {keyof OPERATION_NAMES} */
+      ctx.method
+    ],
+    "gen_ai.provider.name": ctx.instance.vertexai ? "gcp.vertex_ai" : "gcp.gemini",
+    "gen_ai.request.model": ctx.model,
+    "ak_gemini.class": ctx.className,
+    "ak_gemini.method": ctx.method
+  };
+  if (config.temperature != null) attributes["gen_ai.request.temperature"] = config.temperature;
+  if (config.topP != null) attributes["gen_ai.request.top_p"] = config.topP;
+  if (config.topK != null) attributes["gen_ai.request.top_k"] = config.topK;
+  if (config.maxOutputTokens != null) attributes["gen_ai.request.max_tokens"] = config.maxOutputTokens;
+  for (const [key, value] of Object.entries(ctx.labels || ctx.instance.labels || {})) {
+    attributes[`ak_gemini.label.${key}`] = value;
+  }
+  return attributes;
+}
+function telemetryMiddleware(telemetry) {
+  const metricAttributes = (ctx) => ({
+    "gen_ai.operation.name": ctx.state.telemetryAttributes["gen_ai.operation.name"],
+    "gen_ai.provider.name": ctx.state.telemetryAttributes["gen_ai.provider.name"],
+    "gen_ai.request.model": ctx.model,
+    ...ctx.response?.modelVersion && { "gen_ai.response.model": ctx.response.modelVersion }
+  });
+  return {
+    name: "telemetry",
+    before: async (ctx) => {
+      if (ctx.method === "countTokens") return;
+      await telemetry.ready();
+      const attributes = requestAttributes(ctx);
+      ctx.state.telemetryAttributes = attributes;
+      ctx.state.telemetryStart = performance.now();
+      ctx.state.telemetrySpan = telemetry.tracer?.startSpan(
+        `${attributes["gen_ai.operation.name"]} ${ctx.model}`,
+        { kind: SPAN_KIND_CLIENT, attributes }
+      ) ?? null;
+    },
+    after: (ctx) => {
+      if (ctx.method === "countTokens" || !ctx.state.telemetryAttributes) return;
+      ctx.state.telemetryDone = true;
+      const response = ctx.response;
+      const tokens = billableTokens(response?.usageMetadata);
+      const outputTokens = tokens.responseTokens + tokens.thoughtsTokens;
+      const costOpts = { serviceTier: ctx.config?.serviceTier };
+      const cost = (computeCostBreakdown(response?.modelVersion, tokens, costOpts) ?? computeCostBreakdown(ctx.model, tokens, costOpts))?.total ?? null;
+      const span = ctx.state.telemetrySpan;
+      if (span) {
+        const attributes = {
+          "gen_ai.usage.input_tokens": tokens.promptTokens,
+          "gen_ai.usage.output_tokens": outputTokens,
+          "ak_gemini.usage.thoughts_tokens": tokens.thoughtsTokens,
+          "ak_gemini.usage.cached_tokens": tokens.cachedTokens
+        };
+        if (response?.modelVersion) attributes["gen_ai.response.model"] = response.modelVersion;
+        if (response?.responseId) attributes["gen_ai.response.id"] = response.responseId;
+        const finishReasons = (response?.candidates || []).map((c) => c.finishReason).filter(Boolean);
+        if (finishReasons.length > 0) attributes["gen_ai.response.finish_reasons"] = finishReasons;
+        if (cost != null) attributes["ak_gemini.cost_usd"] = cost;
+        span.setAttributes(attributes);
+        span.end();
+      }
+      const instruments = telemetry._instruments;
+      if (!instruments) return;
+      const metricAttrs = metricAttributes(ctx);
+      instruments.duration.record((performance.now() - ctx.state.telemetryStart) / 1e3, metricAttrs);
+      instruments.tokenUsage.record(tokens.promptTokens, { ...metricAttrs, "gen_ai.token.type": "input" });
+      instruments.tokenUsage.record(outputTokens, { ...metricAttrs, "gen_ai.token.type": "output" });
+      instruments.tokens.add(tokens.promptTokens, { ...metricAttrs, "gen_ai.token.type": "input" });
+      instruments.tokens.add(outputTokens, { ...metricAttrs, "gen_ai.token.type": "output" });
+      if (cost != null) instruments.cost.add(cost, metricAttrs);
+    },
+    onError: (ctx) => {
+      if (ctx.method === "countTokens" || !ctx.state.telemetryAttributes || ctx.state.telemetryDone) return;
+      recordError(ctx.state.telemetrySpan, ctx.error);
+      ctx.state.telemetrySpan?.end();
+      telemetry._instruments?.duration.record((performance.now() - ctx.state.telemetryStart) / 1e3, {
+        ...metricAttributes(ctx),
+        "error.type": errorTypeOf(ctx.error)
+      });
+    }
+  };
+}
+
+// retry.js
+var RETRIES = /* @__PURE__ */ Symbol("ak-gemini.retries");
+var EXPONENTIAL_JITTER_MS = 500;
+var DEFAULT_RETRY_POLICY = Object.freeze({
+  maxRetries: 5,
+  initialDelayMs: 1e3,
+  maxDelayMs: 6e4,
+  backoff: (
+    /** @type {'exponential'|'decorrelated'} */
+    "exponential"
+  ),
+  maxElapsedMs: (
+    /** @type {number|null} */
+    null
+  ),
+  retryableStatuses: [429, 500, 502, 503, 504],
+  retryableErrors: [RateLimitError, NetworkError, TimeoutError],
+  respectRetryAfter: true,
+  onRetry: (
+    /** @type {RetryPolicy['onRetry']|null} */
+    null
+  )
+});
+function resolveRetryPolicy(policy, legacy = {}) {
+  const base = {
+    ...DEFAULT_RETRY_POLICY,
+    maxRetries: legacy.maxRetries ?? DEFAULT_RETRY_POLICY.maxRetries,
+    initialDelayMs: legacy.initialDelayMs ?? DEFAULT_RETRY_POLICY.initialDelayMs
+  };
+  if (policy === false) return { ...base, maxRetries: 0 };
+  const resolved = { ...base, ...Object.fromEntries(Object.entries(policy || {}).filter(([, v]) => v !== void 0)) };
+  if (resolved.backoff !== "exponential" && resolved.backoff !== "decorrelated") {
+    throw new Error(`Unknown retryPolicy.backoff "${resolved.backoff}". Use 'exponential' or 'decorrelated'.`);
+  }
+  return (
+    /** @type {ResolvedRetryPolicy} */
+    resolved
+  );
+}
+function isRetryable(error, policy) {
+  if (policy.retryableErrors.some((ErrorClass) => error instanceof ErrorClass)) return true;
+  return typeof error?.status === "number" && policy.retryableStatuses.includes(error.status);
+}
+function backoffDelay(policy, attempt, previousDelay) {
+  const { initialDelayMs, maxDelayMs } = policy;
+  if (policy.backoff === "decorrelated") {
+    const upper = Math.max(initialDelayMs, previousDelay * 3);
+    return Math.min(maxDelayMs, initialDelayMs + Math.random() * (upper - initialDelayMs));
+  }
+  return Math.min(maxDelayMs, initialDelayMs * Math.pow(2, attempt - 1) + Math.random() * EXPONENTIAL_JITTER_MS);
+}
+function retryAfterMs(error) {
+  for (let err = error; err; err = err.cause) {
+    const header = typeof err.headers?.get === "function" ? err.headers.get("retry-after") : err.headers?.["retry-after"];
+    if (header != null) {
+      const seconds = Number(header);
+      if (Number.isFinite(seconds)) return Math.max(0, seconds * 1e3);
+      const date = Date.parse(header);
+      if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+    }
+    const details = Array.isArray(err.errorDetails) ? err.errorDetails : [];
+    const info = details.find((d) => d?.retryDelay);
+    const retryDelay = info?.retryDelay ?? /"retryDelay"\s*:\s*"([\d.]+s)"/.exec(err.message || "")?.[1];
+    if (retryDelay) {
+      const seconds = parseFloat(retryDelay);
+      if (Number.isFinite(seconds)) return Math.max(0, seconds * 1e3);
+    }
+  }
+  return null;
+}
+
+// rate-limiter.js
+var RATE_LIMIT_PRIORITIES = (
+  /** @type {const} */
+  ["interactive", "default", "bulk"]
+);
+var MS_PER_MINUTE = 6e4;
+var RateLimiter = class {
+  /**
+   * @param {RateLimiterOptions} [options={}]
+   */
+  constructor(options = {}) {
+    this.rpm = options.rpm ?? null;
+    this.tpm = options.tpm ?? null;
+    if (this.rpm == null && this.tpm == null) {
+      throw new Error("RateLimiter needs rpm and/or tpm.");
+    }
+    for (const [key, value] of [["rpm", this.rpm], ["tpm", this.tpm]]) {
+      if (value != null && !(typeof value === "number" && value > 0)) {
+        throw new Error(`RateLimiter ${key} must be a positive number.`);
+      }
+    }
+    this.estimate = options.estimate ?? "approximate";
+    if (this.estimate !== "approximate" && this.estimate !== "countTokens") {
+      throw new Error(`Unknown RateLimiter estimate "${this.estimate}". Use 'approximate' or 'countTokens'.`);
+    }
+    this.name = options.name || "shared";
+    this.acquired = 0;
+    this.throttled = 0;
+    this._requests = this.rpm ?? 0;
+    this._tokens = this.tpm ?? 0;
+    this._refilledAt = Date.now();
+    this._pausedUntil = 0;
+    this._lanes = { interactive: [], default: [], bulk: [] };
+    this._timer = null;
+  }
+  /**
+   * Calls waiting in each lane.
+   * @returns {Record<RateLimitPriority, number>}
+   */
+  get queued() {
+    return {
+      interactive: this._lanes.interactive.length,
+      default: this._lanes.default.length,
+      bulk: this._lanes.bulk.length
+    };
+  }
+  /**
+   * What's in each bucket right now (null = unlimited). Tokens go negative
+   * when calls used more than estimated.
+   * @returns {{ requests: number|null, tokens: number|null }}
+   */
+  available() {
+    this._refill();
+    return {
+      requests: this.rpm == null ? null : this._requests,
+      tokens: this.tpm == null ? null : this._tokens
+    };
+  }
+  /**
+   * Waits for a request slot and `tokens` input tokens, behind every call
+   * already queued in this lane or a higher one. Rejects with the signal's
+   * reason if it aborts first.
+   * @param {{ tokens?: number, priority?: RateLimitPriority, signal?: AbortSignal|null }} [request={}]
+   * @returns {Promise<number>} How long the call waited, in ms
+   */
+  acquire({ tokens = 0, priority = "default", signal = null } = {}) {
+    const lane = this._lanes[priority];
+    if (!lane) {
+      return Promise.reject(new Error(`Unknown rate limit priority "${priority}". Use ${RATE_LIMIT_PRIORITIES.map((p) => `'${p}'`).join(", ")}.`));
+    }
+    if (signal?.aborted) return Promise.reject(signal.reason);
+    return new Promise((resolve2, reject) => {
+      const waiter = {
+        tokens,
+        queuedAt: Date.now(),
+        resolve: resolve2,
+        reject,
+        cleanup: () => signal?.removeEventListener("abort", onAbort)
+      };
+      const onAbort = () => {
+        const index = lane.indexOf(waiter);
+        if (index === -1) return;
+        lane.splice(index, 1);
+        reject(signal?.reason);
+        this._drain();
+      };
+      signal?.addEventListener("abort", onAbort, { once: true });
+      lane.push(waiter);
+      this._drain();
+    });
+  }
+  /**
+   * Corrects the token bucket once a call's real input size is known.
+   * @param {number} estimated - Tokens taken by acquire()
+   * @param {number} actual - promptTokenCount the API reported
+   */
+  reconcile(estimated, actual) {
+    if (this.tpm == null) return;
+    this._refill();
+    this._tokens = Math.min(this.tpm, this._tokens + estimated - actual);
+  }
+  /**
+   * After a 429: empties both buckets, and holds every lane for `ms` more
+   * when the server said how long to wait.
+   * @param {number} [ms=0]
+   */
+  backOff(ms = 0) {
+    this._refill();
+    this._requests = Math.min(this._requests, 0);
+    this._tokens = Math.min(this._tokens, 0);
+    this._pausedUntil = Math.max(this._pausedUntil, Date.now() + ms);
+    this._drain();
+  }
+  /**
+   * Refills the buckets for the time since the last refill.
+   * @private
+   */
+  _refill() {
+    const now = Date.now();
+    const elapsed = now - this._refilledAt;
+    this._refilledAt = now;
+    if (this.rpm != null) this._requests = Math.min(this.rpm, this._requests + elapsed * this.rpm / MS_PER_MINUTE);
+    if (this.tpm != null) this._tokens = Math.min(this.tpm, this._tokens + elapsed * this.tpm / MS_PER_MINUTE);
+  }
+  /**
+   * Milliseconds until a call of `tokens` could go. A call bigger than the
+   * whole `tpm` goes once the bucket is full.
+   * @param {number} tokens
+   * @returns {number}
+   * @private
+   */
+  _waitFor(tokens) {
+    const paused = this._pausedUntil - Date.now();
+    const forRequest = this.rpm == null || this._requests >= 1 ? 0 : (1 - this._requests) * MS_PER_MINUTE / this.rpm;
+    const needed = this.tpm == null ? 0 : Math.min(tokens, this.tpm);
+    const forTokens = this.tpm == null || this._tokens >= needed ? 0 : (needed - this._tokens) * MS_PER_MINUTE / this.tpm;
+    return Math.ceil(Math.max(paused, forRequest, forTokens, 0));
+  }
+  /**
+   * Lets queued calls through, highest lane first, until the head of the
+   * queue has to wait; then sets a timer for when it can go.
+   * @private
+   */
+  _drain() {
+    if (this._timer) clearTimeout(this._timer);
+    this._timer = null;
+    this._refill();
+    while (true) {
+      const lane = RATE_LIMIT_PRIORITIES.map((p) => this._lanes[p]).find((l) => l.length > 0);
+      if (!lane) return;
+      const waiter = lane[0];
+      const wait = this._waitFor(waiter.tokens);
+      if (wait > 0) {
+        this._timer = setTimeout(() => this._drain(), wait);
+        return;
+      }
+      lane.shift();
+      waiter.cleanup();
+      if (this.rpm != null) this._requests -= 1;
+      if (this.tpm != null) this._tokens -= waiter.tokens;
+      const waitedMs = Date.now() - waiter.queuedAt;
+      this.acquired++;
+      if (waitedMs > 0) this.throttled++;
+      waiter.resolve(waitedMs);
+    }
+  }
+};
+function rateLimiterMiddleware(limiter, priority) {
+  if (!RATE_LIMIT_PRIORITIES.includes(priority)) {
+    throw new Error(`Unknown rateLimitPriority "${priority}". Use ${RATE_LIMIT_PRIORITIES.map((p) => `'${p}'`).join(", ")}.`);
+  }
+  return {
+    name: "rateLimiter",
+    before: async (ctx) => {
+      if (ctx.method === "countTokens") return;
+      const tokens = ctx.state.budgetTokens || (limiter.tpm == null ? 0 : await preflightTokens(ctx, limiter.estimate));
+      ctx.state.rateLimitTokens = tokens;
+      const waitedMs = await limiter.acquire({ tokens, priority, signal: ctx.signal });
+      if (waitedMs > 0) {
+        ctx.instance.emit("throttled", { className: ctx.className, method: ctx.method, model: ctx.model, priority, tokens, waitedMs });
+      }
+    },
+    after: (ctx) => {
+      const actual = ctx.response?.usageMetadata?.promptTokenCount;
+      if (ctx.state.rateLimitTokens !== void 0 && typeof actual === "number") {
+        limiter.reconcile(ctx.state.rateLimitTokens, actual);
+      }
+    },
+    onError: (ctx) => {
+      if (
+        /** @type {any} */
+        ctx.error?.status === 429
+      ) limiter.backOff(retryAfterMs(ctx.error) ?? 0);
+    }
+  };
+}
+
+// cassette.js
+var import_genai = require("@google/genai");
+var import_node_crypto2 = require("node:crypto");
+var import_promises2 = require("node:fs/promises");
+var import_node_path2 = require("node:path");
+var RECORD_MODES = ["record", "replay", "passthrough"];
+var CASSETTE_VERSION = 1;
+var VOLATILE_CONFIG_KEYS = /* @__PURE__ */ new Set(["labels", "abortSignal", "httpOptions"]);
+function normalize(value) {
+  if (Array.isArray(value)) return value.map(normalize);
+  if (value && typeof value === "object") {
+    const out = {};
+    for (const key of Object.keys(value).sort()) {
+      const v = value[key];
+      if (v === void 0 || typeof v === "function") continue;
+      out[key] = normalize(v);
+    }
+    return out;
+  }
+  return value;
+}
+function normalizeRequest(method, params) {
+  const config = Object.fromEntries(Object.entries(params.config || {}).filter(([k]) => !VOLATILE_CONFIG_KEYS.has(k)));
+  return normalize({ method, model: params.model, config, contents: params.contents });
+}
+function serializeResponse(response) {
+  const { sdkHttpResponse, ...rest } = response || {};
+  return JSON.parse(JSON.stringify(rest));
+}
+function reviveResponse(method, data) {
+  return method === "generateContent" || method === "generateContentStream" ? Object.assign(new import_genai.GenerateContentResponse(), data) : data;
+}
+var CassetteClient = class {
+  /**
+   * @param {Object} options
+   * @param {RecordMode} options.mode
+   * @param {string} options.dir - Directory holding the cassette files
+   * @param {GeminiClient|null} [options.client] - Real client (required to record)
+   */
+  constructor({ mode, dir, client = null }) {
+    if (!RECORD_MODES.includes(mode)) {
+      throw new Error(`Unknown recordMode "${mode}". Use one of: ${RECORD_MODES.join(", ")}.`);
+    }
+    if (!dir) throw new Error(`recordMode "${mode}" requires a cassetteDir.`);
+    if (mode !== "replay" && !client) throw new Error(`recordMode "${mode}" needs a real client to forward requests to.`);
+    this.mode = mode;
+    this.dir = dir;
+    this.client = client;
+    this._seen = /* @__PURE__ */ new Map();
+    this.models = {
+      generateContent: (params) => this._call("generateContent", params),
+      generateContentStream: (params) => this._callStream(params),
+      countTokens: (params) => this._call("countTokens", params),
+      embedContent: (params) => this._call("embedContent", params),
+      list: async (params) => this.client?.models.list ? this.client.models.list(params) : []
+    };
+    this.files = this._forward("files");
+    this.caches = this._forward("caches");
+    this.batches = this._forward("batches");
+  }
+  /**
+   * Cassette file for a request. The nth identical request in a run gets `-n`.
+   * @param {ModelCallMethod} method
+   * @param {any} params
+   * @returns {{ hash: string, file: string, request: Object }}
+   */
+  locate(method, params) {
+    const request = normalizeRequest(method, params);
+    const hash = (0, import_node_crypto2.createHash)("sha256").update(JSON.stringify(request)).digest("hex").slice(0, 16);
+    const n = (this._seen.get(hash) || 0) + 1;
+    this._seen.set(hash, n);
+    const name = `${method}-${hash}${n > 1 ? `-${n}` : ""}.json`;
+    return { hash, file: (0, import_node_path2.join)(this.dir, name), request };
+  }
+  /**
+   * @param {ModelCallMethod} method
+   * @param {any} params
+   * @returns {Promise<any>}
+   * @private
+   */
+  async _call(method, params) {
+    const { file, request } = this.locate(method, params);
+    if (this.mode === "replay") {
+      const cassette = await this._load(file, method, request);
+      return reviveResponse(method, cassette.response);
+    }
+    const response = await /** @type {any} */
+    this.client.models[method](params);
+    if (this.mode === "record") await this._save(file, { method, request, response: serializeResponse(response) });
+    return response;
+  }
+  /**
+   * Streams replay the recorded chunks; recording saves them once the stream ends.
+   * @param {any} params
+   * @returns {Promise<AsyncIterable<any>>}
+   * @private
+   */
+  async _callStream(params) {
+    const method = "generateContentStream";
+    const { file, request } = this.locate(method, params);
+    if (this.mode === "replay") {
+      const cassette = await this._load(file, method, request);
+      return (async function* () {
+        for (const chunk of cassette.chunks) yield reviveResponse(method, chunk);
+      })();
+    }
+    const stream = await this.client.models.generateContentStream(params);
+    if (this.mode !== "record") return stream;
+    const save = (chunks) => this._save(file, { method, request, chunks });
+    return (async function* () {
+      const chunks = [];
+      for await (const chunk of stream) {
+        chunks.push(serializeResponse(chunk));
+        yield chunk;
+      }
+      await save(chunks);
+    })();
+  }
+  /**
+   * @param {string} file
+   * @param {ModelCallMethod} method
+   * @param {Object} request
+   * @returns {Promise<any>}
+   * @private
+   */
+  async _load(file, method, request) {
+    let raw;
+    try {
+      raw = await (0, import_promises2.readFile)(file, "utf8");
+    } catch (e) {
+      if (e.code !== "ENOENT") throw e;
+      const contents = (
+        /** @type {any} */
+        request.contents
+      );
+      const last = JSON.stringify([].concat(contents ?? []).slice(-1)).slice(0, 200);
+      throw new Error(
+        `Cassette miss (recordMode: 'replay'): no recording for ${method} at ${file}.
+Last content: ${last}
+The request changed since it was recorded, or was never recorded. Re-run with recordMode: 'record' to capture it.`
+      );
+    }
+    const cassette = JSON.parse(raw);
+    if (cassette.version !== CASSETTE_VERSION) {
+      throw new Error(`Unsupported cassette version ${cassette.version} in ${file} (expected ${CASSETTE_VERSION}).`);
+    }
+    logger_default.debug(`Cassette hit: ${file}`);
+    return cassette;
+  }
+  /**
+   * Atomic write (tmp + rename), so an interrupted run never leaves half a cassette.
+   * @param {string} file
+   * @param {Object} entry
+   * @private
+   */
+  async _save(file, entry) {
+    await (0, import_promises2.mkdir)(this.dir, { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await (0, import_promises2.writeFile)(tmp, JSON.stringify({ version: CASSETTE_VERSION, recordedAt: (/* @__PURE__ */ new Date()).toISOString(), ...entry }, null, 2));
+    await (0, import_promises2.rename)(tmp, file);
+    logger_default.debug(`Cassette recorded: ${file}`);
+  }
+  /**
+   * Proxy for a client namespace (files, caches, batches) that forwards to the real client.
+   * @param {'files'|'caches'|'batches'} namespace
+   * @returns {any}
+   * @private
+   */
+  _forward(namespace) {
+    return new Proxy({}, {
+      get: (_target, prop) => {
+        const target = this.client?.[namespace];
+        if (!target) {
+          return () => Promise.reject(new Error(`${namespace}.${String(prop)}() is not available in recordMode '${this.mode}' (only model calls are recorded).`));
+        }
+        const value = target[prop];
+        return typeof value === "function" ? value.bind(target) : value;
+      }
+    });
+  }
+};
+
+// response-cache.js
+var import_genai2 = require("@google/genai");
+var import_node_crypto3 = require("node:crypto");
+var import_promises3 = require("node:fs/promises");
+var import_node_path3 = require("node:path");
+var FROM_RESPONSE_CACHE = /* @__PURE__ */ Symbol("ak-gemini.responseCache");
+var DEFAULT_MAX_ENTRIES = 1e3;
+function responseCacheKey(params) {
+  return (0, import_node_crypto3.createHash)("sha256").update(JSON.stringify(normalizeRequest("generateContent", params))).digest("hex");
+}
+function toCacheEntry(response) {
+  return { response: serializeResponse(response), storedAt: Date.now() };
+}
+function fromCacheEntry(entry) {
+  const response = Object.assign(new import_genai2.GenerateContentResponse(), entry.response, {
+    usageMetadata: { promptTokenCount: 0, candidatesTokenCount: 0, totalTokenCount: 0 }
+  });
+  Object.defineProperty(response, FROM_RESPONSE_CACHE, { value: true });
+  return response;
+}
+var MemoryResponseCache = class {
+  /**
+   * @param {Object} [options={}]
+   * @param {number} [options.maxEntries=1000] - Oldest-used entries are evicted past this
+   * @param {number|null} [options.ttl=null] - Entry lifetime in ms (null = no expiry)
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries ?? DEFAULT_MAX_ENTRIES;
+    this.ttl = options.ttl ?? null;
+    this.entries = /* @__PURE__ */ new Map();
+  }
+  /** Number of entries (expired ones included until they're read or evicted). */
+  get size() {
+    return this.entries.size;
+  }
+  /**
+   * @param {string} key
+   * @returns {Promise<any|null>}
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    this.entries.delete(key);
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) return null;
+    this.entries.set(key, entry);
+    return structuredClone(entry.value);
+  }
+  /**
+   * @param {string} key
+   * @param {any} value
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, { value: structuredClone(value), expiresAt: this.ttl ? Date.now() + this.ttl : null });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(
+        /** @type {string} */
+        this.entries.keys().next().value
+      );
+    }
+  }
+  /**
+   * @param {string} key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    this.entries.delete(key);
+  }
+  /** @returns {Promise<void>} */
+  async clear() {
+    this.entries.clear();
+  }
+};
+var FileResponseCache = class {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - Cache directory (created on first write)
+   * @param {number|null} [options.ttl=null] - Entry lifetime in ms (null = no expiry)
+   */
+  constructor(options) {
+    if (!options?.dir) {
+      throw new Error("FileResponseCache requires a dir.");
+    }
+    this.dir = options.dir;
+    this.ttl = options.ttl ?? null;
+  }
+  /**
+   * @param {string} key
+   * @returns {string}
+   */
+  pathFor(key) {
+    return (0, import_node_path3.join)(this.dir, `${encodeURIComponent(key)}.json`);
+  }
+  /**
+   * @param {string} key
+   * @returns {Promise<any|null>}
+   */
+  async get(key) {
+    let raw;
+    try {
+      raw = await (0, import_promises3.readFile)(this.pathFor(key), "utf-8");
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+    let parsed;
+    try {
+      parsed = JSON.parse(raw);
+    } catch {
+      logger_default.warn(`FileResponseCache: dropping unreadable entry ${this.pathFor(key)}.`);
+      await this.delete(key);
+      return null;
+    }
+    const { expiresAt = null, value } = parsed;
+    if (expiresAt !== null && expiresAt <= Date.now()) {
+      await this.delete(key);
+      return null;
+    }
+    return value;
+  }
+  /**
+   * @param {string} key
+   * @param {any} value
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    await (0, import_promises3.mkdir)(this.dir, { recursive: true });
+    const target = this.pathFor(key);
+    const tmp = `${target}.${(0, import_node_crypto3.randomUUID)()}.tmp`;
+    await (0, import_promises3.writeFile)(tmp, JSON.stringify({ expiresAt: this.ttl ? Date.now() + this.ttl : null, value }), "utf-8");
+    await (0, import_promises3.rename)(tmp, target);
+  }
+  /**
+   * @param {string} key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    try {
+      await (0, import_promises3.unlink)(this.pathFor(key));
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+  }
+  /** Removes the cache directory. @returns {Promise<void>} */
+  async clear() {
+    await (0, import_promises3.rm)(this.dir, { recursive: true, force: true });
+  }
+};
+
+// base.js
+import_dotenv.default.config({ quiet: true });
+var { NODE_ENV = "unknown", LOG_LEVEL = "" } = process.env;
+var DEFAULT_SAFETY_SETTINGS = [
+  { category: import_genai3.HarmCategory.HARM_CATEGORY_HARASSMENT, threshold: import_genai3.HarmBlockThreshold.BLOCK_NONE },
+  { category: import_genai3.HarmCategory.HARM_CATEGORY_DANGEROUS_CONTENT, threshold: import_genai3.HarmBlockThreshold.BLOCK_NONE }
+];
+var DEFAULT_THINKING_CONFIG = {
+  thinkingBudget: 0
+};
+var DEFAULT_MAX_OUTPUT_TOKENS = 5e4;
+var CONTEXT_STRATEGIES = ["truncate-oldest", "summarize", "sliding-window"];
+var DEFAULT_MAX_CONTEXT_TOKENS = 2e5;
+var DEFAULT_CONTEXT_WINDOW_SIZE = 10;
+var MIDDLEWARE_METHODS = ["generateContent", "generateContentStream", "countTokens", "embedContent"];
+var DEFAULT_FALLBACK_ON = [RateLimitError, NetworkError, TimeoutError, SafetyBlockedError, 500, 502, 503, 504];
+var failedModels = /* @__PURE__ */ new WeakMap();
+var callModelScope = new import_node_async_hooks.AsyncLocalStorage();
+var SERVED_BY = /* @__PURE__ */ Symbol("ak-gemini.servedBy");
+var callScope = new import_node_async_hooks.AsyncLocalStorage();
+function anySignal(signals) {
+  const live = (
+    /** @type {AbortSignal[]} */
+    [...new Set(signals.filter(Boolean))]
+  );
+  if (live.length === 0) return null;
+  return live.length === 1 ? live[0] : AbortSignal.any(live);
+}
+var SUMMARY_INSTRUCTION = "You compress conversation transcripts. Summarize the transcript you are given so the conversation can continue without it: keep facts, decisions, names, numbers, open questions and tool results that later turns may rely on. Be concise. Respond with the summary only.";
+var THINKING_SUPPORTED_MODELS = [
+  /^gemini-3(\.\d+)?-pro(-preview)?$/,
+  /^gemini-3(\.\d+)?-flash(-preview)?$/,
+  /^gemini-3(\.\d+)?-flash-lite(-preview)?$/,
+  /^gemini-2\.5-pro/,
+  /^gemini-2\.5-flash(-preview)?$/,
+  /^gemini-2\.5-flash-lite(-preview)?$/,
+  /^gemini-2\.0-flash$/
+];
+var MODEL_PRICING = {
+  // Gemini 3.x stable
+  "gemini-3.5-flash": { input: 1.5, output: 9 },
+  "gemini-3.1-flash-lite": { input: 0.25, output: 1.5 },
+  // Gemini 3.x preview
+  "gemini-3.1-pro-preview": { input: 2, output: 12, cachedInput: 0.2, longContext: { threshold: 2e5, input: 4, output: 18, cachedInput: 0.4 } },
+  "gemini-3-pro-preview": { input: 2, output: 12, cachedInput: 0.2, longContext: { threshold: 2e5, input: 4, output: 18, cachedInput: 0.4 } },
+  // launch rate (superseded by 3.1, off the pricing page)
+  "gemini-3-flash-preview": { input: 0.5, output: 3, audioInput: 1, cachedInput: 0.05 },
+  "gemini-3.1-flash-lite-preview": { input: 0.25, output: 1.5 },
+  "gemini-3.1-flash-image-preview": { input: 0.5, output: 3, imageOutput: 60 },
+  "gemini-3-pro-image-preview": { input: 2, output: 12, imageOutput: 120 },
+  // Gemini 2.5 stable
+  "gemini-2.5-flash": { input: 0.3, output: 2.5, audioInput: 1, cachedInput: 0.03 },
+  "gemini-2.5-flash-lite": { input: 0.1, output: 0.4, audioInput: 0.3, cachedInput: 0.01 },
+  "gemini-2.5-pro": { input: 1.25, output: 10, cachedInput: 0.125, longContext: { threshold: 2e5, input: 2.5, output: 15, cachedInput: 0.25 } },
+  "gemini-2.5-flash-image": { input: 0.3, output: 0, imageOutput: 30 },
+  // ~$0.039/image (1290 tokens)
+  // Deprecated but kept for back-compat (shut down June 2026)
+  "gemini-2.0-flash": { input: 0.1, output: 0.4, audioInput: 0.7, cachedInput: 0.025 },
+  "gemini-2.0-flash-lite": { input: 0.02, output: 0.1 },
+  // Embeddings
+  "gemini-embedding-001": { input: 0.15, output: 0 }
+};
+var BATCH_DISCOUNT = 0.5;
+var CACHED_INPUT_DISCOUNT = 0.1;
+var MODEL_ALIASES = {
+  "gemini-flash-latest": "gemini-3.5-flash",
+  "gemini-pro-latest": "gemini-3.1-pro-preview",
+  "gemini-flash-lite-latest": "gemini-3.1-flash-lite"
+};
+function resolvePricing(modelId) {
+  if (!modelId) return null;
+  const tryKey = (id) => {
+    if (MODEL_PRICING[id]) return MODEL_PRICING[id];
+    const alias = MODEL_ALIASES[id];
+    if (alias && MODEL_PRICING[alias]) return MODEL_PRICING[alias];
+    return null;
+  };
+  let hit = tryKey(modelId);
+  if (hit) return hit;
+  let stripped = modelId;
+  while (true) {
+    const next = stripped.replace(/-\d{2,}$/, "");
+    if (next === stripped) break;
+    stripped = next;
+    hit = tryKey(stripped);
+    if (hit) return hit;
+  }
+  return null;
+}
+function billableTokens(usageMetadata) {
+  const usage = usageMetadata || {};
+  const byModality = (details, modality) => (details || []).filter((d) => d.modality === modality).reduce((n, d) => n + (d.tokenCount || 0), 0);
+  const uncached = (modality) => Math.max(0, byModality(usage.promptTokensDetails, modality) - byModality(usage.cacheTokensDetails, modality));
+  return {
+    promptTokens: usage.promptTokenCount || 0,
+    responseTokens: usage.candidatesTokenCount || 0,
+    thoughtsTokens: usage.thoughtsTokenCount || 0,
+    cachedTokens: usage.cachedContentTokenCount || 0,
+    toolUsePromptTokens: usage.toolUsePromptTokenCount || 0,
+    audioInputTokens: uncached("AUDIO"),
+    videoInputTokens: uncached("VIDEO"),
+    imageOutputTokens: byModality(usage.candidatesTokensDetails, "IMAGE")
+  };
+}
+function computeCostBreakdown(modelId, tokens, opts = {}) {
+  const pricing = resolvePricing(modelId);
+  if (!pricing) return null;
+  const promptTokens = tokens.promptTokens || 0;
+  const longContext = !!pricing.longContext && promptTokens > pricing.longContext.threshold;
+  const rates = longContext ? { ...pricing, ...pricing.longContext } : { ...pricing };
+  const discounted = !!opts.batch || opts.serviceTier === "FLEX";
+  const batchRates = pricing.batch || {};
+  const rate = (key) => {
+    if (discounted && batchRates[key] != null) return (
+      /** @type {number} */
+      batchRates[key]
+    );
+    const r = rates[key];
+    return r == null ? null : r * (discounted ? BATCH_DISCOUNT : 1);
+  };
+  const inputRate = rate("input") || 0;
+  const outputRate = rate("output") || 0;
+  const cached = Math.min(tokens.cachedTokens || 0, promptTokens);
+  const audio = Math.min(tokens.audioInputTokens || 0, promptTokens - cached);
+  const video = Math.min(tokens.videoInputTokens || 0, promptTokens - cached - audio);
+  const text = promptTokens - cached - audio - video + (tokens.toolUsePromptTokens || 0);
+  const responseTokens = tokens.responseTokens || 0;
+  const image = Math.min(tokens.imageOutputTokens || 0, responseTokens);
+  const usd = (n, perMillion) => n / 1e6 * perMillion;
+  const breakdown = {
+    input: usd(text, inputRate),
+    cachedInput: usd(cached, rate("cachedInput") ?? inputRate * CACHED_INPUT_DISCOUNT),
+    audioInput: usd(audio, rate("audioInput") ?? inputRate),
+    videoInput: usd(video, rate("videoInput") ?? inputRate),
+    output: usd(responseTokens - image, outputRate),
+    imageOutput: usd(image, rate("imageOutput") ?? outputRate),
+    thinking: usd(tokens.thoughtsTokens || 0, outputRate)
+  };
+  return {
+    ...breakdown,
+    total: Object.values(breakdown).reduce((n, c) => n + c, 0),
+    longContext,
+    serviceTier: opts.batch ? "BATCH" : opts.serviceTier || "STANDARD"
+  };
+}
+function computeCost(modelId, promptTokens, responseTokens, thoughtsTokens = 0, opts = {}) {
+  return computeCostBreakdown(modelId, { ...opts, promptTokens, responseTokens, thoughtsTokens }, opts)?.total ?? null;
+}
+function sumCostBreakdowns(breakdowns) {
+  const priced = (
+    /** @type {CostBreakdown[]} */
+    breakdowns.filter(Boolean)
+  );
+  if (priced.length === 0) return null;
+  const keys = (
+    /** @type {const} */
+    ["input", "cachedInput", "audioInput", "videoInput", "output", "imageOutput", "thinking", "total"]
+  );
+  const sum = { longContext: priced.some((b) => b.longContext), serviceTier: priced[priced.length - 1].serviceTier };
+  for (const key of keys) sum[key] = priced.reduce((n, b) => n + b[key], 0);
+  return sum;
+}
+async function runWithConcurrency(tasks, concurrency) {
+  if (!(Number.isInteger(concurrency) && concurrency > 0) && concurrency !== Infinity) {
+    throw new Error(`Concurrency must be a positive integer or Infinity, got ${concurrency}.`);
+  }
+  if (concurrency === Infinity) return Promise.all(tasks.map((t) => t()));
+  if (concurrency === 1) {
+    const results2 = [];
+    for (const t of tasks) results2.push(await t());
+    return results2;
+  }
+  const results = new Array(tasks.length);
+  let next = 0;
+  async function worker() {
+    while (next < tasks.length) {
+      const i = next++;
+      results[i] = await tasks[i]();
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(concurrency, tasks.length) }, () => worker()));
+  return results;
+}
+var BaseGemini = class extends import_node_events.EventEmitter {
+  /**
+   * @param {BaseGeminiOptions} [options={}]
+   */
+  constructor(options = {}) {
+    super();
+    this.modelName = options.modelName || "gemini-3-flash-preview";
+    this.primaryModel = this.modelName;
+    this.fallbackModels = options.fallbackModels || [];
+    this.fallbackOn = options.fallbackOn || DEFAULT_FALLBACK_ON;
+    if (options.systemPrompt !== void 0) {
+      this.systemPrompt = options.systemPrompt;
+    } else {
+      this.systemPrompt = null;
+    }
+    this.vertexai = options.vertexai || false;
+    this.project = options.project || process.env.GOOGLE_CLOUD_PROJECT || null;
+    this.location = options.location || process.env.GOOGLE_CLOUD_LOCATION || void 0;
+    this.googleAuthOptions = options.googleAuthOptions || null;
+    this.apiKey = options.apiKey !== void 0 && options.apiKey !== null ? options.apiKey : process.env.GEMINI_API_KEY;
+    this.recordMode = options.recordMode || "passthrough";
+    this.cassetteDir = options.cassetteDir || null;
+    if (!RECORD_MODES.includes(this.recordMode)) {
+      throw new Error(`Unknown recordMode "${this.recordMode}". Use one of: ${RECORD_MODES.join(", ")}.`);
+    }
+    if (this.recordMode !== "passthrough" && !this.cassetteDir) {
+      throw new Error(`recordMode "${this.recordMode}" requires a cassetteDir.`);
+    }
+    const customClient = !!(options.client || options.transport || this.recordMode === "replay");
+    if (!customClient && !this.vertexai && !this.apiKey) {
+      throw new AuthError("Missing Gemini API key. Provide via options.apiKey or GEMINI_API_KEY env var. For Vertex AI, set vertexai: true with project and location.");
+    }
+    if (!customClient && this.vertexai && !this.project) {
+      throw new Error("Vertex AI requires a project ID. Provide via options.project or GOOGLE_CLOUD_PROJECT env var.");
+    }
+    this.resourceExhaustedRetries = options.resourceExhaustedRetries ?? 5;
+    this.resourceExhaustedDelay = options.resourceExhaustedDelay ?? 1e3;
+    this.retryPolicy = resolveRetryPolicy(options.retryPolicy, {
+      maxRetries: this.resourceExhaustedRetries,
+      initialDelayMs: this.resourceExhaustedDelay
+    });
+    this._pendingRetries = 0;
+    this.timeoutMs = options.timeoutMs ?? null;
+    this.healthCheck = options.healthCheck ?? false;
+    this.contextStrategy = options.contextStrategy || null;
+    this.maxContextTokens = options.maxContextTokens ?? DEFAULT_MAX_CONTEXT_TOKENS;
+    this.contextWindowSize = options.contextWindowSize ?? DEFAULT_CONTEXT_WINDOW_SIZE;
+    if (this.contextStrategy && !CONTEXT_STRATEGIES.includes(this.contextStrategy)) {
+      throw new Error(`Unknown contextStrategy "${this.contextStrategy}". Use one of: ${CONTEXT_STRATEGIES.join(", ")}.`);
+    }
+    this.sessionStore = options.sessionStore || null;
+    this.sessionId = options.sessionId || (this.sessionStore ? (0, import_node_crypto4.randomUUID)() : null);
+    this._sessionRestored = false;
+    this._configureLogLevel(options.logLevel);
+    this.labels = options.labels || {};
+    this.enableGrounding = options.enableGrounding || false;
+    this.groundingConfig = options.groundingConfig || {};
+    this.cachedContent = options.cachedContent || null;
+    this.serviceTier = options.serviceTier || null;
+    this.includeServerSideToolInvocations = options.includeServerSideToolInvocations ?? false;
+    this.chatConfig = {
+      temperature: 0.7,
+      topP: 0.95,
+      topK: 64,
+      safetySettings: DEFAULT_SAFETY_SETTINGS,
+      ...options.chatConfig
+    };
+    if (this.serviceTier) this.chatConfig["serviceTier"] = this.serviceTier;
+    if (this.includeServerSideToolInvocations) this.chatConfig["includeServerSideToolInvocations"] = true;
+    for (const key of ["temperature", "topP", "topK"]) {
+      if (options[key] !== void 0) this.chatConfig[key] = options[key];
+    }
+    if (this.systemPrompt) {
+      this.chatConfig.systemInstruction = this.systemPrompt;
+    } else if (this.systemPrompt === null && options.systemPrompt === void 0) {
+    } else if (options.systemPrompt === null || options.systemPrompt === false) {
+      delete this.chatConfig.systemInstruction;
+    }
+    if (options.maxOutputTokens !== void 0) {
+      if (options.maxOutputTokens === null) {
+        delete this.chatConfig.maxOutputTokens;
+      } else {
+        this.chatConfig.maxOutputTokens = options.maxOutputTokens;
+      }
+    } else if (options.chatConfig?.maxOutputTokens !== void 0) {
+      if (options.chatConfig.maxOutputTokens === null) {
+        delete this.chatConfig.maxOutputTokens;
+      }
+    } else {
+      this.chatConfig.maxOutputTokens = DEFAULT_MAX_OUTPUT_TOKENS;
+    }
+    this._configureThinking(options.thinkingConfig);
+    const clientOptions = this.vertexai ? {
+      vertexai: true,
+      project: this.project,
+      ...this.location && { location: this.location },
+      ...this.googleAuthOptions && { googleAuthOptions: this.googleAuthOptions }
+    } : { apiKey: this.apiKey };
+    if (options.httpOptions) clientOptions.httpOptions = options.httpOptions;
+    this.genAIClient = options.client || (options.transport ? options.transport(clientOptions) : null) || (this.recordMode === "replay" ? null : new import_genai3.GoogleGenAI(clientOptions));
+    if (this.recordMode !== "passthrough") {
+      this.genAIClient = new CassetteClient({ mode: this.recordMode, dir: this.cassetteDir, client: this.genAIClient });
+    }
+    if (!this.genAIClient?.models) {
+      throw new Error(`${this.constructor.name}: client must implement at least client.models (see GeminiClient in types.d.ts).`);
+    }
+    this._middleware = [];
+    this._models = this._createModelsFacade();
+    this.redactor = null;
+    this._rehydrateResponses = false;
+    if (options.redaction) {
+      const redactionOptions = options.redaction === true ? {} : options.redaction;
+      this.redactor = new Redactor(redactionOptions);
+      this._rehydrateResponses = redactionOptions.rehydrate ?? true;
+      this.use(redactionMiddleware(this.redactor, redactionOptions));
+    }
+    for (const mw of options.middleware || []) this.use(mw);
+    this.budget = null;
+    if (options.budget) {
+      const budget = resolveBudget(options.budget);
+      this.budget = budget.tracker;
+      this.use(budgetMiddleware(budget));
+    }
+    this.rateLimiter = null;
+    this.rateLimitPriority = options.rateLimitPriority ?? "default";
+    if (options.rateLimiter) {
+      this.rateLimiter = options.rateLimiter instanceof RateLimiter ? options.rateLimiter : new RateLimiter(options.rateLimiter);
+      this.use(rateLimiterMiddleware(this.rateLimiter, this.rateLimitPriority));
+    }
+    this.usageLedger = options.usageLedger || null;
+    if (this.usageLedger) this.use(usageLedgerMiddleware(this.usageLedger));
+    this.telemetry = null;
+    if (options.telemetry) {
+      this.telemetry = options.telemetry instanceof Telemetry ? options.telemetry : new Telemetry(options.telemetry === true ? {} : options.telemetry);
+      this.use(telemetryMiddleware(this.telemetry));
+    }
+    this.responseCache = options.responseCache === true ? new MemoryResponseCache() : options.responseCache || null;
+    this.chatSession = null;
+    this.lastResponseMetadata = null;
+    this.exampleCount = 0;
+    this._cumulativeUsage = {
+      promptTokens: 0,
+      responseTokens: 0,
+      totalTokens: 0,
+      attempts: 0
+    };
+    logger_default.debug(`${this.constructor.name} created with model: ${this.modelName}`);
+  }
+  // ── Initialization ───────────────────────────────────────────────────────
+  /**
+   * Initializes the chat session. Idempotent unless force=true.
+   * Subclasses can override `_getChatCreateOptions()` to customize.
+   * @param {boolean} [force=false]
+   * @returns {Promise<void>}
+   */
+  async init(force = false) {
+    if (this.chatSession && !force) return;
+    logger_default.debug(`Initializing ${this.constructor.name} chat session with model: ${this.modelName}...`);
+    this.chatSession = this._createChatSession();
+    await this._restoreSession();
+    await this._healthCheckPing();
+    logger_default.debug(`${this.constructor.name}: Chat session initialized.`);
+  }
+  /**
+   * Opt-in connectivity check via `models.list()` — runs only when
+   * `healthCheck: true`. Fails fast (no exponential backoff): a readiness probe
+   * should surface a bad config immediately, not after ~30s of 429 retries.
+   * @returns {Promise<void>}
+   * @protected
+   */
+  async _healthCheckPing() {
+    if (!this.healthCheck) return;
+    try {
+      await this.genAIClient.models.list();
+      logger_default.debug(`${this.constructor.name}: API connection successful.`);
+    } catch (e) {
+      const message = `${this.constructor.name} initialization failed: ${e.message}`;
+      const typed = classifyError(e, { message });
+      throw typed instanceof GeminiError ? typed : new Error(message);
+    }
+  }
+  /**
+   * Builds the options object for `genAIClient.chats.create()`.
+   * Override in subclasses to add tools, grounding, etc.
+   * @returns {Object}
+   * @protected
+   */
+  _getChatCreateOptions() {
+    const opts = {
+      model: this.modelName,
+      config: {
+        ...this.chatConfig,
+        ...this.vertexai && Object.keys(this.labels).length > 0 && { labels: this.labels },
+        ...this.cachedContent && { cachedContent: this.cachedContent }
+      },
+      history: []
+    };
+    if (this.enableGrounding) {
+      const existingTools = opts.config.tools || [];
+      opts.config.tools = [...existingTools, { googleSearch: this.groundingConfig }];
+      logger_default.debug("Search grounding ENABLED (WARNING: costs $35/1k queries)");
+    }
+    return opts;
+  }
+  // ── Chat Session Management ──────────────────────────────────────────────
+  /**
+   * Creates a new chat session with the given history.
+   * Internal helper used by init, seed, clearHistory, reset.
+   * @param {Array} [history=[]]
+   * @returns {Object} The new chat session
+   * @protected
+   */
+  _createChatSession(history = []) {
+    const opts = this._getChatCreateOptions();
+    opts.history = history;
+    const chats = this.genAIClient.chats || new import_genai3.Chats(
+      /** @type {any} */
+      this._models,
+      /** @type {any} */
+      null
+    );
+    const session = chats.create(opts);
+    session.modelsModule = this._models;
+    return session;
+  }
+  /**
+   * Replaces the chat session with the history saved under `sessionId`, if any.
+   * The saved `exampleCount` comes along so seeded examples stay separate from
+   * the conversation (Transformer's clearHistory() keeps exactly that prefix).
+   * @returns {Promise<boolean>} Whether a saved session was restored
+   * @protected
+   */
+  async _restoreSession() {
+    this._sessionRestored = false;
+    if (!this.sessionStore) return false;
+    const record = await this.sessionStore.load(this.sessionId);
+    if (!record?.history?.length) return false;
+    this.chatSession = this._createChatSession(record.history);
+    this.exampleCount = record.meta?.exampleCount || 0;
+    this._sessionRestored = true;
+    logger_default.debug(`${this.constructor.name}: Restored session "${this.sessionId}" (${record.history.length} history items, ${this.exampleCount} examples).`);
+    return true;
+  }
+  /**
+   * Saves the current history to the session store. A failed save is logged, not
+   * thrown — the turn already happened (and was billed), and the next save
+   * writes the full history again.
+   * @returns {Promise<void>}
+   * @protected
+   */
+  async _saveSession() {
+    if (!this.sessionStore || !this.chatSession) return;
+    try {
+      await this.sessionStore.save(this.sessionId, this.chatSession.getHistory(), {
+        exampleCount: this.exampleCount,
+        modelName: this.modelName,
+        className: this.constructor.name,
+        updatedAt: Date.now()
+      });
+    } catch (e) {
+      logger_default.error(`${this.constructor.name}: Could not save session "${this.sessionId}": ${e.message}`);
+    }
+  }
+  /**
+   * Retrieves the current conversation history.
+   * @param {boolean} [curated=false]
+   * @returns {Array<Object>}
+   */
+  getHistory(curated = false) {
+    if (!this.chatSession) {
+      logger_default.warn("Chat session not initialized. No history available.");
+      return [];
+    }
+    return this.chatSession.getHistory(curated);
+  }
+  /**
+   * Clears conversation history. Recreates chat session with empty history.
+   * Subclasses may override to preserve seeded examples.
+   * @returns {Promise<void>}
+   */
+  async clearHistory() {
+    if (!this.chatSession) {
+      logger_default.warn(`Cannot clear history: chat not initialized.`);
+      return;
+    }
+    this.chatSession = this._createChatSession([]);
+    this.lastResponseMetadata = null;
+    this._cumulativeUsage = { promptTokens: 0, responseTokens: 0, totalTokens: 0, attempts: 0 };
+    await this._saveSession();
+    logger_default.debug(`${this.constructor.name}: Conversation history cleared.`);
+  }
+  // ── Few-Shot Seeding ─────────────────────────────────────────────────────
+  /**
+   * Seeds the chat session with example input/output pairs for few-shot learning.
+   * @param {TransformationExample[]} examples - Array of example objects
+   * @param {Object} [opts={}] - Key configuration
+   * @param {string} [opts.promptKey='PROMPT'] - Key for input data in examples
+   * @param {string} [opts.answerKey='ANSWER'] - Key for output data in examples
+   * @param {string} [opts.contextKey='CONTEXT'] - Key for optional context
+   * @param {string} [opts.explanationKey='EXPLANATION'] - Key for optional explanations
+   * @param {string} [opts.systemPromptKey='SYSTEM'] - Key for system prompt overrides in examples
+   * @param {'json'|'text'} [opts.format='json'] - Model-turn format: 'json' wraps answers in a {data} envelope (Transformer protocol); 'text' stores ANSWER verbatim (prose agents like Chat)
+   * @returns {Promise<Array>} The updated chat history
+   */
+  async seed(examples, opts = {}) {
+    await this.init();
+    if (!examples || !Array.isArray(examples) || examples.length === 0) {
       logger_default.debug("No examples provided. Skipping seeding.");
       return this.getHistory();
     }
@@ -711,9 +2574,18 @@ ${contextText}
       }
     }
     const currentHistory = this.chatSession?.getHistory() || [];
-    logger_default.debug(`Adding ${historyToAdd.length} items to chat history (${currentHistory.length} existing)...`);
-    this.chatSession = this._createChatSession([...currentHistory, ...historyToAdd]);
-    this.exampleCount = currentHistory.length + historyToAdd.length;
+    if (this._sessionRestored) {
+      const conversation = currentHistory.slice(this.exampleCount);
+      logger_default.debug(`Replacing ${this.exampleCount} restored example items with ${historyToAdd.length}; keeping ${conversation.length} conversation items...`);
+      this.chatSession = this._createChatSession([...historyToAdd, ...conversation]);
+      this.exampleCount = historyToAdd.length;
+      this._sessionRestored = false;
+    } else {
+      logger_default.debug(`Adding ${historyToAdd.length} items to chat history (${currentHistory.length} existing)...`);
+      this.chatSession = this._createChatSession([...currentHistory, ...historyToAdd]);
+      this.exampleCount = currentHistory.length + historyToAdd.length;
+    }
+    await this._saveSession();
     const newHistory = this.chatSession.getHistory();
     logger_default.debug(`Chat session now has ${newHistory.length} history items.`);
     return newHistory;
@@ -726,12 +2598,15 @@ ${contextText}
    */
   _captureMetadata(response) {
     const modelStatus = response?.modelStatus || null;
+    const retries = this._pendingRetries;
+    this._pendingRetries = 0;
     const promptTokens = response.usageMetadata?.promptTokenCount || 0;
     const responseTokens = response.usageMetadata?.candidatesTokenCount || 0;
     const thoughtsTokens = response.usageMetadata?.thoughtsTokenCount || 0;
     this.lastResponseMetadata = {
       modelVersion: response.modelVersion || null,
-      requestedModel: this.modelName,
+      requestedModel: response[SERVED_BY] ?? this.modelName,
+      fallbackUsed: (response[SERVED_BY] ?? this.modelName) !== this.primaryModel,
       promptTokens,
       responseTokens,
       thoughtsTokens,
@@ -739,9 +2614,12 @@ ${contextText}
       totalTokens: response.usageMetadata?.totalTokenCount || promptTokens + responseTokens + thoughtsTokens,
       timestamp: Date.now(),
       groundingMetadata: response.candidates?.[0]?.groundingMetadata || null,
-      modelStatus
+      modelStatus,
+      retries,
+      costBreakdown: response[FROM_RESPONSE_CACHE] ? null : this._costBreakdown(response),
+      ...response[FROM_RESPONSE_CACHE] && { cached: true }
     };
-    if (modelStatus === "DEPRECATED" && !this._deprecationWarned) {
+    if (modelStatus === "DEPRECATED" && !this._fallBack("deprecated") && !this._deprecationWarned) {
       logger_default.warn(`Model "${this.modelName}" is marked DEPRECATED by Google. Plan migration.`);
       this._deprecationWarned = true;
     }
@@ -760,18 +2638,23 @@ ${contextText}
     const responseTokens = useCumulative ? cumulative.responseTokens : meta.responseTokens;
     const thoughtsTokens = useCumulative ? cumulative.thoughtsTokens || 0 : meta.thoughtsTokens || 0;
     const totalTokens = useCumulative ? cumulative.totalTokens : meta.totalTokens;
+    const costBreakdown = useCumulative && cumulative.attempts > 1 ? cumulative.costBreakdown ?? null : meta.costBreakdown ?? null;
     return {
       promptTokens,
       responseTokens,
       thoughtsTokens,
       totalTokens,
       attempts: useCumulative ? cumulative.attempts : 1,
+      retries: useCumulative && cumulative.retries !== void 0 ? cumulative.retries : meta.retries || 0,
       modelVersion: meta.modelVersion,
       requestedModel: meta.requestedModel,
+      fallbackUsed: meta.fallbackUsed || false,
       timestamp: meta.timestamp,
       groundingMetadata: meta.groundingMetadata || null,
       modelStatus: meta.modelStatus || null,
-      estimatedCost: this._estimatedCost(meta.modelVersion, promptTokens, responseTokens, thoughtsTokens)
+      estimatedCost: costBreakdown ? costBreakdown.total : this._estimatedCost(meta.modelVersion, promptTokens, responseTokens, thoughtsTokens),
+      costBreakdown,
+      ...meta.cached && { cached: true, estimatedCost: 0 }
     };
   }
   /**
@@ -781,11 +2664,27 @@ ${contextText}
    * @param {number} promptTokens
    * @param {number} responseTokens
    * @param {number} [thoughtsTokens=0]
+   * @param {{ batch?: boolean }} [opts={}] - Passed to computeCost() (with this instance's serviceTier)
    * @returns {number|null}
    * @protected
    */
-  _estimatedCost(modelVersion, promptTokens, responseTokens, thoughtsTokens = 0) {
-    return computeCost(modelVersion, promptTokens, responseTokens, thoughtsTokens) ?? computeCost(this.modelName, promptTokens, responseTokens, thoughtsTokens);
+  _estimatedCost(modelVersion, promptTokens, responseTokens, thoughtsTokens = 0, opts = {}) {
+    const costOpts = { serviceTier: this.serviceTier, ...opts };
+    return computeCost(modelVersion, promptTokens, responseTokens, thoughtsTokens, costOpts) ?? computeCost(this.modelName, promptTokens, responseTokens, thoughtsTokens, costOpts);
+  }
+  /**
+   * Per-component cost of one response, from its full usageMetadata (cached,
+   * audio/video and image-output tokens, context tier) at this instance's
+   * serviceTier. Prefers `modelVersion` like _estimatedCost().
+   * @param {Object} response - A single generateContent() response
+   * @param {{ batch?: boolean }} [opts={}]
+   * @returns {CostBreakdown|null}
+   * @protected
+   */
+  _costBreakdown(response, opts = {}) {
+    const tokens = billableTokens(response?.usageMetadata);
+    const costOpts = { serviceTier: this.serviceTier, ...opts };
+    return computeCostBreakdown(response?.modelVersion, tokens, costOpts) ?? computeCostBreakdown(this.modelName, tokens, costOpts);
   }
   /**
    * Builds a usage object directly from a single API response, WITHOUT reading
@@ -804,18 +2703,23 @@ ${contextText}
     const thoughtsTokens = response?.usageMetadata?.thoughtsTokenCount || 0;
     const totalTokens = response?.usageMetadata?.totalTokenCount || promptTokens + responseTokens + thoughtsTokens;
     const modelVersion = response?.modelVersion || null;
+    const costBreakdown = this._costBreakdown(response);
     return {
       promptTokens,
       responseTokens,
       thoughtsTokens,
       totalTokens,
       attempts,
+      retries: response?.[RETRIES] || 0,
       modelVersion,
-      requestedModel: this.modelName,
+      requestedModel: response?.[SERVED_BY] ?? this.modelName,
+      fallbackUsed: (response?.[SERVED_BY] ?? this.modelName) !== this.primaryModel,
       timestamp: Date.now(),
       groundingMetadata: response?.candidates?.[0]?.groundingMetadata || null,
       modelStatus: response?.modelStatus || null,
-      estimatedCost: this._estimatedCost(modelVersion, promptTokens, responseTokens, thoughtsTokens)
+      estimatedCost: costBreakdown?.total ?? null,
+      costBreakdown,
+      ...response?.[FROM_RESPONSE_CACHE] && { cached: true, estimatedCost: 0, costBreakdown: null }
     };
   }
   // ── Token Estimation ─────────────────────────────────────────────────────
@@ -838,7 +2742,7 @@ ${contextText}
     }
     const nextMessage = typeof nextPayload === "string" ? nextPayload : JSON.stringify(nextPayload, null, 2);
     contents.push({ parts: [{ text: nextMessage }] });
-    const resp = await this._withRetry(() => this.genAIClient.models.countTokens({
+    const resp = await this._withRetry(() => this._models.countTokens({
       model: this.modelName,
       contents
     }));
@@ -856,10 +2760,400 @@ ${contextText}
       inputTokens: tokenInfo.inputTokens,
       model: this.modelName,
       pricing,
-      estimatedInputCost: pricing ? tokenInfo.inputTokens / 1e6 * pricing.input : null,
+      estimatedInputCost: computeCost(this.modelName, tokenInfo.inputTokens, 0, 0, { serviceTier: this.serviceTier }),
       note: pricing ? "Cost is for input tokens only; output cost depends on response length" : `No pricing known for model "${this.modelName}"; estimatedInputCost is null`
     };
   }
+  // ── Context Window Management ────────────────────────────────────────────
+  /**
+   * Compacts the chat history when the next send would exceed `maxContextTokens`.
+   * No-op unless `contextStrategy` is set. Seeded examples (the first
+   * `exampleCount` items) are always kept; only the conversation after them is
+   * compacted, and only at user-turn boundaries so tool call/response pairs
+   * stay together.
+   *
+   * - `truncate-oldest` — drop the oldest turns until the estimate fits
+   * - `sliding-window` — keep the last `contextWindowSize` items (then truncate if still over)
+   * - `summarize` — replace everything before the window with a model-written summary
+   *
+   * @param {Object|string} nextPayload - The message about to be sent
+   * @returns {Promise<void>}
+   * @protected
+   */
+  async _manageContext(nextPayload) {
+    if (!this.contextStrategy || !this.chatSession) return;
+    const { inputTokens } = await this.estimate(nextPayload);
+    if (inputTokens <= this.maxContextTokens) return;
+    const history = this.chatSession.getHistory();
+    const examples = history.slice(0, this.exampleCount);
+    let conversation = history.slice(this.exampleCount);
+    const nextText = typeof nextPayload === "string" ? nextPayload : JSON.stringify(nextPayload, null, 2);
+    const sizes = conversation.map((item) => JSON.stringify(item).length);
+    const totalChars = sizes.reduce((n, c) => n + c, 0) + JSON.stringify(examples).length + String(this.systemPrompt || "").length + nextText.length;
+    const tokensPerChar = inputTokens / Math.max(totalChars, 1);
+    const itemTokens = sizes.map((c) => c * tokensPerChar);
+    let keptTokens = itemTokens.reduce((n, t) => n + t, 0);
+    const fixedTokens = inputTokens - keptTokens;
+    const boundaries = this._turnBoundaries(conversation);
+    let cut = 0;
+    const cutTo = (index) => {
+      for (let i = cut; i < index; i++) keptTokens -= itemTokens[i];
+      cut = index;
+    };
+    if (this.contextStrategy !== "truncate-oldest") {
+      const windowStart = boundaries.find((b) => conversation.length - b <= this.contextWindowSize);
+      if (windowStart !== void 0) cutTo(windowStart);
+    }
+    let summaryTurns = [];
+    if (this.contextStrategy === "summarize" && cut > 0) {
+      const summary = await this._summarizeTurns(conversation.slice(0, cut));
+      summaryTurns = [
+        { role: "user", parts: [{ text: `Summary of our earlier conversation:
+${summary}` }] },
+        { role: "model", parts: [{ text: "Understood. I will continue with that context in mind." }] }
+      ];
+      keptTokens += summary.length * tokensPerChar;
+    }
+    for (const b of boundaries) {
+      if (fixedTokens + keptTokens <= this.maxContextTokens) break;
+      if (b > cut) cutTo(b);
+    }
+    if (fixedTokens + keptTokens > this.maxContextTokens) {
+      logger_default.warn(`${this.constructor.name}: context still over budget after compaction (~${Math.round(fixedTokens + keptTokens)} > ${this.maxContextTokens} tokens); seeded examples and the latest turn are never dropped.`);
+    }
+    if (cut === 0) return;
+    conversation = conversation.slice(cut);
+    this.chatSession = this._createChatSession([...examples, ...summaryTurns, ...conversation]);
+    logger_default.info(`${this.constructor.name}: context over budget (${inputTokens} > ${this.maxContextTokens} tokens); ${this.contextStrategy} compacted ${cut} history items.`);
+  }
+  /**
+   * Indices (after 0) where a new user turn starts — the only safe places to cut
+   * history. A user turn carrying functionResponse parts belongs to the model's
+   * preceding functionCall and is not a boundary.
+   * @param {Array<Object>} conversation
+   * @returns {number[]}
+   * @private
+   */
+  _turnBoundaries(conversation) {
+    const boundaries = [];
+    for (let i = 1; i < conversation.length; i++) {
+      const item = conversation[i];
+      if (item.role === "user" && !(item.parts || []).some((p) => p.functionResponse)) boundaries.push(i);
+    }
+    return boundaries;
+  }
+  /**
+   * Asks the model for a summary of history items, sent as a plain-text
+   * transcript (tool calls rendered inline) so no tool declarations are needed.
+   * @param {Array<Object>} turns
+   * @returns {Promise<string>}
+   * @private
+   */
+  async _summarizeTurns(turns) {
+    const transcript = turns.map((item) => {
+      const text = (item.parts || []).map((p) => {
+        if (p.text) return p.text;
+        if (p.functionCall) return `[called tool ${p.functionCall.name} with ${JSON.stringify(p.functionCall.args)}]`;
+        if (p.functionResponse) return `[tool ${p.functionResponse.name} returned ${JSON.stringify(p.functionResponse.response)}]`;
+        return "[non-text content]";
+      }).join("\n");
+      return `${item.role.toUpperCase()}: ${text}`;
+    }).join("\n\n");
+    const result = await this._withRetry(() => this._models.generateContent({
+      model: this.modelName,
+      contents: [{ role: "user", parts: [{ text: transcript }] }],
+      config: {
+        systemInstruction: SUMMARY_INSTRUCTION,
+        ...this.vertexai && Object.keys(this.labels).length > 0 && { labels: this.labels }
+      }
+    }));
+    logger_default.debug(`${this.constructor.name}: summarized ${turns.length} history items (${result.usageMetadata?.totalTokenCount ?? "?"} tokens).`);
+    return result.text || "";
+  }
+  // ── Events ──────────────────────────────────────────────────────────────
+  /**
+   * Emits a lifecycle event. Unlike a plain EventEmitter, a listener that
+   * throws is logged rather than failing the call that emitted, and an
+   * `error` event with no listener is dropped instead of thrown.
+   * @param {string|symbol} event
+   * @param {...any} args
+   * @returns {boolean} Whether the event had listeners
+   */
+  emit(event, ...args) {
+    if (this.listenerCount(event) === 0) return false;
+    try {
+      return super.emit(event, ...args);
+    } catch (e) {
+      logger_default.warn(`${this.constructor.name}: "${String(event)}" listener error: ${e.message}`);
+      return true;
+    }
+  }
+  /**
+   * Emits `response` for a completed model call.
+   * @param {ModelCallContext} ctx
+   * @private
+   */
+  _emitResponse(ctx) {
+    if (ctx.method === "countTokens" || this.listenerCount("response") === 0) return;
+    const usage = ctx.response?.usageMetadata;
+    const tokens = billableTokens(usage);
+    const costOpts = { serviceTier: ctx.config?.serviceTier };
+    const cost = usage ? computeCostBreakdown(ctx.response.modelVersion, tokens, costOpts) ?? computeCostBreakdown(ctx.model, tokens, costOpts) : null;
+    this.emit("response", {
+      className: ctx.className,
+      method: ctx.method,
+      callId: ctx.callId,
+      model: ctx.model,
+      modelVersion: ctx.response?.modelVersion || null,
+      durationMs: Date.now() - ctx.startedAt,
+      usage: usage ? {
+        promptTokens: tokens.promptTokens,
+        responseTokens: tokens.responseTokens,
+        thoughtsTokens: tokens.thoughtsTokens,
+        totalTokens: usage.totalTokenCount || tokens.promptTokens + tokens.responseTokens + tokens.thoughtsTokens
+      } : null,
+      estimatedCost: cost?.total ?? null
+    });
+  }
+  // ── Telemetry ───────────────────────────────────────────────────────────
+  /**
+   * Runs one tool execution: emits `toolCall` and `toolResult`, inside an
+   * `execute_tool` span when `telemetry` is on. `fn` gets the call's signal
+   * (or undefined); if it aborts, the tool's result is abandoned and the
+   * AbortError / TimeoutError is thrown. Any other failure is rethrown as a
+   * ToolExecutionError (same message, original error as `cause`).
+   * @template T
+   * @param {string} toolName
+   * @param {Record<string, any>} args
+   * @param {(signal: AbortSignal|undefined) => Promise<T>} fn
+   * @returns {Promise<T>}
+   * @protected
+   */
+  async _runTool(toolName, args, fn) {
+    const className = this.constructor.name;
+    const startedAt = Date.now();
+    const signal = this._abortSignal() ?? void 0;
+    const run = () => this._untilAborted(fn(signal));
+    this.emit("toolCall", { className, toolName, args });
+    try {
+      this._throwIfAborted();
+      const result = await (this.telemetry ? this.telemetry.tool(className, toolName, run) : run());
+      this.emit("toolResult", { className, toolName, args, result, error: null, durationMs: Date.now() - startedAt });
+      return result;
+    } catch (err) {
+      const error = signal?.aborted ? this._classifyError(err) : err instanceof ToolExecutionError ? err : new ToolExecutionError(err?.message ?? String(err), { cause: err, toolName, args });
+      this.emit("toolResult", { className, toolName, args, result: null, error, durationMs: Date.now() - startedAt });
+      throw error;
+    }
+  }
+  // ── Middleware ──────────────────────────────────────────────────────────
+  /**
+   * Registers middleware around every model call this instance makes —
+   * chat turns, stateless sends, streams, token counts and embeddings.
+   *
+   * `before(ctx)` hooks run in registration order before the request goes out
+   * and may change `ctx.model`, `ctx.contents`, `ctx.config` or `ctx.labels`.
+   * `after(ctx)` hooks run in reverse order once `ctx.response` is set and may
+   * replace it. For streams, `onChunk(chunk, ctx)` may return a replacement for
+   * each chunk and `after` runs when the stream ends (`ctx.response` is the last
+   * chunk, `ctx.chunks` all of them). `onError(ctx)` runs (reverse order) when
+   * the call throws; the error is rethrown afterwards.
+   *
+   * @param {Middleware} middleware
+   * @returns {this}
+   *
+   * @example
+   * ```javascript
+   * chat.use({
+   *   name: 'audit',
+   *   before: (ctx) => { ctx.state.start = Date.now(); },
+   *   after: (ctx) => audit.write({ model: ctx.model, ms: Date.now() - ctx.state.start })
+   * });
+   * ```
+   */
+  use(middleware) {
+    const hooks = ["before", "after", "onChunk", "onError"];
+    if (!middleware || !hooks.some((h) => typeof middleware[h] === "function")) {
+      throw new Error(`Middleware must have at least one of: ${hooks.join(", ")}.`);
+    }
+    this._middleware.push(middleware);
+    logger_default.debug(`${this.constructor.name}: middleware registered${middleware.name ? ` (${middleware.name})` : ""}.`);
+    return this;
+  }
+  /**
+   * Stand-in for `genAIClient.models` that runs middleware. Methods look up
+   * `genAIClient.models` at call time, so a swapped or stubbed client still works.
+   * @returns {Record<string, (params: Object) => Promise<any>>}
+   * @private
+   */
+  _createModelsFacade() {
+    const facade = {};
+    for (const method of MIDDLEWARE_METHODS) {
+      facade[method] = (params) => this._callModel(method, params);
+    }
+    return facade;
+  }
+  /**
+   * Runs one SDK models call through the middleware pipeline. Failures come
+   * out typed (classifyError), and a generateContent call whose prompt or
+   * answer was blocked throws SafetyBlockedError once the after hooks have run.
+   * @param {import('./types').ModelCallMethod} method
+   * @param {Object} params - SDK request ({ model, contents, config })
+   * @returns {Promise<any>}
+   * @private
+   */
+  async _callModel(method, params) {
+    const client = this.genAIClient.models;
+    const current = callModelScope.getStore()?.model ?? this.modelName;
+    const chain = this._modelChain();
+    const position = chain.indexOf(params.model);
+    const model = position !== -1 && position < chain.indexOf(current) ? current : params.model;
+    const ctx = {
+      method,
+      className: this.constructor.name,
+      instance: this,
+      callId: (0, import_node_crypto4.randomUUID)(),
+      startedAt: Date.now(),
+      model,
+      contents: params.contents,
+      config: params.config || {},
+      labels: params.config?.labels || null,
+      signal: anySignal([params.config?.abortSignal, this._abortSignal()]),
+      response: void 0,
+      state: {}
+    };
+    const reversed = [...this._middleware].reverse();
+    try {
+      for (const mw of this._middleware) {
+        if (mw.before) await mw.before(ctx);
+      }
+      const request = {
+        ...params,
+        model: ctx.model,
+        contents: ctx.contents,
+        config: {
+          ...ctx.config,
+          ...ctx.labels && { labels: ctx.labels },
+          ...ctx.signal && { abortSignal: ctx.signal }
+        }
+      };
+      if (method !== "countTokens") {
+        this.emit("request", { className: ctx.className, method, callId: ctx.callId, model: ctx.model, labels: ctx.labels });
+      }
+      if (method !== "generateContentStream") {
+        ctx.response = await client[method](request);
+        for (const mw of reversed) {
+          if (mw.after) await mw.after(ctx);
+        }
+        const blocked = method === "generateContent" ? safetyBlockError(ctx.response) : null;
+        if (blocked) throw blocked;
+        this._emitResponse(ctx);
+        return ctx.response;
+      }
+      const stream = await client[method](request);
+      return this._streamThroughMiddleware(stream, ctx, reversed);
+    } catch (err) {
+      const error = this._classifyError(err);
+      if (error && typeof error === "object") failedModels.set(error, ctx.model);
+      await this._middlewareError(ctx, error, reversed);
+      throw error;
+    }
+  }
+  /**
+   * Wraps a response stream so onChunk hooks see every chunk and after hooks
+   * run once it ends.
+   * @param {AsyncIterable<any>} stream
+   * @param {ModelCallContext} ctx
+   * @param {Middleware[]} reversed
+   * @returns {AsyncGenerator<any>}
+   * @private
+   */
+  async *_streamThroughMiddleware(stream, ctx, reversed) {
+    ctx.chunks = [];
+    try {
+      for await (let chunk of stream) {
+        for (const mw of reversed) {
+          if (mw.onChunk) chunk = await mw.onChunk(chunk, ctx) ?? chunk;
+        }
+        ctx.chunks.push(chunk);
+        yield chunk;
+      }
+      ctx.response = ctx.chunks[ctx.chunks.length - 1] ?? null;
+      for (const mw of reversed) {
+        if (mw.after) await mw.after(ctx);
+      }
+      const blocked = safetyBlockError(ctx.response, ctx.chunks.some((c) => c?.candidates?.[0]?.content?.parts?.length));
+      if (blocked) throw blocked;
+      this._emitResponse(ctx);
+    } catch (err) {
+      const error = this._classifyError(err);
+      await this._middlewareError(ctx, error, reversed);
+      throw error;
+    }
+  }
+  /**
+   * Runs onError hooks, then emits `error`. A hook that throws is logged, not
+   * allowed to mask the original error.
+   * @param {ModelCallContext} ctx
+   * @param {Error} err
+   * @param {Middleware[]} reversed
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _middlewareError(ctx, err, reversed) {
+    if (ctx.error) return;
+    ctx.error = err;
+    for (const mw of reversed) {
+      if (!mw.onError) continue;
+      try {
+        await mw.onError(ctx);
+      } catch (hookErr) {
+        logger_default.error(`${this.constructor.name}: middleware onError hook failed: ${hookErr.message}`);
+      }
+    }
+    if (ctx.method !== "countTokens") {
+      this.emit("error", { className: ctx.className, method: ctx.method, callId: ctx.callId, model: ctx.model, durationMs: Date.now() - ctx.startedAt, error: err });
+    }
+  }
+  /**
+   * Puts redacted values back into text or parsed data. No-op without
+   * `redaction` (or with `rehydrate: false`).
+   * @template T
+   * @param {T} value
+   * @returns {T}
+   * @protected
+   */
+  _rehydrate(value) {
+    if (!this._rehydrateResponses) return value;
+    return this.redactor.rehydrateDeep(value);
+  }
+  // ── Response Cache ──────────────────────────────────────────────────────
+  /**
+   * Stateless generateContent() that consults `responseCache` first. A hit
+   * skips the API (and middleware, since no model call is made); a miss calls
+   * the model and stores finished responses that have content. Under
+   * `redaction` entries hold placeholders and hits are rehydrated here.
+   * @param {{ model: string, contents: any[], config?: Object }} params
+   * @returns {Promise<any>}
+   * @protected
+   */
+  async _generateCached(params) {
+    if (!this.responseCache) return this._withRetry(() => this._models.generateContent(params));
+    const key = responseCacheKey(this.redactor ? { ...params, ...redactRequest(this.redactor, params) } : params);
+    const entry = await this.responseCache.get(key);
+    if (entry) {
+      logger_default.debug(`${this.constructor.name}: response cache hit (${key.slice(0, 12)}).`);
+      this.emit("cacheHit", { className: this.constructor.name, model: params.model, key });
+      const cached = fromCacheEntry(entry);
+      return this._rehydrateResponses ? rehydrateResponse(this.redactor, cached) : cached;
+    }
+    const response = await this._withRetry(() => this._models.generateContent(params));
+    const candidate = response?.candidates?.[0];
+    if (candidate?.finishReason === "STOP" && candidate.content?.parts?.length) {
+      await this.responseCache.set(key, toCacheEntry(redactedResponse(response)));
+    }
+    return response;
+  }
   // ── Context Caching ─────────────────────────────────────────────────────
   /**
    * Creates a cached content resource for cost reduction on repeated prompts.
@@ -953,41 +3247,296 @@ ${contextText}
     }
     logger_default.debug(`Using cache: ${cacheName}`);
   }
-  // ── Rate Limit Retry ────────────────────────────────────────────────────
+  // ── Retry ────────────────────────────────────────────────────────────────
   /**
-   * Detects whether an error is a 429 / RESOURCE_EXHAUSTED rate-limit error.
-   * @param {Error} error
-   * @returns {boolean}
+   * Runs an API call under `retryPolicy` (see retry.js): retryable failures
+   * (429, 5xx, network errors, timeouts by default) are retried after the
+   * server's Retry-After / RetryInfo delay or a jittered backoff; anything else
+   * is rethrown immediately. Errors come out classified (see errors.js) with
+   * `attempts` set. Each 429 emits `rateLimited`; each failure that will be
+   * retried emits `retry` and calls `retryPolicy.onRetry`. A result that took
+   * retries records how many, for UsageData.retries. Nothing is retried once
+   * the call's signal has aborted, and the backoff sleep ends with it. A model
+   * call that still fails is run again on the next of `fallbackModels` when
+   * its error matches `fallbackOn` (see _fallBackOn()), with a fresh retry budget.
+   * @param {() => Promise<T>} fn - The async function to execute
+   * @returns {Promise<T>}
+   * @template T
+   * @protected
+   */
+  async _withRetry(fn) {
+    const policy = this.retryPolicy;
+    let started = Date.now();
+    let delay = 0;
+    let callModel = null;
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const result = await (callModel ? callModelScope.run({ model: callModel }, fn) : fn());
+        if (attempt > 0) {
+          this._pendingRetries += attempt;
+          if (result && typeof result === "object") Object.defineProperty(result, RETRIES, { value: attempt, configurable: true });
+        }
+        if (callModel && result && typeof result === "object") Object.defineProperty(result, SERVED_BY, { value: callModel, configurable: true });
+        return result;
+      } catch (err) {
+        const error = this._classifyError(err);
+        if (error instanceof GeminiError) error.attempts = attempt + 1;
+        if (this._abortSignal()?.aborted) throw error;
+        if (isRetryable(error, policy)) {
+          const serverDelay = policy.respectRetryAfter ? retryAfterMs(error) : null;
+          delay = serverDelay ?? backoffDelay(policy, attempt + 1, delay);
+          const elapsedMs = Date.now() - started;
+          const willRetry = attempt < policy.maxRetries && (policy.maxElapsedMs == null || elapsedMs + delay <= policy.maxElapsedMs);
+          const rateLimited = error instanceof RateLimitError;
+          const event = { className: this.constructor.name, attempt: attempt + 1, maxRetries: policy.maxRetries, delayMs: willRetry ? delay : null, error };
+          if (rateLimited) this.emit("rateLimited", { ...event, willRetry });
+          if (willRetry) {
+            this.emit("retry", { ...event, reason: rateLimited ? "rateLimit" : "transient" });
+            logger_default.warn(`${rateLimited ? "Rate limited (429)" : `Transient error (${error.status ?? error.name})`}. Retrying in ${Math.round(delay)}ms (attempt ${attempt + 1}/${policy.maxRetries})...`);
+            if (policy.onRetry) await policy.onRetry({ ...event, delayMs: delay, elapsedMs, retryAfterMs: serverDelay });
+            await this._sleep(delay);
+            continue;
+          }
+        }
+        const next = this._fallBackOn(error, callModel);
+        if (!next) throw error;
+        if (next.callOnly) callModel = next.model;
+        attempt = -1;
+        started = Date.now();
+        delay = 0;
+      }
+    }
+  }
+  // ── Model Fallback ───────────────────────────────────────────────────────
+  /**
+   * Where a call that failed with `error` runs next, when the error is a
+   * model call's failure matching `fallbackOn` (an error class it is an
+   * instance of, or its HTTP status). A safety block is about the prompt, not
+   * the model, so it moves only this call on (`callOnly`) and later calls
+   * stay on the instance's model; so does any failure after that. Anything
+   * else moves the instance (see _fallBack()).
+   * @param {any} error - A classified error from _withRetry()
+   * @param {string|null} callModel - Model this call alone has moved on to
+   * @returns {{ model: string, callOnly: boolean }|null} null when there's no model left to try
    * @private
    */
-  _is429Error(error) {
-    const e = error;
-    if (e.status === 429 || e.code === 429 || e.httpStatusCode === 429) return true;
-    const msg = e.message || "";
-    return msg.includes("429") || msg.includes("RESOURCE_EXHAUSTED");
+  _fallBackOn(error, callModel) {
+    const failedOn = error && typeof error === "object" ? failedModels.get(error) : void 0;
+    if (!failedOn || !this.fallbackOn.some((entry) => typeof entry === "number" ? error.status === entry : error instanceof entry)) return null;
+    const chain = this._modelChain();
+    if (callModel || error instanceof SafetyBlockedError) {
+      const position = chain.indexOf(failedOn);
+      if (position === -1 || position === chain.length - 1) return null;
+      const model = chain[position + 1];
+      logger_default.warn(`${this.constructor.name}: retrying one call on "${model}" after "${failedOn}" failed (${error.message || error.name}).`);
+      this.emit("fallback", { className: this.constructor.name, from: failedOn, to: model, reason: "error", callOnly: true, error });
+      return { model, callOnly: true };
+    }
+    if (failedOn === this.modelName) return this._fallBack("error", error) ? { model: this.modelName, callOnly: false } : null;
+    const behind = chain.includes(failedOn) && chain.indexOf(failedOn) < chain.indexOf(this.modelName);
+    return behind ? { model: this.modelName, callOnly: false } : null;
   }
   /**
-   * Wraps an async function with automatic retry on 429 (RESOURCE_EXHAUSTED) errors.
-   * Uses exponential backoff with jitter. Non-429 errors are rethrown immediately.
-   * @param {() => Promise<T>} fn - The async function to execute
+   * `[primaryModel, ...fallbackModels]`, in the order they are tried.
+   * @returns {string[]}
+   * @private
+   */
+  _modelChain() {
+    return [this.primaryModel, ...this.fallbackModels];
+  }
+  /**
+   * Moves the instance to the model after the current one in
+   * `[primaryModel, ...fallbackModels]`, rebuilding the chat session (if
+   * there is one) on it with the same history, and emits `fallback`.
+   * @param {'error'|'deprecated'} reason
+   * @param {Error|null} [error=null]
+   * @returns {boolean} false when there's no model left to try
+   * @protected
+   */
+  _fallBack(reason, error = null) {
+    const chain = this._modelChain();
+    const position = chain.indexOf(this.modelName);
+    if (position === -1 || position === chain.length - 1) return false;
+    const from = this.modelName;
+    this.modelName = chain[position + 1];
+    if (this.chatSession) this.chatSession = this._createChatSession(this.chatSession.getHistory());
+    logger_default.warn(`${this.constructor.name}: falling back from "${from}" to "${this.modelName}" (${reason === "deprecated" ? "model is DEPRECATED" : error?.message || error?.name}).`);
+    this.emit("fallback", { className: this.constructor.name, from, to: this.modelName, reason, callOnly: false, error });
+    return true;
+  }
+  // ── Cancellation ─────────────────────────────────────────────────────────
+  /**
+   * Runs one public call with its `signal` and `timeoutMs` (default: the
+   * instance's `timeoutMs`) in scope. Every model call made under it is sent
+   * with the combined signal as `config.abortSignal`, and retry backoff,
+   * RagAgent file polling and tool runs stop when it aborts. The timeout
+   * covers the whole call, retries included. Calls made under another call's
+   * scope (a RagAgent's embeddings, Transformer.transformBatch's sends) also
+   * abort with it. An aborted call throws AbortError; a timed-out one throws
+   * TimeoutError with `timeoutMs` set.
+   * @template T
+   * @param {{ signal?: AbortSignal, timeoutMs?: number|null }} opts
+   * @param {() => Promise<T>} fn
    * @returns {Promise<T>}
+   * @protected
+   */
+  async _withCallOptions(opts, fn) {
+    const { scope, done } = this._openCallScope(opts);
+    if (!scope) return fn();
+    try {
+      return await callScope.run(scope, async () => {
+        this._throwIfAborted();
+        try {
+          return await fn();
+        } catch (err) {
+          throw this._classifyError(err);
+        }
+      });
+    } finally {
+      done();
+    }
+  }
+  /**
+   * _withCallOptions() for async generators: each step of `makeStream()`'s
+   * generator runs in the call's scope.
    * @template T
+   * @param {{ signal?: AbortSignal, timeoutMs?: number|null }} opts
+   * @param {() => AsyncGenerator<T>} makeStream
+   * @returns {AsyncGenerator<T>}
    * @protected
    */
-  async _withRetry(fn) {
-    const maxAttempts = this.resourceExhaustedRetries;
-    for (let attempt = 0; attempt <= maxAttempts; attempt++) {
+  async *_streamWithCallOptions(opts, makeStream) {
+    const { scope, done } = this._openCallScope(opts);
+    if (!scope) {
+      yield* makeStream();
+      return;
+    }
+    const inScope = (step) => callScope.run(scope, async () => {
+      this._throwIfAborted();
       try {
-        return await fn();
-      } catch (error) {
-        if (!this._is429Error(error) || attempt >= maxAttempts) throw error;
-        const jitter = Math.random() * 500;
-        const delay = this.resourceExhaustedDelay * Math.pow(2, attempt) + jitter;
-        logger_default.warn(`Rate limited (429). Retrying in ${Math.round(delay)}ms (attempt ${attempt + 1}/${maxAttempts})...`);
-        await new Promise((r) => setTimeout(r, delay));
+        return await step();
+      } catch (err) {
+        throw this._classifyError(err);
+      }
+    });
+    const stream = callScope.run(scope, makeStream);
+    try {
+      while (true) {
+        const { value, done: finished } = await inScope(() => stream.next());
+        if (finished) return;
+        yield value;
       }
+    } finally {
+      await callScope.run(scope, () => stream.return(void 0)).catch(() => {
+      });
+      done();
     }
   }
+  /**
+   * The scope for a call's options, combined with any enclosing call's signal.
+   * `done()` clears the timeout timer.
+   * @param {{ signal?: AbortSignal, timeoutMs?: number|null }} [opts={}]
+   * @returns {{ scope: { signal: AbortSignal }|null, done: () => void }}
+   * @private
+   */
+  _openCallScope(opts = {}) {
+    const outer = callScope.getStore() || null;
+    const timeoutMs = opts.timeoutMs ?? this.timeoutMs;
+    let timer = null;
+    let timeoutSignal = null;
+    if (timeoutMs != null && timeoutMs > 0) {
+      const controller = new AbortController();
+      const reason = new TimeoutError(`${this.constructor.name} call timed out after ${timeoutMs}ms.`, { timeoutMs });
+      timer = setTimeout(() => controller.abort(reason), timeoutMs);
+      timer.unref?.();
+      timeoutSignal = controller.signal;
+    }
+    const signal = anySignal([outer?.signal, opts.signal, timeoutSignal]);
+    const done = () => {
+      if (timer) clearTimeout(timer);
+    };
+    if (!signal) return { scope: null, done };
+    return { scope: signal === outer?.signal ? outer : { signal }, done };
+  }
+  /**
+   * The signal of the call in progress, if it has one.
+   * @returns {AbortSignal|null}
+   * @protected
+   */
+  _abortSignal() {
+    return callScope.getStore()?.signal ?? null;
+  }
+  /**
+   * Throws the call's AbortError / TimeoutError if its signal has aborted.
+   * @protected
+   */
+  _throwIfAborted() {
+    const signal = this._abortSignal();
+    if (signal?.aborted) throw this._classifyError(signal.reason);
+  }
+  /**
+   * classifyError(), except that any failure after the call's signal aborted
+   * becomes the abort itself: the TimeoutError of a `timeoutMs` that ran out,
+   * or an AbortError carrying the signal's reason as `cause`.
+   * @param {any} err
+   * @returns {any}
+   * @protected
+   */
+  _classifyError(err) {
+    const signal = this._abortSignal();
+    if (!signal?.aborted) return classifyError(err);
+    const reason = signal.reason;
+    if (reason instanceof GeminiError) return reason;
+    if (err instanceof AbortError || err instanceof TimeoutError) return err;
+    if (reason?.name === "TimeoutError") return new TimeoutError(`${this.constructor.name} call timed out.`, { cause: reason });
+    return new AbortError(`${this.constructor.name} call was aborted.`, { cause: reason ?? err });
+  }
+  /**
+   * Waits `ms`, rejecting early if the call's signal aborts.
+   * @param {number} ms
+   * @returns {Promise<void>}
+   * @protected
+   */
+  _sleep(ms) {
+    const signal = this._abortSignal();
+    return new Promise((resolve2, reject) => {
+      if (signal?.aborted) return reject(signal.reason);
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal?.reason);
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve2();
+      }, ms);
+      signal?.addEventListener("abort", onAbort, { once: true });
+    });
+  }
+  /**
+   * Settles with `promise`, or rejects as soon as the call's signal aborts
+   * (the work itself keeps running unless it watches the signal).
+   * @template T
+   * @param {Promise<T>} promise
+   * @returns {Promise<T>}
+   * @protected
+   */
+  _untilAborted(promise) {
+    const signal = this._abortSignal();
+    if (!signal) return promise;
+    promise.catch(() => {
+    });
+    let onAbort = () => {
+    };
+    const aborted = new Promise((_, reject) => {
+      onAbort = () => reject(signal.reason);
+      if (signal.aborted) onAbort();
+      else signal.addEventListener("abort", onAbort, { once: true });
+    });
+    return (
+      /** @type {Promise<T>} */
+      Promise.race([promise, aborted]).finally(() => signal.removeEventListener("abort", onAbort))
+    );
+  }
   // ── Private Helpers ──────────────────────────────────────────────────────
   /**
    * Configures the log level based on options, env vars, or NODE_ENV.
@@ -1041,7 +3590,9 @@ ${contextText}
 var base_default = BaseGemini;
 
 // transformer.js
-var import_promises = __toESM(require("fs/promises"), 1);
+var import_promises4 = __toESM(require("fs/promises"), 1);
+var import_fs = require("fs");
+var import_readline = __toESM(require("readline"), 1);
 var import_path = __toESM(require("path"), 1);
 var DEFAULT_SYSTEM_INSTRUCTIONS = `
 You are an expert JSON transformation engine. Your task is to accurately convert data payloads from one format to another.
@@ -1056,6 +3607,62 @@ Always respond ONLY with a valid JSON object that strictly adheres to the expect
 
 Do not include any additional text, explanations, or formatting before or after the JSON object.
 `;
+var DEFAULT_BATCH_CONCURRENCY = 5;
+var DEFAULT_CHECKPOINT_EVERY = 100;
+var CHECKPOINT_VERSION = 1;
+function sidecarPath(outputPath, suffix) {
+  const ext = import_path.default.extname(outputPath);
+  return import_path.default.join(import_path.default.dirname(outputPath), `${import_path.default.basename(outputPath, ext)}.${suffix}`);
+}
+function buildRepairPrompt(lastPayload, serverError) {
+  return `
+The previous JSON payload (below) failed validation.
+The server's error message is quoted afterward.
+
+---------------- BAD PAYLOAD ----------------
+${JSON.stringify(lastPayload, null, 2)}
+
+
+---------------- SERVER ERROR ----------------
+${serverError}
+
+Please return a NEW JSON payload that corrects the issue.
+Respond with JSON only \u2013 no comments or explanations.
+`;
+}
+async function truncateTo(filePath, bytes) {
+  const size = await import_promises4.default.stat(filePath).then((st) => st.size, (e) => {
+    if (e.code === "ENOENT") return 0;
+    throw e;
+  });
+  if (size < bytes) {
+    throw new Error(`${filePath} has ${size} bytes but the checkpoint recorded ${bytes}. Pass restart: true to start over.`);
+  }
+  if (size > bytes) await import_promises4.default.truncate(filePath, bytes);
+  else if (size === 0) await import_promises4.default.writeFile(filePath, "");
+}
+function sumUsage(usages, requestedModel) {
+  if (usages.length === 0) return null;
+  const last = usages[usages.length - 1];
+  const costs = usages.map((u) => u.estimatedCost).filter((c) => c !== null && c !== void 0);
+  return {
+    promptTokens: usages.reduce((n, u) => n + u.promptTokens, 0),
+    responseTokens: usages.reduce((n, u) => n + u.responseTokens, 0),
+    thoughtsTokens: usages.reduce((n, u) => n + (u.thoughtsTokens || 0), 0),
+    totalTokens: usages.reduce((n, u) => n + u.totalTokens, 0),
+    attempts: usages.length,
+    retries: usages.reduce((n, u) => n + (u.retries || 0), 0),
+    modelVersion: last.modelVersion,
+    requestedModel: last.requestedModel || requestedModel,
+    fallbackUsed: usages.some((u) => u.fallbackUsed),
+    timestamp: last.timestamp,
+    groundingMetadata: last.groundingMetadata || null,
+    modelStatus: last.modelStatus || null,
+    estimatedCost: costs.length > 0 ? costs.reduce((n, c) => n + c, 0) : null,
+    costBreakdown: sumCostBreakdowns(usages.map((u) => u.costBreakdown)),
+    ...usages.every((u) => u.cached) && { cached: true }
+  };
+}
 var Transformer = class extends base_default {
   /**
    * @param {TransformerOptions} [options={}]
@@ -1064,6 +3671,9 @@ var Transformer = class extends base_default {
     if (options.systemPrompt === void 0) {
       options = { ...options, systemPrompt: DEFAULT_SYSTEM_INSTRUCTIONS };
     }
+    if (options.rateLimitPriority === void 0) {
+      options = { ...options, rateLimitPriority: "bulk" };
+    }
     super(options);
     this.chatConfig.responseMimeType = "application/json";
     this.onlyJSON = options.onlyJSON !== void 0 ? options.onlyJSON : true;
@@ -1101,7 +3711,7 @@ var Transformer = class extends base_default {
         logger_default.debug(`No examples provided, loading from file: ${this.examplesFile}`);
         try {
           const filePath = import_path.default.resolve(this.examplesFile);
-          const raw = await import_promises.default.readFile(filePath, "utf-8");
+          const raw = await import_promises4.default.readFile(filePath, "utf-8");
           examples = JSON.parse(raw);
         } catch (err) {
           throw new Error(`Could not load examples from file: ${this.examplesFile}. ${err.message}`);
@@ -1138,84 +3748,196 @@ var Transformer = class extends base_default {
    * @returns {Promise<Object>} The transformed payload
    */
   async send(payload, opts = {}, validatorFn = null) {
+    return this._withCallOptions(opts, async () => {
+      if (!this.chatSession) {
+        throw new Error("Chat session not initialized. Please call init() first.");
+      }
+      const validator = validatorFn || this.asyncValidator;
+      if (opts.stateless) {
+        return await this._statelessSend(payload, opts, validator);
+      }
+      const maxRetries = opts.maxRetries ?? this.maxRetries;
+      const retryDelay = opts.retryDelay ?? this.retryDelay;
+      let lastPayload = this._preparePayload(payload);
+      await this._manageContext(lastPayload);
+      if (opts.enableGrounding !== void 0 && opts.enableGrounding !== this.enableGrounding) {
+        const originalGrounding = this.enableGrounding;
+        const originalConfig = this.groundingConfig;
+        try {
+          this.enableGrounding = opts.enableGrounding;
+          this.groundingConfig = opts.groundingConfig ?? this.groundingConfig;
+          this.chatSession = this._createChatSession(this.chatSession.getHistory());
+        } catch (error) {
+          this.enableGrounding = originalGrounding;
+          this.groundingConfig = originalConfig;
+          throw error;
+        }
+        opts._restoreGrounding = async () => {
+          this.enableGrounding = originalGrounding;
+          this.groundingConfig = originalConfig;
+          this.chatSession = this._createChatSession(this.chatSession.getHistory());
+        };
+      }
+      const messageOptions = {};
+      if (opts.labels) messageOptions.labels = opts.labels;
+      this._cumulativeUsage = { promptTokens: 0, responseTokens: 0, totalTokens: 0, attempts: 0, retries: 0 };
+      let lastError = null;
+      for (let attempt = 0; attempt <= maxRetries; attempt++) {
+        try {
+          const transformedPayload = attempt === 0 ? await this.rawSend(lastPayload, messageOptions) : await this.rebuild(lastPayload, lastError.message);
+          if (this.lastResponseMetadata) this._accumulateUsage(null, attempt + 1);
+          lastPayload = transformedPayload;
+          if (validator) {
+            await this._validate(validator, transformedPayload, attempt + 1, maxRetries);
+          }
+          logger_default.debug(`Transformation succeeded on attempt ${attempt + 1}`);
+          if (opts._restoreGrounding) await opts._restoreGrounding();
+          await this._saveSession();
+          return transformedPayload;
+        } catch (error) {
+          lastError = error;
+          logger_default.warn(`Attempt ${attempt + 1} failed: ${error.message}`);
+          if (error instanceof InvalidJSONError && this.lastResponseMetadata) this._accumulateUsage(null, attempt + 1);
+          if (error instanceof BudgetExceededError || this._abortSignal()?.aborted) {
+            if (opts._restoreGrounding) await opts._restoreGrounding();
+            await this._saveSession();
+            throw error;
+          }
+          if (attempt >= maxRetries) {
+            logger_default.error(`All ${maxRetries + 1} attempts failed.`);
+            if (opts._restoreGrounding) await opts._restoreGrounding();
+            await this._saveSession();
+            throw withContext(error, `Transformation failed after ${maxRetries + 1} attempts. Last error: ${error.message}`, {
+              attempts: maxRetries + 1,
+              usage: this._partialUsage()
+            });
+          }
+          const delay = retryDelay * Math.pow(2, attempt);
+          this.emit("retry", { className: this.constructor.name, reason: "transform", attempt: attempt + 1, maxRetries, delayMs: delay, error });
+          await this._sleep(delay);
+        }
+      }
+    });
+  }
+  // ── Streaming ────────────────────────────────────────────────────────────
+  /**
+   * Transforms a payload and streams best-effort partial objects as the model writes them.
+   * Partials are recovered from the incomplete text by closing open strings/braces
+   * (`attemptJSONRecovery`) and are NOT validated. The final object goes through the
+   * same validator + `rebuild()` retry loop as `send()`; repair rounds are not streamed.
+   *
+   * Event types:
+   * - `partial` — The best-effort object parsed so far (only emitted when it changes)
+   * - `retry` — The final object failed parsing or validation; asking the model to repair it
+   * - `done` — The validated result
+   *
+   * @param {Object|string} payload - The source payload to transform
+   * @param {import('./types').SendOptions} [opts={}] - Per-message options (labels, maxRetries, retryDelay, signal, timeoutMs)
+   * @param {AsyncValidatorFunction|null} [validatorFn] - Validator for this call (overrides constructor validator)
+   * @yields {TransformerStreamEvent}
+   */
+  async *stream(payload, opts = {}, validatorFn = null) {
+    yield* this._streamWithCallOptions(opts, () => this._stream(payload, opts, validatorFn));
+  }
+  /**
+   * stream(), run in the call's scope (see _streamWithCallOptions()).
+   * @param {Object|string} payload
+   * @param {import('./types').SendOptions} opts
+   * @param {AsyncValidatorFunction|null} validatorFn
+   * @yields {TransformerStreamEvent}
+   * @private
+   */
+  async *_stream(payload, opts, validatorFn) {
     if (!this.chatSession) {
       throw new Error("Chat session not initialized. Please call init() first.");
     }
     const validator = validatorFn || this.asyncValidator;
-    if (opts.stateless) {
-      return await this._statelessSend(payload, opts, validator);
-    }
     const maxRetries = opts.maxRetries ?? this.maxRetries;
     const retryDelay = opts.retryDelay ?? this.retryDelay;
-    if (opts.enableGrounding !== void 0 && opts.enableGrounding !== this.enableGrounding) {
-      const originalGrounding = this.enableGrounding;
-      const originalConfig = this.groundingConfig;
-      try {
-        this.enableGrounding = opts.enableGrounding;
-        this.groundingConfig = opts.groundingConfig ?? this.groundingConfig;
-        await this.init(true);
-      } catch (error) {
-        this.enableGrounding = originalGrounding;
-        this.groundingConfig = originalConfig;
-        throw error;
-      }
-      opts._restoreGrounding = async () => {
-        this.enableGrounding = originalGrounding;
-        this.groundingConfig = originalConfig;
-        await this.init(true);
-      };
+    const mergedLabels = { ...this.labels, ...opts.labels || {} };
+    const sendParams = { message: this._preparePayload(payload) };
+    await this._manageContext(sendParams.message);
+    if (this.vertexai && Object.keys(mergedLabels).length > 0) {
+      sendParams.config = { labels: mergedLabels };
     }
-    let lastPayload = this._preparePayload(payload);
-    const messageOptions = {};
-    if (opts.labels) messageOptions.labels = opts.labels;
-    this._cumulativeUsage = { promptTokens: 0, responseTokens: 0, totalTokens: 0, attempts: 0 };
+    this._cumulativeUsage = { promptTokens: 0, responseTokens: 0, totalTokens: 0, attempts: 0, retries: 0 };
+    let fullText = "";
+    let lastPartialKey = null;
+    let usageChunk = null;
+    const streamResponse = await this._withRetry(() => this.chatSession.sendMessageStream(sendParams));
+    for await (const chunk of streamResponse) {
+      if (chunk.usageMetadata) usageChunk = chunk;
+      const text = chunk.candidates?.[0]?.content?.parts?.[0]?.text;
+      if (!text) continue;
+      fullText += text;
+      const recovered = attemptJSONRecovery(fullText, void 0, true);
+      if (recovered === null) continue;
+      const data = this._unwrapData(recovered);
+      const key = JSON.stringify(data);
+      if (key !== lastPartialKey) {
+        lastPartialKey = key;
+        yield { type: "partial", data };
+      }
+    }
+    if (usageChunk) this._accumulateUsage(usageChunk, 1);
+    fullText = this._rehydrate(fullText);
+    let lastPayload = null;
     let lastError = null;
     for (let attempt = 0; attempt <= maxRetries; attempt++) {
       try {
-        const transformedPayload = attempt === 0 ? await this.rawSend(lastPayload, messageOptions) : await this.rebuild(lastPayload, lastError.message);
-        if (this.lastResponseMetadata) {
-          this._cumulativeUsage.promptTokens += this.lastResponseMetadata.promptTokens || 0;
-          this._cumulativeUsage.responseTokens += this.lastResponseMetadata.responseTokens || 0;
-          this._cumulativeUsage.totalTokens += this.lastResponseMetadata.totalTokens || 0;
-          this._cumulativeUsage.attempts = attempt + 1;
-        }
+        const transformedPayload = attempt === 0 ? this._parseJSON(fullText) : await this.rebuild(lastPayload ?? fullText, lastError.message);
+        if (attempt > 0 && this.lastResponseMetadata) this._accumulateUsage(null, attempt + 1);
         lastPayload = transformedPayload;
-        if (validator) {
-          await validator(transformedPayload);
-        }
-        logger_default.debug(`Transformation succeeded on attempt ${attempt + 1}`);
-        if (opts._restoreGrounding) await opts._restoreGrounding();
-        return transformedPayload;
+        if (validator) await this._validate(validator, transformedPayload, attempt + 1, maxRetries);
+        logger_default.debug(`Streamed transformation succeeded on attempt ${attempt + 1}`);
+        await this._saveSession();
+        yield { type: "done", data: transformedPayload, fullText, usage: this.getLastUsage() };
+        return;
       } catch (error) {
         lastError = error;
         logger_default.warn(`Attempt ${attempt + 1} failed: ${error.message}`);
+        if (attempt > 0 && error instanceof InvalidJSONError && this.lastResponseMetadata) this._accumulateUsage(null, attempt + 1);
+        if (error instanceof BudgetExceededError || this._abortSignal()?.aborted) {
+          await this._saveSession();
+          throw error;
+        }
         if (attempt >= maxRetries) {
           logger_default.error(`All ${maxRetries + 1} attempts failed.`);
-          if (opts._restoreGrounding) await opts._restoreGrounding();
-          throw new Error(`Transformation failed after ${maxRetries + 1} attempts. Last error: ${error.message}`);
+          await this._saveSession();
+          throw withContext(error, `Transformation failed after ${maxRetries + 1} attempts. Last error: ${error.message}`, {
+            attempts: maxRetries + 1,
+            usage: this._partialUsage()
+          });
         }
         const delay = retryDelay * Math.pow(2, attempt);
-        await new Promise((res) => setTimeout(res, delay));
+        this.emit("retry", { className: this.constructor.name, reason: "transform", attempt: attempt + 1, maxRetries, delayMs: delay, error });
+        yield { type: "retry", attempt: attempt + 1, error: error.message };
+        await this._sleep(delay);
       }
     }
   }
   // ── Raw Send ─────────────────────────────────────────────────────────────
   /**
    * Sends a single prompt to the model and parses the JSON response.
-   * No validation or retry logic.
+   * No validation or retry logic. API errors are thrown as classified by
+   * `_withRetry` (RateLimitError, AuthError, ...); unparseable output throws
+   * InvalidJSONError.
    *
    * @param {Object|string} payload - The source payload
    * @param {Object} [messageOptions={}] - Per-message options (e.g., labels)
+   * @param {Record<string, string>} [messageOptions.labels] - Per-message billing labels
+   * @param {AbortSignal} [messageOptions.signal] - Cancels the call (throws AbortError)
+   * @param {number} [messageOptions.timeoutMs] - Time limit for the whole call, retries included (throws TimeoutError)
    * @returns {Promise<Object>} The transformed payload
    */
   async rawSend(payload, messageOptions = {}) {
-    if (!this.chatSession) {
-      throw new Error("Chat session not initialized.");
-    }
-    const actualPayload = typeof payload === "string" ? payload : JSON.stringify(payload, null, 2);
-    const mergedLabels = { ...this.labels, ...messageOptions.labels || {} };
-    const hasLabels = this.vertexai && Object.keys(mergedLabels).length > 0;
-    try {
+    return this._withCallOptions(messageOptions, async () => {
+      if (!this.chatSession) {
+        throw new Error("Chat session not initialized.");
+      }
+      const actualPayload = typeof payload === "string" ? payload : JSON.stringify(payload, null, 2);
+      const mergedLabels = { ...this.labels, ...messageOptions.labels || {} };
+      const hasLabels = this.vertexai && Object.keys(mergedLabels).length > 0;
       const sendParams = { message: actualPayload };
       if (hasLabels) {
         sendParams.config = { labels: mergedLabels };
@@ -1225,22 +3947,13 @@ var Transformer = class extends base_default {
       if (result.usageMetadata && logger_default.level !== "silent") {
         logger_default.debug(`API response: model=${result.modelVersion || "unknown"}, tokens=${result.usageMetadata.totalTokenCount}`);
       }
-      const modelResponse = result.text;
-      const extractedJSON = extractJSON(modelResponse);
-      if (extractedJSON?.data) {
-        return extractedJSON.data;
-      }
-      return extractedJSON;
-    } catch (error) {
-      if (this.onlyJSON && error.message.includes("Could not extract valid JSON")) {
-        throw new Error(`Invalid JSON response from Gemini: ${error.message}`);
-      }
-      throw new Error(`Transformation failed: ${error.message}`);
-    }
+      return this._parseJSON(result.text);
+    });
   }
   // ── Rebuild ──────────────────────────────────────────────────────────────
   /**
-   * Asks the model to fix a payload that failed validation.
+   * Asks the model to fix a payload that failed validation. Throws the API
+   * error as classified, or InvalidJSONError if the repair isn't JSON.
    *
    * @param {Object} lastPayload - The payload that failed
    * @param {string} serverError - The error message
@@ -1248,34 +3961,58 @@ var Transformer = class extends base_default {
    */
   async rebuild(lastPayload, serverError) {
     await this.init();
-    const prompt = `
-The previous JSON payload (below) failed validation.
-The server's error message is quoted afterward.
-
----------------- BAD PAYLOAD ----------------
-${JSON.stringify(lastPayload, null, 2)}
-
-
----------------- SERVER ERROR ----------------
-${serverError}
-
-Please return a NEW JSON payload that corrects the issue.
-Respond with JSON only \u2013 no comments or explanations.
-`;
-    let result;
+    const prompt = buildRepairPrompt(lastPayload, serverError);
+    const result = await this._withRetry(() => this.chatSession.sendMessage({ message: prompt }));
+    this._captureMetadata(result);
+    const text = result.text ?? result.response ?? "";
     try {
-      result = await this._withRetry(() => this.chatSession.sendMessage({ message: prompt }));
-      this._captureMetadata(result);
+      return typeof text === "object" ? text : JSON.parse(text);
+    } catch (parseErr) {
+      throw new InvalidJSONError(`Gemini returned non-JSON while repairing payload: ${parseErr.message}`, { cause: parseErr, text });
+    }
+  }
+  /**
+   * Runs a validator. A rejection is rethrown as a ValidationError (same
+   * message, the validator's error as `cause`) after emitting `validationFailed`.
+   * @param {AsyncValidatorFunction} validator
+   * @param {Object} data - The transformed payload
+   * @param {number} attempt - 1-based attempt that produced `data`
+   * @param {number} maxRetries
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _validate(validator, data, attempt, maxRetries) {
+    try {
+      await validator(data);
     } catch (err) {
-      throw new Error(`Gemini call failed while repairing payload: ${err.message}`);
+      const error = err instanceof ValidationError ? err : new ValidationError(err?.message ?? String(err), { cause: err, data, attempts: attempt });
+      this.emit("validationFailed", { className: this.constructor.name, attempt, maxRetries, willRetry: attempt <= maxRetries, data, error });
+      throw error;
     }
+  }
+  /**
+   * Extracts the model's JSON and unwraps the `{ data }` envelope.
+   * @param {string} text - Model response text
+   * @returns {Object}
+   * @throws {InvalidJSONError}
+   * @private
+   */
+  _parseJSON(text) {
     try {
-      const text = result.text ?? result.response ?? "";
-      return typeof text === "object" ? text : JSON.parse(text);
-    } catch (parseErr) {
-      throw new Error(`Gemini returned non-JSON while repairing payload: ${parseErr.message}`);
+      return this._unwrapData(extractJSON(text));
+    } catch (error) {
+      throw new InvalidJSONError(`Invalid JSON response from Gemini: ${error.message}`, { cause: error, text: text ?? null });
     }
   }
+  /**
+   * Usage of the current send so far, for errors. send() zeroes the
+   * cumulative counters up front, so none recorded means no call completed.
+   * @returns {import('./types').UsageData|null}
+   * @private
+   */
+  _partialUsage() {
+    return this._cumulativeUsage.attempts > 0 ? this.getLastUsage() : null;
+  }
   // ── Stateless Send ───────────────────────────────────────────────────────
   /**
    * Sends a one-off message using generateContent (not chat).
@@ -1291,36 +4028,388 @@ Respond with JSON only \u2013 no comments or explanations.
       throw new Error("Chat session not initialized. Please call init() first.");
     }
     const payloadStr = typeof payload === "string" ? payload : JSON.stringify(payload, null, 2);
+    const { result } = await this._statelessGenerate(this._statelessContents(payloadStr), opts);
+    this._cumulativeUsage = {
+      promptTokens: this.lastResponseMetadata.promptTokens,
+      responseTokens: this.lastResponseMetadata.responseTokens,
+      totalTokens: this.lastResponseMetadata.totalTokens,
+      attempts: 1
+    };
+    try {
+      const transformedPayload = this._parseJSON(result.text);
+      if (validatorFn) await this._validate(validatorFn, transformedPayload, 1, 0);
+      return transformedPayload;
+    } catch (error) {
+      error.usage = this.getLastUsage();
+      throw error;
+    }
+  }
+  /**
+   * Builds the contents for a stateless call: the seeded examples followed by the payload.
+   * @param {string} payloadStr
+   * @returns {Array<Object>}
+   * @private
+   */
+  _statelessContents(payloadStr) {
     const contents = [];
     if (this.exampleCount > 0) {
       const history = this.chatSession.getHistory();
-      const exampleHistory = history.slice(0, this.exampleCount);
-      contents.push(...exampleHistory);
+      contents.push(...history.slice(0, this.exampleCount));
     }
     contents.push({ role: "user", parts: [{ text: payloadStr }] });
+    return contents;
+  }
+  /**
+   * One generateContent() round-trip with the instance config. Usage is computed
+   * from THIS response before instance state is touched, so it is safe to read
+   * under concurrent calls (see `_usageFromResponse`).
+   * @param {Array<Object>} contents
+   * @param {Object} [opts={}]
+   * @returns {Promise<{ result: Object, usage: UsageData }>}
+   * @private
+   */
+  async _statelessGenerate(contents, opts = {}) {
     const mergedLabels = { ...this.labels, ...opts.labels || {} };
-    const result = await this._withRetry(() => this.genAIClient.models.generateContent({
+    const result = await this._generateCached({
       model: this.modelName,
       contents,
       config: {
         ...this.chatConfig,
         ...this.vertexai && Object.keys(mergedLabels).length > 0 && { labels: mergedLabels }
       }
-    }));
+    });
+    const usage = this._usageFromResponse(result);
     this._captureMetadata(result);
-    this._cumulativeUsage = {
-      promptTokens: this.lastResponseMetadata.promptTokens,
-      responseTokens: this.lastResponseMetadata.responseTokens,
-      totalTokens: this.lastResponseMetadata.totalTokens,
-      attempts: 1
-    };
-    const modelResponse = result.text;
-    const extractedJSON = extractJSON(modelResponse);
-    let transformedPayload = extractedJSON?.data ? extractedJSON.data : extractedJSON;
-    if (validatorFn) {
-      await validatorFn(transformedPayload);
+    return { result, usage };
+  }
+  // ── Batch ────────────────────────────────────────────────────────────────
+  /**
+   * Transforms many payloads against the seeded examples.
+   *
+   * Stateless by default: each item is an independent generateContent() call
+   * carrying the examples, so items can run concurrently without touching the
+   * chat history. Failed items are retried (with the same repair prompt as
+   * `rebuild()`) and then recorded as `{ ok: false }` — one bad item never
+   * rejects the whole run. With `stateless: false` items go through `send()`
+   * one at a time, since they share the chat session.
+   *
+   * @param {Array<Object|string>} items - Source payloads
+   * @param {BatchOptions} [opts={}]
+   * @param {AsyncValidatorFunction|null} [validatorFn] - Validator for every item (overrides constructor validator)
+   * @returns {Promise<BatchResult>} Per-item results (input order) and run totals
+   */
+  async transformBatch(items, opts = {}, validatorFn = null) {
+    return this._withCallOptions(opts, async () => {
+      if (!this.chatSession) {
+        throw new Error("Chat session not initialized. Please call init() first.");
+      }
+      if (!Array.isArray(items)) {
+        throw new Error("transformBatch() expects an array of payloads.");
+      }
+      const validator = validatorFn || this.asyncValidator;
+      const stateless = opts.stateless ?? true;
+      let concurrency = opts.concurrency ?? DEFAULT_BATCH_CONCURRENCY;
+      if (!(Number.isInteger(concurrency) && concurrency > 0) && concurrency !== Infinity) {
+        throw new Error(`transformBatch() concurrency must be a positive integer or Infinity, got ${concurrency}.`);
+      }
+      if (!stateless && concurrency !== 1) {
+        logger_default.warn("transformBatch(): stateless: false shares the chat session; running items sequentially.");
+        concurrency = 1;
+      }
+      const total = items.length;
+      let completed = 0;
+      let succeeded = 0;
+      const tasks = items.map((item, index) => async () => {
+        const result = stateless ? await this._batchItemStateless(item, opts, validator) : await this._batchItemStateful(item, opts, validator);
+        completed++;
+        if (result.ok) succeeded++;
+        if (opts.onProgress) {
+          try {
+            opts.onProgress({ index, completed, total, succeeded, failed: completed - succeeded, result });
+          } catch (e) {
+            logger_default.warn(`onProgress callback error: ${e.message}`);
+          }
+        }
+        return result;
+      });
+      logger_default.debug(`transformBatch(): ${total} items, concurrency=${concurrency}, stateless=${stateless}`);
+      const results = await runWithConcurrency(tasks, concurrency);
+      const used = results.map((r) => r.usage).filter(Boolean);
+      const promptTokens = used.reduce((n, u) => n + u.promptTokens, 0);
+      const responseTokens = used.reduce((n, u) => n + u.responseTokens, 0);
+      const thoughtsTokens = used.reduce((n, u) => n + (u.thoughtsTokens || 0), 0);
+      const costs = used.map((u) => u.estimatedCost).filter((c) => c != null);
+      return {
+        results,
+        summary: {
+          total,
+          succeeded,
+          failed: total - succeeded,
+          promptTokens,
+          responseTokens,
+          thoughtsTokens,
+          totalTokens: used.reduce((n, u) => n + u.totalTokens, 0),
+          // Summed per attempt: each attempt is priced at its own context tier
+          estimatedCost: costs.length > 0 ? costs.reduce((n, c) => n + c, 0) : null,
+          costBreakdown: sumCostBreakdowns(used.map((u) => u.costBreakdown))
+        }
+      };
+    });
+  }
+  /**
+   * Transforms one batch item statelessly, retrying failures with a repair turn.
+   * Never throws — errors are captured in the returned result.
+   * @param {Object|string} payload
+   * @param {BatchOptions} opts
+   * @param {AsyncValidatorFunction|null} validator
+   * @returns {Promise<BatchItemResult>}
+   * @private
+   */
+  async _batchItemStateless(payload, opts, validator) {
+    const maxRetries = opts.maxRetries ?? this.maxRetries;
+    const retryDelay = opts.retryDelay ?? this.retryDelay;
+    const usages = [];
+    let lastError = null;
+    let baseContents;
+    try {
+      baseContents = this._statelessContents(this._preparePayload(payload));
+    } catch (error) {
+      return { ok: false, data: null, error: error.message, usage: null, attempts: 0 };
+    }
+    let contents = baseContents;
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      let text = null;
+      let data;
+      try {
+        const { result, usage } = await this._statelessGenerate(contents, opts);
+        usages.push(usage);
+        text = result.text;
+        data = this._parseJSON(text);
+        if (validator) await this._validate(validator, data, attempt + 1, maxRetries);
+        return { ok: true, data, error: null, usage: sumUsage(usages, this.modelName), attempts: attempt + 1 };
+      } catch (error) {
+        if (error instanceof BudgetExceededError || this._abortSignal()?.aborted) throw error;
+        lastError = error;
+        logger_default.warn(`Batch item attempt ${attempt + 1} failed: ${error.message}`);
+        if (attempt >= maxRetries) break;
+        contents = text ? [
+          ...baseContents,
+          { role: "model", parts: [{ text }] },
+          { role: "user", parts: [{ text: buildRepairPrompt(data ?? text, error.message) }] }
+        ] : baseContents;
+        const delay = retryDelay * Math.pow(2, attempt);
+        this.emit("retry", { className: this.constructor.name, reason: "transform", attempt: attempt + 1, maxRetries, delayMs: delay, error });
+        await this._sleep(delay);
+      }
+    }
+    return { ok: false, data: null, error: lastError.message, usage: sumUsage(usages, this.modelName), attempts: maxRetries + 1 };
+  }
+  /**
+   * Transforms one batch item through send() (chat history). Never throws.
+   * @param {Object|string} payload
+   * @param {BatchOptions} opts
+   * @param {AsyncValidatorFunction|null} validator
+   * @returns {Promise<BatchItemResult>}
+   * @private
+   */
+  async _batchItemStateful(payload, opts, validator) {
+    const { onProgress, concurrency, signal, timeoutMs, ...sendOpts } = opts;
+    try {
+      const data = await this.send(payload, { ...sendOpts, stateless: false }, validator);
+      const usage = this.getLastUsage();
+      return { ok: true, data, error: null, usage, attempts: usage?.attempts ?? 1 };
+    } catch (error) {
+      if (error instanceof BudgetExceededError || this._abortSignal()?.aborted) throw error;
+      const usage = this._partialUsage();
+      return { ok: false, data: null, error: error.message, usage, attempts: usage?.attempts ?? 0 };
+    }
+  }
+  // ── File Jobs ────────────────────────────────────────────────────────────
+  /**
+   * Transforms a JSONL file into another JSONL file, resumably.
+   *
+   * Input is streamed and processed in windows of `checkpointEvery` rows with
+   * transformBatch(). After each window, its successes are appended to
+   * `outputPath` (input order), its failures to the errors file as
+   * `{ line, input, error, attempts }` (the error is the last one from the
+   * repair loop), and a checkpoint is written next to the output. The
+   * checkpoint holds rows done, output byte offsets and running token/cost
+   * totals. Re-running with the same paths truncates the outputs to the last
+   * checkpoint and skips the rows it covers, so a crash costs at most one window.
+   *
+   * @param {string} inputPath - JSONL source (one payload per line; blank lines are skipped)
+   * @param {string} outputPath - JSONL destination (one transformed payload per line)
+   * @param {TransformFileOptions} [opts={}]
+   * @param {AsyncValidatorFunction|null} [validatorFn] - Validator for every row (overrides constructor validator)
+   * @returns {Promise<TransformFileResult>}
+   */
+  async transformFile(inputPath, outputPath, opts = {}, validatorFn = null) {
+    return this._withCallOptions(opts, async () => {
+      if (!this.chatSession) {
+        throw new Error("Chat session not initialized. Please call init() first.");
+      }
+      const { checkpointEvery = DEFAULT_CHECKPOINT_EVERY, restart = false, onCheckpoint, errorsPath: errorsOpt, checkpointPath: checkpointOpt, ...batchOpts } = opts;
+      const input = import_path.default.resolve(inputPath);
+      const output = import_path.default.resolve(outputPath);
+      const errorsPath = import_path.default.resolve(errorsOpt || sidecarPath(output, "errors.jsonl"));
+      const checkpointPath = import_path.default.resolve(checkpointOpt || sidecarPath(output, "checkpoint.json"));
+      let checkpoint = restart ? null : await this._loadCheckpoint(checkpointPath);
+      if (checkpoint && checkpoint.input !== input) {
+        throw new Error(`Checkpoint ${checkpointPath} belongs to ${checkpoint.input}, not ${input}. Pass restart: true or a different output path.`);
+      }
+      const resumedFrom = checkpoint?.rowsDone || 0;
+      if (checkpoint) {
+        logger_default.info(`transformFile(): resuming ${input} after line ${resumedFrom} (${checkpoint.succeeded} ok, ${checkpoint.failed} failed so far).`);
+        await truncateTo(output, checkpoint.outputBytes);
+        await truncateTo(errorsPath, checkpoint.errorsBytes);
+        checkpoint.completed = false;
+      } else {
+        await import_promises4.default.mkdir(import_path.default.dirname(output), { recursive: true });
+        await import_promises4.default.writeFile(output, "");
+        await import_promises4.default.writeFile(errorsPath, "");
+        const now = (/* @__PURE__ */ new Date()).toISOString();
+        checkpoint = {
+          version: CHECKPOINT_VERSION,
+          input,
+          output,
+          errors: errorsPath,
+          model: this.modelName,
+          rowsDone: 0,
+          succeeded: 0,
+          failed: 0,
+          outputBytes: 0,
+          errorsBytes: 0,
+          usage: { promptTokens: 0, responseTokens: 0, thoughtsTokens: 0, totalTokens: 0 },
+          estimatedCost: null,
+          unpriced: false,
+          completed: false,
+          startedAt: now,
+          updatedAt: now
+        };
+      }
+      const state = (
+        /** @type {TransformFileCheckpoint} */
+        checkpoint
+      );
+      const run = { promptTokens: 0, responseTokens: 0, thoughtsTokens: 0, totalTokens: 0, attempts: 0, costBreakdown: null };
+      let processed = 0;
+      let window = [];
+      const flush = async (lineNo2) => {
+        const rows = window.map(({ line, raw }) => {
+          try {
+            return { line, raw, payload: JSON.parse(raw), parseError: null };
+          } catch (e) {
+            return { line, raw, payload: null, parseError: `Invalid JSON on line ${line}: ${e.message}` };
+          }
+        });
+        const valid = rows.filter((r) => !r.parseError);
+        const { results } = await this.transformBatch(valid.map((r) => r.payload), batchOpts, validatorFn);
+        let out = "";
+        let errs = "";
+        let v = 0;
+        for (const row of rows) {
+          const result = row.parseError ? null : results[v++];
+          if (result?.ok) {
+            out += JSON.stringify(result.data) + "\n";
+            state.succeeded++;
+          } else {
+            errs += JSON.stringify({
+              line: row.line,
+              input: row.parseError ? row.raw : row.payload,
+              error: row.parseError || result?.error,
+              attempts: result?.attempts ?? 0
+            }) + "\n";
+            state.failed++;
+          }
+          if (result?.usage) {
+            for (
+              const key of
+              /** @type {const} */
+              ["promptTokens", "responseTokens", "thoughtsTokens", "totalTokens"]
+            ) {
+              state.usage[key] += result.usage[key] || 0;
+              run[key] += result.usage[key] || 0;
+            }
+            run.attempts += result.usage.attempts || 0;
+            run.costBreakdown = sumCostBreakdowns([run.costBreakdown, result.usage.costBreakdown]);
+            if (result.usage.estimatedCost == null) state.unpriced = true;
+            state.estimatedCost = state.unpriced ? null : (state.estimatedCost ?? 0) + result.usage.estimatedCost;
+          }
+        }
+        if (out) await import_promises4.default.appendFile(output, out);
+        if (errs) await import_promises4.default.appendFile(errorsPath, errs);
+        state.outputBytes += Buffer.byteLength(out);
+        state.errorsBytes += Buffer.byteLength(errs);
+        state.rowsDone = lineNo2;
+        processed += rows.length;
+        window = [];
+        await this._saveCheckpoint(checkpointPath, state);
+        if (onCheckpoint) {
+          try {
+            onCheckpoint({ ...state });
+          } catch (e) {
+            logger_default.warn(`onCheckpoint callback error: ${e.message}`);
+          }
+        }
+      };
+      const lines = import_readline.default.createInterface({ input: (0, import_fs.createReadStream)(input, "utf-8"), crlfDelay: Infinity });
+      let lineNo = 0;
+      for await (const raw of lines) {
+        lineNo++;
+        if (lineNo <= resumedFrom) continue;
+        if (raw.trim()) window.push({ line: lineNo, raw });
+        if (window.length >= checkpointEvery) await flush(lineNo);
+      }
+      if (window.length > 0) await flush(lineNo);
+      state.rowsDone = Math.max(state.rowsDone, lineNo);
+      state.completed = true;
+      await this._saveCheckpoint(checkpointPath, state);
+      if (run.attempts > 0) this._cumulativeUsage = run;
+      logger_default.debug(`transformFile(): ${processed} rows this run, ${state.succeeded} ok / ${state.failed} failed in total.`);
+      return {
+        outputPath: output,
+        errorsPath,
+        checkpointPath,
+        resumedFrom,
+        processed,
+        succeeded: state.succeeded,
+        failed: state.failed,
+        usage: { ...state.usage },
+        estimatedCost: state.estimatedCost
+      };
+    });
+  }
+  /**
+   * @param {string} checkpointPath
+   * @returns {Promise<TransformFileCheckpoint|null>}
+   * @private
+   */
+  async _loadCheckpoint(checkpointPath) {
+    let raw;
+    try {
+      raw = await import_promises4.default.readFile(checkpointPath, "utf-8");
+    } catch (e) {
+      if (e.code === "ENOENT") return null;
+      throw e;
+    }
+    const checkpoint = JSON.parse(raw);
+    if (checkpoint.version !== CHECKPOINT_VERSION) {
+      throw new Error(`Unsupported checkpoint version ${checkpoint.version} in ${checkpointPath} (expected ${CHECKPOINT_VERSION}).`);
     }
-    return transformedPayload;
+    return checkpoint;
+  }
+  /**
+   * Atomic write (tmp + rename), so a crash never leaves half a checkpoint.
+   * @param {string} checkpointPath
+   * @param {TransformFileCheckpoint} checkpoint
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _saveCheckpoint(checkpointPath, checkpoint) {
+    checkpoint.updatedAt = (/* @__PURE__ */ new Date()).toISOString();
+    const tmp = `${checkpointPath}.${process.pid}.tmp`;
+    await import_promises4.default.writeFile(tmp, JSON.stringify(checkpoint, null, 2));
+    await import_promises4.default.rename(tmp, checkpointPath);
   }
   // ── History Management ───────────────────────────────────────────────────
   /**
@@ -1336,7 +4425,8 @@ Respond with JSON only \u2013 no comments or explanations.
     const exampleHistory = history.slice(0, this.exampleCount || 0);
     this.chatSession = this._createChatSession(exampleHistory);
     this.lastResponseMetadata = null;
-    this._cumulativeUsage = { promptTokens: 0, responseTokens: 0, totalTokens: 0, attempts: 0 };
+    this._cumulativeUsage = { promptTokens: 0, responseTokens: 0, totalTokens: 0, attempts: 0, retries: 0 };
+    await this._saveSession();
     logger_default.debug(`Conversation cleared. Preserved ${exampleHistory.length} example items.`);
   }
   /**
@@ -1348,6 +4438,7 @@ Respond with JSON only \u2013 no comments or explanations.
       logger_default.debug("Resetting chat session...");
       this.chatSession = this._createChatSession([]);
       this.exampleCount = 0;
+      await this._saveSession();
       logger_default.debug("Chat session reset.");
     } else {
       logger_default.warn("Cannot reset: chat not yet initialized.");
@@ -1368,6 +4459,30 @@ Respond with JSON only \u2013 no comments or explanations.
     await this.init(true);
   }
   // ── Private Helpers ──────────────────────────────────────────────────────
+  /**
+   * Adds a response's tokens to the cumulative usage for the current send.
+   * @param {Object|null} response - Response to capture first; null reuses lastResponseMetadata
+   * @param {number} attempts - Attempts consumed so far
+   * @private
+   */
+  _accumulateUsage(response, attempts) {
+    if (response) this._captureMetadata(response);
+    this._cumulativeUsage.promptTokens += this.lastResponseMetadata.promptTokens || 0;
+    this._cumulativeUsage.responseTokens += this.lastResponseMetadata.responseTokens || 0;
+    this._cumulativeUsage.totalTokens += this.lastResponseMetadata.totalTokens || 0;
+    this._cumulativeUsage.retries = (this._cumulativeUsage.retries || 0) + (this.lastResponseMetadata.retries || 0);
+    this._cumulativeUsage.costBreakdown = sumCostBreakdowns([this._cumulativeUsage.costBreakdown, this.lastResponseMetadata.costBreakdown]);
+    this._cumulativeUsage.attempts = attempts;
+  }
+  /**
+   * Unwraps the `{ data }` envelope the seeded examples teach the model to use.
+   * @param {*} extracted - Parsed model JSON
+   * @returns {*}
+   * @private
+   */
+  _unwrapData(extracted) {
+    return extracted?.data ? extracted.data : extracted;
+  }
   /**
    * Normalizes a payload to a string for sending.
    * @param {*} payload
@@ -1399,6 +4514,9 @@ var Chat = class extends base_default {
     if (options.systemPrompt === void 0) {
       options = { ...options, systemPrompt: "You are a helpful AI assistant." };
     }
+    if (options.rateLimitPriority === void 0) {
+      options = { ...options, rateLimitPriority: "interactive" };
+    }
     super(options);
     logger_default.debug(`Chat created with model: ${this.modelName}`);
   }
@@ -1420,38 +4538,57 @@ var Chat = class extends base_default {
    * @param {string} message - The user's message
    * @param {Object} [opts={}] - Per-message options
    * @param {Record<string, string>} [opts.labels] - Per-message billing labels
+   * @param {AbortSignal} [opts.signal] - Cancels the call (throws AbortError)
+   * @param {number} [opts.timeoutMs] - Time limit for the whole call, retries included (throws TimeoutError)
    * @returns {Promise<ChatResponse>} Response with text and usage data
    */
   async send(message, opts = {}) {
-    if (!this.chatSession) await this.init();
-    const mergedLabels = { ...this.labels, ...opts.labels || {} };
-    const hasLabels = this.vertexai && Object.keys(mergedLabels).length > 0;
-    const sendParams = { message };
-    if (hasLabels) {
-      sendParams.config = { labels: mergedLabels };
-    }
-    const result = await this._withRetry(() => this.chatSession.sendMessage(sendParams));
-    this._captureMetadata(result);
-    this._cumulativeUsage = {
-      promptTokens: this.lastResponseMetadata.promptTokens,
-      responseTokens: this.lastResponseMetadata.responseTokens,
-      totalTokens: this.lastResponseMetadata.totalTokens,
-      attempts: 1
-    };
-    return {
-      text: result.text || "",
-      usage: this.getLastUsage()
-    };
+    return this._withCallOptions(opts, async () => {
+      if (!this.chatSession) await this.init();
+      await this._manageContext(message);
+      const mergedLabels = { ...this.labels, ...opts.labels || {} };
+      const hasLabels = this.vertexai && Object.keys(mergedLabels).length > 0;
+      const sendParams = { message };
+      if (hasLabels) {
+        sendParams.config = { labels: mergedLabels };
+      }
+      const result = await this._withRetry(() => this.chatSession.sendMessage(sendParams));
+      this._captureMetadata(result);
+      this._cumulativeUsage = {
+        promptTokens: this.lastResponseMetadata.promptTokens,
+        responseTokens: this.lastResponseMetadata.responseTokens,
+        totalTokens: this.lastResponseMetadata.totalTokens,
+        attempts: 1
+      };
+      await this._saveSession();
+      return {
+        text: result.text || "",
+        usage: this.getLastUsage()
+      };
+    });
   }
   /**
    * Send a message and stream the response as events.
    *
    * @param {string} message - The user's message
    * @param {Object} [opts={}] - Per-message options
+   * @param {AbortSignal} [opts.signal] - Cancels the call (throws AbortError)
+   * @param {number} [opts.timeoutMs] - Time limit for the whole call, retries included (throws TimeoutError)
    * @yields {ChatStreamEvent}
    */
   async *stream(message, opts = {}) {
+    yield* this._streamWithCallOptions(opts, () => this._stream(message, opts));
+  }
+  /**
+   * stream(), run in the call's scope (see _streamWithCallOptions()).
+   * @param {string} message
+   * @param {Object} opts
+   * @yields {ChatStreamEvent}
+   * @private
+   */
+  async *_stream(message, opts) {
     if (!this.chatSession) await this.init();
+    await this._manageContext(message);
     let fullText = "";
     const streamResponse = await this._withRetry(() => this.chatSession.sendMessageStream({ message }));
     for await (const chunk of streamResponse) {
@@ -1461,6 +4598,7 @@ var Chat = class extends base_default {
         yield { type: "text", text };
       }
     }
+    await this._saveSession();
     yield {
       type: "done",
       fullText,
@@ -1509,47 +4647,101 @@ var Message = class extends base_default {
    * @param {Object|string} payload - The message or data to send
    * @param {Object} [opts={}] - Per-message options
    * @param {Record<string, string>} [opts.labels] - Per-message billing labels
+   * @param {AbortSignal} [opts.signal] - Cancels the call (throws AbortError)
+   * @param {number} [opts.timeoutMs] - Time limit for the whole call, retries included (throws TimeoutError)
    * @returns {Promise<MessageResponse>} Response with text, optional data, and usage
    */
   async send(payload, opts = {}) {
+    return this._withCallOptions(opts, async () => {
+      if (!this._initialized) await this.init();
+      const result = await this._generateCached(this._request(payload, opts));
+      const usage = this._usageFromResponse(result);
+      this._captureMetadata(result);
+      this._cumulativeUsage = {
+        promptTokens: this.lastResponseMetadata.promptTokens,
+        responseTokens: this.lastResponseMetadata.responseTokens,
+        thoughtsTokens: this.lastResponseMetadata.thoughtsTokens,
+        totalTokens: this.lastResponseMetadata.totalTokens,
+        attempts: 1
+      };
+      if (result.usageMetadata && logger_default.level !== "silent") {
+        logger_default.debug(`Message response: model=${result.modelVersion || "unknown"}, tokens=${result.usageMetadata.totalTokenCount}`);
+      }
+      const text = result.text || "";
+      const response = {
+        text,
+        usage
+      };
+      if (this._isStructured) {
+        try {
+          response.data = extractJSON(text);
+        } catch (e) {
+          logger_default.warn(`Could not parse structured response: ${e.message}`);
+          response.data = null;
+        }
+      }
+      return response;
+    });
+  }
+  /**
+   * Send a stateless message and stream the response as events. Nothing is
+   * cached; a failure before the first chunk is retried like send().
+   *
+   * @param {Object|string} payload - The message or data to send
+   * @param {Object} [opts={}] - Per-message options
+   * @param {Record<string, string>} [opts.labels] - Per-message billing labels
+   * @param {AbortSignal} [opts.signal] - Cancels the call (throws AbortError)
+   * @param {number} [opts.timeoutMs] - Time limit for the whole call, retries included (throws TimeoutError)
+   * @yields {ChatStreamEvent}
+   */
+  async *stream(payload, opts = {}) {
+    yield* this._streamWithCallOptions(opts, () => this._stream(payload, opts));
+  }
+  /**
+   * stream(), run in the call's scope (see _streamWithCallOptions()).
+   * @param {Object|string} payload
+   * @param {Object} opts
+   * @yields {ChatStreamEvent}
+   * @private
+   */
+  async *_stream(payload, opts) {
     if (!this._initialized) await this.init();
+    let fullText = "";
+    let last = null;
+    const streamResponse = await this._withRetry(() => this._models.generateContentStream(this._request(payload, opts)));
+    for await (const chunk of streamResponse) {
+      if (chunk.usageMetadata) last = chunk;
+      if (chunk.text) {
+        fullText += chunk.text;
+        yield { type: "text", text: chunk.text };
+      }
+    }
+    const usage = last ? this._usageFromResponse(last) : null;
+    if (last) this._captureMetadata(last);
+    yield {
+      type: "done",
+      fullText,
+      usage
+    };
+  }
+  /**
+   * generateContent() params for one payload.
+   * @param {Object|string} payload
+   * @param {{ labels?: Record<string, string> }} opts
+   * @returns {Object}
+   * @private
+   */
+  _request(payload, opts) {
     const payloadStr = typeof payload === "string" ? payload : JSON.stringify(payload, null, 2);
-    const contents = [{ role: "user", parts: [{ text: payloadStr }] }];
     const mergedLabels = { ...this.labels, ...opts.labels || {} };
-    const result = await this._withRetry(() => this.genAIClient.models.generateContent({
+    return {
       model: this.modelName,
-      contents,
+      contents: [{ role: "user", parts: [{ text: payloadStr }] }],
       config: {
         ...this.chatConfig,
         ...this.vertexai && Object.keys(mergedLabels).length > 0 && { labels: mergedLabels }
       }
-    }));
-    const usage = this._usageFromResponse(result);
-    this._captureMetadata(result);
-    this._cumulativeUsage = {
-      promptTokens: this.lastResponseMetadata.promptTokens,
-      responseTokens: this.lastResponseMetadata.responseTokens,
-      thoughtsTokens: this.lastResponseMetadata.thoughtsTokens,
-      totalTokens: this.lastResponseMetadata.totalTokens,
-      attempts: 1
-    };
-    if (result.usageMetadata && logger_default.level !== "silent") {
-      logger_default.debug(`Message response: model=${result.modelVersion || "unknown"}, tokens=${result.usageMetadata.totalTokenCount}`);
-    }
-    const text = result.text || "";
-    const response = {
-      text,
-      usage
     };
-    if (this._isStructured) {
-      try {
-        response.data = extractJSON(text);
-      } catch (e) {
-        logger_default.warn(`Could not parse structured response: ${e.message}`);
-        response.data = null;
-      }
-    }
-    return response;
   }
   // ── No-ops for stateless class ──
   /** @returns {Array} Always returns empty array (stateless). */
@@ -1575,25 +4767,240 @@ var Message = class extends base_default {
 };
 var message_default = Message;
 
-// tool-agent.js
-async function runWithConcurrency(tasks, concurrency) {
-  if (concurrency === Infinity) return Promise.all(tasks.map((t) => t()));
-  if (concurrency === 1) {
-    const results2 = [];
-    for (const t of tasks) results2.push(await t());
-    return results2;
+// batch-job.js
+var import_genai4 = require("@google/genai");
+var DEFAULT_POLL_INTERVAL = 3e4;
+var TERMINAL_STATES = /* @__PURE__ */ new Set([
+  "JOB_STATE_SUCCEEDED",
+  "JOB_STATE_PARTIALLY_SUCCEEDED",
+  "JOB_STATE_FAILED",
+  "JOB_STATE_CANCELLED",
+  "JOB_STATE_EXPIRED"
+]);
+var RESULT_STATES = /* @__PURE__ */ new Set(["JOB_STATE_SUCCEEDED", "JOB_STATE_PARTIALLY_SUCCEEDED"]);
+var BatchJob = class extends message_default {
+  /**
+   * @param {BatchJobOptions} [options={}]
+   */
+  constructor(options = {}) {
+    super(options);
+    this.pollInterval = options.pollInterval ?? DEFAULT_POLL_INTERVAL;
+    this.displayName = options.displayName || null;
+    this.jobName = options.jobName || null;
+    this.info = null;
+    logger_default.debug(`BatchJob created${this.jobName ? ` for ${this.jobName}` : ""}`);
   }
-  const results = new Array(tasks.length);
-  let next = 0;
-  async function worker() {
-    while (next < tasks.length) {
-      const i = next++;
-      results[i] = await tasks[i]();
+  /**
+   * Packages payloads as inline requests and submits them as one batch job.
+   * Payloads are sent like Message.send(): strings as-is, objects as JSON.
+   * @param {Array<Object|string>} payloads
+   * @returns {Promise<BatchJobInfo>}
+   */
+  async submit(payloads) {
+    if (!this._initialized) await this.init();
+    if (!Array.isArray(payloads) || payloads.length === 0) {
+      throw new Error("submit() expects a non-empty array of payloads.");
     }
+    if (this.vertexai) {
+      throw new Error("BatchJob sends requests inline, which only the Gemini API supports. Vertex AI batch prediction needs a GCS or BigQuery source.");
+    }
+    if (this.budget) {
+      throw new Error("BatchJob can't enforce a budget: batch requests skip the per-call budget checks. Drop the budget option; the result's summary.estimatedCost reports what the job cost.");
+    }
+    const redact = (text) => this.redactor ? this.redactor.redact(text) : text;
+    const config = { ...this.chatConfig };
+    if (typeof config.systemInstruction === "string") config.systemInstruction = redact(config.systemInstruction);
+    const inlinedRequests = payloads.map((payload) => ({
+      contents: [{ role: "user", parts: [{ text: redact(typeof payload === "string" ? payload : JSON.stringify(payload, null, 2)) }] }],
+      config
+    }));
+    const job = await this._batches().create({
+      model: this.modelName,
+      src: { inlinedRequests },
+      config: { ...this.displayName && { displayName: this.displayName } }
+    });
+    this.jobName = job.name;
+    this._updateInfo(job);
+    logger_default.info(`BatchJob: submitted ${payloads.length} requests as ${job.name}.`);
+    return (
+      /** @type {BatchJobInfo} */
+      this.info
+    );
   }
-  await Promise.all(Array.from({ length: Math.min(concurrency, tasks.length) }, () => worker()));
-  return results;
-}
+  /**
+   * Fetches the job's current state.
+   * @returns {Promise<BatchJobInfo>}
+   */
+  async status() {
+    const name = this._requireJobName();
+    const job = await this._withRetry(() => this._batches().get({ name }));
+    this._updateInfo(job);
+    return (
+      /** @type {BatchJobInfo} */
+      this.info
+    );
+  }
+  /**
+   * Polls until the job finishes, then returns its results. Each poll is
+   * retried under `retryPolicy`, so a transient error doesn't end the wait.
+   * `signal` stops waiting at once; like `timeoutMs`, it leaves the job running.
+   * @param {BatchJobWaitOptions} [opts={}]
+   * @returns {Promise<BatchJobResult>}
+   */
+  async wait(opts = {}) {
+    return this._withCallOptions({ signal: opts.signal, timeoutMs: 0 }, async () => {
+      const pollInterval = opts.pollInterval ?? this.pollInterval;
+      const started = Date.now();
+      let info = await this.status();
+      while (!info.done) {
+        if (opts.onPoll) {
+          try {
+            opts.onPoll(info);
+          } catch (e) {
+            logger_default.warn(`onPoll callback error: ${e.message}`);
+          }
+        }
+        if (opts.timeoutMs && Date.now() - started + pollInterval > opts.timeoutMs) {
+          throw new TimeoutError(`Batch job ${info.name} is still ${info.state} after ${opts.timeoutMs}ms. Call wait() again later (the job keeps running).`, { timeoutMs: opts.timeoutMs });
+        }
+        await this._sleep(pollInterval);
+        info = await this.status();
+      }
+      logger_default.debug(`BatchJob: ${info.name} finished in ${info.state}.`);
+      return this.results();
+    });
+  }
+  /**
+   * submit() then wait().
+   * @param {Array<Object|string>} payloads
+   * @param {BatchJobWaitOptions} [opts={}]
+   * @returns {Promise<BatchJobResult>}
+   */
+  async run(payloads, opts = {}) {
+    await this.submit(payloads);
+    return this.wait(opts);
+  }
+  /**
+   * Responses of a finished job, in input order. A request the API couldn't
+   * answer is `{ ok: false, error }`; it never rejects the whole result.
+   * @returns {Promise<BatchJobResult>}
+   */
+  async results() {
+    const name = this._requireJobName();
+    const job = await this._withRetry(() => this._batches().get({ name }));
+    this._updateInfo(job);
+    const info = (
+      /** @type {BatchJobInfo} */
+      this.info
+    );
+    if (!info.done) {
+      throw new Error(`Batch job ${info.name} is still ${info.state}. Use wait() to poll until it finishes.`);
+    }
+    if (!RESULT_STATES.has(info.state)) {
+      throw new Error(`Batch job ${info.name} ended in ${info.state}${job.error?.message ? `: ${job.error.message}` : ""}.`);
+    }
+    const inlined = job.dest?.inlinedResponses;
+    if (!inlined) {
+      throw new Error(`Batch job ${info.name} wrote its results to ${job.dest?.fileName || "a file"} instead of returning them inline; download that file to read them.`);
+    }
+    const results = inlined.map((entry, index) => this._toItemResult(entry, index));
+    const used = results.map((r) => r.usage).filter(Boolean);
+    const promptTokens = used.reduce((n, u) => n + u.promptTokens, 0);
+    const responseTokens = used.reduce((n, u) => n + u.responseTokens, 0);
+    const thoughtsTokens = used.reduce((n, u) => n + (u.thoughtsTokens || 0), 0);
+    const costs = used.map((u) => u.estimatedCost).filter((c) => c != null);
+    const succeeded = results.filter((r) => r.ok).length;
+    return {
+      name: info.name,
+      state: info.state,
+      results,
+      summary: {
+        total: results.length,
+        succeeded,
+        failed: results.length - succeeded,
+        promptTokens,
+        responseTokens,
+        thoughtsTokens,
+        totalTokens: used.reduce((n, u) => n + u.totalTokens, 0),
+        estimatedCost: costs.length > 0 ? costs.reduce((n, c) => n + c, 0) : null,
+        costBreakdown: sumCostBreakdowns(used.map((u) => u.costBreakdown))
+      }
+    };
+  }
+  /**
+   * Asks the API to cancel the job. Requests already answered are still billed.
+   * @returns {Promise<BatchJobInfo>}
+   */
+  async cancel() {
+    const name = this._requireJobName();
+    await this._withRetry(() => this._batches().cancel({ name }));
+    return this.status();
+  }
+  // ── Private Helpers ──────────────────────────────────────────────────────
+  /**
+   * @param {any} entry - InlinedResponse (`{ response }` or `{ error }`)
+   * @param {number} index
+   * @returns {BatchJobItemResult}
+   * @private
+   */
+  _toItemResult(entry, index) {
+    if (!entry?.response) {
+      return { index, ok: false, text: null, error: entry?.error?.message || "No response returned for this request.", usage: null };
+    }
+    const response = entry.response instanceof import_genai4.GenerateContentResponse ? entry.response : Object.assign(new import_genai4.GenerateContentResponse(), entry.response);
+    const usage = this._usageFromResponse(response);
+    usage.costBreakdown = this._costBreakdown(response, { batch: true });
+    usage.estimatedCost = usage.costBreakdown?.total ?? null;
+    const result = { index, ok: true, text: this._rehydrate(response.text || ""), error: null, usage };
+    if (this._isStructured) {
+      try {
+        result.data = extractJSON(result.text);
+      } catch (e) {
+        logger_default.warn(`Could not parse structured response for batch item ${index}: ${e.message}`);
+        result.data = null;
+      }
+    }
+    return result;
+  }
+  /**
+   * @param {any} job - SDK BatchJob resource
+   * @private
+   */
+  _updateInfo(job) {
+    this.info = {
+      name: job.name,
+      state: job.state || "JOB_STATE_UNSPECIFIED",
+      done: TERMINAL_STATES.has(job.state),
+      createTime: job.createTime || null,
+      updateTime: job.updateTime || null,
+      endTime: job.endTime || null,
+      error: job.error?.message || null
+    };
+  }
+  /**
+   * @returns {any} The client's batches module
+   * @private
+   */
+  _batches() {
+    const batches = (
+      /** @type {any} */
+      this.genAIClient.batches
+    );
+    if (!batches) throw new Error("This client has no batches module; BatchJob needs one (GoogleGenAI and MockGeminiClient both provide it).");
+    return batches;
+  }
+  /**
+   * @returns {string}
+   * @private
+   */
+  _requireJobName() {
+    if (!this.jobName) throw new Error("No batch job yet. Call submit() first, or pass jobName to reattach to an existing job.");
+    return this.jobName;
+  }
+};
+var batch_job_default = BatchJob;
+
+// tool-agent.js
 var ToolAgent = class extends base_default {
   /**
    * @param {ToolAgentOptions} [options={}]
@@ -1602,6 +5009,9 @@ var ToolAgent = class extends base_default {
     if (options.systemPrompt === void 0) {
       options = { ...options, systemPrompt: "You are a helpful AI assistant." };
     }
+    if (options.rateLimitPriority === void 0) {
+      options = { ...options, rateLimitPriority: "interactive" };
+    }
     super(options);
     this.tools = options.tools || [];
     this.toolExecutor = options.toolExecutor || null;
@@ -1632,69 +5042,76 @@ var ToolAgent = class extends base_default {
    * @param {string} message - The user's message
    * @param {Object} [opts={}] - Per-message options
    * @param {Record<string, string>} [opts.labels] - Per-message billing labels
+   * @param {AbortSignal} [opts.signal] - Cancels the call (throws AbortError)
+   * @param {number} [opts.timeoutMs] - Time limit for the whole call, retries included (throws TimeoutError)
    * @returns {Promise<AgentResponse>} Response with text, toolCalls, and usage
    */
   async chat(message, opts = {}) {
-    if (!this.chatSession) await this.init();
-    this._stopped = false;
-    const allToolCalls = [];
-    let response = await this._withRetry(() => this.chatSession.sendMessage({ message }));
-    for (let round = 0; round < this.maxToolRounds; round++) {
-      if (this._stopped) break;
-      const functionCalls = response.functionCalls;
-      if (!functionCalls || functionCalls.length === 0) break;
-      const tasks = functionCalls.map((call) => async () => {
-        if (this.onToolCall) {
-          try {
-            this.onToolCall(call.name, call.args);
-          } catch (e) {
-            logger_default.warn(`onToolCall callback error: ${e.message}`);
+    return this._withCallOptions(opts, async () => {
+      if (!this.chatSession) await this.init();
+      await this._manageContext(message);
+      this._stopped = false;
+      const allToolCalls = [];
+      let response = await this._withRetry(() => this.chatSession.sendMessage({ message }));
+      for (let round = 0; round < this.maxToolRounds; round++) {
+        if (this._stopped) break;
+        const functionCalls = response.functionCalls;
+        if (!functionCalls || functionCalls.length === 0) break;
+        const tasks = functionCalls.map((call) => async () => {
+          if (this.onToolCall) {
+            try {
+              this.onToolCall(call.name, call.args);
+            } catch (e) {
+              logger_default.warn(`onToolCall callback error: ${e.message}`);
+            }
           }
-        }
-        if (this.onBeforeExecution) {
-          try {
-            const allowed = await this.onBeforeExecution(call.name, call.args);
-            if (allowed === false) {
-              const result2 = { error: "Execution denied by onBeforeExecution callback" };
-              return { id: call.id, name: call.name, args: call.args, result: result2 };
+          if (this.onBeforeExecution) {
+            try {
+              const allowed = await this.onBeforeExecution(call.name, call.args);
+              if (allowed === false) {
+                const result2 = { error: "Execution denied by onBeforeExecution callback" };
+                return { id: call.id, name: call.name, args: call.args, result: result2 };
+              }
+            } catch (e) {
+              logger_default.warn(`onBeforeExecution callback error: ${e.message}`);
             }
-          } catch (e) {
-            logger_default.warn(`onBeforeExecution callback error: ${e.message}`);
           }
-        }
-        let result;
-        try {
-          result = await this.toolExecutor(call.name, call.args);
-        } catch (err) {
-          logger_default.warn(`Tool ${call.name} failed: ${err.message}`);
-          result = { error: err.message };
-        }
-        return { id: call.id, name: call.name, args: call.args, result };
-      });
-      const toolResults = await runWithConcurrency(tasks, this._concurrency);
-      for (const r of toolResults) allToolCalls.push({ name: r.name, args: r.args, result: r.result });
-      response = await this._withRetry(() => this.chatSession.sendMessage({
-        message: toolResults.map((r) => ({
-          functionResponse: {
-            id: r.id,
-            name: r.name,
-            response: { output: r.result }
+          let result;
+          try {
+            result = await this._runTool(call.name, call.args, (signal) => this.toolExecutor(call.name, call.args, { signal }));
+          } catch (err) {
+            if (!(err instanceof ToolExecutionError)) throw err;
+            logger_default.warn(`Tool ${call.name} failed: ${err.message}`);
+            result = { error: err.message };
           }
-        }))
-      }));
-    }
-    this._captureMetadata(response);
-    this._cumulativeUsage = {
-      promptTokens: this.lastResponseMetadata.promptTokens,
-      responseTokens: this.lastResponseMetadata.responseTokens,
-      totalTokens: this.lastResponseMetadata.totalTokens,
-      attempts: 1
-    };
-    return {
-      text: response.text || "",
-      toolCalls: allToolCalls,
-      usage: this.getLastUsage()
-    };
+          return { id: call.id, name: call.name, args: call.args, result };
+        });
+        const toolResults = await runWithConcurrency(tasks, this._concurrency);
+        for (const r of toolResults) allToolCalls.push({ name: r.name, args: r.args, result: r.result });
+        response = await this._withRetry(() => this.chatSession.sendMessage({
+          message: toolResults.map((r) => ({
+            functionResponse: {
+              id: r.id,
+              name: r.name,
+              response: { output: r.result }
+            }
+          }))
+        }));
+      }
+      this._captureMetadata(response);
+      this._cumulativeUsage = {
+        promptTokens: this.lastResponseMetadata.promptTokens,
+        responseTokens: this.lastResponseMetadata.responseTokens,
+        totalTokens: this.lastResponseMetadata.totalTokens,
+        attempts: 1
+      };
+      await this._saveSession();
+      return {
+        text: response.text || "",
+        toolCalls: allToolCalls,
+        usage: this.getLastUsage()
+      };
+    });
   }
   // ── Streaming ────────────────────────────────────────────────────────────
   /**
@@ -1709,10 +5126,23 @@ var ToolAgent = class extends base_default {
    *
    * @param {string} message - The user's message
    * @param {Object} [opts={}] - Per-message options
+   * @param {AbortSignal} [opts.signal] - Cancels the call (throws AbortError)
+   * @param {number} [opts.timeoutMs] - Time limit for the whole call, retries included (throws TimeoutError)
    * @yields {AgentStreamEvent}
    */
   async *stream(message, opts = {}) {
+    yield* this._streamWithCallOptions(opts, () => this._stream(message, opts));
+  }
+  /**
+   * stream(), run in the call's scope (see _streamWithCallOptions()).
+   * @param {string} message
+   * @param {Object} opts
+   * @yields {AgentStreamEvent}
+   * @private
+   */
+  async *_stream(message, opts) {
     if (!this.chatSession) await this.init();
+    await this._manageContext(message);
     this._stopped = false;
     const allToolCalls = [];
     let fullText = "";
@@ -1732,6 +5162,7 @@ var ToolAgent = class extends base_default {
         }
       }
       if (functionCalls.length === 0) {
+        await this._saveSession();
         yield {
           type: "done",
           fullText,
@@ -1765,8 +5196,9 @@ var ToolAgent = class extends base_default {
             result = { error: "Execution denied by onBeforeExecution callback" };
           } else {
             try {
-              result = await this.toolExecutor(call.name, call.args);
+              result = await this._runTool(call.name, call.args, (signal) => this.toolExecutor(call.name, call.args, { signal }));
             } catch (err) {
+              if (!(err instanceof ToolExecutionError)) throw err;
               logger_default.warn(`Tool ${call.name} failed: ${err.message}`);
               result = { error: err.message };
             }
@@ -1801,8 +5233,9 @@ var ToolAgent = class extends base_default {
             result = { error: "Execution denied by onBeforeExecution callback" };
           } else {
             try {
-              result = await this.toolExecutor(call.name, call.args);
+              result = await this._runTool(call.name, call.args, (signal) => this.toolExecutor(call.name, call.args, { signal }));
             } catch (err) {
+              if (!(err instanceof ToolExecutionError)) throw err;
               logger_default.warn(`Tool ${call.name} failed: ${err.message}`);
               result = { error: err.message };
             }
@@ -1826,6 +5259,7 @@ var ToolAgent = class extends base_default {
         }))
       }));
     }
+    await this._saveSession();
     yield {
       type: "done",
       fullText,
@@ -1848,9 +5282,9 @@ var tool_agent_default = ToolAgent;
 
 // code-agent.js
 var import_node_child_process = require("node:child_process");
-var import_promises2 = require("node:fs/promises");
-var import_node_path = require("node:path");
-var import_node_crypto = require("node:crypto");
+var import_promises5 = require("node:fs/promises");
+var import_node_path4 = require("node:path");
+var import_node_crypto5 = require("node:crypto");
 var MAX_OUTPUT_CHARS = 5e4;
 var MAX_FILE_TREE_LINES = 500;
 var IGNORE_DIRS = /* @__PURE__ */ new Set(["node_modules", ".git", "dist", "coverage", ".next", "build", "__pycache__", ".venv"]);
@@ -1911,6 +5345,9 @@ var CodeAgent = class extends base_default {
     if (options.systemPrompt === void 0) {
       options = { ...options, systemPrompt: "" };
     }
+    if (options.rateLimitPriority === void 0) {
+      options = { ...options, rateLimitPriority: "interactive" };
+    }
     super(options);
     this.workingDirectory = options.workingDirectory || process.cwd();
     this.language = options.language || "javascript";
@@ -1920,7 +5357,7 @@ var CodeAgent = class extends base_default {
     this.onBeforeExecution = options.onBeforeExecution || null;
     this.onCodeExecution = options.onCodeExecution || null;
     this.importantFiles = options.importantFiles || [];
-    this.writeDir = options.writeDir || (0, import_node_path.join)(this.workingDirectory, "tmp");
+    this.writeDir = options.writeDir || (0, import_node_path4.join)(this.workingDirectory, "tmp");
     this.keepArtifacts = options.keepArtifacts ?? false;
     this.comments = options.comments ?? false;
     this.maxRetries = options.maxRetries ?? 3;
@@ -2071,8 +5508,8 @@ var CodeAgent = class extends base_default {
     this._skillRegistry.clear();
     for (const filePath of this.skills) {
       try {
-        const content = await (0, import_promises2.readFile)(filePath, "utf-8");
-        let name = (0, import_node_path.basename)(filePath).replace(/\.md$/i, "");
+        const content = await (0, import_promises5.readFile)(filePath, "utf-8");
+        let name = (0, import_node_path4.basename)(filePath).replace(/\.md$/i, "");
         const fmMatch = content.match(/^---\s*\n[\s\S]*?^name:\s*(.+)$/m);
         if (fmMatch) name = fmMatch[1].trim();
         this._skillRegistry.set(name, { name, content, path: filePath });
@@ -2121,13 +5558,13 @@ var CodeAgent = class extends base_default {
    * @private
    */
   async _setupVenv() {
-    await (0, import_promises2.mkdir)(this.writeDir, { recursive: true });
-    this._venvPath = (0, import_node_path.join)(this.writeDir, ".venv");
+    await (0, import_promises5.mkdir)(this.writeDir, { recursive: true });
+    this._venvPath = (0, import_node_path4.join)(this.writeDir, ".venv");
     const isWin = process.platform === "win32";
-    const venvBin = isWin ? (0, import_node_path.join)(this._venvPath, "Scripts") : (0, import_node_path.join)(this._venvPath, "bin");
-    const venvPython = (0, import_node_path.join)(venvBin, isWin ? "python.exe" : "python");
+    const venvBin = isWin ? (0, import_node_path4.join)(this._venvPath, "Scripts") : (0, import_node_path4.join)(this._venvPath, "bin");
+    const venvPython = (0, import_node_path4.join)(venvBin, isWin ? "python.exe" : "python");
     try {
-      await (0, import_promises2.readFile)(venvPython);
+      await (0, import_promises5.readFile)(venvPython);
     } catch {
       logger_default.debug(`Creating Python venv at ${this._venvPath}`);
       await new Promise((resolve2, reject) => {
@@ -2167,15 +5604,15 @@ var CodeAgent = class extends base_default {
     let packages = [];
     if (this.language === "python") {
       try {
-        const reqPath = (0, import_node_path.join)(this.workingDirectory, "requirements.txt");
-        const content = await (0, import_promises2.readFile)(reqPath, "utf-8");
+        const reqPath = (0, import_node_path4.join)(this.workingDirectory, "requirements.txt");
+        const content = await (0, import_promises5.readFile)(reqPath, "utf-8");
         packages = content.split("\n").map((l) => l.trim()).filter((l) => l && !l.startsWith("#") && !l.startsWith("-")).map((l) => l.split(/[>=<!\[;\s]/)[0]);
       } catch {
       }
       if (packages.length === 0) {
         try {
-          const ppPath = (0, import_node_path.join)(this.workingDirectory, "pyproject.toml");
-          const content = await (0, import_promises2.readFile)(ppPath, "utf-8");
+          const ppPath = (0, import_node_path4.join)(this.workingDirectory, "pyproject.toml");
+          const content = await (0, import_promises5.readFile)(ppPath, "utf-8");
           const depMatch = content.match(/dependencies\s*=\s*\[([\s\S]*?)\]/);
           if (depMatch) {
             packages = (depMatch[1].match(/"([^"]+)"/g) || []).map((s) => s.replace(/"/g, "").split(/[>=<!\[;\s]/)[0]);
@@ -2185,8 +5622,8 @@ var CodeAgent = class extends base_default {
       }
     } else {
       try {
-        const pkgPath = (0, import_node_path.join)(this.workingDirectory, "package.json");
-        const pkg = JSON.parse(await (0, import_promises2.readFile)(pkgPath, "utf-8"));
+        const pkgPath = (0, import_node_path4.join)(this.workingDirectory, "package.json");
+        const pkg = JSON.parse(await (0, import_promises5.readFile)(pkgPath, "utf-8"));
         packages = [
           ...Object.keys(pkg.dependencies || {}),
           ...Object.keys(pkg.devDependencies || {})
@@ -2204,8 +5641,8 @@ var CodeAgent = class extends base_default {
           continue;
         }
         try {
-          const fullPath = (0, import_node_path.isAbsolute)(resolved) ? resolved : (0, import_node_path.join)(this.workingDirectory, resolved);
-          const content = await (0, import_promises2.readFile)(fullPath, "utf-8");
+          const fullPath = (0, import_node_path4.isAbsolute)(resolved) ? resolved : (0, import_node_path4.join)(this.workingDirectory, resolved);
+          const content = await (0, import_promises5.readFile)(fullPath, "utf-8");
           importantFileContents.push({ path: resolved, content });
         } catch (e) {
           logger_default.warn(`importantFiles: could not read "${resolved}": ${e.message}`);
@@ -2219,11 +5656,11 @@ var CodeAgent = class extends base_default {
    * @private
    */
   _resolveImportantFile(filename, fileTreeLines) {
-    if ((0, import_node_path.isAbsolute)(filename)) return filename;
+    if ((0, import_node_path4.isAbsolute)(filename)) return filename;
     const exact = fileTreeLines.find((line) => line === filename);
     if (exact) return exact;
     const partial = fileTreeLines.find(
-      (line) => line.endsWith("/" + filename) || line.endsWith(import_node_path.sep + filename)
+      (line) => line.endsWith("/" + filename) || line.endsWith(import_node_path4.sep + filename)
     );
     return partial || null;
   }
@@ -2249,16 +5686,16 @@ var CodeAgent = class extends base_default {
     if (depth >= maxDepth) return "";
     const entries = [];
     try {
-      const items = await (0, import_promises2.readdir)(dir, { withFileTypes: true });
+      const items = await (0, import_promises5.readdir)(dir, { withFileTypes: true });
       for (const item of items) {
         if (IGNORE_DIRS.has(item.name)) continue;
         if (item.name.startsWith(".") && depth === 0 && item.isDirectory()) continue;
-        const relativePath = (0, import_node_path.join)(dir, item.name).replace(this.workingDirectory + "/", "");
+        const relativePath = (0, import_node_path4.join)(dir, item.name).replace(this.workingDirectory + "/", "");
         if (item.isFile()) {
           entries.push(relativePath);
         } else if (item.isDirectory()) {
           entries.push(relativePath + "/");
-          const subEntries = await this._getFileTreeReaddir((0, import_node_path.join)(dir, item.name), depth + 1, maxDepth);
+          const subEntries = await this._getFileTreeReaddir((0, import_node_path4.join)(dir, item.name), depth + 1, maxDepth);
           if (subEntries) entries.push(subEntries);
         }
       }
@@ -2356,7 +5793,7 @@ ${this.envOverview}`;
    * @private
    */
   _slugify(purpose) {
-    if (!purpose) return (0, import_node_crypto.randomUUID)().slice(0, 8);
+    if (!purpose) return (0, import_node_crypto5.randomUUID)().slice(0, 8);
     return purpose.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "").slice(0, 40);
   }
   /**
@@ -2376,18 +5813,19 @@ ${this.envOverview}`;
         logger_default.warn(`onBeforeExecution callback error: ${e.message}`);
       }
     }
-    await (0, import_promises2.mkdir)(this.writeDir, { recursive: true });
+    await (0, import_promises5.mkdir)(this.writeDir, { recursive: true });
     const slug = this._slugify(purpose);
     const ext = this.language === "python" ? ".py" : ".mjs";
-    const tempFile = (0, import_node_path.join)(this.writeDir, `agent-${slug}-${Date.now()}${ext}`);
+    const tempFile = (0, import_node_path4.join)(this.writeDir, `agent-${slug}-${Date.now()}${ext}`);
     try {
-      await (0, import_promises2.writeFile)(tempFile, code, "utf-8");
+      await (0, import_promises5.writeFile)(tempFile, code, "utf-8");
       const binary = this.language === "python" ? this._pythonBinary : "node";
       const execEnv = this.language === "python" && this._venvEnv ? this._venvEnv : process.env;
       const result = await new Promise((resolve2) => {
         const child = (0, import_node_child_process.execFile)(binary, [tempFile], {
           cwd: this.workingDirectory,
           timeout: this.timeout,
+          signal: this._abortSignal() ?? void 0,
           env: execEnv,
           maxBuffer: 10 * 1024 * 1024
         }, (err, stdout, stderr) => {
@@ -2434,7 +5872,7 @@ ${this.envOverview}`;
     } finally {
       if (!this.keepArtifacts) {
         try {
-          await (0, import_promises2.unlink)(tempFile);
+          await (0, import_promises5.unlink)(tempFile);
         } catch {
         }
       }
@@ -2464,6 +5902,7 @@ ${this.envOverview}`;
       const child = (0, import_node_child_process.execFile)("bash", ["-c", command], {
         cwd: this.workingDirectory,
         timeout: this.timeout,
+        signal: this._abortSignal() ?? void 0,
         env: execEnv,
         maxBuffer: 10 * 1024 * 1024
       }, (err, stdout, stderr) => {
@@ -2614,7 +6053,7 @@ ${this.envOverview}`;
       default: {
         if (this.toolExecutor) {
           try {
-            const result = await this.toolExecutor(name, input);
+            const result = await this.toolExecutor(name, input, { signal: this._abortSignal() ?? void 0 });
             const resultStr = typeof result === "string" ? result : JSON.stringify(result);
             return {
               output: resultStr,
@@ -2643,26 +6082,179 @@ ${this.envOverview}`;
    * Automatically handles the multi-tool execution loop.
    *
    * @param {string} message - The user's message
-   * @param {Object} [opts={}] - Per-message options
-   * @param {Record<string, string>} [opts.labels] - Per-message billing labels
-   * @returns {Promise<CodeAgentResponse>}
+   * @param {Object} [opts={}] - Per-message options
+   * @param {Record<string, string>} [opts.labels] - Per-message billing labels
+   * @param {AbortSignal} [opts.signal] - Cancels the call (throws AbortError)
+   * @param {number} [opts.timeoutMs] - Time limit for the whole call, retries included (throws TimeoutError)
+   * @returns {Promise<CodeAgentResponse>}
+   */
+  async chat(message, opts = {}) {
+    return this._withCallOptions(opts, async () => {
+      if (!this.chatSession) await this.init();
+      await this._manageContext(message);
+      this._stopped = false;
+      const toolCalls = [];
+      let consecutiveFailures = 0;
+      let response = await this._withRetry(() => this.chatSession.sendMessage({ message }));
+      for (let round = 0; round < this.maxRounds; round++) {
+        if (this._stopped) break;
+        const functionCalls = response.functionCalls;
+        if (!functionCalls || functionCalls.length === 0) break;
+        const results = [];
+        for (const call of functionCalls) {
+          if (this._stopped) break;
+          const args = call.args || {};
+          const { output, type, data } = await this._runTool(call.name, args, () => this._handleToolCall(call.name, args));
+          toolCalls.push(data);
+          const isExecutingTool = EXECUTING_TOOLS.has(call.name) || call.name === "fix_code" && call.args?.execute;
+          if (isExecutingTool) {
+            if (data.exitCode !== 0 && !data.denied) {
+              consecutiveFailures++;
+            } else {
+              consecutiveFailures = 0;
+            }
+          }
+          let toolOutput = output;
+          if (consecutiveFailures >= this.maxRetries) {
+            toolOutput += `
+
+[RETRY LIMIT REACHED] You have failed ${this.maxRetries} consecutive attempts. STOP trying to execute code. Instead, respond with: 1) What you were trying to do, 2) The errors you encountered, 3) Questions for the user about how to resolve it.`;
+          }
+          results.push({
+            id: call.id,
+            name: call.name,
+            result: toolOutput
+          });
+        }
+        if (this._stopped) break;
+        response = await this._withRetry(() => this.chatSession.sendMessage({
+          message: results.map((r) => ({
+            functionResponse: {
+              id: r.id,
+              name: r.name,
+              response: { output: r.result }
+            }
+          }))
+        }));
+        if (consecutiveFailures >= this.maxRetries) break;
+      }
+      this._captureMetadata(response);
+      this._cumulativeUsage = {
+        promptTokens: this.lastResponseMetadata.promptTokens,
+        responseTokens: this.lastResponseMetadata.responseTokens,
+        totalTokens: this.lastResponseMetadata.totalTokens,
+        attempts: 1
+      };
+      await this._saveSession();
+      const codeExecutions = toolCalls.filter((tc) => tc.tool === "execute_code" || tc.tool === "write_and_run_code" || tc.tool === "fix_code" && tc.executed).map((tc) => ({
+        code: tc.code || tc.fixedCode,
+        purpose: this._slugify(tc.purpose),
+        output: tc.stdout || "",
+        stderr: tc.stderr || "",
+        exitCode: tc.exitCode ?? 0
+      }));
+      return {
+        text: response.text || "",
+        codeExecutions,
+        toolCalls,
+        usage: this.getLastUsage()
+      };
+    });
+  }
+  // ── Streaming ────────────────────────────────────────────────────────────
+  /**
+   * Send a message and stream the response as events.
+   *
+   * Event types:
+   * - `text` — A chunk of the agent's text response
+   * - `code` — The agent is about to execute code (execute_code or write_and_run_code)
+   * - `output` — Code/bash finished executing
+   * - `write` — The agent wrote code without executing (write_code)
+   * - `fix` — The agent fixed code (fix_code)
+   * - `bash` — The agent is about to run a bash command
+   * - `skill` — The agent loaded a skill
+   * - `done` — The agent finished
+   *
+   * @param {string} message - The user's message
+   * @param {Object} [opts={}]
+   * @param {AbortSignal} [opts.signal] - Cancels the call (throws AbortError)
+   * @param {number} [opts.timeoutMs] - Time limit for the whole call, retries included (throws TimeoutError)
+   * @yields {CodeAgentStreamEvent}
    */
-  async chat(message, opts = {}) {
+  async *stream(message, opts = {}) {
+    yield* this._streamWithCallOptions(opts, () => this._stream(message, opts));
+  }
+  /**
+   * stream(), run in the call's scope (see _streamWithCallOptions()).
+   * @param {string} message
+   * @param {Object} opts
+   * @yields {CodeAgentStreamEvent}
+   * @private
+   */
+  async *_stream(message, opts) {
     if (!this.chatSession) await this.init();
+    await this._manageContext(message);
     this._stopped = false;
     const toolCalls = [];
+    let fullText = "";
     let consecutiveFailures = 0;
-    let response = await this._withRetry(() => this.chatSession.sendMessage({ message }));
+    let streamResponse = await this._withRetry(() => this.chatSession.sendMessageStream({ message }));
     for (let round = 0; round < this.maxRounds; round++) {
       if (this._stopped) break;
-      const functionCalls = response.functionCalls;
-      if (!functionCalls || functionCalls.length === 0) break;
+      const functionCalls = [];
+      for await (const chunk of streamResponse) {
+        if (chunk.functionCalls) {
+          functionCalls.push(...chunk.functionCalls);
+        } else if (chunk.candidates?.[0]?.content?.parts?.[0]?.text) {
+          const text = chunk.candidates[0].content.parts[0].text;
+          fullText += text;
+          yield { type: "text", text };
+        }
+      }
+      if (functionCalls.length === 0) {
+        const codeExecutions2 = toolCalls.filter((tc) => tc.tool === "execute_code" || tc.tool === "write_and_run_code" || tc.tool === "fix_code" && tc.executed).map((tc) => ({
+          code: tc.code || tc.fixedCode,
+          purpose: this._slugify(tc.purpose),
+          output: tc.stdout || "",
+          stderr: tc.stderr || "",
+          exitCode: tc.exitCode ?? 0
+        }));
+        await this._saveSession();
+        yield { type: "done", fullText, codeExecutions: codeExecutions2, toolCalls, usage: this.getLastUsage() };
+        return;
+      }
       const results = [];
       for (const call of functionCalls) {
         if (this._stopped) break;
-        const { output, type, data } = await this._handleToolCall(call.name, call.args || {});
+        const toolName = call.name;
+        const toolInput = call.args || {};
+        if (toolName === "write_code") {
+          yield { type: "write", code: toolInput.code, purpose: toolInput.purpose, language: toolInput.language || "javascript" };
+        } else if (toolName === "fix_code") {
+          yield { type: "fix", originalCode: toolInput.original_code, fixedCode: toolInput.fixed_code, explanation: toolInput.explanation };
+        } else if (toolName === "run_bash") {
+          yield { type: "bash", command: toolInput.command };
+        } else if (toolName === "execute_code" || toolName === "write_and_run_code") {
+          yield { type: "code", code: toolInput.code };
+        }
+        const { output, type, data } = await this._runTool(toolName, toolInput, () => this._handleToolCall(toolName, toolInput));
         toolCalls.push(data);
-        const isExecutingTool = EXECUTING_TOOLS.has(call.name) || call.name === "fix_code" && call.args?.execute;
+        if (data.stdout !== void 0 || data.stderr !== void 0) {
+          yield {
+            type: "output",
+            code: data.code || data.command || data.fixedCode,
+            stdout: data.stdout || "",
+            stderr: data.stderr || "",
+            exitCode: data.exitCode ?? 0
+          };
+        }
+        if (toolName === "use_skill") {
+          yield { type: "skill", skillName: data.skillName, content: data.content, found: data.found };
+        }
+        if (type === "tool") {
+          yield { type: "tool", toolName, args: data.args, result: data.result, error: data.error };
+        }
+        const isExecutingTool = EXECUTING_TOOLS.has(toolName) || toolName === "fix_code" && toolInput.execute;
         if (isExecutingTool) {
           if (data.exitCode !== 0 && !data.denied) {
             consecutiveFailures++;
@@ -2683,7 +6275,7 @@ ${this.envOverview}`;
         });
       }
       if (this._stopped) break;
-      response = await this._withRetry(() => this.chatSession.sendMessage({
+      streamResponse = await this._withRetry(() => this.chatSession.sendMessageStream({
         message: results.map((r) => ({
           functionResponse: {
             id: r.id,
@@ -2694,13 +6286,9 @@ ${this.envOverview}`;
       }));
       if (consecutiveFailures >= this.maxRetries) break;
     }
-    this._captureMetadata(response);
-    this._cumulativeUsage = {
-      promptTokens: this.lastResponseMetadata.promptTokens,
-      responseTokens: this.lastResponseMetadata.responseTokens,
-      totalTokens: this.lastResponseMetadata.totalTokens,
-      attempts: 1
-    };
+    let warning = "Max tool rounds reached";
+    if (this._stopped) warning = "Agent was stopped";
+    else if (consecutiveFailures >= this.maxRetries) warning = "Retry limit reached";
     const codeExecutions = toolCalls.filter((tc) => tc.tool === "execute_code" || tc.tool === "write_and_run_code" || tc.tool === "fix_code" && tc.executed).map((tc) => ({
       code: tc.code || tc.fixedCode,
       purpose: this._slugify(tc.purpose),
@@ -2708,171 +6296,429 @@ ${this.envOverview}`;
       stderr: tc.stderr || "",
       exitCode: tc.exitCode ?? 0
     }));
-    return {
-      text: response.text || "",
-      codeExecutions,
-      toolCalls,
-      usage: this.getLastUsage()
-    };
+    await this._saveSession();
+    yield { type: "done", fullText, codeExecutions, toolCalls, usage: this.getLastUsage(), warning };
   }
-  // ── Streaming ────────────────────────────────────────────────────────────
+  // ── Dump ─────────────────────────────────────────────────────────────────
   /**
-   * Send a message and stream the response as events.
-   *
-   * Event types:
-   * - `text` — A chunk of the agent's text response
-   * - `code` — The agent is about to execute code (execute_code or write_and_run_code)
-   * - `output` — Code/bash finished executing
-   * - `write` — The agent wrote code without executing (write_code)
-   * - `fix` — The agent fixed code (fix_code)
-   * - `bash` — The agent is about to run a bash command
-   * - `skill` — The agent loaded a skill
-   * - `done` — The agent finished
-   *
-   * @param {string} message - The user's message
-   * @param {Object} [opts={}]
-   * @yields {CodeAgentStreamEvent}
+   * Returns all code scripts and bash commands the agent has executed.
+   * @returns {Array<{fileName: string, purpose: string|null, script: string, filePath: string|null, tool: string}>}
+   */
+  dump() {
+    const ext = this.language === "python" ? ".py" : ".mjs";
+    return this._allExecutions.map((exec, i) => ({
+      fileName: exec.purpose ? `agent-${exec.purpose}${ext}` : `script-${i + 1}${ext}`,
+      purpose: exec.purpose || null,
+      script: exec.code,
+      filePath: exec.filePath || null,
+      tool: exec.tool || "execute_code"
+    }));
+  }
+  // ── Stop ─────────────────────────────────────────────────────────────────
+  /**
+   * Stop the agent. Kills any running child process.
+   */
+  stop() {
+    this._stopped = true;
+    if (this._activeProcess) {
+      try {
+        this._activeProcess.kill("SIGTERM");
+      } catch {
+      }
+    }
+    logger_default.info("CodeAgent stopped");
+  }
+};
+var code_agent_default = CodeAgent;
+
+// rag-agent.js
+var import_node_path6 = require("node:path");
+var import_promises7 = require("node:fs/promises");
+
+// embedding.js
+function cosineSimilarity(a, b) {
+  let dot = 0, magA = 0, magB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    magA += a[i] * a[i];
+    magB += b[i] * b[i];
+  }
+  const magnitude = Math.sqrt(magA) * Math.sqrt(magB);
+  return magnitude === 0 ? 0 : dot / magnitude;
+}
+var Embedding = class extends base_default {
+  /**
+   * @param {import('./types.d.ts').EmbeddingOptions} [options={}]
+   */
+  constructor(options = {}) {
+    if (options.modelName === void 0) {
+      options = { ...options, modelName: "gemini-embedding-001" };
+    }
+    if (options.systemPrompt === void 0) {
+      options = { ...options, systemPrompt: null };
+    }
+    super(options);
+    this.taskType = options.taskType || null;
+    this.title = options.title || null;
+    this.outputDimensionality = options.outputDimensionality || null;
+    this.autoTruncate = options.autoTruncate ?? true;
+    logger_default.debug(`Embedding created with model: ${this.modelName}`);
+  }
+  /**
+   * Initialize the Embedding client.
+   * Override: validates API connection only, NO chat session (stateless).
+   * @param {boolean} [force=false]
+   * @returns {Promise<void>}
+   */
+  async init(force = false) {
+    if (this._initialized && !force) return;
+    logger_default.debug(`Initializing ${this.constructor.name} with model: ${this.modelName}...`);
+    await this._healthCheckPing();
+    this._initialized = true;
+    logger_default.debug(`${this.constructor.name}: Initialized (stateless mode).`);
+  }
+  /**
+   * Builds the config object for embedContent calls.
+   * @param {Object} [overrides={}] - Per-call config overrides
+   * @returns {Object} The config object
+   * @private
+   */
+  _buildConfig(overrides = {}) {
+    const config = {};
+    const taskType = overrides.taskType || this.taskType;
+    const title = overrides.title || this.title;
+    const dims = overrides.outputDimensionality || this.outputDimensionality;
+    if (taskType) config.taskType = taskType;
+    if (title) config.title = title;
+    if (dims) config.outputDimensionality = dims;
+    return config;
+  }
+  /**
+  	 * Embed a single text string.
+  	 * @param {string} text - The text to embed
+  	 * @param {Object} [config={}] - Per-call config overrides
+  	 * @param {string} [config.taskType] - Override task type
+  	 * @param {string} [config.title] - Override title
+  	 * @param {number} [config.outputDimensionality] - Override dimensions
+  	 * @param {AbortSignal} [config.signal] - Cancels the call (throws AbortError)
+  	 * @param {number} [config.timeoutMs] - Time limit for the whole call, retries included (throws TimeoutError)
+  
+  	 * @returns {Promise<import('./types.d.ts').EmbeddingResult>} The embedding result
+  	 */
+  async embed(text, config = {}) {
+    return this._withCallOptions(config, async () => {
+      if (!this._initialized) await this.init();
+      const result = await this._withRetry(() => this._models.embedContent({
+        model: this.modelName,
+        contents: text,
+        config: this._buildConfig(config)
+      }));
+      return result.embeddings[0];
+    });
+  }
+  /**
+  	 * Embed multiple text strings in a single API call.
+  	 * @param {string[]} texts - Array of texts to embed
+  	 * @param {Object} [config={}] - Per-call config overrides
+  	 * @param {string} [config.taskType] - Override task type
+  	 * @param {string} [config.title] - Override title
+  	 * @param {number} [config.outputDimensionality] - Override dimensions
+  	 * @param {AbortSignal} [config.signal] - Cancels the call (throws AbortError)
+  	 * @param {number} [config.timeoutMs] - Time limit for the whole call, retries included (throws TimeoutError)
+  
+  	 * @returns {Promise<import('./types.d.ts').EmbeddingResult[]>} Array of embedding results
+  	 */
+  async embedBatch(texts, config = {}) {
+    return this._withCallOptions(config, async () => {
+      if (!this._initialized) await this.init();
+      const result = await this._withRetry(() => this._models.embedContent({
+        model: this.modelName,
+        contents: texts,
+        config: this._buildConfig(config)
+      }));
+      return result.embeddings;
+    });
+  }
+  /**
+   * Compute cosine similarity between two embedding vectors.
+   * Pure math — no API call.
+   * @param {number[]} a - First embedding vector
+   * @param {number[]} b - Second embedding vector
+   * @returns {number} Cosine similarity between -1 and 1
+   */
+  similarity(a, b) {
+    if (!a || !b || a.length !== b.length) {
+      throw new Error("Vectors must be non-null and have the same length");
+    }
+    return cosineSimilarity(a, b);
+  }
+  // ── No-ops (embeddings don't use chat sessions) ──
+  /** @returns {any[]} Always returns empty array */
+  getHistory() {
+    return [];
+  }
+  /** No-op for Embedding */
+  async clearHistory() {
+  }
+  /** No-op for Embedding */
+  async seed() {
+    logger_default.warn("Embedding.seed() is a no-op \u2014 embeddings do not support few-shot examples.");
+    return [];
+  }
+  /**
+   * @param {any} _nextPayload
+   * @throws {Error} Embedding does not support token estimation
+   * @returns {Promise<{inputTokens: number}>}
+   */
+  async estimate(_nextPayload) {
+    throw new Error("Embedding does not support token estimation. Use embed() directly.");
+  }
+};
+
+// vector-index.js
+var import_promises6 = require("node:fs/promises");
+var import_node_path5 = require("node:path");
+var import_node_crypto6 = require("node:crypto");
+var INDEX_FILE_VERSION = 1;
+var EMBED_BATCH_SIZE = 100;
+var DOCUMENT_TASK_TYPE = "RETRIEVAL_DOCUMENT";
+function toPredicate(filter) {
+  if (!filter) return () => true;
+  if (typeof filter === "function") return (entry) => Boolean(filter(entry.metadata, entry.id));
+  const pairs = Object.entries(filter);
+  return (entry) => pairs.every(([key, value]) => entry.metadata?.[key] === value);
+}
+var VectorIndex = class {
+  /**
+   * @param {Object} [options={}]
+   * @param {import('./embedding.js').default} [options.embedder] - Embeds text documents and queries; not needed when only vectors are added and queried
+   * @param {string} [options.path] - Default file for save() / load()
+   */
+  constructor(options = {}) {
+    this.embedder = options.embedder || null;
+    this.path = options.path || null;
+    this.entries = /* @__PURE__ */ new Map();
+    this.dimensions = null;
+  }
+  /** Number of entries in the index. */
+  get size() {
+    return this.entries.size;
+  }
+  /**
+   * @param {string} id
+   * @returns {boolean}
+   */
+  has(id) {
+    return this.entries.has(id);
+  }
+  /**
+   * @param {string} id
+   * @returns {VectorEntry|null}
+   */
+  get(id) {
+    return this.entries.get(id) || null;
+  }
+  /**
+   * Adds or replaces one document. Text is embedded (RETRIEVAL_DOCUMENT) unless an
+   * entry with the same id and content hash already exists.
+   * @param {string} id
+   * @param {string|number[]} textOrVector
+   * @param {Record<string, any>} [metadata={}]
+   * @returns {Promise<'added'|'updated'|'unchanged'>}
+   */
+  async add(id, textOrVector, metadata = {}) {
+    const doc = Array.isArray(textOrVector) ? { id, vector: textOrVector, metadata } : { id, text: textOrVector, metadata };
+    const stats = await this.addMany([doc]);
+    if (stats.added) return "added";
+    return stats.updated ? "updated" : "unchanged";
+  }
+  /**
+   * Adds or replaces many documents, embedding only new or changed texts
+   * (in batches). Metadata is always refreshed.
+   * @param {VectorDocument[]} docs
+   * @returns {Promise<Omit<VectorSyncStats, 'removed'>>}
    */
-  async *stream(message, opts = {}) {
-    if (!this.chatSession) await this.init();
-    this._stopped = false;
-    const toolCalls = [];
-    let fullText = "";
-    let consecutiveFailures = 0;
-    let streamResponse = await this._withRetry(() => this.chatSession.sendMessageStream({ message }));
-    for (let round = 0; round < this.maxRounds; round++) {
-      if (this._stopped) break;
-      const functionCalls = [];
-      for await (const chunk of streamResponse) {
-        if (chunk.functionCalls) {
-          functionCalls.push(...chunk.functionCalls);
-        } else if (chunk.candidates?.[0]?.content?.parts?.[0]?.text) {
-          const text = chunk.candidates[0].content.parts[0].text;
-          fullText += text;
-          yield { type: "text", text };
-        }
+  async addMany(docs) {
+    const stats = { added: 0, updated: 0, unchanged: 0 };
+    const toEmbed = [];
+    for (const doc of docs) {
+      if (!doc?.id) throw new Error("VectorIndex: every document needs an id.");
+      const existing = this.entries.get(doc.id);
+      if (doc.vector) {
+        this._put(doc, null, doc.vector, existing);
+        stats[existing ? "updated" : "added"]++;
+        continue;
       }
-      if (functionCalls.length === 0) {
-        const codeExecutions2 = toolCalls.filter((tc) => tc.tool === "execute_code" || tc.tool === "write_and_run_code" || tc.tool === "fix_code" && tc.executed).map((tc) => ({
-          code: tc.code || tc.fixedCode,
-          purpose: this._slugify(tc.purpose),
-          output: tc.stdout || "",
-          stderr: tc.stderr || "",
-          exitCode: tc.exitCode ?? 0
-        }));
-        yield { type: "done", fullText, codeExecutions: codeExecutions2, toolCalls, usage: this.getLastUsage() };
-        return;
+      if (typeof doc.text !== "string") {
+        throw new Error(`VectorIndex: document "${doc.id}" needs text or a vector.`);
       }
-      const results = [];
-      for (const call of functionCalls) {
-        if (this._stopped) break;
-        const toolName = call.name;
-        const toolInput = call.args || {};
-        if (toolName === "write_code") {
-          yield { type: "write", code: toolInput.code, purpose: toolInput.purpose, language: toolInput.language || "javascript" };
-        } else if (toolName === "fix_code") {
-          yield { type: "fix", originalCode: toolInput.original_code, fixedCode: toolInput.fixed_code, explanation: toolInput.explanation };
-        } else if (toolName === "run_bash") {
-          yield { type: "bash", command: toolInput.command };
-        } else if (toolName === "execute_code" || toolName === "write_and_run_code") {
-          yield { type: "code", code: toolInput.code };
-        }
-        const { output, type, data } = await this._handleToolCall(toolName, toolInput);
-        toolCalls.push(data);
-        if (data.stdout !== void 0 || data.stderr !== void 0) {
-          yield {
-            type: "output",
-            code: data.code || data.command || data.fixedCode,
-            stdout: data.stdout || "",
-            stderr: data.stderr || "",
-            exitCode: data.exitCode ?? 0
-          };
-        }
-        if (toolName === "use_skill") {
-          yield { type: "skill", skillName: data.skillName, content: data.content, found: data.found };
-        }
-        if (type === "tool") {
-          yield { type: "tool", toolName, args: data.args, result: data.result, error: data.error };
-        }
-        const isExecutingTool = EXECUTING_TOOLS.has(toolName) || toolName === "fix_code" && toolInput.execute;
-        if (isExecutingTool) {
-          if (data.exitCode !== 0 && !data.denied) {
-            consecutiveFailures++;
-          } else {
-            consecutiveFailures = 0;
-          }
-        }
-        let toolOutput = output;
-        if (consecutiveFailures >= this.maxRetries) {
-          toolOutput += `
-
-[RETRY LIMIT REACHED] You have failed ${this.maxRetries} consecutive attempts. STOP trying to execute code. Instead, respond with: 1) What you were trying to do, 2) The errors you encountered, 3) Questions for the user about how to resolve it.`;
-        }
-        results.push({
-          id: call.id,
-          name: call.name,
-          result: toolOutput
+      const hash = this._hash(doc.text);
+      if (existing && existing.hash === hash) {
+        existing.metadata = doc.metadata || {};
+        stats.unchanged++;
+      } else {
+        toEmbed.push({ doc, hash });
+      }
+    }
+    if (toEmbed.length > 0) {
+      if (!this.embedder) throw new Error("VectorIndex: an embedder is required to add text documents.");
+      for (let i = 0; i < toEmbed.length; i += EMBED_BATCH_SIZE) {
+        const batch = toEmbed.slice(i, i + EMBED_BATCH_SIZE);
+        const embeddings = await this.embedder.embedBatch(batch.map((b) => b.doc.text), { taskType: DOCUMENT_TASK_TYPE });
+        batch.forEach(({ doc, hash }, j) => {
+          const existing = this.entries.get(doc.id);
+          this._put(doc, hash, embeddings[j].values, existing);
+          stats[existing ? "updated" : "added"]++;
         });
       }
-      if (this._stopped) break;
-      streamResponse = await this._withRetry(() => this.chatSession.sendMessageStream({
-        message: results.map((r) => ({
-          functionResponse: {
-            id: r.id,
-            name: r.name,
-            response: { output: r.result }
-          }
-        }))
-      }));
-      if (consecutiveFailures >= this.maxRetries) break;
+      logger_default.debug(`VectorIndex: embedded ${toEmbed.length} documents (${stats.unchanged} unchanged).`);
     }
-    let warning = "Max tool rounds reached";
-    if (this._stopped) warning = "Agent was stopped";
-    else if (consecutiveFailures >= this.maxRetries) warning = "Retry limit reached";
-    const codeExecutions = toolCalls.filter((tc) => tc.tool === "execute_code" || tc.tool === "write_and_run_code" || tc.tool === "fix_code" && tc.executed).map((tc) => ({
-      code: tc.code || tc.fixedCode,
-      purpose: this._slugify(tc.purpose),
-      output: tc.stdout || "",
-      stderr: tc.stderr || "",
-      exitCode: tc.exitCode ?? 0
-    }));
-    yield { type: "done", fullText, codeExecutions, toolCalls, usage: this.getLastUsage(), warning };
+    return stats;
   }
-  // ── Dump ─────────────────────────────────────────────────────────────────
   /**
-   * Returns all code scripts and bash commands the agent has executed.
-   * @returns {Array<{fileName: string, purpose: string|null, script: string, filePath: string|null, tool: string}>}
+   * Makes the index hold exactly `docs`: adds/updates like addMany() and removes
+   * every entry whose id is not in `docs`.
+   * @param {VectorDocument[]} docs
+   * @returns {Promise<VectorSyncStats>}
    */
-  dump() {
-    const ext = this.language === "python" ? ".py" : ".mjs";
-    return this._allExecutions.map((exec, i) => ({
-      fileName: exec.purpose ? `agent-${exec.purpose}${ext}` : `script-${i + 1}${ext}`,
-      purpose: exec.purpose || null,
-      script: exec.code,
-      filePath: exec.filePath || null,
-      tool: exec.tool || "execute_code"
-    }));
+  async sync(docs) {
+    const stats = await this.addMany(docs);
+    const keep = new Set(docs.map((d) => d.id));
+    let removed = 0;
+    for (const id of [...this.entries.keys()]) {
+      if (!keep.has(id) && this.remove(id)) removed++;
+    }
+    return { ...stats, removed };
   }
-  // ── Stop ─────────────────────────────────────────────────────────────────
   /**
-   * Stop the agent. Kills any running child process.
+   * @param {string} id
+   * @returns {boolean} Whether an entry was removed
    */
-  stop() {
-    this._stopped = true;
-    if (this._activeProcess) {
-      try {
-        this._activeProcess.kill("SIGTERM");
-      } catch {
+  remove(id) {
+    const removed = this.entries.delete(id);
+    if (this.entries.size === 0) this.dimensions = null;
+    return removed;
+  }
+  /** Removes every entry. */
+  clear() {
+    this.entries.clear();
+    this.dimensions = null;
+  }
+  /**
+   * Top-k entries by cosine similarity, best first. Text queries are embedded
+   * with RETRIEVAL_QUERY.
+   * @param {string|number[]} textOrVector
+   * @param {number} [k=5]
+   * @param {VectorIndexFilter} [filter] - Metadata object to match exactly, or `(metadata, id) => boolean`
+   * @returns {Promise<VectorQueryResult[]>}
+   */
+  async query(textOrVector, k = 5, filter) {
+    if (this.entries.size === 0) return [];
+    let vector = textOrVector;
+    if (!Array.isArray(vector)) {
+      if (!this.embedder) throw new Error("VectorIndex: an embedder is required to query with text.");
+      ({ values: vector } = await this.embedder.embed(vector, { taskType: "RETRIEVAL_QUERY" }));
+    }
+    if (vector.length !== this.dimensions) {
+      throw new Error(`VectorIndex: query has ${vector.length} dimensions, index has ${this.dimensions}.`);
+    }
+    const matches = toPredicate(filter);
+    const results = [];
+    for (const entry of this.entries.values()) {
+      if (!matches(entry)) continue;
+      results.push({
+        id: entry.id,
+        score: cosineSimilarity(vector, entry.values),
+        ...entry.text !== void 0 && { text: entry.text },
+        metadata: entry.metadata
+      });
+    }
+    return results.sort((a, b) => b.score - a.score).slice(0, k);
+  }
+  /**
+   * Writes the index to a JSON file (atomically: temp file + rename).
+   * @param {string} [path=this.path]
+   * @returns {Promise<void>}
+   */
+  async save(path2 = this.path) {
+    if (!path2) throw new Error("VectorIndex.save() needs a path (argument or constructor option).");
+    await (0, import_promises6.mkdir)((0, import_node_path5.dirname)(path2), { recursive: true });
+    const body = JSON.stringify({
+      version: INDEX_FILE_VERSION,
+      model: this.embedder?.modelName || null,
+      dimensions: this.dimensions,
+      entries: [...this.entries.values()]
+    });
+    const tmp = `${path2}.${(0, import_node_crypto6.randomUUID)()}.tmp`;
+    await (0, import_promises6.writeFile)(tmp, body, "utf-8");
+    await (0, import_promises6.rename)(tmp, path2);
+    logger_default.debug(`VectorIndex: saved ${this.entries.size} entries to ${path2}`);
+  }
+  /**
+   * Replaces the in-memory entries with those saved at `path`. A missing file
+   * leaves the index empty, so the first run of a refresh job needs no special case.
+   * @param {string} [path=this.path]
+   * @returns {Promise<this>}
+   */
+  async load(path2 = this.path) {
+    if (!path2) throw new Error("VectorIndex.load() needs a path (argument or constructor option).");
+    let raw;
+    try {
+      raw = await (0, import_promises6.readFile)(path2, "utf-8");
+    } catch (err) {
+      if (err.code === "ENOENT") {
+        logger_default.debug(`VectorIndex: no index at ${path2}; starting empty.`);
+        this.clear();
+        return this;
       }
+      throw err;
     }
-    logger_default.info("CodeAgent stopped");
+    const saved = JSON.parse(raw);
+    if (saved.version !== INDEX_FILE_VERSION) {
+      throw new Error(`VectorIndex: unsupported index file version ${saved.version} in ${path2}.`);
+    }
+    this.entries = new Map(saved.entries.map((e) => [e.id, e]));
+    this.dimensions = saved.dimensions ?? null;
+    logger_default.debug(`VectorIndex: loaded ${this.entries.size} entries from ${path2}`);
+    return this;
+  }
+  // ── Private Helpers ──────────────────────────────────────────────────────
+  /**
+   * Content hash; includes the embedding model, task type, title and
+   * dimensions, so vectors from a different embedding space are never reused.
+   * @param {string} text
+   * @returns {string}
+   * @private
+   */
+  _hash(text) {
+    const e = this.embedder;
+    const space = JSON.stringify([e?.modelName || "", DOCUMENT_TASK_TYPE, e?.title || null, e?.outputDimensionality || null]);
+    return (0, import_node_crypto6.createHash)("sha256").update(`${space}\0${text}`).digest("hex");
+  }
+  /**
+   * @param {VectorDocument} doc
+   * @param {string|null} hash
+   * @param {number[]} values
+   * @param {VectorEntry} [existing] - The entry being replaced, if any
+   * @private
+   */
+  _put(doc, hash, values, existing) {
+    const otherEntries = this.entries.size - (existing ? 1 : 0);
+    if (this.dimensions !== null && otherEntries > 0 && values.length !== this.dimensions) {
+      throw new Error(`VectorIndex: "${doc.id}" has ${values.length} dimensions, index has ${this.dimensions}.`);
+    }
+    this.dimensions = values.length;
+    this.entries.set(doc.id, {
+      id: doc.id,
+      hash,
+      ...doc.text !== void 0 && { text: doc.text },
+      metadata: doc.metadata || {},
+      values
+    });
   }
 };
-var code_agent_default = CodeAgent;
 
 // rag-agent.js
-var import_node_path2 = require("node:path");
-var import_promises3 = require("node:fs/promises");
 var MIME_TYPES = {
   // Text
   ".txt": "text/plain",
@@ -2918,6 +6764,100 @@ var MIME_TYPES = {
 var DEFAULT_SYSTEM_PROMPT = "You are a helpful AI assistant. Answer questions based on the provided documents and data. When referencing information, mention which document or data source it comes from.";
 var FILE_POLL_INTERVAL_MS = 2e3;
 var FILE_POLL_TIMEOUT_MS = 6e4;
+var CITATION_INSTRUCTION = 'Sources are labelled [1], [2], and so on. Cite every statement that uses a source by putting its label right after the statement, e.g. "Tokens expire after 1 hour [2]." Cite several sources as [1, 3]. Only use labels that appear in the provided material.';
+var CITATION_MARKER = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+var RETRIEVAL_MODES = ["context", "vector"];
+var DEFAULT_TOP_K = 5;
+var DEFAULT_CHUNK_SIZE = 2e3;
+var DEFAULT_CHUNK_OVERLAP = 200;
+function extractCitations(text, sources) {
+  const citations = [];
+  let spanFloor = 0;
+  for (const match of text.matchAll(CITATION_MARKER)) {
+    const before = text.slice(spanFloor, match.index);
+    const sentenceStart = Math.max(
+      before.lastIndexOf(". "),
+      before.lastIndexOf("! "),
+      before.lastIndexOf("? "),
+      before.lastIndexOf("\n")
+    );
+    let start = spanFloor + (sentenceStart === -1 ? 0 : sentenceStart + 1);
+    let end = match.index;
+    while (start < end && /\s/.test(text[start])) start++;
+    while (end > start && /\s/.test(text[end - 1])) end--;
+    for (const n of match[1].split(",").map(Number)) {
+      const source = sources[n - 1];
+      if (!source) continue;
+      citations.push({ marker: n, text: text.slice(start, end), start, end, ...source });
+    }
+    spanFloor = match.index + match[0].length;
+  }
+  return citations;
+}
+function groundingCitations(text, groundingMetadata, uploadedFiles) {
+  const chunks = groundingMetadata?.groundingChunks || [];
+  const citations = [];
+  for (const support of groundingMetadata?.groundingSupports || []) {
+    const segmentText = support.segment?.text || "";
+    const found = segmentText ? text.indexOf(segmentText) : -1;
+    const start = found !== -1 ? found : support.segment?.startIndex ?? 0;
+    const end = found !== -1 ? found + segmentText.length : support.segment?.endIndex ?? start;
+    for (const i of support.groundingChunkIndices || []) {
+      const ref = chunks[i]?.retrievedContext || chunks[i]?.web;
+      if (!ref) continue;
+      const file = uploadedFiles.find((f) => f.uri === ref.uri);
+      citations.push({
+        text: segmentText || text.slice(start, end),
+        start,
+        end,
+        source: file ? file.displayName : ref.title || ref.uri,
+        type: file || !chunks[i].web ? "remoteFile" : "web",
+        ...file && { path: file.originalPath },
+        ...ref.uri && { uri: ref.uri }
+      });
+    }
+  }
+  return citations;
+}
+function serializeData(data) {
+  return typeof data === "string" ? data : JSON.stringify(data, null, 2);
+}
+function chunkText(text, size, overlap) {
+  const lines = [];
+  text.split("\n").forEach((line, i) => {
+    if (line.length <= size) return lines.push({ text: line, line: i + 1 });
+    for (let p = 0; p < line.length; p += size) lines.push({ text: line.slice(p, p + size), line: i + 1 });
+  });
+  const chunks = [];
+  let current = [];
+  let length = 0;
+  const flush = () => {
+    if (!current.some((l) => l.text.trim())) return;
+    chunks.push({
+      text: current.map((l) => l.text).join("\n"),
+      startLine: current[0].line,
+      endLine: current[current.length - 1].line
+    });
+  };
+  for (const line of lines) {
+    if (current.length > 0 && length + line.text.length + 1 > size) {
+      flush();
+      const carried = [];
+      let carriedLength = 0;
+      for (let i = current.length - 1; i >= 0; i--) {
+        if (carriedLength + current[i].text.length + 1 > overlap) break;
+        carried.unshift(current[i]);
+        carriedLength += current[i].text.length + 1;
+      }
+      current = carried;
+      length = carriedLength;
+    }
+    current.push(line);
+    length += line.text.length + 1;
+  }
+  flush();
+  return chunks;
+}
 var RagAgent = class extends base_default {
   /**
    * @param {RagAgentOptions} [options={}]
@@ -2926,6 +6866,9 @@ var RagAgent = class extends base_default {
     if (options.systemPrompt === void 0) {
       options = { ...options, systemPrompt: DEFAULT_SYSTEM_PROMPT };
     }
+    if (options.rateLimitPriority === void 0) {
+      options = { ...options, rateLimitPriority: "interactive" };
+    }
     super(options);
     this.remoteFiles = options.remoteFiles || [];
     this.localFiles = options.localFiles || [];
@@ -2933,6 +6876,38 @@ var RagAgent = class extends base_default {
     this._uploadedRemoteFiles = [];
     this._localFileContents = [];
     this._initialized = false;
+    this.citations = options.citations ?? true;
+    this._sources = [];
+    this.retrieval = options.retrieval || "context";
+    if (!RETRIEVAL_MODES.includes(this.retrieval)) {
+      throw new Error(`Unknown retrieval mode "${this.retrieval}". Use one of: ${RETRIEVAL_MODES.join(", ")}.`);
+    }
+    this.topK = options.topK ?? DEFAULT_TOP_K;
+    this.chunkSize = options.chunkSize ?? DEFAULT_CHUNK_SIZE;
+    this.chunkOverlap = options.chunkOverlap ?? DEFAULT_CHUNK_OVERLAP;
+    if (!(Number.isInteger(this.chunkSize) && this.chunkSize > 0)) {
+      throw new Error(`RagAgent chunkSize must be a positive integer, got ${this.chunkSize}.`);
+    }
+    if (!(Number.isInteger(this.chunkOverlap) && this.chunkOverlap >= 0 && this.chunkOverlap < this.chunkSize)) {
+      throw new Error(`RagAgent chunkOverlap must be a whole number from 0 to below chunkSize (${this.chunkSize}), got ${this.chunkOverlap}.`);
+    }
+    this.embedder = null;
+    this.index = null;
+    if (this.retrieval === "vector") {
+      this.embedder = new Embedding({
+        client: this.genAIClient,
+        vertexai: this.vertexai,
+        labels: this.labels,
+        logLevel: (
+          /** @type {any} */
+          logger_default.level
+        ),
+        ...options.embeddingModel && { modelName: options.embeddingModel }
+      });
+      this.embedder._middleware = this._middleware;
+      this.embedder.emit = (event, ...args) => this.emit(event, ...args);
+      this.index = new VectorIndex({ embedder: this.embedder });
+    }
     const total = this.remoteFiles.length + this.localFiles.length + this.localData.length;
     logger_default.debug(`RagAgent created with ${total} context sources`);
   }
@@ -2946,15 +6921,19 @@ var RagAgent = class extends base_default {
     if (this._initialized && !force) return;
     this._uploadedRemoteFiles = [];
     for (const filePath of this.remoteFiles) {
-      const resolvedPath = (0, import_node_path2.resolve)(filePath);
+      const resolvedPath = (0, import_node_path6.resolve)(filePath);
       logger_default.debug(`Uploading remote file: ${resolvedPath}`);
-      const ext = (0, import_node_path2.extname)(resolvedPath).toLowerCase();
+      const ext = (0, import_node_path6.extname)(resolvedPath).toLowerCase();
       const mimeType = MIME_TYPES[ext] || "application/octet-stream";
-      const uploaded = await this._withRetry(() => this.genAIClient.files.upload({
-        file: resolvedPath,
-        config: { displayName: (0, import_node_path2.basename)(resolvedPath), mimeType }
-      }));
-      await this._waitForFileActive(uploaded);
+      const upload = async () => {
+        const file = await this._withRetry(() => this.genAIClient.files.upload({
+          file: resolvedPath,
+          config: { displayName: (0, import_node_path6.basename)(resolvedPath), mimeType, abortSignal: this._abortSignal() ?? void 0 }
+        }));
+        await this._waitForFileActive(file);
+        return file;
+      };
+      const uploaded = this.telemetry ? await this.telemetry.span("upload_file", { "file.name": (0, import_node_path6.basename)(resolvedPath), "ak_gemini.file.mime_type": mimeType, "ak_gemini.class": this.constructor.name }, upload) : await upload();
       this._uploadedRemoteFiles.push({
         ...uploaded,
         originalPath: resolvedPath
@@ -2963,40 +6942,54 @@ var RagAgent = class extends base_default {
     }
     this._localFileContents = [];
     for (const filePath of this.localFiles) {
-      const resolvedPath = (0, import_node_path2.resolve)(filePath);
+      const resolvedPath = (0, import_node_path6.resolve)(filePath);
       logger_default.debug(`Reading local file: ${resolvedPath}`);
-      const content = await (0, import_promises3.readFile)(resolvedPath, "utf-8");
+      const content = await (0, import_promises7.readFile)(resolvedPath, "utf-8");
       this._localFileContents.push({
-        name: (0, import_node_path2.basename)(resolvedPath),
+        name: (0, import_node_path6.basename)(resolvedPath),
         content,
         path: resolvedPath
       });
-      logger_default.debug(`Local file read: ${(0, import_node_path2.basename)(resolvedPath)} (${content.length} chars)`);
+      logger_default.debug(`Local file read: ${(0, import_node_path6.basename)(resolvedPath)} (${content.length} chars)`);
     }
     this.chatConfig.systemInstruction = /** @type {string} */
-    this.systemPrompt;
+    this.citations ? [this.systemPrompt, CITATION_INSTRUCTION].filter(Boolean).join("\n\n") : this.systemPrompt;
     await super.init(force);
     const parts = [];
+    this._sources = [];
     for (const f of this._uploadedRemoteFiles) {
+      this._sources.push({ source: f.displayName, type: "remoteFile", path: f.originalPath, uri: f.uri });
+      parts.push({ text: `--- [${this._sources.length}] Remote file: ${f.displayName} ---` });
       parts.push({ fileData: { fileUri: f.uri, mimeType: f.mimeType } });
     }
-    for (const lf of this._localFileContents) {
-      parts.push({ text: `--- File: ${lf.name} ---
+    if (this.retrieval === "vector") {
+      await this._buildIndex();
+    } else {
+      for (const lf of this._localFileContents) {
+        this._sources.push({ source: lf.name, type: "localFile", path: lf.path });
+        parts.push({ text: `--- [${this._sources.length}] File: ${lf.name} ---
 ${lf.content}` });
+      }
+      for (const ld of this.localData) {
+        this._sources.push({ source: ld.name, type: "localData" });
+        parts.push({ text: `--- [${this._sources.length}] Data: ${ld.name} ---
+${serializeData(ld.data)}` });
+      }
     }
-    for (const ld of this.localData) {
-      const serialized = typeof ld.data === "string" ? ld.data : JSON.stringify(ld.data, null, 2);
-      parts.push({ text: `--- Data: ${ld.name} ---
-${serialized}` });
-    }
+    const conversation = this._sessionRestored ? this.chatSession.getHistory().slice(this.exampleCount) : [];
     if (parts.length > 0) {
       parts.push({ text: "Here are the documents and data to analyze." });
       const history = [
         { role: "user", parts },
         { role: "model", parts: [{ text: "I have reviewed all the provided documents and data. I am ready to answer your questions about them." }] }
       ];
-      this.chatSession = this._createChatSession(history);
+      this.chatSession = this._createChatSession([...history, ...conversation]);
+      this.exampleCount = history.length;
+    } else if (this._sessionRestored) {
+      this.chatSession = this._createChatSession(conversation);
+      this.exampleCount = 0;
     }
+    this._sessionRestored = false;
     this._initialized = true;
     logger_default.debug(`RagAgent initialized with ${this._uploadedRemoteFiles.length} remote files, ${this._localFileContents.length} local files, ${this.localData.length} data entries`);
   }
@@ -3007,22 +7000,34 @@ ${serialized}` });
    * @param {string} message - The user's question
    * @param {Object} [opts={}] - Per-message options
    * @param {Record<string, string>} [opts.labels] - Per-message billing labels
+   * @param {AbortSignal} [opts.signal] - Cancels the call (throws AbortError)
+   * @param {number} [opts.timeoutMs] - Time limit for the whole call, retries included (throws TimeoutError)
    * @returns {Promise<RagResponse>}
    */
   async chat(message, opts = {}) {
-    if (!this._initialized) await this.init();
-    const response = await this._withRetry(() => this.chatSession.sendMessage({ message }));
-    this._captureMetadata(response);
-    this._cumulativeUsage = {
-      promptTokens: this.lastResponseMetadata.promptTokens,
-      responseTokens: this.lastResponseMetadata.responseTokens,
-      totalTokens: this.lastResponseMetadata.totalTokens,
-      attempts: 1
-    };
-    return {
-      text: response.text || "",
-      usage: this.getLastUsage()
-    };
+    return this._withCallOptions(opts, async () => {
+      if (!this._initialized) await this.init();
+      const chunks = await this._retrieve(message);
+      const prompt = this._withExcerpts(message, chunks);
+      await this._manageContext(prompt);
+      const response = await this._withRetry(() => this.chatSession.sendMessage({ message: prompt }));
+      this._dropExcerpts(prompt, message);
+      this._captureMetadata(response);
+      this._cumulativeUsage = {
+        promptTokens: this.lastResponseMetadata.promptTokens,
+        responseTokens: this.lastResponseMetadata.responseTokens,
+        totalTokens: this.lastResponseMetadata.totalTokens,
+        attempts: 1
+      };
+      await this._saveSession();
+      const text = response.text || "";
+      return {
+        text,
+        citations: this._citations(text, chunks, response.candidates?.[0]?.groundingMetadata),
+        ...this.retrieval === "vector" && { chunks },
+        usage: this.getLastUsage()
+      };
+    });
   }
   // ── Streaming ────────────────────────────────────────────────────────────
   /**
@@ -3030,22 +7035,43 @@ ${serialized}` });
    *
    * @param {string} message - The user's question
    * @param {Object} [opts={}] - Per-message options
+   * @param {AbortSignal} [opts.signal] - Cancels the call (throws AbortError)
+   * @param {number} [opts.timeoutMs] - Time limit for the whole call, retries included (throws TimeoutError)
    * @yields {RagStreamEvent}
    */
   async *stream(message, opts = {}) {
+    yield* this._streamWithCallOptions(opts, () => this._stream(message, opts));
+  }
+  /**
+   * stream(), run in the call's scope (see _streamWithCallOptions()).
+   * @param {string} message
+   * @param {Object} opts
+   * @yields {RagStreamEvent}
+   * @private
+   */
+  async *_stream(message, opts) {
     if (!this._initialized) await this.init();
+    const chunks = await this._retrieve(message);
+    const prompt = this._withExcerpts(message, chunks);
+    await this._manageContext(prompt);
     let fullText = "";
-    const streamResponse = await this._withRetry(() => this.chatSession.sendMessageStream({ message }));
+    let groundingMetadata = null;
+    const streamResponse = await this._withRetry(() => this.chatSession.sendMessageStream({ message: prompt }));
     for await (const chunk of streamResponse) {
+      if (chunk.candidates?.[0]?.groundingMetadata) groundingMetadata = chunk.candidates[0].groundingMetadata;
       if (chunk.candidates?.[0]?.content?.parts?.[0]?.text) {
         const text = chunk.candidates[0].content.parts[0].text;
         fullText += text;
         yield { type: "text", text };
       }
     }
+    this._dropExcerpts(prompt, message);
+    await this._saveSession();
     yield {
       type: "done",
       fullText,
+      citations: this._citations(fullText, chunks, groundingMetadata),
+      ...this.retrieval === "vector" && { chunks },
       usage: this.getLastUsage()
     };
   }
@@ -3100,162 +7126,128 @@ ${serialized}` });
         name: ld.name,
         type: typeof ld.data === "object" && ld.data !== null ? Array.isArray(ld.data) ? "array" : "object" : typeof ld.data
       }))
-    };
-  }
-  // ── Private Helpers ──────────────────────────────────────────────────────
-  /**
-   * Polls until an uploaded file reaches ACTIVE state.
-   * @param {Object} file - The uploaded file object
-   * @returns {Promise<void>}
-   * @private
-   */
-  async _waitForFileActive(file) {
-    if (file.state === "ACTIVE") return;
-    const start = Date.now();
-    while (Date.now() - start < FILE_POLL_TIMEOUT_MS) {
-      const updated = await this.genAIClient.files.get({ name: file.name });
-      if (updated.state === "ACTIVE") return;
-      if (updated.state === "FAILED") {
-        throw new Error(`File processing failed: ${file.displayName || file.name}`);
-      }
-      await new Promise((r) => setTimeout(r, FILE_POLL_INTERVAL_MS));
-    }
-    throw new Error(`File processing timed out after ${FILE_POLL_TIMEOUT_MS / 1e3}s: ${file.displayName || file.name}`);
-  }
-};
-var rag_agent_default = RagAgent;
-
-// embedding.js
-var Embedding = class extends base_default {
-  /**
-   * @param {import('./types.d.ts').EmbeddingOptions} [options={}]
-   */
-  constructor(options = {}) {
-    if (options.modelName === void 0) {
-      options = { ...options, modelName: "gemini-embedding-001" };
-    }
-    if (options.systemPrompt === void 0) {
-      options = { ...options, systemPrompt: null };
-    }
-    super(options);
-    this.taskType = options.taskType || null;
-    this.title = options.title || null;
-    this.outputDimensionality = options.outputDimensionality || null;
-    this.autoTruncate = options.autoTruncate ?? true;
-    logger_default.debug(`Embedding created with model: ${this.modelName}`);
-  }
-  /**
-   * Initialize the Embedding client.
-   * Override: validates API connection only, NO chat session (stateless).
-   * @param {boolean} [force=false]
-   * @returns {Promise<void>}
-   */
-  async init(force = false) {
-    if (this._initialized && !force) return;
-    logger_default.debug(`Initializing ${this.constructor.name} with model: ${this.modelName}...`);
-    await this._healthCheckPing();
-    this._initialized = true;
-    logger_default.debug(`${this.constructor.name}: Initialized (stateless mode).`);
+    };
   }
+  // ── Vector Retrieval ─────────────────────────────────────────────────────
   /**
-   * Builds the config object for embedContent calls.
-   * @param {Object} [overrides={}] - Per-call config overrides
-   * @returns {Object} The config object
+   * Chunks local files and data into the vector index. Only new or changed
+   * chunks are embedded, so re-init after addLocalFiles() stays cheap. Chunk
+   * ids are keyed by a file's full path (`/docs/a/README.md#0`) and a data
+   * entry's name (`data:accounts#0`), so same-named files don't overwrite
+   * each other.
+   * @returns {Promise<void>}
    * @private
    */
-  _buildConfig(overrides = {}) {
-    const config = {};
-    const taskType = overrides.taskType || this.taskType;
-    const title = overrides.title || this.title;
-    const dims = overrides.outputDimensionality || this.outputDimensionality;
-    if (taskType) config.taskType = taskType;
-    if (title) config.title = title;
-    if (dims) config.outputDimensionality = dims;
-    return config;
+  async _buildIndex() {
+    const docs = [];
+    const addChunks = (key, source, type, text, path2) => {
+      chunkText(text, this.chunkSize, this.chunkOverlap).forEach((c, i) => {
+        docs.push({
+          id: `${key}#${i}`,
+          text: c.text,
+          metadata: { source, type, ...path2 && { path: path2 }, startLine: c.startLine, endLine: c.endLine }
+        });
+      });
+    };
+    for (const lf of this._localFileContents) addChunks(lf.path, lf.name, "localFile", lf.content, lf.path);
+    for (const ld of this.localData) addChunks(`data:${ld.name}`, ld.name, "localData", serializeData(ld.data));
+    const stats = await this.index.sync(docs);
+    logger_default.debug(`RagAgent: indexed ${docs.length} chunks (${stats.added} added, ${stats.updated} updated, ${stats.removed} removed)`);
   }
   /**
-  	 * Embed a single text string.
-  	 * @param {string} text - The text to embed
-  	 * @param {Object} [config={}] - Per-call config overrides
-  	 * @param {string} [config.taskType] - Override task type
-  	 * @param {string} [config.title] - Override title
-  	 * @param {number} [config.outputDimensionality] - Override dimensions
-  
-  	 * @returns {Promise<import('./types.d.ts').EmbeddingResult>} The embedding result
-  	 */
-  async embed(text, config = {}) {
-    if (!this._initialized) await this.init();
-    const result = await this._withRetry(() => this.genAIClient.models.embedContent({
-      model: this.modelName,
-      contents: text,
-      config: this._buildConfig(config)
-    }));
-    return result.embeddings[0];
+   * Top-k chunks for a question, best first. Empty outside vector mode.
+   * @param {string} message
+   * @returns {Promise<RetrievedChunk[]>}
+   * @private
+   */
+  async _retrieve(message) {
+    if (this.retrieval !== "vector") return [];
+    const hits = await this.index.query(message, this.topK);
+    return hits.map(({ id, score, text, metadata }) => (
+      /** @type {RetrievedChunk} */
+      { id, ...metadata, text, score }
+    ));
   }
   /**
-  	 * Embed multiple text strings in a single API call.
-  	 * @param {string[]} texts - Array of texts to embed
-  	 * @param {Object} [config={}] - Per-call config overrides
-  	 * @param {string} [config.taskType] - Override task type
-  	 * @param {string} [config.title] - Override title
-  	 * @param {number} [config.outputDimensionality] - Override dimensions
-  
-  	 * @returns {Promise<import('./types.d.ts').EmbeddingResult[]>} Array of embedding results
-  	 */
-  async embedBatch(texts, config = {}) {
-    if (!this._initialized) await this.init();
-    const result = await this._withRetry(() => this.genAIClient.models.embedContent({
-      model: this.modelName,
-      contents: texts,
-      config: this._buildConfig(config)
-    }));
-    return result.embeddings;
+   * Prepends retrieved chunks to the user's question, labelled after the
+   * seeded sources so citation markers never collide.
+   * @param {string} message
+   * @param {RetrievedChunk[]} chunks
+   * @returns {string}
+   * @private
+   */
+  _withExcerpts(message, chunks) {
+    if (chunks.length === 0) return message;
+    const offset = this._sources.length;
+    const excerpts = chunks.map((c, i) => `--- [${offset + i + 1}] ${c.source}, lines ${c.startLine}-${c.endLine} ---
+${c.text}`);
+    return `Relevant excerpts from the documents and data:
+
+${excerpts.join("\n\n")}
+
+Question: ${message}`;
   }
   /**
-   * Compute cosine similarity between two embedding vectors.
-   * Pure math — no API call.
-   * @param {number[]} a - First embedding vector
-   * @param {number[]} b - Second embedding vector
-   * @returns {number} Cosine similarity between -1 and 1
+   * Swaps the excerpts out of the turn just recorded, leaving the bare
+   * question. History then grows by the conversation alone, and a later
+   * turn's `[n]` labels can't be confused with this one's.
+   * @param {string} prompt - What _withExcerpts() sent
+   * @param {string} message - The user's question
+   * @private
    */
-  similarity(a, b) {
-    if (!a || !b || a.length !== b.length) {
-      throw new Error("Vectors must be non-null and have the same length");
-    }
-    let dot = 0;
-    let magA = 0;
-    let magB = 0;
-    for (let i = 0; i < a.length; i++) {
-      dot += a[i] * b[i];
-      magA += a[i] * a[i];
-      magB += b[i] * b[i];
-    }
-    const magnitude = Math.sqrt(magA) * Math.sqrt(magB);
-    if (magnitude === 0) return 0;
-    return dot / magnitude;
-  }
-  // ── No-ops (embeddings don't use chat sessions) ──
-  /** @returns {any[]} Always returns empty array */
-  getHistory() {
-    return [];
-  }
-  /** No-op for Embedding */
-  async clearHistory() {
+  _dropExcerpts(prompt, message) {
+    if (prompt === message) return;
+    const history = this.chatSession.getHistory();
+    const index = history.findLastIndex((c) => c.role === "user" && c.parts?.[0]?.text === prompt);
+    if (index === -1) return;
+    history[index] = { role: "user", parts: [{ text: message }] };
+    this.chatSession = this._createChatSession(history);
   }
-  /** No-op for Embedding */
-  async seed() {
-    logger_default.warn("Embedding.seed() is a no-op \u2014 embeddings do not support few-shot examples.");
-    return [];
+  // ── Citations ────────────────────────────────────────────────────────────
+  /**
+   * Citations for an answer: `[n]` markers resolved against the seeded sources
+   * and this turn's chunks, plus any the API reported in groundingMetadata.
+   * @param {string} text
+   * @param {RetrievedChunk[]} chunks
+   * @param {Object|null} [groundingMetadata]
+   * @returns {RagCitation[]}
+   * @private
+   */
+  _citations(text, chunks, groundingMetadata) {
+    const fromGrounding = groundingCitations(text, groundingMetadata, this._uploadedRemoteFiles);
+    if (!this.citations) return fromGrounding;
+    const chunkSources = chunks.map(({ id, source, type, path: path2, startLine, endLine }) => ({
+      source,
+      type,
+      ...path2 && { path: path2 },
+      startLine,
+      endLine,
+      chunkId: id
+    }));
+    return [...extractCitations(text, [...this._sources, ...chunkSources]), ...fromGrounding];
   }
+  // ── Private Helpers ──────────────────────────────────────────────────────
   /**
-   * @param {any} _nextPayload
-   * @throws {Error} Embedding does not support token estimation
-   * @returns {Promise<{inputTokens: number}>}
+   * Polls until an uploaded file reaches ACTIVE state.
+   * @param {Object} file - The uploaded file object
+   * @returns {Promise<void>}
+   * @private
    */
-  async estimate(_nextPayload) {
-    throw new Error("Embedding does not support token estimation. Use embed() directly.");
+  async _waitForFileActive(file) {
+    if (file.state === "ACTIVE") return;
+    const start = Date.now();
+    while (Date.now() - start < FILE_POLL_TIMEOUT_MS) {
+      const updated = await this.genAIClient.files.get({ name: file.name, config: { abortSignal: this._abortSignal() ?? void 0 } });
+      if (updated.state === "ACTIVE") return;
+      if (updated.state === "FAILED") {
+        throw new Error(`File processing failed: ${file.displayName || file.name}`);
+      }
+      await this._sleep(FILE_POLL_INTERVAL_MS);
+    }
+    throw new TimeoutError(`File processing timed out after ${FILE_POLL_TIMEOUT_MS / 1e3}s: ${file.displayName || file.name}`, { timeoutMs: FILE_POLL_TIMEOUT_MS });
   }
 };
+var rag_agent_default = RagAgent;
 
 // image-generator.js
 var import_node_fs = require("node:fs");
@@ -3315,44 +7307,46 @@ var ImageGenerator = class extends base_default {
    * @returns {Promise<import('./types.d.ts').ImageGenerationResult>}
    */
   async generate(prompt, opts = {}) {
-    if (!this._initialized) await this.init();
-    const parts = [{ text: prompt }];
-    if (Array.isArray(opts.inputImages)) {
-      for (const img of opts.inputImages) {
-        parts.push({ inlineData: { data: img.data, mimeType: img.mimeType } });
+    return this._withCallOptions(opts, async () => {
+      if (!this._initialized) await this.init();
+      const parts = [{ text: prompt }];
+      if (Array.isArray(opts.inputImages)) {
+        for (const img of opts.inputImages) {
+          parts.push({ inlineData: { data: img.data, mimeType: img.mimeType } });
+        }
       }
-    }
-    const result = await this._withRetry(() => this.genAIClient.models.generateContent({
-      model: this.modelName,
-      contents: [{ role: "user", parts }],
-      config: this._buildConfig(opts)
-    }));
-    const usage = this._usageFromResponse(result);
-    this._captureMetadata(result);
-    this._cumulativeUsage = {
-      promptTokens: this.lastResponseMetadata.promptTokens,
-      responseTokens: this.lastResponseMetadata.responseTokens,
-      thoughtsTokens: this.lastResponseMetadata.thoughtsTokens,
-      totalTokens: this.lastResponseMetadata.totalTokens,
-      attempts: 1
-    };
-    const images = [];
-    let text = "";
-    const responseParts = result.candidates?.[0]?.content?.parts || [];
-    for (const part of responseParts) {
-      if (part.inlineData?.data) {
-        images.push({
-          data: part.inlineData.data,
-          mimeType: part.inlineData.mimeType || "image/png"
-        });
-      } else if (part.text) {
-        text += part.text;
+      const result = await this._withRetry(() => this._models.generateContent({
+        model: this.modelName,
+        contents: [{ role: "user", parts }],
+        config: this._buildConfig(opts)
+      }));
+      const usage = this._usageFromResponse(result);
+      this._captureMetadata(result);
+      this._cumulativeUsage = {
+        promptTokens: this.lastResponseMetadata.promptTokens,
+        responseTokens: this.lastResponseMetadata.responseTokens,
+        thoughtsTokens: this.lastResponseMetadata.thoughtsTokens,
+        totalTokens: this.lastResponseMetadata.totalTokens,
+        attempts: 1
+      };
+      const images = [];
+      let text = "";
+      const responseParts = result.candidates?.[0]?.content?.parts || [];
+      for (const part of responseParts) {
+        if (part.inlineData?.data) {
+          images.push({
+            data: part.inlineData.data,
+            mimeType: part.inlineData.mimeType || "image/png"
+          });
+        } else if (part.text) {
+          text += part.text;
+        }
       }
-    }
-    if (images.length === 0) {
-      logger_default.warn("ImageGenerator: no images returned. Check prompt or safety filters.");
-    }
-    return { images, text: text || null, usage };
+      if (images.length === 0) {
+        logger_default.warn("ImageGenerator: no images returned. Check prompt or safety filters.");
+      }
+      return { images, text: text || null, usage };
+    });
   }
   /**
    * Convenience: write one or all images to disk.
@@ -3400,29 +7394,529 @@ var ImageGenerator = class extends base_default {
   }
 };
 
+// session-store.js
+var import_promises8 = require("node:fs/promises");
+var import_node_path7 = require("node:path");
+var import_node_crypto7 = require("node:crypto");
+var MemorySessionStore = class {
+  constructor() {
+    this.sessions = /* @__PURE__ */ new Map();
+  }
+  /**
+   * @param {string} id
+   * @returns {Promise<SessionRecord|null>}
+   */
+  async load(id) {
+    const record = this.sessions.get(id);
+    return record ? structuredClone(record) : null;
+  }
+  /**
+   * @param {string} id
+   * @param {Array<Object>} history
+   * @param {SessionMeta} [meta={}]
+   * @returns {Promise<void>}
+   */
+  async save(id, history, meta = {}) {
+    this.sessions.set(id, structuredClone({ history, meta }));
+  }
+  /**
+   * @param {string} id
+   * @returns {Promise<void>}
+   */
+  async delete(id) {
+    this.sessions.delete(id);
+  }
+};
+var FileSessionStore = class {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - Directory holding the session files (created on first save)
+   * @param {'json'|'jsonl'} [options.format='json']
+   */
+  constructor(options) {
+    if (!options?.dir) {
+      throw new Error("FileSessionStore requires a dir.");
+    }
+    this.dir = options.dir;
+    this.format = options.format || "json";
+    if (this.format !== "json" && this.format !== "jsonl") {
+      throw new Error(`FileSessionStore: unsupported format "${this.format}". Use 'json' or 'jsonl'.`);
+    }
+  }
+  /**
+   * File path for a session id. Ids are URI-encoded so any string is a safe file name.
+   * @param {string} id
+   * @returns {string}
+   */
+  pathFor(id) {
+    return (0, import_node_path7.join)(this.dir, `${encodeURIComponent(id)}.${this.format}`);
+  }
+  /**
+   * @param {string} id
+   * @returns {Promise<SessionRecord|null>}
+   */
+  async load(id) {
+    let raw;
+    try {
+      raw = await (0, import_promises8.readFile)(this.pathFor(id), "utf-8");
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+    if (this.format === "json") {
+      const { meta = {}, history = [] } = JSON.parse(raw);
+      return { meta, history };
+    }
+    const [first, ...rest] = raw.split("\n").filter((line) => line.trim());
+    return {
+      meta: first ? JSON.parse(first).meta || {} : {},
+      history: rest.map((line) => JSON.parse(line))
+    };
+  }
+  /**
+   * @param {string} id
+   * @param {Array<Object>} history
+   * @param {SessionMeta} [meta={}]
+   * @returns {Promise<void>}
+   */
+  async save(id, history, meta = {}) {
+    await (0, import_promises8.mkdir)(this.dir, { recursive: true });
+    const body = this.format === "json" ? JSON.stringify({ meta, history }, null, 2) : [JSON.stringify({ meta }), ...history.map((h) => JSON.stringify(h))].join("\n") + "\n";
+    const target = this.pathFor(id);
+    const tmp = `${target}.${(0, import_node_crypto7.randomUUID)()}.tmp`;
+    await (0, import_promises8.writeFile)(tmp, body, "utf-8");
+    await (0, import_promises8.rename)(tmp, target);
+  }
+  /**
+   * @param {string} id
+   * @returns {Promise<void>}
+   */
+  async delete(id) {
+    try {
+      await (0, import_promises8.unlink)(this.pathFor(id));
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+  }
+};
+
+// mock-client.js
+var import_genai5 = require("@google/genai");
+var import_node_path8 = require("node:path");
+var DEFAULT_EMBEDDING_DIMENSIONS = 8;
+var DEFAULT_STREAM_CHUNK_SIZE = 16;
+var DEFAULT_BATCH_POLLS = 1;
+function approxTokens2(value) {
+  if (value == null) return 0;
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  return Math.ceil(text.length / 4);
+}
+function textsOf(contents) {
+  return [].concat(contents ?? []).map((c) => typeof c === "string" ? c : (c?.parts || []).map((p) => p.text || "").join(""));
+}
+function hashedVector(text, dimensions) {
+  const vector = new Array(dimensions).fill(0);
+  for (const word of text.toLowerCase().match(/[a-z0-9]+/g) || []) {
+    let h = 2166136261;
+    for (let i = 0; i < word.length; i++) h = Math.imul(h ^ word.charCodeAt(i), 16777619);
+    vector[(h >>> 0) % dimensions] += 1;
+  }
+  const norm = Math.sqrt(vector.reduce((n, v) => n + v * v, 0)) || 1;
+  return vector.map((v) => v / norm);
+}
+function apiError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+var MockGeminiClient = class {
+  /**
+   * @param {MockGeminiClientOptions} [options={}]
+   */
+  constructor(options = {}) {
+    this.defaultResponse = options.defaultResponse ?? null;
+    this.embeddingDimensions = options.embeddingDimensions ?? DEFAULT_EMBEDDING_DIMENSIONS;
+    this.streamChunkSize = options.streamChunkSize ?? DEFAULT_STREAM_CHUNK_SIZE;
+    this.embedFn = options.embed || null;
+    this.batchPolls = options.batchPolls ?? DEFAULT_BATCH_POLLS;
+    this._queue = [];
+    this.calls = [];
+    this._files = /* @__PURE__ */ new Map();
+    this._caches = /* @__PURE__ */ new Map();
+    this._batches = /* @__PURE__ */ new Map();
+    this._counter = 0;
+    this.models = {
+      generateContent: (params) => this._generate(params),
+      generateContentStream: (params) => this._generateStream(params),
+      countTokens: async (params) => {
+        this._record("countTokens", params);
+        return { totalTokens: approxTokens2(textsOf(params.contents).join("")) };
+      },
+      embedContent: async (params) => {
+        this._record("embedContent", params);
+        await this._delay(0, params.config?.abortSignal);
+        const dimensions = params.config?.outputDimensionality ?? this.embeddingDimensions;
+        return {
+          embeddings: textsOf(params.contents).map((text) => ({
+            values: this.embedFn ? this.embedFn(text, params.config || {}) : hashedVector(text, dimensions)
+          }))
+        };
+      },
+      list: async () => [{ name: "models/mock", displayName: "MockGeminiClient" }]
+    };
+    this.chats = new import_genai5.Chats(
+      /** @type {any} */
+      this.models,
+      /** @type {any} */
+      null
+    );
+    this.files = {
+      upload: async ({ file, config = {} }) => {
+        const id = `files/mock-${++this._counter}`;
+        const record = {
+          name: id,
+          displayName: config.displayName || (typeof file === "string" ? (0, import_node_path8.basename)(file) : id),
+          mimeType: config.mimeType || "application/octet-stream",
+          uri: `https://mock.local/v1beta/${id}`,
+          state: "ACTIVE"
+        };
+        this._files.set(id, record);
+        return { ...record };
+      },
+      get: async ({ name }) => {
+        if (!this._files.has(name)) throw apiError(404, `File ${name} not found.`);
+        return { ...this._files.get(name) };
+      },
+      delete: async ({ name }) => {
+        this._files.delete(name);
+      },
+      list: async () => [...this._files.values()].map((f) => ({ ...f }))
+    };
+    this.caches = {
+      create: async ({ model, config = {} }) => {
+        const name = `cachedContents/mock-${++this._counter}`;
+        const cache = {
+          name,
+          model,
+          displayName: config.displayName,
+          expireTime: new Date(Date.now() + (parseFloat(config.ttl) || 3600) * 1e3).toISOString(),
+          usageMetadata: { totalTokenCount: approxTokens2([config.contents, config.systemInstruction]) }
+        };
+        this._caches.set(name, cache);
+        return { ...cache };
+      },
+      get: async ({ name }) => {
+        if (!this._caches.has(name)) throw apiError(404, `Cached content ${name} not found.`);
+        return { ...this._caches.get(name) };
+      },
+      update: async ({ name, config = {} }) => {
+        const cache = await this.caches.get({ name });
+        const updated = {
+          ...cache,
+          expireTime: config.expireTime || new Date(Date.now() + (parseFloat(config.ttl) || 3600) * 1e3).toISOString()
+        };
+        this._caches.set(name, updated);
+        return { ...updated };
+      },
+      delete: async ({ name }) => {
+        this._caches.delete(name);
+      },
+      list: async () => [...this._caches.values()].map((c) => ({ ...c }))
+    };
+    this.batches = {
+      create: async ({ model, src, config = {} }) => {
+        const requests = Array.isArray(src) ? src : src?.inlinedRequests;
+        if (!Array.isArray(requests)) throw apiError(400, "MockGeminiClient batches only support inlined requests.");
+        const name = `batches/mock-${++this._counter}`;
+        const now = (/* @__PURE__ */ new Date()).toISOString();
+        const job = { name, displayName: config.displayName, model, state: "JOB_STATE_PENDING", createTime: now, updateTime: now };
+        this._batches.set(name, { job, requests: structuredClone(requests), polls: 0 });
+        return { ...job };
+      },
+      get: async ({ name }) => {
+        const entry = this._batches.get(name);
+        if (!entry) throw apiError(404, `Batch job ${name} not found.`);
+        if (entry.job.state === "JOB_STATE_PENDING" || entry.job.state === "JOB_STATE_RUNNING") {
+          entry.polls++;
+          if (entry.polls > this.batchPolls) await this._finishBatch(entry);
+          else entry.job.state = "JOB_STATE_RUNNING";
+          entry.job.updateTime = (/* @__PURE__ */ new Date()).toISOString();
+        }
+        return { ...entry.job };
+      },
+      cancel: async ({ name }) => {
+        const entry = this._batches.get(name);
+        if (!entry) throw apiError(404, `Batch job ${name} not found.`);
+        if (entry.job.state === "JOB_STATE_PENDING" || entry.job.state === "JOB_STATE_RUNNING") {
+          entry.job.state = "JOB_STATE_CANCELLED";
+          entry.job.endTime = (/* @__PURE__ */ new Date()).toISOString();
+        }
+      },
+      delete: async ({ name }) => {
+        this._batches.delete(name);
+      },
+      list: async () => [...this._batches.values()].map((e) => ({ ...e.job }))
+    };
+  }
+  // ── Scripting ────────────────────────────────────────────────────────────
+  /**
+   * Queues responses for upcoming generateContent / generateContentStream calls.
+   * Each is a string (text), a spec object, an Error (thrown), or a function of
+   * the request returning any of those.
+   * @param {...MockResponse} responses
+   * @returns {this}
+   */
+  respond(...responses) {
+    this._queue.push(...responses);
+    return this;
+  }
+  /**
+   * Queues a failure. A number becomes an API error with that HTTP status
+   * (429 is retried by every class, like the real thing).
+   * @param {Error|number} error
+   * @param {string} [message]
+   * @returns {this}
+   */
+  fail(error, message) {
+    this._queue.push(typeof error === "number" ? apiError(error, message || `Mock API error ${error}${error === 429 ? " RESOURCE_EXHAUSTED" : ""}`) : error);
+    return this;
+  }
+  /** Scripted responses not yet consumed. */
+  get pending() {
+    return this._queue.length;
+  }
+  /**
+   * Recorded request params for one method.
+   * @param {MockCall['method']} [method='generateContent'] - `generateContent` includes stream calls
+   * @returns {any[]}
+   */
+  requests(method = "generateContent") {
+    return this.calls.filter((c) => c.method === method || method === "generateContent" && c.method === "generateContentStream").map((c) => c.params);
+  }
+  /** Drops queued responses, recorded calls, files, caches and batch jobs. */
+  reset() {
+    this._queue = [];
+    this.calls = [];
+    this._files.clear();
+    this._caches.clear();
+    this._batches.clear();
+    return this;
+  }
+  // ── Internals ────────────────────────────────────────────────────────────
+  /**
+   * @param {MockCall['method']} method
+   * @param {any} params
+   * @private
+   */
+  _record(method, params) {
+    const { abortSignal = null, ...config } = params.config || {};
+    const sent = params.config ? { ...params, config } : params;
+    this.calls.push({ method, params: structuredClone(sent), signal: abortSignal });
+  }
+  /**
+   * Waits a response's `delayMs`, failing like a fetch would when the
+   * request's `config.abortSignal` aborts (before or during the wait).
+   * @param {number|undefined} ms
+   * @param {AbortSignal|undefined} signal
+   * @returns {Promise<void>}
+   * @private
+   */
+  _delay(ms, signal) {
+    if (signal?.aborted) return Promise.reject(signal.reason);
+    if (!ms) return Promise.resolve();
+    return new Promise((resolve2, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal?.reason);
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve2();
+      }, ms);
+      signal?.addEventListener("abort", onAbort, { once: true });
+    });
+  }
+  /**
+   * Takes the next scripted response and resolves it to a spec.
+   * @param {any} params
+   * @returns {Promise<MockResponseSpec>}
+   * @private
+   */
+  async _next(params) {
+    let response = this._queue.length > 0 ? this._queue.shift() : this.defaultResponse;
+    if (response === null || response === void 0) {
+      const last = textsOf(params.contents).pop() || "";
+      throw new Error(`MockGeminiClient: no response scripted for "${last.slice(0, 80)}". Queue one with respond().`);
+    }
+    if (typeof response === "function") response = await response(params);
+    if (response instanceof Error) throw response;
+    return typeof response === "string" ? { text: response } : (
+      /** @type {MockResponseSpec} */
+      response
+    );
+  }
+  /**
+   * Builds an SDK GenerateContentResponse (so `.text` / `.functionCalls` work).
+   * @param {MockResponseSpec} spec
+   * @param {any} params
+   * @param {Object} [overrides] - Per-chunk parts / usage for streams
+   * @returns {GenerateContentResponse}
+   * @private
+   */
+  _toResponse(spec, params, overrides = {}) {
+    const parts = spec.parts || [
+      ...spec.text !== void 0 ? [{ text: spec.text }] : [],
+      ...(spec.functionCalls || []).map((fc) => ({ functionCall: { name: fc.name, args: fc.args || {} } }))
+    ];
+    const promptTokens = spec.usage?.promptTokens ?? approxTokens2(textsOf(params.contents).join(""));
+    const responseTokens = spec.usage?.responseTokens ?? approxTokens2(spec.text || "");
+    const thoughtsTokens = spec.usage?.thoughtsTokens ?? 0;
+    const { cachedTokens = 0, audioInputTokens = 0, videoInputTokens = 0, imageOutputTokens = 0 } = spec.usage || {};
+    const details = (counts) => Object.entries(counts).filter(([, n]) => n > 0).map(([modality, tokenCount]) => ({ modality, tokenCount }));
+    return Object.assign(new import_genai5.GenerateContentResponse(), {
+      candidates: [{
+        content: { role: "model", parts },
+        finishReason: spec.finishReason || "STOP",
+        ...spec.groundingMetadata && { groundingMetadata: spec.groundingMetadata }
+      }],
+      usageMetadata: {
+        promptTokenCount: promptTokens,
+        candidatesTokenCount: responseTokens,
+        ...thoughtsTokens && { thoughtsTokenCount: thoughtsTokens },
+        ...cachedTokens && { cachedContentTokenCount: cachedTokens },
+        ...(audioInputTokens || videoInputTokens) && {
+          promptTokensDetails: details({ TEXT: promptTokens - audioInputTokens - videoInputTokens, AUDIO: audioInputTokens, VIDEO: videoInputTokens })
+        },
+        ...imageOutputTokens && { candidatesTokensDetails: details({ TEXT: responseTokens - imageOutputTokens, IMAGE: imageOutputTokens }) },
+        totalTokenCount: promptTokens + responseTokens + thoughtsTokens
+      },
+      modelVersion: spec.modelVersion || params.model,
+      ...spec.modelStatus && { modelStatus: spec.modelStatus },
+      ...overrides
+    });
+  }
+  /**
+   * @param {any} params
+   * @returns {Promise<GenerateContentResponse>}
+   * @private
+   */
+  async _generate(params) {
+    this._record("generateContent", params);
+    const spec = await this._next(params);
+    await this._delay(spec.delayMs, params.config?.abortSignal);
+    return this._toResponse(spec, params);
+  }
+  /**
+   * Answers every request of a batch job (recorded as generateContent calls).
+   * A failing request becomes an inlined `{ error }`, like the real API.
+   * @param {{ job: any, requests: any[] }} entry
+   * @private
+   */
+  async _finishBatch(entry) {
+    const inlinedResponses = [];
+    for (const request of entry.requests) {
+      try {
+        inlinedResponses.push({ response: await this._generate({ model: entry.job.model, ...request }) });
+      } catch (err) {
+        inlinedResponses.push({ error: { code: err.status || 500, message: err.message } });
+      }
+    }
+    entry.job.state = "JOB_STATE_SUCCEEDED";
+    entry.job.endTime = (/* @__PURE__ */ new Date()).toISOString();
+    entry.job.dest = { inlinedResponses };
+  }
+  /**
+   * Streams the next response: its text in `streamChunkSize` pieces, with
+   * function calls, finish reason and usage on the last chunk.
+   * @param {any} params
+   * @returns {Promise<AsyncGenerator<GenerateContentResponse>>}
+   * @private
+   */
+  async _generateStream(params) {
+    this._record("generateContentStream", params);
+    const spec = await this._next(params);
+    await this._delay(spec.delayMs, params.config?.abortSignal);
+    const full = this._toResponse(spec, params);
+    const size = this.streamChunkSize;
+    const text = spec.parts ? "" : spec.text || "";
+    const pieces = [];
+    for (let i = 0; i < text.length; i += size) pieces.push(text.slice(i, i + size));
+    return (async function* () {
+      for (let i = 0; i < pieces.length - 1; i++) {
+        yield Object.assign(new import_genai5.GenerateContentResponse(), {
+          candidates: [{ content: { role: "model", parts: [{ text: pieces[i] }] } }],
+          modelVersion: full.modelVersion
+        });
+      }
+      const rest = (
+        /** @type {any[]} */
+        (full.candidates?.[0]?.content?.parts || []).filter((p) => p.text === void 0)
+      );
+      const lastParts = spec.parts || [...pieces.length ? [{ text: pieces[pieces.length - 1] }] : [], ...rest];
+      yield Object.assign(new import_genai5.GenerateContentResponse(), {
+        ...full,
+        candidates: [{ ...full.candidates?.[0], content: { role: "model", parts: lastParts } }]
+      });
+    })();
+  }
+};
+
 // index.js
-var import_genai2 = require("@google/genai");
-var index_default = { Transformer: transformer_default, Chat: chat_default, Message: message_default, ToolAgent: tool_agent_default, CodeAgent: code_agent_default, RagAgent: rag_agent_default, Embedding, ImageGenerator };
+var import_genai6 = require("@google/genai");
+var index_default = { Transformer: transformer_default, Chat: chat_default, Message: message_default, BatchJob: batch_job_default, ToolAgent: tool_agent_default, CodeAgent: code_agent_default, RagAgent: rag_agent_default, Embedding, VectorIndex, ImageGenerator };
 // Annotate the CommonJS export names for ESM import in node:
 0 && (module.exports = {
+  AbortError,
+  AuthError,
+  BATCH_DISCOUNT,
+  BUILTIN_DETECTORS,
   BaseGemini,
+  BatchJob,
+  BudgetExceededError,
+  BudgetTracker,
+  CACHED_INPUT_DISCOUNT,
+  CassetteClient,
   Chat,
   CodeAgent,
+  ContextLengthError,
+  DEFAULT_RETRY_POLICY,
   Embedding,
+  FileResponseCache,
+  FileSessionStore,
+  GeminiError,
   HarmBlockThreshold,
   HarmCategory,
   ImageGenerator,
+  InvalidJSONError,
   MODEL_ALIASES,
   MODEL_PRICING,
+  MemoryResponseCache,
+  MemorySessionStore,
   Message,
+  MockGeminiClient,
+  NetworkError,
+  RATE_LIMIT_PRIORITIES,
   RagAgent,
+  RateLimitError,
+  RateLimiter,
+  Redactor,
+  SafetyBlockedError,
+  Telemetry,
   ThinkingLevel,
+  TimeoutError,
   ToolAgent,
+  ToolExecutionError,
   Transformer,
+  UsageLedger,
+  ValidationError,
+  VectorIndex,
   attemptJSONRecovery,
+  billableTokens,
+  classifyError,
   computeCost,
+  computeCostBreakdown,
   extractJSON,
   log,
+  redactionMiddleware,
   resolvePricing,
+  sumCostBreakdowns,
   validateSchema
 });
@@ -5,9 +5,22 @@
  * - Transformer — AI-powered JSON transformation via few-shot learning
  * - Chat — Multi-turn text conversation with AI
  * - Message — Stateless one-off messages to AI
+ * - BatchJob — Discounted asynchronous jobs on the Gemini Batch API
  * - ToolAgent — AI agent with user-provided tools
  * - CodeAgent — AI agent that writes and executes code (stub)
  * - BaseGemini — Base class for building custom wrappers
+ * - MemorySessionStore / FileSessionStore — Conversation persistence backends
+ * - VectorIndex — In-process vector store with save/load and incremental re-embedding
+ * - Redactor / redactionMiddleware — PII redaction for outbound prompts
+ * - MockGeminiClient — Scriptable offline client for tests (pass as `client`)
+ * - CassetteClient — Record/replay wrapper behind `recordMode` / `cassetteDir`
+ * - MemoryResponseCache / FileResponseCache — Storage for `responseCache`
+ * - BudgetTracker / BudgetExceededError — Spend and token caps behind `budget`
+ * - UsageLedger — Per-call usage and cost records behind `usageLedger`, grouped by label/model
+ * - Telemetry — OpenTelemetry spans and metrics behind `telemetry`
+ * - GeminiError and subclasses (RateLimitError, AuthError, ...) / classifyError — Typed failures
+ * - DEFAULT_RETRY_POLICY — Defaults behind `retryPolicy` (429, 5xx, network and timeout retries)
+ * - RateLimiter — Client-side RPM/TPM limits with priority lanes, shareable through `rateLimiter`
  *
  * @example
  * ```javascript
@@ -23,13 +36,26 @@
 export { default as Transformer } from './transformer.js';
 export { default as Chat } from './chat.js';
 export { default as Message } from './message.js';
+export { default as BatchJob } from './batch-job.js';
 export { default as ToolAgent } from './tool-agent.js';
 export { default as CodeAgent } from './code-agent.js';
 export { default as RagAgent } from './rag-agent.js';
 export { default as Embedding } from './embedding.js';
+export { default as VectorIndex } from './vector-index.js';
 export { default as ImageGenerator } from './image-generator.js';
 export { default as BaseGemini } from './base.js';
-export { MODEL_PRICING, MODEL_ALIASES, resolvePricing, computeCost } from './base.js';
+export { MODEL_PRICING, MODEL_ALIASES, BATCH_DISCOUNT, CACHED_INPUT_DISCOUNT, resolvePricing, billableTokens, computeCostBreakdown, computeCost, sumCostBreakdowns } from './base.js';
+export { MemorySessionStore, FileSessionStore } from './session-store.js';
+export { Redactor, redactionMiddleware, BUILTIN_DETECTORS } from './redaction.js';
+export { default as MockGeminiClient } from './mock-client.js';
+export { default as CassetteClient } from './cassette.js';
+export { MemoryResponseCache, FileResponseCache } from './response-cache.js';
+export { BudgetTracker, BudgetExceededError } from './budget.js';
+export { UsageLedger } from './usage-ledger.js';
+export { Telemetry } from './telemetry.js';
+export { GeminiError, RateLimitError, SafetyBlockedError, InvalidJSONError, ValidationError, AuthError, ContextLengthError, ToolExecutionError, TimeoutError, AbortError, NetworkError, classifyError } from './errors.js';
+export { DEFAULT_RETRY_POLICY } from './retry.js';
+export { RateLimiter, RATE_LIMIT_PRIORITIES } from './rate-limiter.js';
 export { default as log } from './logger.js';
 export { ThinkingLevel, HarmCategory, HarmBlockThreshold } from '@google/genai';
 export { extractJSON, attemptJSONRecovery, validateSchema } from './json-helpers.js';
@@ -39,10 +65,12 @@ export { extractJSON, attemptJSONRecovery, validateSchema } from './json-helpers
 import Transformer from './transformer.js';
 import Chat from './chat.js';
 import Message from './message.js';
+import BatchJob from './batch-job.js';
 import ToolAgent from './tool-agent.js';
 import CodeAgent from './code-agent.js';
 import RagAgent from './rag-agent.js';
 import Embedding from './embedding.js';
+import VectorIndex from './vector-index.js';
 import ImageGenerator from './image-generator.js';
 
-export default { Transformer, Chat, Message, ToolAgent, CodeAgent, RagAgent, Embedding, ImageGenerator };
+export default { Transformer, Chat, Message, BatchJob, ToolAgent, CodeAgent, RagAgent, Embedding, VectorIndex, ImageGenerator };
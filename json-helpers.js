@@ -45,9 +45,10 @@ export function isJSONStr(string) {
  * until valid JSON is found or recovery fails.
  * @param {string} text - The potentially truncated JSON string
  * @param {number} [maxAttempts=100] - Maximum number of characters to remove
+ * @param {boolean} [quiet=false] - Skip the "appears truncated" warning (e.g. when parsing an in-flight stream)
  * @returns {Object|null} - Parsed JSON object or null if recovery fails
  */
-export function attemptJSONRecovery(text, maxAttempts = 100) {
+export function attemptJSONRecovery(text, maxAttempts = 100, quiet = false) {
 	if (!text || typeof text !== 'string') return null;
 
 	// First, try parsing as-is
@@ -110,7 +111,7 @@ export function attemptJSONRecovery(text, maxAttempts = 100) {
 
 		try {
 			const result = JSON.parse(fixedText);
-			if (log.level !== 'silent') {
+			if (!quiet && log.level !== 'silent') {
 				log.warn(`JSON response appears truncated (possibly hit maxOutputTokens limit). Recovered by adding closing characters.`);
 			}
 			return result;
@@ -158,7 +159,7 @@ export function attemptJSONRecovery(text, maxAttempts = 100) {
 		if (braces === 0 && brackets === 0 && !inString) {
 			try {
 				const result = JSON.parse(workingText);
-				if (log.level !== 'silent') {
+				if (!quiet && log.level !== 'silent') {
 					log.warn(`JSON response appears truncated (possibly hit maxOutputTokens limit). Recovered by removing ${i + 1} characters from the end.`);
 				}
 				return result;
@@ -186,7 +187,7 @@ export function attemptJSONRecovery(text, maxAttempts = 100) {
 
 			try {
 				const result = JSON.parse(fixedText);
-				if (log.level !== 'silent') {
+				if (!quiet && log.level !== 'silent') {
 					log.warn(`JSON response appears truncated (possibly hit maxOutputTokens limit). Recovered by adding closing characters.`);
 				}
 				return result;
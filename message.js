@@ -10,6 +10,7 @@ import log from './logger.js';
 /**
  * @typedef {import('./types').MessageOptions} MessageOptions
  * @typedef {import('./types').MessageResponse} MessageResponse
+ * @typedef {import('./types').ChatStreamEvent} ChatStreamEvent
  */
 
 /**
@@ -95,64 +96,124 @@ class Message extends BaseGemini {
 	 * @param {Object|string} payload - The message or data to send
 	 * @param {Object} [opts={}] - Per-message options
 	 * @param {Record<string, string>} [opts.labels] - Per-message billing labels
+	 * @param {AbortSignal} [opts.signal] - Cancels the call (throws AbortError)
+	 * @param {number} [opts.timeoutMs] - Time limit for the whole call, retries included (throws TimeoutError)
 	 * @returns {Promise<MessageResponse>} Response with text, optional data, and usage
 	 */
 	async send(payload, opts = {}) {
-		if (!this._initialized) await this.init();
+		return this._withCallOptions(opts, async () => {
+			if (!this._initialized) await this.init();
 
-		const payloadStr = typeof payload === 'string'
-			? payload
-			: JSON.stringify(payload, null, 2);
+			const result = await this._generateCached(this._request(payload, opts));
 
-		const contents = [{ role: 'user', parts: [{ text: payloadStr }] }];
+			// Compute per-call usage synchronously from THIS response before any other
+			// concurrent send() can mutate instance state. result.usage is safe under
+			// concurrency; getLastUsage() (instance state, updated below) is not.
+			const usage = this._usageFromResponse(result);
 
-		const mergedLabels = { ...this.labels, ...(opts.labels || {}) };
+			this._captureMetadata(result);
 
-		const result = await this._withRetry(() => this.genAIClient.models.generateContent({
-			model: this.modelName,
-			contents: contents,
-			config: {
-				...this.chatConfig,
-				...(this.vertexai && Object.keys(mergedLabels).length > 0 && { labels: mergedLabels })
+			this._cumulativeUsage = {
+				promptTokens: this.lastResponseMetadata.promptTokens,
+				responseTokens: this.lastResponseMetadata.responseTokens,
+				thoughtsTokens: this.lastResponseMetadata.thoughtsTokens,
+				totalTokens: this.lastResponseMetadata.totalTokens,
+				attempts: 1
+			};
+
+			if (result.usageMetadata && log.level !== 'silent') {
+				log.debug(`Message response: model=${result.modelVersion || 'unknown'}, tokens=${result.usageMetadata.totalTokenCount}`);
 			}
-		}));
 
-		// Compute per-call usage synchronously from THIS response before any other
-		// concurrent send() can mutate instance state. result.usage is safe under
-		// concurrency; getLastUsage() (instance state, updated below) is not.
-		const usage = this._usageFromResponse(result);
+			const text = result.text || '';
+			const response = {
+				text,
+				usage
+			};
+
+			// Parse structured data if configured
+			if (this._isStructured) {
+				try {
+					response.data = extractJSON(text);
+				} catch (e) {
+					log.warn(`Could not parse structured response: ${e.message}`);
+					response.data = null;
+				}
+			}
 
-		this._captureMetadata(result);
+			return response;
+		});
+	}
 
-		this._cumulativeUsage = {
-			promptTokens: this.lastResponseMetadata.promptTokens,
-			responseTokens: this.lastResponseMetadata.responseTokens,
-			thoughtsTokens: this.lastResponseMetadata.thoughtsTokens,
-			totalTokens: this.lastResponseMetadata.totalTokens,
-			attempts: 1
-		};
+	/**
+	 * Send a stateless message and stream the response as events. Nothing is
+	 * cached; a failure before the first chunk is retried like send().
+	 *
+	 * @param {Object|string} payload - The message or data to send
+	 * @param {Object} [opts={}] - Per-message options
+	 * @param {Record<string, string>} [opts.labels] - Per-message billing labels
+	 * @param {AbortSignal} [opts.signal] - Cancels the call (throws AbortError)
+	 * @param {number} [opts.timeoutMs] - Time limit for the whole call, retries included (throws TimeoutError)
+	 * @yields {ChatStreamEvent}
+	 */
+	async *stream(payload, opts = {}) {
+		yield* this._streamWithCallOptions(opts, () => this._stream(payload, opts));
+	}
 
-		if (result.usageMetadata && log.level !== 'silent') {
-			log.debug(`Message response: model=${result.modelVersion || 'unknown'}, tokens=${result.usageMetadata.totalTokenCount}`);
+	/**
+	 * stream(), run in the call's scope (see _streamWithCallOptions()).
+	 * @param {Object|string} payload
+	 * @param {Object} opts
+	 * @yields {ChatStreamEvent}
+	 * @private
+	 */
+	async *_stream(payload, opts) {
+		if (!this._initialized) await this.init();
+
+		let fullText = '';
+		let last = null;
+		const streamResponse = await this._withRetry(() => this._models.generateContentStream(this._request(payload, opts)));
+
+		for await (const chunk of streamResponse) {
+			if (chunk.usageMetadata) last = chunk;
+			if (chunk.text) {
+				fullText += chunk.text;
+				yield { type: 'text', text: chunk.text };
+			}
 		}
 
-		const text = result.text || '';
-		const response = {
-			text,
+		const usage = last ? this._usageFromResponse(last) : null;
+		if (last) this._captureMetadata(last);
+
+		yield {
+			type: 'done',
+			fullText,
 			usage
 		};
+	}
 
-		// Parse structured data if configured
-		if (this._isStructured) {
-			try {
-				response.data = extractJSON(text);
-			} catch (e) {
-				log.warn(`Could not parse structured response: ${e.message}`);
-				response.data = null;
-			}
-		}
+	/**
+	 * generateContent() params for one payload.
+	 * @param {Object|string} payload
+	 * @param {{ labels?: Record<string, string> }} opts
+	 * @returns {Object}
+	 * @private
+	 */
+	_request(payload, opts) {
+		const payloadStr = typeof payload === 'string'
+			? payload
+			: JSON.stringify(payload, null, 2);
 
-		return response;
+		const mergedLabels = { ...this.labels, ...(opts.labels || {}) };
+
+		return {
+			model: this.modelName,
+			contents: [{ role: 'user', parts: [{ text: payloadStr }] }],
+			config: {
+				...this.chatConfig,
+				...(this.vertexai && Object.keys(mergedLabels).length > 0 && { labels: mergedLabels })
+			}
+		};
 	}
 
 	// ── No-ops for stateless class ──
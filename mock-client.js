@@ -0,0 +1,439 @@
+/**
+ * @fileoverview MockGeminiClient — a scriptable, in-process stand-in for GoogleGenAI.
+ *
+ * Pass it as the `client` option to any class to run without network or
+ * credentials. Responses are queued with respond() and consumed in order by
+ * generateContent / generateContentStream (chat turns, tool rounds, stateless
+ * sends and streams all draw from the same queue). Embeddings, token counts,
+ * files and caches work out of the box with deterministic fakes. Batch jobs
+ * report RUNNING for `batchPolls` status checks, then answer every inlined
+ * request from the same queue. A response with `delayMs` takes that long to
+ * arrive, and honors the request's `config.abortSignal` like the SDK does.
+ *
+ * @example
+ * ```javascript
+ * import { Chat, MockGeminiClient } from 'ak-gemini';
+ *
+ * const client = new MockGeminiClient().respond('Hi!', { text: 'Bye.', usage: { responseTokens: 2 } });
+ * const chat = new Chat({ client });
+ * await chat.send('hello');          // { text: 'Hi!', ... }
+ * client.requests().length;          // 1 — every request is recorded
+ * ```
+ */
+
+import { GenerateContentResponse, Chats } from '@google/genai';
+import { basename } from 'node:path';
+
+/**
+ * @typedef {import('./types').MockResponse} MockResponse
+ * @typedef {import('./types').MockResponseSpec} MockResponseSpec
+ * @typedef {import('./types').MockGeminiClientOptions} MockGeminiClientOptions
+ * @typedef {import('./types').MockCall} MockCall
+ */
+
+const DEFAULT_EMBEDDING_DIMENSIONS = 8;
+const DEFAULT_STREAM_CHUNK_SIZE = 16;
+const DEFAULT_BATCH_POLLS = 1;
+
+/**
+ * Rough token count (~4 characters per token) over every string in a value.
+ * @param {any} value
+ * @returns {number}
+ */
+function approxTokens(value) {
+	if (value == null) return 0;
+	const text = typeof value === 'string' ? value : JSON.stringify(value);
+	return Math.ceil(text.length / 4);
+}
+
+/**
+ * Plain text of SDK `contents` (string, Content, or an array of either).
+ * @param {any} contents
+ * @returns {string[]}
+ */
+function textsOf(contents) {
+	return [].concat(contents ?? []).map((/** @type {any} */ c) => typeof c === 'string'
+		? c
+		: (c?.parts || []).map((/** @type {any} */ p) => p.text || '').join(''));
+}
+
+/**
+ * Deterministic bag-of-words vector (feature hashing, L2-normalized): texts
+ * sharing words land close together, so similarity search behaves sensibly.
+ * @param {string} text
+ * @param {number} dimensions
+ * @returns {number[]}
+ */
+function hashedVector(text, dimensions) {
+	const vector = new Array(dimensions).fill(0);
+	for (const word of text.toLowerCase().match(/[a-z0-9]+/g) || []) {
+		let h = 2166136261;
+		for (let i = 0; i < word.length; i++) h = Math.imul(h ^ word.charCodeAt(i), 16777619);
+		vector[(h >>> 0) % dimensions] += 1;
+	}
+	const norm = Math.sqrt(vector.reduce((n, v) => n + v * v, 0)) || 1;
+	return vector.map(v => v / norm);
+}
+
+/**
+ * Error shaped like the SDK's ApiError (`status` is what _withRetry checks).
+ * @param {number} status
+ * @param {string} message
+ * @returns {Error}
+ */
+function apiError(status, message) {
+	return Object.assign(new Error(message), { status });
+}
+
+export default class MockGeminiClient {
+	/**
+	 * @param {MockGeminiClientOptions} [options={}]
+	 */
+	constructor(options = {}) {
+		/** @type {MockResponse|null} Used when the queue is empty; null means "throw" */
+		this.defaultResponse = options.defaultResponse ?? null;
+		this.embeddingDimensions = options.embeddingDimensions ?? DEFAULT_EMBEDDING_DIMENSIONS;
+		this.streamChunkSize = options.streamChunkSize ?? DEFAULT_STREAM_CHUNK_SIZE;
+		/** @type {((text: string, config: Object) => number[])|null} */
+		this.embedFn = options.embed || null;
+		this.batchPolls = options.batchPolls ?? DEFAULT_BATCH_POLLS;
+
+		/** @type {MockResponse[]} */
+		this._queue = [];
+		/** @type {MockCall[]} Every models call, in order */
+		this.calls = [];
+		/** @type {Map<string, any>} */
+		this._files = new Map();
+		/** @type {Map<string, any>} */
+		this._caches = new Map();
+		/** @type {Map<string, { job: any, requests: any[], polls: number }>} */
+		this._batches = new Map();
+		this._counter = 0;
+
+		this.models = {
+			generateContent: (/** @type {any} */ params) => this._generate(params),
+			generateContentStream: (/** @type {any} */ params) => this._generateStream(params),
+			countTokens: async (/** @type {any} */ params) => {
+				this._record('countTokens', params);
+				return { totalTokens: approxTokens(textsOf(params.contents).join('')) };
+			},
+			embedContent: async (/** @type {any} */ params) => {
+				this._record('embedContent', params);
+				await this._delay(0, params.config?.abortSignal);
+				const dimensions = params.config?.outputDimensionality ?? this.embeddingDimensions;
+				return {
+					embeddings: textsOf(params.contents).map(text => ({
+						values: this.embedFn ? this.embedFn(text, params.config || {}) : hashedVector(text, dimensions)
+					}))
+				};
+			},
+			list: async () => [{ name: 'models/mock', displayName: 'MockGeminiClient' }]
+		};
+
+		// The SDK's own chat session, driven by our models — history behaves exactly as it does live
+		this.chats = new Chats(/** @type {any} */ (this.models), /** @type {any} */ (null));
+
+		this.files = {
+			upload: async (/** @type {any} */ { file, config = {} }) => {
+				const id = `files/mock-${++this._counter}`;
+				const record = {
+					name: id,
+					displayName: config.displayName || (typeof file === 'string' ? basename(file) : id),
+					mimeType: config.mimeType || 'application/octet-stream',
+					uri: `https://mock.local/v1beta/${id}`,
+					state: 'ACTIVE'
+				};
+				this._files.set(id, record);
+				return { ...record };
+			},
+			get: async (/** @type {any} */ { name }) => {
+				if (!this._files.has(name)) throw apiError(404, `File ${name} not found.`);
+				return { ...this._files.get(name) };
+			},
+			delete: async (/** @type {any} */ { name }) => { this._files.delete(name); },
+			list: async () => [...this._files.values()].map(f => ({ ...f }))
+		};
+
+		this.caches = {
+			create: async (/** @type {any} */ { model, config = {} }) => {
+				const name = `cachedContents/mock-${++this._counter}`;
+				const cache = {
+					name,
+					model,
+					displayName: config.displayName,
+					expireTime: new Date(Date.now() + (parseFloat(config.ttl) || 3600) * 1000).toISOString(),
+					usageMetadata: { totalTokenCount: approxTokens([config.contents, config.systemInstruction]) }
+				};
+				this._caches.set(name, cache);
+				return { ...cache };
+			},
+			get: async (/** @type {any} */ { name }) => {
+				if (!this._caches.has(name)) throw apiError(404, `Cached content ${name} not found.`);
+				return { ...this._caches.get(name) };
+			},
+			update: async (/** @type {any} */ { name, config = {} }) => {
+				const cache = await this.caches.get({ name });
+				const updated = {
+					...cache,
+					expireTime: config.expireTime || new Date(Date.now() + (parseFloat(config.ttl) || 3600) * 1000).toISOString()
+				};
+				this._caches.set(name, updated);
+				return { ...updated };
+			},
+			delete: async (/** @type {any} */ { name }) => { this._caches.delete(name); },
+			list: async () => [...this._caches.values()].map(c => ({ ...c }))
+		};
+
+		this.batches = {
+			create: async (/** @type {any} */ { model, src, config = {} }) => {
+				const requests = Array.isArray(src) ? src : src?.inlinedRequests;
+				if (!Array.isArray(requests)) throw apiError(400, 'MockGeminiClient batches only support inlined requests.');
+				const name = `batches/mock-${++this._counter}`;
+				const now = new Date().toISOString();
+				const job = { name, displayName: config.displayName, model, state: 'JOB_STATE_PENDING', createTime: now, updateTime: now };
+				this._batches.set(name, { job, requests: structuredClone(requests), polls: 0 });
+				return { ...job };
+			},
+			get: async (/** @type {any} */ { name }) => {
+				const entry = this._batches.get(name);
+				if (!entry) throw apiError(404, `Batch job ${name} not found.`);
+				if (entry.job.state === 'JOB_STATE_PENDING' || entry.job.state === 'JOB_STATE_RUNNING') {
+					entry.polls++;
+					if (entry.polls > this.batchPolls) await this._finishBatch(entry);
+					else entry.job.state = 'JOB_STATE_RUNNING';
+					entry.job.updateTime = new Date().toISOString();
+				}
+				return { ...entry.job };
+			},
+			cancel: async (/** @type {any} */ { name }) => {
+				const entry = this._batches.get(name);
+				if (!entry) throw apiError(404, `Batch job ${name} not found.`);
+				if (entry.job.state === 'JOB_STATE_PENDING' || entry.job.state === 'JOB_STATE_RUNNING') {
+					entry.job.state = 'JOB_STATE_CANCELLED';
+					entry.job.endTime = new Date().toISOString();
+				}
+			},
+			delete: async (/** @type {any} */ { name }) => { this._batches.delete(name); },
+			list: async () => [...this._batches.values()].map(e => ({ ...e.job }))
+		};
+	}
+
+	// ── Scripting ────────────────────────────────────────────────────────────
+
+	/**
+	 * Queues responses for upcoming generateContent / generateContentStream calls.
+	 * Each is a string (text), a spec object, an Error (thrown), or a function of
+	 * the request returning any of those.
+	 * @param {...MockResponse} responses
+	 * @returns {this}
+	 */
+	respond(...responses) {
+		this._queue.push(...responses);
+		return this;
+	}
+
+	/**
+	 * Queues a failure. A number becomes an API error with that HTTP status
+	 * (429 is retried by every class, like the real thing).
+	 * @param {Error|number} error
+	 * @param {string} [message]
+	 * @returns {this}
+	 */
+	fail(error, message) {
+		this._queue.push(typeof error === 'number'
+			? apiError(error, message || `Mock API error ${error}${error === 429 ? ' RESOURCE_EXHAUSTED' : ''}`)
+			: error);
+		return this;
+	}
+
+	/** Scripted responses not yet consumed. */
+	get pending() {
+		return this._queue.length;
+	}
+
+	/**
+	 * Recorded request params for one method.
+	 * @param {MockCall['method']} [method='generateContent'] - `generateContent` includes stream calls
+	 * @returns {any[]}
+	 */
+	requests(method = 'generateContent') {
+		return this.calls
+			.filter(c => c.method === method || (method === 'generateContent' && c.method === 'generateContentStream'))
+			.map(c => c.params);
+	}
+
+	/** Drops queued responses, recorded calls, files, caches and batch jobs. */
+	reset() {
+		this._queue = [];
+		this.calls = [];
+		this._files.clear();
+		this._caches.clear();
+		this._batches.clear();
+		return this;
+	}
+
+	// ── Internals ────────────────────────────────────────────────────────────
+
+	/**
+	 * @param {MockCall['method']} method
+	 * @param {any} params
+	 * @private
+	 */
+	_record(method, params) {
+		// The signal can't be cloned (and isn't part of the request): it is kept by reference
+		const { abortSignal = null, ...config } = params.config || {};
+		const sent = params.config ? { ...params, config } : params;
+		// structuredClone: later mutation of the caller's history mustn't rewrite what was "sent"
+		this.calls.push({ method, params: structuredClone(sent), signal: abortSignal });
+	}
+
+	/**
+	 * Waits a response's `delayMs`, failing like a fetch would when the
+	 * request's `config.abortSignal` aborts (before or during the wait).
+	 * @param {number|undefined} ms
+	 * @param {AbortSignal|undefined} signal
+	 * @returns {Promise<void>}
+	 * @private
+	 */
+	_delay(ms, signal) {
+		if (signal?.aborted) return Promise.reject(signal.reason);
+		if (!ms) return Promise.resolve();
+		return new Promise((resolve, reject) => {
+			const onAbort = () => {
+				clearTimeout(timer);
+				reject(signal?.reason);
+			};
+			const timer = setTimeout(() => {
+				signal?.removeEventListener('abort', onAbort);
+				resolve();
+			}, ms);
+			signal?.addEventListener('abort', onAbort, { once: true });
+		});
+	}
+
+	/**
+	 * Takes the next scripted response and resolves it to a spec.
+	 * @param {any} params
+	 * @returns {Promise<MockResponseSpec>}
+	 * @private
+	 */
+	async _next(params) {
+		let response = this._queue.length > 0 ? this._queue.shift() : this.defaultResponse;
+		if (response === null || response === undefined) {
+			const last = textsOf(params.contents).pop() || '';
+			throw new Error(`MockGeminiClient: no response scripted for "${last.slice(0, 80)}". Queue one with respond().`);
+		}
+		if (typeof response === 'function') response = await response(params);
+		if (response instanceof Error) throw response;
+		return typeof response === 'string' ? { text: response } : /** @type {MockResponseSpec} */ (response);
+	}
+
+	/**
+	 * Builds an SDK GenerateContentResponse (so `.text` / `.functionCalls` work).
+	 * @param {MockResponseSpec} spec
+	 * @param {any} params
+	 * @param {Object} [overrides] - Per-chunk parts / usage for streams
+	 * @returns {GenerateContentResponse}
+	 * @private
+	 */
+	_toResponse(spec, params, overrides = {}) {
+		const parts = spec.parts || [
+			...(spec.text !== undefined ? [{ text: spec.text }] : []),
+			...(spec.functionCalls || []).map(fc => ({ functionCall: { name: fc.name, args: fc.args || {} } }))
+		];
+		const promptTokens = spec.usage?.promptTokens ?? approxTokens(textsOf(params.contents).join(''));
+		const responseTokens = spec.usage?.responseTokens ?? approxTokens(spec.text || '');
+		const thoughtsTokens = spec.usage?.thoughtsTokens ?? 0;
+		const { cachedTokens = 0, audioInputTokens = 0, videoInputTokens = 0, imageOutputTokens = 0 } = spec.usage || {};
+		/** @param {Record<string, number>} counts */
+		const details = (counts) => Object.entries(counts).filter(([, n]) => n > 0).map(([modality, tokenCount]) => ({ modality, tokenCount }));
+
+		return Object.assign(new GenerateContentResponse(), {
+			candidates: [{
+				content: { role: 'model', parts },
+				finishReason: spec.finishReason || 'STOP',
+				...(spec.groundingMetadata && { groundingMetadata: spec.groundingMetadata })
+			}],
+			usageMetadata: {
+				promptTokenCount: promptTokens,
+				candidatesTokenCount: responseTokens,
+				...(thoughtsTokens && { thoughtsTokenCount: thoughtsTokens }),
+				...(cachedTokens && { cachedContentTokenCount: cachedTokens }),
+				...((audioInputTokens || videoInputTokens) && {
+					promptTokensDetails: details({ TEXT: promptTokens - audioInputTokens - videoInputTokens, AUDIO: audioInputTokens, VIDEO: videoInputTokens })
+				}),
+				...(imageOutputTokens && { candidatesTokensDetails: details({ TEXT: responseTokens - imageOutputTokens, IMAGE: imageOutputTokens }) }),
+				totalTokenCount: promptTokens + responseTokens + thoughtsTokens
+			},
+			modelVersion: spec.modelVersion || params.model,
+			...(spec.modelStatus && { modelStatus: spec.modelStatus }),
+			...overrides
+		});
+	}
+
+	/**
+	 * @param {any} params
+	 * @returns {Promise<GenerateContentResponse>}
+	 * @private
+	 */
+	async _generate(params) {
+		this._record('generateContent', params);
+		const spec = await this._next(params);
+		await this._delay(spec.delayMs, params.config?.abortSignal);
+		return this._toResponse(spec, params);
+	}
+
+	/**
+	 * Answers every request of a batch job (recorded as generateContent calls).
+	 * A failing request becomes an inlined `{ error }`, like the real API.
+	 * @param {{ job: any, requests: any[] }} entry
+	 * @private
+	 */
+	async _finishBatch(entry) {
+		const inlinedResponses = [];
+		for (const request of entry.requests) {
+			try {
+				inlinedResponses.push({ response: await this._generate({ model: entry.job.model, ...request }) });
+			} catch (err) {
+				inlinedResponses.push({ error: { code: err.status || 500, message: err.message } });
+			}
+		}
+		entry.job.state = 'JOB_STATE_SUCCEEDED';
+		entry.job.endTime = new Date().toISOString();
+		entry.job.dest = { inlinedResponses };
+	}
+
+	/**
+	 * Streams the next response: its text in `streamChunkSize` pieces, with
+	 * function calls, finish reason and usage on the last chunk.
+	 * @param {any} params
+	 * @returns {Promise<AsyncGenerator<GenerateContentResponse>>}
+	 * @private
+	 */
+	async _generateStream(params) {
+		this._record('generateContentStream', params);
+		const spec = await this._next(params);
+		await this._delay(spec.delayMs, params.config?.abortSignal);
+		const full = this._toResponse(spec, params);
+		const size = this.streamChunkSize;
+		const text = spec.parts ? '' : (spec.text || '');
+		const pieces = [];
+		for (let i = 0; i < text.length; i += size) pieces.push(text.slice(i, i + size));
+
+		return (async function* () {
+			for (let i = 0; i < pieces.length - 1; i++) {
+				yield Object.assign(new GenerateContentResponse(), {
+					candidates: [{ content: { role: 'model', parts: [{ text: pieces[i] }] } }],
+					modelVersion: full.modelVersion
+				});
+			}
+			// Last chunk: remaining text plus any non-text parts, and the usage totals
+			const rest = /** @type {any[]} */ (full.candidates?.[0]?.content?.parts || []).filter(p => p.text === undefined);
+			const lastParts = spec.parts || [...(pieces.length ? [{ text: pieces[pieces.length - 1] }] : []), ...rest];
+			yield Object.assign(new GenerateContentResponse(), {
+				...full,
+				candidates: [{ ...full.candidates?.[0], content: { role: 'model', parts: lastParts } }]
+			});
+		})();
+	}
+}
@@ -1,20 +1,30 @@
 /**
  * @fileoverview RagAgent class — AI agent for document & data Q&A.
  *
- * NOTE: This is not true RAG (no vector embeddings, chunking, or similarity
- * search). It uses long-context injection — all content is placed directly
- * into the model's context window. Named "RagAgent" because it serves the
- * same purpose in spirit: grounding AI responses in user-provided data.
+ * Two retrieval modes:
+ * - `'context'` (default): long-context injection — all content is placed
+ *   directly into the model's context window. Simple and exact, but limited
+ *   by the window size.
+ * - `'vector'`: localFiles/localData are chunked and kept in a VectorIndex
+ *   (embedded with RETRIEVAL_DOCUMENT), and only the top-k chunks for each
+ *   question (RETRIEVAL_QUERY) are sent with it. Remote files are always
+ *   attached in full.
  *
  * Supports three input types:
  * - remoteFiles: uploaded via Google Files API (PDFs, images, audio, video)
  * - localFiles: read from disk as text (md, json, csv, yaml, txt)
  * - localData: in-memory objects serialized as JSON
+ *
+ * Every source (or retrieved chunk) is labelled `[n]` for the model, which is
+ * asked to cite with those markers; responses carry the parsed `citations`.
  */
 
 import { resolve, basename, extname } from 'node:path';
 import { readFile } from 'node:fs/promises';
 import BaseGemini from './base.js';
+import Embedding from './embedding.js';
+import VectorIndex from './vector-index.js';
+import { TimeoutError } from './errors.js';
 import log from './logger.js';
 
 /** @type {Record<string, string>} */
@@ -45,6 +55,9 @@ const MIME_TYPES = {
  * @typedef {import('./types').RagResponse} RagResponse
  * @typedef {import('./types').RagStreamEvent} RagStreamEvent
  * @typedef {import('./types').LocalDataEntry} LocalDataEntry
+ * @typedef {import('./types').RetrievedChunk} RetrievedChunk
+ * @typedef {import('./types').RagCitation} RagCitation
+ * @typedef {import('./types').RagSource} RagSource
  */
 
 const DEFAULT_SYSTEM_PROMPT =
@@ -54,6 +67,149 @@ const DEFAULT_SYSTEM_PROMPT =
 const FILE_POLL_INTERVAL_MS = 2000;
 const FILE_POLL_TIMEOUT_MS = 60_000;
 
+const CITATION_INSTRUCTION =
+	'Sources are labelled [1], [2], and so on. Cite every statement that uses a source by putting its ' +
+	'label right after the statement, e.g. "Tokens expire after 1 hour [2]." Cite several sources as [1, 3]. ' +
+	'Only use labels that appear in the provided material.';
+
+/** `[2]` or `[1, 3]` */
+const CITATION_MARKER = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+const RETRIEVAL_MODES = ['context', 'vector'];
+const DEFAULT_TOP_K = 5;
+const DEFAULT_CHUNK_SIZE = 2000;
+const DEFAULT_CHUNK_OVERLAP = 200;
+
+/**
+ * Finds `[n]` markers in an answer and maps each to its source. The cited span
+ * is the text before the marker, back to the previous marker or the start of
+ * the sentence, whichever is closer.
+ * @param {string} text
+ * @param {RagSource[]} sources - sources[n - 1] is labelled [n]
+ * @returns {RagCitation[]}
+ */
+function extractCitations(text, sources) {
+	/** @type {RagCitation[]} */
+	const citations = [];
+	let spanFloor = 0;
+
+	for (const match of text.matchAll(CITATION_MARKER)) {
+		const before = text.slice(spanFloor, match.index);
+		const sentenceStart = Math.max(
+			before.lastIndexOf('. '), before.lastIndexOf('! '), before.lastIndexOf('? '), before.lastIndexOf('\n')
+		);
+		let start = spanFloor + (sentenceStart === -1 ? 0 : sentenceStart + 1);
+		let end = match.index;
+		while (start < end && /\s/.test(text[start])) start++;
+		while (end > start && /\s/.test(text[end - 1])) end--;
+
+		for (const n of match[1].split(',').map(Number)) {
+			const source = sources[n - 1];
+			if (!source) continue;
+			citations.push({ marker: n, text: text.slice(start, end), start, end, ...source });
+		}
+		spanFloor = match.index + match[0].length;
+	}
+	return citations;
+}
+
+/**
+ * Citations from the API's groundingMetadata (e.g. Files API retrieval or
+ * Search grounding). Chunks whose URI matches an uploaded remote file are
+ * attributed to that file.
+ * @param {string} text
+ * @param {Object|null|undefined} groundingMetadata
+ * @param {Array<Object>} uploadedFiles
+ * @returns {RagCitation[]}
+ */
+function groundingCitations(text, groundingMetadata, uploadedFiles) {
+	const chunks = groundingMetadata?.groundingChunks || [];
+	/** @type {RagCitation[]} */
+	const citations = [];
+
+	for (const support of groundingMetadata?.groundingSupports || []) {
+		const segmentText = support.segment?.text || '';
+		const found = segmentText ? text.indexOf(segmentText) : -1;
+		const start = found !== -1 ? found : (support.segment?.startIndex ?? 0);
+		const end = found !== -1 ? found + segmentText.length : (support.segment?.endIndex ?? start);
+
+		for (const i of support.groundingChunkIndices || []) {
+			const ref = chunks[i]?.retrievedContext || chunks[i]?.web;
+			if (!ref) continue;
+			const file = uploadedFiles.find(f => f.uri === ref.uri);
+			citations.push({
+				text: segmentText || text.slice(start, end),
+				start,
+				end,
+				source: file ? file.displayName : (ref.title || ref.uri),
+				type: file || !chunks[i].web ? 'remoteFile' : 'web',
+				...(file && { path: file.originalPath }),
+				...(ref.uri && { uri: ref.uri })
+			});
+		}
+	}
+	return citations;
+}
+
+/**
+ * Serializes a localData value the way it is shown to the model.
+ * @param {any} data
+ * @returns {string}
+ */
+function serializeData(data) {
+	return typeof data === 'string' ? data : JSON.stringify(data, null, 2);
+}
+
+/**
+ * Splits text into chunks of about `size` characters on line boundaries,
+ * repeating up to `overlap` characters of trailing lines at the start of the
+ * next chunk. Lines longer than `size` are hard-split.
+ * @param {string} text
+ * @param {number} size
+ * @param {number} overlap
+ * @returns {Array<{ text: string, startLine: number, endLine: number }>} 1-based, inclusive line ranges
+ */
+function chunkText(text, size, overlap) {
+	/** @type {Array<{ text: string, line: number }>} */
+	const lines = [];
+	text.split('\n').forEach((line, i) => {
+		if (line.length <= size) return lines.push({ text: line, line: i + 1 });
+		for (let p = 0; p < line.length; p += size) lines.push({ text: line.slice(p, p + size), line: i + 1 });
+	});
+
+	const chunks = [];
+	let current = [];
+	let length = 0;
+	const flush = () => {
+		if (!current.some(l => l.text.trim())) return;
+		chunks.push({
+			text: current.map(l => l.text).join('\n'),
+			startLine: current[0].line,
+			endLine: current[current.length - 1].line
+		});
+	};
+
+	for (const line of lines) {
+		if (current.length > 0 && length + line.text.length + 1 > size) {
+			flush();
+			// Carry trailing lines forward as overlap
+			const carried = [];
+			let carriedLength = 0;
+			for (let i = current.length - 1; i >= 0; i--) {
+				if (carriedLength + current[i].text.length + 1 > overlap) break;
+				carried.unshift(current[i]);
+				carriedLength += current[i].text.length + 1;
+			}
+			current = carried;
+			length = carriedLength;
+		}
+		current.push(line);
+		length += line.text.length + 1;
+	}
+	flush();
+	return chunks;
+}
+
 /**
  * AI agent that answers questions grounded in user-provided documents and data.
  * Supports three input types:
@@ -76,6 +232,11 @@ const FILE_POLL_TIMEOUT_MS = 60_000;
  * const result = await agent.chat('What does the API doc say about auth?');
  * console.log(result.text);
  *
+ * // Vector retrieval for corpora larger than the context window
+ * const big = new RagAgent({ localFiles: manyDocs, retrieval: 'vector', topK: 8 });
+ * const { text, chunks } = await big.chat('How do refunds work?');
+ * console.log(chunks.map(c => `${c.source}:${c.startLine}-${c.endLine}`));
+ *
  * // Streaming
  * for await (const event of agent.stream('Summarize the report')) {
  *   if (event.type === 'text') process.stdout.write(event.text);
@@ -91,6 +252,11 @@ class RagAgent extends BaseGemini {
 			options = { ...options, systemPrompt: DEFAULT_SYSTEM_PROMPT };
 		}
 
+		// A person is usually waiting on an answer
+		if (options.rateLimitPriority === undefined) {
+			options = { ...options, rateLimitPriority: 'interactive' };
+		}
+
 		super(options);
 
 		this.remoteFiles = options.remoteFiles || [];
@@ -100,6 +266,46 @@ class RagAgent extends BaseGemini {
 		this._localFileContents = [];
 		this._initialized = false;
 
+		// ── Citations ──
+		// Seeded sources, labelled [1]..[n] in the context; retrieved chunks are numbered after them.
+		this.citations = options.citations ?? true;
+		/** @type {RagSource[]} */
+		this._sources = [];
+
+		// ── Retrieval ──
+		this.retrieval = options.retrieval || 'context';
+		if (!RETRIEVAL_MODES.includes(this.retrieval)) {
+			throw new Error(`Unknown retrieval mode "${this.retrieval}". Use one of: ${RETRIEVAL_MODES.join(', ')}.`);
+		}
+		this.topK = options.topK ?? DEFAULT_TOP_K;
+		this.chunkSize = options.chunkSize ?? DEFAULT_CHUNK_SIZE;
+		this.chunkOverlap = options.chunkOverlap ?? DEFAULT_CHUNK_OVERLAP;
+		if (!(Number.isInteger(this.chunkSize) && this.chunkSize > 0)) {
+			throw new Error(`RagAgent chunkSize must be a positive integer, got ${this.chunkSize}.`);
+		}
+		if (!(Number.isInteger(this.chunkOverlap) && this.chunkOverlap >= 0 && this.chunkOverlap < this.chunkSize)) {
+			throw new Error(`RagAgent chunkOverlap must be a whole number from 0 to below chunkSize (${this.chunkSize}), got ${this.chunkOverlap}.`);
+		}
+		/** @type {Embedding|null} */
+		this.embedder = null;
+		/** @type {VectorIndex|null} */
+		this.index = null;
+
+		if (this.retrieval === 'vector') {
+			// Share one SDK client (and its auth) and the middleware list between chat and embeddings
+			this.embedder = new Embedding({
+				client: this.genAIClient,
+				vertexai: this.vertexai,
+				labels: this.labels,
+				logLevel: /** @type {any} */ (log.level),
+				...(options.embeddingModel && { modelName: options.embeddingModel })
+			});
+			this.embedder._middleware = this._middleware;
+			// ...and its events, so listeners on the agent see embedding calls too
+			this.embedder.emit = (event, ...args) => this.emit(event, ...args);
+			this.index = new VectorIndex({ embedder: this.embedder });
+		}
+
 		const total = this.remoteFiles.length + this.localFiles.length + this.localData.length;
 		log.debug(`RagAgent created with ${total} context sources`);
 	}
@@ -123,12 +329,17 @@ class RagAgent extends BaseGemini {
 			const ext = extname(resolvedPath).toLowerCase();
 			const mimeType = MIME_TYPES[ext] || 'application/octet-stream';
 
-			const uploaded = await this._withRetry(() => this.genAIClient.files.upload({
-				file: resolvedPath,
-				config: { displayName: basename(resolvedPath), mimeType }
-			}));
-
-			await this._waitForFileActive(uploaded);
+			const upload = async () => {
+				const file = await this._withRetry(() => this.genAIClient.files.upload({
+					file: resolvedPath,
+					config: { displayName: basename(resolvedPath), mimeType, abortSignal: this._abortSignal() ?? undefined }
+				}));
+				await this._waitForFileActive(file);
+				return file;
+			};
+			const uploaded = this.telemetry
+				? await this.telemetry.span('upload_file', { 'file.name': basename(resolvedPath), 'ak_gemini.file.mime_type': mimeType, 'ak_gemini.class': this.constructor.name }, upload)
+				: await upload();
 
 			this._uploadedRemoteFiles.push({
 				...uploaded,
@@ -155,29 +366,48 @@ class RagAgent extends BaseGemini {
 		}
 
 		// 3. Set system instruction and create chat session
-		this.chatConfig.systemInstruction = /** @type {string} */ (this.systemPrompt);
+		this.chatConfig.systemInstruction = /** @type {string} */ (
+			this.citations
+				? [this.systemPrompt, CITATION_INSTRUCTION].filter(Boolean).join('\n\n')
+				: this.systemPrompt
+		);
 		await super.init(force);
 
 		// 4. Build unified context parts and seed into chat history
 		/** @type {Array<Object>} */
 		const parts = [];
+		this._sources = [];
 
 		// Remote file references
 		for (const f of this._uploadedRemoteFiles) {
+			this._sources.push({ source: f.displayName, type: 'remoteFile', path: f.originalPath, uri: f.uri });
+			parts.push({ text: `--- [${this._sources.length}] Remote file: ${f.displayName} ---` });
 			parts.push({ fileData: { fileUri: f.uri, mimeType: f.mimeType } });
 		}
 
-		// Local file contents
-		for (const lf of this._localFileContents) {
-			parts.push({ text: `--- File: ${lf.name} ---\n${lf.content}` });
-		}
+		if (this.retrieval === 'vector') {
+			// Local sources are retrieved per question instead of seeded
+			await this._buildIndex();
+		} else {
+			// Local file contents
+			for (const lf of this._localFileContents) {
+				this._sources.push({ source: lf.name, type: 'localFile', path: lf.path });
+				parts.push({ text: `--- [${this._sources.length}] File: ${lf.name} ---\n${lf.content}` });
+			}
 
-		// Local data entries
-		for (const ld of this.localData) {
-			const serialized = typeof ld.data === 'string' ? ld.data : JSON.stringify(ld.data, null, 2);
-			parts.push({ text: `--- Data: ${ld.name} ---\n${serialized}` });
+			// Local data entries
+			for (const ld of this.localData) {
+				this._sources.push({ source: ld.name, type: 'localData' });
+				parts.push({ text: `--- [${this._sources.length}] Data: ${ld.name} ---\n${serializeData(ld.data)}` });
+			}
 		}
 
+		// A restored session (sessionStore) carries its old context turns as the
+		// "example" prefix — replace them with the fresh context, keep the conversation.
+		const conversation = this._sessionRestored
+			? this.chatSession.getHistory().slice(this.exampleCount)
+			: [];
+
 		if (parts.length > 0) {
 			parts.push({ text: 'Here are the documents and data to analyze.' });
 
@@ -186,8 +416,13 @@ class RagAgent extends BaseGemini {
 				{ role: 'model', parts: [{ text: 'I have reviewed all the provided documents and data. I am ready to answer your questions about them.' }] }
 			];
 
-			this.chatSession = this._createChatSession(history);
+			this.chatSession = this._createChatSession([...history, ...conversation]);
+			this.exampleCount = history.length;
+		} else if (this._sessionRestored) {
+			this.chatSession = this._createChatSession(conversation);
+			this.exampleCount = 0;
 		}
+		this._sessionRestored = false;
 
 		this._initialized = true;
 		log.debug(`RagAgent initialized with ${this._uploadedRemoteFiles.length} remote files, ${this._localFileContents.length} local files, ${this.localData.length} data entries`);
@@ -201,26 +436,40 @@ class RagAgent extends BaseGemini {
 	 * @param {string} message - The user's question
 	 * @param {Object} [opts={}] - Per-message options
 	 * @param {Record<string, string>} [opts.labels] - Per-message billing labels
+	 * @param {AbortSignal} [opts.signal] - Cancels the call (throws AbortError)
+	 * @param {number} [opts.timeoutMs] - Time limit for the whole call, retries included (throws TimeoutError)
 	 * @returns {Promise<RagResponse>}
 	 */
 	async chat(message, opts = {}) {
-		if (!this._initialized) await this.init();
-
-		const response = await this._withRetry(() => this.chatSession.sendMessage({ message }));
-
-		this._captureMetadata(response);
-
-		this._cumulativeUsage = {
-			promptTokens: this.lastResponseMetadata.promptTokens,
-			responseTokens: this.lastResponseMetadata.responseTokens,
-			totalTokens: this.lastResponseMetadata.totalTokens,
-			attempts: 1
-		};
-
-		return {
-			text: response.text || '',
-			usage: this.getLastUsage()
-		};
+		return this._withCallOptions(opts, async () => {
+			if (!this._initialized) await this.init();
+
+			const chunks = await this._retrieve(message);
+			const prompt = this._withExcerpts(message, chunks);
+			await this._manageContext(prompt);
+
+			const response = await this._withRetry(() => this.chatSession.sendMessage({ message: prompt }));
+			this._dropExcerpts(prompt, message);
+
+			this._captureMetadata(response);
+
+			this._cumulativeUsage = {
+				promptTokens: this.lastResponseMetadata.promptTokens,
+				responseTokens: this.lastResponseMetadata.responseTokens,
+				totalTokens: this.lastResponseMetadata.totalTokens,
+				attempts: 1
+			};
+
+			await this._saveSession();
+
+			const text = response.text || '';
+			return {
+				text,
+				citations: this._citations(text, chunks, response.candidates?.[0]?.groundingMetadata),
+				...(this.retrieval === 'vector' && { chunks }),
+				usage: this.getLastUsage()
+			};
+		});
 	}
 
 	// ── Streaming ────────────────────────────────────────────────────────────
@@ -230,25 +479,49 @@ class RagAgent extends BaseGemini {
 	 *
 	 * @param {string} message - The user's question
 	 * @param {Object} [opts={}] - Per-message options
+	 * @param {AbortSignal} [opts.signal] - Cancels the call (throws AbortError)
+	 * @param {number} [opts.timeoutMs] - Time limit for the whole call, retries included (throws TimeoutError)
 	 * @yields {RagStreamEvent}
 	 */
 	async *stream(message, opts = {}) {
+		yield* this._streamWithCallOptions(opts, () => this._stream(message, opts));
+	}
+
+	/**
+	 * stream(), run in the call's scope (see _streamWithCallOptions()).
+	 * @param {string} message
+	 * @param {Object} opts
+	 * @yields {RagStreamEvent}
+	 * @private
+	 */
+	async *_stream(message, opts) {
 		if (!this._initialized) await this.init();
 
+		const chunks = await this._retrieve(message);
+		const prompt = this._withExcerpts(message, chunks);
+		await this._manageContext(prompt);
+
 		let fullText = '';
-		const streamResponse = await this._withRetry(() => this.chatSession.sendMessageStream({ message }));
+		let groundingMetadata = null;
+		const streamResponse = await this._withRetry(() => this.chatSession.sendMessageStream({ message: prompt }));
 
 		for await (const chunk of streamResponse) {
+			if (chunk.candidates?.[0]?.groundingMetadata) groundingMetadata = chunk.candidates[0].groundingMetadata;
 			if (chunk.candidates?.[0]?.content?.parts?.[0]?.text) {
 				const text = chunk.candidates[0].content.parts[0].text;
 				fullText += text;
 				yield { type: 'text', text };
 			}
 		}
+		this._dropExcerpts(prompt, message);
+
+		await this._saveSession();
 
 		yield {
 			type: 'done',
 			fullText,
+			citations: this._citations(fullText, chunks, groundingMetadata),
+			...(this.retrieval === 'vector' && { chunks }),
 			usage: this.getLastUsage()
 		};
 	}
@@ -313,6 +586,104 @@ class RagAgent extends BaseGemini {
 		};
 	}
 
+	// ── Vector Retrieval ─────────────────────────────────────────────────────
+
+	/**
+	 * Chunks local files and data into the vector index. Only new or changed
+	 * chunks are embedded, so re-init after addLocalFiles() stays cheap. Chunk
+	 * ids are keyed by a file's full path (`/docs/a/README.md#0`) and a data
+	 * entry's name (`data:accounts#0`), so same-named files don't overwrite
+	 * each other.
+	 * @returns {Promise<void>}
+	 * @private
+	 */
+	async _buildIndex() {
+		/** @type {import('./types').VectorDocument[]} */
+		const docs = [];
+		const addChunks = (key, source, type, text, path) => {
+			chunkText(text, this.chunkSize, this.chunkOverlap).forEach((c, i) => {
+				docs.push({
+					id: `${key}#${i}`,
+					text: c.text,
+					metadata: { source, type, ...(path && { path }), startLine: c.startLine, endLine: c.endLine }
+				});
+			});
+		};
+
+		for (const lf of this._localFileContents) addChunks(lf.path, lf.name, 'localFile', lf.content, lf.path);
+		for (const ld of this.localData) addChunks(`data:${ld.name}`, ld.name, 'localData', serializeData(ld.data));
+
+		const stats = await this.index.sync(docs);
+		log.debug(`RagAgent: indexed ${docs.length} chunks (${stats.added} added, ${stats.updated} updated, ${stats.removed} removed)`);
+	}
+
+	/**
+	 * Top-k chunks for a question, best first. Empty outside vector mode.
+	 * @param {string} message
+	 * @returns {Promise<RetrievedChunk[]>}
+	 * @private
+	 */
+	async _retrieve(message) {
+		if (this.retrieval !== 'vector') return [];
+
+		const hits = await this.index.query(message, this.topK);
+		return hits.map(({ id, score, text, metadata }) => /** @type {RetrievedChunk} */ ({ id, ...metadata, text, score }));
+	}
+
+	/**
+	 * Prepends retrieved chunks to the user's question, labelled after the
+	 * seeded sources so citation markers never collide.
+	 * @param {string} message
+	 * @param {RetrievedChunk[]} chunks
+	 * @returns {string}
+	 * @private
+	 */
+	_withExcerpts(message, chunks) {
+		if (chunks.length === 0) return message;
+		const offset = this._sources.length;
+		const excerpts = chunks.map((c, i) => `--- [${offset + i + 1}] ${c.source}, lines ${c.startLine}-${c.endLine} ---\n${c.text}`);
+		return `Relevant excerpts from the documents and data:\n\n${excerpts.join('\n\n')}\n\nQuestion: ${message}`;
+	}
+
+	/**
+	 * Swaps the excerpts out of the turn just recorded, leaving the bare
+	 * question. History then grows by the conversation alone, and a later
+	 * turn's `[n]` labels can't be confused with this one's.
+	 * @param {string} prompt - What _withExcerpts() sent
+	 * @param {string} message - The user's question
+	 * @private
+	 */
+	_dropExcerpts(prompt, message) {
+		if (prompt === message) return;
+		const history = this.chatSession.getHistory();
+		const index = history.findLastIndex(c => c.role === 'user' && c.parts?.[0]?.text === prompt);
+		if (index === -1) return;
+		history[index] = { role: 'user', parts: [{ text: message }] };
+		this.chatSession = this._createChatSession(history);
+	}
+
+	// ── Citations ────────────────────────────────────────────────────────────
+
+	/**
+	 * Citations for an answer: `[n]` markers resolved against the seeded sources
+	 * and this turn's chunks, plus any the API reported in groundingMetadata.
+	 * @param {string} text
+	 * @param {RetrievedChunk[]} chunks
+	 * @param {Object|null} [groundingMetadata]
+	 * @returns {RagCitation[]}
+	 * @private
+	 */
+	_citations(text, chunks, groundingMetadata) {
+		const fromGrounding = groundingCitations(text, groundingMetadata, this._uploadedRemoteFiles);
+		if (!this.citations) return fromGrounding;
+
+		/** @type {RagSource[]} */
+		const chunkSources = chunks.map(({ id, source, type, path, startLine, endLine }) => ({
+			source, type, ...(path && { path }), startLine, endLine, chunkId: id
+		}));
+		return [...extractCitations(text, [...this._sources, ...chunkSources]), ...fromGrounding];
+	}
+
 	// ── Private Helpers ──────────────────────────────────────────────────────
 
 	/**
@@ -326,14 +697,14 @@ class RagAgent extends BaseGemini {
 
 		const start = Date.now();
 		while (Date.now() - start < FILE_POLL_TIMEOUT_MS) {
-			const updated = await this.genAIClient.files.get({ name: file.name });
+			const updated = await this.genAIClient.files.get({ name: file.name, config: { abortSignal: this._abortSignal() ?? undefined } });
 			if (updated.state === 'ACTIVE') return;
 			if (updated.state === 'FAILED') {
 				throw new Error(`File processing failed: ${file.displayName || file.name}`);
 			}
-			await new Promise(r => setTimeout(r, FILE_POLL_INTERVAL_MS));
+			await this._sleep(FILE_POLL_INTERVAL_MS);
 		}
-		throw new Error(`File processing timed out after ${FILE_POLL_TIMEOUT_MS / 1000}s: ${file.displayName || file.name}`);
+		throw new TimeoutError(`File processing timed out after ${FILE_POLL_TIMEOUT_MS / 1000}s: ${file.displayName || file.name}`, { timeoutMs: FILE_POLL_TIMEOUT_MS });
 	}
 }
 
@@ -0,0 +1,275 @@
+/**
+ * @fileoverview Client-side rate limiting shared across instances.
+ *
+ * A RateLimiter holds two token buckets: requests per minute (`rpm`) and
+ * input tokens per minute (`tpm`, the unit of Gemini's TPM quota). Both start
+ * full and refill continuously. BaseGemini installs rateLimiterMiddleware
+ * when constructed with `rateLimiter`: before each model call it sizes the
+ * input (a ~4 chars/token guess, or countTokens with `estimate: 'countTokens'`)
+ * and waits for a slot; after the call the bucket is corrected by the
+ * response's actual prompt token count.
+ *
+ * Waiting calls queue in three priority lanes, and a lane is only served once
+ * the lanes above it are empty:
+ *
+ * - `'interactive'` — Chat, ToolAgent, CodeAgent and RagAgent by default
+ * - `'default'` — Message, Embedding and ImageGenerator
+ * - `'bulk'` — Transformer (sends and batches)
+ *
+ * `rateLimitPriority` moves an instance to another lane. A 429 from any
+ * instance empties the buckets, so every instance sharing the limiter slows
+ * down together instead of each backing off on its own.
+ *
+ * - `rateLimiter: { rpm, tpm }` — a limiter for this instance alone
+ * - `rateLimiter: limiter` — several instances drawing from one RateLimiter
+ *
+ * @example
+ * ```javascript
+ * import { Chat, Transformer, RateLimiter } from 'ak-gemini';
+ *
+ * const limiter = new RateLimiter({ rpm: 1000, tpm: 1_000_000 });
+ * const chat = new Chat({ rateLimiter: limiter });            // served first
+ * const etl = new Transformer({ rateLimiter: limiter });      // 'bulk' lane
+ * limiter.queued; // { interactive: 0, default: 0, bulk: 12 }
+ * ```
+ */
+
+import { preflightTokens } from './budget.js';
+import { retryAfterMs } from './retry.js';
+
+/**
+ * @typedef {import('./types').RateLimiterOptions} RateLimiterOptions
+ * @typedef {import('./types').RateLimitPriority} RateLimitPriority
+ * @typedef {import('./types').Middleware} Middleware
+ */
+
+/**
+ * @typedef {Object} Waiter
+ * @property {number} tokens
+ * @property {number} queuedAt
+ * @property {(waitedMs: number) => void} resolve
+ * @property {(reason: any) => void} reject
+ * @property {() => void} cleanup
+ */
+
+/** Lanes in the order they are served */
+export const RATE_LIMIT_PRIORITIES = /** @type {const} */ (['interactive', 'default', 'bulk']);
+
+const MS_PER_MINUTE = 60_000;
+
+/**
+ * Token buckets for requests and input tokens per minute, with priority lanes.
+ */
+export class RateLimiter {
+	/**
+	 * @param {RateLimiterOptions} [options={}]
+	 */
+	constructor(options = {}) {
+		this.rpm = options.rpm ?? null;
+		this.tpm = options.tpm ?? null;
+		if (this.rpm == null && this.tpm == null) {
+			throw new Error("RateLimiter needs rpm and/or tpm.");
+		}
+		for (const [key, value] of [['rpm', this.rpm], ['tpm', this.tpm]]) {
+			if (value != null && !(typeof value === 'number' && value > 0)) {
+				throw new Error(`RateLimiter ${key} must be a positive number.`);
+			}
+		}
+		/** @type {'approximate'|'countTokens'} */
+		this.estimate = options.estimate ?? 'approximate';
+		if (this.estimate !== 'approximate' && this.estimate !== 'countTokens') {
+			throw new Error(`Unknown RateLimiter estimate "${this.estimate}". Use 'approximate' or 'countTokens'.`);
+		}
+		this.name = options.name || 'shared';
+
+		/** Calls let through so far */
+		this.acquired = 0;
+		/** Of those, how many had to wait */
+		this.throttled = 0;
+
+		this._requests = this.rpm ?? 0;
+		this._tokens = this.tpm ?? 0;
+		this._refilledAt = Date.now();
+		this._pausedUntil = 0;
+		/** @type {Record<RateLimitPriority, Waiter[]>} */
+		this._lanes = { interactive: [], default: [], bulk: [] };
+		/** @type {ReturnType<typeof setTimeout>|null} */
+		this._timer = null;
+	}
+
+	/**
+	 * Calls waiting in each lane.
+	 * @returns {Record<RateLimitPriority, number>}
+	 */
+	get queued() {
+		return {
+			interactive: this._lanes.interactive.length,
+			default: this._lanes.default.length,
+			bulk: this._lanes.bulk.length
+		};
+	}
+
+	/**
+	 * What's in each bucket right now (null = unlimited). Tokens go negative
+	 * when calls used more than estimated.
+	 * @returns {{ requests: number|null, tokens: number|null }}
+	 */
+	available() {
+		this._refill();
+		return {
+			requests: this.rpm == null ? null : this._requests,
+			tokens: this.tpm == null ? null : this._tokens
+		};
+	}
+
+	/**
+	 * Waits for a request slot and `tokens` input tokens, behind every call
+	 * already queued in this lane or a higher one. Rejects with the signal's
+	 * reason if it aborts first.
+	 * @param {{ tokens?: number, priority?: RateLimitPriority, signal?: AbortSignal|null }} [request={}]
+	 * @returns {Promise<number>} How long the call waited, in ms
+	 */
+	acquire({ tokens = 0, priority = 'default', signal = null } = {}) {
+		const lane = this._lanes[priority];
+		if (!lane) {
+			return Promise.reject(new Error(`Unknown rate limit priority "${priority}". Use ${RATE_LIMIT_PRIORITIES.map(p => `'${p}'`).join(', ')}.`));
+		}
+		if (signal?.aborted) return Promise.reject(signal.reason);
+
+		return new Promise((resolve, reject) => {
+			/** @type {Waiter} */
+			const waiter = {
+				tokens,
+				queuedAt: Date.now(),
+				resolve,
+				reject,
+				cleanup: () => signal?.removeEventListener('abort', onAbort)
+			};
+			const onAbort = () => {
+				const index = lane.indexOf(waiter);
+				if (index === -1) return;
+				lane.splice(index, 1);
+				reject(signal?.reason);
+				this._drain(); // the head of the queue may have changed
+			};
+			signal?.addEventListener('abort', onAbort, { once: true });
+			lane.push(waiter);
+			this._drain();
+		});
+	}
+
+	/**
+	 * Corrects the token bucket once a call's real input size is known.
+	 * @param {number} estimated - Tokens taken by acquire()
+	 * @param {number} actual - promptTokenCount the API reported
+	 */
+	reconcile(estimated, actual) {
+		if (this.tpm == null) return;
+		this._refill();
+		this._tokens = Math.min(this.tpm, this._tokens + estimated - actual);
+	}
+
+	/**
+	 * After a 429: empties both buckets, and holds every lane for `ms` more
+	 * when the server said how long to wait.
+	 * @param {number} [ms=0]
+	 */
+	backOff(ms = 0) {
+		this._refill();
+		this._requests = Math.min(this._requests, 0);
+		this._tokens = Math.min(this._tokens, 0);
+		this._pausedUntil = Math.max(this._pausedUntil, Date.now() + ms);
+		this._drain();
+	}
+
+	/**
+	 * Refills the buckets for the time since the last refill.
+	 * @private
+	 */
+	_refill() {
+		const now = Date.now();
+		const elapsed = now - this._refilledAt;
+		this._refilledAt = now;
+		if (this.rpm != null) this._requests = Math.min(this.rpm, this._requests + elapsed * this.rpm / MS_PER_MINUTE);
+		if (this.tpm != null) this._tokens = Math.min(this.tpm, this._tokens + elapsed * this.tpm / MS_PER_MINUTE);
+	}
+
+	/**
+	 * Milliseconds until a call of `tokens` could go. A call bigger than the
+	 * whole `tpm` goes once the bucket is full.
+	 * @param {number} tokens
+	 * @returns {number}
+	 * @private
+	 */
+	_waitFor(tokens) {
+		const paused = this._pausedUntil - Date.now();
+		const forRequest = this.rpm == null || this._requests >= 1 ? 0 : (1 - this._requests) * MS_PER_MINUTE / this.rpm;
+		const needed = this.tpm == null ? 0 : Math.min(tokens, this.tpm);
+		const forTokens = this.tpm == null || this._tokens >= needed ? 0 : (needed - this._tokens) * MS_PER_MINUTE / this.tpm;
+		return Math.ceil(Math.max(paused, forRequest, forTokens, 0));
+	}
+
+	/**
+	 * Lets queued calls through, highest lane first, until the head of the
+	 * queue has to wait; then sets a timer for when it can go.
+	 * @private
+	 */
+	_drain() {
+		if (this._timer) clearTimeout(this._timer);
+		this._timer = null;
+		this._refill();
+		while (true) {
+			const lane = RATE_LIMIT_PRIORITIES.map(p => this._lanes[p]).find(l => l.length > 0);
+			if (!lane) return;
+			const waiter = lane[0];
+			const wait = this._waitFor(waiter.tokens);
+			if (wait > 0) {
+				this._timer = setTimeout(() => this._drain(), wait);
+				return;
+			}
+			lane.shift();
+			waiter.cleanup();
+			if (this.rpm != null) this._requests -= 1;
+			if (this.tpm != null) this._tokens -= waiter.tokens;
+			const waitedMs = Date.now() - waiter.queuedAt;
+			this.acquired++;
+			if (waitedMs > 0) this.throttled++;
+			waiter.resolve(waitedMs);
+		}
+	}
+}
+
+/**
+ * Middleware that takes every model call through a RateLimiter. countTokens
+ * has its own quota and is never limited. When `budget` has already sized
+ * the call, that count is reused.
+ * @param {RateLimiter} limiter
+ * @param {RateLimitPriority} priority
+ * @returns {Middleware}
+ */
+export function rateLimiterMiddleware(limiter, priority) {
+	if (!RATE_LIMIT_PRIORITIES.includes(priority)) {
+		throw new Error(`Unknown rateLimitPriority "${priority}". Use ${RATE_LIMIT_PRIORITIES.map(p => `'${p}'`).join(', ')}.`);
+	}
+	return {
+		name: 'rateLimiter',
+		before: async (ctx) => {
+			if (ctx.method === 'countTokens') return;
+			const tokens = ctx.state.budgetTokens || (limiter.tpm == null ? 0 : await preflightTokens(ctx, limiter.estimate));
+			ctx.state.rateLimitTokens = tokens;
+			const waitedMs = await limiter.acquire({ tokens, priority, signal: ctx.signal });
+			if (waitedMs > 0) {
+				ctx.instance.emit('throttled', { className: ctx.className, method: ctx.method, model: ctx.model, priority, tokens, waitedMs });
+			}
+		},
+		after: (ctx) => {
+			const actual = ctx.response?.usageMetadata?.promptTokenCount;
+			if (ctx.state.rateLimitTokens !== undefined && typeof actual === 'number') {
+				limiter.reconcile(ctx.state.rateLimitTokens, actual);
+			}
+		},
+		onError: (ctx) => {
+			if (/** @type {any} */ (ctx.error)?.status === 429) limiter.backOff(retryAfterMs(ctx.error) ?? 0);
+		}
+	};
+}
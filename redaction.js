@@ -0,0 +1,363 @@
+/**
+ * @fileoverview PII redaction for outbound prompts.
+ *
+ * A Redactor swaps detected values (emails, phone numbers, IDs, ...) for stable
+ * placeholders like `[EMAIL_1]` and swaps them back in responses. The same value
+ * always gets the same placeholder for the life of the Redactor, so multi-turn
+ * conversations and few-shot examples stay consistent.
+ *
+ * BaseGemini wires this up when constructed with `redaction`, as the first
+ * middleware. Its `before` runs first and its `after` runs last, so any other
+ * middleware (auditing, logging) only ever sees placeholders.
+ *
+ * The value ↔ placeholder mapping lives in private fields: it never leaves the
+ * process and can't reach JSON.stringify, util.inspect, or the pino logger.
+ *
+ * @example
+ * ```javascript
+ * import { Message } from 'ak-gemini';
+ *
+ * const msg = new Message({ redaction: true });
+ * const { text } = await msg.send('Write a welcome note for ana@example.com');
+ * // Gemini saw "[EMAIL_1]"; text contains ana@example.com again
+ * ```
+ */
+
+import { inspect } from 'node:util';
+import log from './logger.js';
+
+/**
+ * @typedef {import('./types').RedactionDetector} RedactionDetector
+ * @typedef {import('./types').RedactionOptions} RedactionOptions
+ * @typedef {import('./types').Middleware} Middleware
+ */
+
+/**
+ * Luhn checksum, so arbitrary 16-digit numbers aren't mistaken for cards.
+ * @param {string} value
+ * @returns {boolean}
+ */
+function luhn(value) {
+	const digits = value.replace(/\D/g, '');
+	let sum = 0;
+	for (let i = 0; i < digits.length; i++) {
+		let d = Number(digits[digits.length - 1 - i]);
+		if (i % 2 === 1) {
+			d *= 2;
+			if (d > 9) d -= 9;
+		}
+		sum += d;
+	}
+	return sum % 10 === 0;
+}
+
+/**
+ * Built-in detectors, applied in this order (more specific patterns first so a
+ * card number isn't half-eaten by the phone pattern).
+ * @type {RedactionDetector[]}
+ */
+export const BUILTIN_DETECTORS = [
+	{ name: 'email', pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g },
+	{ name: 'uuid', pattern: /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi },
+	{ name: 'creditCard', pattern: /\b(?:\d[ -]?){12,18}\d\b/g, validate: luhn },
+	{ name: 'ssn', pattern: /\b\d{3}-\d{2}-\d{4}\b/g },
+	{ name: 'ipAddress', pattern: /\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b/g },
+	// Formatted numbers only: a leading +, an (area) code, or the same separator
+	// between groups. A bare run of 10 digits is usually a timestamp or an ID.
+	{ name: 'phone', pattern: /(?<![\w+])(?:\+\d{1,3}[\s.-]?(?:\(\d{3}\)|\d{3})[\s.-]?\d{3}[\s.-]?\d{4}|(?:\d{1,3}[\s.-])?(?:\(\d{3}\)\s?\d{3}[\s.-]?|\d{3}([\s.-])\d{3}\1)\d{4})(?!\w)/g }
+];
+
+
+/** `[EMAIL_1]`, `[CREDIT_CARD_12]`, `[EMPLOYEE_ID_3]` */
+const PLACEHOLDER = /\[([A-Z][A-Z0-9_]*_\d+)\]/g;
+
+/** The response as the model sent it, kept by rehydrateResponse() for redactedResponse() */
+const BEFORE_REHYDRATION = Symbol('ak-gemini.beforeRehydration');
+
+/** Content keys holding binary data or opaque tokens, never text */
+const SKIP_KEYS = new Set(['inlineData', 'fileData', 'thoughtSignature']);
+
+/**
+ * `creditCard` → `CREDIT_CARD`
+ * @param {string} name
+ * @returns {string}
+ */
+function labelFor(name) {
+	return name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/[^A-Za-z0-9]+/g, '_').toUpperCase();
+}
+
+/**
+ * True when `match` is a whole unquoted number in JSON text (`"ts": 1718000000`).
+ * Those are left alone: a placeholder in their place would make the JSON
+ * invalid, and bare numbers are far more often IDs and timestamps than PII.
+ * @param {string} match
+ * @param {string} text
+ * @param {number} offset - Where `match` starts in `text`
+ * @returns {boolean}
+ */
+function isJsonNumber(match, text, offset) {
+	if (!/^\d+$/.test(match)) return false;
+	const before = text.slice(0, offset).trimEnd().slice(-1);
+	const after = text.slice(offset + match.length).trimStart().charAt(0);
+	return (before === '' || '[:,'.includes(before)) && (after === '' || '],}'.includes(after));
+}
+
+/**
+ * Plain-object check that works across realms: the SDK structuredClone()s
+ * history, and the clone's Object.prototype may not be ours.
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+	if (!value || typeof value !== 'object') return false;
+	const proto = Object.getPrototypeOf(value);
+	return proto === null || Object.getPrototypeOf(proto) === null;
+}
+
+/**
+ * Applies `fn` to every string inside a JSON-like value, returning a copy.
+ * @param {any} value
+ * @param {(s: string) => string} fn
+ * @returns {any}
+ */
+function mapStrings(value, fn) {
+	if (typeof value === 'string') return fn(value);
+	if (Array.isArray(value)) return value.map(v => mapStrings(v, fn));
+	if (isPlainObject(value)) {
+		/** @type {Record<string, any>} */
+		const out = {};
+		for (const [key, v] of Object.entries(value)) out[key] = SKIP_KEYS.has(key) ? v : mapStrings(v, fn);
+		return out;
+	}
+	return value;
+}
+
+export class Redactor {
+	// Private fields: the mapping can't leak through JSON.stringify, util.inspect or a logger
+	/** @type {Map<string, string>} value → placeholder */
+	#toPlaceholder = new Map();
+	/** @type {Map<string, string>} placeholder → value */
+	#toValue = new Map();
+	/** @type {Map<string, number>} label → last number issued */
+	#counters = new Map();
+
+	/**
+	 * @param {RedactionOptions} [options={}]
+	 */
+	constructor(options = {}) {
+		const builtins = options.detectors ?? BUILTIN_DETECTORS.map(d => d.name);
+		const unknown = builtins.filter(name => !BUILTIN_DETECTORS.some(d => d.name === name));
+		if (unknown.length > 0) {
+			throw new Error(`Unknown redaction detector(s): ${unknown.join(', ')}. Built-in: ${BUILTIN_DETECTORS.map(d => d.name).join(', ')}.`);
+		}
+
+		for (const d of options.custom || []) {
+			if (!d?.name || (!(d.pattern instanceof RegExp) && typeof d.detect !== 'function')) {
+				throw new Error('Custom redaction detectors need a name and a pattern (RegExp) or detect(text) function.');
+			}
+		}
+
+		// Custom detectors run first: they are usually the most specific (employee IDs, account numbers)
+		/** @type {RedactionDetector[]} */
+		this.detectors = [
+			...(options.custom || []),
+			...BUILTIN_DETECTORS.filter(d => builtins.includes(d.name))
+		];
+	}
+
+	/** Number of distinct values redacted so far. */
+	get size() {
+		return this.#toValue.size;
+	}
+
+	/**
+	 * Replaces every detected value in `text` with its placeholder.
+	 * @param {string} text
+	 * @returns {string}
+	 */
+	redact(text) {
+		if (!text) return text;
+		let out = text;
+		for (const detector of this.detectors) {
+			if (detector.pattern) {
+				const pattern = new RegExp(detector.pattern.source, detector.pattern.flags.includes('g') ? detector.pattern.flags : `${detector.pattern.flags}g`);
+				out = out.replace(pattern, (match, ...args) => {
+					// replace() passes (match, ...groups, offset, string[, namedGroups])
+					const named = typeof args[args.length - 1] === 'object';
+					const offset = args[args.length - (named ? 3 : 2)];
+					const source = args[args.length - (named ? 2 : 1)];
+					if (isJsonNumber(match, source, offset)) return match;
+					if (detector.validate && !detector.validate(match)) return match;
+					return this._placeholderFor(detector.name, match);
+				});
+			} else {
+				for (const match of new Set(detector.detect(out) || [])) {
+					if (match) out = out.split(match).join(this._placeholderFor(detector.name, match));
+				}
+			}
+		}
+		return out;
+	}
+
+	/**
+	 * Replaces known placeholders in `text` with the original values. Unknown
+	 * placeholders (e.g. ones the model invented) are left alone.
+	 * @param {string} text
+	 * @returns {string}
+	 */
+	rehydrate(text) {
+		if (!text || this.#toValue.size === 0) return text;
+		return text.replace(PLACEHOLDER, (match) => this.#toValue.get(match) ?? match);
+	}
+
+	/**
+	 * redact() applied to every string in a value (contents, tool args, ...).
+	 * Binary parts (inlineData, fileData) are left untouched. Returns a copy.
+	 * @template T
+	 * @param {T} value
+	 * @returns {T}
+	 */
+	redactDeep(value) {
+		return mapStrings(value, (s) => this.redact(s));
+	}
+
+	/**
+	 * rehydrate() applied to every string in a value. Returns a copy.
+	 * @template T
+	 * @param {T} value
+	 * @returns {T}
+	 */
+	rehydrateDeep(value) {
+		if (this.#toValue.size === 0) return value;
+		return mapStrings(value, (s) => this.rehydrate(s));
+	}
+
+	/** Forgets every mapping; placeholders issued so far can no longer be rehydrated. */
+	clear() {
+		this.#toPlaceholder.clear();
+		this.#toValue.clear();
+		this.#counters.clear();
+	}
+
+	/** @returns {{ detectors: string[], size: number }} Never includes the mapping */
+	toJSON() {
+		return { detectors: this.detectors.map(d => d.name), size: this.size };
+	}
+
+	[inspect.custom]() {
+		return `Redactor ${JSON.stringify(this.toJSON())}`;
+	}
+
+	/**
+	 * @param {string} name - Detector name
+	 * @param {string} value
+	 * @returns {string}
+	 * @private
+	 */
+	_placeholderFor(name, value) {
+		const existing = this.#toPlaceholder.get(value);
+		if (existing) return existing;
+
+		const label = labelFor(name);
+		const n = (this.#counters.get(label) || 0) + 1;
+		this.#counters.set(label, n);
+		const placeholder = `[${label}_${n}]`;
+		this.#toPlaceholder.set(value, placeholder);
+		this.#toValue.set(placeholder, value);
+		return placeholder;
+	}
+}
+
+/**
+ * Redacts a request's contents and string system instruction.
+ * @param {Redactor} redactor
+ * @param {{ contents?: any, config?: any }} request
+ * @returns {{ contents: any, config: any }}
+ */
+export function redactRequest(redactor, { contents, config }) {
+	return {
+		contents: redactor.redactDeep(contents),
+		config: typeof config?.systemInstruction === 'string'
+			? { ...config, systemInstruction: redactor.redact(config.systemInstruction) }
+			: config
+	};
+}
+
+/**
+ * Rehydrates a response (or stream chunk) in place. SDK responses expose
+ * `text` / `functionCalls` as getters over `candidates`, so rewriting the
+ * candidates is enough; plain objects with own `text` fields are updated too.
+ * What was replaced is kept for redactedResponse().
+ * @param {Redactor} redactor
+ * @param {any} response
+ * @returns {any}
+ */
+export function rehydrateResponse(redactor, response) {
+	if (!response || typeof response !== 'object' || redactor.size === 0) return response;
+	/** @type {Record<string, any>} */
+	const original = {};
+	if (Array.isArray(response.candidates)) original.candidates = response.candidates.map((/** @type {any} */ c) => c?.content);
+	for (const key of ['text', 'functionCalls']) {
+		if (Object.prototype.hasOwnProperty.call(response, key)) original[key] = response[key];
+	}
+	Object.defineProperty(response, BEFORE_REHYDRATION, { value: original, configurable: true });
+
+	if (Array.isArray(response.candidates)) {
+		for (const candidate of response.candidates) {
+			if (candidate?.content) candidate.content = redactor.rehydrateDeep(candidate.content);
+		}
+	}
+	for (const key of ['text', 'functionCalls']) {
+		if (Object.prototype.hasOwnProperty.call(response, key) && response[key] !== undefined) {
+			response[key] = redactor.rehydrateDeep(response[key]);
+		}
+	}
+	return response;
+}
+
+/**
+ * A copy of a rehydrated response with the placeholders the model actually
+ * returned, for storing it anywhere outside the process (the response cache).
+ * Responses that were never rehydrated come back unchanged.
+ * @param {any} response
+ * @returns {any}
+ */
+export function redactedResponse(response) {
+	const original = response?.[BEFORE_REHYDRATION];
+	if (!original) return response;
+	const copy = Object.assign(Object.create(Object.getPrototypeOf(response)), response);
+	if (original.candidates) {
+		copy.candidates = response.candidates.map((/** @type {any} */ c, /** @type {number} */ i) => ({ ...c, content: original.candidates[i] }));
+	}
+	for (const key of ['text', 'functionCalls']) {
+		if (key in original) copy[key] = original[key];
+	}
+	return copy;
+}
+
+/**
+ * Middleware that redacts every outbound request and (optionally) rehydrates
+ * every response.
+ * @param {Redactor} redactor
+ * @param {{ rehydrate?: boolean }} [options={}]
+ * @returns {Middleware}
+ */
+export function redactionMiddleware(redactor, options = {}) {
+	const rehydrate = options.rehydrate ?? true;
+	return {
+		name: 'redaction',
+		before: (ctx) => {
+			const before = redactor.size;
+			const redacted = redactRequest(redactor, ctx);
+			ctx.contents = redacted.contents;
+			ctx.config = redacted.config;
+			if (redactor.size > before) log.debug(`${ctx.className}: redacted ${redactor.size - before} new value(s).`);
+		},
+		...(rehydrate && {
+			after: (ctx) => {
+				if (ctx.method === 'generateContent') ctx.response = rehydrateResponse(redactor, ctx.response);
+			},
+			onChunk: (chunk) => rehydrateResponse(redactor, chunk)
+		})
+	};
+}
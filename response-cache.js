@@ -0,0 +1,220 @@
+/**
+ * @fileoverview Local response cache for stateless calls.
+ *
+ * A response cache is any object with async `get(key)` and `set(key, value)`.
+ * BaseGemini consults it from Message.send() and Transformer's stateless path
+ * (stateless send() and transformBatch() items) when constructed with
+ * `responseCache`. Keys hash the model, config (systemInstruction, sampling,
+ * schema, ...) and contents; labels don't count. A hit skips the API call and
+ * reports `usage.cached: true` with zero tokens and zero estimated cost.
+ *
+ * Two implementations ship here:
+ * - MemoryResponseCache — in-process LRU with optional TTL
+ * - FileResponseCache — one JSON file per entry on disk, optional TTL (survives restarts)
+ *
+ * @example
+ * ```javascript
+ * import { Transformer, FileResponseCache } from 'ak-gemini';
+ *
+ * const t = new Transformer({ responseCache: new FileResponseCache({ dir: './.cache', ttl: 86_400_000 }) });
+ * await t.init();
+ * await t.seed(examples);
+ * await t.transformBatch(items); // re-running after a crash only pays for new items
+ * ```
+ */
+
+import { GenerateContentResponse } from '@google/genai';
+import { createHash, randomUUID } from 'node:crypto';
+import { mkdir, readFile, writeFile, rename, unlink, rm } from 'node:fs/promises';
+import { join } from 'node:path';
+import { normalizeRequest, serializeResponse } from './cassette.js';
+import log from './logger.js';
+
+/**
+ * @typedef {import('./types').ResponseCacheEntry} ResponseCacheEntry
+ */
+
+/** Marks responses served from a response cache; read by BaseGemini's usage helpers. */
+export const FROM_RESPONSE_CACHE = Symbol('ak-gemini.responseCache');
+
+const DEFAULT_MAX_ENTRIES = 1000;
+
+/**
+ * Cache key for a generateContent request.
+ * @param {{ model: string, contents: any, config?: Object }} params
+ * @returns {string}
+ */
+export function responseCacheKey(params) {
+	return createHash('sha256').update(JSON.stringify(normalizeRequest('generateContent', params))).digest('hex');
+}
+
+/**
+ * What gets stored: the JSON-safe response and when it was stored.
+ * @param {any} response
+ * @returns {ResponseCacheEntry}
+ */
+export function toCacheEntry(response) {
+	return { response: serializeResponse(response), storedAt: Date.now() };
+}
+
+/**
+ * Rebuilds a cached response. Token counts are zeroed (nothing was billed) and
+ * the response is tagged so usage reports `cached: true`.
+ * @param {ResponseCacheEntry} entry
+ * @returns {GenerateContentResponse}
+ */
+export function fromCacheEntry(entry) {
+	const response = Object.assign(new GenerateContentResponse(), entry.response, {
+		usageMetadata: { promptTokenCount: 0, candidatesTokenCount: 0, totalTokenCount: 0 }
+	});
+	Object.defineProperty(response, FROM_RESPONSE_CACHE, { value: true });
+	return response;
+}
+
+/**
+ * Least-recently-used cache in memory. Entries are deep-copied in and out.
+ */
+export class MemoryResponseCache {
+	/**
+	 * @param {Object} [options={}]
+	 * @param {number} [options.maxEntries=1000] - Oldest-used entries are evicted past this
+	 * @param {number|null} [options.ttl=null] - Entry lifetime in ms (null = no expiry)
+	 */
+	constructor(options = {}) {
+		this.maxEntries = options.maxEntries ?? DEFAULT_MAX_ENTRIES;
+		this.ttl = options.ttl ?? null;
+		/** @type {Map<string, { value: any, expiresAt: number|null }>} insertion order = recency */
+		this.entries = new Map();
+	}
+
+	/** Number of entries (expired ones included until they're read or evicted). */
+	get size() {
+		return this.entries.size;
+	}
+
+	/**
+	 * @param {string} key
+	 * @returns {Promise<any|null>}
+	 */
+	async get(key) {
+		const entry = this.entries.get(key);
+		if (!entry) return null;
+		this.entries.delete(key);
+		if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) return null;
+		this.entries.set(key, entry);
+		return structuredClone(entry.value);
+	}
+
+	/**
+	 * @param {string} key
+	 * @param {any} value
+	 * @returns {Promise<void>}
+	 */
+	async set(key, value) {
+		this.entries.delete(key);
+		this.entries.set(key, { value: structuredClone(value), expiresAt: this.ttl ? Date.now() + this.ttl : null });
+		while (this.entries.size > this.maxEntries) {
+			this.entries.delete(/** @type {string} */ (this.entries.keys().next().value));
+		}
+	}
+
+	/**
+	 * @param {string} key
+	 * @returns {Promise<void>}
+	 */
+	async delete(key) {
+		this.entries.delete(key);
+	}
+
+	/** @returns {Promise<void>} */
+	async clear() {
+		this.entries.clear();
+	}
+}
+
+/**
+ * Keeps one file per entry in `dir`, so cached responses survive restarts.
+ * Writes go to a temp file and are renamed into place; expired entries are
+ * deleted when read.
+ */
+export class FileResponseCache {
+	/**
+	 * @param {Object} options
+	 * @param {string} options.dir - Cache directory (created on first write)
+	 * @param {number|null} [options.ttl=null] - Entry lifetime in ms (null = no expiry)
+	 */
+	constructor(options) {
+		if (!options?.dir) {
+			throw new Error("FileResponseCache requires a dir.");
+		}
+		this.dir = options.dir;
+		this.ttl = options.ttl ?? null;
+	}
+
+	/**
+	 * @param {string} key
+	 * @returns {string}
+	 */
+	pathFor(key) {
+		return join(this.dir, `${encodeURIComponent(key)}.json`);
+	}
+
+	/**
+	 * @param {string} key
+	 * @returns {Promise<any|null>}
+	 */
+	async get(key) {
+		let raw;
+		try {
+			raw = await readFile(this.pathFor(key), 'utf-8');
+		} catch (err) {
+			if (err.code === 'ENOENT') return null;
+			throw err;
+		}
+		let parsed;
+		try {
+			parsed = JSON.parse(raw);
+		} catch {
+			// Torn or hand-edited file: a miss, and the next set() rewrites it
+			log.warn(`FileResponseCache: dropping unreadable entry ${this.pathFor(key)}.`);
+			await this.delete(key);
+			return null;
+		}
+		const { expiresAt = null, value } = parsed;
+		if (expiresAt !== null && expiresAt <= Date.now()) {
+			await this.delete(key);
+			return null;
+		}
+		return value;
+	}
+
+	/**
+	 * @param {string} key
+	 * @param {any} value
+	 * @returns {Promise<void>}
+	 */
+	async set(key, value) {
+		await mkdir(this.dir, { recursive: true });
+		const target = this.pathFor(key);
+		const tmp = `${target}.${randomUUID()}.tmp`;
+		await writeFile(tmp, JSON.stringify({ expiresAt: this.ttl ? Date.now() + this.ttl : null, value }), 'utf-8');
+		await rename(tmp, target);
+	}
+
+	/**
+	 * @param {string} key
+	 * @returns {Promise<void>}
+	 */
+	async delete(key) {
+		try {
+			await unlink(this.pathFor(key));
+		} catch (err) {
+			if (err.code !== 'ENOENT') throw err;
+		}
+	}
+
+	/** Removes the cache directory. @returns {Promise<void>} */
+	async clear() {
+		await rm(this.dir, { recursive: true, force: true });
+	}
+}
@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Retry policy for transient API failures.
+ *
+ * `_withRetry` wraps every API call. A failure is retried when its (classified)
+ * error is one of `retryableErrors`, or its HTTP status is one of
+ * `retryableStatuses`; anything else is thrown at once. Between attempts it
+ * waits for the server's requested delay (a `Retry-After` header or a RetryInfo
+ * `retryDelay` in the error details) when there is one, else for an exponential
+ * or decorrelated-jitter backoff. Retrying stops after `maxRetries`, or when the
+ * next wait would run past `maxElapsedMs`.
+ *
+ * - `retryPolicy: { ... }` — overrides on top of DEFAULT_RETRY_POLICY
+ * - `retryPolicy: false` — no retries at all
+ * - `resourceExhaustedRetries` / `resourceExhaustedDelay` — still set the
+ *   default `maxRetries` / `initialDelayMs`
+ *
+ * @example
+ * ```javascript
+ * import { Transformer } from 'ak-gemini';
+ *
+ * const t = new Transformer({
+ *   retryPolicy: {
+ *     maxRetries: 8,
+ *     backoff: 'decorrelated',
+ *     maxElapsedMs: 120_000,
+ *     onRetry: ({ attempt, delayMs, error }) => metrics.increment('gemini.retry', { status: error.status })
+ *   }
+ * });
+ * ```
+ */
+
+import { RateLimitError, NetworkError, TimeoutError } from './errors.js';
+
+/**
+ * @typedef {import('./types').RetryPolicy} RetryPolicy
+ * @typedef {import('./types').ResolvedRetryPolicy} ResolvedRetryPolicy
+ */
+
+/** Symbol on an API result recording how many retries it took */
+export const RETRIES = Symbol('ak-gemini.retries');
+
+/** Random extra wait added to each exponential backoff, in ms */
+const EXPONENTIAL_JITTER_MS = 500;
+
+/** Policy used for any field `retryPolicy` leaves out */
+export const DEFAULT_RETRY_POLICY = Object.freeze({
+	maxRetries: 5,
+	initialDelayMs: 1000,
+	maxDelayMs: 60_000,
+	backoff: /** @type {'exponential'|'decorrelated'} */ ('exponential'),
+	maxElapsedMs: /** @type {number|null} */ (null),
+	retryableStatuses: [429, 500, 502, 503, 504],
+	retryableErrors: [RateLimitError, NetworkError, TimeoutError],
+	respectRetryAfter: true,
+	onRetry: /** @type {RetryPolicy['onRetry']|null} */ (null)
+});
+
+/**
+ * Merges a `retryPolicy` option over the defaults.
+ * @param {RetryPolicy|false|undefined} policy
+ * @param {{ maxRetries?: number, initialDelayMs?: number }} [legacy={}] - resourceExhaustedRetries / resourceExhaustedDelay
+ * @returns {ResolvedRetryPolicy}
+ */
+export function resolveRetryPolicy(policy, legacy = {}) {
+	const base = {
+		...DEFAULT_RETRY_POLICY,
+		maxRetries: legacy.maxRetries ?? DEFAULT_RETRY_POLICY.maxRetries,
+		initialDelayMs: legacy.initialDelayMs ?? DEFAULT_RETRY_POLICY.initialDelayMs
+	};
+	if (policy === false) return { ...base, maxRetries: 0 };
+	const resolved = { ...base, ...Object.fromEntries(Object.entries(policy || {}).filter(([, v]) => v !== undefined)) };
+	if (resolved.backoff !== 'exponential' && resolved.backoff !== 'decorrelated') {
+		throw new Error(`Unknown retryPolicy.backoff "${resolved.backoff}". Use 'exponential' or 'decorrelated'.`);
+	}
+	return /** @type {ResolvedRetryPolicy} */ (resolved);
+}
+
+/**
+ * Whether the policy retries this (classified) error.
+ * @param {any} error
+ * @param {ResolvedRetryPolicy} policy
+ * @returns {boolean}
+ */
+export function isRetryable(error, policy) {
+	if (policy.retryableErrors.some(ErrorClass => error instanceof ErrorClass)) return true;
+	return typeof error?.status === 'number' && policy.retryableStatuses.includes(error.status);
+}
+
+/**
+ * The computed wait before retry number `attempt` (1-based).
+ * @param {ResolvedRetryPolicy} policy
+ * @param {number} attempt
+ * @param {number} previousDelay - The last wait (decorrelated backoff grows from it)
+ * @returns {number}
+ */
+export function backoffDelay(policy, attempt, previousDelay) {
+	const { initialDelayMs, maxDelayMs } = policy;
+	if (policy.backoff === 'decorrelated') {
+		const upper = Math.max(initialDelayMs, previousDelay * 3);
+		return Math.min(maxDelayMs, initialDelayMs + Math.random() * (upper - initialDelayMs));
+	}
+	return Math.min(maxDelayMs, initialDelayMs * Math.pow(2, attempt - 1) + Math.random() * EXPONENTIAL_JITTER_MS);
+}
+
+/**
+ * The delay the server asked for, in ms: a `Retry-After` header (seconds or an
+ * HTTP date) or a google.rpc.RetryInfo `retryDelay` ("30s") in the error body.
+ * Reads the classified error's `cause` too, where the SDK error ends up.
+ * @param {any} error
+ * @returns {number|null}
+ */
+export function retryAfterMs(error) {
+	for (let err = error; err; err = err.cause) {
+		const header = typeof err.headers?.get === 'function' ? err.headers.get('retry-after') : err.headers?.['retry-after'];
+		if (header != null) {
+			const seconds = Number(header);
+			if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+			const date = Date.parse(header);
+			if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+		}
+		const details = Array.isArray(err.errorDetails) ? err.errorDetails : [];
+		const info = details.find((/** @type {any} */ d) => d?.retryDelay);
+		const retryDelay = info?.retryDelay ?? /"retryDelay"\s*:\s*"([\d.]+s)"/.exec(err.message || '')?.[1];
+		if (retryDelay) {
+			const seconds = parseFloat(retryDelay);
+			if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+		}
+	}
+	return null;
+}
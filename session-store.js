@@ -0,0 +1,161 @@
+/**
+ * @fileoverview Conversation persistence for chat-based classes.
+ *
+ * A session store is any object with `load(id)` and `save(id, history, meta)`.
+ * BaseGemini restores history from it during init() and saves after every turn
+ * when constructed with `sessionStore` (and optionally `sessionId`).
+ *
+ * Two implementations ship here:
+ * - MemorySessionStore — in-process Map (tests, single-process servers)
+ * - FileSessionStore — one file per session on disk, JSON or JSONL
+ *
+ * @example
+ * ```javascript
+ * import { Chat, FileSessionStore } from 'ak-gemini';
+ *
+ * const store = new FileSessionStore({ dir: './sessions' });
+ * const chat = new Chat({ sessionStore: store, sessionId: 'user-42' });
+ * await chat.send('Remember that my favorite color is teal.');
+ * // ...process restarts...
+ * const again = new Chat({ sessionStore: store, sessionId: 'user-42' });
+ * await again.send('What is my favorite color?'); // history restored
+ * ```
+ */
+
+import { mkdir, readFile, writeFile, rename, unlink } from 'node:fs/promises';
+import { join } from 'node:path';
+import { randomUUID } from 'node:crypto';
+
+/**
+ * @typedef {import('./types').SessionRecord} SessionRecord
+ * @typedef {import('./types').SessionMeta} SessionMeta
+ */
+
+/**
+ * Keeps sessions in memory. Stored history is deep-copied on save and load so
+ * callers can't mutate a session behind the store's back.
+ */
+export class MemorySessionStore {
+	constructor() {
+		/** @type {Map<string, SessionRecord>} */
+		this.sessions = new Map();
+	}
+
+	/**
+	 * @param {string} id
+	 * @returns {Promise<SessionRecord|null>}
+	 */
+	async load(id) {
+		const record = this.sessions.get(id);
+		return record ? structuredClone(record) : null;
+	}
+
+	/**
+	 * @param {string} id
+	 * @param {Array<Object>} history
+	 * @param {SessionMeta} [meta={}]
+	 * @returns {Promise<void>}
+	 */
+	async save(id, history, meta = {}) {
+		this.sessions.set(id, structuredClone({ history, meta }));
+	}
+
+	/**
+	 * @param {string} id
+	 * @returns {Promise<void>}
+	 */
+	async delete(id) {
+		this.sessions.delete(id);
+	}
+}
+
+/**
+ * Keeps one file per session in `dir`.
+ * - `json` (default): `{ "meta": {...}, "history": [...] }`
+ * - `jsonl`: first line is `{ "meta": {...} }`, then one history entry per line
+ *
+ * Writes go to a temp file and are renamed into place, so a crash mid-save never
+ * leaves a half-written session behind.
+ */
+export class FileSessionStore {
+	/**
+	 * @param {Object} options
+	 * @param {string} options.dir - Directory holding the session files (created on first save)
+	 * @param {'json'|'jsonl'} [options.format='json']
+	 */
+	constructor(options) {
+		if (!options?.dir) {
+			throw new Error("FileSessionStore requires a dir.");
+		}
+		this.dir = options.dir;
+		this.format = options.format || 'json';
+		if (this.format !== 'json' && this.format !== 'jsonl') {
+			throw new Error(`FileSessionStore: unsupported format "${this.format}". Use 'json' or 'jsonl'.`);
+		}
+	}
+
+	/**
+	 * File path for a session id. Ids are URI-encoded so any string is a safe file name.
+	 * @param {string} id
+	 * @returns {string}
+	 */
+	pathFor(id) {
+		return join(this.dir, `${encodeURIComponent(id)}.${this.format}`);
+	}
+
+	/**
+	 * @param {string} id
+	 * @returns {Promise<SessionRecord|null>}
+	 */
+	async load(id) {
+		let raw;
+		try {
+			raw = await readFile(this.pathFor(id), 'utf-8');
+		} catch (err) {
+			if (err.code === 'ENOENT') return null;
+			throw err;
+		}
+
+		if (this.format === 'json') {
+			const { meta = {}, history = [] } = JSON.parse(raw);
+			return { meta, history };
+		}
+
+		const [first, ...rest] = raw.split('\n').filter(line => line.trim());
+		return {
+			meta: first ? JSON.parse(first).meta || {} : {},
+			history: rest.map(line => JSON.parse(line))
+		};
+	}
+
+	/**
+	 * @param {string} id
+	 * @param {Array<Object>} history
+	 * @param {SessionMeta} [meta={}]
+	 * @returns {Promise<void>}
+	 */
+	async save(id, history, meta = {}) {
+		await mkdir(this.dir, { recursive: true });
+
+		const body = this.format === 'json'
+			? JSON.stringify({ meta, history }, null, 2)
+			: [JSON.stringify({ meta }), ...history.map(h => JSON.stringify(h))].join('\n') + '\n';
+
+		const target = this.pathFor(id);
+		const tmp = `${target}.${randomUUID()}.tmp`;
+		await writeFile(tmp, body, 'utf-8');
+		await rename(tmp, target);
+	}
+
+	/**
+	 * @param {string} id
+	 * @returns {Promise<void>}
+	 */
+	async delete(id) {
+		try {
+			await unlink(this.pathFor(id));
+		} catch (err) {
+			if (err.code !== 'ENOENT') throw err;
+		}
+	}
+}
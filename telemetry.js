@@ -0,0 +1,295 @@
+/**
+ * @fileoverview Optional OpenTelemetry spans and metrics for model calls, tool
+ * executions and file uploads.
+ *
+ * With `telemetry: true`, the tracer and meter come from whatever the host app
+ * registered with `@opentelemetry/api` (an optional peer dependency, loaded on
+ * first use). Without a registered SDK the API is a no-op. Pass
+ * `telemetry: { tracer, meter }` to use specific ones instead.
+ *
+ * - One CLIENT span per model call (`generate_content <model>`, `embeddings <model>`)
+ *   with GenAI semantic-convention attributes: model, tokens, finish reasons,
+ *   plus `ak_gemini.cost_usd`. Retries are separate spans. countTokens isn't traced.
+ * - One INTERNAL span per tool execution (`execute_tool <name>`, ToolAgent and
+ *   CodeAgent) and per RagAgent file upload (`upload_file`).
+ * - Metrics: `gen_ai.client.operation.duration` and `gen_ai.client.token.usage`
+ *   histograms, `ak_gemini.client.tokens` and `ak_gemini.client.cost` counters,
+ *   and an `ak_gemini.tool.duration` histogram.
+ *
+ * Prompts and responses are never recorded.
+ *
+ * @example
+ * ```javascript
+ * import { ToolAgent } from 'ak-gemini';
+ *
+ * // After the host app's OpenTelemetry SDK has started:
+ * const agent = new ToolAgent({ telemetry: true, tools, toolExecutor });
+ * ```
+ */
+
+import { computeCostBreakdown, billableTokens } from './base.js';
+import log from './logger.js';
+
+/**
+ * @typedef {import('./types').TelemetryOptions} TelemetryOptions
+ * @typedef {import('./types').Middleware} Middleware
+ * @typedef {import('./types').ModelCallContext} ModelCallContext
+ */
+
+/** Instrumentation scope name for the tracer and meter */
+const SCOPE = 'ak-gemini';
+
+// @opentelemetry/api enum values, so injected tracers work without the package
+const SPAN_KIND_INTERNAL = 0;
+const SPAN_KIND_CLIENT = 2;
+const SPAN_STATUS_ERROR = 2;
+
+/** gen_ai.operation.name per traced model-call method */
+const OPERATION_NAMES = {
+	generateContent: 'generate_content',
+	generateContentStream: 'generate_content',
+	embedContent: 'embeddings'
+};
+
+/** @type {Promise<any>|null} */
+let apiPromise = null;
+
+/**
+ * Loads @opentelemetry/api once; resolves null (with one warning) when it isn't installed.
+ * @returns {Promise<any>}
+ */
+function loadApi() {
+	if (!apiPromise) {
+		// Not a string literal, so neither tsc nor the CJS bundle require the optional peer dependency
+		const specifier = '@opentelemetry/api';
+		apiPromise = import(specifier).catch((e) => {
+			log.warn(`telemetry: could not load @opentelemetry/api (${e.message}); install it or pass { tracer, meter }. Spans and metrics are off.`);
+			return null;
+		});
+	}
+	return apiPromise;
+}
+
+/**
+ * Holds the tracer, meter and instruments one or more instances report to.
+ */
+export class Telemetry {
+	/**
+	 * @param {TelemetryOptions} [options={}]
+	 */
+	constructor(options = {}) {
+		/** @type {any} */
+		this.tracer = options.tracer || null;
+		/** @type {any} */
+		this.meter = options.meter || null;
+		/** @type {Promise<void>|null} */
+		this._ready = null;
+		/** @type {Record<string, any>|null} */
+		this._instruments = null;
+	}
+
+	/**
+	 * Resolves the tracer and meter (from @opentelemetry/api when not given)
+	 * and creates the instruments. Safe to call repeatedly.
+	 * @returns {Promise<void>}
+	 */
+	ready() {
+		if (!this._ready) {
+			this._ready = (async () => {
+				if (!this.tracer || !this.meter) {
+					const api = await loadApi();
+					if (api) {
+						this.tracer = this.tracer || api.trace.getTracer(SCOPE);
+						this.meter = this.meter || api.metrics.getMeter(SCOPE);
+					}
+				}
+				if (this.meter) {
+					this._instruments = {
+						duration: this.meter.createHistogram('gen_ai.client.operation.duration', { unit: 's', description: 'GenAI operation duration' }),
+						tokenUsage: this.meter.createHistogram('gen_ai.client.token.usage', { unit: '{token}', description: 'Tokens used per model call' }),
+						tokens: this.meter.createCounter('ak_gemini.client.tokens', { unit: '{token}', description: 'Total tokens used' }),
+						cost: this.meter.createCounter('ak_gemini.client.cost', { unit: 'USD', description: 'Estimated spend from MODEL_PRICING' }),
+						toolDuration: this.meter.createHistogram('ak_gemini.tool.duration', { unit: 's', description: 'Tool execution duration' })
+					};
+				}
+			})();
+		}
+		return this._ready;
+	}
+
+	/**
+	 * Runs `fn` inside an active INTERNAL span, so spans started within it are
+	 * its children. Errors are recorded on the span and rethrown.
+	 * @template T
+	 * @param {string} name
+	 * @param {Record<string, any>} attributes
+	 * @param {(span: any) => Promise<T>} fn
+	 * @returns {Promise<T>}
+	 */
+	async span(name, attributes, fn) {
+		await this.ready();
+		if (!this.tracer) return fn(null);
+		return this.tracer.startActiveSpan(name, { kind: SPAN_KIND_INTERNAL, attributes }, async (/** @type {any} */ span) => {
+			try {
+				return await fn(span);
+			} catch (err) {
+				recordError(span, err);
+				throw err;
+			} finally {
+				span.end();
+			}
+		});
+	}
+
+	/**
+	 * Traces and times one tool execution.
+	 * @template T
+	 * @param {string} className - Agent class running the tool
+	 * @param {string} toolName
+	 * @param {() => Promise<T>} fn
+	 * @returns {Promise<T>}
+	 */
+	async tool(className, toolName, fn) {
+		const attributes = { 'gen_ai.operation.name': 'execute_tool', 'gen_ai.tool.name': toolName, 'ak_gemini.class': className };
+		const started = performance.now();
+		/** @type {string|null} */
+		let errorType = null;
+		try {
+			return await this.span(`execute_tool ${toolName}`, attributes, fn);
+		} catch (err) {
+			errorType = errorTypeOf(err);
+			throw err;
+		} finally {
+			this._instruments?.toolDuration.record((performance.now() - started) / 1000, {
+				'gen_ai.tool.name': toolName,
+				...(errorType && { 'error.type': errorType })
+			});
+		}
+	}
+}
+
+/**
+ * @param {any} span
+ * @param {any} err
+ */
+function recordError(span, err) {
+	if (!span) return;
+	span.recordException(err);
+	span.setStatus({ code: SPAN_STATUS_ERROR, message: err?.message });
+	span.setAttribute('error.type', errorTypeOf(err));
+}
+
+/**
+ * `error.type`: the HTTP status for API errors, else the error's name.
+ * @param {any} err
+ * @returns {string}
+ */
+function errorTypeOf(err) {
+	return String(err?.status ?? err?.name ?? 'Error');
+}
+
+/**
+ * Request attributes for a model call.
+ * @param {ModelCallContext} ctx
+ * @returns {Record<string, any>}
+ */
+function requestAttributes(ctx) {
+	const config = ctx.config || {};
+	/** @type {Record<string, any>} */
+	const attributes = {
+		'gen_ai.operation.name': OPERATION_NAMES[/** @type {keyof OPERATION_NAMES} */ (ctx.method)],
+		'gen_ai.provider.name': ctx.instance.vertexai ? 'gcp.vertex_ai' : 'gcp.gemini',
+		'gen_ai.request.model': ctx.model,
+		'ak_gemini.class': ctx.className,
+		'ak_gemini.method': ctx.method
+	};
+	if (config.temperature != null) attributes['gen_ai.request.temperature'] = config.temperature;
+	if (config.topP != null) attributes['gen_ai.request.top_p'] = config.topP;
+	if (config.topK != null) attributes['gen_ai.request.top_k'] = config.topK;
+	if (config.maxOutputTokens != null) attributes['gen_ai.request.max_tokens'] = config.maxOutputTokens;
+	for (const [key, value] of Object.entries(ctx.labels || ctx.instance.labels || {})) {
+		attributes[`ak_gemini.label.${key}`] = value;
+	}
+	return attributes;
+}
+
+/**
+ * Middleware that wraps every model call (countTokens excepted) in a CLIENT
+ * span and records the call's duration, tokens and estimated cost.
+ * @param {Telemetry} telemetry
+ * @returns {Middleware}
+ */
+export function telemetryMiddleware(telemetry) {
+	/**
+	 * Attributes shared by this call's metrics.
+	 * @param {ModelCallContext} ctx
+	 */
+	const metricAttributes = (ctx) => ({
+		'gen_ai.operation.name': ctx.state.telemetryAttributes['gen_ai.operation.name'],
+		'gen_ai.provider.name': ctx.state.telemetryAttributes['gen_ai.provider.name'],
+		'gen_ai.request.model': ctx.model,
+		...(ctx.response?.modelVersion && { 'gen_ai.response.model': ctx.response.modelVersion })
+	});
+
+	return {
+		name: 'telemetry',
+		before: async (ctx) => {
+			if (ctx.method === 'countTokens') return;
+			await telemetry.ready();
+			const attributes = requestAttributes(ctx);
+			ctx.state.telemetryAttributes = attributes;
+			ctx.state.telemetryStart = performance.now();
+			ctx.state.telemetrySpan = telemetry.tracer?.startSpan(
+				`${attributes['gen_ai.operation.name']} ${ctx.model}`,
+				{ kind: SPAN_KIND_CLIENT, attributes }
+			) ?? null;
+		},
+		after: (ctx) => {
+			if (ctx.method === 'countTokens' || !ctx.state.telemetryAttributes) return;
+			ctx.state.telemetryDone = true;
+			const response = ctx.response;
+			const tokens = billableTokens(response?.usageMetadata);
+			const outputTokens = tokens.responseTokens + tokens.thoughtsTokens;
+			const costOpts = { serviceTier: ctx.config?.serviceTier };
+			const cost = (computeCostBreakdown(response?.modelVersion, tokens, costOpts) ?? computeCostBreakdown(ctx.model, tokens, costOpts))?.total ?? null;
+
+			const span = ctx.state.telemetrySpan;
+			if (span) {
+				/** @type {Record<string, any>} */
+				const attributes = {
+					'gen_ai.usage.input_tokens': tokens.promptTokens,
+					'gen_ai.usage.output_tokens': outputTokens,
+					'ak_gemini.usage.thoughts_tokens': tokens.thoughtsTokens,
+					'ak_gemini.usage.cached_tokens': tokens.cachedTokens
+				};
+				if (response?.modelVersion) attributes['gen_ai.response.model'] = response.modelVersion;
+				if (response?.responseId) attributes['gen_ai.response.id'] = response.responseId;
+				const finishReasons = (response?.candidates || []).map((/** @type {any} */ c) => c.finishReason).filter(Boolean);
+				if (finishReasons.length > 0) attributes['gen_ai.response.finish_reasons'] = finishReasons;
+				if (cost != null) attributes['ak_gemini.cost_usd'] = cost;
+				span.setAttributes(attributes);
+				span.end();
+			}
+
+			const instruments = telemetry._instruments;
+			if (!instruments) return;
+			const metricAttrs = metricAttributes(ctx);
+			instruments.duration.record((performance.now() - ctx.state.telemetryStart) / 1000, metricAttrs);
+			instruments.tokenUsage.record(tokens.promptTokens, { ...metricAttrs, 'gen_ai.token.type': 'input' });
+			instruments.tokenUsage.record(outputTokens, { ...metricAttrs, 'gen_ai.token.type': 'output' });
+			instruments.tokens.add(tokens.promptTokens, { ...metricAttrs, 'gen_ai.token.type': 'input' });
+			instruments.tokens.add(outputTokens, { ...metricAttrs, 'gen_ai.token.type': 'output' });
+			if (cost != null) instruments.cost.add(cost, metricAttrs);
+		},
+		onError: (ctx) => {
+			// before may not have run (an earlier middleware threw), or after already ended the span
+			if (ctx.method === 'countTokens' || !ctx.state.telemetryAttributes || ctx.state.telemetryDone) return;
+			recordError(ctx.state.telemetrySpan, ctx.error);
+			ctx.state.telemetrySpan?.end();
+			telemetry._instruments?.duration.record((performance.now() - ctx.state.telemetryStart) / 1000, {
+				...metricAttributes(ctx),
+				'error.type': errorTypeOf(ctx.error)
+			});
+		}
+	};
+}
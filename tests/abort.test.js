@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Offline tests for per-call `timeoutMs` and `signal` cancellation.
+ */
+
+import { Message, Chat, ToolAgent, Embedding, MockGeminiClient, AbortError, TimeoutError } from '../index.js';
+
+const QUIET = { logLevel: 'silent' };
+
+describe('timeouts and cancellation', () => {
+
+	it('throws TimeoutError when a call outlives timeoutMs, per call or per instance', async () => {
+		const client = new MockGeminiClient().respond({ text: 'slow', delayMs: 5_000 }, { text: 'slow', delayMs: 5_000 }, 'fast');
+		const msg = new Message({ ...QUIET, client });
+
+		const err = await msg.send('x', { timeoutMs: 20 }).catch(e => e);
+		expect(err).toBeInstanceOf(TimeoutError);
+		expect(err).toMatchObject({ timeoutMs: 20, message: 'Message call timed out after 20ms.' });
+		expect(client.calls[0].signal).toBeInstanceOf(AbortSignal);
+
+		const limited = new Message({ ...QUIET, client, timeoutMs: 20 });
+		await expect(limited.send('y')).rejects.toBeInstanceOf(TimeoutError);
+		expect((await limited.send('z', { timeoutMs: 1_000 })).text).toBe('fast');
+	});
+
+	it('aborts a call, its retry backoff and a stream with the caller\'s signal', async () => {
+		const client = new MockGeminiClient().fail(503).respond('never');
+		const msg = new Message({ ...QUIET, client, retryPolicy: { initialDelayMs: 60_000 } });
+		const controller = new AbortController();
+		msg.on('retry', () => controller.abort());
+
+		const err = await msg.send('x', { signal: controller.signal }).catch(e => e);
+		expect(err).toBeInstanceOf(AbortError);
+		expect(err.cause.name).toBe('AbortError');
+		expect(client.pending).toBe(1); // the backoff never finished, so no second attempt
+
+		await expect(msg.send('y', { signal: controller.signal })).rejects.toBeInstanceOf(AbortError);
+		await expect(new Embedding({ ...QUIET, client }).embed('z', { signal: controller.signal })).rejects.toBeInstanceOf(AbortError);
+
+		const chat = new Chat({ ...QUIET, client: new MockGeminiClient({ streamChunkSize: 2 }).respond('abcdefgh') });
+		const streamController = new AbortController();
+		const seen = [];
+		const drain = async () => {
+			for await (const event of chat.stream('hi', { signal: streamController.signal })) {
+				seen.push(event.text);
+				streamController.abort();
+			}
+		};
+		await expect(drain()).rejects.toBeInstanceOf(AbortError);
+		expect(seen).toEqual(['ab']);
+	});
+
+	it('passes the signal to ToolAgent tools and abandons a tool run when it aborts', async () => {
+		const client = new MockGeminiClient().respond({ functionCalls: [{ name: 'hang', args: {} }] }, 'unreachable');
+		let toolSignal;
+		const agent = new ToolAgent({
+			...QUIET, client,
+			tools: [{ name: 'hang', description: 'never returns', parametersJsonSchema: { type: 'object', properties: {} } }],
+			toolExecutor: (_name, _args, { signal }) => {
+				toolSignal = signal;
+				return new Promise(() => {});
+			}
+		});
+		const results = [];
+		agent.on('toolResult', (r) => results.push(r));
+
+		const err = await agent.chat('go', { timeoutMs: 30 }).catch(e => e);
+
+		expect(err).toBeInstanceOf(TimeoutError);
+		expect(toolSignal.aborted).toBe(true);
+		expect(results[0].error).toBe(err);
+		expect(client.pending).toBe(1); // the tool result was never sent back
+	});
+});
@@ -0,0 +1,136 @@
+/**
+ * @fileoverview Offline tests for BatchJob and batch pricing.
+ * MockGeminiClient simulates the batches module: jobs run for `batchPolls`
+ * status checks, then answer every inlined request from the response queue.
+ */
+
+import { BatchJob, MockGeminiClient, AbortError, computeCost, BATCH_DISCOUNT, MODEL_PRICING } from '../index.js';
+
+const QUIET = { logLevel: 'silent' };
+
+describe('BatchJob', () => {
+
+	it('submits payloads inline, polls until done, and maps results back in order', async () => {
+		const client = new MockGeminiClient({ batchPolls: 2 }).respond(
+			{ text: 'positive', usage: { promptTokens: 1000, responseTokens: 100 } },
+			{ text: 'negative', usage: { promptTokens: 1000, responseTokens: 100 } }
+		);
+		const job = new BatchJob({ ...QUIET, client, modelName: 'gemini-2.5-flash', systemPrompt: 'Classify.', displayName: 'reviews', pollInterval: 1 });
+		const polled = [];
+
+		const { results, summary, state } = await job.run(['great!', { review: 'awful' }], { onPoll: (info) => polled.push(info.state) });
+
+		expect(state).toBe('JOB_STATE_SUCCEEDED');
+		expect(polled).toEqual(['JOB_STATE_RUNNING', 'JOB_STATE_RUNNING']);
+		expect(results.map(r => [r.index, r.ok, r.text])).toEqual([[0, true, 'positive'], [1, true, 'negative']]);
+
+		const [first, second] = client.requests();
+		expect(first.contents[0].parts[0].text).toBe('great!');
+		expect(JSON.parse(second.contents[0].parts[0].text)).toEqual({ review: 'awful' });
+		expect(first.config.systemInstruction).toBe('Classify.');
+		expect((await client.batches.list())[0]).toMatchObject({ displayName: 'reviews', model: 'gemini-2.5-flash' });
+
+		const fullPrice = computeCost('gemini-2.5-flash', 2000, 200);
+		expect(summary).toMatchObject({ total: 2, succeeded: 2, failed: 0, promptTokens: 2000, responseTokens: 200 });
+		expect(summary.estimatedCost).toBeCloseTo(fullPrice * BATCH_DISCOUNT, 10);
+		expect(results[0].usage.estimatedCost).toBeCloseTo(fullPrice * BATCH_DISCOUNT / 2, 10);
+	});
+
+	it('parses structured output and records per-request failures without failing the job', async () => {
+		const client = new MockGeminiClient().respond('{"sentiment":"positive"}').fail(400, 'request too large');
+		const job = new BatchJob({ ...QUIET, client, responseSchema: { type: 'object' }, pollInterval: 1 });
+
+		const { results, summary } = await job.run([{ a: 1 }, { b: 2 }]);
+
+		expect(results[0]).toMatchObject({ ok: true, data: { sentiment: 'positive' } });
+		expect(results[1]).toMatchObject({ ok: false, error: 'request too large', usage: null });
+		expect(summary).toMatchObject({ succeeded: 1, failed: 1 });
+		expect(client.requests()[0].config.responseMimeType).toBe('application/json');
+	});
+
+	it('reattaches to a job by name from another instance', async () => {
+		const client = new MockGeminiClient({ batchPolls: 0 }).respond('done');
+		const { name } = await new BatchJob({ ...QUIET, client }).submit(['x']);
+
+		const later = new BatchJob({ ...QUIET, client, jobName: name, pollInterval: 1 });
+
+		expect((await later.wait()).results[0].text).toBe('done');
+		expect(later.info).toMatchObject({ name, done: true });
+	});
+
+	it('cancels, times out, and refuses results before the job finishes', async () => {
+		const client = new MockGeminiClient({ batchPolls: 100 });
+		const job = new BatchJob({ ...QUIET, client, pollInterval: 1 });
+		await job.submit(['slow']);
+
+		await expect(job.results()).rejects.toThrow(/still JOB_STATE_RUNNING/);
+		await expect(job.wait({ timeoutMs: 5 })).rejects.toThrow(/still JOB_STATE_RUNNING after 5ms/);
+		expect((await job.cancel()).state).toBe('JOB_STATE_CANCELLED');
+		await expect(job.results()).rejects.toThrow(/ended in JOB_STATE_CANCELLED/);
+		expect(client.requests()).toHaveLength(0);
+	});
+
+	it('redacts payloads and the system prompt, rehydrates results, and refuses a budget', async () => {
+		const client = new MockGeminiClient({ batchPolls: 0 }).respond('Wrote to [EMAIL_2]', '{"to":"[EMAIL_2]"}');
+		const job = new BatchJob({ ...QUIET, client, redaction: true, systemPrompt: 'Mail ops@example.com on failure.', pollInterval: 1 });
+
+		const { results } = await job.run(['Welcome ana@example.com', { to: 'ana@example.com' }]);
+
+		const sent = JSON.stringify(client.requests());
+		expect(sent).not.toContain('ana@example.com');
+		expect(sent).not.toContain('ops@example.com');
+		expect(client.requests()[0].config.systemInstruction).toBe('Mail [EMAIL_1] on failure.');
+		expect(client.requests()[0].contents[0].parts[0].text).toBe('Welcome [EMAIL_2]');
+		expect(results.map(r => r.text)).toEqual(['Wrote to ana@example.com', '{"to":"ana@example.com"}']);
+
+		const guarded = new BatchJob({ ...QUIET, client, budget: { maxUSD: 1 } });
+		await expect(guarded.submit(['x'])).rejects.toThrow(/can't enforce a budget/);
+	});
+
+	it('retries a failed poll and stops waiting when the signal aborts', async () => {
+		const client = new MockGeminiClient({ batchPolls: 1 }).respond('done');
+		const job = new BatchJob({ ...QUIET, client, pollInterval: 1, retryPolicy: { initialDelayMs: 1 } });
+		await job.submit(['x']);
+		const get = client.batches.get;
+		let failures = 1;
+		client.batches.get = async (params) => {
+			if (failures-- > 0) throw Object.assign(new Error('The model is overloaded.'), { status: 503 });
+			return get(params);
+		};
+		const retries = [];
+		job.on('retry', (e) => retries.push(e.error.status));
+
+		expect((await job.wait()).results[0].text).toBe('done');
+		expect(retries).toEqual([503]);
+
+		const slow = new BatchJob({ ...QUIET, client: new MockGeminiClient({ batchPolls: 100 }), pollInterval: 60_000 });
+		await slow.submit(['y']);
+		const controller = new AbortController();
+		const waiting = slow.wait({ signal: controller.signal, onPoll: () => controller.abort() });
+		await expect(waiting).rejects.toBeInstanceOf(AbortError);
+		expect((await slow.status()).state).toBe('JOB_STATE_RUNNING');
+	});
+
+	it('validates input and needs a job to act on', async () => {
+		const job = new BatchJob({ ...QUIET, client: new MockGeminiClient() });
+
+		await expect(job.submit([])).rejects.toThrow(/non-empty array/);
+		await expect(job.status()).rejects.toThrow(/Call submit\(\) first/);
+		await expect(new BatchJob({ ...QUIET, client: { models: new MockGeminiClient().models } }).submit(['x']))
+			.rejects.toThrow(/no batches module/);
+	});
+});
+
+describe('batch pricing', () => {
+	it('discounts by BATCH_DISCOUNT unless the model sets its own batch rate', () => {
+		expect(computeCost('gemini-2.5-pro', 100_000, 1_000_000, 0, { batch: true })).toBeCloseTo((0.125 + 10) * BATCH_DISCOUNT, 10);
+
+		MODEL_PRICING['test-batch-model'] = { input: 1, output: 2, batch: { input: 0.1, output: 0.2 } };
+		try {
+			expect(computeCost('test-batch-model', 1_000_000, 1_000_000, 0, { batch: true })).toBeCloseTo(0.3, 10);
+			expect(computeCost('test-batch-model', 1_000_000, 1_000_000)).toBe(3);
+		} finally {
+			delete MODEL_PRICING['test-batch-model'];
+		}
+	});
+});
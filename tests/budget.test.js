@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Offline tests for the `budget` option, BudgetTracker and BudgetExceededError.
+ */
+
+import { Chat, Message, ToolAgent, Transformer, BudgetTracker, BudgetExceededError, MockGeminiClient, computeCost } from '../index.js';
+
+const QUIET = { logLevel: 'silent' };
+const MODEL = 'gemini-2.5-flash';
+
+/** Each response reports 1M prompt + 100k output tokens: $0.30 + $0.25 on gemini-2.5-flash */
+const expensive = (text = 'ok') => ({ text, usage: { promptTokens: 1_000_000, responseTokens: 100_000 } });
+const COST = computeCost(MODEL, 1_000_000, 100_000);
+
+describe('budget', () => {
+
+	it('records actual spend after each call and refuses the call after the cap is crossed', async () => {
+		const client = new MockGeminiClient().respond(expensive(), expensive(), expensive());
+		const msg = new Message({ ...QUIET, client, modelName: MODEL, budget: { maxUSD: 1 } });
+
+		await msg.send('one');
+		expect(msg.budget.spentUSD).toBeCloseTo(COST, 10);
+		await msg.send('two');
+
+		const err = await msg.send('three').catch(e => e);
+		expect(err).toBeInstanceOf(BudgetExceededError);
+		expect(err).toMatchObject({ limit: 'maxUSD', max: 1, scope: 'instance' });
+		expect(err.spent).toBeCloseTo(COST * 2, 10);
+		expect(client.requests()).toHaveLength(2);
+		expect(client.pending).toBe(1);
+	});
+
+	it('checks the preflight estimate before sending', async () => {
+		const client = new MockGeminiClient({ defaultResponse: 'ok' });
+		const msg = new Message({ ...QUIET, client, budget: { maxTokens: 50 } });
+
+		await expect(msg.send('x'.repeat(400))).rejects.toMatchObject({ name: 'BudgetExceededError', limit: 'maxTokens', spent: 0 });
+		expect(client.requests()).toHaveLength(0);
+		expect(client.requests('countTokens')).toHaveLength(0);
+
+		const counted = new Message({ ...QUIET, client, budget: { maxTokens: 50, preflight: 'countTokens' } });
+		await expect(counted.send('x'.repeat(400))).rejects.toThrow(/maxTokens 50 tokens would be crossed/);
+		expect(client.requests('countTokens')).toHaveLength(1);
+	});
+
+	it('stops a runaway ToolAgent loop', async () => {
+		const call = { functionCalls: [{ name: 'again', args: {} }], usage: { promptTokens: 1_000_000, responseTokens: 0 } };
+		const client = new MockGeminiClient({ defaultResponse: call });
+		const agent = new ToolAgent({
+			...QUIET,
+			client,
+			modelName: MODEL,
+			maxToolRounds: 50,
+			budget: { maxUSD: 1, preflight: false },
+			tools: [{ name: 'again', description: 'Loop', parametersJsonSchema: { type: 'object', properties: {} } }],
+			toolExecutor: async () => ({ ok: true })
+		});
+
+		await expect(agent.chat('go')).rejects.toBeInstanceOf(BudgetExceededError);
+		expect(client.requests()).toHaveLength(4); // $0.30 each: the 4th crosses $1, the 5th is refused
+	});
+
+	it('lets several instances draw from one BudgetTracker', async () => {
+		const shared = new BudgetTracker({ maxUSD: 1, name: 'nightly' });
+		const client = new MockGeminiClient().respond(expensive(), expensive());
+		const chat = new Chat({ ...QUIET, client, modelName: MODEL, budget: shared });
+		const msg = new Message({ ...QUIET, client, modelName: MODEL, budget: shared });
+
+		await chat.send('a');
+		expect(shared.remaining().usd).toBeCloseTo(1 - COST, 10);
+		await msg.send('b');
+
+		expect(shared.calls).toBe(2);
+		expect(shared.remaining().usd).toBe(0);
+		await expect(chat.send('c')).rejects.toMatchObject({ scope: 'nightly' });
+	});
+
+	it('process scope checks each instance cap against the process-wide total', async () => {
+		BudgetTracker.process.reset();
+		const client = new MockGeminiClient().respond(expensive(), expensive());
+		const a = new Message({ ...QUIET, client, modelName: MODEL, budget: { maxUSD: 10, scope: 'process' } });
+		const b = new Message({ ...QUIET, client, modelName: MODEL, budget: { maxUSD: 0.5, scope: 'process' } });
+
+		await a.send('x');
+
+		expect(b.budget).toBe(BudgetTracker.process);
+		await expect(b.send('y')).rejects.toMatchObject({ scope: 'process', limit: 'maxUSD' });
+		await a.send('z');
+		expect(BudgetTracker.process.spentUSD).toBeCloseTo(COST * 2, 10);
+		BudgetTracker.process.reset();
+	});
+
+	it('ends a transformBatch run instead of failing every remaining item', async () => {
+		const client = new MockGeminiClient({ defaultResponse: { ...expensive('{"ok":true}') } });
+		const t = new Transformer({ ...QUIET, client, modelName: MODEL, budget: { maxUSD: 1, preflight: false } });
+		await t.init();
+
+		await expect(t.transformBatch([1, 2, 3, 4, 5, 6].map(n => ({ n })), { concurrency: 1 })).rejects.toBeInstanceOf(BudgetExceededError);
+		expect(client.requests()).toHaveLength(2);
+	});
+
+	it('validates the option', () => {
+		expect(() => new Chat({ ...QUIET, client: new MockGeminiClient(), budget: {} })).toThrow(/maxUSD and\/or maxTokens/);
+		expect(() => new Chat({ ...QUIET, client: new MockGeminiClient(), budget: { maxUSD: 1, scope: /** @type {any} */ ('global') } })).toThrow(/Unknown budget scope/);
+	});
+});
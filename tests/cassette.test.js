@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Offline tests for recordMode / cassetteDir.
+ * Recording runs against MockGeminiClient (standing in for the live API); replay
+ * runs with no client and no credentials at all.
+ */
+
+import { mkdtemp, rm, readdir, readFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Chat, Message, ToolAgent, Embedding, ImageGenerator, MockGeminiClient } from '../index.js';
+
+const QUIET = { logLevel: 'silent' };
+
+const weatherTool = {
+	name: 'weather',
+	description: 'Weather by city',
+	parametersJsonSchema: { type: 'object', properties: { city: { type: 'string' } } }
+};
+
+describe('recordMode', () => {
+	let dir;
+	beforeEach(async () => { dir = await mkdtemp(join(tmpdir(), 'ak-gemini-cassettes-')); });
+	afterEach(async () => { await rm(dir, { recursive: true, force: true }); });
+
+	const recording = (client, extra = {}) => ({ ...QUIET, ...extra, client, recordMode: 'record', cassetteDir: dir });
+	const replaying = (extra = {}) => ({ ...QUIET, ...extra, recordMode: 'replay', cassetteDir: dir });
+
+	it('records chat turns and streams, then replays them without a client', async () => {
+		const live = new MockGeminiClient().respond('Hello Ana.', 'You are Ana.');
+		const rec = new Chat(recording(live));
+		await rec.send('I am Ana');
+		let recorded = '';
+		for await (const e of rec.stream('Who am I?')) if (e.type === 'text') recorded += e.text;
+
+		const files = await readdir(dir);
+		expect(files.filter(f => f.startsWith('generateContent-'))).toHaveLength(1);
+		expect(files.filter(f => f.startsWith('generateContentStream-'))).toHaveLength(1);
+
+		const chat = new Chat(replaying({ apiKey: undefined }));
+		expect((await chat.send('I am Ana')).text).toBe('Hello Ana.');
+		let replayed = '';
+		for await (const e of chat.stream('Who am I?')) if (e.type === 'text') replayed += e.text;
+
+		expect(replayed).toBe(recorded);
+		expect(chat.getHistory()).toEqual(rec.getHistory());
+		expect(live.requests()).toHaveLength(2);
+	});
+
+	it('replays ToolAgent tool rounds', async () => {
+		const live = new MockGeminiClient().respond(
+			{ functionCalls: [{ name: 'weather', args: { city: 'Oslo' } }] },
+			'3°C in Oslo.'
+		);
+		const toolExecutor = async (_name, args) => ({ city: args.city, celsius: 3 });
+		await new ToolAgent(recording(live, { tools: [weatherTool], toolExecutor })).chat('Weather in Oslo?');
+
+		const result = await new ToolAgent(replaying({ tools: [weatherTool], toolExecutor })).chat('Weather in Oslo?');
+
+		expect(result.text).toBe('3°C in Oslo.');
+		expect(result.toolCalls).toHaveLength(1);
+	});
+
+	it('replays embeddings and image generation', async () => {
+		const live = new MockGeminiClient({ embeddingDimensions: 4 }).respond({
+			parts: [{ inlineData: { data: Buffer.from('png').toString('base64'), mimeType: 'image/png' } }]
+		});
+		const vectors = await new Embedding(recording(live)).embedBatch(['a', 'b']);
+		await new ImageGenerator(recording(live)).generate('a cat');
+
+		expect(await new Embedding(replaying()).embedBatch(['a', 'b'])).toEqual(vectors);
+		const image = await new ImageGenerator(replaying()).generate('a cat');
+		expect(Buffer.from(image.images[0].data, 'base64').toString()).toBe('png');
+	});
+
+	it('numbers identical requests so each answer replays in order', async () => {
+		const live = new MockGeminiClient().respond('heads', 'tails');
+		const rec = new Message(recording(live));
+		await rec.send('flip a coin');
+		await rec.send('flip a coin');
+
+		const msg = new Message(replaying());
+		expect((await msg.send('flip a coin')).text).toBe('heads');
+		expect((await msg.send('flip a coin')).text).toBe('tails');
+	});
+
+	it('keys on model, config and contents, ignoring labels and key order', async () => {
+		const live = new MockGeminiClient().respond('ok');
+		await new Message(recording(live, { labels: { run: '1' }, chatConfig: { temperature: 0.2, topP: 0.9 } })).send('hi');
+
+		const same = new Message(replaying({ labels: { run: '2' }, chatConfig: { topP: 0.9, temperature: 0.2 } }));
+		expect((await same.send('hi')).text).toBe('ok');
+
+		const [file] = await readdir(dir);
+		const cassette = JSON.parse(await readFile(join(dir, file), 'utf8'));
+		expect(cassette).toMatchObject({ version: 1, method: 'generateContent', request: { model: same.modelName } });
+		expect(cassette.request.config.labels).toBeUndefined();
+	});
+
+	it('fails loudly on a cassette miss', async () => {
+		const msg = new Message(replaying({ chatConfig: { temperature: 0.9 } }));
+
+		await expect(msg.send('never recorded')).rejects.toThrow(/Cassette miss[\s\S]*never recorded[\s\S]*recordMode: 'record'/);
+	});
+
+	it('validates the mode and requires a cassetteDir', () => {
+		expect(() => new Chat({ ...QUIET, recordMode: /** @type {any} */ ('rewind'), cassetteDir: dir })).toThrow(/Unknown recordMode/);
+		expect(() => new Chat({ ...QUIET, recordMode: 'replay' })).toThrow(/requires a cassetteDir/);
+	});
+});
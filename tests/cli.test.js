@@ -0,0 +1,196 @@
+/**
+ * @fileoverview Offline (mocked) tests for the `ak-gemini` CLI.
+ * main() takes its streams and a `create` factory, so each command runs against
+ * instances whose SDK models methods are stubbed.
+ */
+
+import { jest } from '@jest/globals';
+import { Readable, Writable } from 'node:stream';
+import { mkdtemp, rm, readFile, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { main, parseCommandLine, parseRecords, formatUsage } from '../cli.js';
+
+function reply(text) {
+	return {
+		text,
+		candidates: [{ content: { role: 'model', parts: [{ text }] } }],
+		usageMetadata: { promptTokenCount: 10, candidatesTokenCount: 5, totalTokenCount: 15 },
+		modelVersion: 'gemini-2.5-flash'
+	};
+}
+
+function sink() {
+	const chunks = [];
+	const stream = new Writable({ write(chunk, _enc, done) { chunks.push(String(chunk)); done(); } });
+	return { stream, text: () => chunks.join('') };
+}
+
+/**
+ * Runs the CLI with piped `input` and a factory that stubs each instance.
+ * @param {string[]} argv
+ * @param {{ input?: string, stub?: (inst: any) => void }} [opts]
+ */
+async function run(argv, { input = '', stub = () => {} } = {}) {
+	const stdout = sink();
+	const stderr = sink();
+	const instances = [];
+	const code = await main(argv, {
+		stdin: Readable.from(input ? [input] : []),
+		stdout: stdout.stream,
+		stderr: stderr.stream,
+		create: (Class, options) => {
+			const inst = new Class({ ...options, apiKey: 'test-key', logLevel: 'silent', retryDelay: 1 });
+			stub(inst);
+			instances.push(inst);
+			return inst;
+		}
+	});
+	return { code, stdout: stdout.text(), stderr: stderr.text(), instances };
+}
+
+describe('ak-gemini CLI', () => {
+	let dir;
+	beforeEach(async () => { dir = await mkdtemp(join(tmpdir(), 'ak-gemini-cli-')); });
+	afterEach(async () => { await rm(dir, { recursive: true, force: true }); });
+
+	it('parses subcommands, flags, and a bare prompt as `ask`', () => {
+		expect(parseCommandLine(['what', 'is', 'up'])).toMatchObject({ command: 'ask', positionals: ['what', 'is', 'up'] });
+		expect(parseCommandLine(['rag', '-f', 'a.md', '--file', 'b.md', '-m', 'gemini-2.5-pro', 'why?'])).toMatchObject({
+			command: 'rag',
+			values: { file: ['a.md', 'b.md'], model: 'gemini-2.5-pro' },
+			positionals: ['why?']
+		});
+		expect(() => parseCommandLine(['embed', '--examples', 'x'])).toThrow(/Unknown option/);
+	});
+
+	it('reads JSON arrays, single values and JSONL', () => {
+		expect(parseRecords('[{"a":1},{"a":2}]')).toEqual([{ a: 1 }, { a: 2 }]);
+		expect(parseRecords('{"a":1}')).toEqual([{ a: 1 }]);
+		expect(parseRecords('{"a":1}\n\n{"a":2}\n')).toEqual([{ a: 1 }, { a: 2 }]);
+		expect(() => parseRecords('{"a":1}\n{oops', 'in.jsonl')).toThrow(/in\.jsonl: line 2/);
+	});
+
+	it('formats usage with token counts and estimated cost', () => {
+		const line = formatUsage({ calls: 2, promptTokens: 1204, responseTokens: 311, thoughtsTokens: 0, totalTokens: 1515, estimatedCost: 0.00112 }, 'gemini-2.5-flash');
+		expect(line).toBe('gemini-2.5-flash · 1,204 in / 311 out tokens · 2 calls · ~$0.0011');
+		expect(formatUsage({ calls: 1, promptTokens: 1, responseTokens: 1, thoughtsTokens: 0, totalTokens: 2, estimatedCost: null }, 'x')).toMatch(/cost unknown$/);
+	});
+
+	it('prints usage errors with exit code 2 and --help with 0', async () => {
+		const bad = await run(['transform', '-i', 'in.jsonl']);
+		expect(bad.code).toBe(2);
+		expect(bad.stderr).toMatch(/--examples is required[\s\S]*Usage: ak-gemini transform/);
+
+		const help = await run(['chat', '--help']);
+		expect(help.code).toBe(0);
+		expect(help.stdout).toContain('--session');
+		expect((await run(['transform', '--help'])).stdout).toContain('Parallel requests (default 5)');
+	});
+
+	it('ask: streams the answer from piped stdin, with grounding and a cost summary', async () => {
+		const stream = jest.fn(async () => (async function* () {
+			yield { text: 'Paris' };
+			yield reply(' it is.');
+		})());
+
+		const { code, stdout, stderr } = await run(['ask'], {
+			input: 'Capital of France?',
+			stub: (inst) => { inst.genAIClient.models.generateContentStream = stream; }
+		});
+
+		expect(code).toBe(0);
+		expect(stdout).toBe('Paris it is.\n');
+		expect(stream.mock.calls[0][0].contents[0].parts[0].text).toBe('Capital of France?');
+		expect(stream.mock.calls[0][0].config.tools).toEqual([{ googleSearch: {} }]);
+		expect(stderr).toMatch(/10 in \/ 5 out tokens · ~\$/);
+	});
+
+	it('ask: takes the model from MODEL unless --model is given', async () => {
+		const stream = jest.fn(async () => (async function* () { yield reply('ok'); })());
+		const stub = (inst) => { inst.genAIClient.models.generateContentStream = stream; };
+		process.env.MODEL = 'gemini-2.5-pro';
+		try {
+			await run(['ask', 'hi', '-q', '--no-search'], { stub });
+			await run(['ask', 'hi', '-q', '-m', 'gemini-2.5-flash'], { stub });
+		} finally {
+			delete process.env.MODEL;
+		}
+
+		expect(stream.mock.calls.map(([req]) => req.model)).toEqual(['gemini-2.5-pro', 'gemini-2.5-flash']);
+		expect(stream.mock.calls[0][0].config.tools).toBeUndefined();
+	});
+
+	it('chat: one turn per piped line, keeping history', async () => {
+		const generate = jest.fn(async ({ contents }) => reply(`turn ${Math.ceil(contents.length / 2)}`));
+
+		const { stdout, stderr } = await run(['chat', '-q'], {
+			input: 'hello\n\nremember me?\n',
+			stub: (inst) => { inst.genAIClient.models.generateContentStream = async (req) => (async function* () { yield await generate(req); })(); }
+		});
+
+		expect(stdout).toBe('turn 1\nturn 2\n');
+		expect(generate.mock.calls[1][0].contents).toHaveLength(3);
+		expect(stderr).toBe('');
+	});
+
+	it('transform: examples + JSONL input → aligned JSONL output', async () => {
+		await writeFile(join(dir, 'examples.json'), JSON.stringify([{ PROMPT: { n: 1 }, ANSWER: { double: 2 } }]));
+		await writeFile(join(dir, 'in.jsonl'), '{"n":2}\n{"n":5}\n');
+		const out = join(dir, 'out.jsonl');
+
+		const { code, stderr } = await run(['transform', '-e', join(dir, 'examples.json'), '-i', join(dir, 'in.jsonl'), '-o', out], {
+			stub: (inst) => {
+				inst.genAIClient.models.generateContent = jest.fn(async ({ contents }) => {
+					const { n } = JSON.parse(contents[contents.length - 1].parts[0].text);
+					return reply(JSON.stringify({ double: n * 2 }));
+				});
+			}
+		});
+
+		expect(code).toBe(0);
+		expect((await readFile(out, 'utf8')).trim().split('\n').map(l => JSON.parse(l))).toEqual([{ double: 4 }, { double: 10 }]);
+		expect(stderr).toMatch(/2\/2 transformed →/);
+		expect(stderr).toMatch(/20 in \/ 10 out tokens · 2 calls/);
+	});
+
+	it('embed: positional texts → JSONL vectors', async () => {
+		const { stdout } = await run(['embed', 'alpha', 'beta', '-q', '--dimensions', '2'], {
+			stub: (inst) => {
+				inst.genAIClient.models.embedContent = jest.fn(async ({ contents, config }) => {
+					expect(config.outputDimensionality).toBe(2);
+					return { embeddings: contents.map((_, i) => ({ values: [i, 1] })) };
+				});
+			}
+		});
+
+		expect(stdout.trim().split('\n').map(l => JSON.parse(l))).toEqual([
+			{ text: 'alpha', values: [0, 1] },
+			{ text: 'beta', values: [1, 1] }
+		]);
+	});
+
+	it('image: saves the generated image and prints its path', async () => {
+		const out = join(dir, 'cat.png');
+		const { code, stdout } = await run(['image', 'a cat', '-o', out, '-q'], {
+			stub: (inst) => {
+				inst.genAIClient.models.generateContent = jest.fn(async () => ({
+					candidates: [{ content: { parts: [{ inlineData: { data: Buffer.from('png!').toString('base64'), mimeType: 'image/png' } }] } }]
+				}));
+			}
+		});
+
+		expect(code).toBe(0);
+		expect(stdout).toBe(`${out}\n`);
+		expect(await readFile(out, 'utf8')).toBe('png!');
+	});
+
+	it('code: refuses to run code from a pipe without --yes', async () => {
+		const { instances } = await run(['code', 'list files', '-q'], {
+			stub: (inst) => { inst.genAIClient.models.generateContentStream = async () => (async function* () { yield reply('done'); })(); }
+		});
+
+		expect(instances[0].onBeforeExecution).toBeInstanceOf(Function);
+		expect(await instances[0].onBeforeExecution('rm -rf /', 'execute_bash')).toBe(false);
+	});
+});
@@ -0,0 +1,120 @@
+/**
+ * @fileoverview Offline (mocked) tests for contextStrategy history compaction.
+ * countTokens is stubbed to "1 token per serialized char"; generateContent is
+ * stubbed so sends and summaries never hit the API.
+ */
+
+import { jest } from '@jest/globals';
+import { Chat, ToolAgent } from '../index.js';
+
+const KEY = { apiKey: 'test-key', logLevel: 'silent', systemPrompt: 'sys' };
+
+function textTurn(role, text) {
+	return { role, parts: [{ text }] };
+}
+
+/** n user/model exchanges, each ~1k chars */
+function exchanges(n) {
+	const out = [];
+	for (let i = 0; i < n; i++) {
+		out.push(textTurn('user', `q${i} ${'x'.repeat(500)}`), textTurn('model', `a${i} ${'y'.repeat(500)}`));
+	}
+	return out;
+}
+
+function stub(inst, { summary = 'SUMMARY' } = {}) {
+	inst.genAIClient.models.countTokens = jest.fn(async ({ contents }) => ({ totalTokens: JSON.stringify(contents).length }));
+	inst.genAIClient.models.generateContent = jest.fn(async ({ config }) => {
+		const text = config?.systemInstruction?.includes('compress') ? summary : 'ok';
+		return { text, candidates: [{ content: { role: 'model', parts: [{ text }] } }], usageMetadata: { promptTokenCount: 1, candidatesTokenCount: 1, totalTokenCount: 2 } };
+	});
+}
+
+async function chatWith(options, history, exampleCount = 0) {
+	const chat = new Chat({ ...KEY, ...options });
+	stub(chat);
+	await chat.init();
+	chat.chatSession = chat._createChatSession(history);
+	chat.exampleCount = exampleCount;
+	return chat;
+}
+
+const texts = (chat) => chat.getHistory().map(h => h.parts[0].text.split(' ')[0]);
+
+describe('contextStrategy', () => {
+
+	it('is off by default and rejects unknown strategies', async () => {
+		const chat = await chatWith({}, exchanges(10));
+		await chat.send('hi');
+		expect(chat.genAIClient.models.countTokens).not.toHaveBeenCalled();
+		expect(() => new Chat({ ...KEY, contextStrategy: 'yolo' })).toThrow(/Unknown contextStrategy/);
+	});
+
+	it('leaves history alone when under budget', async () => {
+		const chat = await chatWith({ contextStrategy: 'truncate-oldest', maxContextTokens: 1_000_000 }, exchanges(5));
+		await chat.send('hi');
+		expect(chat.getHistory()).toHaveLength(12);
+	});
+
+	it('truncate-oldest drops the oldest turns but keeps seeded examples', async () => {
+		const history = [textTurn('user', 'EX-in'), textTurn('model', 'EX-out'), ...exchanges(10)];
+		const chat = await chatWith({ contextStrategy: 'truncate-oldest', maxContextTokens: 5_000 }, history, 2);
+
+		await chat.send('next');
+
+		const kept = texts(chat);
+		expect(kept.slice(0, 2)).toEqual(['EX-in', 'EX-out']);
+		expect(kept).not.toContain('q0');
+		expect(kept.slice(-4)).toEqual(['q9', 'a9', 'next', 'ok']);
+		// sent history (before the new exchange) fits the budget
+		const sent = chat.getHistory().slice(0, -2);
+		expect(JSON.stringify(sent).length).toBeLessThan(5_000);
+	});
+
+	it('sliding-window keeps only the last contextWindowSize items', async () => {
+		const chat = await chatWith({ contextStrategy: 'sliding-window', maxContextTokens: 9_000, contextWindowSize: 4 }, exchanges(10));
+		await chat.send('next');
+		expect(texts(chat)).toEqual(['q8', 'a8', 'q9', 'a9', 'next', 'ok']);
+	});
+
+	it('summarize replaces older turns with a summary exchange', async () => {
+		const chat = await chatWith({ contextStrategy: 'summarize', maxContextTokens: 9_000, contextWindowSize: 2 }, exchanges(10));
+		await chat.send('next');
+
+		const history = chat.getHistory();
+		expect(history[0].parts[0].text).toBe('Summary of our earlier conversation:\nSUMMARY');
+		expect(history[1].role).toBe('model');
+		expect(texts(chat).slice(2)).toEqual(['q9', 'a9', 'next', 'ok']);
+
+		const summaryCall = chat.genAIClient.models.generateContent.mock.calls[0][0];
+		expect(summaryCall.contents[0].parts[0].text).toContain('USER: q0');
+		expect(summaryCall.contents[0].parts[0].text).not.toContain('q9');
+	});
+
+	it('never splits a tool call from its response', async () => {
+		const agent = new ToolAgent({
+			...KEY,
+			contextStrategy: 'truncate-oldest',
+			maxContextTokens: 1_500,
+			tools: [{ name: 'lookup', description: 'd', parametersJsonSchema: { type: 'object', properties: {} } }],
+			toolExecutor: async () => ({})
+		});
+		stub(agent);
+		await agent.init();
+		agent.chatSession = agent._createChatSession([
+			textTurn('user', `old ${'x'.repeat(800)}`),
+			textTurn('model', 'old-answer'),
+			textTurn('user', 'use the tool'),
+			{ role: 'model', parts: [{ functionCall: { name: 'lookup', args: {} } }] },
+			{ role: 'user', parts: [{ functionResponse: { name: 'lookup', response: { output: 'r'.repeat(600) } } }] },
+			textTurn('model', 'done')
+		]);
+
+		await agent.chat('next');
+
+		const history = agent.getHistory();
+		expect(history[0].parts[0].text).toBe('use the tool');
+		expect(history[1].parts[0].functionCall).toBeDefined();
+		expect(history[2].parts[0].functionResponse).toBeDefined();
+	});
+});
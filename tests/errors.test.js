@@ -0,0 +1,107 @@
+/**
+ * @fileoverview Offline tests for the typed error classes and how API failures are classified.
+ */
+
+import {
+	Message, Chat, Transformer, ToolAgent, MockGeminiClient,
+	GeminiError, RateLimitError, SafetyBlockedError, InvalidJSONError, ValidationError,
+	AuthError, ContextLengthError, ToolExecutionError, TimeoutError, AbortError, BudgetExceededError, classifyError
+} from '../index.js';
+
+const QUIET = { logLevel: 'silent' };
+
+describe('errors', () => {
+
+	it('classifies API failures by status and message', async () => {
+		const client = new MockGeminiClient()
+			.fail(401, 'API key not valid')
+			.fail(400, 'The input token count (2000000) exceeds the maximum number of tokens allowed (1048576).')
+			.fail(503, 'overloaded')
+			.fail(400, 'bad request');
+		const msg = new Message({ ...QUIET, client, retryPolicy: false });
+
+		const auth = await msg.send('a').catch(e => e);
+		expect(auth).toBeInstanceOf(AuthError);
+		expect(auth).toMatchObject({ status: 401, retryable: false, message: 'API key not valid' });
+		expect(auth.cause).toMatchObject({ status: 401 });
+
+		await expect(msg.send('b')).rejects.toBeInstanceOf(ContextLengthError);
+		const unavailable = await msg.send('c').catch(e => e);
+		expect(unavailable.constructor).toBe(GeminiError);
+		expect(unavailable).toMatchObject({ status: 503, retryable: true });
+		const bad = await msg.send('d').catch(e => e);
+		expect(bad).toMatchObject({ name: 'GeminiError', status: 400, retryable: false });
+
+		const bug = new TypeError('not an API error');
+		expect(classifyError(bug)).toBe(bug);
+		expect(classifyError(Object.assign(new Error('aborted'), { name: 'AbortError' }))).toBeInstanceOf(AbortError);
+		expect(classifyError(Object.assign(new Error('timed out'), { name: 'TimeoutError' }))).toBeInstanceOf(TimeoutError);
+		expect(new BudgetExceededError({ limit: 'maxUSD', max: 1, spent: 1, estimated: 0.1, scope: 'instance' })).toBeInstanceOf(GeminiError);
+	});
+
+	it('throws RateLimitError with the attempt count once 429 retries run out', async () => {
+		const client = new MockGeminiClient().fail(429).fail(429);
+		const msg = new Message({ ...QUIET, client, resourceExhaustedRetries: 1, resourceExhaustedDelay: 1 });
+
+		const err = await msg.send('x').catch(e => e);
+
+		expect(err).toBeInstanceOf(RateLimitError);
+		expect(err).toMatchObject({ status: 429, attempts: 2, retryable: true });
+	});
+
+	it('throws SafetyBlockedError for blocked prompts and withheld responses', async () => {
+		const client = new MockGeminiClient()
+			.respond({ parts: [], finishReason: 'SAFETY' })
+			.respond({ text: 'partial answer', finishReason: 'SAFETY' });
+		const chat = new Chat({ ...QUIET, client });
+
+		const err = await chat.send('x').catch(e => e);
+		expect(err).toBeInstanceOf(SafetyBlockedError);
+		expect(err).toMatchObject({ reason: 'SAFETY', retryable: false });
+		// Content that made it through is returned, not thrown away
+		expect((await chat.send('y')).text).toBe('partial answer');
+
+		const stream = new Chat({ ...QUIET, client: new MockGeminiClient().respond({ parts: [], finishReason: 'RECITATION' }) });
+		const drain = async () => { for await (const _ of stream.stream('z')) { /* consume */ } };
+		await expect(drain()).rejects.toMatchObject({ name: 'SafetyBlockedError', reason: 'RECITATION' });
+	});
+
+	it('throws ValidationError and InvalidJSONError from Transformer with attempts and partial usage', async () => {
+		const client = new MockGeminiClient().respond(
+			{ text: '{"n":1}', usage: { promptTokens: 100, responseTokens: 10 } },
+			{ text: '{"n":1}', usage: { promptTokens: 100, responseTokens: 10 } }
+		);
+		const t = new Transformer({ ...QUIET, client, maxRetries: 1, retryDelay: 1 });
+		await t.init();
+
+		const invalid = await t.send({ x: 1 }, {}, async () => { throw new Error('n too small'); }).catch(e => e);
+
+		expect(invalid).toBeInstanceOf(ValidationError);
+		expect(invalid.message).toBe('Transformation failed after 2 attempts. Last error: n too small');
+		expect(invalid).toMatchObject({ attempts: 2, data: { n: 1 }, usage: { attempts: 2, promptTokens: 200 } });
+		expect(invalid.cause).toBeInstanceOf(ValidationError);
+		expect(invalid.cause.cause.message).toBe('n too small');
+
+		client.respond({ text: 'not json at all', usage: { promptTokens: 50 } });
+		const garbled = await t.rawSend({ x: 2 }).catch(e => e);
+		expect(garbled).toBeInstanceOf(InvalidJSONError);
+		expect(garbled.text).toBe('not json at all');
+	});
+
+	it('wraps tool failures in ToolExecutionError', async () => {
+		const client = new MockGeminiClient().respond({ functionCalls: [{ name: 'broken', args: { id: 7 } }] }, 'sorry');
+		const agent = new ToolAgent({
+			...QUIET, client,
+			tools: [{ name: 'broken', description: 'broken', parametersJsonSchema: { type: 'object', properties: {} } }],
+			toolExecutor: async () => { throw new Error('tool blew up'); }
+		});
+		const results = [];
+		agent.on('toolResult', (r) => results.push(r));
+
+		await agent.chat('go');
+
+		expect(results[0].error).toBeInstanceOf(ToolExecutionError);
+		expect(results[0].error).toMatchObject({ message: 'tool blew up', toolName: 'broken', args: { id: 7 }, retryable: false });
+		expect(results[0].error.cause.message).toBe('tool blew up');
+	});
+});
@@ -0,0 +1,118 @@
+/**
+ * @fileoverview Offline tests for the lifecycle events every class emits.
+ */
+
+import { Chat, Message, Transformer, ToolAgent, MockGeminiClient, computeCost } from '../index.js';
+
+const QUIET = { logLevel: 'silent' };
+const MODEL = 'gemini-2.5-flash';
+
+/** Collects every payload of the given events, as [event, payload] pairs. */
+function record(instance, events) {
+	const seen = [];
+	for (const event of events) instance.on(event, (payload) => seen.push([event, payload]));
+	return seen;
+}
+
+describe('events', () => {
+
+	it('emits request and response around each model call, with usage and cost', async () => {
+		const client = new MockGeminiClient().respond({ text: 'hi', modelVersion: 'gemini-2.5-flash-001', usage: { promptTokens: 1000, responseTokens: 200 } });
+		const chat = new Chat({ ...QUIET, client, modelName: MODEL });
+		const seen = record(chat, ['request', 'response', 'error']);
+
+		await chat.send('hello');
+		await chat.estimate('countTokens is not an event');
+
+		expect(seen.map(([e]) => e)).toEqual(['request', 'response']);
+		const [[, request], [, response]] = seen;
+		expect(request).toMatchObject({ className: 'Chat', method: 'generateContent', model: MODEL });
+		expect(response).toMatchObject({
+			className: 'Chat',
+			callId: request.callId,
+			modelVersion: 'gemini-2.5-flash-001',
+			usage: { promptTokens: 1000, responseTokens: 200, thoughtsTokens: 0, totalTokens: 1200 },
+			estimatedCost: computeCost(MODEL, 1000, 200)
+		});
+		expect(response.durationMs).toBeGreaterThanOrEqual(0);
+	});
+
+	it('emits error for failed calls, and never lets a listener break the call', async () => {
+		const client = new MockGeminiClient().fail(400, 'bad request').respond('fine').fail(400, 'again');
+		const msg = new Message({ ...QUIET, client });
+		const seen = record(msg, ['error']);
+		msg.on('response', () => { throw new Error('dashboard down'); });
+
+		await expect(msg.send('x')).rejects.toThrow('bad request');
+		expect(seen).toEqual([['error', expect.objectContaining({ className: 'Message', method: 'generateContent', error: expect.objectContaining({ status: 400 }) })]]);
+		expect((await msg.send('y')).text).toBe('fine');
+
+		msg.removeAllListeners('error');
+		await expect(msg.send('z')).rejects.toThrow('again');
+	});
+
+	it('emits rateLimited and retry for each retried 429', async () => {
+		const client = new MockGeminiClient().fail(429).respond('ok');
+		const msg = new Message({ ...QUIET, client, resourceExhaustedRetries: 2, resourceExhaustedDelay: 1 });
+		const seen = record(msg, ['rateLimited', 'retry']);
+
+		await msg.send('x');
+
+		expect(seen.map(([e]) => e)).toEqual(['rateLimited', 'retry']);
+		expect(seen[0][1]).toMatchObject({ attempt: 1, maxRetries: 2, willRetry: true });
+		expect(seen[1][1]).toMatchObject({ reason: 'rateLimit', attempt: 1, delayMs: seen[0][1].delayMs });
+	});
+
+	it('emits validationFailed and retry when a Transformer payload is rejected', async () => {
+		const client = new MockGeminiClient().respond('{"n":1}', '{"n":2}');
+		const t = new Transformer({ ...QUIET, client, retryDelay: 1 });
+		await t.init();
+		const seen = record(t, ['validationFailed', 'retry']);
+
+		const data = await t.send({ x: 1 }, {}, async (p) => { if (p.n < 2) throw new Error('n too small'); });
+
+		expect(data).toEqual({ n: 2 });
+		expect(seen.map(([e]) => e)).toEqual(['validationFailed', 'retry']);
+		expect(seen[0][1]).toMatchObject({ className: 'Transformer', attempt: 1, maxRetries: 3, willRetry: true, data: { n: 1 }, error: expect.objectContaining({ message: 'n too small' }) });
+		expect(seen[1][1]).toMatchObject({ reason: 'transform', attempt: 1, delayMs: 1 });
+	});
+
+	it('emits toolCall and toolResult for every ToolAgent tool run', async () => {
+		const client = new MockGeminiClient().respond(
+			{ functionCalls: [{ name: 'lookup', args: { id: 1 } }, { name: 'broken', args: {} }] },
+			'done'
+		);
+		const tools = ['lookup', 'broken'].map(name => ({ name, description: name, parametersJsonSchema: { type: 'object', properties: {} } }));
+		const agent = new ToolAgent({
+			...QUIET, client, tools,
+			toolExecutor: async (name) => {
+				if (name === 'broken') throw new Error('tool blew up');
+				return { ok: true };
+			}
+		});
+		const seen = record(agent, ['toolCall', 'toolResult']);
+
+		await agent.chat('go');
+
+		expect(seen.map(([e, p]) => `${e}:${p.toolName}`).sort()).toEqual(['toolCall:broken', 'toolCall:lookup', 'toolResult:broken', 'toolResult:lookup']);
+		const results = Object.fromEntries(seen.filter(([e]) => e === 'toolResult').map(([, p]) => [p.toolName, p]));
+		expect(results.lookup).toMatchObject({ className: 'ToolAgent', args: { id: 1 }, result: { ok: true }, error: null });
+		expect(results.broken).toMatchObject({ result: null, error: expect.objectContaining({ message: 'tool blew up' }) });
+	});
+
+	it('emits cacheHit for response-cache hits and budgetWarning when a cap nears', async () => {
+		const client = new MockGeminiClient({ defaultResponse: { text: 'ok', usage: { promptTokens: 1_000_000 } } });
+		const msg = new Message({ ...QUIET, client, modelName: MODEL, responseCache: true, budget: { maxUSD: 1, preflight: false } });
+		const seen = record(msg, ['cacheHit', 'budgetWarning']);
+
+		await msg.send('same');
+		await msg.send('same');
+		expect(seen).toEqual([['cacheHit', expect.objectContaining({ className: 'Message', model: MODEL })]]);
+
+		await msg.send('a'); // $0.30 per call: 0.6, 0.9 — the third priced call crosses 80%
+		await msg.send('b');
+		expect(seen.map(([e]) => e)).toEqual(['cacheHit', 'budgetWarning']);
+		expect(seen[1][1]).toMatchObject({ limit: 'maxUSD', max: 1, warnAt: 0.8, scope: 'instance' });
+		expect(seen[1][1].spent).toBeCloseTo(0.9, 3);
+	});
+});
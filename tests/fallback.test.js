@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Offline tests for `fallbackModels` / `fallbackOn`.
+ */
+
+import { Chat, Message, MockGeminiClient, AuthError, GeminiError } from '../index.js';
+
+const QUIET = { logLevel: 'silent' };
+const FALLBACKS = ['gemini-3-flash-preview', 'gemini-2.5-flash'];
+
+describe('model fallback', () => {
+
+	it('moves a Chat to the next model once retries run out, keeping its history', async () => {
+		const client = new MockGeminiClient().respond('hi there').fail(503).fail(503).respond('still here');
+		const chat = new Chat({ ...QUIET, client, modelName: 'gemini-3-pro-preview', fallbackModels: FALLBACKS, retryPolicy: { maxRetries: 1, initialDelayMs: 1 } });
+		const events = [];
+		chat.on('fallback', (e) => events.push(e));
+
+		await chat.send('hello');
+		const reply = await chat.send('are you there?');
+
+		expect(reply.text).toBe('still here');
+		expect(client.calls.map(c => c.params.model)).toEqual(['gemini-3-pro-preview', 'gemini-3-pro-preview', 'gemini-3-pro-preview', 'gemini-3-flash-preview']);
+		expect(client.calls[3].params.contents.map(c => c.role)).toEqual(['user', 'model', 'user']);
+		expect(chat.getHistory()).toHaveLength(4);
+		expect(events).toEqual([expect.objectContaining({ className: 'Chat', from: 'gemini-3-pro-preview', to: 'gemini-3-flash-preview', reason: 'error' })]);
+		expect(events[0].error).toMatchObject({ status: 503 });
+		expect(reply.usage).toMatchObject({ requestedModel: 'gemini-3-flash-preview', fallbackUsed: true });
+		expect(chat.getLastUsage()).toMatchObject({ requestedModel: 'gemini-3-flash-preview', fallbackUsed: true });
+		expect(chat.primaryModel).toBe('gemini-3-pro-preview');
+	});
+
+	it('retries only the blocked call on a fallback model, and moves the instance on listed errors', async () => {
+		const client = new MockGeminiClient()
+			.respond({ parts: [], finishReason: 'SAFETY' }).respond('answered')
+			.respond('back on primary')
+			.fail(400, 'bad request')
+			.fail(503).fail(503).fail(503);
+		const msg = new Message({ ...QUIET, client, fallbackModels: ['gemini-2.5-flash', 'gemini-2.5-flash-lite'], retryPolicy: false });
+		const events = [];
+		msg.on('fallback', (e) => events.push(e));
+
+		const blocked = await msg.send('x');
+		expect(blocked.text).toBe('answered');
+		expect(blocked.usage).toMatchObject({ requestedModel: 'gemini-2.5-flash', fallbackUsed: true });
+		expect(events).toEqual([expect.objectContaining({ from: 'gemini-3-flash-preview', to: 'gemini-2.5-flash', callOnly: true })]);
+		expect(msg.modelName).toBe('gemini-3-flash-preview');
+
+		const next = await msg.send('w');
+		expect(next.usage).toMatchObject({ requestedModel: 'gemini-3-flash-preview', fallbackUsed: false });
+
+		await expect(msg.send('y')).rejects.toMatchObject({ status: 400 });
+		expect(msg.modelName).toBe('gemini-3-flash-preview');
+
+		const exhausted = await msg.send('z').catch(e => e);
+		expect(exhausted).toBeInstanceOf(GeminiError);
+		expect(exhausted.status).toBe(503);
+		expect(msg.modelName).toBe('gemini-2.5-flash-lite');
+		expect(client.calls.map(c => c.params.model)).toEqual([
+			'gemini-3-flash-preview', 'gemini-2.5-flash', 'gemini-3-flash-preview', 'gemini-3-flash-preview',
+			'gemini-3-flash-preview', 'gemini-2.5-flash', 'gemini-2.5-flash-lite'
+		]);
+
+		const strict = new Message({ ...QUIET, client: new MockGeminiClient().fail(401).respond('ok'), fallbackModels: ['b'], fallbackOn: [AuthError] });
+		expect((await strict.send('a')).usage.requestedModel).toBe('b');
+	});
+
+	it('leaves a DEPRECATED model after its response, and reports no fallback without one', async () => {
+		const client = new MockGeminiClient().respond({ text: 'old', modelStatus: 'DEPRECATED' }, 'new');
+		const chat = new Chat({ ...QUIET, client, fallbackModels: ['gemini-2.5-flash'] });
+		const events = [];
+		chat.on('fallback', (e) => events.push(e));
+
+		const first = await chat.send('one');
+		expect(first.text).toBe('old');
+		expect(chat.getLastUsage()).toMatchObject({ requestedModel: 'gemini-3-flash-preview', fallbackUsed: false, modelStatus: 'DEPRECATED' });
+		expect(events).toEqual([expect.objectContaining({ from: 'gemini-3-flash-preview', to: 'gemini-2.5-flash', reason: 'deprecated', error: null })]);
+
+		await chat.send('two');
+		expect(client.calls[1].params.model).toBe('gemini-2.5-flash');
+		expect(client.calls[1].params.contents).toHaveLength(3);
+		expect(chat.getLastUsage()).toMatchObject({ requestedModel: 'gemini-2.5-flash', fallbackUsed: true });
+
+		const plain = new Message({ ...QUIET, client: new MockGeminiClient().respond('ok') });
+		expect((await plain.send('x')).usage).toMatchObject({ requestedModel: 'gemini-3-flash-preview', fallbackUsed: false });
+	});
+});
@@ -0,0 +1,155 @@
+/**
+ * @fileoverview Offline (mocked) tests for the use() middleware pipeline.
+ * SDK models methods are stubbed on each instance's genAIClient; middleware
+ * must see every call regardless of which class (or the SDK chat) makes it.
+ */
+
+import { jest } from '@jest/globals';
+import { Chat, Message, Transformer, ToolAgent, Embedding, ImageGenerator, RagAgent } from '../index.js';
+
+const KEY = { apiKey: 'test-key', logLevel: 'silent' };
+
+function reply(text) {
+	return {
+		text,
+		candidates: [{ content: { role: 'model', parts: [{ text }] } }],
+		usageMetadata: { promptTokenCount: 1, candidatesTokenCount: 1, totalTokenCount: 2 }
+	};
+}
+
+function stubGenerate(inst, text = 'ok') {
+	inst.genAIClient.models.generateContent = jest.fn(async () => reply(text));
+	return inst.genAIClient.models.generateContent;
+}
+
+/** Middleware that records every hook call into `log`. */
+function recorder(name, log) {
+	return {
+		name,
+		before: (ctx) => { log.push(`${name}:before:${ctx.method}`); },
+		after: (ctx) => { log.push(`${name}:after:${ctx.method}`); }
+	};
+}
+
+describe('BaseGemini.use()', () => {
+
+	it('runs before hooks in order and after hooks in reverse around chat turns', async () => {
+		const calls = [];
+		const chat = new Chat(KEY).use(recorder('a', calls)).use(recorder('b', calls));
+		stubGenerate(chat);
+
+		await chat.send('hi');
+
+		expect(calls).toEqual([
+			'a:before:generateContent', 'b:before:generateContent',
+			'b:after:generateContent', 'a:after:generateContent'
+		]);
+	});
+
+	it('lets before hooks rewrite the request and after hooks replace the response', async () => {
+		const chat = new Chat({ ...KEY, middleware: [{
+			before: (ctx) => {
+				ctx.model = 'gemini-2.5-pro';
+				ctx.labels = { team: 'search' };
+				const last = ctx.contents[ctx.contents.length - 1];
+				last.parts[0].text = last.parts[0].text.toUpperCase();
+			},
+			after: (ctx) => { ctx.response = reply(`[${ctx.response.text}]`); }
+		}] });
+		const generate = stubGenerate(chat, 'ok');
+
+		const result = await chat.send('hello');
+
+		const request = generate.mock.calls[0][0];
+		expect(request.model).toBe('gemini-2.5-pro');
+		expect(request.config.labels).toEqual({ team: 'search' });
+		expect(request.contents[0].parts[0].text).toBe('HELLO');
+		expect(result.text).toBe('[ok]');
+	});
+
+	it('covers stateless classes: Message, Transformer batch, ImageGenerator, Embedding', async () => {
+		const seen = [];
+		const mw = { before: (ctx) => { seen.push(`${ctx.className}:${ctx.method}`); } };
+
+		const msg = new Message(KEY).use(mw);
+		stubGenerate(msg);
+		await msg.send('x');
+
+		const t = new Transformer({ ...KEY, retryDelay: 1 }).use(mw);
+		stubGenerate(t, '{"a":1}');
+		await t.init();
+		await t.transformBatch([1]);
+
+		const img = new ImageGenerator(KEY).use(mw);
+		stubGenerate(img);
+		await img.generate('a cat');
+
+		const emb = new Embedding(KEY).use(mw);
+		emb.genAIClient.models.embedContent = jest.fn(async () => ({ embeddings: [{ values: [1] }] }));
+		await emb.embed('x');
+
+		expect(seen).toEqual([
+			'Message:generateContent',
+			'Transformer:generateContent',
+			'ImageGenerator:generateContent',
+			'Embedding:embedContent'
+		]);
+	});
+
+	it('covers ToolAgent tool loops and RagAgent embeddings', async () => {
+		const methods = [];
+		const mw = { before: (ctx) => { methods.push(ctx.method); } };
+
+		const agent = new ToolAgent({
+			...KEY,
+			tools: [{ name: 'now', description: 'time', parametersJsonSchema: { type: 'object', properties: {} } }],
+			toolExecutor: async () => ({ time: 'noon' })
+		}).use(mw);
+		agent.genAIClient.models.generateContent = jest.fn()
+			.mockResolvedValueOnce({ candidates: [{ content: { role: 'model', parts: [{ functionCall: { name: 'now', args: {} } }] } }], functionCalls: [{ name: 'now', args: {} }] })
+			.mockResolvedValueOnce(reply('It is noon.'));
+		await agent.chat('time?');
+		expect(methods).toEqual(['generateContent', 'generateContent']);
+
+		const rag = new RagAgent({ ...KEY, retrieval: 'vector', localData: [{ name: 'd', data: 'x' }] });
+		rag.use(mw);
+		rag.genAIClient.models.embedContent = jest.fn(async ({ contents }) => ({ embeddings: [].concat(contents).map(() => ({ values: [1, 0] })) }));
+		stubGenerate(rag);
+		methods.length = 0;
+		await rag.chat('q');
+		expect(methods).toEqual(['embedContent', 'embedContent', 'generateContent']);
+	});
+
+	it('passes stream chunks through onChunk and runs after at the end', async () => {
+		const chat = new Chat(KEY);
+		const after = jest.fn();
+		chat.use({ onChunk: (chunk) => reply(chunk.text.replace('secret', '***')), after });
+		chat.genAIClient.models.generateContentStream = jest.fn(async () => (async function* () {
+			yield reply('the secret ');
+			yield reply('is safe');
+		})());
+
+		let text = '';
+		for await (const e of chat.stream('tell me')) if (e.type === 'text') text += e.text;
+
+		expect(text).toBe('the *** is safe');
+		expect(after).toHaveBeenCalledTimes(1);
+		expect(after.mock.calls[0][0].chunks).toHaveLength(2);
+		const modelText = chat.getHistory().slice(1).flatMap(h => h.parts.map(p => p.text)).join('');
+		expect(modelText).toBe('the *** is safe');
+	});
+
+	it('runs onError hooks and rethrows the original error', async () => {
+		const chat = new Chat(KEY);
+		const onError = jest.fn(() => { throw new Error('hook bug'); });
+		chat.use({ onError });
+		chat.genAIClient.models.generateContent = jest.fn(async () => { throw new Error('boom'); });
+
+		await expect(chat.send('x')).rejects.toThrow('boom');
+		expect(onError.mock.calls[0][0].error.message).toBe('boom');
+	});
+
+	it('rejects middleware without hooks', () => {
+		expect(() => new Chat(KEY).use(/** @type {any} */ ({ name: 'empty' }))).toThrow(/at least one of/);
+	});
+});
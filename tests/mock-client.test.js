@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Offline tests for the `client` / `transport` options and MockGeminiClient.
+ * No API key is needed: every instance here runs against the mock.
+ */
+
+import { Chat, Message, Transformer, ToolAgent, Embedding, VectorIndex, MockGeminiClient } from '../index.js';
+
+const QUIET = { logLevel: 'silent' };
+
+describe('MockGeminiClient', () => {
+
+	it('drives a multi-turn Chat without credentials, recording each request', async () => {
+		const client = new MockGeminiClient().respond('Hi Ana!', (req) => `You said ${req.contents.length} things so far.`);
+		const chat = new Chat({ ...QUIET, client, apiKey: undefined });
+
+		expect((await chat.send('I am Ana')).text).toBe('Hi Ana!');
+		expect((await chat.send('Who am I?')).text).toBe('You said 3 things so far.');
+
+		expect(client.requests()).toHaveLength(2);
+		expect(client.requests()[1].contents.map(c => c.role)).toEqual(['user', 'model', 'user']);
+		expect(chat.getHistory()).toHaveLength(4);
+		expect(client.pending).toBe(0);
+	});
+
+	it('reports token usage from specs, or approximates it', async () => {
+		const client = new MockGeminiClient().respond({ text: 'ok', usage: { promptTokens: 100, responseTokens: 7 }, modelVersion: 'gemini-2.5-flash' });
+		const msg = new Message({ ...QUIET, client });
+
+		const { usage } = await msg.send('x');
+
+		expect(usage).toMatchObject({ promptTokens: 100, responseTokens: 7, totalTokens: 107, modelVersion: 'gemini-2.5-flash' });
+		expect(usage.estimatedCost).toBeGreaterThan(0);
+		expect((await new Chat({ ...QUIET, client, systemPrompt: null }).estimate('a'.repeat(40))).inputTokens).toBe(10);
+	});
+
+	it('streams text in chunks with usage on the last one', async () => {
+		const client = new MockGeminiClient({ streamChunkSize: 5 }).respond('Hello there, friend');
+		const chat = new Chat({ ...QUIET, client });
+
+		const texts = [];
+		let done;
+		for await (const e of chat.stream('hi')) {
+			if (e.type === 'text') texts.push(e.text);
+			else done = e;
+		}
+
+		expect(texts).toEqual(['Hello', ' ther', 'e, fr', 'iend']);
+		expect(done.fullText).toBe('Hello there, friend');
+
+		const chunks = [];
+		for await (const c of await client.respond({ text: 'abcdefg' }).models.generateContentStream({ model: 'm', contents: [] })) chunks.push(c);
+		expect(chunks.map(c => c.usageMetadata?.totalTokenCount)).toEqual([undefined, 2]);
+	});
+
+	it('streams a stateless Message, retrying a failure before the first chunk', async () => {
+		const client = new MockGeminiClient({ streamChunkSize: 4 }).fail(503).respond({ text: 'Paris.', usage: { promptTokens: 9, responseTokens: 2 } });
+		const msg = new Message({ ...QUIET, client, retryPolicy: { maxRetries: 1, initialDelayMs: 1 } });
+
+		const events = [];
+		for await (const e of msg.stream({ country: 'France' }, { labels: { team: 'geo' } })) events.push(e);
+
+		expect(events.map(e => e.type)).toEqual(['text', 'text', 'done']);
+		expect(events[2]).toMatchObject({ fullText: 'Paris.', usage: { promptTokens: 9, responseTokens: 2, requestedModel: msg.modelName } });
+		expect(client.requests()).toHaveLength(2);
+		expect(JSON.parse(client.requests()[1].contents[0].parts[0].text)).toEqual({ country: 'France' });
+		expect(msg.getLastUsage()).toMatchObject({ promptTokens: 9 });
+	});
+
+	it('scripts tool calls for ToolAgent', async () => {
+		const client = new MockGeminiClient().respond(
+			{ functionCalls: [{ name: 'weather', args: { city: 'Oslo' } }] },
+			'It is 3°C in Oslo.'
+		);
+		const agent = new ToolAgent({
+			...QUIET,
+			client,
+			tools: [{ name: 'weather', description: 'Weather by city', parametersJsonSchema: { type: 'object', properties: { city: { type: 'string' } } } }],
+			toolExecutor: async (_name, args) => ({ city: args.city, celsius: 3 })
+		});
+
+		const result = await agent.chat('Weather in Oslo?');
+
+		expect(result.text).toBe('It is 3°C in Oslo.');
+		expect(result.toolCalls).toEqual([{ name: 'weather', args: { city: 'Oslo' }, result: { city: 'Oslo', celsius: 3 } }]);
+		const lastRequest = client.requests()[1];
+		expect(lastRequest.contents[2].parts[0].functionResponse.name).toBe('weather');
+	});
+
+	it('queues failures; 429s are retried like the real API', async () => {
+		const client = new MockGeminiClient().fail(429).respond('recovered').fail(400, 'bad request');
+		const msg = new Message({ ...QUIET, client, resourceExhaustedDelay: 1 });
+
+		expect((await msg.send('a')).text).toBe('recovered');
+		await expect(msg.send('b')).rejects.toMatchObject({ status: 400, message: 'bad request' });
+		expect(client.requests()).toHaveLength(3);
+	});
+
+	it('throws a clear error when nothing is scripted, unless there is a default', async () => {
+		await expect(new Message({ ...QUIET, client: new MockGeminiClient() }).send('ping'))
+			.rejects.toThrow(/no response scripted for "ping"/);
+
+		const t = new Transformer({ ...QUIET, client: new MockGeminiClient({ defaultResponse: '{"ok":true}' }) });
+		await t.init();
+		expect(await t.send({ a: 1 })).toEqual({ ok: true });
+		expect(await t.send({ a: 2 })).toEqual({ ok: true });
+	});
+
+	it('embeds deterministically so similarity search works', async () => {
+		const client = new MockGeminiClient({ embeddingDimensions: 64 });
+		const index = new VectorIndex({ embedder: new Embedding({ ...QUIET, client }) });
+		await index.addMany([
+			{ id: 'cats', text: 'cats purr and chase mice' },
+			{ id: 'stocks', text: 'stocks fell as bond yields rose' }
+		]);
+
+		const [hit] = await index.query('why do cats purr', 1);
+
+		expect(hit.id).toBe('cats');
+		expect(client.requests('embedContent')).toHaveLength(2);
+	});
+
+	it('keeps files and caches in memory', async () => {
+		const client = new MockGeminiClient();
+		const chat = new Chat({ ...QUIET, client });
+
+		const cache = await chat.createCache({ ttl: '60s', displayName: 'docs' });
+		expect(cache.name).toMatch(/^cachedContents\//);
+		expect((await chat.listCaches()).map(c => c.name)).toEqual([cache.name]);
+		await chat.deleteCache(cache.name);
+		expect(await chat.listCaches()).toEqual([]);
+
+		const file = await client.files.upload({ file: '/tmp/report.pdf', config: { mimeType: 'application/pdf' } });
+		expect(await client.files.get({ name: file.name })).toMatchObject({ displayName: 'report.pdf', state: 'ACTIVE' });
+	});
+});
+
+describe('client / transport options', () => {
+
+	it('transport receives the options GoogleGenAI would get, including httpOptions', () => {
+		let received;
+		const mock = new MockGeminiClient();
+		const chat = new Chat({
+			...QUIET,
+			apiKey: 'k',
+			httpOptions: { baseUrl: 'http://localhost:8080' },
+			transport: (opts) => { received = opts; return mock; }
+		});
+
+		expect(received).toEqual({ apiKey: 'k', httpOptions: { baseUrl: 'http://localhost:8080' } });
+		expect(chat.genAIClient).toBe(mock);
+	});
+
+	it('accepts a client with only models (chat sessions are built on top)', async () => {
+		const mock = new MockGeminiClient().respond('one', 'two');
+		const chat = new Chat({ ...QUIET, client: { models: mock.models } });
+
+		await chat.send('a');
+		await chat.send('b');
+
+		expect(mock.requests()[1].contents).toHaveLength(3);
+	});
+
+	it('rejects a client without models', () => {
+		expect(() => new Chat({ ...QUIET, client: /** @type {any} */ ({}) })).toThrow(/client must implement at least client.models/);
+	});
+});
@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Offline tests for tiered and per-modality pricing and UsageData.costBreakdown.
+ */
+
+import { Message, ImageGenerator, MockGeminiClient, MODEL_PRICING, CACHED_INPUT_DISCOUNT, BATCH_DISCOUNT, billableTokens, computeCost, computeCostBreakdown } from '../index.js';
+
+const QUIET = { logLevel: 'silent' };
+
+describe('pricing', () => {
+
+	it('moves the whole request to long-context rates above the threshold', () => {
+		const { input, output, longContext } = MODEL_PRICING['gemini-2.5-pro'];
+
+		expect(computeCost('gemini-2.5-pro', 200_000, 1_000_000)).toBeCloseTo(0.2 * input + output, 10);
+		const long = computeCostBreakdown('gemini-2.5-pro', { promptTokens: 300_000, responseTokens: 1_000_000 });
+		expect(long).toMatchObject({ longContext: true, serviceTier: 'STANDARD' });
+		expect(long.input).toBeCloseTo(0.3 * longContext.input, 10);
+		expect(long.output).toBeCloseTo(longContext.output, 10);
+		expect(computeCostBreakdown('gemini-2.5-flash', { promptTokens: 300_000 }).longContext).toBe(false);
+	});
+
+	it('prices cached, audio, video and image tokens at their own rates', () => {
+		const flash = MODEL_PRICING['gemini-2.5-flash'];
+		const b = computeCostBreakdown('gemini-2.5-flash', {
+			promptTokens: 4_000_000, cachedTokens: 1_000_000, audioInputTokens: 1_000_000, videoInputTokens: 1_000_000,
+			responseTokens: 1_000_000, thoughtsTokens: 1_000_000
+		});
+
+		expect(b).toMatchObject({ input: flash.input, cachedInput: flash.cachedInput, audioInput: flash.audioInput, videoInput: flash.input, output: flash.output, thinking: flash.output, imageOutput: 0 });
+		expect(b.total).toBeCloseTo(b.input + b.cachedInput + b.audioInput + b.videoInput + b.output + b.thinking, 10);
+
+		const lite = MODEL_PRICING['gemini-2.0-flash-lite'];
+		expect(computeCost('gemini-2.0-flash-lite', 1_000_000, 0, 0, { cachedTokens: 1_000_000 })).toBeCloseTo(lite.input * CACHED_INPUT_DISCOUNT, 10);
+
+		const image = computeCostBreakdown('gemini-3-pro-image-preview', { responseTokens: 1_000_000, imageOutputTokens: 1_000_000 });
+		expect(image).toMatchObject({ imageOutput: 120, output: 0 });
+	});
+
+	it('reads separately billed counts from usageMetadata, leaving cached audio to the cache rate', () => {
+		expect(billableTokens({
+			promptTokenCount: 1000,
+			candidatesTokenCount: 300,
+			cachedContentTokenCount: 400,
+			toolUsePromptTokenCount: 50,
+			promptTokensDetails: [{ modality: 'TEXT', tokenCount: 400 }, { modality: 'AUDIO', tokenCount: 600 }],
+			cacheTokensDetails: [{ modality: 'AUDIO', tokenCount: 400 }],
+			candidatesTokensDetails: [{ modality: 'IMAGE', tokenCount: 258 }]
+		})).toEqual({
+			promptTokens: 1000, responseTokens: 300, thoughtsTokens: 0, cachedTokens: 400, toolUsePromptTokens: 50,
+			audioInputTokens: 200, videoInputTokens: 0, imageOutputTokens: 258
+		});
+	});
+
+	it('applies batch pricing for the FLEX service tier', () => {
+		const standard = computeCost('gemini-2.5-flash', 1_000_000, 1_000_000);
+		expect(computeCost('gemini-2.5-flash', 1_000_000, 1_000_000, 0, { serviceTier: 'FLEX' })).toBeCloseTo(standard * BATCH_DISCOUNT, 10);
+		expect(computeCost('gemini-2.5-flash', 1_000_000, 1_000_000, 0, { serviceTier: 'PRIORITY' })).toBe(standard);
+	});
+
+	it('reports a cost breakdown in UsageData', async () => {
+		const client = new MockGeminiClient().respond({ text: 'ok', usage: { promptTokens: 2_000_000, cachedTokens: 1_000_000, audioInputTokens: 500_000, responseTokens: 100_000 } });
+		const msg = new Message({ ...QUIET, client, modelName: 'gemini-2.5-flash', serviceTier: 'FLEX' });
+
+		const { usage } = await msg.send('transcribe');
+
+		const flash = MODEL_PRICING['gemini-2.5-flash'];
+		expect(usage.costBreakdown).toMatchObject({ serviceTier: 'FLEX', longContext: false });
+		expect(usage.costBreakdown.cachedInput).toBeCloseTo(flash.cachedInput * BATCH_DISCOUNT, 10);
+		expect(usage.costBreakdown.audioInput).toBeCloseTo(0.5 * flash.audioInput * BATCH_DISCOUNT, 10);
+		expect(usage.estimatedCost).toBe(usage.costBreakdown.total);
+		expect(msg.getLastUsage().costBreakdown).toEqual(usage.costBreakdown);
+	});
+
+	it('prices ImageGenerator image output', async () => {
+		const client = new MockGeminiClient().respond({
+			parts: [{ inlineData: { mimeType: 'image/png', data: 'aW1n' } }],
+			usage: { promptTokens: 10, responseTokens: 1290, imageOutputTokens: 1290 }
+		});
+		const gen = new ImageGenerator({ ...QUIET, client, modelName: 'gemini-2.5-flash-image' });
+
+		const { usage } = await gen.generate('a cat');
+
+		expect(usage.costBreakdown.imageOutput).toBeCloseTo(1290 / 1_000_000 * 30, 10);
+		expect(usage.estimatedCost).toBeCloseTo(0.039, 3);
+	});
+});
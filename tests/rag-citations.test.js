@@ -0,0 +1,90 @@
+/**
+ * @fileoverview Offline (mocked) tests for RagAgent citations.
+ * generateContent is stubbed to answer with fixed text (and optional
+ * groundingMetadata); embedContent is stubbed for vector mode.
+ */
+
+import { jest } from '@jest/globals';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { RagAgent } from '../index.js';
+
+const KEY = { apiKey: 'test-key', logLevel: 'silent' };
+
+function answerWith(agent, text, groundingMetadata) {
+	agent.genAIClient.models.generateContent = jest.fn(async () => ({
+		text,
+		candidates: [{ content: { role: 'model', parts: [{ text }] }, ...(groundingMetadata && { groundingMetadata }) }],
+		usageMetadata: { promptTokenCount: 1, candidatesTokenCount: 1, totalTokenCount: 2 }
+	}));
+}
+
+describe('RagAgent citations', () => {
+	let dir, file;
+	beforeAll(async () => {
+		dir = await mkdtemp(join(tmpdir(), 'ak-gemini-cite-'));
+		file = join(dir, 'auth.md');
+		await writeFile(file, 'Tokens expire after 1 hour.\nRefresh tokens last 30 days.');
+	});
+	afterAll(async () => { await rm(dir, { recursive: true, force: true }); });
+
+	it('labels sources and maps [n] markers to answer spans', async () => {
+		const agent = new RagAgent({ ...KEY, localFiles: [file], localData: [{ name: 'plans', data: { pro: 20 } }] });
+		const text = 'Tokens expire after 1 hour [1]. Pro costs $20 [2]. Both apply to teams [1, 2].';
+		answerWith(agent, text);
+
+		const result = await agent.chat('Tell me about tokens and pricing');
+
+		expect(agent.chatConfig.systemInstruction).toContain('Sources are labelled [1]');
+		const seeded = agent.getHistory()[0].parts.map(p => p.text);
+		expect(seeded[0]).toMatch(/^--- \[1\] File: auth\.md ---/);
+		expect(seeded[1]).toMatch(/^--- \[2\] Data: plans ---/);
+
+		expect(result.citations).toHaveLength(4);
+		expect(result.citations[0]).toEqual({
+			marker: 1, text: 'Tokens expire after 1 hour', start: 0, end: 26,
+			source: 'auth.md', type: 'localFile', path: file
+		});
+		expect(result.citations[1]).toMatchObject({ marker: 2, text: 'Pro costs $20', source: 'plans', type: 'localData' });
+		expect(result.citations.slice(2).map(c => c.source)).toEqual(['auth.md', 'plans']);
+		expect(text.slice(result.citations[1].start, result.citations[1].end)).toBe('Pro costs $20');
+	});
+
+	it('ignores markers that match no source', async () => {
+		const agent = new RagAgent({ ...KEY, localFiles: [file] });
+		answerWith(agent, 'Something [7].');
+		expect((await agent.chat('?')).citations).toEqual([]);
+	});
+
+	it('cites vector-mode chunks with line ranges', async () => {
+		const agent = new RagAgent({ ...KEY, localFiles: [file], retrieval: 'vector', chunkSize: 30, chunkOverlap: 0 });
+		agent.genAIClient.models.embedContent = jest.fn(async ({ contents }) => ({
+			embeddings: [].concat(contents).map(t => ({ values: [t.includes('Refresh') ? 1 : 0, 0.1] }))
+		}));
+		answerWith(agent, 'Refresh tokens last 30 days [1].');
+
+		const { citations } = await agent.chat('Refresh?');
+
+		expect(citations[0]).toMatchObject({ source: 'auth.md', type: 'localFile', startLine: 2, endLine: 2, chunkId: `${file}#1` });
+	});
+
+	it('adds remote-file citations from groundingMetadata', async () => {
+		const agent = new RagAgent({ ...KEY, citations: false });
+		await agent.init();
+		agent._uploadedRemoteFiles = [{ uri: 'files/abc', displayName: 'q4.pdf', originalPath: '/r/q4.pdf' }];
+		const text = 'Revenue grew 12%.';
+		answerWith(agent, text, {
+			groundingChunks: [{ retrievedContext: { uri: 'files/abc', title: 'q4' } }, { web: { uri: 'https://x.test', title: 'X' } }],
+			groundingSupports: [{ segment: { text: 'Revenue grew 12%' }, groundingChunkIndices: [0, 1] }]
+		});
+
+		const { citations } = await agent.chat('Revenue?');
+
+		expect(agent.chatConfig.systemInstruction).not.toContain('Sources are labelled');
+		expect(citations).toEqual([
+			{ text: 'Revenue grew 12%', start: 0, end: 16, source: 'q4.pdf', type: 'remoteFile', path: '/r/q4.pdf', uri: 'files/abc' },
+			{ text: 'Revenue grew 12%', start: 0, end: 16, source: 'X', type: 'web', uri: 'https://x.test' }
+		]);
+	});
+});
@@ -0,0 +1,160 @@
+/**
+ * @fileoverview Offline (mocked) tests for RagAgent retrieval: 'vector'.
+ * embedContent returns keyword-count vectors so similarity is predictable;
+ * generateContent is stubbed so the SDK chat records real history.
+ */
+
+import { jest } from '@jest/globals';
+import { mkdtemp, mkdir, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { RagAgent } from '../index.js';
+
+const KEY = { apiKey: 'test-key', logLevel: 'silent' };
+const TOPICS = ['refund', 'shipping', 'password'];
+
+/** One dimension per topic word, plus a constant so no vector is all zeros. */
+function vectorFor(text) {
+	return [...TOPICS.map(t => text.split(t).length - 1), 0.01];
+}
+
+function stub(agent) {
+	agent.genAIClient.models.embedContent = jest.fn(async ({ contents }) => ({
+		embeddings: [].concat(contents).map(text => ({ values: vectorFor(text) }))
+	}));
+	agent.genAIClient.models.generateContent = jest.fn(async () => ({
+		text: 'answer',
+		candidates: [{ content: { role: 'model', parts: [{ text: 'answer' }] } }],
+		usageMetadata: { promptTokenCount: 1, candidatesTokenCount: 1, totalTokenCount: 2 }
+	}));
+}
+
+describe('RagAgent vector retrieval', () => {
+	let dir, file;
+	beforeAll(async () => {
+		dir = await mkdtemp(join(tmpdir(), 'ak-gemini-rag-'));
+		file = join(dir, 'policies.md');
+		const lines = [];
+		for (let i = 0; i < 20; i++) lines.push(`refund rule ${i}: refunds within 30 days`);
+		for (let i = 0; i < 20; i++) lines.push(`shipping rule ${i}: shipping takes 5 days`);
+		await writeFile(file, lines.join('\n'));
+	});
+	afterAll(async () => { await rm(dir, { recursive: true, force: true }); });
+
+	it('embeds chunks as documents and sends only the top-k with the question', async () => {
+		const agent = new RagAgent({
+			...KEY,
+			retrieval: 'vector',
+			topK: 2,
+			chunkSize: 300,
+			chunkOverlap: 0,
+			localFiles: [file],
+			localData: [{ name: 'accounts', data: { help: 'reset your password from settings' } }]
+		});
+		stub(agent);
+
+		const result = await agent.chat('How do I reset my password?');
+
+		const [indexCall, queryCall] = agent.genAIClient.models.embedContent.mock.calls.map(c => c[0]);
+		expect(indexCall.config.taskType).toBe('RETRIEVAL_DOCUMENT');
+		expect(indexCall.contents.length).toBeGreaterThan(3);
+		expect(queryCall).toMatchObject({ contents: 'How do I reset my password?', config: { taskType: 'RETRIEVAL_QUERY' } });
+
+		expect(result.text).toBe('answer');
+		expect(result.chunks).toHaveLength(2);
+		expect(result.chunks[0]).toMatchObject({ id: 'data:accounts#0', source: 'accounts', type: 'localData', startLine: 1 });
+		expect(result.chunks[0].values).toBeUndefined();
+
+		// Local sources are not seeded; only the excerpts travel with the question
+		const sent = agent.genAIClient.models.generateContent.mock.calls[0][0].contents;
+		expect(sent[0].parts[0].text).toContain('--- [1] accounts, lines 1-3 ---');
+		expect(sent[0].parts[0].text).toMatch(/Question: How do I reset my password\?$/);
+
+		// ...and are dropped from history once the turn is done
+		await agent.chat('And shipping?');
+		const history = agent.getHistory();
+		expect(history.map(c => c.parts[0].text)).toEqual(['How do I reset my password?', 'answer', 'And shipping?', 'answer']);
+		const followUp = agent.genAIClient.models.generateContent.mock.calls[1][0].contents;
+		expect(followUp[0].parts[0].text).toBe('How do I reset my password?');
+		expect(followUp[2].parts[0].text).toContain('Question: And shipping?');
+	});
+
+	it('reports file chunks with line ranges', async () => {
+		const agent = new RagAgent({ ...KEY, retrieval: 'vector', topK: 1, chunkSize: 300, chunkOverlap: 0, localFiles: [file] });
+		stub(agent);
+
+		const { chunks } = await agent.chat('what is the shipping policy?');
+
+		expect(chunks[0]).toMatchObject({ source: 'policies.md', type: 'localFile', path: file });
+		expect(chunks[0].startLine).toBeGreaterThan(20);
+		expect(chunks[0].text).toContain('shipping');
+	});
+
+	it('keeps same-named files in different directories apart', async () => {
+		const other = join(dir, 'b');
+		await mkdir(join(dir, 'a'), { recursive: true });
+		await mkdir(other, { recursive: true });
+		await writeFile(join(dir, 'a', 'README.md'), 'refund rule: refunds within 30 days');
+		await writeFile(join(other, 'README.md'), 'shipping rule: shipping takes 5 days');
+		const agent = new RagAgent({
+			...KEY, retrieval: 'vector', topK: 1,
+			localFiles: [join(dir, 'a', 'README.md'), join(other, 'README.md')],
+			localData: [{ name: join(dir, 'a', 'README.md'), data: 'password resets live in settings' }]
+		});
+		stub(agent);
+		await agent.init();
+
+		expect(agent.index.size).toBe(3);
+		expect((await agent.chat('refund?')).chunks[0]).toMatchObject({ source: 'README.md', path: join(dir, 'a', 'README.md') });
+		expect((await agent.chat('shipping?')).chunks[0]).toMatchObject({ source: 'README.md', path: join(other, 'README.md') });
+	});
+
+	it('overlaps consecutive chunks by trailing lines', async () => {
+		const agent = new RagAgent({ ...KEY, retrieval: 'vector', chunkSize: 300, chunkOverlap: 100, localFiles: [file] });
+		stub(agent);
+		await agent.init();
+
+		const first = agent.index.get(`${file}#0`).metadata;
+		const second = agent.index.get(`${file}#1`).metadata;
+		expect(second.startLine).toBeLessThanOrEqual(first.endLine);
+	});
+
+	it('rejects chunk settings that would not move forward', () => {
+		expect(() => new RagAgent({ ...KEY, retrieval: 'vector', chunkSize: 100, chunkOverlap: 100 })).toThrow(/chunkOverlap must be a whole number from 0 to below chunkSize \(100\)/);
+		expect(() => new RagAgent({ ...KEY, retrieval: 'vector', chunkOverlap: -1 })).toThrow(/chunkOverlap/);
+		expect(() => new RagAgent({ ...KEY, retrieval: 'vector', chunkSize: 0 })).toThrow(/chunkSize must be a positive integer/);
+	});
+
+	it('reports embedding calls through the agent\'s events', async () => {
+		const agent = new RagAgent({ ...KEY, retrieval: 'vector', localFiles: [file] });
+		stub(agent);
+		const requests = [];
+		agent.on('request', (e) => requests.push(`${e.className}:${e.method}`));
+
+		await agent.chat('refund?');
+
+		expect(requests).toEqual(['Embedding:embedContent', 'Embedding:embedContent', 'RagAgent:generateContent']);
+	});
+
+	it('embeds only new chunks when sources are added', async () => {
+		const agent = new RagAgent({ ...KEY, retrieval: 'vector', chunkSize: 300, localFiles: [file] });
+		stub(agent);
+		await agent.init();
+		const indexed = agent.index.size;
+
+		await agent.addLocalData([{ name: 'faq', data: 'shipping is free over $50' }]);
+
+		const secondCall = agent.genAIClient.models.embedContent.mock.calls[1][0];
+		expect(secondCall.contents).toEqual(['shipping is free over $50']);
+		expect(agent.index.size).toBe(indexed + 1);
+	});
+
+	it('leaves context mode unchanged', async () => {
+		const agent = new RagAgent({ ...KEY, localFiles: [file] });
+		stub(agent);
+		const result = await agent.chat('refunds?');
+		expect(result.chunks).toBeUndefined();
+		expect(agent.genAIClient.models.embedContent).not.toHaveBeenCalled();
+		expect(() => new RagAgent({ ...KEY, retrieval: 'graph' })).toThrow(/Unknown retrieval mode/);
+	});
+});
@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Offline tests for RateLimiter and the `rateLimiter` option.
+ */
+
+import { jest } from '@jest/globals';
+import { Chat, Message, Transformer, RateLimiter, MockGeminiClient, TimeoutError } from '../index.js';
+
+const QUIET = { logLevel: 'silent' };
+
+describe('RateLimiter', () => {
+
+	// The buckets refill from Date.now(), so the clock only moves when a test moves it
+	beforeEach(() => jest.useFakeTimers());
+	afterEach(() => jest.useRealTimers());
+
+	it('serves queued calls interactive first, then default, then bulk', async () => {
+		const limiter = new RateLimiter({ rpm: 1200 }); // one request per 50ms once the burst is spent
+		limiter.backOff();
+		const order = [];
+		const waits = ['bulk', 'default', 'interactive'].map(priority =>
+			limiter.acquire({ priority }).then(waitedMs => order.push([priority, waitedMs])));
+		expect(limiter.queued).toEqual({ interactive: 1, default: 1, bulk: 1 });
+
+		await jest.advanceTimersByTimeAsync(100);
+		expect(order).toEqual([['interactive', 50], ['default', 100]]);
+		await jest.advanceTimersByTimeAsync(50);
+		await Promise.all(waits);
+
+		expect(order).toEqual([['interactive', 50], ['default', 100], ['bulk', 150]]);
+		expect(limiter.available()).toEqual({ requests: 0, tokens: null });
+		expect(limiter).toMatchObject({ acquired: 3, throttled: 3 });
+		expect(() => new RateLimiter({})).toThrow('rpm and/or tpm');
+	});
+
+	it('is shared across instances, with Chat ahead of Transformer and Message traffic', async () => {
+		const limiter = new RateLimiter({ rpm: 1200 });
+		const client = new MockGeminiClient({ defaultResponse: 'ok' });
+		const chat = new Chat({ ...QUIET, client, rateLimiter: limiter });
+		const bulk = new Message({ ...QUIET, client, rateLimiter: limiter, rateLimitPriority: 'bulk' });
+		const msg = new Message({ ...QUIET, client, rateLimiter: limiter });
+		expect([chat.rateLimitPriority, new Transformer({ ...QUIET, client, rateLimiter: limiter }).rateLimitPriority, msg.rateLimitPriority])
+			.toEqual(['interactive', 'bulk', 'default']);
+
+		const sent = [];
+		for (const instance of [chat, bulk, msg]) instance.on('request', () => sent.push(instance.constructor.name + ':' + instance.rateLimitPriority));
+		const throttled = [];
+		chat.on('throttled', (e) => throttled.push(e));
+
+		limiter.backOff();
+		const sends = Promise.all([bulk.send('a'), bulk.send('b'), msg.send('c'), chat.send('d')]);
+		await jest.advanceTimersByTimeAsync(200);
+		await sends;
+
+		expect(sent).toEqual(['Chat:interactive', 'Message:default', 'Message:bulk', 'Message:bulk']);
+		expect(throttled).toEqual([expect.objectContaining({ className: 'Chat', priority: 'interactive', method: 'generateContent', waitedMs: 50 })]);
+	});
+
+	it('takes estimated input tokens, corrects them from usage, and empties on a 429', async () => {
+		const limiter = new RateLimiter({ rpm: 60, tpm: 10_000 });
+		const client = new MockGeminiClient()
+			.respond({ text: 'ok', usage: { promptTokens: 3000 } })
+			.fail(429);
+		const msg = new Message({ ...QUIET, client, rateLimiter: limiter, retryPolicy: false });
+
+		await msg.send('x'.repeat(400));
+
+		expect(limiter.available()).toEqual({ requests: 59, tokens: 7000 }); // 10k - 3000 actual
+
+		await expect(msg.send('y')).rejects.toMatchObject({ status: 429 });
+		expect(limiter.available()).toEqual({ requests: 0, tokens: 0 });
+
+		await jest.advanceTimersByTimeAsync(6000);
+		expect(limiter.available()).toEqual({ requests: 6, tokens: 1000 });
+	});
+
+	it('gives up the queue slot when the call times out', async () => {
+		jest.useRealTimers();
+		const limiter = new RateLimiter({ rpm: 1 });
+		limiter.backOff();
+		const msg = new Message({ ...QUIET, client: new MockGeminiClient().respond('never'), rateLimiter: limiter });
+
+		await expect(msg.send('x', { timeoutMs: 20 })).rejects.toBeInstanceOf(TimeoutError);
+
+		expect(limiter.queued).toEqual({ interactive: 0, default: 0, bulk: 0 });
+	});
+});
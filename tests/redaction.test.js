@@ -0,0 +1,163 @@
+/**
+ * @fileoverview Offline (mocked) tests for PII redaction and rehydration.
+ * generateContent is stubbed to echo the redacted prompt back, so tests can
+ * check both what "Gemini" saw and what the caller gets.
+ */
+
+import { jest } from '@jest/globals';
+import { inspect } from 'node:util';
+import { Message, Transformer, Chat, Redactor } from '../index.js';
+
+const KEY = { apiKey: 'test-key', logLevel: 'silent', retryDelay: 1 };
+
+function reply(text) {
+	return {
+		text,
+		candidates: [{ content: { role: 'model', parts: [{ text }] } }],
+		usageMetadata: { promptTokenCount: 1, candidatesTokenCount: 1, totalTokenCount: 2 }
+	};
+}
+
+/** Records every outbound request and answers with `answer(lastUserText)`. */
+function stubModel(inst, answer) {
+	const sent = [];
+	inst.genAIClient.models.generateContent = jest.fn(async (req) => {
+		sent.push(JSON.stringify(req.contents));
+		const last = req.contents[req.contents.length - 1].parts[0].text;
+		return reply(answer(last));
+	});
+	return sent;
+}
+
+describe('Redactor', () => {
+
+	it('detects built-in PII with stable placeholders', () => {
+		const r = new Redactor();
+		const text = 'Mail ana@example.com or bo@example.org, call (415) 555-0134, SSN 123-45-6789, ' +
+			'card 4111 1111 1111 1111, host 10.0.0.12, id 3f2b8c1e-9a4d-4e7b-8c2a-1d5e6f7a8b9c. Again: ana@example.com';
+
+		const out = r.redact(text);
+
+		expect(out).toBe('Mail [EMAIL_1] or [EMAIL_2], call [PHONE_1], SSN [SSN_1], ' +
+			'card [CREDIT_CARD_1], host [IP_ADDRESS_1], id [UUID_1]. Again: [EMAIL_1]');
+		expect(r.rehydrate(out)).toBe(text);
+		expect(r.redact('ana@example.com')).toBe('[EMAIL_1]');
+	});
+
+	it('skips card-like numbers that fail the Luhn check', () => {
+		expect(new Redactor({ detectors: ['creditCard'] }).redact('order 1234 5678 9012 3456')).toBe('order 1234 5678 9012 3456');
+	});
+
+	it('only takes formatted phone numbers', () => {
+		const r = new Redactor({ detectors: ['phone'] });
+		expect(r.redact('+14155550134, 415.555.0134, (415)555-0134, 1-415-555-0134'))
+			.toBe('[PHONE_1], [PHONE_2], [PHONE_3], [PHONE_4]');
+		expect(r.redact('created 1718000000, ref 415-5550134, build 415.555-0134')).toBe('created 1718000000, ref 415-5550134, build 415.555-0134');
+	});
+
+	it('supports custom detectors and a subset of built-ins', () => {
+		const r = new Redactor({
+			detectors: ['email'],
+			custom: [
+				{ name: 'employeeId', pattern: /\bEMP-\d{5}\b/ },
+				{ name: 'codename', detect: (text) => text.match(/Project \w+/g) || [] }
+			]
+		});
+		expect(r.redact('EMP-12345 on Project Falcon, 555-123-4567')).toBe('[EMPLOYEE_ID_1] on [CODENAME_1], 555-123-4567');
+		expect(() => new Redactor({ detectors: /** @type {any} */ (['dna']) })).toThrow(/Unknown redaction detector/);
+		expect(() => new Redactor({ custom: [/** @type {any} */ ({ name: 'x' })] })).toThrow(/pattern/);
+	});
+
+	it('leaves unknown placeholders alone and never exposes the mapping', () => {
+		const r = new Redactor();
+		r.redact('ana@example.com');
+		expect(r.rehydrate('[EMAIL_1] and [EMAIL_9]')).toBe('ana@example.com and [EMAIL_9]');
+		expect(JSON.stringify(r)).not.toContain('ana@');
+		expect(inspect(r, { depth: 10 })).not.toContain('ana@');
+		expect(JSON.stringify({ redactor: r })).toContain('"size":1');
+	});
+});
+
+describe('redaction option', () => {
+
+	it('Message: Gemini sees placeholders, the caller gets original values', async () => {
+		const msg = new Message({ ...KEY, redaction: true });
+		const sent = stubModel(msg, (prompt) => `Welcome! We will write to ${prompt.match(/\[EMAIL_\d+\]/)[0]}.`);
+
+		const result = await msg.send('Write a welcome note for ana@example.com');
+
+		expect(sent[0]).not.toContain('ana@example.com');
+		expect(sent[0]).toContain('[EMAIL_1]');
+		expect(result.text).toBe('Welcome! We will write to ana@example.com.');
+		expect(result.usage.totalTokens).toBe(2);
+	});
+
+	it('Transformer: redacts examples and payloads, rehydrates parsed data', async () => {
+		const t = new Transformer({ ...KEY, redaction: true });
+		await t.seed([{ PROMPT: { email: 'ex@example.com' }, ANSWER: { contact: 'ex@example.com' } }]);
+		const sent = stubModel(t, (prompt) => JSON.stringify({ contact: JSON.parse(prompt).email }));
+
+		const result = await t.send({ email: 'ana@example.com' });
+
+		expect(sent[0]).not.toMatch(/@example\.com/);
+		expect(result).toEqual({ contact: 'ana@example.com' });
+	});
+
+	it('Transformer: stateless batch items are rehydrated too', async () => {
+		const t = new Transformer({ ...KEY, redaction: true });
+		await t.init();
+		stubModel(t, (prompt) => JSON.stringify({ phone: JSON.parse(prompt).phone }));
+
+		const { results } = await t.transformBatch([{ phone: '415-555-0134' }]);
+
+		expect(results[0].data).toEqual({ phone: '415-555-0134' });
+	});
+
+	it('Transformer: numeric IDs and timestamps pass through as valid JSON', async () => {
+		const t = new Transformer({ ...KEY, redaction: true });
+		await t.init();
+		const prompts = [];
+		stubModel(t, (prompt) => {
+			prompts.push(prompt);
+			return JSON.stringify({ ok: true, echo: JSON.parse(prompt) });
+		});
+		const payload = { ts: 1718000000, userId: 5551234567, order: 4111111111111111, ids: [1718000001, 42], host: 'db-1', phone: '+1 415 555 0134' };
+
+		const result = await t.send(payload);
+
+		const seen = JSON.parse(prompts[0]);
+		expect(seen).toEqual({ ...payload, phone: '[PHONE_1]' });
+		expect(result.echo).toEqual(payload);
+	});
+
+	it('Chat keeps placeholders stable across turns', async () => {
+		const chat = new Chat({ ...KEY, redaction: { rehydrate: false } });
+		const sent = stubModel(chat, () => 'noted');
+
+		await chat.send('My email is ana@example.com');
+		const second = await chat.send('Is ana@example.com still right?');
+
+		expect(sent[1]).toContain('My email is [EMAIL_1]');
+		expect(sent[1]).toContain('Is [EMAIL_1] still right?');
+		expect(second.text).toBe('noted');
+		expect(chat.redactor.size).toBe(1);
+	});
+
+	it('other middleware only sees placeholders', async () => {
+		const seen = [];
+		const msg = new Message({
+			...KEY,
+			redaction: true,
+			middleware: [{
+				before: (ctx) => { seen.push(JSON.stringify(ctx.contents)); },
+				after: (ctx) => { seen.push(ctx.response.text); }
+			}]
+		});
+		stubModel(msg, (prompt) => `echo ${prompt}`);
+
+		const result = await msg.send('ana@example.com');
+
+		expect(seen).toEqual([expect.stringContaining('[EMAIL_1]'), 'echo [EMAIL_1]']);
+		expect(result.text).toBe('echo ana@example.com');
+	});
+});
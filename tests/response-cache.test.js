@@ -0,0 +1,156 @@
+/**
+ * @fileoverview Offline tests for the `responseCache` option and its storage backends.
+ * Every instance runs against MockGeminiClient, so a cache miss shows up as a recorded request.
+ */
+
+import { mkdtemp, rm, readdir, readFile, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Message, Transformer, MemoryResponseCache, FileResponseCache, MockGeminiClient } from '../index.js';
+
+const QUIET = { logLevel: 'silent' };
+
+describe('responseCache', () => {
+
+	it('serves a repeated Message.send from the cache with cached usage and zero cost', async () => {
+		const client = new MockGeminiClient().respond({ text: 'Paris', modelVersion: 'gemini-2.5-flash' });
+		const msg = new Message({ ...QUIET, client, responseCache: true });
+
+		const first = await msg.send('Capital of France?');
+		const second = await msg.send('Capital of France?');
+
+		expect(second.text).toBe('Paris');
+		expect(client.requests()).toHaveLength(1);
+		expect(first.usage.cached).toBeUndefined();
+		expect(second.usage).toMatchObject({ cached: true, promptTokens: 0, responseTokens: 0, totalTokens: 0, estimatedCost: 0 });
+		expect(msg.getLastUsage()).toMatchObject({ cached: true, estimatedCost: 0 });
+	});
+
+	it('re-running a Transformer batch only pays for new items', async () => {
+		const client = new MockGeminiClient({ defaultResponse: (req) => JSON.stringify({ echo: req.contents.at(-1).parts[0].text.length }) });
+		const responseCache = new MemoryResponseCache();
+		const make = async () => {
+			const t = new Transformer({ ...QUIET, client, responseCache });
+			await t.init();
+			await t.seed([{ INPUT: { a: 1 }, OUTPUT: { b: 1 } }]);
+			return t;
+		};
+
+		await (await make()).transformBatch([{ n: 1 }, { n: 2 }]);
+		expect(client.requests()).toHaveLength(2);
+
+		const rerun = await (await make()).transformBatch([{ n: 1 }, { n: 2 }, { n: 3 }], { concurrency: 1 });
+
+		expect(client.requests()).toHaveLength(3);
+		expect(rerun.results.map(r => r.ok)).toEqual([true, true, true]);
+		expect(rerun.results.map(r => !!r.usage.cached)).toEqual([true, true, false]);
+		expect(responseCache.size).toBe(3);
+	});
+
+	it('keys on model, systemInstruction, config and contents but not labels', async () => {
+		const client = new MockGeminiClient({ defaultResponse: 'ok' });
+		const responseCache = new MemoryResponseCache();
+		const send = (opts) => new Message({ ...QUIET, client, responseCache, ...opts }).send('hi');
+
+		await send({ labels: { run: '1' } });
+		await send({ labels: { run: '2' } });
+		expect(client.requests()).toHaveLength(1);
+
+		await send({ systemPrompt: 'Be terse.' });
+		await send({ chatConfig: { temperature: 0.1 } });
+		await send({ modelName: 'gemini-2.5-pro' });
+		expect(client.requests()).toHaveLength(4);
+	});
+
+	it('does not cache failed, empty or unfinished responses', async () => {
+		const client = new MockGeminiClient().fail(400, 'bad').respond({ parts: [] }).respond({ text: 'cut o', finishReason: 'MAX_TOKENS' }).respond('fine');
+		const msg = new Message({ ...QUIET, client, responseCache: true });
+
+		await expect(msg.send('q')).rejects.toMatchObject({ status: 400 });
+		await msg.send('q');
+		expect((await msg.send('q')).text).toBe('cut o');
+		expect((await msg.send('q')).text).toBe('fine');
+		expect((await msg.send('q')).usage.cached).toBe(true);
+		expect(client.requests()).toHaveLength(4);
+	});
+});
+
+describe('MemoryResponseCache', () => {
+
+	it('evicts the least recently used entry past maxEntries', async () => {
+		const cache = new MemoryResponseCache({ maxEntries: 2 });
+		await cache.set('a', { response: {}, storedAt: 1 });
+		await cache.set('b', { response: {}, storedAt: 2 });
+		await cache.get('a');
+		await cache.set('c', { response: {}, storedAt: 3 });
+
+		expect(await cache.get('b')).toBeNull();
+		expect(await cache.get('a')).not.toBeNull();
+		expect(cache.size).toBe(2);
+	});
+
+	it('expires entries after ttl and returns copies', async () => {
+		const cache = new MemoryResponseCache({ ttl: 20 });
+		await cache.set('k', { response: { text: 'x' }, storedAt: 0 });
+
+		const hit = await cache.get('k');
+		hit.response.text = 'mutated';
+		expect((await cache.get('k')).response.text).toBe('x');
+
+		await new Promise(r => setTimeout(r, 40));
+		expect(await cache.get('k')).toBeNull();
+	});
+});
+
+describe('FileResponseCache', () => {
+	let dir;
+	beforeEach(async () => { dir = await mkdtemp(join(tmpdir(), 'ak-gemini-rcache-')); });
+	afterEach(async () => { await rm(dir, { recursive: true, force: true }); });
+
+	it('persists across instances', async () => {
+		const client = new MockGeminiClient().respond('cached on disk');
+		await new Message({ ...QUIET, client, responseCache: new FileResponseCache({ dir }) }).send('hello');
+
+		const msg = new Message({ ...QUIET, client, responseCache: new FileResponseCache({ dir }) });
+		const result = await msg.send('hello');
+
+		expect(result.text).toBe('cached on disk');
+		expect(result.usage.cached).toBe(true);
+		expect(client.requests()).toHaveLength(1);
+		expect((await readdir(dir)).filter(f => f.endsWith('.json'))).toHaveLength(1);
+	});
+
+	it('deletes expired entries on read', async () => {
+		const cache = new FileResponseCache({ dir, ttl: 10 });
+		await cache.set('k', { response: {}, storedAt: 0 });
+		await new Promise(r => setTimeout(r, 30));
+
+		expect(await cache.get('k')).toBeNull();
+		expect(await readdir(dir)).toEqual([]);
+		expect(() => new FileResponseCache(/** @type {any} */ ({}))).toThrow(/requires a dir/);
+	});
+
+	it('stores redacted requests and responses only, and rehydrates hits', async () => {
+		const client = new MockGeminiClient().respond((req) => `Sent to ${req.contents[0].parts[0].text.split(' ').pop()}`);
+		const options = { ...QUIET, client, redaction: true, responseCache: new FileResponseCache({ dir }) };
+
+		expect((await new Message(options).send('Welcome ana@example.com')).text).toBe('Sent to ana@example.com');
+		const [file] = await readdir(dir);
+		const stored = await readFile(join(dir, file), 'utf8');
+		expect(stored).toContain('Sent to [EMAIL_1]');
+		expect(stored).not.toContain('ana@example.com');
+
+		const again = await new Message({ ...options, responseCache: new FileResponseCache({ dir }) }).send('Welcome ana@example.com');
+		expect(again).toMatchObject({ text: 'Sent to ana@example.com', usage: { cached: true } });
+		expect(client.requests()).toHaveLength(1);
+	});
+
+	it('treats an unreadable entry as a miss and deletes it', async () => {
+		const cache = new FileResponseCache({ dir });
+		await cache.set('k', { response: {}, storedAt: 0 });
+		await writeFile(cache.pathFor('k'), '{"expiresAt":null,"val');
+
+		expect(await cache.get('k')).toBeNull();
+		expect(await readdir(dir)).toEqual([]);
+	});
+});
@@ -0,0 +1,79 @@
+/**
+ * @fileoverview Offline tests for `retryPolicy` (transient 5xx, network and timeout retries).
+ */
+
+import { Message, Transformer, MockGeminiClient, NetworkError, GeminiError, DEFAULT_RETRY_POLICY } from '../index.js';
+
+const QUIET = { logLevel: 'silent' };
+/** Near-zero waits: decorrelated backoff from 1ms stays within a few ms */
+const FAST = { initialDelayMs: 1, backoff: 'decorrelated' };
+
+/** An undici-style connection failure, as fetch() throws it */
+function connectionReset() {
+	return Object.assign(new TypeError('fetch failed'), { cause: Object.assign(new Error('read ECONNRESET'), { code: 'ECONNRESET' }) });
+}
+
+describe('retryPolicy', () => {
+
+	it('retries 5xx and network errors, reporting each retry and counting them in usage', async () => {
+		const client = new MockGeminiClient().fail(503, 'UNAVAILABLE').fail(connectionReset()).respond('ok');
+		const retries = [];
+		const msg = new Message({ ...QUIET, client, retryPolicy: { ...FAST, onRetry: (info) => retries.push(info) } });
+		const events = [];
+		msg.on('retry', (e) => events.push(e.reason));
+
+		const result = await msg.send('x');
+
+		expect(result.text).toBe('ok');
+		expect(result.usage.retries).toBe(2);
+		expect(msg.getLastUsage().retries).toBe(2);
+		expect(events).toEqual(['transient', 'transient']);
+		expect(retries.map(r => [r.attempt, r.error.constructor])).toEqual([[1, GeminiError], [2, NetworkError]]);
+		expect(retries[1].error).toMatchObject({ code: 'ECONNRESET', retryable: true });
+		expect(retries[0]).toMatchObject({ className: 'Message', maxRetries: 5, retryAfterMs: null });
+	});
+
+	it('waits as long as Retry-After or RetryInfo asks', async () => {
+		const retryInfo = JSON.stringify({ error: { code: 429, status: 'RESOURCE_EXHAUSTED', details: [{ '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: '0.03s' }] } });
+		const client = new MockGeminiClient()
+			.fail(429, retryInfo)
+			.fail(Object.assign(new Error('Service Unavailable'), { status: 503, headers: new Headers({ 'retry-after': '0' }) }))
+			.respond('ok');
+		const waits = [];
+		const msg = new Message({ ...QUIET, client, retryPolicy: { ...FAST, onRetry: ({ delayMs, retryAfterMs }) => waits.push([delayMs, retryAfterMs]) } });
+
+		await msg.send('x');
+
+		expect(waits).toEqual([[30, 30], [0, 0]]);
+	});
+
+	it('gives up at maxRetries or maxElapsedMs, and never retries other errors', async () => {
+		const client = new MockGeminiClient()
+			.fail(500).fail(500)
+			.fail(Object.assign(new Error('slow down'), { status: 503, headers: { 'retry-after': '10' } }))
+			.fail(400, 'bad request')
+			.fail(503);
+		const msg = new Message({ ...QUIET, client, retryPolicy: { ...FAST, maxRetries: 1, maxElapsedMs: 1000 } });
+
+		await expect(msg.send('a')).rejects.toMatchObject({ status: 500, attempts: 2 });
+		await expect(msg.send('b')).rejects.toMatchObject({ message: 'slow down', attempts: 1 });
+		await expect(msg.send('c')).rejects.toMatchObject({ status: 400, attempts: 1 });
+
+		const off = new Message({ ...QUIET, client, retryPolicy: false });
+		await expect(off.send('d')).rejects.toMatchObject({ status: 503, attempts: 1 });
+		expect(client.pending).toBe(0);
+
+		expect(new Message({ ...QUIET, client, resourceExhaustedRetries: 2 }).retryPolicy).toMatchObject({ ...DEFAULT_RETRY_POLICY, maxRetries: 2 });
+		expect(() => new Message({ ...QUIET, client, retryPolicy: { backoff: 'linear' } })).toThrow(/retryPolicy.backoff/);
+	});
+
+	it('sums retries across Transformer attempts', async () => {
+		const client = new MockGeminiClient().fail(502).respond('{"n":1}').fail(502).respond('{"n":2}');
+		const t = new Transformer({ ...QUIET, client, retryDelay: 1, retryPolicy: FAST });
+		await t.init();
+
+		await t.send({ x: 1 }, {}, async (p) => { if (p.n < 2) throw new Error('n too small'); });
+
+		expect(t.getLastUsage()).toMatchObject({ attempts: 2, retries: 2 });
+	});
+});
@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Offline (mocked) tests for session persistence.
+ * models.generateContent is stubbed on each instance so the SDK's chat session
+ * records real history without any API calls.
+ */
+
+import { jest } from '@jest/globals';
+import { mkdtemp, rm, readFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Chat, Transformer, RagAgent, MemorySessionStore, FileSessionStore } from '../index.js';
+
+const KEY = { apiKey: 'test-key', logLevel: 'silent' };
+
+/** Stubs generateContent with a model that answers `reply-N`. */
+function stubModel(inst, text = (n) => `reply-${n}`) {
+	let n = 0;
+	inst.genAIClient.models.generateContent = jest.fn(async () => {
+		const t = text(++n);
+		return {
+			text: t,
+			candidates: [{ content: { role: 'model', parts: [{ text: t }] } }],
+			usageMetadata: { promptTokenCount: 1, candidatesTokenCount: 1, totalTokenCount: 2 }
+		};
+	});
+}
+
+describe('session stores', () => {
+	let dir;
+	beforeEach(async () => { dir = await mkdtemp(join(tmpdir(), 'ak-gemini-sessions-')); });
+	afterEach(async () => { await rm(dir, { recursive: true, force: true }); });
+
+	it('MemorySessionStore round-trips and isolates stored copies', async () => {
+		const store = new MemorySessionStore();
+		const history = [{ role: 'user', parts: [{ text: 'a' }] }];
+		await store.save('s1', history, { exampleCount: 0 });
+		history.push({ role: 'model', parts: [{ text: 'b' }] });
+		expect((await store.load('s1')).history).toHaveLength(1);
+		expect(await store.load('missing')).toBeNull();
+	});
+
+	it.each(['json', 'jsonl'])('FileSessionStore round-trips in %s format', async (format) => {
+		const store = new FileSessionStore({ dir, format });
+		const history = [{ role: 'user', parts: [{ text: 'line\nbreak' }] }, { role: 'model', parts: [{ text: 'ok' }] }];
+		await store.save('team/alice', history, { exampleCount: 2 });
+
+		expect(await store.load('team/alice')).toEqual({ history, meta: { exampleCount: 2 } });
+		expect(store.pathFor('team/alice')).toBe(join(dir, `team%2Falice.${format}`));
+		if (format === 'jsonl') {
+			const lines = (await readFile(store.pathFor('team/alice'), 'utf-8')).trim().split('\n');
+			expect(lines).toHaveLength(3);
+		}
+		await store.delete('team/alice');
+		expect(await store.load('team/alice')).toBeNull();
+	});
+
+	it('rejects an unknown file format', () => {
+		expect(() => new FileSessionStore({ dir, format: 'xml' })).toThrow(/unsupported format/);
+	});
+});
+
+describe('BaseGemini sessionStore / sessionId', () => {
+
+	it('saves after each Chat turn and restores in a new instance', async () => {
+		const store = new MemorySessionStore();
+		const first = new Chat({ ...KEY, sessionStore: store, sessionId: 'abc' });
+		stubModel(first);
+		await first.send('one');
+		await first.send('two');
+		expect((await store.load('abc')).history).toHaveLength(4);
+
+		const second = new Chat({ ...KEY, sessionStore: store, sessionId: 'abc' });
+		stubModel(second);
+		await second.init();
+		expect(second.getHistory().map(h => h.parts[0].text)).toEqual(['one', 'reply-1', 'two', 'reply-2']);
+
+		await second.send('three');
+		const meta = (await store.load('abc')).meta;
+		expect(meta).toMatchObject({ exampleCount: 0, className: 'Chat' });
+	});
+
+	it('generates a sessionId when only a store is given', () => {
+		const chat = new Chat({ ...KEY, sessionStore: new MemorySessionStore() });
+		expect(chat.sessionId).toMatch(/^[0-9a-f-]{36}$/);
+		expect(new Chat({ ...KEY }).sessionId).toBeNull();
+	});
+
+	it('keeps Transformer examples separate via exampleCount', async () => {
+		const store = new MemorySessionStore();
+		const examples = [{ PROMPT: { a: 1 }, ANSWER: { b: 1 } }];
+
+		const first = new Transformer({ ...KEY, sessionStore: store, sessionId: 't' });
+		stubModel(first, () => '{"data":{"b":2}}');
+		await first.seed(examples);
+		await first.send({ a: 2 });
+		expect((await store.load('t')).meta.exampleCount).toBe(2);
+
+		// Re-seeding a restored session swaps the example prefix and keeps the conversation
+		const second = new Transformer({ ...KEY, sessionStore: store, sessionId: 't' });
+		await second.seed([{ PROMPT: { a: 9 }, ANSWER: { b: 9 } }, { PROMPT: { a: 8 }, ANSWER: { b: 8 } }]);
+		expect(second.exampleCount).toBe(4);
+		expect(second.getHistory()).toHaveLength(6);
+
+		await second.clearHistory();
+		expect(second.getHistory()).toHaveLength(4);
+		expect((await store.load('t')).history).toHaveLength(4);
+	});
+
+	it('keeps a Transformer turn sent with a grounding override', async () => {
+		const store = new MemorySessionStore();
+		const t = new Transformer({ ...KEY, sessionStore: store, sessionId: 'g' });
+		stubModel(t, (n) => `{"data":{"n":${n}}}`);
+		await t.seed([{ PROMPT: { a: 1 }, ANSWER: { b: 1 } }]);
+		await t.send({ a: 2 });
+
+		await t.send({ a: 3 }, { enableGrounding: true });
+
+		const calls = t.genAIClient.models.generateContent.mock.calls.map(c => c[0]);
+		expect(calls[1].config.tools).toEqual([{ googleSearch: {} }]);
+		expect(calls[1].contents).toHaveLength(5);
+		expect(t.getHistory()).toHaveLength(6);
+		expect((await store.load('g')).history).toHaveLength(6);
+
+		await t.send({ a: 4 });
+		const third = t.genAIClient.models.generateContent.mock.calls[2][0];
+		expect(third.config.tools).toBeUndefined();
+		expect(third.contents).toHaveLength(7);
+	});
+
+	it('RagAgent rebuilds its context and keeps the restored conversation', async () => {
+		const store = new MemorySessionStore();
+		const opts = { ...KEY, sessionStore: store, sessionId: 'r', localData: [{ name: 'users', data: [{ id: 1 }] }] };
+
+		const first = new RagAgent(opts);
+		stubModel(first);
+		await first.chat('who?');
+
+		const second = new RagAgent({ ...opts, localData: [{ name: 'users', data: [{ id: 2 }] }] });
+		await second.init();
+		const history = second.getHistory();
+		expect(history).toHaveLength(4);
+		expect(history[0].parts[0].text).toContain('"id": 2');
+		expect(history[2].parts[0].text).toBe('who?');
+	});
+
+	it('logs instead of throwing when a save fails', async () => {
+		const store = { load: async () => null, save: jest.fn(async () => { throw new Error('disk full'); }) };
+		const chat = new Chat({ ...KEY, sessionStore: store, sessionId: 'x' });
+		stubModel(chat);
+		await expect(chat.send('hi')).resolves.toMatchObject({ text: 'reply-1' });
+		expect(store.save).toHaveBeenCalled();
+	});
+});
@@ -0,0 +1,150 @@
+/**
+ * @fileoverview Offline tests for the `telemetry` option (OpenTelemetry spans and metrics).
+ * A fake tracer tracks the active span with AsyncLocalStorage (as the OTel SDK
+ * does) so parent/child links can be checked.
+ */
+
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { Message, ToolAgent, RagAgent, Telemetry, MockGeminiClient, computeCost } from '../index.js';
+
+const QUIET = { logLevel: 'silent' };
+
+function fakeOtel() {
+	const spans = [];
+	const active = new AsyncLocalStorage();
+	const metrics = [];
+	const startSpan = (name, opts = {}) => {
+		const span = {
+			name, kind: opts.kind, parent: active.getStore() || null,
+			attributes: { ...opts.attributes }, exceptions: [], status: null, ended: false,
+			setAttribute(k, v) { this.attributes[k] = v; },
+			setAttributes(a) { Object.assign(this.attributes, a); },
+			recordException(e) { this.exceptions.push(e); },
+			setStatus(s) { this.status = s; },
+			end() { this.ended = true; }
+		};
+		spans.push(span);
+		return span;
+	};
+	const tracer = {
+		startSpan,
+		startActiveSpan: (name, opts, fn) => {
+			const span = startSpan(name, opts);
+			return active.run(span, () => fn(span));
+		}
+	};
+	const instrument = (kind) => (name) => ({
+		record: (value, attributes) => metrics.push({ kind, name, value, attributes }),
+		add: (value, attributes) => metrics.push({ kind, name, value, attributes })
+	});
+	const meter = { createHistogram: instrument('histogram'), createCounter: instrument('counter') };
+	return { tracer, meter, spans, metrics };
+}
+
+describe('telemetry', () => {
+
+	it('creates a CLIENT span per model call with GenAI attributes, and records metrics', async () => {
+		const otel = fakeOtel();
+		const client = new MockGeminiClient().respond({ text: 'hi', modelVersion: 'gemini-2.5-flash-001', usage: { promptTokens: 1000, responseTokens: 200, thoughtsTokens: 50 } });
+		const msg = new Message({ ...QUIET, client, modelName: 'gemini-2.5-flash', temperature: 0.2, labels: { team: 'search' }, telemetry: otel });
+
+		await msg.send('hello');
+
+		expect(otel.spans).toHaveLength(1);
+		const [span] = otel.spans;
+		expect(span).toMatchObject({ name: 'generate_content gemini-2.5-flash', kind: 2, ended: true, status: null });
+		expect(span.attributes).toMatchObject({
+			'gen_ai.operation.name': 'generate_content',
+			'gen_ai.provider.name': 'gcp.gemini',
+			'gen_ai.request.model': 'gemini-2.5-flash',
+			'gen_ai.request.temperature': 0.2,
+			'gen_ai.response.model': 'gemini-2.5-flash-001',
+			'gen_ai.response.finish_reasons': ['STOP'],
+			'gen_ai.usage.input_tokens': 1000,
+			'gen_ai.usage.output_tokens': 250,
+			'ak_gemini.class': 'Message',
+			'ak_gemini.label.team': 'search'
+		});
+		expect(span.attributes['ak_gemini.cost_usd']).toBeCloseTo(computeCost('gemini-2.5-flash', 1000, 200, 50), 12);
+
+		const names = otel.metrics.map(m => `${m.name}:${m.attributes['gen_ai.token.type'] || ''}`);
+		expect(names).toEqual([
+			'gen_ai.client.operation.duration:',
+			'gen_ai.client.token.usage:input', 'gen_ai.client.token.usage:output',
+			'ak_gemini.client.tokens:input', 'ak_gemini.client.tokens:output',
+			'ak_gemini.client.cost:'
+		]);
+		expect(otel.metrics[0].attributes).toMatchObject({ 'gen_ai.request.model': 'gemini-2.5-flash', 'gen_ai.response.model': 'gemini-2.5-flash-001' });
+	});
+
+	it('marks failed calls as errors', async () => {
+		const otel = fakeOtel();
+		const client = new MockGeminiClient().fail(400, 'bad request');
+		const msg = new Message({ ...QUIET, client, telemetry: otel });
+
+		await expect(msg.send('x')).rejects.toThrow('bad request');
+
+		const [span] = otel.spans;
+		expect(span.status).toMatchObject({ code: 2, message: 'bad request' });
+		expect(span.attributes['error.type']).toBe('400');
+		expect(span.exceptions).toHaveLength(1);
+		expect(span.ended).toBe(true);
+		expect(otel.metrics).toEqual([expect.objectContaining({ name: 'gen_ai.client.operation.duration', attributes: expect.objectContaining({ 'error.type': '400' }) })]);
+	});
+
+	it('traces each ToolAgent tool execution, including failures', async () => {
+		const otel = fakeOtel();
+		const client = new MockGeminiClient().respond(
+			{ functionCalls: [{ name: 'lookup', args: { id: 1 } }, { name: 'broken', args: {} }] },
+			'done'
+		);
+		const tools = ['lookup', 'broken'].map(name => ({ name, description: name, parametersJsonSchema: { type: 'object', properties: {} } }));
+		const agent = new ToolAgent({
+			...QUIET, client, tools, modelName: 'gemini-2.5-flash', telemetry: otel,
+			toolExecutor: async (name) => {
+				if (name === 'broken') throw new Error('tool blew up');
+				return { ok: true };
+			}
+		});
+
+		await otel.tracer.startActiveSpan('handle request', {}, () => agent.chat('go'));
+
+		const [request, ...spans] = otel.spans;
+		expect(spans.map(s => s.name)).toEqual(['generate_content gemini-2.5-flash', 'execute_tool lookup', 'execute_tool broken', 'generate_content gemini-2.5-flash']);
+		expect(spans.every(s => s.parent === request)).toBe(true);
+		const [, lookup, broken] = spans;
+		expect(lookup).toMatchObject({ kind: 0, ended: true, status: null, attributes: { 'gen_ai.tool.name': 'lookup', 'ak_gemini.class': 'ToolAgent' } });
+		expect(broken.status).toMatchObject({ code: 2, message: 'tool blew up' });
+		const toolMetrics = otel.metrics.filter(m => m.name === 'ak_gemini.tool.duration');
+		expect(toolMetrics.map(m => m.attributes)).toEqual([{ 'gen_ai.tool.name': 'lookup' }, { 'gen_ai.tool.name': 'broken', 'error.type': 'Error' }]);
+	});
+
+	it('traces RagAgent file uploads and shares one Telemetry across instances', async () => {
+		const dir = await mkdtemp(join(tmpdir(), 'ak-gemini-otel-'));
+		try {
+			const file = join(dir, 'report.pdf');
+			await writeFile(file, '%PDF-1.4');
+			const otel = fakeOtel();
+			const telemetry = new Telemetry(otel);
+			const client = new MockGeminiClient();
+			const rag = new RagAgent({ ...QUIET, client, remoteFiles: [file], telemetry });
+
+			await rag.init();
+
+			expect(rag.telemetry).toBe(telemetry);
+			expect(otel.spans[0]).toMatchObject({ name: 'upload_file', ended: true, attributes: { 'file.name': 'report.pdf', 'ak_gemini.file.mime_type': 'application/pdf' } });
+		} finally {
+			await rm(dir, { recursive: true, force: true });
+		}
+	});
+
+	it('keeps working when @opentelemetry/api is not installed', async () => {
+		const client = new MockGeminiClient().respond('fine');
+		const msg = new Message({ ...QUIET, client, telemetry: true });
+
+		expect((await msg.send('x')).text).toBe('fine');
+	});
+});
@@ -0,0 +1,129 @@
+/**
+ * @fileoverview Offline tests for Transformer.transformFile() (JSONL in/out with checkpoints).
+ * MockGeminiClient echoes each payload back, so outputs are predictable.
+ */
+
+import { mkdtemp, rm, readFile, writeFile, appendFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { jest } from '@jest/globals';
+import { Transformer, MockGeminiClient } from '../index.js';
+
+const QUIET = { logLevel: 'silent' };
+
+/** The last user turn that is a JSON payload (repair prompts aren't). */
+function lastPayload(req) {
+	for (const turn of [...req.contents].reverse()) {
+		try { return JSON.parse(turn.parts[0].text); } catch { /* repair prompt */ }
+	}
+}
+
+/** Answers with `{ id, doubled }` for each payload; ids in `bad` always get a non-JSON answer. */
+function echoClient(bad = []) {
+	return new MockGeminiClient({
+		defaultResponse: (req) => {
+			const { id } = lastPayload(req);
+			const text = bad.includes(id) ? 'not json' : JSON.stringify({ id, doubled: id * 2 });
+			return { text, usage: { promptTokens: 10, responseTokens: 5 } };
+		}
+	});
+}
+
+async function makeTransformer(client) {
+	const t = new Transformer({ ...QUIET, client, maxRetries: 1, retryDelay: 1, modelName: 'gemini-2.5-flash' });
+	await t.init();
+	await t.seed([{ INPUT: { id: 0 }, OUTPUT: { id: 0, doubled: 0 } }]);
+	return t;
+}
+
+const readJSONL = async (file) => (await readFile(file, 'utf8')).split('\n').filter(Boolean).map(l => JSON.parse(l));
+
+describe('Transformer.transformFile', () => {
+	let dir, input, output;
+	beforeEach(async () => {
+		dir = await mkdtemp(join(tmpdir(), 'ak-gemini-tfile-'));
+		input = join(dir, 'in.jsonl');
+		output = join(dir, 'out.jsonl');
+	});
+	afterEach(async () => { await rm(dir, { recursive: true, force: true }); });
+
+	const rows = (n) => Array.from({ length: n }, (_, i) => JSON.stringify({ id: i + 1 })).join('\n') + '\n';
+
+	it('streams rows through in order, writing failures and a checkpoint beside the output', async () => {
+		await writeFile(input, rows(3) + '\n{broken\n' + JSON.stringify({ id: 4 }) + '\n');
+		const t = await makeTransformer(echoClient([2]));
+
+		const result = await t.transformFile(input, output, { checkpointEvery: 2 });
+
+		expect(await readJSONL(output)).toEqual([{ id: 1, doubled: 2 }, { id: 3, doubled: 6 }, { id: 4, doubled: 8 }]);
+		const errors = await readJSONL(join(dir, 'out.errors.jsonl'));
+		expect(errors.map(e => e.line)).toEqual([2, 5]);
+		expect(errors[0]).toMatchObject({ input: { id: 2 }, attempts: 2 });
+		expect(errors[1].error).toMatch(/Invalid JSON on line 5/);
+
+		expect(result).toMatchObject({ resumedFrom: 0, processed: 5, succeeded: 3, failed: 2 });
+		expect(result.usage.promptTokens).toBe(50);
+		expect(result.estimatedCost).toBeGreaterThan(0);
+		const checkpoint = JSON.parse(await readFile(join(dir, 'out.checkpoint.json'), 'utf8'));
+		expect(checkpoint).toMatchObject({ completed: true, rowsDone: 6, succeeded: 3, failed: 2, input });
+		expect(t.getLastUsage().promptTokens).toBe(50);
+	});
+
+	it('resumes after a crash, dropping rows written past the last checkpoint', async () => {
+		await writeFile(input, rows(6));
+		const client = echoClient();
+		const t = await makeTransformer(client);
+		const realBatch = t.transformBatch.bind(t);
+		const seen = [];
+		jest.spyOn(t, 'transformBatch')
+			.mockImplementationOnce(realBatch)
+			.mockImplementationOnce(async () => { throw new Error('process killed'); });
+
+		await expect(t.transformFile(input, output, { checkpointEvery: 2, onCheckpoint: (c) => seen.push(c.rowsDone) })).rejects.toThrow('process killed');
+		expect(seen).toEqual([2]);
+		await appendFile(output, '{"half-written":');
+
+		const resumed = await (await makeTransformer(client)).transformFile(input, output, { checkpointEvery: 2 });
+
+		expect(resumed).toMatchObject({ resumedFrom: 2, processed: 4, succeeded: 6, failed: 0 });
+		expect((await readJSONL(output)).map(r => r.id)).toEqual([1, 2, 3, 4, 5, 6]);
+		expect(resumed.usage.promptTokens).toBe(60);
+		expect(client.requests()).toHaveLength(6);
+	});
+
+	it('picks up rows appended since a completed run, or starts over with restart', async () => {
+		await writeFile(input, rows(2));
+		const client = echoClient();
+		await (await makeTransformer(client)).transformFile(input, output);
+		await appendFile(input, JSON.stringify({ id: 3 }) + '\n');
+
+		const more = await (await makeTransformer(client)).transformFile(input, output);
+		expect(more).toMatchObject({ resumedFrom: 2, processed: 1, succeeded: 3 });
+		expect(client.requests()).toHaveLength(3);
+
+		const again = await (await makeTransformer(client)).transformFile(input, output, { restart: true });
+		expect(again).toMatchObject({ resumedFrom: 0, processed: 3, succeeded: 3 });
+		expect(await readJSONL(output)).toHaveLength(3);
+	});
+
+	it('reports a null cost when the model is unpriced', async () => {
+		await writeFile(input, rows(2));
+		const t = new Transformer({ ...QUIET, client: echoClient(), modelName: 'my-tuned-model' });
+		await t.init();
+
+		const result = await t.transformFile(input, output);
+
+		expect(result).toMatchObject({ succeeded: 2, estimatedCost: null });
+		expect(JSON.parse(await readFile(join(dir, 'out.checkpoint.json'), 'utf8'))).toMatchObject({ estimatedCost: null, unpriced: true });
+	});
+
+	it('refuses a checkpoint from a different input', async () => {
+		await writeFile(input, rows(1));
+		const other = join(dir, 'other.jsonl');
+		await writeFile(other, rows(1));
+		const t = await makeTransformer(echoClient());
+		await t.transformFile(input, output);
+
+		await expect(t.transformFile(other, output)).rejects.toThrow(/belongs to .*in\.jsonl/);
+	});
+});
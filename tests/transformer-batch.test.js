@@ -0,0 +1,128 @@
+/**
+ * @fileoverview Offline (mocked) tests for Transformer.transformBatch().
+ * The SDK's models.generateContent is stubbed on the instance — no API calls.
+ */
+
+import { jest } from '@jest/globals';
+import { Transformer } from '../index.js';
+
+const KEY = { apiKey: 'test-key', logLevel: 'silent', retryDelay: 1 };
+
+function fakeResponse(text, prompt = 100, candidates = 50) {
+	return {
+		text,
+		modelVersion: 'gemini-2.5-flash',
+		usageMetadata: { promptTokenCount: prompt, candidatesTokenCount: candidates, totalTokenCount: prompt + candidates }
+	};
+}
+
+/** Last user turn's text — the payload (or repair prompt) of this call. */
+function lastUserText(contents) {
+	return contents[contents.length - 1].parts[0].text;
+}
+
+async function seeded(options = {}) {
+	const t = new Transformer({ ...KEY, modelName: 'gemini-2.5-flash', ...options });
+	await t.seed([{ PROMPT: { name: 'Alice' }, ANSWER: { greeting: 'Hello, Alice' } }]);
+	return t;
+}
+
+describe('Transformer.transformBatch()', () => {
+
+	it('returns per-item results in input order with the seeded examples in every call', async () => {
+		const t = await seeded();
+		const generateContent = jest.fn(async ({ contents }) => {
+			const { name } = JSON.parse(lastUserText(contents));
+			await new Promise(r => setTimeout(r, name === 'Bob' ? 20 : 1));
+			return fakeResponse(JSON.stringify({ data: { greeting: `Hello, ${name}` } }));
+		});
+		t.genAIClient.models.generateContent = generateContent;
+
+		const { results, summary } = await t.transformBatch([{ name: 'Bob' }, { name: 'Cara' }], { concurrency: 2 });
+
+		expect(results.map(r => r.data.greeting)).toEqual(['Hello, Bob', 'Hello, Cara']);
+		expect(results.every(r => r.ok && r.attempts === 1)).toBe(true);
+		expect(generateContent.mock.calls[0][0].contents).toHaveLength(3); // example pair + payload
+		expect(summary).toMatchObject({ total: 2, succeeded: 2, failed: 0, promptTokens: 200, responseTokens: 100 });
+	});
+
+	it('does not touch the chat history', async () => {
+		const t = await seeded();
+		t.genAIClient.models.generateContent = jest.fn(async () => fakeResponse('{"ok":true}'));
+		await t.transformBatch(['a', 'b', 'c']);
+		expect(t.getHistory()).toHaveLength(2);
+	});
+
+	it('keeps going after an item fails and reports the error', async () => {
+		const t = await seeded({ maxRetries: 1 });
+		t.genAIClient.models.generateContent = jest.fn(async ({ contents }) => {
+			const text = lastUserText(contents);
+			if (text.includes('bad') || text.includes('BAD PAYLOAD')) return fakeResponse('not json at all');
+			return fakeResponse('{"fine":1}');
+		});
+
+		const { results, summary } = await t.transformBatch(['good', 'bad', 'good again']);
+
+		expect(results[0].ok).toBe(true);
+		expect(results[1]).toMatchObject({ ok: false, data: null, attempts: 2 });
+		expect(results[1].error).toMatch(/Could not extract valid JSON/);
+		expect(results[1].usage.totalTokens).toBe(300); // both attempts counted
+		expect(results[2].ok).toBe(true);
+		expect(summary.failed).toBe(1);
+	});
+
+	it('retries validation failures with the repair prompt', async () => {
+		const t = await seeded();
+		const generateContent = jest.fn()
+			.mockResolvedValueOnce(fakeResponse('{"data":{"n":1}}'))
+			.mockResolvedValueOnce(fakeResponse('{"data":{"n":2}}'));
+		t.genAIClient.models.generateContent = generateContent;
+
+		const { results } = await t.transformBatch([{ x: 1 }], {}, async (out) => {
+			if (out.n < 2) throw new Error('n must be >= 2');
+		});
+
+		expect(results[0]).toMatchObject({ ok: true, data: { n: 2 }, attempts: 2 });
+		const retryText = lastUserText(generateContent.mock.calls[1][0].contents);
+		expect(retryText).toContain('n must be >= 2');
+	});
+
+	it('reports progress and totals cost via computeCost', async () => {
+		const t = await seeded();
+		t.genAIClient.models.generateContent = jest.fn(async () => fakeResponse('{"a":1}', 1_000_000, 0));
+		const progress = [];
+
+		const { summary } = await t.transformBatch([1, 2], { concurrency: 1, onProgress: (p) => progress.push(p.completed) });
+
+		expect(progress).toEqual([1, 2]);
+		// gemini-2.5-flash input is $0.30/M
+		expect(summary.estimatedCost).toBeCloseTo(0.60, 5);
+	});
+
+	it('runs stateful batches sequentially through send()', async () => {
+		const t = await seeded();
+		t.chatSession.sendMessage = jest.fn(async () => fakeResponse('{"data":{"ok":true}}'));
+
+		const { results } = await t.transformBatch(['x', 'y'], { stateless: false, concurrency: 4 });
+
+		expect(results.map(r => r.ok)).toEqual([true, true]);
+		expect(t.chatSession.sendMessage).toHaveBeenCalledTimes(2);
+	});
+
+	it('rejects a concurrency that would start no workers', async () => {
+		const t = await seeded();
+		const generateContent = jest.fn(async () => fakeResponse('{"greeting":"hi"}'));
+		t.genAIClient.models.generateContent = generateContent;
+
+		for (const concurrency of [0, -2, NaN, 1.5]) {
+			await expect(t.transformBatch([{ name: 'Bob' }], { concurrency })).rejects.toThrow(/concurrency must be a positive integer/);
+		}
+		expect(generateContent).not.toHaveBeenCalled();
+		expect((await t.transformBatch([{ name: 'Bob' }], { concurrency: Infinity })).summary.succeeded).toBe(1);
+	});
+
+	it('requires init()', async () => {
+		const t = new Transformer({ ...KEY });
+		await expect(t.transformBatch([1])).rejects.toThrow(/not initialized/);
+	});
+});
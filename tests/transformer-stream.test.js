@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Offline (mocked) tests for Transformer.stream().
+ * The chat session's sendMessageStream/sendMessage are stubbed — no API calls.
+ */
+
+import { jest } from '@jest/globals';
+import { Transformer } from '../index.js';
+
+const KEY = { apiKey: 'test-key', logLevel: 'silent', retryDelay: 1, modelName: 'gemini-2.5-flash' };
+
+/** Splits text into stream chunks; the last chunk carries usage like the real API. */
+function fakeStream(pieces, prompt = 100, candidates = 50) {
+	return (async function* () {
+		for (let i = 0; i < pieces.length; i++) {
+			const chunk = { candidates: [{ content: { parts: [{ text: pieces[i] }] } }] };
+			if (i === pieces.length - 1) {
+				chunk.modelVersion = 'gemini-2.5-flash';
+				chunk.usageMetadata = { promptTokenCount: prompt, candidatesTokenCount: candidates, totalTokenCount: prompt + candidates };
+			}
+			yield chunk;
+		}
+	})();
+}
+
+async function collect(gen) {
+	const events = [];
+	for await (const e of gen) events.push(e);
+	return events;
+}
+
+async function seeded(options = {}) {
+	const t = new Transformer({ ...KEY, ...options });
+	await t.init();
+	return t;
+}
+
+describe('Transformer.stream()', () => {
+
+	it('yields growing partial objects, then the final result', async () => {
+		const t = await seeded();
+		t.chatSession.sendMessageStream = jest.fn(async () => fakeStream(['{"data": {"name": "Al', 'ice", "tags": ["a", ', '"b"]}}']));
+
+		const events = await collect(t.stream({ name: 'alice' }));
+		const partials = events.filter(e => e.type === 'partial').map(e => e.data);
+		const done = events[events.length - 1];
+
+		expect(partials[0]).toEqual({ name: 'Al' });
+		expect(partials).toContainEqual({ name: 'Alice' });
+		expect(done.type).toBe('done');
+		expect(done.data).toEqual({ name: 'Alice', tags: ['a', 'b'] });
+		expect(done.usage.totalTokens).toBe(150);
+	});
+
+	it('does not repeat an unchanged partial', async () => {
+		const t = await seeded();
+		t.chatSession.sendMessageStream = jest.fn(async () => fakeStream(['{"a": 1', ' ', '}']));
+		const events = await collect(t.stream('x'));
+		expect(events.filter(e => e.type === 'partial')).toHaveLength(1);
+	});
+
+	it('runs the validator on the final object and repairs it via rebuild()', async () => {
+		const t = await seeded();
+		t.chatSession.sendMessageStream = jest.fn(async () => fakeStream(['{"n": 1}']));
+		t.chatSession.sendMessage = jest.fn(async () => ({
+			text: '{"n": 2}',
+			usageMetadata: { promptTokenCount: 10, candidatesTokenCount: 5, totalTokenCount: 15 }
+		}));
+
+		const events = await collect(t.stream('x', {}, async (out) => {
+			if (out.n < 2) throw new Error('n too small');
+		}));
+
+		expect(events.map(e => e.type)).toEqual(['partial', 'retry', 'done']);
+		expect(events[1]).toMatchObject({ attempt: 1, error: 'n too small' });
+		expect(events[2].data).toEqual({ n: 2 });
+		expect(events[2].usage).toMatchObject({ totalTokens: 165, attempts: 2 });
+		expect(t.chatSession.sendMessage.mock.calls[0][0].message).toContain('n too small');
+	});
+
+	it('throws after exhausting retries', async () => {
+		const t = await seeded({ maxRetries: 1 });
+		t.chatSession.sendMessageStream = jest.fn(async () => fakeStream(['nope']));
+		t.chatSession.sendMessage = jest.fn(async () => ({ text: 'still nope' }));
+		await expect(collect(t.stream('x'))).rejects.toThrow(/Transformation failed after 2 attempts/);
+	});
+});
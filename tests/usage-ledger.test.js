@@ -0,0 +1,111 @@
+/**
+ * @fileoverview Offline tests for UsageLedger and the `usageLedger` option.
+ */
+
+import { mkdtemp, rm, readFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Chat, Message, Transformer, UsageLedger, MockGeminiClient, computeCost } from '../index.js';
+
+const QUIET = { logLevel: 'silent' };
+const usage = (promptTokens, responseTokens) => ({ text: '{"ok":true}', usage: { promptTokens, responseTokens } });
+
+describe('UsageLedger', () => {
+
+	it('records every call from every instance with its class, model and labels', async () => {
+		const ledger = new UsageLedger();
+		const client = new MockGeminiClient().respond(
+			{ ...usage(1000, 100), modelVersion: 'gemini-2.5-flash-001' },
+			usage(2000, 200),
+			usage(500, 50)
+		);
+		const chat = new Chat({ ...QUIET, client, modelName: 'gemini-2.5-flash', usageLedger: ledger, labels: { team: 'search' } });
+		const msg = new Message({ ...QUIET, client, modelName: 'gemini-2.5-pro', usageLedger: ledger, labels: { team: 'ops' } });
+
+		await chat.send('hi');
+		await msg.send('one');
+		await msg.send('two');
+		await chat.estimate('not recorded');
+
+		expect(ledger.entries).toHaveLength(3);
+		expect(ledger.entries[0]).toMatchObject({
+			className: 'Chat',
+			method: 'generateContent',
+			model: 'gemini-2.5-flash-001',
+			requestedModel: 'gemini-2.5-flash',
+			labels: { team: 'search' },
+			promptTokens: 1000,
+			responseTokens: 100,
+			estimatedCost: computeCost('gemini-2.5-flash', 1000, 100)
+		});
+		expect(Date.parse(ledger.entries[0].timestamp)).not.toBeNaN();
+		expect(ledger.entries[1]).toMatchObject({ className: 'Message', model: 'gemini-2.5-pro', labels: { team: 'ops' } });
+	});
+
+	it('summarizes by label and model, highest cost first', async () => {
+		const ledger = new UsageLedger();
+		ledger.record({ model: 'gemini-2.5-pro', labels: { team: 'ops' }, promptTokens: 1_000_000 });
+		ledger.record({ model: 'gemini-2.5-flash', labels: { team: 'search' }, promptTokens: 1_000_000 });
+		ledger.record({ model: 'gemini-2.5-flash', labels: { team: 'search' }, promptTokens: 1_000_000 });
+		ledger.record({ model: 'unpriced-model', promptTokens: 10 });
+
+		const rows = ledger.summary({ groupBy: ['label.team', 'model'] });
+
+		expect(rows.map(r => [r['label.team'], r.model, r.calls])).toEqual([
+			['ops', 'gemini-2.5-pro', 1],
+			['search', 'gemini-2.5-flash', 2],
+			[null, 'unpriced-model', 1]
+		]);
+		expect(rows[1].estimatedCost).toBeCloseTo(computeCost('gemini-2.5-flash', 2_000_000, 0), 10);
+		expect(rows[2]).toMatchObject({ estimatedCost: 0, unpricedCalls: 1 });
+
+		const [total] = ledger.summary();
+		expect(total).toMatchObject({ calls: 4, promptTokens: 3_000_010 });
+		expect(() => ledger.summary({ groupBy: /** @type {any} */ ('team') })).toThrow(/Unknown groupBy key "team"/);
+	});
+
+	it('filters by time window and groups by day', () => {
+		const ledger = new UsageLedger();
+		ledger.record({ model: 'gemini-2.5-flash', timestamp: '2026-10-01T23:59:00.000Z', promptTokens: 1 });
+		ledger.record({ model: 'gemini-2.5-flash', timestamp: '2026-10-02T00:01:00.000Z', promptTokens: 2 });
+		ledger.record({ model: 'gemini-2.5-flash', timestamp: '2026-11-01T00:00:00.000Z', promptTokens: 4 });
+
+		const october = ledger.summary({ groupBy: 'day', since: '2026-10-01', until: '2026-11-01' });
+		expect(october.map(r => [r.day, r.promptTokens]).sort()).toEqual([['2026-10-01', 1], ['2026-10-02', 2]]);
+	});
+
+	it('exports CSV with a column per label, and round-trips JSON through save()', async () => {
+		const ledger = new UsageLedger();
+		ledger.record({ model: 'gemini-2.5-flash', className: 'Transformer', labels: { team: 'a,b' }, timestamp: '2026-10-01T00:00:00.000Z', promptTokens: 10, responseTokens: 5 });
+		ledger.record({ model: 'gemini-2.5-flash', className: 'Chat', labels: { env: 'prod' }, timestamp: '2026-10-01T00:00:01.000Z' });
+
+		const lines = ledger.toCSV().trim().split('\n');
+		expect(lines[0]).toBe('timestamp,className,method,model,requestedModel,promptTokens,responseTokens,thoughtsTokens,totalTokens,estimatedCost,label.env,label.team');
+		expect(lines[1]).toMatch(/^2026-10-01T00:00:00.000Z,Transformer,generateContent,gemini-2.5-flash,gemini-2.5-flash,10,5,0,15,[\d.e-]+,,"a,b"$/);
+		expect(ledger.toCSV({ groupBy: 'className' }).split('\n')[0]).toBe('className,calls,promptTokens,responseTokens,thoughtsTokens,totalTokens,estimatedCost,unpricedCalls');
+
+		const dir = await mkdtemp(join(tmpdir(), 'ak-gemini-ledger-'));
+		try {
+			const file = await ledger.save(join(dir, 'nested', 'usage.json'));
+			const restored = UsageLedger.fromJSON(await readFile(file, 'utf8'));
+			expect(restored.entries).toEqual(ledger.entries);
+			await ledger.save(join(dir, 'usage.csv'));
+			expect(await readFile(join(dir, 'usage.csv'), 'utf8')).toBe(ledger.toCSV());
+		} finally {
+			await rm(dir, { recursive: true, force: true });
+		}
+	});
+
+	it('reports batch items individually and calls onRecord for each entry', async () => {
+		const seen = [];
+		const ledger = new UsageLedger({ onRecord: (e) => seen.push(e.className) });
+		const client = new MockGeminiClient({ defaultResponse: usage(10, 5) });
+		const t = new Transformer({ ...QUIET, client, usageLedger: ledger, labels: { job: 'backfill' } });
+		await t.init();
+
+		await t.transformBatch([{ a: 1 }, { a: 2 }, { a: 3 }]);
+
+		expect(seen).toEqual(['Transformer', 'Transformer', 'Transformer']);
+		expect(ledger.summary({ groupBy: 'label.job' })[0]).toMatchObject({ 'label.job': 'backfill', calls: 3, totalTokens: 45 });
+	});
+});
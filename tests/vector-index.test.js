@@ -0,0 +1,134 @@
+/**
+ * @fileoverview Offline (mocked) tests for VectorIndex.
+ * The Embedding client's embedContent is stubbed with keyword-count vectors.
+ */
+
+import { jest } from '@jest/globals';
+import { mkdtemp, rm, readFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Embedding, VectorIndex } from '../index.js';
+
+const TOPICS = ['cat', 'dog', 'fish'];
+
+function embedder(modelName) {
+	const e = new Embedding({ apiKey: 'test-key', logLevel: 'silent', ...(modelName && { modelName }) });
+	e.genAIClient.models.embedContent = jest.fn(async ({ contents }) => ({
+		embeddings: [].concat(contents).map(text => ({ values: [...TOPICS.map(t => text.split(t).length - 1), 0.01] }))
+	}));
+	return e;
+}
+
+const embedCalls = (e) => e.genAIClient.models.embedContent.mock.calls.map(c => c[0]);
+
+describe('VectorIndex', () => {
+	let dir;
+	beforeEach(async () => { dir = await mkdtemp(join(tmpdir(), 'ak-gemini-index-')); });
+	afterEach(async () => { await rm(dir, { recursive: true, force: true }); });
+
+	it('adds documents and queries by text with RETRIEVAL_QUERY', async () => {
+		const e = embedder();
+		const index = new VectorIndex({ embedder: e });
+		await index.addMany([
+			{ id: 'a', text: 'a cat and another cat', metadata: { kind: 'pet' } },
+			{ id: 'b', text: 'a dog', metadata: { kind: 'pet' } },
+			{ id: 'c', text: 'a fish', metadata: { kind: 'food' } }
+		]);
+
+		const hits = await index.query('dog', 2);
+
+		expect(hits[0]).toMatchObject({ id: 'b', text: 'a dog', metadata: { kind: 'pet' } });
+		expect(hits).toHaveLength(2);
+		expect(embedCalls(e)[0].config.taskType).toBe('RETRIEVAL_DOCUMENT');
+		expect(embedCalls(e)[1]).toMatchObject({ contents: 'dog', config: { taskType: 'RETRIEVAL_QUERY' } });
+	});
+
+	it('filters by metadata object or predicate', async () => {
+		const index = new VectorIndex({ embedder: embedder() });
+		await index.addMany([
+			{ id: 'a', text: 'cat', metadata: { kind: 'pet' } },
+			{ id: 'c', text: 'fish', metadata: { kind: 'food' } }
+		]);
+
+		expect((await index.query('cat', 5, { kind: 'food' })).map(h => h.id)).toEqual(['c']);
+		expect((await index.query('cat', 5, (meta, id) => id !== 'a')).map(h => h.id)).toEqual(['c']);
+	});
+
+	it('re-embeds only new or changed documents', async () => {
+		const e = embedder();
+		const index = new VectorIndex({ embedder: e });
+		await index.addMany([{ id: 'a', text: 'cat' }, { id: 'b', text: 'dog' }]);
+
+		const stats = await index.sync([
+			{ id: 'a', text: 'cat', metadata: { v: 2 } },
+			{ id: 'b', text: 'dog dog' },
+			{ id: 'n', text: 'fish' }
+		]);
+
+		expect(stats).toEqual({ added: 1, updated: 1, unchanged: 1, removed: 0 });
+		expect(embedCalls(e)[1].contents).toEqual(['dog dog', 'fish']);
+		expect(index.get('a').metadata).toEqual({ v: 2 });
+		expect(await index.add('a', 'cat')).toBe('unchanged');
+	});
+
+	it('re-embeds unchanged text when the embedding config changes', async () => {
+		const path = join(dir, 'index.json');
+		const first = new VectorIndex({ embedder: embedder(), path });
+		await first.add('a', 'cat');
+		await first.save();
+
+		const e = embedder();
+		e.outputDimensionality = 768;
+		const resized = await new VectorIndex({ embedder: e, path }).load();
+		expect(await resized.add('a', 'cat')).toBe('updated');
+		expect(embedCalls(e)[0].config).toEqual({ taskType: 'RETRIEVAL_DOCUMENT', outputDimensionality: 768 });
+
+		const titled = new Embedding({ apiKey: 'test-key', logLevel: 'silent', title: 'Handbook' });
+		titled.genAIClient.models.embedContent = e.genAIClient.models.embedContent;
+		expect(await new VectorIndex({ embedder: titled, path }).load().then(i => i.add('a', 'cat'))).toBe('updated');
+	});
+
+	it('sync removes documents that are gone', async () => {
+		const index = new VectorIndex({ embedder: embedder() });
+		await index.addMany([{ id: 'a', text: 'cat' }, { id: 'b', text: 'dog' }]);
+		const stats = await index.sync([{ id: 'b', text: 'dog' }]);
+		expect(stats.removed).toBe(1);
+		expect(index.has('a')).toBe(false);
+		expect(index.remove('missing')).toBe(false);
+	});
+
+	it('saves and loads, then skips unchanged documents', async () => {
+		const path = join(dir, 'nested', 'index.json');
+		const first = new VectorIndex({ embedder: embedder(), path });
+		await first.addMany([{ id: 'a', text: 'cat', metadata: { n: 1 } }]);
+		await first.save();
+		expect(JSON.parse(await readFile(path, 'utf-8'))).toMatchObject({ version: 1, model: 'gemini-embedding-001', dimensions: 4 });
+
+		const e = embedder();
+		const second = await new VectorIndex({ embedder: e, path }).load();
+		expect(second.get('a')).toMatchObject({ text: 'cat', metadata: { n: 1 } });
+		expect(await second.add('a', 'cat', { n: 1 })).toBe('unchanged');
+		expect(e.genAIClient.models.embedContent).not.toHaveBeenCalled();
+
+		// A different embedding model invalidates the hashes
+		const other = await new VectorIndex({ embedder: embedder('text-embedding-005'), path }).load();
+		expect(await other.add('a', 'cat')).toBe('updated');
+	});
+
+	it('loads a missing file as an empty index', async () => {
+		const index = await new VectorIndex({ path: join(dir, 'nope.json') }).load();
+		expect(index.size).toBe(0);
+		expect(await index.query([1, 0], 3)).toEqual([]);
+	});
+
+	it('accepts precomputed vectors without an embedder and checks dimensions', async () => {
+		const index = new VectorIndex();
+		await index.add('x', [1, 0]);
+		await index.add('y', [0, 1]);
+
+		expect((await index.query([0.9, 0.1], 1))[0].id).toBe('x');
+		await expect(index.add('z', [1, 0, 0])).rejects.toThrow(/dimensions/);
+		await expect(index.add('t', 'text')).rejects.toThrow(/embedder is required/);
+		await expect(index.query('text')).rejects.toThrow(/embedder is required/);
+	});
+});
@@ -4,8 +4,9 @@
  * and non-streaming conversations.
  */
 
-import BaseGemini from './base.js';
+import BaseGemini, { runWithConcurrency } from './base.js';
 import log from './logger.js';
+import { ToolExecutionError } from './errors.js';
 
 /**
  * @typedef {import('./types').ToolAgentOptions} ToolAgentOptions
@@ -13,31 +14,6 @@ import log from './logger.js';
  * @typedef {import('./types').AgentStreamEvent} AgentStreamEvent
  */
 
-/**
- * Execute async task factories with a concurrency limit.
- * @param {Array<() => Promise<any>>} tasks
- * @param {number} concurrency - Infinity for unlimited, 1 for sequential
- * @returns {Promise<any[]>} Results in same order as tasks
- */
-async function runWithConcurrency(tasks, concurrency) {
-	if (concurrency === Infinity) return Promise.all(tasks.map(t => t()));
-	if (concurrency === 1) {
-		const results = [];
-		for (const t of tasks) results.push(await t());
-		return results;
-	}
-	const results = new Array(tasks.length);
-	let next = 0;
-	async function worker() {
-		while (next < tasks.length) {
-			const i = next++;
-			results[i] = await tasks[i]();
-		}
-	}
-	await Promise.all(Array.from({ length: Math.min(concurrency, tasks.length) }, () => worker()));
-	return results;
-}
-
 /**
  * AI agent that uses user-provided tools to accomplish tasks.
  * Automatically manages the tool-use loop: when the model decides to call
@@ -63,9 +39,9 @@ async function runWithConcurrency(tasks, concurrency) {
  *       }
  *     }
  *   ],
- *   toolExecutor: async (toolName, args) => {
+ *   toolExecutor: async (toolName, args, { signal }) => {
  *     if (toolName === 'http_get') {
- *       const res = await fetch(args.url);
+ *       const res = await fetch(args.url, { signal });
  *       return { status: res.status, body: await res.text() };
  *     }
  *     throw new Error(`Unknown tool: ${toolName}`);
@@ -86,6 +62,11 @@ class ToolAgent extends BaseGemini {
 			options = { ...options, systemPrompt: 'You are a helpful AI assistant.' };
 		}
 
+		// A person is usually waiting on an agent turn
+		if (options.rateLimitPriority === undefined) {
+			options = { ...options, rateLimitPriority: 'interactive' };
+		}
+
 		super(options);
 
 		// ── Tools ──
@@ -132,83 +113,92 @@ class ToolAgent extends BaseGemini {
 	 * @param {string} message - The user's message
 	 * @param {Object} [opts={}] - Per-message options
 	 * @param {Record<string, string>} [opts.labels] - Per-message billing labels
+	 * @param {AbortSignal} [opts.signal] - Cancels the call (throws AbortError)
+	 * @param {number} [opts.timeoutMs] - Time limit for the whole call, retries included (throws TimeoutError)
 	 * @returns {Promise<AgentResponse>} Response with text, toolCalls, and usage
 	 */
 	async chat(message, opts = {}) {
-		if (!this.chatSession) await this.init();
-		this._stopped = false;
+		return this._withCallOptions(opts, async () => {
+			if (!this.chatSession) await this.init();
+			await this._manageContext(message);
+			this._stopped = false;
 
-		const allToolCalls = [];
+			const allToolCalls = [];
 
-		let response = await this._withRetry(() => this.chatSession.sendMessage({ message }));
+			let response = await this._withRetry(() => this.chatSession.sendMessage({ message }));
 
-		for (let round = 0; round < this.maxToolRounds; round++) {
-			if (this._stopped) break;
+			for (let round = 0; round < this.maxToolRounds; round++) {
+				if (this._stopped) break;
 
-			const functionCalls = response.functionCalls;
-			if (!functionCalls || functionCalls.length === 0) break;
+				const functionCalls = response.functionCalls;
+				if (!functionCalls || functionCalls.length === 0) break;
 
-			const tasks = functionCalls.map(call => async () => {
-				// Fire onToolCall callback
-				if (this.onToolCall) {
-					try { this.onToolCall(call.name, call.args); }
-					catch (e) { log.warn(`onToolCall callback error: ${e.message}`); }
-				}
+				const tasks = functionCalls.map(call => async () => {
+					// Fire onToolCall callback
+					if (this.onToolCall) {
+						try { this.onToolCall(call.name, call.args); }
+						catch (e) { log.warn(`onToolCall callback error: ${e.message}`); }
+					}
 
-				// Check onBeforeExecution gate
-				if (this.onBeforeExecution) {
-					try {
-						const allowed = await this.onBeforeExecution(call.name, call.args);
-						if (allowed === false) {
-							const result = { error: 'Execution denied by onBeforeExecution callback' };
-							return { id: call.id, name: call.name, args: call.args, result };
+					// Check onBeforeExecution gate
+					if (this.onBeforeExecution) {
+						try {
+							const allowed = await this.onBeforeExecution(call.name, call.args);
+							if (allowed === false) {
+								const result = { error: 'Execution denied by onBeforeExecution callback' };
+								return { id: call.id, name: call.name, args: call.args, result };
+							}
+						} catch (e) {
+							log.warn(`onBeforeExecution callback error: ${e.message}`);
 						}
-					} catch (e) {
-						log.warn(`onBeforeExecution callback error: ${e.message}`);
 					}
-				}
 
-				let result;
-				try {
-					result = await this.toolExecutor(call.name, call.args);
-				} catch (err) {
-					log.warn(`Tool ${call.name} failed: ${err.message}`);
-					result = { error: err.message };
-				}
+					let result;
+					try {
+						result = await this._runTool(call.name, call.args, (signal) => this.toolExecutor(call.name, call.args, { signal }));
+					} catch (err) {
+						// An aborted call isn't a tool failure to report back to the model
+						if (!(err instanceof ToolExecutionError)) throw err;
+						log.warn(`Tool ${call.name} failed: ${err.message}`);
+						result = { error: err.message };
+					}
 
-				return { id: call.id, name: call.name, args: call.args, result };
-			});
+					return { id: call.id, name: call.name, args: call.args, result };
+				});
 
-			const toolResults = await runWithConcurrency(tasks, this._concurrency);
-			for (const r of toolResults) allToolCalls.push({ name: r.name, args: r.args, result: r.result });
+				const toolResults = await runWithConcurrency(tasks, this._concurrency);
+				for (const r of toolResults) allToolCalls.push({ name: r.name, args: r.args, result: r.result });
 
-			// Send function responses back to the model
-			response = await this._withRetry(() => this.chatSession.sendMessage({
-				message: toolResults.map(r => ({
-					functionResponse: {
-						id: r.id,
-						name: r.name,
-						response: { output: r.result }
-					}
-				}))
-			}));
-		}
+				// Send function responses back to the model
+				response = await this._withRetry(() => this.chatSession.sendMessage({
+					message: toolResults.map(r => ({
+						functionResponse: {
+							id: r.id,
+							name: r.name,
+							response: { output: r.result }
+						}
+					}))
+				}));
+			}
 
-		this._captureMetadata(response);
+			this._captureMetadata(response);
 
-		// Set cumulative usage
-		this._cumulativeUsage = {
-			promptTokens: this.lastResponseMetadata.promptTokens,
-			responseTokens: this.lastResponseMetadata.responseTokens,
-			totalTokens: this.lastResponseMetadata.totalTokens,
-			attempts: 1
-		};
+			// Set cumulative usage
+			this._cumulativeUsage = {
+				promptTokens: this.lastResponseMetadata.promptTokens,
+				responseTokens: this.lastResponseMetadata.responseTokens,
+				totalTokens: this.lastResponseMetadata.totalTokens,
+				attempts: 1
+			};
 
-		return {
-			text: response.text || '',
-			toolCalls: allToolCalls,
-			usage: this.getLastUsage()
-		};
+			await this._saveSession();
+
+			return {
+				text: response.text || '',
+				toolCalls: allToolCalls,
+				usage: this.getLastUsage()
+			};
+		});
 	}
 
 	// ── Streaming ────────────────────────────────────────────────────────────
@@ -225,10 +215,24 @@ class ToolAgent extends BaseGemini {
 	 *
 	 * @param {string} message - The user's message
 	 * @param {Object} [opts={}] - Per-message options
+	 * @param {AbortSignal} [opts.signal] - Cancels the call (throws AbortError)
+	 * @param {number} [opts.timeoutMs] - Time limit for the whole call, retries included (throws TimeoutError)
 	 * @yields {AgentStreamEvent}
 	 */
 	async *stream(message, opts = {}) {
+		yield* this._streamWithCallOptions(opts, () => this._stream(message, opts));
+	}
+
+	/**
+	 * stream(), run in the call's scope (see _streamWithCallOptions()).
+	 * @param {string} message
+	 * @param {Object} opts
+	 * @yields {AgentStreamEvent}
+	 * @private
+	 */
+	async *_stream(message, opts) {
 		if (!this.chatSession) await this.init();
+		await this._manageContext(message);
 		this._stopped = false;
 
 		const allToolCalls = [];
@@ -256,6 +260,7 @@ class ToolAgent extends BaseGemini {
 
 			// No tool calls — we're done
 			if (functionCalls.length === 0) {
+				await this._saveSession();
 				yield {
 					type: 'done',
 					fullText,
@@ -293,8 +298,10 @@ class ToolAgent extends BaseGemini {
 						result = { error: 'Execution denied by onBeforeExecution callback' };
 					} else {
 						try {
-							result = await this.toolExecutor(call.name, call.args);
+							result = await this._runTool(call.name, call.args, (signal) => this.toolExecutor(call.name, call.args, { signal }));
 						} catch (err) {
+							// An aborted call isn't a tool failure to report back to the model
+							if (!(err instanceof ToolExecutionError)) throw err;
 							log.warn(`Tool ${call.name} failed: ${err.message}`);
 							result = { error: err.message };
 						}
@@ -332,8 +339,10 @@ class ToolAgent extends BaseGemini {
 						result = { error: 'Execution denied by onBeforeExecution callback' };
 					} else {
 						try {
-							result = await this.toolExecutor(call.name, call.args);
+							result = await this._runTool(call.name, call.args, (signal) => this.toolExecutor(call.name, call.args, { signal }));
 						} catch (err) {
+							// An aborted call isn't a tool failure to report back to the model
+							if (!(err instanceof ToolExecutionError)) throw err;
 							log.warn(`Tool ${call.name} failed: ${err.message}`);
 							result = { error: err.message };
 						}
@@ -363,6 +372,7 @@ class ToolAgent extends BaseGemini {
 		}
 
 		// Max rounds reached or stopped
+		await this._saveSession();
 		yield {
 			type: 'done',
 			fullText,
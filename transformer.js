@@ -3,10 +3,14 @@
  * Extends BaseGemini with validation, retry logic, and structured JSON output.
  */
 
-import BaseGemini from './base.js';
-import { extractJSON, isJSON } from './json-helpers.js';
+import BaseGemini, { sumCostBreakdowns, runWithConcurrency } from './base.js';
+import { extractJSON, attemptJSONRecovery, isJSON } from './json-helpers.js';
 import log from './logger.js';
+import { BudgetExceededError } from './budget.js';
+import { InvalidJSONError, ValidationError, withContext } from './errors.js';
 import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import readline from 'readline';
 import path from 'path';
 
 const DEFAULT_SYSTEM_INSTRUCTIONS = `
@@ -23,11 +27,103 @@ Always respond ONLY with a valid JSON object that strictly adheres to the expect
 Do not include any additional text, explanations, or formatting before or after the JSON object.
 `;
 
+const DEFAULT_BATCH_CONCURRENCY = 5;
+const DEFAULT_CHECKPOINT_EVERY = 100;
+const CHECKPOINT_VERSION = 1;
+
+/**
+ * Path next to the output file: `out.jsonl` → `out.errors.jsonl`, `out.checkpoint.json`.
+ * @param {string} outputPath
+ * @param {string} suffix
+ * @returns {string}
+ */
+function sidecarPath(outputPath, suffix) {
+	const ext = path.extname(outputPath);
+	return path.join(path.dirname(outputPath), `${path.basename(outputPath, ext)}.${suffix}`);
+}
+
+/**
+ * Builds the "fix your last answer" prompt used by rebuild() and stateless batch retries.
+ * @param {*} lastPayload - The payload that failed
+ * @param {string} serverError - The error message
+ * @returns {string}
+ */
+function buildRepairPrompt(lastPayload, serverError) {
+	return `
+The previous JSON payload (below) failed validation.
+The server's error message is quoted afterward.
+
+---------------- BAD PAYLOAD ----------------
+${JSON.stringify(lastPayload, null, 2)}
+
+
+---------------- SERVER ERROR ----------------
+${serverError}
+
+Please return a NEW JSON payload that corrects the issue.
+Respond with JSON only – no comments or explanations.
+`;
+}
+
+/**
+ * Cuts a file back to `bytes`, dropping rows written after the last checkpoint.
+ * @param {string} filePath
+ * @param {number} bytes
+ * @returns {Promise<void>}
+ */
+async function truncateTo(filePath, bytes) {
+	const size = await fs.stat(filePath).then(st => st.size, e => {
+		if (e.code === 'ENOENT') return 0;
+		throw e;
+	});
+	if (size < bytes) {
+		throw new Error(`${filePath} has ${size} bytes but the checkpoint recorded ${bytes}. Pass restart: true to start over.`);
+	}
+	if (size > bytes) await fs.truncate(filePath, bytes);
+	else if (size === 0) await fs.writeFile(filePath, '');
+}
+
+/**
+ * Sums per-attempt usage into one UsageData (tokens and cost add up; model info from the last attempt).
+ * @param {UsageData[]} usages
+ * @param {string} requestedModel
+ * @returns {UsageData|null}
+ */
+function sumUsage(usages, requestedModel) {
+	if (usages.length === 0) return null;
+	const last = usages[usages.length - 1];
+	const costs = usages.map(u => u.estimatedCost).filter(c => c !== null && c !== undefined);
+	return {
+		promptTokens: usages.reduce((n, u) => n + u.promptTokens, 0),
+		responseTokens: usages.reduce((n, u) => n + u.responseTokens, 0),
+		thoughtsTokens: usages.reduce((n, u) => n + (u.thoughtsTokens || 0), 0),
+		totalTokens: usages.reduce((n, u) => n + u.totalTokens, 0),
+		attempts: usages.length,
+		retries: usages.reduce((n, u) => n + (u.retries || 0), 0),
+		modelVersion: last.modelVersion,
+		requestedModel: last.requestedModel || requestedModel,
+		fallbackUsed: usages.some(u => u.fallbackUsed),
+		timestamp: last.timestamp,
+		groundingMetadata: last.groundingMetadata || null,
+		modelStatus: last.modelStatus || null,
+		estimatedCost: costs.length > 0 ? costs.reduce((n, c) => n + c, 0) : null,
+		costBreakdown: sumCostBreakdowns(usages.map(u => u.costBreakdown)),
+		...(usages.every(u => u.cached) && { cached: true })
+	};
+}
+
 /**
  * @typedef {import('./types').TransformerOptions} TransformerOptions
  * @typedef {import('./types').AsyncValidatorFunction} AsyncValidatorFunction
  * @typedef {import('./types').TransformationExample} TransformationExample
  * @typedef {import('./types').UsageData} UsageData
+ * @typedef {import('./types').BatchOptions} BatchOptions
+ * @typedef {import('./types').BatchItemResult} BatchItemResult
+ * @typedef {import('./types').BatchResult} BatchResult
+ * @typedef {import('./types').TransformerStreamEvent} TransformerStreamEvent
+ * @typedef {import('./types').TransformFileOptions} TransformFileOptions
+ * @typedef {import('./types').TransformFileCheckpoint} TransformFileCheckpoint
+ * @typedef {import('./types').TransformFileResult} TransformFileResult
  */
 
 /**
@@ -65,6 +161,11 @@ class Transformer extends BaseGemini {
 			options = { ...options, systemPrompt: DEFAULT_SYSTEM_INSTRUCTIONS };
 		}
 
+		// Transformations are usually pipeline work; interactive traffic goes first
+		if (options.rateLimitPriority === undefined) {
+			options = { ...options, rateLimitPriority: 'bulk' };
+		}
+
 		super(options);
 
 		// ── JSON-specific config ──
@@ -158,91 +259,227 @@ class Transformer extends BaseGemini {
 	 * @returns {Promise<Object>} The transformed payload
 	 */
 	async send(payload, opts = {}, validatorFn = null) {
+		return this._withCallOptions(opts, async () => {
+			if (!this.chatSession) {
+				throw new Error("Chat session not initialized. Please call init() first.");
+			}
+
+			// Use the validator from this call, or fall back to the constructor validator
+			const validator = validatorFn || this.asyncValidator;
+
+			// Handle stateless messages
+			if (opts.stateless) {
+				return await this._statelessSend(payload, opts, validator);
+			}
+
+			const maxRetries = opts.maxRetries ?? this.maxRetries;
+			const retryDelay = opts.retryDelay ?? this.retryDelay;
+
+			// Prepare the payload
+			let lastPayload = this._preparePayload(payload);
+			await this._manageContext(lastPayload);
+
+			// Handle per-message grounding override. The session is rebuilt around its
+			// in-memory history: init(true) would start empty, or reload the stored
+			// session over the turn that just finished.
+			if (opts.enableGrounding !== undefined && opts.enableGrounding !== this.enableGrounding) {
+				const originalGrounding = this.enableGrounding;
+				const originalConfig = this.groundingConfig;
+				try {
+					this.enableGrounding = opts.enableGrounding;
+					this.groundingConfig = opts.groundingConfig ?? this.groundingConfig;
+					this.chatSession = this._createChatSession(this.chatSession.getHistory());
+				} catch (error) {
+					this.enableGrounding = originalGrounding;
+					this.groundingConfig = originalConfig;
+					throw error;
+				}
+				opts._restoreGrounding = async () => {
+					this.enableGrounding = originalGrounding;
+					this.groundingConfig = originalConfig;
+					this.chatSession = this._createChatSession(this.chatSession.getHistory());
+				};
+			}
+
+			// Extract per-message labels
+			const messageOptions = {};
+			if (opts.labels) messageOptions.labels = opts.labels;
+
+			// Reset cumulative usage tracking
+			this._cumulativeUsage = { promptTokens: 0, responseTokens: 0, totalTokens: 0, attempts: 0, retries: 0 };
+
+			let lastError = null;
+
+			for (let attempt = 0; attempt <= maxRetries; attempt++) {
+				try {
+					const transformedPayload = (attempt === 0)
+						? await this.rawSend(lastPayload, messageOptions)
+						: await this.rebuild(lastPayload, lastError.message);
+
+					// Accumulate token usage
+					if (this.lastResponseMetadata) this._accumulateUsage(null, attempt + 1);
+
+					lastPayload = transformedPayload;
+
+					// Validate
+					if (validator) {
+						await this._validate(validator, transformedPayload, attempt + 1, maxRetries);
+					}
+
+					log.debug(`Transformation succeeded on attempt ${attempt + 1}`);
+
+					if (opts._restoreGrounding) await opts._restoreGrounding();
+					await this._saveSession();
+					return transformedPayload;
+
+				} catch (error) {
+					lastError = error;
+					log.warn(`Attempt ${attempt + 1} failed: ${error.message}`);
+					// The call completed, so its tokens count even though the JSON didn't parse
+					if (error instanceof InvalidJSONError && this.lastResponseMetadata) this._accumulateUsage(null, attempt + 1);
+
+					// Retrying can't get under a spent budget, or outlive an abort
+					if (error instanceof BudgetExceededError || this._abortSignal()?.aborted) {
+						if (opts._restoreGrounding) await opts._restoreGrounding();
+						await this._saveSession();
+						throw error;
+					}
+
+					if (attempt >= maxRetries) {
+						log.error(`All ${maxRetries + 1} attempts failed.`);
+						if (opts._restoreGrounding) await opts._restoreGrounding();
+						await this._saveSession();
+						throw withContext(error, `Transformation failed after ${maxRetries + 1} attempts. Last error: ${error.message}`, {
+							attempts: maxRetries + 1,
+							usage: this._partialUsage()
+						});
+					}
+
+					const delay = retryDelay * Math.pow(2, attempt);
+					this.emit('retry', { className: this.constructor.name, reason: 'transform', attempt: attempt + 1, maxRetries, delayMs: delay, error });
+					await this._sleep(delay);
+				}
+			}
+		});
+	}
+
+	// ── Streaming ────────────────────────────────────────────────────────────
+
+	/**
+	 * Transforms a payload and streams best-effort partial objects as the model writes them.
+	 * Partials are recovered from the incomplete text by closing open strings/braces
+	 * (`attemptJSONRecovery`) and are NOT validated. The final object goes through the
+	 * same validator + `rebuild()` retry loop as `send()`; repair rounds are not streamed.
+	 *
+	 * Event types:
+	 * - `partial` — The best-effort object parsed so far (only emitted when it changes)
+	 * - `retry` — The final object failed parsing or validation; asking the model to repair it
+	 * - `done` — The validated result
+	 *
+	 * @param {Object|string} payload - The source payload to transform
+	 * @param {import('./types').SendOptions} [opts={}] - Per-message options (labels, maxRetries, retryDelay, signal, timeoutMs)
+	 * @param {AsyncValidatorFunction|null} [validatorFn] - Validator for this call (overrides constructor validator)
+	 * @yields {TransformerStreamEvent}
+	 */
+	async *stream(payload, opts = {}, validatorFn = null) {
+		yield* this._streamWithCallOptions(opts, () => this._stream(payload, opts, validatorFn));
+	}
+
+	/**
+	 * stream(), run in the call's scope (see _streamWithCallOptions()).
+	 * @param {Object|string} payload
+	 * @param {import('./types').SendOptions} opts
+	 * @param {AsyncValidatorFunction|null} validatorFn
+	 * @yields {TransformerStreamEvent}
+	 * @private
+	 */
+	async *_stream(payload, opts, validatorFn) {
 		if (!this.chatSession) {
 			throw new Error("Chat session not initialized. Please call init() first.");
 		}
 
-		// Use the validator from this call, or fall back to the constructor validator
 		const validator = validatorFn || this.asyncValidator;
-
-		// Handle stateless messages
-		if (opts.stateless) {
-			return await this._statelessSend(payload, opts, validator);
-		}
-
 		const maxRetries = opts.maxRetries ?? this.maxRetries;
 		const retryDelay = opts.retryDelay ?? this.retryDelay;
 
-		// Handle per-message grounding override
-		if (opts.enableGrounding !== undefined && opts.enableGrounding !== this.enableGrounding) {
-			const originalGrounding = this.enableGrounding;
-			const originalConfig = this.groundingConfig;
-			try {
-				this.enableGrounding = opts.enableGrounding;
-				this.groundingConfig = opts.groundingConfig ?? this.groundingConfig;
-				await this.init(true);
-			} catch (error) {
-				this.enableGrounding = originalGrounding;
-				this.groundingConfig = originalConfig;
-				throw error;
-			}
-			opts._restoreGrounding = async () => {
-				this.enableGrounding = originalGrounding;
-				this.groundingConfig = originalConfig;
-				await this.init(true);
-			};
+		const mergedLabels = { ...this.labels, ...(opts.labels || {}) };
+		const sendParams = { message: this._preparePayload(payload) };
+		await this._manageContext(sendParams.message);
+		if (this.vertexai && Object.keys(mergedLabels).length > 0) {
+			sendParams.config = { labels: mergedLabels };
 		}
 
-		// Prepare the payload
-		let lastPayload = this._preparePayload(payload);
+		this._cumulativeUsage = { promptTokens: 0, responseTokens: 0, totalTokens: 0, attempts: 0, retries: 0 };
+
+		let fullText = '';
+		let lastPartialKey = null;
+		let usageChunk = null;
+		const streamResponse = await this._withRetry(() => this.chatSession.sendMessageStream(sendParams));
+
+		for await (const chunk of streamResponse) {
+			if (chunk.usageMetadata) usageChunk = chunk;
+			const text = chunk.candidates?.[0]?.content?.parts?.[0]?.text;
+			if (!text) continue;
+			fullText += text;
+
+			const recovered = attemptJSONRecovery(fullText, undefined, true);
+			if (recovered === null) continue;
+			const data = this._unwrapData(recovered);
+			const key = JSON.stringify(data);
+			if (key !== lastPartialKey) {
+				lastPartialKey = key;
+				yield { type: 'partial', data };
+			}
+		}
 
-		// Extract per-message labels
-		const messageOptions = {};
-		if (opts.labels) messageOptions.labels = opts.labels;
+		// Usage arrives on the final chunk(s) of a stream
+		if (usageChunk) this._accumulateUsage(usageChunk, 1);
 
-		// Reset cumulative usage tracking
-		this._cumulativeUsage = { promptTokens: 0, responseTokens: 0, totalTokens: 0, attempts: 0 };
+		// Chunks are rehydrated one by one; a placeholder split across two chunks is only whole here
+		fullText = this._rehydrate(fullText);
 
+		let lastPayload = null;
 		let lastError = null;
 
 		for (let attempt = 0; attempt <= maxRetries; attempt++) {
 			try {
 				const transformedPayload = (attempt === 0)
-					? await this.rawSend(lastPayload, messageOptions)
-					: await this.rebuild(lastPayload, lastError.message);
-
-				// Accumulate token usage
-				if (this.lastResponseMetadata) {
-					this._cumulativeUsage.promptTokens += this.lastResponseMetadata.promptTokens || 0;
-					this._cumulativeUsage.responseTokens += this.lastResponseMetadata.responseTokens || 0;
-					this._cumulativeUsage.totalTokens += this.lastResponseMetadata.totalTokens || 0;
-					this._cumulativeUsage.attempts = attempt + 1;
-				}
-
-				lastPayload = transformedPayload;
+					? this._parseJSON(fullText)
+					: await this.rebuild(lastPayload ?? fullText, lastError.message);
 
-				// Validate
-				if (validator) {
-					await validator(transformedPayload);
-				}
-
-				log.debug(`Transformation succeeded on attempt ${attempt + 1}`);
+				if (attempt > 0 && this.lastResponseMetadata) this._accumulateUsage(null, attempt + 1);
 
-				if (opts._restoreGrounding) await opts._restoreGrounding();
-				return transformedPayload;
+				lastPayload = transformedPayload;
+				if (validator) await this._validate(validator, transformedPayload, attempt + 1, maxRetries);
 
+				log.debug(`Streamed transformation succeeded on attempt ${attempt + 1}`);
+				await this._saveSession();
+				yield { type: 'done', data: transformedPayload, fullText, usage: this.getLastUsage() };
+				return;
 			} catch (error) {
 				lastError = error;
 				log.warn(`Attempt ${attempt + 1} failed: ${error.message}`);
+				// The stream's own usage is already counted; a repair call's isn't yet
+				if (attempt > 0 && error instanceof InvalidJSONError && this.lastResponseMetadata) this._accumulateUsage(null, attempt + 1);
+
+				if (error instanceof BudgetExceededError || this._abortSignal()?.aborted) {
+					await this._saveSession();
+					throw error;
+				}
 
 				if (attempt >= maxRetries) {
 					log.error(`All ${maxRetries + 1} attempts failed.`);
-					if (opts._restoreGrounding) await opts._restoreGrounding();
-					throw new Error(`Transformation failed after ${maxRetries + 1} attempts. Last error: ${error.message}`);
+					await this._saveSession();
+					throw withContext(error, `Transformation failed after ${maxRetries + 1} attempts. Last error: ${error.message}`, {
+						attempts: maxRetries + 1,
+						usage: this._partialUsage()
+					});
 				}
 
 				const delay = retryDelay * Math.pow(2, attempt);
-				await new Promise(res => setTimeout(res, delay));
+				this.emit('retry', { className: this.constructor.name, reason: 'transform', attempt: attempt + 1, maxRetries, delayMs: delay, error });
+				yield { type: 'retry', attempt: attempt + 1, error: error.message };
+				await this._sleep(delay);
 			}
 		}
 	}
@@ -251,25 +488,30 @@ class Transformer extends BaseGemini {
 
 	/**
 	 * Sends a single prompt to the model and parses the JSON response.
-	 * No validation or retry logic.
+	 * No validation or retry logic. API errors are thrown as classified by
+	 * `_withRetry` (RateLimitError, AuthError, ...); unparseable output throws
+	 * InvalidJSONError.
 	 *
 	 * @param {Object|string} payload - The source payload
 	 * @param {Object} [messageOptions={}] - Per-message options (e.g., labels)
+	 * @param {Record<string, string>} [messageOptions.labels] - Per-message billing labels
+	 * @param {AbortSignal} [messageOptions.signal] - Cancels the call (throws AbortError)
+	 * @param {number} [messageOptions.timeoutMs] - Time limit for the whole call, retries included (throws TimeoutError)
 	 * @returns {Promise<Object>} The transformed payload
 	 */
 	async rawSend(payload, messageOptions = {}) {
-		if (!this.chatSession) {
-			throw new Error("Chat session not initialized.");
-		}
+		return this._withCallOptions(messageOptions, async () => {
+			if (!this.chatSession) {
+				throw new Error("Chat session not initialized.");
+			}
 
-		const actualPayload = typeof payload === 'string'
-			? payload
-			: JSON.stringify(payload, null, 2);
+			const actualPayload = typeof payload === 'string'
+				? payload
+				: JSON.stringify(payload, null, 2);
 
-		const mergedLabels = { ...this.labels, ...(messageOptions.labels || {}) };
-		const hasLabels = this.vertexai && Object.keys(mergedLabels).length > 0;
+			const mergedLabels = { ...this.labels, ...(messageOptions.labels || {}) };
+			const hasLabels = this.vertexai && Object.keys(mergedLabels).length > 0;
 
-		try {
 			const sendParams = { message: actualPayload };
 			if (hasLabels) {
 				sendParams.config = { labels: mergedLabels };
@@ -283,27 +525,15 @@ class Transformer extends BaseGemini {
 				log.debug(`API response: model=${result.modelVersion || 'unknown'}, tokens=${result.usageMetadata.totalTokenCount}`);
 			}
 
-			const modelResponse = result.text;
-			const extractedJSON = extractJSON(modelResponse);
-
-			// Unwrap the 'data' property if it exists
-			if (extractedJSON?.data) {
-				return extractedJSON.data;
-			}
-			return extractedJSON;
-
-		} catch (error) {
-			if (this.onlyJSON && error.message.includes("Could not extract valid JSON")) {
-				throw new Error(`Invalid JSON response from Gemini: ${error.message}`);
-			}
-			throw new Error(`Transformation failed: ${error.message}`);
-		}
+			return this._parseJSON(result.text);
+		});
 	}
 
 	// ── Rebuild ──────────────────────────────────────────────────────────────
 
 	/**
-	 * Asks the model to fix a payload that failed validation.
+	 * Asks the model to fix a payload that failed validation. Throws the API
+	 * error as classified, or InvalidJSONError if the repair isn't JSON.
 	 *
 	 * @param {Object} lastPayload - The payload that failed
 	 * @param {string} serverError - The error message
@@ -311,37 +541,64 @@ class Transformer extends BaseGemini {
 	 */
 	async rebuild(lastPayload, serverError) {
 		await this.init();
-		const prompt = `
-The previous JSON payload (below) failed validation.
-The server's error message is quoted afterward.
-
----------------- BAD PAYLOAD ----------------
-${JSON.stringify(lastPayload, null, 2)}
+		const prompt = buildRepairPrompt(lastPayload, serverError);
 
+		const result = await this._withRetry(() => this.chatSession.sendMessage({ message: prompt }));
+		this._captureMetadata(result);
 
----------------- SERVER ERROR ----------------
-${serverError}
-
-Please return a NEW JSON payload that corrects the issue.
-Respond with JSON only – no comments or explanations.
-`;
+		const text = result.text ?? result.response ?? '';
+		try {
+			return typeof text === 'object' ? text : JSON.parse(text);
+		} catch (parseErr) {
+			throw new InvalidJSONError(`Gemini returned non-JSON while repairing payload: ${parseErr.message}`, { cause: parseErr, text });
+		}
+	}
 
-		let result;
+	/**
+	 * Runs a validator. A rejection is rethrown as a ValidationError (same
+	 * message, the validator's error as `cause`) after emitting `validationFailed`.
+	 * @param {AsyncValidatorFunction} validator
+	 * @param {Object} data - The transformed payload
+	 * @param {number} attempt - 1-based attempt that produced `data`
+	 * @param {number} maxRetries
+	 * @returns {Promise<void>}
+	 * @private
+	 */
+	async _validate(validator, data, attempt, maxRetries) {
 		try {
-			result = await this._withRetry(() => this.chatSession.sendMessage({ message: prompt }));
-			this._captureMetadata(result);
+			await validator(data);
 		} catch (err) {
-			throw new Error(`Gemini call failed while repairing payload: ${err.message}`);
+			const error = err instanceof ValidationError ? err : new ValidationError(err?.message ?? String(err), { cause: err, data, attempts: attempt });
+			this.emit('validationFailed', { className: this.constructor.name, attempt, maxRetries, willRetry: attempt <= maxRetries, data, error });
+			throw error;
 		}
+	}
 
+	/**
+	 * Extracts the model's JSON and unwraps the `{ data }` envelope.
+	 * @param {string} text - Model response text
+	 * @returns {Object}
+	 * @throws {InvalidJSONError}
+	 * @private
+	 */
+	_parseJSON(text) {
 		try {
-			const text = result.text ?? result.response ?? '';
-			return typeof text === 'object' ? text : JSON.parse(text);
-		} catch (parseErr) {
-			throw new Error(`Gemini returned non-JSON while repairing payload: ${parseErr.message}`);
+			return this._unwrapData(extractJSON(text));
+		} catch (error) {
+			throw new InvalidJSONError(`Invalid JSON response from Gemini: ${error.message}`, { cause: error, text: text ?? null });
 		}
 	}
 
+	/**
+	 * Usage of the current send so far, for errors. send() zeroes the
+	 * cumulative counters up front, so none recorded means no call completed.
+	 * @returns {import('./types').UsageData|null}
+	 * @private
+	 */
+	_partialUsage() {
+		return this._cumulativeUsage.attempts > 0 ? this.getLastUsage() : null;
+	}
+
 	// ── Stateless Send ───────────────────────────────────────────────────────
 
 	/**
@@ -362,46 +619,423 @@ Respond with JSON only – no comments or explanations.
 			? payload
 			: JSON.stringify(payload, null, 2);
 
+		const { result } = await this._statelessGenerate(this._statelessContents(payloadStr), opts);
+
+		this._cumulativeUsage = {
+			promptTokens: this.lastResponseMetadata.promptTokens,
+			responseTokens: this.lastResponseMetadata.responseTokens,
+			totalTokens: this.lastResponseMetadata.totalTokens,
+			attempts: 1
+		};
+
+		try {
+			const transformedPayload = this._parseJSON(result.text);
+			if (validatorFn) await this._validate(validatorFn, transformedPayload, 1, 0);
+			return transformedPayload;
+		} catch (error) {
+			error.usage = this.getLastUsage();
+			throw error;
+		}
+	}
+
+	/**
+	 * Builds the contents for a stateless call: the seeded examples followed by the payload.
+	 * @param {string} payloadStr
+	 * @returns {Array<Object>}
+	 * @private
+	 */
+	_statelessContents(payloadStr) {
 		const contents = [];
 
 		// Include seeded examples
 		if (this.exampleCount > 0) {
 			const history = this.chatSession.getHistory();
-			const exampleHistory = history.slice(0, this.exampleCount);
-			contents.push(...exampleHistory);
+			contents.push(...history.slice(0, this.exampleCount));
 		}
 
 		contents.push({ role: 'user', parts: [{ text: payloadStr }] });
+		return contents;
+	}
 
+	/**
+	 * One generateContent() round-trip with the instance config. Usage is computed
+	 * from THIS response before instance state is touched, so it is safe to read
+	 * under concurrent calls (see `_usageFromResponse`).
+	 * @param {Array<Object>} contents
+	 * @param {Object} [opts={}]
+	 * @returns {Promise<{ result: Object, usage: UsageData }>}
+	 * @private
+	 */
+	async _statelessGenerate(contents, opts = {}) {
 		const mergedLabels = { ...this.labels, ...(opts.labels || {}) };
 
-		const result = await this._withRetry(() => this.genAIClient.models.generateContent({
+		const result = await this._generateCached({
 			model: this.modelName,
 			contents: contents,
 			config: {
 				...this.chatConfig,
 				...(this.vertexai && Object.keys(mergedLabels).length > 0 && { labels: mergedLabels })
 			}
-		}));
+		});
 
+		const usage = this._usageFromResponse(result);
 		this._captureMetadata(result);
+		return { result, usage };
+	}
 
-		this._cumulativeUsage = {
-			promptTokens: this.lastResponseMetadata.promptTokens,
-			responseTokens: this.lastResponseMetadata.responseTokens,
-			totalTokens: this.lastResponseMetadata.totalTokens,
-			attempts: 1
-		};
+	// ── Batch ────────────────────────────────────────────────────────────────
+
+	/**
+	 * Transforms many payloads against the seeded examples.
+	 *
+	 * Stateless by default: each item is an independent generateContent() call
+	 * carrying the examples, so items can run concurrently without touching the
+	 * chat history. Failed items are retried (with the same repair prompt as
+	 * `rebuild()`) and then recorded as `{ ok: false }` — one bad item never
+	 * rejects the whole run. With `stateless: false` items go through `send()`
+	 * one at a time, since they share the chat session.
+	 *
+	 * @param {Array<Object|string>} items - Source payloads
+	 * @param {BatchOptions} [opts={}]
+	 * @param {AsyncValidatorFunction|null} [validatorFn] - Validator for every item (overrides constructor validator)
+	 * @returns {Promise<BatchResult>} Per-item results (input order) and run totals
+	 */
+	async transformBatch(items, opts = {}, validatorFn = null) {
+		return this._withCallOptions(opts, async () => {
+			if (!this.chatSession) {
+				throw new Error("Chat session not initialized. Please call init() first.");
+			}
+			if (!Array.isArray(items)) {
+				throw new Error("transformBatch() expects an array of payloads.");
+			}
+
+			const validator = validatorFn || this.asyncValidator;
+			const stateless = opts.stateless ?? true;
+			let concurrency = opts.concurrency ?? DEFAULT_BATCH_CONCURRENCY;
+			if (!(Number.isInteger(concurrency) && concurrency > 0) && concurrency !== Infinity) {
+				throw new Error(`transformBatch() concurrency must be a positive integer or Infinity, got ${concurrency}.`);
+			}
+			if (!stateless && concurrency !== 1) {
+				log.warn('transformBatch(): stateless: false shares the chat session; running items sequentially.');
+				concurrency = 1;
+			}
+
+			const total = items.length;
+			let completed = 0;
+			let succeeded = 0;
+
+			const tasks = items.map((item, index) => async () => {
+				const result = stateless
+					? await this._batchItemStateless(item, opts, validator)
+					: await this._batchItemStateful(item, opts, validator);
+
+				completed++;
+				if (result.ok) succeeded++;
+
+				if (opts.onProgress) {
+					try { opts.onProgress({ index, completed, total, succeeded, failed: completed - succeeded, result }); }
+					catch (e) { log.warn(`onProgress callback error: ${e.message}`); }
+				}
+				return result;
+			});
+
+			log.debug(`transformBatch(): ${total} items, concurrency=${concurrency}, stateless=${stateless}`);
+			const results = await runWithConcurrency(tasks, concurrency);
+
+			const used = results.map(r => r.usage).filter(Boolean);
+			const promptTokens = used.reduce((n, u) => n + u.promptTokens, 0);
+			const responseTokens = used.reduce((n, u) => n + u.responseTokens, 0);
+			const thoughtsTokens = used.reduce((n, u) => n + (u.thoughtsTokens || 0), 0);
+			const costs = used.map(u => u.estimatedCost).filter(c => c != null);
+
+			return {
+				results,
+				summary: {
+					total,
+					succeeded,
+					failed: total - succeeded,
+					promptTokens,
+					responseTokens,
+					thoughtsTokens,
+					totalTokens: used.reduce((n, u) => n + u.totalTokens, 0),
+					// Summed per attempt: each attempt is priced at its own context tier
+					estimatedCost: costs.length > 0 ? costs.reduce((n, c) => n + c, 0) : null,
+					costBreakdown: sumCostBreakdowns(used.map(u => u.costBreakdown))
+				}
+			};
+		});
+	}
+
+	/**
+	 * Transforms one batch item statelessly, retrying failures with a repair turn.
+	 * Never throws — errors are captured in the returned result.
+	 * @param {Object|string} payload
+	 * @param {BatchOptions} opts
+	 * @param {AsyncValidatorFunction|null} validator
+	 * @returns {Promise<BatchItemResult>}
+	 * @private
+	 */
+	async _batchItemStateless(payload, opts, validator) {
+		const maxRetries = opts.maxRetries ?? this.maxRetries;
+		const retryDelay = opts.retryDelay ?? this.retryDelay;
+		const usages = [];
+		let lastError = null;
+
+		let baseContents;
+		try {
+			baseContents = this._statelessContents(this._preparePayload(payload));
+		} catch (error) {
+			return { ok: false, data: null, error: error.message, usage: null, attempts: 0 };
+		}
+		let contents = baseContents;
+
+		for (let attempt = 0; attempt <= maxRetries; attempt++) {
+			let text = null;
+			let data;
+			try {
+				const { result, usage } = await this._statelessGenerate(contents, opts);
+				usages.push(usage);
+				text = result.text;
+				data = this._parseJSON(text);
+				if (validator) await this._validate(validator, data, attempt + 1, maxRetries);
+				return { ok: true, data, error: null, usage: sumUsage(usages, this.modelName), attempts: attempt + 1 };
+			} catch (error) {
+				// A spent budget or an abort stops the whole run rather than failing every remaining item
+				if (error instanceof BudgetExceededError || this._abortSignal()?.aborted) throw error;
+				lastError = error;
+				log.warn(`Batch item attempt ${attempt + 1} failed: ${error.message}`);
+				if (attempt >= maxRetries) break;
+
+				// Repair turn goes on a private copy of the conversation, never the shared chat.
+				contents = text
+					? [
+						...baseContents,
+						{ role: 'model', parts: [{ text }] },
+						{ role: 'user', parts: [{ text: buildRepairPrompt(data ?? text, error.message) }] }
+					]
+					: baseContents;
+
+				const delay = retryDelay * Math.pow(2, attempt);
+				this.emit('retry', { className: this.constructor.name, reason: 'transform', attempt: attempt + 1, maxRetries, delayMs: delay, error });
+				await this._sleep(delay);
+			}
+		}
+
+		return { ok: false, data: null, error: lastError.message, usage: sumUsage(usages, this.modelName), attempts: maxRetries + 1 };
+	}
+
+	/**
+	 * Transforms one batch item through send() (chat history). Never throws.
+	 * @param {Object|string} payload
+	 * @param {BatchOptions} opts
+	 * @param {AsyncValidatorFunction|null} validator
+	 * @returns {Promise<BatchItemResult>}
+	 * @private
+	 */
+	async _batchItemStateful(payload, opts, validator) {
+		// signal / timeoutMs belong to the whole run, already in scope
+		const { onProgress, concurrency, signal, timeoutMs, ...sendOpts } = opts;
+		try {
+			const data = await this.send(payload, { ...sendOpts, stateless: false }, validator);
+			const usage = this.getLastUsage();
+			return { ok: true, data, error: null, usage, attempts: usage?.attempts ?? 1 };
+		} catch (error) {
+			if (error instanceof BudgetExceededError || this._abortSignal()?.aborted) throw error;
+			const usage = this._partialUsage();
+			return { ok: false, data: null, error: error.message, usage, attempts: usage?.attempts ?? 0 };
+		}
+	}
+
+	// ── File Jobs ────────────────────────────────────────────────────────────
+
+	/**
+	 * Transforms a JSONL file into another JSONL file, resumably.
+	 *
+	 * Input is streamed and processed in windows of `checkpointEvery` rows with
+	 * transformBatch(). After each window, its successes are appended to
+	 * `outputPath` (input order), its failures to the errors file as
+	 * `{ line, input, error, attempts }` (the error is the last one from the
+	 * repair loop), and a checkpoint is written next to the output. The
+	 * checkpoint holds rows done, output byte offsets and running token/cost
+	 * totals. Re-running with the same paths truncates the outputs to the last
+	 * checkpoint and skips the rows it covers, so a crash costs at most one window.
+	 *
+	 * @param {string} inputPath - JSONL source (one payload per line; blank lines are skipped)
+	 * @param {string} outputPath - JSONL destination (one transformed payload per line)
+	 * @param {TransformFileOptions} [opts={}]
+	 * @param {AsyncValidatorFunction|null} [validatorFn] - Validator for every row (overrides constructor validator)
+	 * @returns {Promise<TransformFileResult>}
+	 */
+	async transformFile(inputPath, outputPath, opts = {}, validatorFn = null) {
+		return this._withCallOptions(opts, async () => {
+			if (!this.chatSession) {
+				throw new Error("Chat session not initialized. Please call init() first.");
+			}
+			const { checkpointEvery = DEFAULT_CHECKPOINT_EVERY, restart = false, onCheckpoint, errorsPath: errorsOpt, checkpointPath: checkpointOpt, ...batchOpts } = opts;
+			const input = path.resolve(inputPath);
+			const output = path.resolve(outputPath);
+			const errorsPath = path.resolve(errorsOpt || sidecarPath(output, 'errors.jsonl'));
+			const checkpointPath = path.resolve(checkpointOpt || sidecarPath(output, 'checkpoint.json'));
+
+			/** @type {TransformFileCheckpoint|null} */
+			let checkpoint = restart ? null : await this._loadCheckpoint(checkpointPath);
+			if (checkpoint && checkpoint.input !== input) {
+				throw new Error(`Checkpoint ${checkpointPath} belongs to ${checkpoint.input}, not ${input}. Pass restart: true or a different output path.`);
+			}
+			const resumedFrom = checkpoint?.rowsDone || 0;
+
+			if (checkpoint) {
+				log.info(`transformFile(): resuming ${input} after line ${resumedFrom} (${checkpoint.succeeded} ok, ${checkpoint.failed} failed so far).`);
+				await truncateTo(output, checkpoint.outputBytes);
+				await truncateTo(errorsPath, checkpoint.errorsBytes);
+				checkpoint.completed = false;
+			} else {
+				await fs.mkdir(path.dirname(output), { recursive: true });
+				await fs.writeFile(output, '');
+				await fs.writeFile(errorsPath, '');
+				const now = new Date().toISOString();
+				checkpoint = {
+					version: CHECKPOINT_VERSION,
+					input,
+					output,
+					errors: errorsPath,
+					model: this.modelName,
+					rowsDone: 0,
+					succeeded: 0,
+					failed: 0,
+					outputBytes: 0,
+					errorsBytes: 0,
+					usage: { promptTokens: 0, responseTokens: 0, thoughtsTokens: 0, totalTokens: 0 },
+					estimatedCost: null,
+					unpriced: false,
+					completed: false,
+					startedAt: now,
+					updatedAt: now
+				};
+			}
+			const state = /** @type {TransformFileCheckpoint} */ (checkpoint);
+
+			/** @type {{ promptTokens: number, responseTokens: number, thoughtsTokens: number, totalTokens: number, attempts: number, costBreakdown: import('./types').CostBreakdown|null }} */
+			const run = { promptTokens: 0, responseTokens: 0, thoughtsTokens: 0, totalTokens: 0, attempts: 0, costBreakdown: null };
+			let processed = 0;
+
+			/** @type {Array<{ line: number, raw: string }>} */
+			let window = [];
+			const flush = async (/** @type {number} */ lineNo) => {
+				const rows = window.map(({ line, raw }) => {
+					try { return { line, raw, payload: JSON.parse(raw), parseError: null }; }
+					catch (e) { return { line, raw, payload: null, parseError: `Invalid JSON on line ${line}: ${e.message}` }; }
+				});
+				const valid = rows.filter(r => !r.parseError);
+				const { results } = await this.transformBatch(valid.map(r => r.payload), batchOpts, validatorFn);
+
+				let out = '';
+				let errs = '';
+				let v = 0;
+				for (const row of rows) {
+					const result = row.parseError ? null : results[v++];
+					if (result?.ok) {
+						out += JSON.stringify(result.data) + '\n';
+						state.succeeded++;
+					} else {
+						errs += JSON.stringify({
+							line: row.line,
+							input: row.parseError ? row.raw : row.payload,
+							error: row.parseError || result?.error,
+							attempts: result?.attempts ?? 0
+						}) + '\n';
+						state.failed++;
+					}
+					if (result?.usage) {
+						for (const key of /** @type {const} */ (['promptTokens', 'responseTokens', 'thoughtsTokens', 'totalTokens'])) {
+							state.usage[key] += result.usage[key] || 0;
+							run[key] += result.usage[key] || 0;
+						}
+						run.attempts += result.usage.attempts || 0;
+						run.costBreakdown = sumCostBreakdowns([run.costBreakdown, result.usage.costBreakdown]);
+						// Like computeCostBreakdown(): one unpriced item makes the total unknown
+						if (result.usage.estimatedCost == null) state.unpriced = true;
+						state.estimatedCost = state.unpriced ? null : (state.estimatedCost ?? 0) + result.usage.estimatedCost;
+					}
+				}
+
+				if (out) await fs.appendFile(output, out);
+				if (errs) await fs.appendFile(errorsPath, errs);
+				state.outputBytes += Buffer.byteLength(out);
+				state.errorsBytes += Buffer.byteLength(errs);
+				state.rowsDone = lineNo;
+				processed += rows.length;
+				window = [];
+				await this._saveCheckpoint(checkpointPath, state);
+
+				if (onCheckpoint) {
+					try { onCheckpoint({ ...state }); }
+					catch (e) { log.warn(`onCheckpoint callback error: ${e.message}`); }
+				}
+			};
 
-		const modelResponse = result.text;
-		const extractedJSON = extractJSON(modelResponse);
-		let transformedPayload = extractedJSON?.data ? extractedJSON.data : extractedJSON;
+			const lines = readline.createInterface({ input: createReadStream(input, 'utf-8'), crlfDelay: Infinity });
+			let lineNo = 0;
+			for await (const raw of lines) {
+				lineNo++;
+				if (lineNo <= resumedFrom) continue;
+				if (raw.trim()) window.push({ line: lineNo, raw });
+				if (window.length >= checkpointEvery) await flush(lineNo);
+			}
+			if (window.length > 0) await flush(lineNo);
+
+			state.rowsDone = Math.max(state.rowsDone, lineNo);
+			state.completed = true;
+			await this._saveCheckpoint(checkpointPath, state);
+			if (run.attempts > 0) this._cumulativeUsage = run;
+
+			log.debug(`transformFile(): ${processed} rows this run, ${state.succeeded} ok / ${state.failed} failed in total.`);
+			return {
+				outputPath: output,
+				errorsPath,
+				checkpointPath,
+				resumedFrom,
+				processed,
+				succeeded: state.succeeded,
+				failed: state.failed,
+				usage: { ...state.usage },
+				estimatedCost: state.estimatedCost
+			};
+		});
+	}
 
-		if (validatorFn) {
-			await validatorFn(transformedPayload);
+	/**
+	 * @param {string} checkpointPath
+	 * @returns {Promise<TransformFileCheckpoint|null>}
+	 * @private
+	 */
+	async _loadCheckpoint(checkpointPath) {
+		let raw;
+		try {
+			raw = await fs.readFile(checkpointPath, 'utf-8');
+		} catch (e) {
+			if (e.code === 'ENOENT') return null;
+			throw e;
 		}
+		const checkpoint = JSON.parse(raw);
+		if (checkpoint.version !== CHECKPOINT_VERSION) {
+			throw new Error(`Unsupported checkpoint version ${checkpoint.version} in ${checkpointPath} (expected ${CHECKPOINT_VERSION}).`);
+		}
+		return checkpoint;
+	}
 
-		return transformedPayload;
+	/**
+	 * Atomic write (tmp + rename), so a crash never leaves half a checkpoint.
+	 * @param {string} checkpointPath
+	 * @param {TransformFileCheckpoint} checkpoint
+	 * @returns {Promise<void>}
+	 * @private
+	 */
+	async _saveCheckpoint(checkpointPath, checkpoint) {
+		checkpoint.updatedAt = new Date().toISOString();
+		const tmp = `${checkpointPath}.${process.pid}.tmp`;
+		await fs.writeFile(tmp, JSON.stringify(checkpoint, null, 2));
+		await fs.rename(tmp, checkpointPath);
 	}
 
 	// ── History Management ───────────────────────────────────────────────────
@@ -422,7 +1056,8 @@ Respond with JSON only – no comments or explanations.
 		this.chatSession = this._createChatSession(exampleHistory);
 
 		this.lastResponseMetadata = null;
-		this._cumulativeUsage = { promptTokens: 0, responseTokens: 0, totalTokens: 0, attempts: 0 };
+		this._cumulativeUsage = { promptTokens: 0, responseTokens: 0, totalTokens: 0, attempts: 0, retries: 0 };
+		await this._saveSession();
 
 		log.debug(`Conversation cleared. Preserved ${exampleHistory.length} example items.`);
 	}
@@ -436,6 +1071,7 @@ Respond with JSON only – no comments or explanations.
 			log.debug("Resetting chat session...");
 			this.chatSession = this._createChatSession([]);
 			this.exampleCount = 0;
+			await this._saveSession();
 			log.debug("Chat session reset.");
 		} else {
 			log.warn("Cannot reset: chat not yet initialized.");
@@ -461,6 +1097,32 @@ Respond with JSON only – no comments or explanations.
 
 	// ── Private Helpers ──────────────────────────────────────────────────────
 
+	/**
+	 * Adds a response's tokens to the cumulative usage for the current send.
+	 * @param {Object|null} response - Response to capture first; null reuses lastResponseMetadata
+	 * @param {number} attempts - Attempts consumed so far
+	 * @private
+	 */
+	_accumulateUsage(response, attempts) {
+		if (response) this._captureMetadata(response);
+		this._cumulativeUsage.promptTokens += this.lastResponseMetadata.promptTokens || 0;
+		this._cumulativeUsage.responseTokens += this.lastResponseMetadata.responseTokens || 0;
+		this._cumulativeUsage.totalTokens += this.lastResponseMetadata.totalTokens || 0;
+		this._cumulativeUsage.retries = (this._cumulativeUsage.retries || 0) + (this.lastResponseMetadata.retries || 0);
+		this._cumulativeUsage.costBreakdown = sumCostBreakdowns([this._cumulativeUsage.costBreakdown, this.lastResponseMetadata.costBreakdown]);
+		this._cumulativeUsage.attempts = attempts;
+	}
+
+	/**
+	 * Unwraps the `{ data }` envelope the seeded examples teach the model to use.
+	 * @param {*} extracted - Parsed model JSON
+	 * @returns {*}
+	 * @private
+	 */
+	_unwrapData(extracted) {
+		return extracted?.data ? extracted.data : extracted;
+	}
+
 	/**
 	 * Normalizes a payload to a string for sending.
 	 * @param {*} payload
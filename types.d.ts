@@ -1,4 +1,5 @@
 import type { ThinkingLevel, HarmCategory, HarmBlockThreshold } from '@google/genai';
+import type { EventEmitter } from 'node:events';
 
 export { ThinkingLevel, HarmCategory, HarmBlockThreshold };
 
@@ -52,11 +53,74 @@ export interface GroundingMetadata {
 export interface ResponseMetadata {
   modelVersion: string | null;
   requestedModel: string;
+  /** Whether requestedModel is one of `fallbackModels` */
+  fallbackUsed?: boolean;
   promptTokens: number;
   responseTokens: number;
   totalTokens: number;
   timestamp: number;
   groundingMetadata?: GroundingMetadata | null;
+  /** Cost of this response by component (null when the model isn't priced) */
+  costBreakdown?: CostBreakdown | null;
+}
+
+/** Token counts that bill at different rates (see billableTokens()) */
+export interface BillableTokens {
+  /** All prompt tokens, including cached, audio and video */
+  promptTokens: number;
+  /** All response tokens, including image output */
+  responseTokens: number;
+  thoughtsTokens: number;
+  /** Prompt tokens served from a context cache (cachedContentTokenCount) */
+  cachedTokens: number;
+  /** Tool-use (e.g. grounding) prompt tokens, billed as input */
+  toolUsePromptTokens: number;
+  /** Uncached audio prompt tokens */
+  audioInputTokens: number;
+  /** Uncached video prompt tokens */
+  videoInputTokens: number;
+  /** Image tokens in the response */
+  imageOutputTokens: number;
+}
+
+/** Estimated USD per billing component; the components add up to `total` */
+export interface CostBreakdown {
+  /** Text/image prompt tokens (and tool-use prompt tokens) */
+  input: number;
+  cachedInput: number;
+  audioInput: number;
+  videoInput: number;
+  /** Text output */
+  output: number;
+  imageOutput: number;
+  /** Thinking tokens, at the output rate */
+  thinking: number;
+  total: number;
+  /** The prompt exceeded the model's long-context threshold (e.g. >200k on Pro) */
+  longContext: boolean;
+  /** Rate applied: 'STANDARD', 'FLEX', 'PRIORITY' (priced as standard) or 'BATCH' */
+  serviceTier: string;
+}
+
+/** Per-million-token rates */
+export interface PricingRates {
+  input: number;
+  output: number;
+  /** cachedContentTokenCount rate (default: CACHED_INPUT_DISCOUNT × input) */
+  cachedInput?: number;
+  /** Audio prompt rate (default: input) */
+  audioInput?: number;
+  /** Video prompt rate (default: input) */
+  videoInput?: number;
+  /** Image-output rate (default: output) */
+  imageOutput?: number;
+}
+
+export interface ModelPricing extends PricingRates {
+  /** Rates for the whole request once the prompt exceeds `threshold` tokens */
+  longContext?: Partial<PricingRates> & { threshold: number };
+  /** Batch API / FLEX rates (default: BATCH_DISCOUNT × the standard rates) */
+  batch?: Partial<PricingRates>;
 }
 
 export interface UsageData {
@@ -70,16 +134,24 @@ export interface UsageData {
   totalTokens: number;
   /** Number of attempts (1 = first try success, 2+ = retries needed) */
   attempts: number;
+  /** API calls retried under `retryPolicy` (429, 5xx, network, timeout) behind this usage; separate from `attempts` */
+  retries?: number;
   /** Actual model that responded (e.g., 'gemini-3-flash-preview-001') */
   modelVersion: string | null;
-  /** Model you requested (e.g., 'gemini-3-flash-preview') */
+  /** Model the call was sent to (e.g., 'gemini-3-flash-preview'); after a fallback, the fallback model */
   requestedModel: string;
+  /** true when requestedModel is one of `fallbackModels` rather than `modelName` */
+  fallbackUsed?: boolean;
   timestamp: number;
   groundingMetadata?: GroundingMetadata | null;
   /** Model lifecycle status from Google (e.g., 'DEPRECATED'). Surfaced from @google/genai 1.47+. */
   modelStatus?: string | null;
-  /** Estimated USD cost from MODEL_PRICING (input+output). null when the model's pricing is unknown. */
+  /** Estimated USD cost from MODEL_PRICING (costBreakdown.total). null when the model's pricing is unknown. */
   estimatedCost?: number | null;
+  /** estimatedCost by component: input, cached input, audio/video input, output, image output, thinking */
+  costBreakdown?: CostBreakdown | null;
+  /** true when the response came from `responseCache` (tokens and estimatedCost are 0) */
+  cached?: boolean;
 }
 
 export interface TransformationExample {
@@ -134,15 +206,526 @@ export interface CachedContentInfo {
   usageMetadata?: { totalTokenCount?: number };
 }
 
+// ── Session Persistence ──────────────────────────────────────────────────────
+
+export interface SessionMeta {
+  /** Leading history items that are seeded examples (or RagAgent context), not conversation */
+  exampleCount?: number;
+  modelName?: string;
+  /** Class that saved the session (e.g. 'Chat') */
+  className?: string;
+  /** Epoch ms of the last save */
+  updatedAt?: number;
+  [key: string]: any;
+}
+
+export interface SessionRecord {
+  history: any[];
+  meta: SessionMeta;
+}
+
+/** Anything with load/save can back a session — a database, Redis, etc. */
+export interface SessionStore {
+  /** Returns the saved session, or null if there is none */
+  load(id: string): Promise<SessionRecord | null>;
+  save(id: string, history: any[], meta: SessionMeta): Promise<void>;
+  delete?(id: string): Promise<void>;
+}
+
+// ── Middleware ───────────────────────────────────────────────────────────────
+
+export type ModelCallMethod = 'generateContent' | 'generateContentStream' | 'countTokens' | 'embedContent';
+
+/** Passed to every middleware hook for one model call. Mutate it to change the request or response. */
+export interface ModelCallContext {
+  method: ModelCallMethod;
+  /** Class making the call (e.g. 'Transformer') */
+  className: string;
+  instance: BaseGemini;
+  /** Unique per call; matches the `request` / `response` / `error` events */
+  callId: string;
+  /** Date.now() when the call started */
+  startedAt: number;
+  model: string;
+  contents: any;
+  config: Record<string, any>;
+  /** Billing labels sent with the request (config.labels), or null */
+  labels: Record<string, string> | null;
+  /** Raw SDK response; for streams, the last chunk. Set before `after` hooks run. */
+  response?: any;
+  /** Streams only: every chunk yielded so far */
+  chunks?: any[];
+  /** Set before `onError` hooks run */
+  error?: Error;
+  /** The call's abort signal (its `signal` / `timeoutMs`, or config.abortSignal), or null */
+  signal: AbortSignal | null;
+  /** Scratch space shared by this call's hooks */
+  state: Record<string, any>;
+}
+
+export interface BudgetLimits {
+  /** Estimated USD cap (null = uncapped) */
+  maxUSD?: number | null;
+  /** Total token cap: input + output + thinking (null = uncapped) */
+  maxTokens?: number | null;
+  /** Fraction of a cap at which `budgetWarning` is emitted (default: 0.8, null = never) */
+  warnAt?: number | null;
+}
+
+export interface BudgetOptions extends BudgetLimits {
+  /** 'instance' (default): this instance's own spend. 'process': everything process-scoped instances spent. */
+  scope?: 'instance' | 'process';
+  /** How a call's input is sized before it's sent (default: 'approximate'; 'countTokens' adds a request per call) */
+  preflight?: 'countTokens' | 'approximate' | false;
+}
+
+/** RateLimiter lanes, served in this order */
+export type RateLimitPriority = 'interactive' | 'default' | 'bulk';
+
+export interface RateLimiterOptions {
+  /** Requests per minute (null = unlimited) */
+  rpm?: number | null;
+  /** Input tokens per minute (null = unlimited) */
+  tpm?: number | null;
+  /** How a call's input is sized before it waits for tokens (default: 'approximate', ~4 chars/token) */
+  estimate?: 'approximate' | 'countTokens';
+  /** Label for debugging (default: 'shared') */
+  name?: string;
+}
+
+export interface TelemetryOptions {
+  /** OpenTelemetry Tracer (default: trace.getTracer('ak-gemini') from @opentelemetry/api) */
+  tracer?: any;
+  /** OpenTelemetry Meter (default: metrics.getMeter('ak-gemini') from @opentelemetry/api) */
+  meter?: any;
+}
+
+export interface UsageLedgerEntry {
+  /** ISO 8601, when the call finished */
+  timestamp: string;
+  /** Class that made the call (e.g. 'Transformer') */
+  className: string;
+  method: ModelCallMethod;
+  /** Model the API reported (modelVersion), else the requested model */
+  model: string;
+  requestedModel: string;
+  /** Labels sent with the request, else the instance's `labels` */
+  labels: Record<string, string>;
+  promptTokens: number;
+  responseTokens: number;
+  thoughtsTokens: number;
+  totalTokens: number;
+  /** Estimated USD from MODEL_PRICING (null when the model isn't priced) */
+  estimatedCost: number | null;
+}
+
+/** summary() group keys; `label.<name>` groups by one billing label */
+export type UsageLedgerGroupKey = 'model' | 'requestedModel' | 'className' | 'method' | 'day' | 'month' | `label.${string}`;
+
+export interface UsageLedgerSummaryOptions {
+  groupBy?: UsageLedgerGroupKey | UsageLedgerGroupKey[];
+  /** Only entries at or after this time */
+  since?: Date | string | number;
+  /** Only entries before this time */
+  until?: Date | string | number;
+}
+
+export interface UsageLedgerSummaryRow {
+  /** One property per groupBy key (null when an entry lacks that label) */
+  [groupKey: string]: string | number | null;
+  calls: number;
+  promptTokens: number;
+  responseTokens: number;
+  thoughtsTokens: number;
+  totalTokens: number;
+  /** Sum over priced calls */
+  estimatedCost: number;
+  /** Calls whose model isn't in MODEL_PRICING (not in estimatedCost) */
+  unpricedCalls: number;
+}
+
+export interface Middleware {
+  /** Shown in debug logs */
+  name?: string;
+  /** Runs in registration order before the request is sent */
+  before?(ctx: ModelCallContext): void | Promise<void>;
+  /** Runs in reverse order after the response (or the end of a stream) */
+  after?(ctx: ModelCallContext): void | Promise<void>;
+  /** Streams only: return a replacement chunk, or nothing to keep it */
+  onChunk?(chunk: any, ctx: ModelCallContext): any | Promise<any>;
+  /** Runs in reverse order when the call fails; the error is rethrown afterwards */
+  onError?(ctx: ModelCallContext): void | Promise<void>;
+}
+
+// ── Events ───────────────────────────────────────────────────────────────────
+
+/** Model calls emit `request`, then `response` or `error`. countTokens emits nothing. */
+export interface RequestEvent {
+  className: string;
+  method: ModelCallMethod;
+  callId: string;
+  /** Model requested (after middleware) */
+  model: string;
+  labels: Record<string, string> | null;
+}
+
+export interface ResponseEvent {
+  className: string;
+  method: ModelCallMethod;
+  callId: string;
+  model: string;
+  /** Model version the API reported */
+  modelVersion: string | null;
+  durationMs: number;
+  /** null when the response has no usageMetadata (embeddings) */
+  usage: { promptTokens: number; responseTokens: number; thoughtsTokens: number; totalTokens: number } | null;
+  estimatedCost: number | null;
+}
+
+export interface ErrorEvent {
+  className: string;
+  method: ModelCallMethod;
+  callId: string;
+  model: string;
+  durationMs: number;
+  error: Error;
+}
+
+/** Cancellation options accepted by every public send / chat / stream / embed / generate method */
+export interface CallOptions {
+  /** Aborts the call (model requests, retry backoff, RagAgent file polling, tool runs); it throws AbortError */
+  signal?: AbortSignal;
+  /** Time limit for the whole call, retries included (default: the instance's timeoutMs); it throws TimeoutError */
+  timeoutMs?: number | null;
+}
+
+export interface RetryAttemptInfo {
+  className: string;
+  /** 1-based attempt that failed */
+  attempt: number;
+  maxRetries: number;
+  /** Wait before the next attempt */
+  delayMs: number;
+  /** The server's requested delay (Retry-After / RetryInfo), when it gave one */
+  retryAfterMs: number | null;
+  /** Time since the first attempt started */
+  elapsedMs: number;
+  error: Error;
+}
+
+export interface RetryPolicy {
+  /** Retries after the first attempt (default: resourceExhaustedRetries, 5) */
+  maxRetries?: number;
+  /** First backoff delay in ms (default: resourceExhaustedDelay, 1000) */
+  initialDelayMs?: number;
+  /** Cap on a computed backoff delay (default: 60000). A server-requested delay isn't capped. */
+  maxDelayMs?: number;
+  /** 'exponential': initialDelayMs × 2^n plus up to 500ms jitter. 'decorrelated': random between initialDelayMs and 3× the last delay (default: 'exponential') */
+  backoff?: 'exponential' | 'decorrelated';
+  /** Stop retrying when the next wait would end past this many ms since the first attempt (default: null, no limit) */
+  maxElapsedMs?: number | null;
+  /** HTTP statuses to retry (default: [429, 500, 502, 503, 504]) */
+  retryableStatuses?: number[];
+  /** Error classes to retry, matched with instanceof on the classified error (default: [RateLimitError, NetworkError, TimeoutError]) */
+  retryableErrors?: Array<new (...args: any[]) => Error>;
+  /** Wait for a Retry-After header or RetryInfo retryDelay instead of the backoff (default: true) */
+  respectRetryAfter?: boolean;
+  /** Called (and awaited) before each retry's wait; throwing stops retrying with that error */
+  onRetry?: ((info: RetryAttemptInfo) => void | Promise<void>) | null;
+}
+
+export type ResolvedRetryPolicy = Required<RetryPolicy>;
+
+export interface RetryEvent {
+  className: string;
+  /** 'rateLimit': a 429 is retried. 'transient': another retryPolicy failure (5xx, network, timeout) is retried. 'transform': a Transformer attempt failed (parse, validation or API error) and is retried. */
+  reason: 'rateLimit' | 'transient' | 'transform';
+  /** 1-based attempt that failed */
+  attempt: number;
+  maxRetries: number;
+  delayMs: number;
+  error: Error;
+}
+
+export interface RateLimitedEvent {
+  className: string;
+  /** 1-based attempt that got the 429 */
+  attempt: number;
+  maxRetries: number;
+  /** false when retries are exhausted and the error is thrown */
+  willRetry: boolean;
+  delayMs: number | null;
+  error: Error;
+}
+
+export interface ValidationFailedEvent {
+  className: string;
+  /** 1-based attempt whose payload was rejected */
+  attempt: number;
+  maxRetries: number;
+  willRetry: boolean;
+  /** The rejected payload */
+  data: any;
+  error: Error;
+}
+
+export interface ToolCallEvent {
+  className: string;
+  toolName: string;
+  args: Record<string, any>;
+}
+
+export interface ToolResultEvent extends ToolCallEvent {
+  /** What the tool returned (null when it threw) */
+  result: any;
+  error: Error | null;
+  durationMs: number;
+}
+
+export interface CacheHitEvent {
+  className: string;
+  model: string;
+  /** Response-cache key */
+  key: string;
+}
+
+export interface BudgetWarningEvent {
+  className: string;
+  limit: 'maxUSD' | 'maxTokens';
+  max: number;
+  spent: number;
+  /** spent / max */
+  fraction: number;
+  warnAt: number;
+  /** 'instance', 'process', or the shared tracker's name */
+  scope: string;
+}
+
+export interface ThrottledEvent {
+  className: string;
+  method: ModelCallMethod;
+  model: string;
+  /** The instance's rateLimitPriority lane */
+  priority: RateLimitPriority;
+  /** Input tokens taken from the limiter (estimated) */
+  tokens: number;
+  /** How long the call queued */
+  waitedMs: number;
+}
+
+export interface FallbackEvent {
+  className: string;
+  /** Model that failed or is DEPRECATED */
+  from: string;
+  /** The next of `fallbackModels`: used from now on, or for this call when `callOnly` */
+  to: string;
+  /** 'error': a call failed with a `fallbackOn` error; 'deprecated': a response had modelStatus DEPRECATED */
+  reason: 'error' | 'deprecated';
+  /** true when only the failing call moved on (a safety block); the instance stays on its model */
+  callOnly: boolean;
+  /** The failure that caused it (null for 'deprecated') */
+  error: Error | null;
+}
+
+/** Event name → payload, for every ak-gemini class */
+export interface GeminiEvents {
+  request: RequestEvent;
+  response: ResponseEvent;
+  /** Only emitted when there is a listener (never thrown like a plain EventEmitter 'error') */
+  error: ErrorEvent;
+  retry: RetryEvent;
+  rateLimited: RateLimitedEvent;
+  /** Transformer: the validator rejected a payload */
+  validationFailed: ValidationFailedEvent;
+  /** ToolAgent / CodeAgent: a tool is about to run */
+  toolCall: ToolCallEvent;
+  toolResult: ToolResultEvent;
+  /** A stateless call was served from `responseCache` */
+  cacheHit: CacheHitEvent;
+  /** A call took spend past `warnAt` of a budget cap */
+  budgetWarning: BudgetWarningEvent;
+  /** A call waited for its `rateLimiter` */
+  throttled: ThrottledEvent;
+  /** The instance moved to the next of `fallbackModels` */
+  fallback: FallbackEvent;
+}
+
+// ── PII Redaction ────────────────────────────────────────────────────────────
+
+export type BuiltinDetectorName = 'email' | 'uuid' | 'creditCard' | 'ssn' | 'ipAddress' | 'phone';
+
+export interface RedactionDetector {
+  /** Placeholder label source: 'employeeId' → [EMPLOYEE_ID_1] */
+  name: string;
+  /** Values to redact (the global flag is added if missing) */
+  pattern?: RegExp;
+  /** Alternative to pattern: return the values found in text */
+  detect?: (text: string) => string[];
+  /** Pattern matches failing this check are left alone */
+  validate?: (match: string) => boolean;
+}
+
+export interface RedactionOptions {
+  /** Built-in detectors to use (default: all) */
+  detectors?: BuiltinDetectorName[];
+  /** Extra detectors, applied before the built-ins */
+  custom?: RedactionDetector[];
+  /** Swap placeholders in responses back to the original values (default: true) */
+  rehydrate?: boolean;
+}
+
 export type AsyncValidatorFunction = (payload: Record<string, unknown>) => Promise<unknown>;
 export type LogLevel = 'trace' | 'debug' | 'info' | 'warn' | 'error' | 'fatal' | 'none';
 export type ServiceTier = 'STANDARD' | 'FLEX' | 'PRIORITY';
+export type ContextStrategy = 'truncate-oldest' | 'summarize' | 'sliding-window';
 
 // ── Constructor Options ──────────────────────────────────────────────────────
 
+// ── Client ───────────────────────────────────────────────────────────────────
+
+/**
+ * The slice of GoogleGenAI that ak-gemini calls. Pass any object with this shape
+ * as `client` (e.g. MockGeminiClient, a recorder, a proxy to a self-hosted
+ * Gemini-compatible endpoint). Only `models` is required; the rest are needed by
+ * the features that use them.
+ */
+export interface GeminiClient {
+  models: {
+    generateContent(params: { model: string; contents: any; config?: Record<string, any> }): Promise<any>;
+    generateContentStream(params: { model: string; contents: any; config?: Record<string, any> }): Promise<AsyncIterable<any>>;
+    countTokens(params: { model: string; contents: any; config?: Record<string, any> }): Promise<{ totalTokens?: number }>;
+    embedContent(params: { model: string; contents: any; config?: Record<string, any> }): Promise<{ embeddings?: Array<{ values?: number[] }> }>;
+    /** Used by `healthCheck: true` */
+    list?(params?: any): Promise<any>;
+  };
+  /** Chat sessions. Optional: without it, the SDK's Chat is built on top of `models`. */
+  chats?: { create(params: { model: string; config?: Record<string, any>; history?: any[] }): any };
+  /** Used by RagAgent `remoteFiles` */
+  files?: {
+    upload(params: { file: string | Blob; config?: Record<string, any> }): Promise<any>;
+    get(params: { name: string; config?: Record<string, any> }): Promise<any>;
+    delete?(params: { name: string }): Promise<any>;
+  };
+  /** Used by createCache() and friends */
+  caches?: {
+    create(params: { model: string; config?: Record<string, any> }): Promise<any>;
+    get(params: { name: string }): Promise<any>;
+    list(params?: any): Promise<AsyncIterable<any> | Iterable<any>>;
+    update(params: { name: string; config?: Record<string, any> }): Promise<any>;
+    delete(params: { name: string }): Promise<any>;
+  };
+  /** Used by BatchJob */
+  batches?: {
+    create(params: { model: string; src: any; config?: Record<string, any> }): Promise<any>;
+    get(params: { name: string }): Promise<any>;
+    cancel(params: { name: string }): Promise<any>;
+    list?(params?: any): Promise<any>;
+    delete?(params: { name: string }): Promise<any>;
+  };
+}
+
+/** Options GoogleGenAI would be constructed with; passed to `transport` */
+export interface GeminiClientOptions {
+  apiKey?: string;
+  vertexai?: boolean;
+  project?: string;
+  location?: string;
+  googleAuthOptions?: GoogleAuthOptions;
+  httpOptions?: Record<string, any>;
+}
+
+/** 'record' saves every model call to cassetteDir, 'replay' serves them back offline, 'passthrough' does neither */
+export type RecordMode = 'record' | 'replay' | 'passthrough';
+
+export interface CassetteClientOptions {
+  mode: RecordMode;
+  /** Directory holding one JSON file per recorded call */
+  dir: string;
+  /** Real client requests are forwarded to (required unless mode is 'replay') */
+  client?: GeminiClient | null;
+}
+
+/** What a response cache stores per key */
+export interface ResponseCacheEntry {
+  /** JSON-safe generateContent response */
+  response: Record<string, any>;
+  /** Epoch ms when the entry was stored */
+  storedAt: number;
+}
+
+/** Storage for `responseCache`: any object with async get/set (delete/clear optional) */
+export interface ResponseCache {
+  get(key: string): Promise<ResponseCacheEntry | null>;
+  set(key: string, entry: ResponseCacheEntry): Promise<void>;
+  delete?(key: string): Promise<void>;
+  clear?(): Promise<void>;
+}
+
+/** A scripted MockGeminiClient response */
+export interface MockResponseSpec {
+  text?: string;
+  functionCalls?: Array<{ name: string; args?: Record<string, any> }>;
+  /** Raw parts (overrides text / functionCalls) */
+  parts?: any[];
+  /** Token counts (default: ~4 characters per token) */
+  /** Token counts to report; the modality counts are included in promptTokens / responseTokens */
+  usage?: {
+    promptTokens?: number;
+    responseTokens?: number;
+    thoughtsTokens?: number;
+    /** Reported as cachedContentTokenCount */
+    cachedTokens?: number;
+    /** Reported in promptTokensDetails */
+    audioInputTokens?: number;
+    videoInputTokens?: number;
+    /** Reported in candidatesTokensDetails */
+    imageOutputTokens?: number;
+  };
+  finishReason?: string;
+  groundingMetadata?: Record<string, any>;
+  /** Echoed as modelVersion (default: the requested model) */
+  modelVersion?: string;
+  /** Milliseconds before the response arrives; the request's abortSignal cuts it short */
+  delayMs?: number;
+  /** Reported as the response's modelStatus (e.g. 'DEPRECATED') */
+  modelStatus?: string;
+}
+
+/** A string (text), a spec, an Error (thrown), or a function of the request returning one */
+export type MockResponse =
+  | string
+  | MockResponseSpec
+  | Error
+  | ((request: { model: string; contents: any[]; config?: Record<string, any> }) => string | MockResponseSpec | Error | Promise<string | MockResponseSpec | Error>);
+
+export interface MockGeminiClientOptions {
+  /** Used whenever the queue is empty (default: none — an empty queue throws) */
+  defaultResponse?: MockResponse;
+  /** Embedding size when no `embed` function is given (default: 8) */
+  embeddingDimensions?: number;
+  /** Custom embedding function (default: deterministic bag-of-words hashing) */
+  embed?: (text: string, config: Record<string, any>) => number[];
+  /** Characters per streamed chunk (default: 16) */
+  streamChunkSize?: number;
+  /** Status checks a batch job reports RUNNING before it completes (default: 1) */
+  batchPolls?: number;
+}
+
+export interface MockCall {
+  method: 'generateContent' | 'generateContentStream' | 'countTokens' | 'embedContent';
+  /** The request, without config.abortSignal */
+  params: any;
+  /** The request's config.abortSignal, if it had one */
+  signal: AbortSignal | null;
+}
+
 export interface BaseGeminiOptions {
   /** Gemini model to use (default: 'gemini-3-flash-preview') */
   modelName?: string;
+  /** Models to move to, in order, when the current one fails with a `fallbackOn` error or is DEPRECATED */
+  fallbackModels?: string[];
+  /** Error classes (instanceof) and HTTP statuses that trigger a fallback (default: RateLimitError, NetworkError, TimeoutError, SafetyBlockedError, 500, 502, 503, 504) */
+  fallbackOn?: Array<(new (...args: any[]) => Error) | number>;
   /** System prompt for the model (null or false to disable) */
   systemPrompt?: string | null | false;
   /** Chat session configuration overrides */
@@ -183,10 +766,14 @@ export interface BaseGeminiOptions {
   /** Cached content resource name to use for this session */
   cachedContent?: string;
 
-  /** Max retry attempts for 429 RESOURCE_EXHAUSTED errors (default: 5) */
+  /** Max retries for 429 and other retryable errors; the default for retryPolicy.maxRetries (default: 5) */
   resourceExhaustedRetries?: number;
-  /** Initial backoff delay in ms for 429 retries, doubles each attempt (default: 1000) */
+  /** Initial backoff delay in ms, doubles each attempt; the default for retryPolicy.initialDelayMs (default: 1000) */
   resourceExhaustedDelay?: number;
+  /** Which API failures are retried and how long to wait (false = never retry) */
+  retryPolicy?: RetryPolicy | false;
+  /** Default `timeoutMs` for every public call (default: null, no limit) */
+  timeoutMs?: number | null;
 
   /** Run models.list() health check during init() (default: false) */
   healthCheck?: boolean;
@@ -196,6 +783,53 @@ export interface BaseGeminiOptions {
 
   /** Surface server-side tool invocations (e.g. Google Search) in the response. @google/genai 1.46+ */
   includeServerSideToolInvocations?: boolean;
+
+  /** Persist chat history: restored in init(), saved after every turn */
+  sessionStore?: SessionStore;
+  /** Session key in the store (default: a random UUID, readable as instance.sessionId) */
+  sessionId?: string;
+
+  /** Use this client instead of constructing GoogleGenAI (skips the API key / project checks) */
+  client?: GeminiClient;
+  /** Builds the client from the options GoogleGenAI would get (skips the API key / project checks) */
+  transport?: (clientOptions: GeminiClientOptions) => GeminiClient;
+  /** HTTP options for the client, e.g. { baseUrl } for a Gemini-compatible endpoint */
+  httpOptions?: Record<string, any>;
+
+  /** Record model calls to cassetteDir, or replay them offline (default: 'passthrough') */
+  recordMode?: RecordMode;
+  /** Cassette directory (required for 'record' and 'replay') */
+  cassetteDir?: string;
+
+  /** Serve repeated stateless calls (Message.send, Transformer stateless) from a local cache. `true` = in-memory LRU. */
+  responseCache?: boolean | ResponseCache;
+
+  /** Middleware around every model call (same as calling use() for each) */
+  middleware?: Middleware[];
+
+  /** Replace PII with stable placeholders before anything is sent (true = all built-in detectors) */
+  redaction?: boolean | RedactionOptions;
+
+  /** Spend / token caps checked before every model call (pass a BudgetTracker to share one budget) */
+  budget?: BudgetOptions | BudgetTracker;
+
+  /** Client-side RPM / TPM limits checked before every model call (pass a RateLimiter to share one across instances) */
+  rateLimiter?: RateLimiterOptions | RateLimiter;
+  /** Lane this instance's calls queue in (default: 'interactive' for Chat and the agents, 'bulk' for Transformer, else 'default') */
+  rateLimitPriority?: RateLimitPriority;
+
+  /** Record every model call's usage, labels and class here (share one ledger across instances) */
+  usageLedger?: UsageLedger;
+
+  /** OpenTelemetry spans and metrics for model calls, tool executions and uploads (true = the host app's registered tracer/meter) */
+  telemetry?: boolean | TelemetryOptions | Telemetry;
+
+  /** Compact history when a send would exceed maxContextTokens (default: off). Seeded examples are always kept. */
+  contextStrategy?: ContextStrategy;
+  /** Input token budget checked with estimate() before each send (default: 200000) */
+  maxContextTokens?: number;
+  /** History items kept verbatim by 'sliding-window' and 'summarize' (default: 10) */
+  contextWindowSize?: number;
 }
 
 export interface TransformerOptions extends BaseGeminiOptions {
@@ -244,6 +878,70 @@ export interface MessageOptions extends BaseGeminiOptions {
   responseMimeType?: string;
 }
 
+export interface BatchJobOptions extends MessageOptions {
+  /** Delay between status checks in wait() (default: 30000 ms) */
+  pollInterval?: number;
+  /** Display name for submitted jobs */
+  displayName?: string;
+  /** Reattach to an existing job (e.g. 'batches/abc123') instead of submitting */
+  jobName?: string;
+}
+
+export interface BatchJobWaitOptions {
+  /** Override the instance pollInterval */
+  pollInterval?: number;
+  /** Give up waiting (the job keeps running) after this many ms */
+  timeoutMs?: number;
+  /** Called with the job state after each poll that isn't final */
+  onPoll?: (info: BatchJobInfo) => void;
+  /** Stops waiting (throws AbortError); the job keeps running */
+  signal?: AbortSignal;
+}
+
+export interface BatchJobInfo {
+  name: string;
+  /** SDK JobState, e.g. 'JOB_STATE_RUNNING', 'JOB_STATE_SUCCEEDED' */
+  state: string;
+  /** true once the job is in a terminal state */
+  done: boolean;
+  createTime: string | null;
+  updateTime: string | null;
+  endTime: string | null;
+  /** Set when the job failed or was cancelled */
+  error: string | null;
+}
+
+export interface BatchJobItemResult {
+  /** Position of the payload passed to submit() */
+  index: number;
+  ok: boolean;
+  text: string | null;
+  /** Parsed JSON when responseSchema / responseMimeType 'application/json' is set */
+  data?: any;
+  error: string | null;
+  /** estimatedCost is at batch pricing */
+  usage: UsageData | null;
+}
+
+export interface BatchJobResult {
+  name: string;
+  state: string;
+  /** One entry per submitted payload, in input order */
+  results: BatchJobItemResult[];
+  summary: {
+    total: number;
+    succeeded: number;
+    failed: number;
+    promptTokens: number;
+    responseTokens: number;
+    thoughtsTokens: number;
+    totalTokens: number;
+    /** Estimated USD cost at batch pricing. null when the model is unpriced. */
+    estimatedCost: number | null;
+    costBreakdown: CostBreakdown | null;
+  };
+}
+
 export type EmbeddingTaskType = 'RETRIEVAL_DOCUMENT' | 'RETRIEVAL_QUERY' | 'SEMANTIC_SIMILARITY' | 'CLUSTERING' | 'CLASSIFICATION' | 'QUESTION_ANSWERING' | 'FACT_VERIFICATION';
 
 export interface EmbeddingOptions extends BaseGeminiOptions {
@@ -257,7 +955,7 @@ export interface EmbeddingOptions extends BaseGeminiOptions {
   autoTruncate?: boolean;
 }
 
-export interface EmbedConfig {
+export interface EmbedConfig extends CallOptions {
   /** Override task type for this call */
   taskType?: EmbeddingTaskType;
   /** Override title for this call */
@@ -273,6 +971,51 @@ export interface EmbeddingResult {
   statistics?: { tokenCount?: number; truncated?: boolean };
 }
 
+// ── VectorIndex ──────────────────────────────────────────────────────────────
+
+export interface VectorIndexOptions {
+  /** Embeds text documents (RETRIEVAL_DOCUMENT) and text queries (RETRIEVAL_QUERY) */
+  embedder?: Embedding;
+  /** Default file for save() / load() */
+  path?: string;
+}
+
+export interface VectorDocument {
+  id: string;
+  /** Text to embed (skipped when unchanged since the last add) */
+  text?: string;
+  /** Precomputed vector, used as-is */
+  vector?: number[];
+  metadata?: Record<string, any>;
+}
+
+export interface VectorEntry {
+  id: string;
+  /** sha256 of embedding model + text; null for precomputed vectors */
+  hash: string | null;
+  text?: string;
+  metadata: Record<string, any>;
+  values: number[];
+}
+
+export interface VectorQueryResult {
+  id: string;
+  /** Cosine similarity to the query (-1 to 1) */
+  score: number;
+  text?: string;
+  metadata: Record<string, any>;
+}
+
+/** Metadata values to match exactly, or a predicate */
+export type VectorIndexFilter = Record<string, any> | ((metadata: Record<string, any>, id: string) => boolean);
+
+export interface VectorSyncStats {
+  added: number;
+  updated: number;
+  unchanged: number;
+  removed: number;
+}
+
 // ── ImageGenerator ───────────────────────────────────────────────────────────
 
 export type ImageAspectRatio = '1:1' | '2:3' | '3:2' | '3:4' | '4:3' | '9:16' | '16:9' | '21:9';
@@ -290,7 +1033,7 @@ export interface ImageGeneratorOptions extends BaseGeminiOptions {
   includeText?: boolean;
 }
 
-export interface ImageGenerateOptions {
+export interface ImageGenerateOptions extends CallOptions {
   aspectRatio?: ImageAspectRatio;
   imageSize?: ImageSize;
   personGeneration?: PersonGeneration;
@@ -330,8 +1073,8 @@ export interface ToolDeclaration {
 export interface ToolAgentOptions extends BaseGeminiOptions {
   /** Tool declarations for the model */
   tools?: ToolDeclaration[];
-  /** Function to execute tool calls: (toolName, args) => result */
-  toolExecutor?: (toolName: string, args: Record<string, any>) => Promise<any>;
+  /** Function to execute tool calls: (toolName, args, { signal }) => result */
+  toolExecutor?: (toolName: string, args: Record<string, any>, opts: { signal?: AbortSignal }) => Promise<any>;
   /** Max tool-use loop iterations (default: 10) */
   maxToolRounds?: number;
   /** Callback fired when a tool is called */
@@ -358,6 +1101,61 @@ export interface RagAgentOptions extends BaseGeminiOptions {
   localFiles?: string[];
   /** In-memory data objects to include as context */
   localData?: LocalDataEntry[];
+  /** 'context' (default) puts everything in the context window; 'vector' embeds localFiles/localData and sends only the top-k chunks per question */
+  retrieval?: 'context' | 'vector';
+  /** Chunks retrieved per question in vector mode (default: 5) */
+  topK?: number;
+  /** Target chunk size in characters (default: 2000) */
+  chunkSize?: number;
+  /** Characters of trailing lines repeated at the start of the next chunk (default: 200) */
+  chunkOverlap?: number;
+  /** Embedding model for vector mode (default: 'gemini-embedding-001') */
+  embeddingModel?: string;
+  /** Ask the model to cite sources with [n] markers and return parsed `citations` (default: true) */
+  citations?: boolean;
+}
+
+/** Where a piece of an answer came from */
+export interface RagSource {
+  /** File name, localData entry name, or (web) page title */
+  source: string;
+  type: 'remoteFile' | 'localFile' | 'localData' | 'web';
+  /** Absolute path (local and remote files) */
+  path?: string;
+  /** Files API or web URI */
+  uri?: string;
+  /** 1-based line range (vector-mode chunks only) */
+  startLine?: number;
+  endLine?: number;
+  /** Retrieved chunk id (vector mode only) */
+  chunkId?: string;
+}
+
+export interface RagCitation extends RagSource {
+  /** The `[n]` label the model used (absent for groundingMetadata citations) */
+  marker?: number;
+  /** The cited span of the answer */
+  text: string;
+  /** Character offsets of the span in the answer text */
+  start: number;
+  end: number;
+}
+
+export interface RetrievedChunk {
+  /** Stable chunk id: `${source}#${index}` */
+  id: string;
+  /** Local file name or localData entry name */
+  source: string;
+  type: 'localFile' | 'localData';
+  /** Absolute path (local files only) */
+  path?: string;
+  /** 1-based first line of the chunk within its source */
+  startLine: number;
+  /** 1-based last line (inclusive) */
+  endLine: number;
+  text: string;
+  /** Cosine similarity to the question */
+  score: number;
 }
 
 export interface CodeAgentOptions extends BaseGeminiOptions {
@@ -398,8 +1196,8 @@ export interface CodeAgentOptions extends BaseGeminiOptions {
     input_schema?: any;
     inputSchema?: any;
   }>;
-  /** Function to execute custom tool calls: (toolName, args) => result */
-  toolExecutor?: (toolName: string, args: Record<string, any>) => Promise<any>;
+  /** Function to execute custom tool calls: (toolName, args, { signal }) => result */
+  toolExecutor?: (toolName: string, args: Record<string, any>, opts: { signal?: AbortSignal }) => Promise<any>;
 }
 
 export interface CodeExecution {
@@ -478,7 +1276,7 @@ export interface CodeAgentStreamEvent {
 
 // ── Per-Message Options ──────────────────────────────────────────────────────
 
-export interface SendOptions {
+export interface SendOptions extends CallOptions {
   /** Per-message billing labels */
   labels?: Record<string, string>;
   /** Send without affecting chat history (Transformer only) */
@@ -496,6 +1294,127 @@ export interface SendOptions {
   [key: string]: any;
 }
 
+export interface TransformerStreamEvent {
+  type: 'partial' | 'retry' | 'done';
+  /** For 'partial' events: best-effort object so far (unvalidated). For 'done': the validated result. */
+  data?: any;
+  /** For 'retry' events: 1-based attempt that failed */
+  attempt?: number;
+  /** For 'retry' events: why the attempt failed */
+  error?: string;
+  /** For 'done' events: the complete streamed text of the first attempt */
+  fullText?: string;
+  /** For 'done' events: token usage across all attempts */
+  usage?: UsageData | null;
+}
+
+export interface BatchOptions extends CallOptions {
+  /** Max items in flight at once: a positive integer or Infinity (default: 5). Forced to 1 when stateless is false. */
+  concurrency?: number;
+  /** Send each item as an independent generateContent() call carrying the seeded examples (default: true) */
+  stateless?: boolean;
+  /** Per-message billing labels applied to every item */
+  labels?: Record<string, string>;
+  /** Override max retries per item */
+  maxRetries?: number;
+  /** Override retry delay per item */
+  retryDelay?: number;
+  /** Called after each item settles (success or failure) */
+  onProgress?: (progress: BatchProgress) => void;
+}
+
+export interface BatchProgress {
+  /** Index of the item that just settled */
+  index: number;
+  completed: number;
+  total: number;
+  succeeded: number;
+  failed: number;
+  result: BatchItemResult;
+}
+
+export interface BatchItemResult {
+  ok: boolean;
+  /** Transformed payload (null when ok is false) */
+  data: any;
+  /** Last error message (null when ok is true) */
+  error: string | null;
+  /** Usage summed across this item's attempts (null if no call completed) */
+  usage: UsageData | null;
+  attempts: number;
+}
+
+export interface BatchResult {
+  /** One entry per input item, in input order */
+  results: BatchItemResult[];
+  summary: {
+    total: number;
+    succeeded: number;
+    failed: number;
+    promptTokens: number;
+    responseTokens: number;
+    thoughtsTokens: number;
+    totalTokens: number;
+    /** Estimated USD cost of the whole run (failed attempts included). null when the model is unpriced. */
+    estimatedCost: number | null;
+    costBreakdown: CostBreakdown | null;
+  };
+}
+
+export interface TransformFileOptions extends Omit<BatchOptions, 'onProgress'> {
+  /** Rows per window; outputs and the checkpoint are written after each window (default: 100) */
+  checkpointEvery?: number;
+  /** Ignore an existing checkpoint and overwrite the outputs (default: false) */
+  restart?: boolean;
+  /** Failed rows as JSONL (default: `<output>.errors.jsonl`) */
+  errorsPath?: string;
+  /** Checkpoint file (default: `<output>.checkpoint.json`) */
+  checkpointPath?: string;
+  /** Called with a copy of the checkpoint after each window is written */
+  onCheckpoint?: (checkpoint: TransformFileCheckpoint) => void;
+}
+
+/** The checkpoint written next to transformFile() output */
+export interface TransformFileCheckpoint {
+  version: 1;
+  /** Absolute input path (a resume with a different input throws) */
+  input: string;
+  output: string;
+  errors: string;
+  model: string;
+  /** Input lines fully handled; a resume skips these */
+  rowsDone: number;
+  succeeded: number;
+  failed: number;
+  /** Output / errors file sizes at this checkpoint; a resume truncates back to them */
+  outputBytes: number;
+  errorsBytes: number;
+  /** Token totals across every run of this job */
+  usage: { promptTokens: number; responseTokens: number; thoughtsTokens: number; totalTokens: number };
+  /** Estimated USD cost across every run. null until a call is made, or once any item's cost was unknown. */
+  estimatedCost: number | null;
+  /** An item had no pricing, so estimatedCost stays null */
+  unpriced?: boolean;
+  completed: boolean;
+  startedAt: string;
+  updatedAt: string;
+}
+
+export interface TransformFileResult {
+  outputPath: string;
+  errorsPath: string;
+  checkpointPath: string;
+  /** Input lines skipped because an earlier run finished them (0 on a fresh run) */
+  resumedFrom: number;
+  /** Rows handled by this run */
+  processed: number;
+  /** Totals across every run of this job */
+  succeeded: number;
+  failed: number;
+  usage: TransformFileCheckpoint['usage'];
+  estimatedCost: number | null;
+}
+
 // ── Response Types ───────────────────────────────────────────────────────────
 
 export interface ChatResponse {
@@ -524,6 +1443,10 @@ export interface MessageResponse {
 export interface RagResponse {
   /** The model's text response */
   text: string;
+  /** Sources cited in the answer, in order of appearance ([n] markers first, then groundingMetadata) */
+  citations: RagCitation[];
+  /** Chunks sent with the question (vector retrieval only), best first */
+  chunks?: RetrievedChunk[];
   /** Token usage data */
   usage: UsageData | null;
 }
@@ -534,6 +1457,10 @@ export interface RagStreamEvent {
   text?: string;
   /** For 'done' events: complete accumulated text */
   fullText?: string;
+  /** For 'done' events: sources cited in the answer */
+  citations?: RagCitation[];
+  /** For 'done' events: chunks sent with the question (vector retrieval only) */
+  chunks?: RetrievedChunk[];
   /** For 'done' events: token usage */
   usage?: UsageData | null;
 }
@@ -579,13 +1506,39 @@ export interface SeedOptions {
 
 // ── Class Declarations ───────────────────────────────────────────────────────
 
-export declare class BaseGemini {
+export declare class BaseGemini extends EventEmitter {
   constructor(options?: BaseGeminiOptions);
 
+  on<E extends keyof GeminiEvents>(event: E, listener: (payload: GeminiEvents[E]) => void): this;
+  once<E extends keyof GeminiEvents>(event: E, listener: (payload: GeminiEvents[E]) => void): this;
+  off<E extends keyof GeminiEvents>(event: E, listener: (payload: GeminiEvents[E]) => void): this;
+  /** Listener errors are logged, not thrown; `error` without a listener is dropped */
+  emit<E extends keyof GeminiEvents>(event: E, payload: GeminiEvents[E]): boolean;
+
+  /** Model calls are sent to; changes when the instance falls back */
   modelName: string;
+  /** The `modelName` the instance was created with */
+  primaryModel: string;
+  fallbackModels: string[];
+  fallbackOn: Array<(new (...args: any[]) => Error) | number>;
   systemPrompt: string | null | false;
   chatConfig: ChatConfig;
+  /** The GoogleGenAI instance, or the `client` / `transport` result */
   genAIClient: any;
+  recordMode: RecordMode;
+  cassetteDir: string | null;
+  responseCache: ResponseCache | null;
+  /** Tracker this instance's calls are recorded against (null without `budget`) */
+  budget: BudgetTracker | null;
+  /** Limiter this instance's calls wait on (null without `rateLimiter`) */
+  rateLimiter: RateLimiter | null;
+  rateLimitPriority: RateLimitPriority;
+  usageLedger: UsageLedger | null;
+  telemetry: Telemetry | null;
+  /** `retryPolicy` merged over DEFAULT_RETRY_POLICY */
+  retryPolicy: ResolvedRetryPolicy;
+  /** Default per-call time limit in ms (null = none) */
+  timeoutMs: number | null;
   chatSession: any;
   lastResponseMetadata: ResponseMetadata | null;
   exampleCount: number;
@@ -596,11 +1549,20 @@ export declare class BaseGemini {
   cachedContent: string | null;
   serviceTier: ServiceTier | null;
   includeServerSideToolInvocations: boolean;
+  sessionStore: SessionStore | null;
+  sessionId: string | null;
+  contextStrategy: ContextStrategy | null;
+  maxContextTokens: number;
+  contextWindowSize: number;
 
   init(force?: boolean): Promise<void>;
   seed(examples?: TransformationExample[], opts?: SeedOptions): Promise<any[]>;
   getHistory(curated?: boolean): any[];
   clearHistory(): Promise<void>;
+  /** Placeholder mapping for `redaction` (null when off) */
+  redactor: Redactor | null;
+  /** Register middleware around every model call; returns this for chaining */
+  use(middleware: Middleware): this;
   getLastUsage(): UsageData | null;
   estimate(nextPayload: Record<string, unknown> | string): Promise<{ inputTokens: number }>;
   estimateCost(nextPayload: Record<string, unknown> | string): Promise<{
@@ -633,8 +1595,14 @@ export declare class Transformer extends BaseGemini {
   retryDelay: number;
   seed(examples?: TransformationExample[]): Promise<any[]>;
   send(payload: Record<string, unknown> | string, opts?: SendOptions, validatorFn?: AsyncValidatorFunction | null): Promise<Record<string, unknown>>;
-  rawSend(payload: Record<string, unknown> | string, messageOptions?: { labels?: Record<string, string> }): Promise<Record<string, unknown>>;
+  rawSend(payload: Record<string, unknown> | string, messageOptions?: { labels?: Record<string, string> } & CallOptions): Promise<Record<string, unknown>>;
   rebuild(lastPayload: Record<string, unknown>, serverError: string): Promise<Record<string, unknown>>;
+  /** Transform a payload, streaming best-effort partial objects before the validated result */
+  stream(payload: Record<string, unknown> | string, opts?: SendOptions, validatorFn?: AsyncValidatorFunction | null): AsyncGenerator<TransformerStreamEvent, void, unknown>;
+  /** Transform many payloads concurrently; one failing item never rejects the run */
+  transformBatch(items: Array<Record<string, unknown> | string>, opts?: BatchOptions, validatorFn?: AsyncValidatorFunction | null): Promise<BatchResult>;
+  /** JSONL in → JSONL out with a checkpoint; re-running resumes after the last completed window */
+  transformFile(inputPath: string, outputPath: string, opts?: TransformFileOptions, validatorFn?: AsyncValidatorFunction | null): Promise<TransformFileResult>;
   reset(): Promise<void>;
   updateSystemPrompt(newPrompt: string): Promise<void>;
 }
@@ -642,22 +1610,46 @@ export declare class Transformer extends BaseGemini {
 export declare class Chat extends BaseGemini {
   constructor(options?: ChatOptions);
 
-  send(message: string, opts?: { labels?: Record<string, string> }): Promise<ChatResponse>;
-  stream(message: string, opts?: { labels?: Record<string, string> }): AsyncGenerator<ChatStreamEvent, void, unknown>;
+  send(message: string, opts?: { labels?: Record<string, string> } & CallOptions): Promise<ChatResponse>;
+  stream(message: string, opts?: { labels?: Record<string, string> } & CallOptions): AsyncGenerator<ChatStreamEvent, void, unknown>;
 }
 
 export declare class Message extends BaseGemini {
   constructor(options?: MessageOptions);
 
   init(force?: boolean): Promise<void>;
-  send(payload: Record<string, unknown> | string, opts?: { labels?: Record<string, string> }): Promise<MessageResponse>;
+  send(payload: Record<string, unknown> | string, opts?: { labels?: Record<string, string> } & CallOptions): Promise<MessageResponse>;
+  /** send(), streamed as text events and a final done event with usage */
+  stream(payload: Record<string, unknown> | string, opts?: { labels?: Record<string, string> } & CallOptions): AsyncGenerator<ChatStreamEvent, void, unknown>;
+}
+
+export declare class BatchJob extends Message {
+  constructor(options?: BatchJobOptions);
+
+  pollInterval: number;
+  displayName: string | null;
+  /** Resource name of the submitted (or reattached) job */
+  jobName: string | null;
+  /** Job state from the last submit() / status() call */
+  info: BatchJobInfo | null;
+
+  /** Submit payloads (sent like Message.send()) as one inline batch job */
+  submit(payloads: Array<Record<string, unknown> | string>): Promise<BatchJobInfo>;
+  status(): Promise<BatchJobInfo>;
+  /** Poll until the job finishes, then return results() */
+  wait(opts?: BatchJobWaitOptions): Promise<BatchJobResult>;
+  /** submit() then wait() */
+  run(payloads: Array<Record<string, unknown> | string>, opts?: BatchJobWaitOptions): Promise<BatchJobResult>;
+  /** Responses of a finished job, in input order */
+  results(): Promise<BatchJobResult>;
+  cancel(): Promise<BatchJobInfo>;
 }
 
 export declare class ToolAgent extends BaseGemini {
   constructor(options?: ToolAgentOptions);
 
   tools: ToolDeclaration[];
-  toolExecutor: ((toolName: string, args: Record<string, any>) => Promise<any>) | null;
+  toolExecutor: ((toolName: string, args: Record<string, any>, opts: { signal?: AbortSignal }) => Promise<any>) | null;
   maxToolRounds: number;
   onToolCall: ((toolName: string, args: Record<string, any>) => void) | null;
   onBeforeExecution: ((toolName: string, args: Record<string, any>) => Promise<boolean>) | null;
@@ -665,8 +1657,8 @@ export declare class ToolAgent extends BaseGemini {
   writeDir: string | null;
   parallelToolCalls: boolean | number;
 
-  chat(message: string, opts?: { labels?: Record<string, string> }): Promise<AgentResponse>;
-  stream(message: string, opts?: { labels?: Record<string, string> }): AsyncGenerator<AgentStreamEvent, void, unknown>;
+  chat(message: string, opts?: { labels?: Record<string, string> } & CallOptions): Promise<AgentResponse>;
+  stream(message: string, opts?: { labels?: Record<string, string> } & CallOptions): AsyncGenerator<AgentStreamEvent, void, unknown>;
   /** Stop the agent before the next tool execution round */
   stop(): void;
 }
@@ -680,10 +1672,20 @@ export declare class RagAgent extends BaseGemini {
   localFiles: string[];
   /** In-memory data objects */
   localData: LocalDataEntry[];
+  retrieval: 'context' | 'vector';
+  topK: number;
+  chunkSize: number;
+  chunkOverlap: number;
+  /** Embedding client used in vector mode (shares this instance's SDK client) */
+  embedder: Embedding | null;
+  /** Chunk index used in vector mode */
+  index: VectorIndex | null;
+  /** Whether answers are cited with [n] markers */
+  citations: boolean;
 
   init(force?: boolean): Promise<void>;
-  chat(message: string, opts?: { labels?: Record<string, string> }): Promise<RagResponse>;
-  stream(message: string, opts?: { labels?: Record<string, string> }): AsyncGenerator<RagStreamEvent, void, unknown>;
+  chat(message: string, opts?: { labels?: Record<string, string> } & CallOptions): Promise<RagResponse>;
+  stream(message: string, opts?: { labels?: Record<string, string> } & CallOptions): AsyncGenerator<RagStreamEvent, void, unknown>;
   /** Add remote files uploaded via Files API (triggers reinitialize) */
   addRemoteFiles(paths: string[]): Promise<void>;
   /** Add local text files read from disk (triggers reinitialize) */
@@ -716,11 +1718,11 @@ export declare class CodeAgent extends BaseGemini {
   skills: string[];
   envOverview: string;
   customTools: Array<{ name: string; description: string; parametersJsonSchema: any }>;
-  toolExecutor: ((toolName: string, args: Record<string, any>) => Promise<any>) | null;
+  toolExecutor: ((toolName: string, args: Record<string, any>, opts: { signal?: AbortSignal }) => Promise<any>) | null;
 
   init(force?: boolean): Promise<void>;
-  chat(message: string, opts?: { labels?: Record<string, string> }): Promise<CodeAgentResponse>;
-  stream(message: string, opts?: { labels?: Record<string, string> }): AsyncGenerator<CodeAgentStreamEvent, void, unknown>;
+  chat(message: string, opts?: { labels?: Record<string, string> } & CallOptions): Promise<CodeAgentResponse>;
+  stream(message: string, opts?: { labels?: Record<string, string> } & CallOptions): AsyncGenerator<CodeAgentStreamEvent, void, unknown>;
   dump(): Array<{ fileName: string; purpose: string | null; script: string; filePath: string | null; tool: string }>;
   stop(): void;
 }
@@ -742,6 +1744,289 @@ export declare class Embedding extends BaseGemini {
   similarity(a: number[], b: number[]): number;
 }
 
+export declare class Redactor {
+  constructor(options?: RedactionOptions);
+  detectors: RedactionDetector[];
+  /** Number of distinct values redacted so far */
+  readonly size: number;
+  redact(text: string): string;
+  /** Known placeholders back to original values; unknown ones are left alone */
+  rehydrate(text: string): string;
+  redactDeep<T>(value: T): T;
+  rehydrateDeep<T>(value: T): T;
+  clear(): void;
+  /** Never includes the mapping */
+  toJSON(): { detectors: string[]; size: number };
+}
+
+export declare const BUILTIN_DETECTORS: RedactionDetector[];
+/** The middleware BaseGemini installs for `redaction`; use it directly to share one Redactor across instances */
+export declare function redactionMiddleware(redactor: Redactor, options?: { rehydrate?: boolean }): Middleware;
+
+export declare class VectorIndex {
+  constructor(options?: VectorIndexOptions);
+
+  embedder: Embedding | null;
+  path: string | null;
+  entries: Map<string, VectorEntry>;
+  dimensions: number | null;
+  readonly size: number;
+
+  has(id: string): boolean;
+  get(id: string): VectorEntry | null;
+  /** Add or replace one document; text is re-embedded only when its content hash changed */
+  add(id: string, textOrVector: string | number[], metadata?: Record<string, any>): Promise<'added' | 'updated' | 'unchanged'>;
+  /** Add or replace many documents, embedding only new or changed texts in batches */
+  addMany(docs: VectorDocument[]): Promise<Omit<VectorSyncStats, 'removed'>>;
+  /** Make the index hold exactly `docs` (adds, updates, and removes the rest) */
+  sync(docs: VectorDocument[]): Promise<VectorSyncStats>;
+  remove(id: string): boolean;
+  clear(): void;
+  /** Top-k entries by cosine similarity, best first */
+  query(textOrVector: string | number[], k?: number, filter?: VectorIndexFilter): Promise<VectorQueryResult[]>;
+  /** Write the index to a JSON file */
+  save(path?: string): Promise<void>;
+  /** Load entries from a JSON file (missing file = empty index) */
+  load(path?: string): Promise<this>;
+}
+
+export declare class CassetteClient implements GeminiClient {
+  constructor(options: CassetteClientOptions);
+  mode: RecordMode;
+  dir: string;
+  client: GeminiClient | null;
+  models: GeminiClient['models'];
+  files: NonNullable<GeminiClient['files']>;
+  caches: NonNullable<GeminiClient['caches']>;
+  batches: NonNullable<GeminiClient['batches']>;
+  /** Cassette file for a request (advances the repeat counter for that request) */
+  locate(method: ModelCallMethod, params: any): { hash: string; file: string; request: Record<string, any> };
+}
+
+export interface GeminiErrorDetails {
+  /** The underlying error (SDK error, parse error, the validator's or tool's own error) */
+  cause?: unknown;
+  /** HTTP status (default: read from `cause`) */
+  status?: number | null;
+  /** Attempts made before giving up (default 1) */
+  attempts?: number;
+  /** Usage spent before the failure, when the class tracks it */
+  usage?: UsageData | null;
+  /** Whether the same request might succeed if retried (default: status >= 500) */
+  retryable?: boolean;
+}
+
+/** Base class of every error ak-gemini throws for an API, parsing, validation or tool failure */
+export declare class GeminiError extends Error {
+  constructor(message: string, details?: GeminiErrorDetails);
+  status: number | null;
+  attempts: number;
+  usage: UsageData | null;
+  retryable: boolean;
+}
+
+/** 429 / RESOURCE_EXHAUSTED, after `resourceExhaustedRetries` ran out */
+export declare class RateLimitError extends GeminiError {
+  name: 'RateLimitError';
+}
+
+/** The prompt was blocked, or the response was withheld with no content */
+export declare class SafetyBlockedError extends GeminiError {
+  constructor(message: string, details?: GeminiErrorDetails & { reason?: string; safetyRatings?: any[] });
+  name: 'SafetyBlockedError';
+  /** blockReason or finishReason, e.g. 'SAFETY', 'RECITATION' */
+  reason: string | null;
+  safetyRatings: any[];
+}
+
+/** Transformer couldn't parse the model's response as JSON */
+export declare class InvalidJSONError extends GeminiError {
+  constructor(message: string, details?: GeminiErrorDetails & { text?: string | null });
+  name: 'InvalidJSONError';
+  text: string | null;
+}
+
+/** A Transformer validator rejected the payload */
+export declare class ValidationError extends GeminiError {
+  constructor(message: string, details?: GeminiErrorDetails & { data?: any });
+  name: 'ValidationError';
+  /** The rejected payload */
+  data: any;
+}
+
+/** 401 / 403, or no API key */
+export declare class AuthError extends GeminiError {
+  name: 'AuthError';
+}
+
+/** The input is over the model's context window */
+export declare class ContextLengthError extends GeminiError {
+  name: 'ContextLengthError';
+}
+
+/** A ToolAgent / CodeAgent tool threw */
+export declare class ToolExecutionError extends GeminiError {
+  constructor(message: string, details?: GeminiErrorDetails & { toolName?: string; args?: Record<string, any> });
+  name: 'ToolExecutionError';
+  toolName: string | null;
+  args: Record<string, any>;
+}
+
+/** The caller's AbortSignal cancelled the call (`cause` is the signal's reason) */
+export declare class AbortError extends GeminiError {
+  name: 'AbortError';
+}
+
+/** 408 / 504 / DEADLINE_EXCEEDED, a `timeoutMs` that ran out, or a wait that ran out */
+export declare class TimeoutError extends GeminiError {
+  constructor(message: string, details?: GeminiErrorDetails & { timeoutMs?: number | null });
+  name: 'TimeoutError';
+  timeoutMs: number | null;
+}
+
+/** The connection failed before a response (ECONNRESET, ENOTFOUND, `fetch failed`, ...) */
+export declare class NetworkError extends GeminiError {
+  constructor(message: string, details?: GeminiErrorDetails & { code?: string | null });
+  name: 'NetworkError';
+  /** e.g. 'ECONNRESET' */
+  code: string | null;
+}
+
+/** Defaults for every `retryPolicy` field */
+export declare const DEFAULT_RETRY_POLICY: Readonly<ResolvedRetryPolicy>;
+
+/** Maps an SDK/HTTP error onto the typed classes; errors that aren't API failures are returned unchanged */
+export declare function classifyError(err: unknown, opts?: { message?: string }): unknown;
+
+export declare class BudgetExceededError extends GeminiError {
+  constructor(details: { limit: 'maxUSD' | 'maxTokens'; max: number; spent: number; estimated: number; scope: string });
+  name: 'BudgetExceededError';
+  limit: 'maxUSD' | 'maxTokens';
+  max: number;
+  /** Spent before the refused call */
+  spent: number;
+  /** The refused call's estimated input (USD or tokens, matching `limit`) */
+  estimated: number;
+  /** 'instance', 'process', or the shared tracker's name */
+  scope: string;
+}
+
+export declare class BudgetTracker {
+  constructor(options?: BudgetLimits & { name?: string });
+  /** Tracker shared by every `scope: 'process'` instance (no caps of its own) */
+  static readonly process: BudgetTracker;
+  maxUSD: number | null;
+  maxTokens: number | null;
+  warnAt: number | null;
+  name: string;
+  spentUSD: number;
+  spentTokens: number;
+  calls: number;
+  remaining(limits?: BudgetLimits): { usd: number | null; tokens: number | null };
+  /** Throws BudgetExceededError if `estimate` on top of the spend would cross a cap */
+  check(estimate: { usd?: number | null; tokens?: number }, limits?: BudgetLimits, scope?: string): void;
+  record(spend: { usd?: number | null; tokens?: number }): void;
+  reset(): void;
+}
+
+export declare const RATE_LIMIT_PRIORITIES: readonly ['interactive', 'default', 'bulk'];
+
+export declare class RateLimiter {
+  constructor(options?: RateLimiterOptions);
+  rpm: number | null;
+  tpm: number | null;
+  estimate: 'approximate' | 'countTokens';
+  name: string;
+  /** Calls let through so far */
+  acquired: number;
+  /** Of those, how many had to wait */
+  throttled: number;
+  /** Calls waiting in each lane */
+  readonly queued: Record<RateLimitPriority, number>;
+  /** What's left in each bucket (null = unlimited); tokens go negative after underestimates */
+  available(): { requests: number | null; tokens: number | null };
+  /** Waits for a request slot and `tokens` input tokens; resolves with the ms waited */
+  acquire(request?: { tokens?: number; priority?: RateLimitPriority; signal?: AbortSignal | null }): Promise<number>;
+  /** Corrects the token bucket with a call's reported prompt tokens */
+  reconcile(estimated: number, actual: number): void;
+  /** After a 429: empties the buckets and holds every lane for `ms` */
+  backOff(ms?: number): void;
+}
+
+export declare class Telemetry {
+  constructor(options?: TelemetryOptions);
+  tracer: any;
+  meter: any;
+  /** Resolves the tracer/meter (loading @opentelemetry/api if needed) and creates the instruments */
+  ready(): Promise<void>;
+  /** Runs fn inside an active INTERNAL span; errors are recorded and rethrown */
+  span<T>(name: string, attributes: Record<string, any>, fn: (span: any) => Promise<T>): Promise<T>;
+  /** Traces and times one tool execution (`execute_tool <name>`) */
+  tool<T>(className: string, toolName: string, fn: () => Promise<T>): Promise<T>;
+}
+
+export declare class UsageLedger {
+  constructor(options?: { onRecord?: (entry: UsageLedgerEntry) => void });
+  entries: UsageLedgerEntry[];
+  onRecord: ((entry: UsageLedgerEntry) => void) | null;
+  /** Add an entry (tokens default to 0; estimatedCost is computed when omitted) */
+  record(entry: Partial<UsageLedgerEntry> & { model: string }): UsageLedgerEntry;
+  /** Totals per group, highest estimated cost first */
+  summary(opts?: UsageLedgerSummaryOptions): UsageLedgerSummaryRow[];
+  /** One row per call, or summary rows when groupBy is given */
+  toCSV(opts?: UsageLedgerSummaryOptions): string;
+  toJSON(): { entries: UsageLedgerEntry[] };
+  static fromJSON(data: string | { entries: UsageLedgerEntry[] }): UsageLedger;
+  /** CSV for a .csv path, JSON otherwise */
+  save(filePath: string, opts?: UsageLedgerSummaryOptions): Promise<string>;
+  clear(): void;
+}
+
+export declare class MemoryResponseCache implements ResponseCache {
+  constructor(options?: { maxEntries?: number; ttl?: number | null });
+  maxEntries: number;
+  /** Entry lifetime in ms (null = no expiry) */
+  ttl: number | null;
+  readonly size: number;
+  get(key: string): Promise<ResponseCacheEntry | null>;
+  set(key: string, entry: ResponseCacheEntry): Promise<void>;
+  delete(key: string): Promise<void>;
+  clear(): Promise<void>;
+}
+
+export declare class FileResponseCache implements ResponseCache {
+  constructor(options: { dir: string; ttl?: number | null });
+  dir: string;
+  ttl: number | null;
+  /** File path for a cache key */
+  pathFor(key: string): string;
+  get(key: string): Promise<ResponseCacheEntry | null>;
+  set(key: string, entry: ResponseCacheEntry): Promise<void>;
+  delete(key: string): Promise<void>;
+  clear(): Promise<void>;
+}
+
+export declare class MockGeminiClient implements GeminiClient {
+  constructor(options?: MockGeminiClientOptions);
+  models: GeminiClient['models'];
+  chats: NonNullable<GeminiClient['chats']>;
+  files: NonNullable<GeminiClient['files']> & { list(): Promise<any[]> };
+  caches: NonNullable<GeminiClient['caches']>;
+  batches: Required<NonNullable<GeminiClient['batches']>>;
+  batchPolls: number;
+  /** Every models call, in order (params are deep copies) */
+  calls: MockCall[];
+  defaultResponse: MockResponse | null;
+  readonly pending: number;
+  /** Queue responses for upcoming generateContent / generateContentStream calls */
+  respond(...responses: MockResponse[]): this;
+  /** Queue a failure; a number becomes an API error with that status (429 is retried) */
+  fail(error: Error | number, message?: string): this;
+  /** Recorded params for one method ('generateContent' includes stream calls) */
+  requests(method?: MockCall['method']): any[];
+  reset(): this;
+}
+
 export declare class ImageGenerator extends BaseGemini {
   constructor(options?: ImageGeneratorOptions);
 
@@ -757,30 +2042,60 @@ export declare class ImageGenerator extends BaseGemini {
   save(result: ImageGenerationResult, filePath: string): string[];
 }
 
+export declare class MemorySessionStore implements SessionStore {
+  constructor();
+  load(id: string): Promise<SessionRecord | null>;
+  save(id: string, history: any[], meta?: SessionMeta): Promise<void>;
+  delete(id: string): Promise<void>;
+}
+
+export declare class FileSessionStore implements SessionStore {
+  constructor(options: { dir: string; format?: 'json' | 'jsonl' });
+  dir: string;
+  format: 'json' | 'jsonl';
+  /** File path for a session id */
+  pathFor(id: string): string;
+  load(id: string): Promise<SessionRecord | null>;
+  save(id: string, history: any[], meta?: SessionMeta): Promise<void>;
+  delete(id: string): Promise<void>;
+}
+
 // ── Module Exports ───────────────────────────────────────────────────────────
 
 export declare function extractJSON(text: string): any;
-export declare function attemptJSONRecovery(text: string, maxAttempts?: number): any | null;
+export declare function attemptJSONRecovery(text: string, maxAttempts?: number, quiet?: boolean): any | null;
 /** Validates a parsed value against a subset of JSON Schema. Returns error strings ([] means valid). */
 export declare function validateSchema(data: any, schema: Record<string, any>, path?: string): string[];
 
-/** Per-million-token pricing keyed by model id. */
-export declare const MODEL_PRICING: Record<string, { input: number; output: number }>;
+/** Per-million-token pricing keyed by model id, with optional cached/audio/video/image rates, long-context tier and batch rates. */
+export declare const MODEL_PRICING: Record<string, ModelPricing>;
+/** Batch API and FLEX price as a fraction of the standard rate (0.5). */
+export declare const BATCH_DISCOUNT: number;
+/** Cached-input price as a fraction of the input rate, for models without `cachedInput` (0.1). */
+export declare const CACHED_INPUT_DISCOUNT: number;
 /** Floating `-latest` alias → canonical model id, for pricing resolution. */
 export declare const MODEL_ALIASES: Record<string, string>;
 /** Resolves pricing for a model id (follows -latest aliases). null when unknown. */
-export declare function resolvePricing(modelId: string | null | undefined): { input: number; output: number } | null;
-/** Estimated USD cost from token counts. null when the model's pricing is unknown. */
-export declare function computeCost(modelId: string | null | undefined, promptTokens: number, responseTokens: number): number | null;
+export declare function resolvePricing(modelId: string | null | undefined): ModelPricing | null;
+/** Splits a response's usageMetadata into separately billed token counts. */
+export declare function billableTokens(usageMetadata: any): BillableTokens;
+/** Estimated USD cost of one request by component. null when the model's pricing is unknown. */
+export declare function computeCostBreakdown(modelId: string | null | undefined, tokens: Partial<BillableTokens>, opts?: { batch?: boolean; serviceTier?: string | null }): CostBreakdown | null;
+/** Estimated USD cost from token counts (`batch: true` or `serviceTier: 'FLEX'` for batch rates). null when the model's pricing is unknown. */
+export declare function computeCost(modelId: string | null | undefined, promptTokens: number, responseTokens: number, thoughtsTokens?: number, opts?: { batch?: boolean; serviceTier?: string | null } & Partial<BillableTokens>): number | null;
+/** Adds up cost breakdowns (null when none are priced). */
+export declare function sumCostBreakdowns(breakdowns: Array<CostBreakdown | null | undefined>): CostBreakdown | null;
 
 declare const _default: {
   Transformer: typeof Transformer;
   Chat: typeof Chat;
   Message: typeof Message;
+  BatchJob: typeof BatchJob;
   ToolAgent: typeof ToolAgent;
   CodeAgent: typeof CodeAgent;
   RagAgent: typeof RagAgent;
   Embedding: typeof Embedding;
+  VectorIndex: typeof VectorIndex;
   ImageGenerator: typeof ImageGenerator;
 };
 
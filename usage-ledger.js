@@ -0,0 +1,278 @@
+/**
+ * @fileoverview Local ledger of model-call usage, for per-label cost reporting.
+ *
+ * Pass one UsageLedger as `usageLedger` to every instance that should report
+ * to it. Each model call (countTokens excepted) is recorded with its tokens,
+ * estimated cost, billing labels, class name and timestamp. summary() groups
+ * the entries by label, model, class or day; toCSV()/toJSON()/save() export
+ * them for reconciliation against the GCP bill.
+ *
+ * Costs are estimates from MODEL_PRICING, like `estimatedCost` everywhere else.
+ * Response-cache hits and BatchJob submissions never reach the model-call
+ * middleware, so they aren't recorded.
+ *
+ * @example
+ * ```javascript
+ * import { Transformer, ToolAgent, UsageLedger } from 'ak-gemini';
+ *
+ * const ledger = new UsageLedger();
+ * const t = new Transformer({ usageLedger: ledger, labels: { team: 'search' } });
+ * const agent = new ToolAgent({ usageLedger: ledger, labels: { team: 'ops' }, tools, toolExecutor });
+ *
+ * ledger.summary({ groupBy: ['label.team', 'model'] });
+ * // [{ 'label.team': 'search', model: 'gemini-2.5-flash', calls: 12, totalTokens: 48210, estimatedCost: 0.0131, ... }, ...]
+ * await ledger.save('./usage-2026-10.csv');
+ * ```
+ */
+
+import { mkdir, writeFile, rename } from 'node:fs/promises';
+import { dirname, extname } from 'node:path';
+import { randomUUID } from 'node:crypto';
+import { computeCost, computeCostBreakdown, billableTokens } from './base.js';
+import log from './logger.js';
+
+/**
+ * @typedef {import('./types').UsageLedgerEntry} UsageLedgerEntry
+ * @typedef {import('./types').UsageLedgerSummaryOptions} UsageLedgerSummaryOptions
+ * @typedef {import('./types').UsageLedgerSummaryRow} UsageLedgerSummaryRow
+ * @typedef {import('./types').Middleware} Middleware
+ */
+
+/** Token and cost columns summed by summary() */
+const TOTAL_FIELDS = /** @type {const} */ (['promptTokens', 'responseTokens', 'thoughtsTokens', 'totalTokens']);
+
+/** Columns of a per-call CSV export, before the label columns */
+const ENTRY_COLUMNS = ['timestamp', 'className', 'method', 'model', 'requestedModel', ...TOTAL_FIELDS, 'estimatedCost'];
+
+/**
+ * Collects one entry per model call from every instance it is passed to.
+ */
+export class UsageLedger {
+	/**
+	 * @param {Object} [options={}]
+	 * @param {(entry: UsageLedgerEntry) => void} [options.onRecord] - Called with each new entry (e.g. to append it to a log)
+	 */
+	constructor(options = {}) {
+		/** @type {UsageLedgerEntry[]} */
+		this.entries = [];
+		this.onRecord = options.onRecord || null;
+	}
+
+	/**
+	 * Adds an entry. Instances call this through their middleware; call it
+	 * directly to record usage from elsewhere (e.g. a BatchJob summary).
+	 * @param {Partial<UsageLedgerEntry> & { model: string }} entry
+	 * @returns {UsageLedgerEntry}
+	 */
+	record(entry) {
+		const promptTokens = entry.promptTokens || 0;
+		const responseTokens = entry.responseTokens || 0;
+		const thoughtsTokens = entry.thoughtsTokens || 0;
+		/** @type {UsageLedgerEntry} */
+		const full = {
+			timestamp: entry.timestamp || new Date().toISOString(),
+			className: entry.className || 'unknown',
+			method: entry.method || 'generateContent',
+			model: entry.model,
+			requestedModel: entry.requestedModel || entry.model,
+			labels: { ...(entry.labels || {}) },
+			promptTokens,
+			responseTokens,
+			thoughtsTokens,
+			totalTokens: entry.totalTokens || (promptTokens + responseTokens + thoughtsTokens),
+			estimatedCost: entry.estimatedCost !== undefined ? entry.estimatedCost : computeCost(entry.model, promptTokens, responseTokens, thoughtsTokens)
+		};
+		this.entries.push(full);
+		if (this.onRecord) {
+			try { this.onRecord(full); }
+			catch (e) { log.warn(`UsageLedger onRecord callback error: ${e.message}`); }
+		}
+		return full;
+	}
+
+	/**
+	 * Totals per group. Without `groupBy`, one row totalling every entry.
+	 *
+	 * Group keys: `'model'` (the model the API reported), `'requestedModel'`,
+	 * `'className'`, `'method'`, `'day'` (UTC, YYYY-MM-DD), `'month'` (YYYY-MM),
+	 * or `'label.<name>'` (null for entries without that label). Rows are
+	 * sorted by estimated cost, highest first.
+	 *
+	 * @param {UsageLedgerSummaryOptions} [opts={}]
+	 * @returns {UsageLedgerSummaryRow[]}
+	 */
+	summary(opts = {}) {
+		const groupBy = [].concat(opts.groupBy || []);
+		/** @type {Map<string, UsageLedgerSummaryRow>} */
+		const groups = new Map();
+
+		for (const entry of selectEntries(this.entries, opts)) {
+			/** @type {Record<string, string|null>} */
+			const key = {};
+			for (const field of groupBy) key[field] = groupValue(entry, field);
+			const id = JSON.stringify(groupBy.map(f => key[f]));
+
+			let row = groups.get(id);
+			if (!row) {
+				row = { ...key, calls: 0, promptTokens: 0, responseTokens: 0, thoughtsTokens: 0, totalTokens: 0, estimatedCost: 0, unpricedCalls: 0 };
+				groups.set(id, row);
+			}
+			row.calls++;
+			for (const field of TOTAL_FIELDS) row[field] += entry[field];
+			if (entry.estimatedCost == null) row.unpricedCalls++;
+			else row.estimatedCost += entry.estimatedCost;
+		}
+
+		return [...groups.values()].sort((a, b) => b.estimatedCost - a.estimatedCost);
+	}
+
+	/**
+	 * CSV text: one row per call, or summary() rows when `groupBy` is given.
+	 * Per-call rows get a `label.<name>` column for every label seen.
+	 * @param {UsageLedgerSummaryOptions} [opts={}]
+	 * @returns {string}
+	 */
+	toCSV(opts = {}) {
+		if (opts.groupBy) {
+			const rows = this.summary(opts);
+			const columns = [...[].concat(opts.groupBy), 'calls', ...TOTAL_FIELDS, 'estimatedCost', 'unpricedCalls'];
+			return toCSVText(columns, rows.map(row => columns.map(c => /** @type {any} */ (row)[c])));
+		}
+		const entries = selectEntries(this.entries, opts);
+		const labelNames = [...new Set(entries.flatMap(e => Object.keys(e.labels)))].sort();
+		const columns = [...ENTRY_COLUMNS, ...labelNames.map(n => `label.${n}`)];
+		return toCSVText(columns, entries.map(e => [
+			...ENTRY_COLUMNS.map(c => /** @type {any} */ (e)[c]),
+			...labelNames.map(n => e.labels[n])
+		]));
+	}
+
+	/**
+	 * The entries, for JSON.stringify() and UsageLedger.fromJSON().
+	 * @returns {{ entries: UsageLedgerEntry[] }}
+	 */
+	toJSON() {
+		return { entries: this.entries };
+	}
+
+	/**
+	 * Rebuilds a ledger from toJSON() output (or its JSON text).
+	 * @param {string|{ entries: UsageLedgerEntry[] }} data
+	 * @returns {UsageLedger}
+	 */
+	static fromJSON(data) {
+		const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+		const ledger = new UsageLedger();
+		ledger.entries = [...(parsed?.entries || [])];
+		return ledger;
+	}
+
+	/**
+	 * Writes the ledger to a file: CSV for a `.csv` path, JSON otherwise. With
+	 * `groupBy` the file holds summary() rows instead of one record per call.
+	 * The write goes to a temp file that is renamed into place.
+	 * @param {string} filePath
+	 * @param {UsageLedgerSummaryOptions} [opts={}] - groupBy, since, until
+	 * @returns {Promise<string>} The path written
+	 */
+	async save(filePath, opts = {}) {
+		let body;
+		if (extname(filePath).toLowerCase() === '.csv') body = this.toCSV(opts);
+		else body = JSON.stringify(opts.groupBy ? this.summary(opts) : { entries: selectEntries(this.entries, opts) }, null, 2);
+		await mkdir(dirname(filePath), { recursive: true });
+		const tmp = `${filePath}.${randomUUID()}.tmp`;
+		await writeFile(tmp, body, 'utf-8');
+		await rename(tmp, filePath);
+		return filePath;
+	}
+
+	/** Removes every entry. */
+	clear() {
+		this.entries = [];
+	}
+}
+
+/**
+ * Entries within the `since` / `until` window.
+ * @param {UsageLedgerEntry[]} entries
+ * @param {UsageLedgerSummaryOptions} opts
+ * @returns {UsageLedgerEntry[]}
+ */
+function selectEntries(entries, opts) {
+	const since = opts.since != null ? new Date(opts.since).getTime() : -Infinity;
+	const until = opts.until != null ? new Date(opts.until).getTime() : Infinity;
+	if (since === -Infinity && until === Infinity) return entries;
+	return entries.filter(e => {
+		const t = Date.parse(e.timestamp);
+		return t >= since && t < until;
+	});
+}
+
+/**
+ * @param {UsageLedgerEntry} entry
+ * @param {string} field - A summary() group key
+ * @returns {string|null}
+ */
+function groupValue(entry, field) {
+	if (field.startsWith('label.')) return entry.labels[field.slice(6)] ?? null;
+	switch (field) {
+		case 'day': return entry.timestamp.slice(0, 10);
+		case 'month': return entry.timestamp.slice(0, 7);
+		case 'model':
+		case 'requestedModel':
+		case 'className':
+		case 'method':
+			return entry[field];
+		default:
+			throw new Error(`Unknown groupBy key "${field}". Use model, requestedModel, className, method, day, month or label.<name>.`);
+	}
+}
+
+/**
+ * @param {string[]} columns
+ * @param {any[][]} rows
+ * @returns {string}
+ */
+function toCSVText(columns, rows) {
+	/** @param {any} value */
+	const cell = (value) => {
+		if (value == null) return '';
+		const s = String(value);
+		return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+	};
+	return [columns, ...rows].map(row => row.map(cell).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Middleware that records every model call (countTokens excepted) into a
+ * ledger. Labels are the ones sent with the request, falling back to the
+ * instance's `labels` (the Gemini API doesn't take labels, but the ledger
+ * still groups by them).
+ * @param {UsageLedger} ledger
+ * @returns {Middleware}
+ */
+export function usageLedgerMiddleware(ledger) {
+	return {
+		name: 'usageLedger',
+		after: (ctx) => {
+			if (ctx.method === 'countTokens') return;
+			const usage = ctx.response?.usageMetadata || {};
+			const tokens = billableTokens(usage);
+			const { promptTokens, responseTokens, thoughtsTokens } = tokens;
+			const model = ctx.response?.modelVersion || ctx.model;
+			const costOpts = { serviceTier: ctx.config?.serviceTier };
+			ledger.record({
+				className: ctx.className,
+				method: ctx.method,
+				model,
+				requestedModel: ctx.model,
+				labels: ctx.labels || ctx.instance.labels,
+				promptTokens,
+				responseTokens,
+				thoughtsTokens,
+				totalTokens: usage.totalTokenCount || (promptTokens + responseTokens + thoughtsTokens),
+				estimatedCost: (computeCostBreakdown(model, tokens, costOpts) ?? computeCostBreakdown(ctx.model, tokens, costOpts))?.total ?? null
+			});
+		}
+	};
+}
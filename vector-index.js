@@ -0,0 +1,315 @@
+/**
+ * @fileoverview VectorIndex — in-process vector store on top of Embedding.
+ *
+ * Brute-force cosine search over documents kept in memory, with save/load to a
+ * local JSON file. Every entry remembers a content hash (text + embedding
+ * model and config), so re-adding an unchanged document costs nothing and a corpus refresh
+ * only embeds what is new or changed.
+ *
+ * @example
+ * ```javascript
+ * import { Embedding, VectorIndex } from 'ak-gemini';
+ *
+ * const index = new VectorIndex({ embedder: new Embedding(), path: './docs.index.json' });
+ * await index.load();                       // no-op on first run
+ * const stats = await index.sync(docs.map(d => ({ id: d.slug, text: d.body, metadata: { team: d.team } })));
+ * console.log(stats);                       // { added: 3, updated: 1, unchanged: 412, removed: 2 }
+ * await index.save();
+ *
+ * const hits = await index.query('How do refunds work?', 5, { team: 'billing' });
+ * ```
+ */
+
+import { mkdir, readFile, writeFile, rename } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { createHash, randomUUID } from 'node:crypto';
+import { cosineSimilarity } from './embedding.js';
+import log from './logger.js';
+
+/**
+ * @typedef {import('./types').VectorDocument} VectorDocument
+ * @typedef {import('./types').VectorEntry} VectorEntry
+ * @typedef {import('./types').VectorQueryResult} VectorQueryResult
+ * @typedef {import('./types').VectorIndexFilter} VectorIndexFilter
+ * @typedef {import('./types').VectorSyncStats} VectorSyncStats
+ */
+
+const INDEX_FILE_VERSION = 1;
+/** embedContent accepts at most 100 texts per request */
+const EMBED_BATCH_SIZE = 100;
+const DOCUMENT_TASK_TYPE = 'RETRIEVAL_DOCUMENT';
+
+/**
+ * Object filters match when every key equals the entry's metadata value.
+ * @param {VectorIndexFilter} [filter]
+ * @returns {(entry: VectorEntry) => boolean}
+ */
+function toPredicate(filter) {
+	if (!filter) return () => true;
+	if (typeof filter === 'function') return (entry) => Boolean(filter(entry.metadata, entry.id));
+	const pairs = Object.entries(filter);
+	return (entry) => pairs.every(([key, value]) => entry.metadata?.[key] === value);
+}
+
+export default class VectorIndex {
+	/**
+	 * @param {Object} [options={}]
+	 * @param {import('./embedding.js').default} [options.embedder] - Embeds text documents and queries; not needed when only vectors are added and queried
+	 * @param {string} [options.path] - Default file for save() / load()
+	 */
+	constructor(options = {}) {
+		this.embedder = options.embedder || null;
+		this.path = options.path || null;
+		/** @type {Map<string, VectorEntry>} */
+		this.entries = new Map();
+		/** @type {number|null} */
+		this.dimensions = null;
+	}
+
+	/** Number of entries in the index. */
+	get size() {
+		return this.entries.size;
+	}
+
+	/**
+	 * @param {string} id
+	 * @returns {boolean}
+	 */
+	has(id) {
+		return this.entries.has(id);
+	}
+
+	/**
+	 * @param {string} id
+	 * @returns {VectorEntry|null}
+	 */
+	get(id) {
+		return this.entries.get(id) || null;
+	}
+
+	/**
+	 * Adds or replaces one document. Text is embedded (RETRIEVAL_DOCUMENT) unless an
+	 * entry with the same id and content hash already exists.
+	 * @param {string} id
+	 * @param {string|number[]} textOrVector
+	 * @param {Record<string, any>} [metadata={}]
+	 * @returns {Promise<'added'|'updated'|'unchanged'>}
+	 */
+	async add(id, textOrVector, metadata = {}) {
+		const doc = Array.isArray(textOrVector)
+			? { id, vector: textOrVector, metadata }
+			: { id, text: textOrVector, metadata };
+		const stats = await this.addMany([doc]);
+		if (stats.added) return 'added';
+		return stats.updated ? 'updated' : 'unchanged';
+	}
+
+	/**
+	 * Adds or replaces many documents, embedding only new or changed texts
+	 * (in batches). Metadata is always refreshed.
+	 * @param {VectorDocument[]} docs
+	 * @returns {Promise<Omit<VectorSyncStats, 'removed'>>}
+	 */
+	async addMany(docs) {
+		const stats = { added: 0, updated: 0, unchanged: 0 };
+		/** @type {Array<{ doc: VectorDocument, hash: string }>} */
+		const toEmbed = [];
+
+		for (const doc of docs) {
+			if (!doc?.id) throw new Error('VectorIndex: every document needs an id.');
+			const existing = this.entries.get(doc.id);
+
+			if (doc.vector) {
+				this._put(doc, null, doc.vector, existing);
+				stats[existing ? 'updated' : 'added']++;
+				continue;
+			}
+			if (typeof doc.text !== 'string') {
+				throw new Error(`VectorIndex: document "${doc.id}" needs text or a vector.`);
+			}
+
+			const hash = this._hash(doc.text);
+			if (existing && existing.hash === hash) {
+				existing.metadata = doc.metadata || {};
+				stats.unchanged++;
+			} else {
+				toEmbed.push({ doc, hash });
+			}
+		}
+
+		if (toEmbed.length > 0) {
+			if (!this.embedder) throw new Error('VectorIndex: an embedder is required to add text documents.');
+			for (let i = 0; i < toEmbed.length; i += EMBED_BATCH_SIZE) {
+				const batch = toEmbed.slice(i, i + EMBED_BATCH_SIZE);
+				const embeddings = await this.embedder.embedBatch(batch.map(b => b.doc.text), { taskType: DOCUMENT_TASK_TYPE });
+				batch.forEach(({ doc, hash }, j) => {
+					const existing = this.entries.get(doc.id);
+					this._put(doc, hash, embeddings[j].values, existing);
+					stats[existing ? 'updated' : 'added']++;
+				});
+			}
+			log.debug(`VectorIndex: embedded ${toEmbed.length} documents (${stats.unchanged} unchanged).`);
+		}
+
+		return stats;
+	}
+
+	/**
+	 * Makes the index hold exactly `docs`: adds/updates like addMany() and removes
+	 * every entry whose id is not in `docs`.
+	 * @param {VectorDocument[]} docs
+	 * @returns {Promise<VectorSyncStats>}
+	 */
+	async sync(docs) {
+		const stats = await this.addMany(docs);
+		const keep = new Set(docs.map(d => d.id));
+		let removed = 0;
+		for (const id of [...this.entries.keys()]) {
+			if (!keep.has(id) && this.remove(id)) removed++;
+		}
+		return { ...stats, removed };
+	}
+
+	/**
+	 * @param {string} id
+	 * @returns {boolean} Whether an entry was removed
+	 */
+	remove(id) {
+		const removed = this.entries.delete(id);
+		if (this.entries.size === 0) this.dimensions = null;
+		return removed;
+	}
+
+	/** Removes every entry. */
+	clear() {
+		this.entries.clear();
+		this.dimensions = null;
+	}
+
+	/**
+	 * Top-k entries by cosine similarity, best first. Text queries are embedded
+	 * with RETRIEVAL_QUERY.
+	 * @param {string|number[]} textOrVector
+	 * @param {number} [k=5]
+	 * @param {VectorIndexFilter} [filter] - Metadata object to match exactly, or `(metadata, id) => boolean`
+	 * @returns {Promise<VectorQueryResult[]>}
+	 */
+	async query(textOrVector, k = 5, filter) {
+		if (this.entries.size === 0) return [];
+
+		let vector = textOrVector;
+		if (!Array.isArray(vector)) {
+			if (!this.embedder) throw new Error('VectorIndex: an embedder is required to query with text.');
+			({ values: vector } = await this.embedder.embed(vector, { taskType: 'RETRIEVAL_QUERY' }));
+		}
+		if (vector.length !== this.dimensions) {
+			throw new Error(`VectorIndex: query has ${vector.length} dimensions, index has ${this.dimensions}.`);
+		}
+
+		const matches = toPredicate(filter);
+		/** @type {VectorQueryResult[]} */
+		const results = [];
+		for (const entry of this.entries.values()) {
+			if (!matches(entry)) continue;
+			results.push({
+				id: entry.id,
+				score: cosineSimilarity(vector, entry.values),
+				...(entry.text !== undefined && { text: entry.text }),
+				metadata: entry.metadata
+			});
+		}
+		return results.sort((a, b) => b.score - a.score).slice(0, k);
+	}
+
+	/**
+	 * Writes the index to a JSON file (atomically: temp file + rename).
+	 * @param {string} [path=this.path]
+	 * @returns {Promise<void>}
+	 */
+	async save(path = this.path) {
+		if (!path) throw new Error('VectorIndex.save() needs a path (argument or constructor option).');
+		await mkdir(dirname(path), { recursive: true });
+
+		const body = JSON.stringify({
+			version: INDEX_FILE_VERSION,
+			model: this.embedder?.modelName || null,
+			dimensions: this.dimensions,
+			entries: [...this.entries.values()]
+		});
+
+		const tmp = `${path}.${randomUUID()}.tmp`;
+		await writeFile(tmp, body, 'utf-8');
+		await rename(tmp, path);
+		log.debug(`VectorIndex: saved ${this.entries.size} entries to ${path}`);
+	}
+
+	/**
+	 * Replaces the in-memory entries with those saved at `path`. A missing file
+	 * leaves the index empty, so the first run of a refresh job needs no special case.
+	 * @param {string} [path=this.path]
+	 * @returns {Promise<this>}
+	 */
+	async load(path = this.path) {
+		if (!path) throw new Error('VectorIndex.load() needs a path (argument or constructor option).');
+
+		let raw;
+		try {
+			raw = await readFile(path, 'utf-8');
+		} catch (err) {
+			if (err.code === 'ENOENT') {
+				log.debug(`VectorIndex: no index at ${path}; starting empty.`);
+				this.clear();
+				return this;
+			}
+			throw err;
+		}
+
+		const saved = JSON.parse(raw);
+		if (saved.version !== INDEX_FILE_VERSION) {
+			throw new Error(`VectorIndex: unsupported index file version ${saved.version} in ${path}.`);
+		}
+		this.entries = new Map(saved.entries.map(e => [e.id, e]));
+		this.dimensions = saved.dimensions ?? null;
+		log.debug(`VectorIndex: loaded ${this.entries.size} entries from ${path}`);
+		return this;
+	}
+
+	// ── Private Helpers ──────────────────────────────────────────────────────
+
+	/**
+	 * Content hash; includes the embedding model, task type, title and
+	 * dimensions, so vectors from a different embedding space are never reused.
+	 * @param {string} text
+	 * @returns {string}
+	 * @private
+	 */
+	_hash(text) {
+		const e = this.embedder;
+		const space = JSON.stringify([e?.modelName || '', DOCUMENT_TASK_TYPE, e?.title || null, e?.outputDimensionality || null]);
+		return createHash('sha256')
+			.update(`${space}\0${text}`)
+			.digest('hex');
+	}
+
+	/**
+	 * @param {VectorDocument} doc
+	 * @param {string|null} hash
+	 * @param {number[]} values
+	 * @param {VectorEntry} [existing] - The entry being replaced, if any
+	 * @private
+	 */
+	_put(doc, hash, values, existing) {
+		const otherEntries = this.entries.size - (existing ? 1 : 0);
+		if (this.dimensions !== null && otherEntries > 0 && values.length !== this.dimensions) {
+			throw new Error(`VectorIndex: "${doc.id}" has ${values.length} dimensions, index has ${this.dimensions}.`);
+		}
+		this.dimensions = values.length;
+		this.entries.set(doc.id, {
+			id: doc.id,
+			hash,
+			...(doc.text !== undefined && { text: doc.text }),
+			metadata: doc.metadata || {},
+			values
+		});
+	}
+}